@@ -7,7 +7,11 @@
  * - User login/signup/logout
  * - Token management and persistence
  * - Token validation on app startup
+ * - Silent access token refresh (see services/authSession)
+ * - Password reset and email verification
  * - User profile updates
+ * - Keeping the account's time zone in sync with the device (used by the
+ *   service for the daily goal reset)
  * 
  * @module mobile/src/context/AuthContext
  */
@@ -15,6 +19,17 @@
 import React, { createContext, useContext, useEffect, useState, ReactNode } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { SERVICE_URL } from '@env';
+import {
+  ACCESS_TOKEN_KEY,
+  authFetch,
+  clearSession,
+  getAccessToken,
+  getDeviceId,
+  getDeviceName,
+  getRefreshToken,
+  saveSession,
+  setSessionExpiredHandler,
+} from '../services/authSession';
 
 // ============================================================================
 // Types
@@ -27,6 +42,16 @@ interface User {
   id: string;
   email: string;
   name: string;
+  emailVerifiedAt?: string | null;
+  timeZone?: string; // IANA time zone the service uses for day boundaries
+}
+
+/**
+ * Outcome of an account request (password reset, email verification)
+ */
+interface AccountActionResult {
+  success: boolean;
+  error?: string;
 }
 
 /**
@@ -39,6 +64,10 @@ interface AuthContextType {
   signUp: (email: string, password: string, name: string) => Promise<boolean>;
   signOut: () => Promise<void>;
   updateUser: (updatedUser: Partial<User>) => void;
+  requestPasswordReset: (email: string) => Promise<AccountActionResult>;
+  resetPassword: (token: string, password: string) => Promise<AccountActionResult>;
+  verifyEmail: (token: string) => Promise<AccountActionResult>;
+  resendVerification: () => Promise<AccountActionResult>;
 }
 
 /**
@@ -55,12 +84,53 @@ interface AuthProviderProps {
 /** React context for authentication */
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
-/** Local storage key for JWT token */
-const STORAGE_KEY = '@user_token';
-
 /** Local storage key for user profile data */
 const USER_KEY = '@user_data';
 
+/**
+ * Load the user profile saved at the last sign-in
+ * 
+ * @returns Cached user, or null if none is stored
+ */
+const loadCachedUser = async (): Promise<User | null> => {
+  const storedUser = await AsyncStorage.getItem(USER_KEY);
+  return storedUser ? JSON.parse(storedUser) : null;
+};
+
+/**
+ * POST to one of the account endpoints under /api/auth
+ * 
+ * @param path - Endpoint path, e.g. '/forgot-password'
+ * @param body - JSON body
+ * @param token - Access token for endpoints that require sign-in
+ * @returns The result and the response data
+ */
+const postAccountAction = async (
+  path: string,
+  body: object = {},
+  token?: string | null,
+): Promise<AccountActionResult & { data?: any }> => {
+  try {
+    const response = await authFetch(`${SERVICE_URL}/api/auth${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { 'Authorization': `Bearer ${token}` }),
+      },
+      body: JSON.stringify(body),
+    });
+    
+    const data = await response.json();
+    if (response.ok && data.success) {
+      return { success: true, data: data.data };
+    }
+    return { success: false, error: data.error || 'Something went wrong. Please try again.' };
+  } catch (error) {
+    console.error(`Account request ${path} failed:`, error);
+    return { success: false, error: 'Could not reach the server. Please try again.' };
+  }
+};
+
 // ============================================================================
 // AuthProvider Component
 // ============================================================================
@@ -89,17 +159,68 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     checkAuthState();
   }, []);
 
+  /**
+   * Sign the user out locally when the session can no longer be refreshed
+   */
+  useEffect(() => {
+    setSessionExpiredHandler(() => {
+      AsyncStorage.removeItem(USER_KEY).catch(err => {
+        console.error('Error clearing user from storage:', err);
+      });
+      setUser(null);
+    });
+    return () => setSessionExpiredHandler(null);
+  }, []);
+
+  /**
+   * Save the device time zone on the account when it differs
+   * The service resets daily goals at midnight in this time zone.
+   */
+  useEffect(() => {
+    const deviceTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (!user?.id || !deviceTimeZone || user.timeZone === deviceTimeZone) return;
+
+    const saveTimeZone = async () => {
+      try {
+        const token = await getAccessToken();
+        if (!token) return;
+
+        const response = await authFetch(`${SERVICE_URL}/api/users/${user.id}`, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`,
+          },
+          body: JSON.stringify({ timeZone: deviceTimeZone }),
+        });
+        if (response.ok) {
+          const data = await response.json();
+          if (data.success) {
+            setUser(data.data);
+            await AsyncStorage.setItem(USER_KEY, JSON.stringify(data.data));
+          }
+        }
+      } catch (error) {
+        console.error('Error saving time zone:', error);
+      }
+    };
+
+    saveTimeZone();
+  }, [user?.id, user?.timeZone]);
+
   /**
    * Validate stored token and restore user session if valid
-   * Clears storage if token is invalid or expired
+   * An expired access token is refreshed silently; the session is only
+   * dropped when the service rejects it. If the service cannot be reached
+   * the cached profile is used.
    */
   const checkAuthState = async () => {
     try {
-      const token = await AsyncStorage.getItem(STORAGE_KEY);
+      const token = await AsyncStorage.getItem(ACCESS_TOKEN_KEY);
       
       if (token) {
-        // Validate token with backend
-        const response = await fetch(`${SERVICE_URL}/api/auth/me`, {
+        // Validate token with backend (refreshes it if it has expired)
+        const response = await authFetch(`${SERVICE_URL}/api/auth/me`, {
           headers: {
             'Authorization': `Bearer ${token}`,
           },
@@ -109,22 +230,23 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
           const data = await response.json();
           if (data.success) {
             setUser(data.data);
-          } else {
-            // Token is invalid, clear storage
-            await AsyncStorage.removeItem(STORAGE_KEY);
-            await AsyncStorage.removeItem(USER_KEY);
+            return;
           }
-        } else {
-          // Token is invalid, clear storage
-          await AsyncStorage.removeItem(STORAGE_KEY);
+        }
+        
+        if (response.status === 401 || response.status === 404) {
+          // Session is over or the account is gone, clear storage
+          await clearSession();
           await AsyncStorage.removeItem(USER_KEY);
+          return;
         }
+        
+        setUser(await loadCachedUser());
       }
     } catch (error) {
       console.error('Error checking auth state:', error);
-      // Clear storage on error
-      await AsyncStorage.removeItem(STORAGE_KEY);
-      await AsyncStorage.removeItem(USER_KEY);
+      // Service unreachable - keep the session and use the cached profile
+      setUser(await loadCachedUser());
     } finally {
       setIsLoading(false);
     }
@@ -146,22 +268,23 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
       console.log('Attempting login to:', loginUrl);
       console.log('SERVICE_URL:', SERVICE_URL);
       
+      const deviceId = await getDeviceId();
       const response = await fetch(loginUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ email, password }),
+        body: JSON.stringify({ email, password, deviceId, deviceName: getDeviceName() }),
       });
       
       const data = await response.json();
       console.log('Login response received:', data);
       
       if (response.ok && data.success) {
-        const { user: userData, token } = data.data;
+        const { user: userData, ...tokens } = data.data;
         
-        // Store token and user data
-        await AsyncStorage.setItem(STORAGE_KEY, token);
+        // Store tokens and user data
+        await saveSession(tokens);
         await AsyncStorage.setItem(USER_KEY, JSON.stringify(userData));
         
         setUser(userData);
@@ -201,21 +324,22 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
       console.log('Attempting signup to:', registerUrl);
       console.log('SERVICE_URL:', SERVICE_URL);
       
+      const deviceId = await getDeviceId();
       const response = await fetch(registerUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ email, password, name }),
+        body: JSON.stringify({ email, password, name, deviceId, deviceName: getDeviceName() }),
       });
       
       const data = await response.json();
       
       if (response.ok && data.success) {
-        const { user: userData, token } = data.data;
+        const { user: userData, ...tokens } = data.data;
         
-        // Store token and user data
-        await AsyncStorage.setItem(STORAGE_KEY, token);
+        // Store tokens and user data
+        await saveSession(tokens);
         await AsyncStorage.setItem(USER_KEY, JSON.stringify(userData));
         
         setUser(userData);
@@ -237,20 +361,22 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
 
   /**
    * Sign out the current user
-   * Clears token and user data from local storage
+   * Revokes this device's refresh token and clears tokens and user data
+   * from local storage
    */
   const signOut = async (): Promise<void> => {
     try {
-      const token = await AsyncStorage.getItem(STORAGE_KEY);
+      const refreshToken = await getRefreshToken();
       
-      if (token) {
-        // Call logout endpoint (optional - mainly for server-side session management)
+      if (refreshToken) {
+        // Revoke the session on the server so the refresh token cannot be reused
         try {
           await fetch(`${SERVICE_URL}/api/auth/logout`, {
             method: 'POST',
             headers: {
-              'Authorization': `Bearer ${token}`,
+              'Content-Type': 'application/json',
             },
+            body: JSON.stringify({ refreshToken }),
           });
         } catch (logoutError) {
           console.log('Logout API call failed, proceeding with local cleanup');
@@ -258,7 +384,7 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
       }
       
       // Clear local storage
-      await AsyncStorage.removeItem(STORAGE_KEY);
+      await clearSession();
       await AsyncStorage.removeItem(USER_KEY);
       setUser(null);
     } catch (error) {
@@ -282,6 +408,58 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
+  /**
+   * Email a password reset code
+   * The service answers the same way whether or not the email is registered.
+   * 
+   * @param email - Account email address
+   * @returns Result of the request
+   */
+  const requestPasswordReset = async (email: string): Promise<AccountActionResult> => {
+    const { success, error } = await postAccountAction('/forgot-password', { email });
+    return { success, error };
+  };
+
+  /**
+   * Set a new password with an emailed reset code
+   * The service signs the account out on every device, so the user signs
+   * in again afterwards.
+   * 
+   * @param token - Reset code from the email
+   * @param password - New password
+   * @returns Result of the request
+   */
+  const resetPassword = async (token: string, password: string): Promise<AccountActionResult> => {
+    const { success, error } = await postAccountAction('/reset-password', { token, password });
+    return { success, error };
+  };
+
+  /**
+   * Confirm the account's email address with an emailed code
+   * Updates the signed-in user's verification status on success.
+   * 
+   * @param token - Verification code from the email
+   * @returns Result of the request
+   */
+  const verifyEmail = async (token: string): Promise<AccountActionResult> => {
+    const { success, error, data } = await postAccountAction('/verify-email', { token });
+    if (success && user) {
+      updateUser({ emailVerifiedAt: data.emailVerifiedAt });
+    }
+    return { success, error };
+  };
+
+  /**
+   * Email a new verification code to the signed-in user
+   * 
+   * @returns Result of the request
+   */
+  const resendVerification = async (): Promise<AccountActionResult> => {
+    const token = await getAccessToken();
+    const { success, error } = await postAccountAction('/resend-verification', {}, token);
+    return { success, error };
+  };
+
   // ========================================================================
   // Provide Context
   // ========================================================================
@@ -293,6 +471,10 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     signUp,
     signOut,
     updateUser,
+    requestPasswordReset,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -4,22 +4,31 @@
  * ============================================================================
  * 
  * Manages the navigation structure of the application with:
- * - Conditional authentication stack (SignIn/SignUp)
- * - Main application stack (Home/Chat/Profile)
+ * - Conditional authentication stack (SignIn/SignUp/account recovery)
+ * - Main application stack (Home/Chat/Profile/Fitness Profile)
+ * - Onboarding wizard as the first screen for users without a profile
  * - Type-safe route parameters
  * 
  * @module mobile/src/navigation/AppNavigator
  */
 
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import { useAuth } from '../context/AuthContext';
+import { authFetch, getAccessToken } from '../services/authSession';
+import { SERVICE_URL } from '@env';
 import HomeScreen from '../screens/HomeScreen';
 import ProfileScreen from '../screens/ProfileScreen';
+import FitnessProfileScreen from '../screens/FitnessProfileScreen';
+import OnboardingScreen, { ONBOARDING_SKIPPED_KEY } from '../screens/OnboardingScreen';
 import ChatScreen from '../screens/ChatScreen';
 import SignInScreen from '../screens/SignInScreen';
 import SignUpScreen from '../screens/SignUpScreen';
+import ForgotPasswordScreen from '../screens/ForgotPasswordScreen';
+import ResetPasswordScreen from '../screens/ResetPasswordScreen';
+import VerifyEmailScreen from '../screens/VerifyEmailScreen';
 import LoadingScreen from '../screens/LoadingScreen';
 
 // ============================================================================
@@ -33,9 +42,14 @@ import LoadingScreen from '../screens/LoadingScreen';
 export type RootStackParamList = {
   Home: undefined;
   Profile: undefined;
+  FitnessProfile: undefined;
+  Onboarding: undefined;
   Chat: undefined;
   SignIn: undefined;
   SignUp: undefined;
+  ForgotPassword: undefined;
+  ResetPassword: { email?: string; token?: string } | undefined;
+  VerifyEmail: { token?: string } | undefined;
 };
 
 // ============================================================================
@@ -47,7 +61,7 @@ const Stack = createStackNavigator<RootStackParamList>();
 /**
  * Authentication Stack
  * Displayed when user is not authenticated
- * Includes: SignIn, SignUp screens
+ * Includes: SignIn, SignUp, ForgotPassword, ResetPassword, VerifyEmail screens
  * 
  * @returns Navigation stack for authentication screens
  */
@@ -59,49 +73,111 @@ const AuthStack = () => (
   >
     <Stack.Screen name="SignIn" component={SignInScreen} />
     <Stack.Screen name="SignUp" component={SignUpScreen} />
+    <Stack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
+    <Stack.Screen name="ResetPassword" component={ResetPasswordScreen} />
+    <Stack.Screen name="VerifyEmail" component={VerifyEmailScreen} />
   </Stack.Navigator>
 );
 
 /**
  * Application Stack
  * Displayed when user is authenticated
- * Includes: Home, Chat, Profile screens
+ * Includes: Home, Chat, Profile, FitnessProfile, Onboarding, VerifyEmail screens
  * 
+ * @param needsOnboarding - Start on the onboarding wizard instead of Home
  * @returns Navigation stack for authenticated screens
  */
-const AppStack = () => (
+const AppStack = ({ needsOnboarding }: { needsOnboarding: boolean }) => (
   <Stack.Navigator
+    initialRouteName={needsOnboarding ? 'Onboarding' : 'Home'}
     screenOptions={{
       headerShown: false,
     }}
   >
     <Stack.Screen name="Home" component={HomeScreen} />
+    <Stack.Screen name="Onboarding" component={OnboardingScreen} />
     <Stack.Screen name="Profile" component={ProfileScreen} />
+    <Stack.Screen name="FitnessProfile" component={FitnessProfileScreen} />
     <Stack.Screen name="Chat" component={ChatScreen} />
+    <Stack.Screen name="VerifyEmail" component={VerifyEmailScreen} />
   </Stack.Navigator>
 );
 
+// ============================================================================
+// Onboarding Check
+// ============================================================================
+
+/**
+ * Decide whether the signed-in user still needs the onboarding wizard
+ * A user is first-time when they have no fitness profile and haven't skipped the wizard
+ * 
+ * @param userId - ID of the signed-in user, if any
+ * @returns null while checking, otherwise whether to show onboarding
+ */
+const useNeedsOnboarding = (userId?: string) => {
+  const [needsOnboarding, setNeedsOnboarding] = useState<boolean | null>(null);
+
+  useEffect(() => {
+    if (!userId) {
+      setNeedsOnboarding(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    const check = async () => {
+      try {
+        const skipped = await AsyncStorage.getItem(`${ONBOARDING_SKIPPED_KEY}:${userId}`);
+        if (skipped) {
+          if (!cancelled) setNeedsOnboarding(false);
+          return;
+        }
+
+        const token = await getAccessToken();
+        const response = await authFetch(`${SERVICE_URL}/api/ai-memory/${userId}/profile`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        if (!cancelled) setNeedsOnboarding(response.status === 404);
+      } catch (error) {
+        // Don't block the app on a failed check; chat onboarding still works
+        console.error('Onboarding check error:', error);
+        if (!cancelled) setNeedsOnboarding(false);
+      }
+    };
+
+    setNeedsOnboarding(null);
+    check();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  return needsOnboarding;
+};
+
 // ============================================================================
 // Main Navigator
 // ============================================================================
 
 /**
  * Root navigator that switches between Auth and App stacks based on user state
- * Shows loading screen while checking authentication status
+ * Shows loading screen while checking authentication and onboarding status
  * 
  * @returns The complete navigation structure
  */
 const AppNavigator: React.FC = () => {
   const { user, isLoading } = useAuth();
+  const needsOnboarding = useNeedsOnboarding(user?.id);
 
-  // Show loading screen while checking authentication
-  if (isLoading) {
+  // Show loading screen while checking authentication and onboarding
+  if (isLoading || (user && needsOnboarding === null)) {
     return <LoadingScreen />;
   }
 
   return (
     <NavigationContainer>
-      {user ? <AppStack /> : <AuthStack />}
+      {user ? <AppStack needsOnboarding={!!needsOnboarding} /> : <AuthStack />}
     </NavigationContainer>
   );
 };
@@ -4,9 +4,11 @@
  * \n * Real-time chat interface with AI Personal Trainer (Life Coach).
  * \n * Features:
  * - Two-way messaging with AI coach
- * - Conversation history loading
- * - Real-time message updates
- * - AI suggestions for goals and calendar events
+ * - Conversation threads: switch, start, archive and delete threads; the
+ *   coach only sees the history of the open thread
+ * - Conversation history loading (older messages load when scrolling up)
+ * - Real-time message updates (AI replies stream in as they are generated)
+ * - Confirm or dismiss goals, events and reminders the coach proposes
  * - Onboarding flow for new users
  * - Cost optimization with smart model selection
  * \n * The AI coach:
@@ -17,7 +19,7 @@
  * \n * @module mobile/src/screens/ChatScreen
  */
 
-import React, { useState, useEffect, useRef } from "React";
+import React, { useState, useEffect, useRef } from "react";
 import {
   View,
   Text,
@@ -29,12 +31,16 @@ import {
   KeyboardAvoidingView,
   Platform,
   ActivityIndicator,
+  Alert,
+  NativeScrollEvent,
+  NativeSyntheticEvent,
 } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
+import { authFetch, getAccessToken } from "../services/authSession";
 import { StackScreenProps } from "@react-navigation/stack";
 import { RootStackParamList } from "../navigation/AppNavigator";
 import { useAuth } from "../context/AuthContext";
 import { SERVICE_URL } from "@env";
+import { streamChatMessage, ProposedChatAction, ChatConversation } from "../services/chatStream";
 
 type ChatScreenProps = StackScreenProps<RootStackParamList, "Chat">;
 
@@ -43,13 +49,24 @@ interface Message {
   text: string;
   sender: "user" | "bot";
   timestamp: string;
+  actions?: ProposedChatAction[];
 }
 
-interface Suggestion {
-  type: "goal" | "event";
-  text: string;
-  context: string;
-}
+/** Distance from the top of the message list (px) at which older messages are loaded */
+const LOAD_OLDER_THRESHOLD = 80;
+
+/**
+ * Convert a server message to chat format using its role field
+ */
+const toChatMessage = (msg: any): Message => ({
+  id: msg.id || String(msg.createdAt),
+  text: msg.text,
+  sender: msg.role === "assistant" ? "bot" : "user",
+  timestamp: new Date(msg.createdAt).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  }),
+});
 
 export default function ChatScreen({ navigation }: ChatScreenProps) {
   const { user } = useAuth();
@@ -57,21 +74,36 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
   const [inputText, setInputText] = useState("");
   const [isLoading, setIsLoading] = useState(true);
   const [isSending, setIsSending] = useState(false);
-  const [suggestion, setSuggestion] = useState<{
-    type: "goal" | "event";
-    text: string;
-    context: string;
-  } | null>(null);
-  const [shouldGenerateSuggestion, setShouldGenerateSuggestion] = useState(false);
+  const [conversation, setConversation] = useState<ChatConversation | null>(null);
+  const [conversations, setConversations] = useState<ChatConversation[]>([]);
+  const [showThreads, setShowThreads] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  // Cursor of the next older page of the open thread (null: everything is loaded)
+  const [olderCursor, setOlderCursor] = useState<string | null>(null);
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
   const flatListRef = useRef<FlatList>(null);
+  const cancelStreamRef = useRef<(() => void) | null>(null);
+  // Set while older messages are prepended, so the list keeps its position
+  const prependingRef = useRef(false);
+  // Scroll events arrive faster than state updates; one older page at a time
+  const loadingOlderRef = useRef(false);
 
   // Load conversation history on screen mount
   useEffect(() => {
     loadConversationHistory();
   }, [user?.id]);
 
-  // Scroll to bottom when messages change
+  // Stop any in-flight reply stream when leaving the screen
+  useEffect(() => {
+    return () => cancelStreamRef.current?.();
+  }, []);
+
+  // Scroll to bottom when messages change (not when older ones were prepended)
   useEffect(() => {
+    if (prependingRef.current) {
+      prependingRef.current = false;
+      return;
+    }
     if (messages.length > 0 && flatListRef.current) {
       // Use setTimeout to ensure the list has rendered
       setTimeout(() => {
@@ -80,112 +112,115 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
     }
   }, [messages]);
 
-  // Generate AI suggestions based on recent chat context
-  useEffect(() => {
-    const generateSuggestion = async () => {
-      try {
-        if (!user?.id) {
-          console.log('⚠️ No user ID for suggestion');
-          return;
-        }
-        
-        const token = await AsyncStorage.getItem("@user_token");
-        if (!token) {
-          console.log('⚠️ No token for suggestion');
-          return;
-        }
+  /**
+   * Re-attach proposals still awaiting confirmation to the messages that made them
+   */
+  const attachPendingActions = async (history: Message[], token: string) => {
+    try {
+      const response = await authFetch(`${SERVICE_URL}/api/chat/actions?status=pending`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!data.success || !data.data?.length) return history;
 
-        console.log(`🔍 Fetching suggestion for user ${user.id}...`);
+      const pending: ProposedChatAction[] = data.data;
+      return history.map((msg) => {
+        const actions = pending.filter((action) => action.messageId === msg.id);
+        return actions.length > 0 ? { ...msg, actions } : msg;
+      });
+    } catch (error) {
+      console.error("Error loading pending actions:", error);
+      return history;
+    }
+  };
 
-        // Call backend suggestion endpoint
-        const url = `${SERVICE_URL}/api/chat/suggestion/${user.id}`;
-        console.log(`📍 Full URL: ${url}`);
-        
-        const response = await fetch(url, {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        });
-
-        const data = await response.json();
-        console.log('📦 Suggestion response:', data);
-        
-        if (data.success && data.data?.suggestion) {
-          console.log('✨ Got suggestion:', data.data.suggestion);
-          setSuggestion(data.data.suggestion);
-        } else {
-          console.log('💭 No suggestion generated');
-          setSuggestion(null);
-        }
-      } catch (error) {
-        console.error("❌ Error generating suggestion:", error);
-        setSuggestion(null);
-      } finally {
-        setShouldGenerateSuggestion(false);
-      }
-    };
+  /**
+   * Update the proposal cards from the service, e.g. after a "yes" reply
+   * created their records
+   */
+  const refreshActionStatuses = async (token: string) => {
+    try {
+      const query = conversation?.id ? `?conversationId=${encodeURIComponent(conversation.id)}` : "";
+      const response = await authFetch(`${SERVICE_URL}/api/chat/actions${query}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!data.success) return;
 
-    // Only generate suggestion if flag is set (meaning user sent a new message)
-    if (shouldGenerateSuggestion) {
-      const timer = setTimeout(() => {
-        generateSuggestion();
-      }, 500);
-      
-      return () => clearTimeout(timer);
+      const statuses = new Map<string, ProposedChatAction["status"]>(
+        data.data.map((action: ProposedChatAction) => [action.id, action.status])
+      );
+      setMessages((prev) =>
+        prev.map((msg) =>
+          msg.actions?.some((action) => statuses.has(action.id))
+            ? {
+                ...msg,
+                actions: msg.actions.map((action) => ({
+                  ...action,
+                  status: statuses.get(action.id) ?? action.status,
+                })),
+              }
+            : msg
+        )
+      );
+    } catch (error) {
+      console.error("Error refreshing actions:", error);
     }
-  }, [shouldGenerateSuggestion, user?.id]);
+  };
+
+  /**
+   * Confirm or dismiss an action the coach proposed
+   */
+  const handleActionResponse = async (
+    messageId: string,
+    actionId: string,
+    decision: "confirm" | "reject"
+  ) => {
+    const setActionStatus = (status: ProposedChatAction["status"]) =>
+      setMessages((prev) =>
+        prev.map((msg) =>
+          msg.id === messageId
+            ? {
+                ...msg,
+                actions: msg.actions?.map((action) =>
+                  action.id === actionId ? { ...action, status } : action
+                ),
+              }
+            : msg
+        )
+      );
 
-  const handleAddSuggestion = async (suggestion: Suggestion) => {
     try {
-      if (!user?.id) return;
-
-      const endpoint =
-        suggestion.type === "goal" ? "/api/goals" : "/api/calendar";
-      const payload =
-        suggestion.type === "goal"
-          ? {
-              userId: user.id,
-              text: suggestion.text.replace("Add Goal: ", "").replace("?", ""),
-              category: "AI Suggested",
-              priority: "medium",
-              type: (suggestion as any).goalType || "daily", // Include goalType from suggestion
-            }
-          : {
-              userId: user.id,
-              title: suggestion.text
-                .replace("Schedule: ", "")
-                .replace("?", ""),
-              type: "AI Suggested",
-              date: (suggestion as any).eventDate,
-              time: (suggestion as any).eventTime,
-              recurring: (suggestion as any).recurring,
-              recurringDays: (suggestion as any).recurringDays,
-            };
-
-      const response = await fetch(`${SERVICE_URL}${endpoint}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${(await AsyncStorage.getItem("@user_token"))!}`,
-        },
-        body: JSON.stringify(payload),
-      });
+      const token = await getAccessToken();
+      if (!token) return;
 
-      if (response.ok) {
-        // Show success and clear suggestion
-        setSuggestion(null);
-        console.log(
-          `${suggestion.type === "goal" ? "Goal" : "Event"} added successfully!`
-        );
+      const response = await authFetch(
+        `${SERVICE_URL}/api/chat/actions/${actionId}/${decision}`,
+        {
+          method: "POST",
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+      const data = await response.json();
+
+      if (data.success) {
+        setActionStatus(decision === "confirm" ? "confirmed" : "rejected");
+      } else {
+        console.error(`Failed to ${decision} action:`, data.error);
+        if (data.data?.action?.status === "failed") setActionStatus("failed");
       }
     } catch (error) {
-      console.error("Error adding suggestion:", error);
+      console.error(`Error trying to ${decision} action:`, error);
     }
   };
 
-  const loadConversationHistory = async () => {
+  /**
+   * Load the messages of a thread (default: the user's current thread)
+   */
+  const loadConversationHistory = async (conversationId?: string) => {
     try {
       setIsLoading(true);
+      setOlderCursor(null);
       
       if (!user?.id) {
         console.error("User ID not available");
@@ -193,15 +228,16 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
         return;
       }
 
-      const token = await AsyncStorage.getItem("@user_token");
+      const token = await getAccessToken();
       if (!token) {
         console.error("Auth token not found");
         setIsLoading(false);
         return;
       }
 
-      const response = await fetch(
-        `${SERVICE_URL}/api/chat/history/${user.id}`,
+      const query = conversationId ? `?conversationId=${conversationId}` : "";
+      const response = await authFetch(
+        `${SERVICE_URL}/api/chat/history/${user.id}${query}`,
         {
           headers: {
             Authorization: `Bearer ${token}`,
@@ -210,26 +246,19 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
       );
 
       const data = await response.json();
+      if (data.success) {
+        setConversation(data.conversation || null);
+        setOlderCursor(data.nextCursor || null);
+      }
 
       if (data.success && data.data && data.data.length > 0) {
-        // Convert server messages to chat format using the role field
         console.log("Raw messages from server:", data.data);
-        const formattedMessages: Message[] = data.data.map(
-          (msg: any) => {
-            const sender = msg.role === "assistant" ? "bot" : "user";
-            console.log(`Message ID: ${msg.id}, Role: ${msg.role}, Sender: ${sender}, Text: ${msg.text.substring(0, 50)}...`);
-            return {
-              id: msg.id || String(msg.createdAt),
-              text: msg.text,
-              sender: sender, // Use role field instead of alternating
-              timestamp: new Date(msg.createdAt).toLocaleTimeString([], {
-                hour: "2-digit",
-                minute: "2-digit",
-              }),
-            };
-          }
-        );
-        setMessages(formattedMessages);
+        const formattedMessages: Message[] = data.data.map(toChatMessage);
+        setMessages(await attachPendingActions(formattedMessages, token));
+        setIsLoading(false);
+      } else if (data.success && data.conversation) {
+        // An empty thread the user started - nothing to show yet
+        setMessages([]);
         setIsLoading(false);
       } else {
         // No conversation history - fetch onboarding prompt from backend
@@ -239,7 +268,7 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
     } catch (error) {
       console.error("Error loading conversation:", error);
       // On error, try to fetch onboarding prompt
-      const token = await AsyncStorage.getItem("@user_token");
+      const token = await getAccessToken();
       if (token) {
         await fetchOnboardingPrompt(token);
       } else {
@@ -249,6 +278,46 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
     }
   };
 
+  /**
+   * Load the page of messages before the oldest one shown
+   */
+  const loadOlderMessages = async () => {
+    if (!olderCursor || loadingOlderRef.current || !conversation || !user?.id) return;
+
+    try {
+      loadingOlderRef.current = true;
+      setIsLoadingOlder(true);
+      const token = await getAccessToken();
+      if (!token) return;
+
+      const response = await authFetch(
+        `${SERVICE_URL}/api/chat/history/${user.id}?conversationId=${conversation.id}&cursor=${olderCursor}`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      const data = await response.json();
+
+      if (data.success) {
+        const older = await attachPendingActions(data.data.map(toChatMessage), token);
+        prependingRef.current = older.length > 0;
+        setMessages((prev) => [...older, ...prev]);
+        setOlderCursor(data.nextCursor || null);
+      } else {
+        console.error("Failed to load older messages:", data.error);
+      }
+    } catch (error) {
+      console.error("Error loading older messages:", error);
+    } finally {
+      loadingOlderRef.current = false;
+      setIsLoadingOlder(false);
+    }
+  };
+
+  const handleMessagesScroll = (event: NativeSyntheticEvent<NativeScrollEvent>) => {
+    if (event.nativeEvent.contentOffset.y < LOAD_OLDER_THRESHOLD) {
+      loadOlderMessages();
+    }
+  };
+
   const fetchOnboardingPrompt = async (token: string) => {
     try {
       if (!user?.id) {
@@ -259,7 +328,7 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
       console.log("Fetching onboarding prompt...");
 
       // Call generateChatResponse with empty message to get onboarding prompt
-      const response = await fetch(`${SERVICE_URL}/api/chat`, {
+      const response = await authFetch(`${SERVICE_URL}/api/chat`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
@@ -272,6 +341,7 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
       console.log("Onboarding response:", data);
 
       if (data.success && data.data && data.data.aiResponse) {
+        setConversation(data.data.conversation || null);
         // Display the onboarding prompt from backend
         const onboardingMessage: Message = {
           id: data.data.aiResponse.id || String(Date.now()),
@@ -294,6 +364,216 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
     }
   };
 
+  /**
+   * Load the user's active or archived threads for the thread list
+   */
+  const loadConversations = async (archived: boolean) => {
+    try {
+      const token = await getAccessToken();
+      if (!token) return;
+
+      const response = await authFetch(
+        `${SERVICE_URL}/api/chat/conversations${archived ? "?archived=true" : ""}`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      const data = await response.json();
+      if (data.success) setConversations(data.data);
+    } catch (error) {
+      console.error("Error loading conversations:", error);
+    }
+  };
+
+  const toggleThreads = () => {
+    if (!showThreads) loadConversations(showArchived);
+    setShowThreads(!showThreads);
+  };
+
+  const toggleArchived = () => {
+    loadConversations(!showArchived);
+    setShowArchived(!showArchived);
+  };
+
+  const handleSelectConversation = (thread: ChatConversation) => {
+    setShowThreads(false);
+    loadConversationHistory(thread.id);
+  };
+
+  const handleNewConversation = async () => {
+    try {
+      const token = await getAccessToken();
+      if (!token) return;
+
+      const response = await authFetch(`${SERVICE_URL}/api/chat/conversations`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({}),
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setConversation(data.data);
+        setMessages([]);
+        setOlderCursor(null);
+        setShowThreads(false);
+      } else {
+        console.error("Failed to start conversation:", data.error);
+      }
+    } catch (error) {
+      console.error("Error starting conversation:", error);
+    }
+  };
+
+  /**
+   * After the open thread was archived or deleted, open the next active one
+   * (or start over with an empty screen when there is none)
+   */
+  const leaveConversation = (remaining: ChatConversation[]) => {
+    const next = remaining.find((thread) => !thread.archivedAt);
+    if (next) {
+      loadConversationHistory(next.id);
+    } else {
+      setConversation(null);
+      setMessages([]);
+      setOlderCursor(null);
+    }
+  };
+
+  const handleArchiveConversation = async (thread: ChatConversation, archived: boolean) => {
+    try {
+      const token = await getAccessToken();
+      if (!token) return;
+
+      const response = await authFetch(`${SERVICE_URL}/api/chat/conversations/${thread.id}`, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ archived }),
+      });
+      const data = await response.json();
+      if (!data.success) {
+        console.error("Failed to update conversation:", data.error);
+        return;
+      }
+
+      // The thread moves to the other list
+      const remaining = conversations.filter((item) => item.id !== thread.id);
+      setConversations(remaining);
+      if (archived && thread.id === conversation?.id) leaveConversation(remaining);
+    } catch (error) {
+      console.error("Error updating conversation:", error);
+    }
+  };
+
+  const deleteConversation = async (thread: ChatConversation) => {
+    try {
+      const token = await getAccessToken();
+      if (!token) return;
+
+      const response = await authFetch(`${SERVICE_URL}/api/chat/conversations/${thread.id}`, {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!data.success) {
+        Alert.alert("Error", data.error || "Failed to delete conversation");
+        return;
+      }
+
+      const remaining = conversations.filter((item) => item.id !== thread.id);
+      setConversations(remaining);
+      if (thread.id === conversation?.id) leaveConversation(showArchived ? [] : remaining);
+    } catch (error) {
+      console.error("Error deleting conversation:", error);
+    }
+  };
+
+  const handleDeleteConversation = (thread: ChatConversation) => {
+    Alert.alert(
+      "Delete conversation?",
+      `"${thread.title}" and all its messages will be deleted. The coach will no longer remember them.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Delete", style: "destructive", onPress: () => deleteConversation(thread) },
+      ]
+    );
+  };
+
+  /**
+   * Stream the AI reply into a placeholder bot message.
+   * Resolves false only if the stream failed before the service saved the
+   * user message, so the caller can fall back to POST /api/chat without
+   * sending it twice. Once started, a failure is shown in the placeholder.
+   */
+  const streamAIResponse = (messageText: string, token: string) =>
+    new Promise<boolean>((resolve) => {
+      const placeholderId = `stream-${Date.now()}`;
+      let started = false;
+      let receivedText = false;
+
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: placeholderId,
+          text: "",
+          sender: "bot",
+          timestamp: new Date().toLocaleTimeString([], {
+            hour: "2-digit",
+            minute: "2-digit",
+          }),
+        },
+      ]);
+
+      cancelStreamRef.current = streamChatMessage(messageText, token, {
+        onStart: (_userMessage, startedConversation) => {
+          started = true;
+          if (startedConversation) setConversation(startedConversation);
+        },
+        onToken: (text) => {
+          receivedText = true;
+          setMessages((prev) =>
+            prev.map((msg) =>
+              msg.id === placeholderId ? { ...msg, text: msg.text + text } : msg
+            )
+          );
+        },
+        onDone: (aiResponse, actions, created) => {
+          cancelStreamRef.current = null;
+          if (created.length > 0) refreshActionStatuses(token);
+          // Swap the placeholder for the persisted message
+          setMessages((prev) =>
+            prev.map((msg) =>
+              msg.id === placeholderId
+                ? { ...msg, id: aiResponse.id, text: aiResponse.text, actions }
+                : msg
+            )
+          );
+          resolve(true);
+        },
+        onError: (error) => {
+          cancelStreamRef.current = null;
+          console.error("Chat stream failed:", error);
+          if (!started) {
+            setMessages((prev) => prev.filter((msg) => msg.id !== placeholderId));
+          } else if (!receivedText) {
+            // The user message is saved; keep it and say the reply failed
+            setMessages((prev) =>
+              prev.map((msg) =>
+                msg.id === placeholderId
+                  ? { ...msg, text: "Sorry, I couldn't finish my reply. Please try again." }
+                  : msg
+              )
+            );
+          }
+          resolve(started);
+        },
+      }, conversation?.id);
+    });
+
   const handleSendMessage = async () => {
     if (!inputText.trim() || !user?.id) return;
 
@@ -315,26 +595,31 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
     setIsSending(true);
 
     try {
-      const token = await AsyncStorage.getItem("@user_token");
+      const token = await getAccessToken();
       if (!token) {
         console.error("Auth token not found");
         setIsSending(false);
         return;
       }
 
-      // Send message to backend
-      const response = await fetch(`${SERVICE_URL}/api/chat`, {
+      // Render the reply as it is generated
+      if (await streamAIResponse(userMessageText, token)) return;
+
+      // Streaming unavailable - fall back to the regular endpoint
+      const response = await authFetch(`${SERVICE_URL}/api/chat`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
           Authorization: `Bearer ${token}`,
         },
-        body: JSON.stringify({ message: userMessageText }),
+        body: JSON.stringify({ message: userMessageText, conversationId: conversation?.id }),
       });
 
       const data = await response.json();
 
       if (data.success && data.data) {
+        if (data.data.conversation) setConversation(data.data.conversation);
+
         // Add AI response to UI
         const aiMessage: Message = {
           id: data.data.aiResponse.id || String(Date.now() + 1),
@@ -344,12 +629,25 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
             hour: "2-digit",
             minute: "2-digit",
           }),
+          actions: data.data.actions || [],
         };
 
         setMessages((prev) => [...prev, aiMessage]);
-        
-        // Trigger suggestion generation only after new message is sent
-        setShouldGenerateSuggestion(true);
+        if (data.data.created?.length > 0) refreshActionStatuses(token);
+      } else if (data.code === "TOKEN_BUDGET_EXCEEDED") {
+        // Usage limit reached - tell the user instead of failing silently
+        setMessages((prev) => [
+          ...prev,
+          {
+            id: String(Date.now() + 1),
+            text: data.message,
+            sender: "bot",
+            timestamp: new Date().toLocaleTimeString([], {
+              hour: "2-digit",
+              minute: "2-digit",
+            }),
+          },
+        ]);
       } else {
         console.error("Failed to get AI response:", data.error);
       }
@@ -377,8 +675,37 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
             : styles.botBubble,
         ]}
       >
-        <Text style={styles.messageText}>{item.text}</Text>
+        <Text style={styles.messageText}>{item.text || "…"}</Text>
       </View>
+      {item.actions?.map((action) => (
+        <View key={action.id} style={styles.actionCard}>
+          <Text style={styles.actionSummary}>{action.summary}</Text>
+          {action.status === "pending" ? (
+            <View style={styles.actionButtons}>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.actionConfirmButton]}
+                onPress={() => handleActionResponse(item.id, action.id, "confirm")}
+              >
+                <Text style={styles.actionButtonText}>Confirm</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.actionButton}
+                onPress={() => handleActionResponse(item.id, action.id, "reject")}
+              >
+                <Text style={styles.actionButtonText}>Dismiss</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <Text style={styles.actionStatus}>
+              {action.status === "confirmed"
+                ? "✓ Added"
+                : action.status === "failed"
+                ? "Couldn't add this"
+                : "Dismissed"}
+            </Text>
+          )}
+        </View>
+      ))}
       <Text style={styles.timestamp}>{item.timestamp}</Text>
     </View>
   );
@@ -407,15 +734,69 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
       keyboardVerticalOffset={100}
     >
       <View style={styles.container}>
-        {/* Header */}
+        {/* Header - the title opens the thread list (not while a reply is on its way) */}
         <View style={styles.header}>
           <TouchableOpacity onPress={() => navigation.goBack()}>
             <Text style={styles.backButton}>← Back</Text>
           </TouchableOpacity>
-          <Text style={styles.title}>Chat</Text>
-          <View style={{ width: 40 }} />
+          <TouchableOpacity style={styles.titleButton} onPress={toggleThreads} disabled={isSending}>
+            <Text style={styles.title} numberOfLines={1}>
+              {conversation?.title || "Chat"} {showThreads ? "▴" : "▾"}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={handleNewConversation} disabled={isSending}>
+            <Text style={styles.backButton}>+ New</Text>
+          </TouchableOpacity>
         </View>
 
+        {/* Thread List */}
+        {showThreads && (
+          <View style={styles.threadPanel}>
+            <ScrollView style={styles.threadList}>
+              {conversations.length === 0 && (
+                <Text style={styles.threadEmpty}>
+                  {showArchived ? "No archived conversations" : "No conversations yet"}
+                </Text>
+              )}
+              {conversations.map((thread) => (
+                <View
+                  key={thread.id}
+                  style={[styles.threadRow, thread.id === conversation?.id && styles.threadRowActive]}
+                >
+                  <TouchableOpacity
+                    style={styles.threadInfo}
+                    onPress={() => handleSelectConversation(thread)}
+                  >
+                    <Text style={styles.threadTitle} numberOfLines={1}>{thread.title}</Text>
+                    {thread.lastMessage && (
+                      <Text style={styles.threadPreview} numberOfLines={1}>
+                        {thread.lastMessage.text}
+                      </Text>
+                    )}
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={styles.threadAction}
+                    onPress={() => handleArchiveConversation(thread, !showArchived)}
+                  >
+                    <Text style={styles.threadActionText}>{showArchived ? "Restore" : "Archive"}</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={styles.threadAction}
+                    onPress={() => handleDeleteConversation(thread)}
+                  >
+                    <Text style={[styles.threadActionText, styles.threadDeleteText]}>Delete</Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+            </ScrollView>
+            <TouchableOpacity style={styles.threadToggle} onPress={toggleArchived}>
+              <Text style={styles.threadToggleText}>
+                {showArchived ? "← Active conversations" : "Archived conversations →"}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
         {/* Messages */}
         <FlatList
           ref={flatListRef}
@@ -425,6 +806,13 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
           style={styles.messagesList}
           contentContainerStyle={styles.messagesContent}
           scrollEnabled={true}
+          onScroll={handleMessagesScroll}
+          scrollEventThrottle={200}
+          // Keep the visible messages in place when older ones are prepended
+          maintainVisibleContentPosition={{ minIndexForVisible: 0 }}
+          ListHeaderComponent={
+            isLoadingOlder ? <ActivityIndicator style={styles.olderLoading} color="#0066cc" /> : null
+          }
           ListEmptyComponent={
             <View style={styles.emptyState}>
               <Text style={styles.emptyStateText}>No messages yet</Text>
@@ -436,38 +824,6 @@ export default function ChatScreen({ navigation }: ChatScreenProps) {
           }}
         />
 
-        {/* Suggestion Card */}
-        {suggestion && (
-          <View style={styles.suggestionCard}>
-            <View style={styles.suggestionHeader}>
-              <Text style={styles.suggestionBadge}>
-                {suggestion.type === "goal" 
-                  ? `💡 ${(suggestion as any).goalType === "longterm" ? "Long-Term Goal" : "Daily Goal"}`
-                  : "📅 Event"}
-              </Text>
-              <TouchableOpacity
-                onPress={() => setSuggestion(null)}
-                style={styles.suggestionDismiss}
-              >
-                <Text style={styles.suggestionDismissText}>✕</Text>
-              </TouchableOpacity>
-            </View>
-            <Text style={styles.suggestionText}>{suggestion.text}</Text>
-            <View style={styles.suggestionActions}>
-              <TouchableOpacity
-                style={[styles.suggestionButton, styles.suggestionAddButton]}
-                onPress={() => handleAddSuggestion(suggestion)}
-              >
-                <Text style={styles.suggestionButtonText}>
-                  {suggestion.type === "goal" 
-                    ? `Add ${(suggestion as any).goalType === "longterm" ? "Long-Term" : "Daily"} Goal`
-                    : "Schedule Event"}
-                </Text>
-              </TouchableOpacity>
-            </View>
-          </View>
-        )}
-
         {/* Input Area */}
         <View style={styles.inputArea}>
           <TextInput
@@ -511,6 +867,9 @@ const styles = StyleSheet.create({
     justifyContent: "center",
     alignItems: "center",
   },
+  olderLoading: {
+    paddingVertical: 12,
+  },
   emptyState: {
     flex: 1,
     justifyContent: "center",
@@ -548,6 +907,69 @@ const styles = StyleSheet.create({
     fontWeight: "bold",
     color: "#fff",
   },
+  titleButton: {
+    flex: 1,
+    alignItems: "center",
+    marginHorizontal: 12,
+  },
+  threadPanel: {
+    maxHeight: 320,
+    borderBottomWidth: 1,
+    borderBottomColor: "#1a1a1a",
+  },
+  threadList: {
+    paddingHorizontal: 16,
+  },
+  threadEmpty: {
+    color: "#999",
+    fontSize: 14,
+    paddingVertical: 12,
+    textAlign: "center",
+  },
+  threadRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+    paddingHorizontal: 8,
+    borderRadius: 8,
+  },
+  threadRowActive: {
+    backgroundColor: "#1a1a1a",
+  },
+  threadInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  threadTitle: {
+    color: "#fff",
+    fontSize: 15,
+    fontWeight: "600",
+  },
+  threadPreview: {
+    color: "#999",
+    fontSize: 13,
+    marginTop: 2,
+  },
+  threadAction: {
+    paddingHorizontal: 6,
+    paddingVertical: 4,
+  },
+  threadActionText: {
+    color: "#0066cc",
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  threadDeleteText: {
+    color: "#FF3B30",
+  },
+  threadToggle: {
+    paddingVertical: 10,
+    alignItems: "center",
+  },
+  threadToggleText: {
+    color: "#999",
+    fontSize: 13,
+  },
   messagesList: {
     flex: 1,
   },
@@ -621,57 +1043,41 @@ const styles = StyleSheet.create({
     fontSize: 15,
     fontWeight: "600",
   },
-  suggestionCard: {
-    marginHorizontal: 16,
-    marginBottom: 12,
-    padding: 12,
+  actionCard: {
+    maxWidth: "80%",
+    marginTop: 6,
+    padding: 10,
     backgroundColor: "#1a1a1a",
     borderRadius: 12,
     borderLeftWidth: 4,
     borderLeftColor: "#0066cc",
   },
-  suggestionHeader: {
-    flexDirection: "row",
-    justifyContent: "space-between",
-    alignItems: "center",
-    marginBottom: 8,
-  },
-  suggestionBadge: {
-    fontSize: 12,
-    fontWeight: "600",
-    color: "#0066cc",
-  },
-  suggestionDismiss: {
-    padding: 4,
-  },
-  suggestionDismissText: {
-    color: "#666",
-    fontSize: 16,
-    fontWeight: "bold",
-  },
-  suggestionText: {
-    fontSize: 14,
+  actionSummary: {
     color: "#fff",
-    marginBottom: 10,
-    fontWeight: "500",
+    fontSize: 14,
+    marginBottom: 8,
   },
-  suggestionActions: {
+  actionButtons: {
     flexDirection: "row",
     gap: 8,
   },
-  suggestionButton: {
+  actionButton: {
     flex: 1,
-    paddingVertical: 8,
+    paddingVertical: 6,
     borderRadius: 8,
     alignItems: "center",
-    justifyContent: "center",
+    backgroundColor: "#333",
   },
-  suggestionAddButton: {
+  actionConfirmButton: {
     backgroundColor: "#0066cc",
   },
-  suggestionButtonText: {
+  actionButtonText: {
     color: "#fff",
     fontSize: 13,
     fontWeight: "600",
   },
+  actionStatus: {
+    color: "#999",
+    fontSize: 12,
+  },
 });
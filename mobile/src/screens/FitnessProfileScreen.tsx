@@ -0,0 +1,637 @@
+/**
+ * ============================================================================
+ * Fitness Profile Review Screen
+ * ============================================================================
+ *
+ * Shows the fitness profile the coach extracted from the user's onboarding
+ * reply so they can confirm it or correct it.
+ * Features:
+ * - Extraction confidence and warnings while the profile is unconfirmed
+ * - Edit name, goals, coaching tone, injuries and equipment
+ * - Pick experience level and training days
+ * - Body details (sex, age, height, weight) and nutrition goal, which the
+ *   daily calorie and macro targets are computed from
+ * - Confirming saves the profile and marks it as manually verified
+ *
+ * @module mobile/src/screens/FitnessProfileScreen
+ */
+
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+} from "react-native";
+import { authFetch, getAccessToken } from "../services/authSession";
+import { useAuth } from "../context/AuthContext";
+import { StackScreenProps } from "@react-navigation/stack";
+import { RootStackParamList } from "../navigation/AppNavigator";
+import { SERVICE_URL } from "@env";
+
+type FitnessProfileScreenProps = StackScreenProps<RootStackParamList, "FitnessProfile">;
+
+type ExperienceLevel = "beginner" | "intermediate" | "advanced";
+
+type Sex = "male" | "female";
+
+type NutritionGoal = "lose" | "maintain" | "gain";
+
+/** Profile as returned and accepted by /api/ai-memory/:userId/profile */
+interface FitnessProfile {
+  name?: string;
+  goals: string[];
+  tone?: string;
+  experienceLevel?: ExperienceLevel;
+  injuries?: string[];
+  equipment?: string[];
+  availableDays?: string[];
+  sex?: Sex;
+  age?: number;
+  heightCm?: number;
+  weightKg?: number;
+  nutritionGoal?: NutritionGoal;
+}
+
+interface Extraction {
+  method?: "llm" | "regex" | null;
+  confidence?: "high" | "medium" | "low" | null;
+  warnings: string[];
+}
+
+const EXPERIENCE_LEVELS: ExperienceLevel[] = ["beginner", "intermediate", "advanced"];
+
+const SEXES: Sex[] = ["male", "female"];
+
+const NUTRITION_GOALS: { key: NutritionGoal; label: string }[] = [
+  { key: "lose", label: "Lose weight" },
+  { key: "maintain", label: "Maintain" },
+  { key: "gain", label: "Gain weight" },
+];
+
+const WEEKDAYS = [
+  { key: "monday", label: "Mon" },
+  { key: "tuesday", label: "Tue" },
+  { key: "wednesday", label: "Wed" },
+  { key: "thursday", label: "Thu" },
+  { key: "friday", label: "Fri" },
+  { key: "saturday", label: "Sat" },
+  { key: "sunday", label: "Sun" },
+];
+
+/** Split a comma-separated input into trimmed, non-empty items */
+const splitList = (text: string) =>
+  text.split(",").map((item) => item.trim()).filter(Boolean);
+
+const capitalize = (text: string) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/** Parse a numeric input, or undefined when it is empty or not a number */
+const parseNumber = (text: string) => {
+  const value = parseFloat(text.replace(",", "."));
+  return Number.isFinite(value) ? value : undefined;
+};
+
+export default function FitnessProfileScreen({ navigation }: FitnessProfileScreenProps) {
+  const { user } = useAuth();
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [hasProfile, setHasProfile] = useState(false);
+  const [manuallyVerified, setManuallyVerified] = useState(false);
+  const [extraction, setExtraction] = useState<Extraction>({ warnings: [] });
+
+  // Form fields (lists are edited as text: goals one per line, others comma-separated)
+  const [name, setName] = useState("");
+  const [goalsText, setGoalsText] = useState("");
+  const [tone, setTone] = useState("");
+  const [experienceLevel, setExperienceLevel] = useState<ExperienceLevel | undefined>();
+  const [injuriesText, setInjuriesText] = useState("");
+  const [equipmentText, setEquipmentText] = useState("");
+  const [availableDays, setAvailableDays] = useState<string[]>([]);
+  const [sex, setSex] = useState<Sex | undefined>();
+  const [ageText, setAgeText] = useState("");
+  const [heightText, setHeightText] = useState("");
+  const [weightText, setWeightText] = useState("");
+  const [nutritionGoal, setNutritionGoal] = useState<NutritionGoal | undefined>();
+
+  const fillForm = (profile: FitnessProfile) => {
+    setName(profile.name || "");
+    setGoalsText((profile.goals || []).join("\n"));
+    setTone(profile.tone || "");
+    setExperienceLevel(profile.experienceLevel);
+    setInjuriesText((profile.injuries || []).join(", "));
+    setEquipmentText((profile.equipment || []).join(", "));
+    setAvailableDays(profile.availableDays || []);
+    setSex(profile.sex);
+    setAgeText(profile.age !== undefined ? String(profile.age) : "");
+    setHeightText(profile.heightCm !== undefined ? String(profile.heightCm) : "");
+    setWeightText(profile.weightKg !== undefined ? String(profile.weightKg) : "");
+    setNutritionGoal(profile.nutritionGoal);
+  };
+
+  const fetchProfile = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const token = await getAccessToken();
+      const response = await authFetch(`${SERVICE_URL}/api/ai-memory/${user?.id}/profile`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+
+      if (response.status === 404) {
+        // Nothing extracted yet - the user can fill the form in themselves
+        setHasProfile(false);
+        return;
+      }
+
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        console.error("Failed to fetch fitness profile:", response.status, result.error);
+        return;
+      }
+
+      setHasProfile(true);
+      setManuallyVerified(result.data.manuallyVerified);
+      setExtraction(result.data.extraction);
+      fillForm(result.data.profile);
+    } catch (error) {
+      console.error("Error fetching fitness profile:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user?.id]);
+
+  useEffect(() => {
+    fetchProfile();
+  }, [fetchProfile]);
+
+  const toggleDay = (day: string) => {
+    setAvailableDays((days) =>
+      days.includes(day) ? days.filter((d) => d !== day) : [...days, day]
+    );
+  };
+
+  const handleConfirm = async () => {
+    const profile: FitnessProfile = {
+      goals: goalsText.split("\n").map((goal) => goal.trim()).filter(Boolean),
+      injuries: splitList(injuriesText),
+      equipment: splitList(equipmentText),
+      // Keep the server's weekday order
+      availableDays: WEEKDAYS.map((day) => day.key).filter((day) => availableDays.includes(day)),
+    };
+    if (name.trim()) profile.name = name.trim();
+    if (tone.trim()) profile.tone = tone.trim();
+    if (experienceLevel) profile.experienceLevel = experienceLevel;
+    if (sex) profile.sex = sex;
+    if (nutritionGoal) profile.nutritionGoal = nutritionGoal;
+
+    const age = parseNumber(ageText);
+    const heightCm = parseNumber(heightText);
+    const weightKg = parseNumber(weightText);
+    if (age !== undefined) profile.age = Math.round(age);
+    if (heightCm !== undefined) profile.heightCm = heightCm;
+    if (weightKg !== undefined) profile.weightKg = weightKg;
+
+    try {
+      setIsSaving(true);
+      const token = await getAccessToken();
+      const response = await authFetch(`${SERVICE_URL}/api/ai-memory/${user?.id}/profile`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(profile),
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        // Validation errors list one message per field
+        const message = Array.isArray(result.details)
+          ? result.details.map((detail: { message: string }) => detail.message).join("\n")
+          : result.error;
+        Alert.alert("Error", message || "Failed to save profile");
+        return;
+      }
+
+      setHasProfile(true);
+      setManuallyVerified(true);
+      fillForm(result.data.profile);
+      Alert.alert("Profile confirmed", "Your coach will use this profile from now on.", [
+        { text: "OK", onPress: () => navigation.goBack() },
+      ]);
+    } catch (error) {
+      Alert.alert("Error", "Failed to save profile");
+      console.error("Confirm profile error:", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#0066cc" />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} showsVerticalScrollIndicator={false}>
+      {/* Header with Back Button */}
+      <View style={styles.headerContainer}>
+        <TouchableOpacity
+          style={styles.backButtonContainer}
+          onPress={() => navigation.goBack()}
+        >
+          <Text style={styles.backButton}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Fitness Profile</Text>
+      </View>
+
+      {/* Verification Status */}
+      {manuallyVerified ? (
+        <View style={[styles.banner, styles.verifiedBanner]}>
+          <Text style={styles.bannerTitle}>Confirmed by you</Text>
+          <Text style={styles.bannerText}>Edit anything below and confirm again to update it.</Text>
+        </View>
+      ) : hasProfile ? (
+        <View style={[styles.banner, styles.reviewBanner]}>
+          <Text style={styles.bannerTitle}>
+            Please review{extraction.confidence ? ` (${extraction.confidence} confidence)` : ""}
+          </Text>
+          <Text style={styles.bannerText}>
+            Your coach filled this in from your chat. Check it and correct anything it got wrong.
+          </Text>
+          {extraction.warnings.map((warning) => (
+            <Text key={warning} style={styles.warningText}>• {warning}</Text>
+          ))}
+        </View>
+      ) : (
+        <View style={[styles.banner, styles.reviewBanner]}>
+          <Text style={styles.bannerText}>
+            No profile yet. Fill it in here or tell your coach about yourself in the chat.
+          </Text>
+        </View>
+      )}
+
+      {/* About You */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>About You</Text>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Name</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="What should your coach call you?"
+            placeholderTextColor="#666"
+            value={name}
+            onChangeText={setName}
+            editable={!isSaving}
+          />
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Goals (one per line)</Text>
+          <TextInput
+            style={[styles.input, styles.multilineInput]}
+            placeholder={"Run a half marathon\nBuild upper body strength"}
+            placeholderTextColor="#666"
+            value={goalsText}
+            onChangeText={setGoalsText}
+            multiline
+            editable={!isSaving}
+          />
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Coaching Tone</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="e.g. encouraging, firm, supportive"
+            placeholderTextColor="#666"
+            value={tone}
+            onChangeText={setTone}
+            autoCapitalize="none"
+            editable={!isSaving}
+          />
+        </View>
+      </View>
+
+      {/* Training */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Training</Text>
+
+        <Text style={styles.label}>Experience Level</Text>
+        <View style={styles.chipRow}>
+          {EXPERIENCE_LEVELS.map((level) => (
+            <TouchableOpacity
+              key={level}
+              style={[styles.chip, experienceLevel === level && styles.chipSelected]}
+              onPress={() => setExperienceLevel(experienceLevel === level ? undefined : level)}
+              disabled={isSaving}
+            >
+              <Text style={[styles.chipText, experienceLevel === level && styles.chipTextSelected]}>
+                {capitalize(level)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <Text style={styles.label}>Available Days</Text>
+        <View style={styles.chipRow}>
+          {WEEKDAYS.map((day) => (
+            <TouchableOpacity
+              key={day.key}
+              style={[styles.chip, styles.dayChip, availableDays.includes(day.key) && styles.chipSelected]}
+              onPress={() => toggleDay(day.key)}
+              disabled={isSaving}
+            >
+              <Text style={[styles.chipText, availableDays.includes(day.key) && styles.chipTextSelected]}>
+                {day.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Injuries or Limitations (comma-separated)</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="e.g. left knee pain"
+            placeholderTextColor="#666"
+            value={injuriesText}
+            onChangeText={setInjuriesText}
+            editable={!isSaving}
+          />
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Equipment (comma-separated)</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="e.g. dumbbells, pull-up bar"
+            placeholderTextColor="#666"
+            value={equipmentText}
+            onChangeText={setEquipmentText}
+            editable={!isSaving}
+          />
+        </View>
+      </View>
+
+      {/* Body & Nutrition */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Body & Nutrition</Text>
+        <Text style={styles.sectionHint}>Used to work out your daily calorie and macro targets.</Text>
+
+        <Text style={styles.label}>Sex</Text>
+        <View style={styles.chipRow}>
+          {SEXES.map((option) => (
+            <TouchableOpacity
+              key={option}
+              style={[styles.chip, sex === option && styles.chipSelected]}
+              onPress={() => setSex(sex === option ? undefined : option)}
+              disabled={isSaving}
+            >
+              <Text style={[styles.chipText, sex === option && styles.chipTextSelected]}>
+                {capitalize(option)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <View style={styles.inputRow}>
+          <View style={[styles.inputContainer, styles.inputRowItem]}>
+            <Text style={styles.label}>Age</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="30"
+              placeholderTextColor="#666"
+              value={ageText}
+              onChangeText={setAgeText}
+              keyboardType="number-pad"
+              editable={!isSaving}
+            />
+          </View>
+
+          <View style={[styles.inputContainer, styles.inputRowItem]}>
+            <Text style={styles.label}>Height (cm)</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="175"
+              placeholderTextColor="#666"
+              value={heightText}
+              onChangeText={setHeightText}
+              keyboardType="decimal-pad"
+              editable={!isSaving}
+            />
+          </View>
+
+          <View style={[styles.inputContainer, styles.inputRowItem]}>
+            <Text style={styles.label}>Weight (kg)</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="70"
+              placeholderTextColor="#666"
+              value={weightText}
+              onChangeText={setWeightText}
+              keyboardType="decimal-pad"
+              editable={!isSaving}
+            />
+          </View>
+        </View>
+
+        <Text style={styles.label}>Nutrition Goal</Text>
+        <View style={styles.chipRow}>
+          {NUTRITION_GOALS.map((goal) => (
+            <TouchableOpacity
+              key={goal.key}
+              style={[styles.chip, nutritionGoal === goal.key && styles.chipSelected]}
+              onPress={() => setNutritionGoal(nutritionGoal === goal.key ? undefined : goal.key)}
+              disabled={isSaving}
+            >
+              <Text style={[styles.chipText, nutritionGoal === goal.key && styles.chipTextSelected]}>
+                {goal.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      <TouchableOpacity
+        style={[styles.button, isSaving && styles.buttonDisabled]}
+        onPress={handleConfirm}
+        disabled={isSaving}
+      >
+        {isSaving ? (
+          <ActivityIndicator size="small" color="#fff" />
+        ) : (
+          <Text style={styles.buttonText}>{manuallyVerified ? "Save Changes" : "Confirm Profile"}</Text>
+        )}
+      </TouchableOpacity>
+
+      <View style={styles.bottomSpacer} />
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#000",
+    paddingHorizontal: 16,
+    paddingTop: 55,
+  },
+  loadingContainer: {
+    flex: 1,
+    backgroundColor: "#000",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  headerContainer: {
+    flexDirection: "column",
+    alignItems: "center",
+    marginBottom: 24,
+    position: "relative",
+    width: "100%",
+  },
+  backButtonContainer: {
+    position: "absolute",
+    left: 0,
+    top: -4,
+  },
+  backButton: {
+    color: "#0066cc",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: "bold",
+    color: "#fff",
+  },
+  banner: {
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 24,
+    borderWidth: 1,
+  },
+  reviewBanner: {
+    backgroundColor: "#2a2200",
+    borderColor: "#665500",
+  },
+  verifiedBanner: {
+    backgroundColor: "#0a2a12",
+    borderColor: "#1f6b33",
+  },
+  bannerTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#fff",
+    marginBottom: 4,
+  },
+  bannerText: {
+    fontSize: 13,
+    color: "#ccc",
+  },
+  warningText: {
+    fontSize: 12,
+    color: "#d9b44a",
+    marginTop: 4,
+  },
+  section: {
+    marginBottom: 24,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#fff",
+    marginBottom: 16,
+  },
+  sectionHint: {
+    fontSize: 13,
+    color: "#999",
+    marginTop: -8,
+    marginBottom: 16,
+  },
+  inputContainer: {
+    marginBottom: 16,
+  },
+  inputRow: {
+    flexDirection: "row",
+    gap: 12,
+  },
+  inputRowItem: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 14,
+    color: "#ccc",
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: "#1a1a1a",
+    borderWidth: 1,
+    borderColor: "#333",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    color: "#fff",
+    fontSize: 14,
+  },
+  multilineInput: {
+    minHeight: 96,
+    textAlignVertical: "top",
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 16,
+  },
+  chip: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#333",
+    backgroundColor: "#1a1a1a",
+  },
+  dayChip: {
+    paddingHorizontal: 10,
+  },
+  chipSelected: {
+    backgroundColor: "#0066cc",
+    borderColor: "#0066cc",
+  },
+  chipText: {
+    fontSize: 14,
+    color: "#ccc",
+  },
+  chipTextSelected: {
+    color: "#fff",
+    fontWeight: "600",
+  },
+  button: {
+    backgroundColor: "#0066cc",
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    borderRadius: 12,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  bottomSpacer: {
+    height: 40,
+  },
+});
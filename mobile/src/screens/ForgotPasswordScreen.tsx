@@ -0,0 +1,189 @@
+/**
+ * ============================================================================
+ * Forgot Password Screen
+ * ============================================================================
+ * 
+ * First step of password recovery.
+ * Features:
+ * - Email input field
+ * - Requests a reset code by email
+ * - Continues to the Reset Password screen
+ * - Navigation back to Sign In
+ * 
+ * @module mobile/src/screens/ForgotPasswordScreen
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+} from 'react-native';
+import { useAuth } from '../context/AuthContext';
+
+interface ForgotPasswordScreenProps {
+  navigation: any;
+}
+
+const ForgotPasswordScreen: React.FC<ForgotPasswordScreenProps> = ({ navigation }) => {
+  const [email, setEmail] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const { requestPasswordReset } = useAuth();
+
+  const handleSendCode = async () => {
+    if (!email) {
+      Alert.alert('Error', 'Please enter your email');
+      return;
+    }
+
+    setIsLoading(true);
+    const { success, error } = await requestPasswordReset(email.trim());
+    setIsLoading(false);
+
+    if (!success) {
+      Alert.alert('Error', error || 'Failed to send reset code. Please try again.');
+      return;
+    }
+
+    Alert.alert('Check your email', 'If an account exists for that email, we sent a reset code.');
+    navigation.navigate('ResetPassword', { email: email.trim() });
+  };
+
+  const navigateToResetPassword = () => {
+    navigation.navigate('ResetPassword', { email: email.trim() });
+  };
+
+  const navigateToSignIn = () => {
+    navigation.navigate('SignIn');
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        <View style={styles.content}>
+          <Text style={styles.title}>Forgot Password?</Text>
+          <Text style={styles.subtitle}>We'll email you a code to reset it</Text>
+
+          <View style={styles.inputContainer}>
+            <TextInput
+              style={styles.input}
+              placeholder="Email"
+              value={email}
+              onChangeText={setEmail}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoComplete="email"
+            />
+          </View>
+
+          <TouchableOpacity
+            style={[styles.button, isLoading && styles.buttonDisabled]}
+            onPress={handleSendCode}
+            disabled={isLoading}
+          >
+            {isLoading ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>Send Reset Code</Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.secondaryLink} onPress={navigateToResetPassword}>
+            <Text style={styles.footerLink}>I already have a code</Text>
+          </TouchableOpacity>
+
+          <View style={styles.footer}>
+            <Text style={styles.footerText}>Remembered it? </Text>
+            <TouchableOpacity onPress={navigateToSignIn}>
+              <Text style={styles.footerLink}>Sign In</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+  },
+  content: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 8,
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 16,
+    textAlign: 'center',
+    marginBottom: 40,
+    color: '#666',
+  },
+  inputContainer: {
+    marginBottom: 16,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    padding: 16,
+    alignItems: 'center',
+    marginTop: 16,
+    marginBottom: 20,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  secondaryLink: {
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  footerText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  footerLink: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+});
+
+export default ForgotPasswordScreen;
@@ -13,7 +13,9 @@
  * Features:
  * - Pull-to-refresh goal and event loading
  * - Calendar navigation
- * - Goal completion tracking
+ * - Goal completion tracking (daily goals are reset by the service at
+ *   midnight in the account's time zone)
+ * - Progress bars for milestones with a measurable target
  * - Real-time data syncing with backend
  * 
  * @module mobile/src/screens/HomeScreen
@@ -29,7 +31,7 @@ import {
   Dimensions,
   ActivityIndicator,
 } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
+import { authFetch, getAccessToken } from "../services/authSession";
 import { useFocusEffect } from "@react-navigation/native";
 import { useAuth } from "../context/AuthContext";
 import { StackScreenProps } from "@react-navigation/stack";
@@ -40,6 +42,9 @@ type HomeScreenProps = StackScreenProps<RootStackParamList, "Home">;
 
 const { width } = Dimensions.get("window");
 
+/** Goals requested per page (the most GET /api/goals returns at once) */
+const GOALS_PAGE_SIZE = 500;
+
 interface Goal {
   id: string;
   text: string;
@@ -48,42 +53,69 @@ interface Goal {
   category: string;
   type: 'daily' | 'longterm';
   lastCompletedDate?: string;
+  progress?: GoalProgress | null;
 }
 
-interface CalendarEvent {
-  id: string;
-  text: string;
+/** Progress towards a measurable target, computed by the service */
+interface GoalProgress {
+  target: number;
+  unit: string | null;
+  current: number | null;
+  percentComplete: number;
+  reached: boolean;
+  deadline: string | null; // YYYY-MM-DD
+  projectedDate: string | null; // YYYY-MM-DD at the current rate
+  onTrack: boolean | null;
+}
+
+/** One occurrence of a calendar event, expanded by GET /api/calendar/occurrences */
+interface CalendarOccurrence {
+  eventId: string;
+  occurrenceDate: string; // YYYY-MM-DD the recurrence rule generated
+  date: string; // YYYY-MM-DD (differs from occurrenceDate if the occurrence was moved)
+  time?: string | null;
+  title: string;
+  description?: string | null;
   type: string;
-  createdAt: string;
-  date?: string;
-  title?: string;
-  description?: string;
-  time?: string;
+  completed: boolean;
   recurring?: string | null; // 'daily', 'weekly', 'biweekly', 'monthly', 'yearly'
-  recurringDays?: string | null; // JSON array string like "[1,3,5]"
-  recurringEndDate?: string | null;
 }
 
+/**
+ * Caption under a milestone's progress bar, e.g. "200 / 225 lb · on track for Dec 28"
+ */
+const formatProgressCaption = (progress: GoalProgress): string => {
+  const unit = progress.unit ? ` ${progress.unit}` : "";
+  const values = `${progress.current ?? "–"} / ${progress.target}${unit}`;
+  const formatDate = (date: string) =>
+    new Date(`${date}T00:00:00`).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+
+  if (progress.reached) return `${values} · reached`;
+  if (progress.onTrack === false) {
+    return `${values} · behind${progress.deadline ? ` for ${formatDate(progress.deadline)}` : ""}`;
+  }
+  if (progress.projectedDate) return `${values} · on track for ${formatDate(progress.projectedDate)}`;
+  return values;
+};
+
 interface DayEvents {
-  [key: number]: CalendarEvent[];
+  [key: number]: CalendarOccurrence[];
+}
+
+interface ActivitySummaryDay {
+  date: string; // YYYY-MM-DD in the device time zone
+  distance: number; // miles
+  durationSeconds: number;
+  count: number;
 }
 
-const milesData = [
-  { day: 1, miles: 5.2 },
-  { day: 2, miles: 3.1 },
-  { day: 3, miles: 6.5 },
-  { day: 4, miles: 4.3 },
-  { day: 5, miles: 7.2 },
-  { day: 6, miles: 2.8 },
-  { day: 7, miles: 5.9 },
-  { day: 8, miles: 6.1 },
-  { day: 9, miles: 4.5 },
-  { day: 10, miles: 7.8 },
-  { day: 11, miles: 3.2 },
-  { day: 12, miles: 5.5 },
-  { day: 13, miles: 6.8 },
-  { day: 14, miles: 4.1 },
-];
+interface ActivitySummary {
+  daily: ActivitySummaryDay[];
+  total: number;
+  average: number;
+  best: { date: string; distance: number } | null;
+  activityCount: number;
+}
 
 export default function HomeScreen({ navigation }: HomeScreenProps) {
   const { user } = useAuth();
@@ -92,6 +124,7 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
   const [intentions, setIntentions] = useState<Goal[]>([]);
   const [isLoading, setIsLoading] = useState(false);
   const [events, setEvents] = useState<DayEvents>({});
+  const [milesSummary, setMilesSummary] = useState<ActivitySummary | null>(null);
   
   // Get actual current date information
   const now = new Date();
@@ -110,20 +143,6 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
   
   const [selectedDay, setSelectedDay] = useState(todayDate); // Default to today
 
-  const checkAndResetDailyGoals = () => {
-    const today = new Date().toISOString().split('T')[0];
-    
-    setGoals(currentGoals =>
-      currentGoals.map(goal => {
-        // If it's a daily goal and it wasn't completed today, reset it
-        if (goal.type === 'daily' && goal.lastCompletedDate !== today) {
-          return { ...goal, completed: false };
-        }
-        return goal;
-      })
-    );
-  };
-
   const fetchGoals = async () => {
     if (!user?.id) {
       console.log("No user ID available");
@@ -131,50 +150,58 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
     }
 
     try {
-      const token = await AsyncStorage.getItem("@user_token");
+      const token = await getAccessToken();
       
       if (!token) {
         console.warn("No authentication token found");
         return;
       }
 
-      const response = await fetch(`${SERVICE_URL}/api/goals`, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
+      // Goals come a page at a time; follow nextCursor so none are left out
+      const allGoals: Goal[] = [];
+      let cursor: string | null = null;
+      do {
+        const query: string = cursor ? `&cursor=${encodeURIComponent(cursor)}` : "";
+        const response = await authFetch(`${SERVICE_URL}/api/goals?limit=${GOALS_PAGE_SIZE}${query}`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        });
+
+        if (!response.ok) {
+          console.error("Failed to fetch goals:", response.status);
+          return;
+        }
 
-      if (!response.ok) {
-        console.error("Failed to fetch goals:", response.status);
-        return;
-      }
+        const result = await response.json();
+        if (!result.success || !result.data) return;
 
-      const result = await response.json();
-      
-      if (result.success && result.data) {
-        // Separate goals by type
-        const dailyGoals = result.data.filter((goal: Goal) => goal.type === 'daily');
-        const longtermGoals = result.data.filter((goal: Goal) => goal.type === 'longterm');
-        
-        setGoals(dailyGoals);
-        setIntentions(longtermGoals);
-        
-        console.log(`✓ Fetched ${dailyGoals.length} daily goals and ${longtermGoals.length} long-term goals`);
-      }
+        allGoals.push(...result.data);
+        cursor = result.nextCursor || null;
+      } while (cursor);
+
+      // Separate goals by type
+      const dailyGoals = allGoals.filter((goal: Goal) => goal.type === 'daily');
+      const longtermGoals = allGoals.filter((goal: Goal) => goal.type === 'longterm');
+
+      setGoals(dailyGoals);
+      setIntentions(longtermGoals);
+
+      console.log(`✓ Fetched ${dailyGoals.length} daily goals and ${longtermGoals.length} long-term goals`);
     } catch (error) {
       console.error("Error fetching goals:", error);
     }
   };
 
   useEffect(() => {
-    // Fetch goals from backend
+    // Fetch goals from backend (daily goals come back already reset for today)
     fetchGoals();
     
-    // Check and reset daily goals
-    checkAndResetDailyGoals();
-    
     // Fetch calendar events
     fetchEvents();
+
+    // Fetch running distance for the Miles Run card
+    fetchMilesSummary();
   }, [user?.id]);
 
   // Refresh data when returning to this screen from navigation
@@ -182,8 +209,8 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
     React.useCallback(() => {
       console.log('📱 Home screen focused - refreshing all widgets...');
       fetchGoals();
-      checkAndResetDailyGoals();
       fetchEvents();
+      fetchMilesSummary();
       return () => {
         // Cleanup if needed
       };
@@ -192,29 +219,18 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
 
   const toggleGoalCompletion = async (goalId: string, currentStatus: boolean) => {
     // Update local state immediately
-    const today = new Date().toISOString().split('T')[0];
-    
     setGoals(
       goals.map((goal) =>
-        goal.id === goalId 
-          ? { 
-              ...goal, 
-              completed: !currentStatus,
-              lastCompletedDate: !currentStatus ? today : goal.lastCompletedDate
-            } 
-          : goal
+        goal.id === goalId ? { ...goal, completed: !currentStatus } : goal
       )
     );
 
-    // Update on backend
+    // Update on backend (it logs today's completion and sets lastCompletedDate)
     try {
-      const token = await AsyncStorage.getItem("@user_token");
+      const token = await getAccessToken();
       if (!token) return;
 
-      const updatedGoal = goals.find(g => g.id === goalId);
-      if (!updatedGoal) return;
-
-      const response = await fetch(`${SERVICE_URL}/api/goals/${goalId}`, {
+      const response = await authFetch(`${SERVICE_URL}/api/goals/${goalId}`, {
         method: "PUT",
         headers: {
           "Content-Type": "application/json",
@@ -222,12 +238,19 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
         },
         body: JSON.stringify({
           completed: !currentStatus,
-          lastCompletedDate: !currentStatus ? today : updatedGoal.lastCompletedDate,
         }),
       });
 
       if (!response.ok) {
         console.error("Failed to update goal on backend:", response.status);
+        return;
+      }
+
+      const result = await response.json();
+      if (result.success && result.data) {
+        setGoals(currentGoals =>
+          currentGoals.map((goal) => (goal.id === goalId ? { ...goal, ...result.data } : goal))
+        );
       }
     } catch (error) {
       console.error("Error updating goal:", error);
@@ -244,10 +267,10 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
 
     // Update on backend
     try {
-      const token = await AsyncStorage.getItem("@user_token");
+      const token = await getAccessToken();
       if (!token) return;
 
-      const response = await fetch(`${SERVICE_URL}/api/goals/${intentionId}`, {
+      const response = await authFetch(`${SERVICE_URL}/api/goals/${intentionId}`, {
         method: "PUT",
         headers: {
           "Content-Type": "application/json",
@@ -266,6 +289,46 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
     }
   };
 
+  const fetchMilesSummary = async () => {
+    if (!user?.id) {
+      console.log("No user ID available");
+      return;
+    }
+
+    try {
+      const token = await getAccessToken();
+
+      if (!token) {
+        console.warn("No authentication token found");
+        return;
+      }
+
+      // Bucket runs by day in the device's time zone
+      const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+      const url = `${SERVICE_URL}/api/activities/summary?range=14d&type=run&tz=${encodeURIComponent(timeZone)}`;
+
+      const response = await authFetch(url, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        console.error("Failed to fetch miles summary:", response.status);
+        return;
+      }
+
+      const result = await response.json();
+
+      if (result.success && result.data) {
+        setMilesSummary(result.data);
+        console.log(`✓ Fetched miles summary: ${result.data.total} mi over ${result.data.daily.length} days`);
+      }
+    } catch (error) {
+      console.error("Error fetching miles summary:", error);
+    }
+  };
+
   const fetchEvents = async () => {
     if (!user?.id) {
       console.log("No user ID available");
@@ -273,18 +336,22 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
     }
 
     try {
-      const token = await AsyncStorage.getItem("@user_token");
+      const token = await getAccessToken();
       
       if (!token) {
         console.warn("No authentication token found");
         return;
       }
       
-      const url = `${SERVICE_URL}/api/calendar`;
+      // The service expands recurring events (rules, skipped and moved occurrences)
+      const pad = (value: number) => String(value).padStart(2, "0");
+      const from = `${currentYear}-${pad(currentMonth + 1)}-01`;
+      const to = `${currentYear}-${pad(currentMonth + 1)}-${pad(daysInMonth)}`;
+      const url = `${SERVICE_URL}/api/calendar/occurrences?from=${from}&to=${to}`;
       console.log("Fetching events from:", url);
       console.log("Token available:", !!token);
 
-      const response = await fetch(url, {
+      const response = await authFetch(url, {
         headers: {
           "Authorization": `Bearer ${token}`,
         },
@@ -297,40 +364,15 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
         console.log("Events response data:", data);
 
         if (data.success && data.data) {
-          // Organize events by day, including recurring events
+          // Organize occurrences by day of the month
           const eventsByDay: DayEvents = {};
           
-          data.data.forEach((event: CalendarEvent) => {
-            // Parse date correctly to avoid timezone issues
-            // Extract just the date part (YYYY-MM-DD) and parse it in local timezone
-            let dayNumber: number;
-            
-            if (event.date) {
-              // Extract date string from ISO format (e.g., "2025-11-20" from "2025-11-20T00:00:00.000Z")
-              const dateString = event.date.split('T')[0]; // Get YYYY-MM-DD
-              const [year, month, day] = dateString.split('-').map(Number);
-              dayNumber = day;
-            } else {
-              const baseDate = new Date(event.createdAt);
-              dayNumber = baseDate.getDate();
-            }
-            
-            // If this is a recurring event, generate instances for this month
-            if (event.recurring) {
-              const instances = generateRecurringInstances(event, currentMonth, currentYear);
-              instances.forEach(instanceDay => {
-                if (!eventsByDay[instanceDay]) {
-                  eventsByDay[instanceDay] = [];
-                }
-                eventsByDay[instanceDay].push(event);
-              });
-            } else {
-              // One-time event - just add to its day
-              if (!eventsByDay[dayNumber]) {
-                eventsByDay[dayNumber] = [];
-              }
-              eventsByDay[dayNumber].push(event);
+          data.data.forEach((occurrence: CalendarOccurrence) => {
+            const dayNumber = Number(occurrence.date.split("-")[2]);
+            if (!eventsByDay[dayNumber]) {
+              eventsByDay[dayNumber] = [];
             }
+            eventsByDay[dayNumber].push(occurrence);
           });
 
           setEvents(eventsByDay);
@@ -345,95 +387,11 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
     }
   };
 
-  /**
-   * Generate recurring event instances for the current month
-   * Returns an array of day numbers (1-31) where the event occurs
-   */
-  const generateRecurringInstances = (event: CalendarEvent, month: number, year: number): number[] => {
-    const instances: number[] = [];
-    
-    if (!event.recurring) return instances;
-    
-    // Get the start date of the event
-    const startDate = event.date ? new Date(event.date) : new Date(event.createdAt);
-    const startDay = startDate.getDate();
-    
-    // Get the last day of the current month
-    const lastDayOfMonth = new Date(year, month + 1, 0).getDate();
-    
-    // Get end date for recurring event (if specified)
-    const endDate = event.recurringEndDate ? new Date(event.recurringEndDate) : null;
-    
-    // Check if we're still within the recurring end date
-    const currentMonthStart = new Date(year, month, 1);
-    if (endDate && currentMonthStart > endDate) {
-      return instances; // No instances if we're past the end date
-    }
-    
-    switch (event.recurring) {
-      case 'daily':
-        // Add event to every day of the month
-        for (let day = 1; day <= lastDayOfMonth; day++) {
-          if (!endDate || new Date(year, month, day) <= endDate) {
-            instances.push(day);
-          }
-        }
-        break;
-        
-      case 'weekly':
-        // Parse recurringDays to get the days of week (0-6)
-        let daysOfWeek: number[] = [startDate.getDay()]; // Default to the start date's day
-        if (event.recurringDays) {
-          try {
-            daysOfWeek = JSON.parse(event.recurringDays);
-          } catch (e) {
-            console.warn("Failed to parse recurringDays:", event.recurringDays);
-          }
-        }
-        
-        // Add events for each specified day of week in the month
-        for (let day = 1; day <= lastDayOfMonth; day++) {
-          const dateObj = new Date(year, month, day);
-          if (daysOfWeek.includes(dateObj.getDay())) {
-            if (!endDate || dateObj <= endDate) {
-              instances.push(day);
-            }
-          }
-        }
-        break;
-        
-      case 'biweekly':
-        // Add event every 2 weeks from the start date
-        let dayCounter = startDay;
-        while (dayCounter <= lastDayOfMonth) {
-          if (!endDate || new Date(year, month, dayCounter) <= endDate) {
-            instances.push(dayCounter);
-          }
-          dayCounter += 14;
-        }
-        break;
-        
-      case 'monthly':
-        // Add event on the same day of each month
-        if (startDay <= lastDayOfMonth) {
-          if (!endDate || new Date(year, month, startDay) <= endDate) {
-            instances.push(startDay);
-          }
-        }
-        break;
-        
-      case 'yearly':
-        // Add event on the same date yearly (same month and day)
-        if (startDate.getMonth() === month && startDay <= lastDayOfMonth) {
-          if (!endDate || new Date(year, month, startDay) <= endDate) {
-            instances.push(startDay);
-          }
-        }
-        break;
-    }
-    
-    return instances.sort((a, b) => a - b);
-  };
+  // Round the graph scale up to an even number of miles so the midpoint label stays whole
+  const bestMiles = milesSummary?.best?.distance ?? 0;
+  const milesAxisMax = Math.max(2, Math.ceil(bestMiles / 2) * 2);
+
+  const formatMiles = (miles?: number) => `${(miles ?? 0).toFixed(1)} mi`;
 
   return (
     <View style={styles.wrapper}>
@@ -507,7 +465,24 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
                 >
                   {intention.text}
                 </Text>
+                {intention.progress && (
+                  <Text style={styles.progressPercent}>{intention.progress.percentComplete}%</Text>
+                )}
               </View>
+              {intention.progress && (
+                <View style={styles.progressContainer}>
+                  <View style={styles.progressTrack}>
+                    <View
+                      style={[
+                        styles.progressFill,
+                        { width: `${intention.progress.percentComplete}%` },
+                        intention.progress.onTrack === false && styles.progressFillBehind,
+                      ]}
+                    />
+                  </View>
+                  <Text style={styles.progressCaption}>{formatProgressCaption(intention.progress)}</Text>
+                </View>
+              )}
             </View>
           ))
         )}
@@ -521,43 +496,46 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
         {/* Graph */}
         <View style={styles.graphContainer}>
           <View style={styles.graphYAxis}>
-            <Text style={styles.yAxisLabel}>8mi</Text>
-            <Text style={styles.yAxisLabel}>4mi</Text>
+            <Text style={styles.yAxisLabel}>{milesAxisMax}mi</Text>
+            <Text style={styles.yAxisLabel}>{milesAxisMax / 2}mi</Text>
             <Text style={styles.yAxisLabel}>0mi</Text>
           </View>
 
           <View style={styles.graph}>
-            {milesData.map((data) => {
-              const maxMiles = 8;
-              const barHeight = (data.miles / maxMiles) * 150;
+            {(milesSummary?.daily || []).map((data) => {
+              const barHeight = (data.distance / milesAxisMax) * 150;
               return (
-                <View key={data.day} style={styles.barColumn}>
+                <View key={data.date} style={styles.barColumn}>
                   <View
                     style={[
                       styles.bar,
                       { height: barHeight },
                     ]}
                   />
-                  <Text style={styles.barLabel}>{data.day}</Text>
+                  <Text style={styles.barLabel}>{Number(data.date.split('-')[2])}</Text>
                 </View>
               );
             })}
           </View>
         </View>
 
+        {milesSummary && milesSummary.activityCount === 0 && (
+          <Text style={styles.emptyStateText}>No runs logged in the last 2 weeks</Text>
+        )}
+
         {/* Stats */}
         <View style={styles.statsRow}>
           <View style={styles.stat}>
             <Text style={styles.statLabel}>Total</Text>
-            <Text style={styles.statValue}>75.8 mi</Text>
+            <Text style={styles.statValue}>{formatMiles(milesSummary?.total)}</Text>
           </View>
           <View style={styles.stat}>
             <Text style={styles.statLabel}>Average</Text>
-            <Text style={styles.statValue}>5.4 mi</Text>
+            <Text style={styles.statValue}>{formatMiles(milesSummary?.average)}</Text>
           </View>
           <View style={styles.stat}>
             <Text style={styles.statLabel}>Best Day</Text>
-            <Text style={styles.statValue}>7.8 mi</Text>
+            <Text style={styles.statValue}>{formatMiles(milesSummary?.best?.distance)}</Text>
           </View>
         </View>
       </View>
@@ -625,7 +603,7 @@ export default function HomeScreen({ navigation }: HomeScreenProps) {
           {events[selectedDay] && events[selectedDay].length > 0 ? (
             <View>
               {events[selectedDay].map((event) => (
-                <View key={event.id} style={styles.eventItem}>
+                <View key={`${event.eventId}-${event.occurrenceDate}`} style={styles.eventItem}>
                   <View style={styles.eventContent}>
                     <View style={styles.eventHeader}>
                       <Text style={styles.eventText}>{event.title}</Text>
@@ -799,6 +777,34 @@ const styles = StyleSheet.create({
     color: "#666",
     textDecorationLine: "line-through",
   },
+  progressPercent: {
+    color: "#0066cc",
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  progressContainer: {
+    marginTop: 8,
+    marginLeft: 36,
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: "#333",
+    overflow: "hidden",
+  },
+  progressFill: {
+    height: "100%",
+    borderRadius: 3,
+    backgroundColor: "#0066cc",
+  },
+  progressFillBehind: {
+    backgroundColor: "#e69500",
+  },
+  progressCaption: {
+    color: "#888",
+    fontSize: 12,
+    marginTop: 4,
+  },
   emptyStateText: {
     color: "#666",
     fontSize: 14,
@@ -0,0 +1,530 @@
+/**
+ * ============================================================================
+ * Onboarding Wizard Screen
+ * ============================================================================
+ *
+ * Multi-step first-run setup shown to users without a profile.
+ * Steps:
+ * 1. Goals - pick suggestions or add their own
+ * 2. Schedule - training days and preferred time
+ * 3. Equipment - what they can train with, plus injuries to work around
+ * 4. Fitness level - beginner, intermediate or advanced
+ * 5. Coaching tone - how the coach should talk to them
+ *
+ * The answers are posted to POST /api/ai-memory/:userId, which saves the
+ * fitness profile and seeds starter daily goals and a weekly workout calendar.
+ *
+ * @module mobile/src/screens/OnboardingScreen
+ */
+
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+} from "react-native";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { authFetch, getAccessToken } from "../services/authSession";
+import { useAuth } from "../context/AuthContext";
+import { StackScreenProps } from "@react-navigation/stack";
+import { RootStackParamList } from "../navigation/AppNavigator";
+import { SERVICE_URL } from "@env";
+
+type OnboardingScreenProps = StackScreenProps<RootStackParamList, "Onboarding">;
+
+type ExperienceLevel = "beginner" | "intermediate" | "advanced";
+
+/** Local storage key prefix remembering that a user skipped the wizard */
+export const ONBOARDING_SKIPPED_KEY = "@onboarding_skipped";
+
+const GOAL_SUGGESTIONS = [
+  "Lose weight",
+  "Build muscle",
+  "Improve endurance",
+  "Get more flexible",
+  "Have more energy",
+  "Train for a race",
+];
+
+const WEEKDAYS = [
+  { key: "monday", label: "Mon" },
+  { key: "tuesday", label: "Tue" },
+  { key: "wednesday", label: "Wed" },
+  { key: "thursday", label: "Thu" },
+  { key: "friday", label: "Fri" },
+  { key: "saturday", label: "Sat" },
+  { key: "sunday", label: "Sun" },
+];
+
+const WORKOUT_TIMES = [
+  { label: "Morning", value: "07:00" },
+  { label: "Midday", value: "12:00" },
+  { label: "Evening", value: "18:00" },
+  { label: "Any time", value: null },
+];
+
+const EQUIPMENT_OPTIONS = [
+  "Dumbbells",
+  "Kettlebell",
+  "Resistance bands",
+  "Pull-up bar",
+  "Jump rope",
+  "Full gym",
+];
+
+const LEVELS: { value: ExperienceLevel; title: string; description: string }[] = [
+  { value: "beginner", title: "Beginner", description: "New to training or getting back into it" },
+  { value: "intermediate", title: "Intermediate", description: "Training regularly for a few months or more" },
+  { value: "advanced", title: "Advanced", description: "Years of consistent, structured training" },
+];
+
+const TONES = [
+  { value: "encouraging", description: "Positive and patient" },
+  { value: "supportive", description: "Understanding when life gets in the way" },
+  { value: "energizing", description: "Upbeat and full of hype" },
+  { value: "firm", description: "Direct, holds you to your word" },
+];
+
+const STEP_TITLES = [
+  "What are your goals?",
+  "When can you train?",
+  "What equipment do you have?",
+  "How experienced are you?",
+  "How should your coach talk to you?",
+];
+
+/** Add or remove an item from a list */
+const toggle = (list: string[], item: string) =>
+  list.includes(item) ? list.filter((i) => i !== item) : [...list, item];
+
+export default function OnboardingScreen({ navigation }: OnboardingScreenProps) {
+  const { user } = useAuth();
+  const [step, setStep] = useState(0);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Answers
+  const [goals, setGoals] = useState<string[]>([]);
+  const [customGoal, setCustomGoal] = useState("");
+  const [availableDays, setAvailableDays] = useState<string[]>([]);
+  const [workoutTime, setWorkoutTime] = useState<string | null>(null);
+  const [equipment, setEquipment] = useState<string[]>([]);
+  const [injuries, setInjuries] = useState("");
+  const [experienceLevel, setExperienceLevel] = useState<ExperienceLevel | null>(null);
+  const [tone, setTone] = useState<string | null>(null);
+
+  const goHome = () => navigation.reset({ index: 0, routes: [{ name: "Home" }] });
+
+  const addCustomGoal = () => {
+    const goal = customGoal.trim();
+    if (goal.length < 3) return;
+    if (!goals.some((g) => g.toLowerCase() === goal.toLowerCase())) {
+      setGoals([...goals, goal]);
+    }
+    setCustomGoal("");
+  };
+
+  /** Whether the current step has enough answers to continue */
+  const canContinue = () => {
+    switch (step) {
+      case 0:
+        return goals.length > 0;
+      case 1:
+        return availableDays.length > 0;
+      case 2:
+        return true; // Bodyweight only is fine
+      case 3:
+        return experienceLevel !== null;
+      case 4:
+        return tone !== null;
+      default:
+        return false;
+    }
+  };
+
+  const handleSkip = async () => {
+    await AsyncStorage.setItem(`${ONBOARDING_SKIPPED_KEY}:${user?.id}`, "true");
+    goHome();
+  };
+
+  const handleFinish = async () => {
+    const profile = {
+      name: user?.name || undefined,
+      goals,
+      tone: tone || undefined,
+      experienceLevel: experienceLevel || undefined,
+      equipment,
+      injuries: injuries.split(",").map((item) => item.trim()).filter(Boolean),
+      // Keep the server's weekday order
+      availableDays: WEEKDAYS.map((day) => day.key).filter((day) => availableDays.includes(day)),
+    };
+
+    try {
+      setIsSubmitting(true);
+      const token = await getAccessToken();
+      const response = await authFetch(`${SERVICE_URL}/api/ai-memory/${user?.id}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ profile, workoutTime }),
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        // Validation errors list one message per field
+        const message = Array.isArray(result.details)
+          ? result.details.map((detail: { message: string }) => detail.message).join("\n")
+          : result.error;
+        Alert.alert("Error", message || "Failed to save your answers");
+        return;
+      }
+
+      console.log(
+        `✓ Onboarding saved: ${result.seeded?.goals.length ?? 0} goals, ${result.seeded?.events.length ?? 0} weekly workouts`
+      );
+      goHome();
+    } catch (error) {
+      Alert.alert("Error", "Failed to save your answers. Please try again.");
+      console.error("Onboarding error:", error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderStep = () => {
+    switch (step) {
+      case 0:
+        return (
+          <>
+            <View style={styles.chipRow}>
+              {[...GOAL_SUGGESTIONS, ...goals.filter((g) => !GOAL_SUGGESTIONS.includes(g))].map((goal) => (
+                <TouchableOpacity
+                  key={goal}
+                  style={[styles.chip, goals.includes(goal) && styles.chipSelected]}
+                  onPress={() => setGoals(toggle(goals, goal))}
+                >
+                  <Text style={[styles.chipText, goals.includes(goal) && styles.chipTextSelected]}>{goal}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <Text style={styles.label}>Something else?</Text>
+            <View style={styles.inlineRow}>
+              <TextInput
+                style={[styles.input, styles.inlineInput]}
+                placeholder="e.g. Run a half marathon"
+                placeholderTextColor="#666"
+                value={customGoal}
+                onChangeText={setCustomGoal}
+                onSubmitEditing={addCustomGoal}
+                returnKeyType="done"
+              />
+              <TouchableOpacity style={styles.addButton} onPress={addCustomGoal}>
+                <Text style={styles.buttonText}>Add</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        );
+
+      case 1:
+        return (
+          <>
+            <Text style={styles.label}>Training days</Text>
+            <View style={styles.chipRow}>
+              {WEEKDAYS.map((day) => (
+                <TouchableOpacity
+                  key={day.key}
+                  style={[styles.chip, availableDays.includes(day.key) && styles.chipSelected]}
+                  onPress={() => setAvailableDays(toggle(availableDays, day.key))}
+                >
+                  <Text style={[styles.chipText, availableDays.includes(day.key) && styles.chipTextSelected]}>
+                    {day.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <Text style={styles.label}>Preferred time</Text>
+            <View style={styles.chipRow}>
+              {WORKOUT_TIMES.map((option) => (
+                <TouchableOpacity
+                  key={option.label}
+                  style={[styles.chip, workoutTime === option.value && styles.chipSelected]}
+                  onPress={() => setWorkoutTime(option.value)}
+                >
+                  <Text style={[styles.chipText, workoutTime === option.value && styles.chipTextSelected]}>
+                    {option.label}{option.value ? ` (${option.value})` : ""}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </>
+        );
+
+      case 2:
+        return (
+          <>
+            <Text style={styles.hint}>Leave everything unselected for bodyweight workouts.</Text>
+            <View style={styles.chipRow}>
+              {EQUIPMENT_OPTIONS.map((item) => (
+                <TouchableOpacity
+                  key={item}
+                  style={[styles.chip, equipment.includes(item) && styles.chipSelected]}
+                  onPress={() => setEquipment(toggle(equipment, item))}
+                >
+                  <Text style={[styles.chipText, equipment.includes(item) && styles.chipTextSelected]}>{item}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <Text style={styles.label}>Injuries or limitations (optional, comma-separated)</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="e.g. left knee pain"
+              placeholderTextColor="#666"
+              value={injuries}
+              onChangeText={setInjuries}
+            />
+          </>
+        );
+
+      case 3:
+        return LEVELS.map((level) => (
+          <TouchableOpacity
+            key={level.value}
+            style={[styles.optionCard, experienceLevel === level.value && styles.optionCardSelected]}
+            onPress={() => setExperienceLevel(level.value)}
+          >
+            <Text style={styles.optionTitle}>{level.title}</Text>
+            <Text style={styles.optionDescription}>{level.description}</Text>
+          </TouchableOpacity>
+        ));
+
+      case 4:
+        return TONES.map((option) => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.optionCard, tone === option.value && styles.optionCardSelected]}
+            onPress={() => setTone(option.value)}
+          >
+            <Text style={styles.optionTitle}>{option.value.charAt(0).toUpperCase() + option.value.slice(1)}</Text>
+            <Text style={styles.optionDescription}>{option.description}</Text>
+          </TouchableOpacity>
+        ));
+
+      default:
+        return null;
+    }
+  };
+
+  const isLastStep = step === STEP_TITLES.length - 1;
+
+  return (
+    <View style={styles.wrapper}>
+      <ScrollView style={styles.container} showsVerticalScrollIndicator={false}>
+        {/* Header with progress */}
+        <View style={styles.header}>
+          <Text style={styles.stepCount}>Step {step + 1} of {STEP_TITLES.length}</Text>
+          <TouchableOpacity onPress={handleSkip} disabled={isSubmitting}>
+            <Text style={styles.skipText}>Skip</Text>
+          </TouchableOpacity>
+        </View>
+        <View style={styles.progressTrack}>
+          <View style={[styles.progressFill, { width: `${((step + 1) / STEP_TITLES.length) * 100}%` }]} />
+        </View>
+
+        <Text style={styles.title}>{STEP_TITLES[step]}</Text>
+        {renderStep()}
+
+        <View style={styles.bottomSpacer} />
+      </ScrollView>
+
+      {/* Navigation buttons - fixed at bottom */}
+      <View style={styles.footer}>
+        {step > 0 && (
+          <TouchableOpacity
+            style={[styles.button, styles.secondaryButton]}
+            onPress={() => setStep(step - 1)}
+            disabled={isSubmitting}
+          >
+            <Text style={styles.buttonText}>Back</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={[styles.button, styles.primaryButton, (!canContinue() || isSubmitting) && styles.buttonDisabled]}
+          onPress={isLastStep ? handleFinish : () => setStep(step + 1)}
+          disabled={!canContinue() || isSubmitting}
+        >
+          {isSubmitting ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <Text style={styles.buttonText}>{isLastStep ? "Build My Plan" : "Next"}</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  wrapper: {
+    flex: 1,
+    backgroundColor: "#000",
+  },
+  container: {
+    flex: 1,
+    backgroundColor: "#000",
+    paddingHorizontal: 16,
+    paddingTop: 55,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 12,
+  },
+  stepCount: {
+    fontSize: 14,
+    color: "#999",
+  },
+  skipText: {
+    fontSize: 16,
+    color: "#0066cc",
+    fontWeight: "600",
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: "#1a1a1a",
+    marginBottom: 24,
+    overflow: "hidden",
+  },
+  progressFill: {
+    height: "100%",
+    backgroundColor: "#0066cc",
+  },
+  title: {
+    fontSize: 26,
+    fontWeight: "bold",
+    color: "#fff",
+    marginBottom: 24,
+  },
+  label: {
+    fontSize: 14,
+    color: "#ccc",
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 13,
+    color: "#999",
+    marginBottom: 16,
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 24,
+  },
+  chip: {
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    borderRadius: 18,
+    borderWidth: 1,
+    borderColor: "#333",
+    backgroundColor: "#1a1a1a",
+  },
+  chipSelected: {
+    backgroundColor: "#0066cc",
+    borderColor: "#0066cc",
+  },
+  chipText: {
+    fontSize: 14,
+    color: "#ccc",
+  },
+  chipTextSelected: {
+    color: "#fff",
+    fontWeight: "600",
+  },
+  input: {
+    backgroundColor: "#1a1a1a",
+    borderWidth: 1,
+    borderColor: "#333",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    color: "#fff",
+    fontSize: 14,
+  },
+  inlineRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+  },
+  inlineInput: {
+    flex: 1,
+  },
+  addButton: {
+    backgroundColor: "#0066cc",
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+  },
+  optionCard: {
+    backgroundColor: "#1a1a1a",
+    borderWidth: 1,
+    borderColor: "#333",
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+  },
+  optionCardSelected: {
+    borderColor: "#0066cc",
+    backgroundColor: "#0a1f33",
+  },
+  optionTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#fff",
+    marginBottom: 4,
+  },
+  optionDescription: {
+    fontSize: 13,
+    color: "#999",
+  },
+  bottomSpacer: {
+    height: 100,
+  },
+  footer: {
+    position: "absolute",
+    bottom: 24,
+    left: 16,
+    right: 16,
+    flexDirection: "row",
+    gap: 12,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 12,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  primaryButton: {
+    backgroundColor: "#0066cc",
+  },
+  secondaryButton: {
+    backgroundColor: "#333",
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+});
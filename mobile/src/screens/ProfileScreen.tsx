@@ -6,6 +6,8 @@
  * Screen for viewing and editing user profile information.
  * Features:
  * - Display user avatar and email
+ * - Email verification status
+ * - Fitness profile review status (extracted during onboarding)
  * - Edit user name
  * - View user statistics and preferences
  * - Sign out functionality
@@ -14,7 +16,7 @@
  * @module mobile/src/screens/ProfileScreen
  */
 
-import React, { useState } from "React";
+import React, { useCallback, useEffect, useState } from "React";
 import {
   View,
   Text,
@@ -25,7 +27,7 @@ import {
   Alert,
   ActivityIndicator,
 } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
+import { authFetch, getAccessToken } from "../services/authSession";
 import { useAuth } from "../context/AuthContext";
 import { StackScreenProps } from "@react-navigation/stack";
 import { RootStackParamList } from "../navigation/AppNavigator";
@@ -38,6 +40,30 @@ export default function ProfileScreen({ navigation }: ProfileScreenProps) {
   const [name, setName] = useState(user?.name || "");
   const [isLoading, setIsLoading] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
+  const [profileStatus, setProfileStatus] = useState<"none" | "review" | "verified">("none");
+
+  // Whether the fitness profile from onboarding still needs the user's review
+  const fetchProfileStatus = useCallback(async () => {
+    try {
+      const token = await getAccessToken();
+      const response = await authFetch(`${SERVICE_URL}/api/ai-memory/${user?.id}/profile`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!response.ok) {
+        setProfileStatus("none");
+        return;
+      }
+      const result = await response.json();
+      setProfileStatus(result.data?.manuallyVerified ? "verified" : "review");
+    } catch (error) {
+      console.error("Error fetching fitness profile status:", error);
+    }
+  }, [user?.id]);
+
+  useEffect(() => {
+    // Refresh when coming back from the review screen
+    return navigation.addListener("focus", fetchProfileStatus);
+  }, [navigation, fetchProfileStatus]);
 
   const handleSaveName = async () => {
     if (!name.trim()) {
@@ -53,7 +79,7 @@ export default function ProfileScreen({ navigation }: ProfileScreenProps) {
       setIsSaving(true);
       
       // Get auth token
-      const token = await AsyncStorage.getItem("@user_token");
+      const token = await getAccessToken();
       if (!token) {
         Alert.alert("Error", "Authentication token not found");
         return;
@@ -67,7 +93,7 @@ export default function ProfileScreen({ navigation }: ProfileScreenProps) {
       });
 
       // Call API to update user name
-      const response = await fetch(`${SERVICE_URL}/api/users/${user?.id}`, {
+      const response = await authFetch(`${SERVICE_URL}/api/users/${user?.id}`, {
         method: "PUT",
         headers: {
           "Content-Type": "application/json",
@@ -189,6 +215,38 @@ export default function ProfileScreen({ navigation }: ProfileScreenProps) {
             <Text style={styles.infoLabel}>Email</Text>
             <Text style={styles.infoValue}>{user?.email}</Text>
           </View>
+
+          <TouchableOpacity
+            style={styles.infoRow}
+            disabled={!!user?.emailVerifiedAt}
+            onPress={() => navigation.navigate("VerifyEmail")}
+          >
+            <Text style={styles.infoLabel}>Email Status</Text>
+            {user?.emailVerifiedAt ? (
+              <Text style={styles.infoValue}>Verified</Text>
+            ) : (
+              <Text style={styles.verifyLink}>Verify email →</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        {/* Fitness Profile Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Coaching</Text>
+
+          <TouchableOpacity
+            style={styles.infoRow}
+            onPress={() => navigation.navigate("FitnessProfile")}
+          >
+            <Text style={styles.infoLabel}>Fitness Profile</Text>
+            {profileStatus === "verified" ? (
+              <Text style={styles.infoValue}>Confirmed ›</Text>
+            ) : profileStatus === "review" ? (
+              <Text style={styles.verifyLink}>Needs review →</Text>
+            ) : (
+              <Text style={styles.verifyLink}>Set up →</Text>
+            )}
+          </TouchableOpacity>
         </View>
 
         {/* Spacer to push sign out button to bottom */}
@@ -323,6 +381,11 @@ const styles = StyleSheet.create({
     color: "#fff",
     fontWeight: "500",
   },
+  verifyLink: {
+    fontSize: 14,
+    color: "#007AFF",
+    fontWeight: "600",
+  },
   button: {
     paddingVertical: 14,
     paddingHorizontal: 16,
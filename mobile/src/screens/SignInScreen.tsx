@@ -9,6 +9,7 @@
  * - Form validation
  * - Error handling with alerts
  * - Navigation to Sign Up screen
+ * - Links to password reset and email verification
  * - Demo credentials display for testing
  * 
  * @module mobile/src/screens/SignInScreen
@@ -58,6 +59,14 @@ const SignInScreen: React.FC<SignInScreenProps> = ({ navigation }) => {
     navigation.navigate('SignUp');
   };
 
+  const navigateToForgotPassword = () => {
+    navigation.navigate('ForgotPassword');
+  };
+
+  const navigateToVerifyEmail = () => {
+    navigation.navigate('VerifyEmail');
+  };
+
   return (
     <KeyboardAvoidingView
       style={styles.container}
@@ -91,6 +100,10 @@ const SignInScreen: React.FC<SignInScreenProps> = ({ navigation }) => {
             />
           </View>
 
+          <TouchableOpacity style={styles.forgotPassword} onPress={navigateToForgotPassword}>
+            <Text style={styles.footerLink}>Forgot password?</Text>
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={[styles.button, isLoading && styles.buttonDisabled]}
             onPress={handleSignIn}
@@ -110,6 +123,10 @@ const SignInScreen: React.FC<SignInScreenProps> = ({ navigation }) => {
             </TouchableOpacity>
           </View>
 
+          <TouchableOpacity style={styles.verifyEmail} onPress={navigateToVerifyEmail}>
+            <Text style={styles.footerText}>Have a verification code?</Text>
+          </TouchableOpacity>
+
           <View style={styles.demoCredentials}>
             <Text style={styles.demoText}>Demo Credentials:</Text>
             <Text style={styles.demoText}>Email: demo@example.com</Text>
@@ -149,6 +166,9 @@ const styles = StyleSheet.create({
   inputContainer: {
     marginBottom: 16,
   },
+  forgotPassword: {
+    alignSelf: 'flex-end',
+  },
   input: {
     backgroundColor: '#fff',
     borderRadius: 8,
@@ -187,6 +207,10 @@ const styles = StyleSheet.create({
     color: '#007AFF',
     fontWeight: '600',
   },
+  verifyEmail: {
+    alignItems: 'center',
+    marginTop: 16,
+  },
   demoCredentials: {
     marginTop: 40,
     padding: 16,
@@ -0,0 +1,205 @@
+/**
+ * ============================================================================
+ * Verify Email Screen
+ * ============================================================================
+ * 
+ * Confirms the account's email address with the code sent at sign-up.
+ * Features:
+ * - Verification code input field
+ * - Accepts the code as a route param (e.g. from a deep link)
+ * - Resends the code when signed in
+ * - Works from both the auth stack and the profile screen
+ * 
+ * @module mobile/src/screens/VerifyEmailScreen
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+} from 'react-native';
+import { useAuth } from '../context/AuthContext';
+
+interface VerifyEmailScreenProps {
+  navigation: any;
+  route: any;
+}
+
+const VerifyEmailScreen: React.FC<VerifyEmailScreenProps> = ({ navigation, route }) => {
+  const [code, setCode] = useState<string>(route.params?.token || '');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isResending, setIsResending] = useState(false);
+  const { user, verifyEmail, resendVerification } = useAuth();
+
+  const handleVerify = async () => {
+    if (!code) {
+      Alert.alert('Error', 'Please enter the verification code');
+      return;
+    }
+
+    setIsLoading(true);
+    const { success, error } = await verifyEmail(code.trim());
+    setIsLoading(false);
+
+    if (!success) {
+      Alert.alert('Error', error || 'Failed to verify email. Please try again.');
+      return;
+    }
+
+    Alert.alert('Email verified', 'Thanks for confirming your email address.');
+    if (navigation.canGoBack()) {
+      navigation.goBack();
+    } else if (!user) {
+      navigation.navigate('SignIn');
+    }
+  };
+
+  const handleResend = async () => {
+    setIsResending(true);
+    const { success, error } = await resendVerification();
+    setIsResending(false);
+
+    if (!success) {
+      Alert.alert('Error', error || 'Failed to send a new code. Please try again.');
+      return;
+    }
+
+    Alert.alert('Check your email', `We sent a new code to ${user?.email}.`);
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContainer}>
+        <View style={styles.content}>
+          <Text style={styles.title}>Verify Email</Text>
+          <Text style={styles.subtitle}>
+            {user ? `Enter the code sent to ${user.email}` : 'Enter the code from your email'}
+          </Text>
+
+          <View style={styles.inputContainer}>
+            <TextInput
+              style={styles.input}
+              placeholder="Verification code"
+              value={code}
+              onChangeText={setCode}
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+          </View>
+
+          <TouchableOpacity
+            style={[styles.button, isLoading && styles.buttonDisabled]}
+            onPress={handleVerify}
+            disabled={isLoading}
+          >
+            {isLoading ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>Verify</Text>
+            )}
+          </TouchableOpacity>
+
+          {user && (
+            <View style={styles.footer}>
+              <Text style={styles.footerText}>No code? </Text>
+              <TouchableOpacity onPress={handleResend} disabled={isResending}>
+                <Text style={styles.footerLink}>{isResending ? 'Sending...' : 'Resend'}</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {navigation.canGoBack() && (
+            <TouchableOpacity style={styles.backLink} onPress={() => navigation.goBack()}>
+              <Text style={styles.footerText}>← Back</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+  },
+  content: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 8,
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 16,
+    textAlign: 'center',
+    marginBottom: 40,
+    color: '#666',
+  },
+  inputContainer: {
+    marginBottom: 16,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  button: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    padding: 16,
+    alignItems: 'center',
+    marginTop: 16,
+    marginBottom: 20,
+  },
+  buttonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  footerText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  footerLink: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  backLink: {
+    alignItems: 'center',
+    marginTop: 24,
+  },
+});
+
+export default VerifyEmailScreen;
@@ -0,0 +1,204 @@
+/**
+ * ============================================================================
+ * Auth Session
+ * ============================================================================
+ *
+ * Stores the access/refresh token pair and keeps it fresh.
+ *
+ * Access tokens are short-lived JWTs. Once one expires the service answers
+ * 401, so authFetch exchanges the refresh token at POST /api/auth/refresh
+ * and retries the request once. Concurrent requests share a single refresh:
+ * the service rotates refresh tokens on every use and treats a reused one
+ * as stolen, which would end the session.
+ *
+ * @module mobile/src/services/authSession
+ */
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { Platform } from "react-native";
+import { SERVICE_URL } from "@env";
+
+// ============================================================================
+// Types & Constants
+// ============================================================================
+
+/** Token fields returned by login, register and refresh */
+export interface SessionTokens {
+  token: string;
+  refreshToken: string;
+  /** Access token lifetime in seconds */
+  expiresIn: number;
+}
+
+/** Local storage key for the JWT access token */
+export const ACCESS_TOKEN_KEY = "@user_token";
+
+/** Local storage key for the refresh token */
+const REFRESH_TOKEN_KEY = "@refresh_token";
+
+/** Local storage key for the access token expiry (epoch milliseconds) */
+const TOKEN_EXPIRES_AT_KEY = "@token_expires_at";
+
+/** Local storage key for this install's device ID (kept across sign-outs) */
+const DEVICE_ID_KEY = "@device_id";
+
+/** Refresh proactively when the access token expires within this window */
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+/** Refresh in progress, shared by every caller that needs a new token */
+let refreshPromise: Promise<string | null> | null = null;
+
+/** Called when the session can no longer be refreshed */
+let sessionExpiredHandler: (() => void) | null = null;
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+/**
+ * Stable identifier for this install, sent on login so the service keeps
+ * one refresh token per device
+ */
+export async function getDeviceId(): Promise<string> {
+  let deviceId = await AsyncStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+    await AsyncStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+}
+
+/** Human-readable device name shown in the service's session records */
+export function getDeviceName(): string {
+  return `${Platform.OS} ${Platform.Version}`;
+}
+
+/** Persist tokens from a login, register or refresh response */
+export async function saveSession(tokens: SessionTokens): Promise<void> {
+  await AsyncStorage.multiSet([
+    [ACCESS_TOKEN_KEY, tokens.token],
+    [REFRESH_TOKEN_KEY, tokens.refreshToken],
+    [TOKEN_EXPIRES_AT_KEY, String(Date.now() + tokens.expiresIn * 1000)],
+  ]);
+}
+
+/** Remove the stored tokens (the device ID is kept) */
+export async function clearSession(): Promise<void> {
+  await AsyncStorage.multiRemove([ACCESS_TOKEN_KEY, REFRESH_TOKEN_KEY, TOKEN_EXPIRES_AT_KEY]);
+}
+
+/** The stored refresh token, if any */
+export async function getRefreshToken(): Promise<string | null> {
+  return AsyncStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
+/**
+ * Register the callback run when the session has ended on the server
+ * (refresh token expired, revoked or missing). Pass null to remove it.
+ */
+export function setSessionExpiredHandler(handler: (() => void) | null): void {
+  sessionExpiredHandler = handler;
+}
+
+// ============================================================================
+// Refresh
+// ============================================================================
+
+/**
+ * Exchange the refresh token for a new token pair
+ *
+ * Network and server errors keep the current session so a later request can
+ * try again; only a rejected refresh token ends it.
+ *
+ * @returns The new access token, or null if the refresh failed
+ */
+export function refreshAccessToken(): Promise<string | null> {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await getRefreshToken();
+      if (!refreshToken) {
+        await endSession();
+        return null;
+      }
+
+      try {
+        const response = await fetch(`${SERVICE_URL}/api/auth/refresh`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ refreshToken }),
+        });
+
+        if (response.status === 400 || response.status === 401) {
+          await endSession();
+          return null;
+        }
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          console.error("Token refresh failed:", data.error || response.status);
+          return null;
+        }
+
+        await saveSession(data.data);
+        return data.data.token as string;
+      } catch (error) {
+        console.error("Token refresh network error:", error);
+        return null;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+}
+
+/**
+ * The stored access token, refreshed first if it is about to expire.
+ * Use this for requests that cannot go through authFetch (e.g. streaming).
+ */
+export async function getAccessToken(): Promise<string | null> {
+  const [[, token], [, expiresAt]] = await AsyncStorage.multiGet([
+    ACCESS_TOKEN_KEY,
+    TOKEN_EXPIRES_AT_KEY,
+  ]);
+
+  if (token && expiresAt && Date.now() > Number(expiresAt) - EXPIRY_MARGIN_MS) {
+    const refreshed = await refreshAccessToken();
+    if (refreshed) return refreshed;
+    return AsyncStorage.getItem(ACCESS_TOKEN_KEY);
+  }
+
+  return token;
+}
+
+/**
+ * fetch() for authenticated endpoints
+ *
+ * If the service answers 401, refreshes the session and retries the request
+ * once with the new access token. When the refresh fails the original 401
+ * response is returned.
+ *
+ * @param url - Request URL
+ * @param init - fetch options; headers should include the Bearer token
+ * @returns The response
+ */
+export async function authFetch(url: string, init: RequestInit = {}): Promise<Response> {
+  const response = await fetch(url, init);
+  if (response.status !== 401) return response;
+
+  const token = await refreshAccessToken();
+  if (!token) return response;
+
+  const headers = new Headers(init.headers);
+  headers.set("Authorization", `Bearer ${token}`);
+  return fetch(url, { ...init, headers });
+}
+
+/** Clear the tokens and notify the app that the user is signed out */
+async function endSession(): Promise<void> {
+  await clearSession();
+  sessionExpiredHandler?.();
+}
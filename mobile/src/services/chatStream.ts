@@ -0,0 +1,169 @@
+/**
+ * ============================================================================
+ * Chat Stream Client
+ * ============================================================================
+ *
+ * Minimal Server-Sent Events client for POST /api/chat/stream.
+ *
+ * React Native's fetch does not expose a readable response body, so the
+ * stream is consumed with XMLHttpRequest: responseText grows while the
+ * request is in progress (readyState 3) and each new "event:/data:" block
+ * is parsed as it arrives.
+ *
+ * @module mobile/src/services/chatStream
+ */
+
+import { SERVICE_URL } from "@env";
+
+/** A persisted chat message as returned by the service */
+export interface StreamedChatMessage {
+  id: string;
+  text: string;
+  role: string;
+  userId: string;
+  createdAt: string;
+  conversationId: string | null;
+}
+
+/** A conversation thread; the coach only sees the history of its own thread */
+export interface ChatConversation {
+  id: string;
+  title: string;
+  archivedAt: string | null;
+  lastMessageAt: string;
+  messageCount?: number;
+  lastMessage?: { id: string; text: string; role: string; createdAt: string } | null;
+}
+
+/** A record the coach proposed to create, awaiting the user's confirmation */
+export interface ProposedChatAction {
+  id: string;
+  tool: "create_goal" | "create_calendar_event" | "create_reminder";
+  summary: string;
+  status: "pending" | "confirmed" | "rejected" | "failed";
+  messageId: string | null;
+}
+
+/** A record created because the user confirmed earlier proposals by replying "yes" */
+export interface ChatCreatedRecord {
+  type: "goal" | "calendarEvent" | "reminder";
+  record: { id: string; [key: string]: unknown };
+}
+
+export interface ChatStreamHandlers {
+  /** User message was saved (to this conversation) */
+  onStart?: (userMessage: StreamedChatMessage, conversation: ChatConversation) => void;
+  /** A chunk of the assistant reply was generated */
+  onToken: (text: string) => void;
+  /** The full assistant reply (and any proposed actions and created records) was saved */
+  onDone: (
+    aiResponse: StreamedChatMessage,
+    actions: ProposedChatAction[],
+    created: ChatCreatedRecord[]
+  ) => void;
+  /** The request or generation failed */
+  onError: (message: string) => void;
+}
+
+/**
+ * Send a chat message and receive the reply incrementally
+ *
+ * @param message - User message text
+ * @param token - JWT auth token
+ * @param handlers - Event callbacks
+ * @param conversationId - Thread to send to (default: the current thread)
+ * @returns Function that aborts the stream
+ */
+export function streamChatMessage(
+  message: string,
+  token: string,
+  handlers: ChatStreamHandlers,
+  conversationId?: string | null
+): () => void {
+  const xhr = new XMLHttpRequest();
+  let parsedLength = 0;
+  let buffer = "";
+  let finished = false;
+
+  const finishWithError = (errorMessage: string) => {
+    if (finished) return;
+    finished = true;
+    handlers.onError(errorMessage);
+  };
+
+  const handleEvent = (event: string, data: string) => {
+    let payload: any;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    if (event === "start") {
+      handlers.onStart?.(payload.userMessage, payload.conversation);
+    } else if (event === "token") {
+      handlers.onToken(payload.text);
+    } else if (event === "done") {
+      finished = true;
+      handlers.onDone(payload.aiResponse, payload.actions || [], payload.created || []);
+    } else if (event === "error") {
+      finishWithError(payload.message || payload.error || "Stream failed");
+    }
+  };
+
+  const processChunk = () => {
+    buffer += xhr.responseText.slice(parsedLength);
+    parsedLength = xhr.responseText.length;
+
+    // Events are separated by a blank line; keep any trailing partial event
+    const blocks = buffer.split("\n\n");
+    buffer = blocks.pop() || "";
+
+    for (const block of blocks) {
+      let event = "message";
+      const dataLines: string[] = [];
+
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith("data:")) {
+          dataLines.push(line.slice(5).trimStart());
+        }
+      }
+
+      if (dataLines.length > 0) {
+        handleEvent(event, dataLines.join("\n"));
+      }
+    }
+  };
+
+  xhr.open("POST", `${SERVICE_URL}/api/chat/stream`);
+  xhr.setRequestHeader("Content-Type", "application/json");
+  xhr.setRequestHeader("Accept", "text/event-stream");
+  xhr.setRequestHeader("Authorization", `Bearer ${token}`);
+
+  xhr.onreadystatechange = () => {
+    if (xhr.readyState === 3 || xhr.readyState === 4) {
+      if (xhr.status >= 400) {
+        if (xhr.readyState === 4) {
+          finishWithError(`Request failed with status ${xhr.status}`);
+        }
+        return;
+      }
+      processChunk();
+    }
+
+    if (xhr.readyState === 4 && !finished) {
+      finishWithError("Stream ended before the response completed");
+    }
+  };
+
+  xhr.onerror = () => finishWithError("Network error");
+
+  xhr.send(JSON.stringify({ message, conversationId: conversationId || undefined }));
+
+  return () => {
+    finished = true;
+    xhr.abort();
+  };
+}
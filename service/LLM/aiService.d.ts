@@ -1,5 +1,5 @@
-import { ChatOpenAI } from "@langchain/openai";
-import { OpenAIEmbeddings } from "@langchain/openai";
+import type { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import type { Embeddings } from "@langchain/core/embeddings";
 
 export interface LLMOptions {
   temperature?: number;
@@ -7,76 +7,46 @@ export interface LLMOptions {
   maxRetries?: number;
 }
 
-export interface TokenUsageStats {
-  totalInputTokens: number;
-  totalOutputTokens: number;
-  totalCost: number;
-  lastReset: Date;
-  uptimeMs?: number;
-  avgCostPerHour?: number;
-}
-
-/**
- * Get or create the main LLM instance (gpt-4o-mini)
- */
-export function getLLM(options?: LLMOptions): ChatOpenAI;
-
-/**
- * Get cheaper LLM for simple tasks (gpt-3.5-turbo)
- */
-export function getCheapLLM(options?: LLMOptions): ChatOpenAI;
-
-/**
- * Get or create the embeddings instance
- */
-export function getEmbeddings(): OpenAIEmbeddings;
+export type ModelTier = 'main' | 'cheap';
 
-/**
- * Check cache for existing response
- */
-export function getCachedResponse(userId: string, message: string): string | null;
-
-/**
- * Store response in cache
- */
-export function setCachedResponse(userId: string, message: string, response: string): void;
+export interface LLMProvider {
+  name: string;
+  models: Record<ModelTier, string>;
+  createChatModel(tier: ModelTier, options?: { temperature?: number; maxTokens?: number }): BaseChatModel;
+  createEmbeddings(): Embeddings;
+}
 
 /**
- * Determine which model to use based on task
+ * Get the active LLM provider (chosen by LLM_PROVIDER)
  */
-export function selectModelForTask(message: string): 'cheap' | 'main';
+export function getProvider(): LLMProvider;
 
 /**
- * Track token usage for cost monitoring
+ * Replace the active provider (e.g. with the scripted provider in tests)
  */
-export function trackTokenUsage(inputTokens: number, outputTokens: number): void;
+export function setProvider(provider: LLMProvider): void;
 
 /**
- * Get token usage statistics
+ * Get the model name used for a tier
  */
-export function getTokenStats(): TokenUsageStats;
+export function getModelName(tier: ModelTier): string;
 
 /**
- * Reset token tracking
+ * Get or create the main LLM instance (gpt-4o-mini on OpenAI)
  */
-export function resetTokenStats(): void;
+export function getLLM(options?: LLMOptions): BaseChatModel;
 
 /**
- * Clear expired cache entries
+ * Get cheaper LLM for simple tasks (gpt-3.5-turbo on OpenAI)
  */
-export function clearExpiredCache(): void;
+export function getCheapLLM(options?: LLMOptions): BaseChatModel;
 
 /**
- * Token usage tracking object
+ * Get or create the embeddings instance
  */
-export const tokenUsage: {
-  totalInputTokens: number;
-  totalOutputTokens: number;
-  totalCost: number;
-  lastReset: Date;
-};
+export function getEmbeddings(): Embeddings;
 
 /**
- * Legacy export for backward compatibility
+ * Determine which model to use based on task
  */
-export const llm: ChatOpenAI;
+export function selectModelForTask(message: string): ModelTier;
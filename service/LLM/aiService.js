@@ -3,79 +3,93 @@
  * AI Language Model Service
  * ============================================================================
  * 
- * Provides access to OpenAI language models with cost optimization features.
- * \n * Models Used:
- * - gpt-4o-mini: Primary model for quality responses ($0.15/$0.60 per 1M tokens)
- * - gpt-3.5-turbo: Budget model for simple tasks (10x cheaper)
- * \n * Features:
- * - Singleton pattern for model instances
- * - Response caching (24 hour TTL)
+ * Provides access to language models with cost optimization features.
+ * The backing provider is chosen by LLM_PROVIDER (see LLM/providers/index.js):
+ * - openai: hosted OpenAI API (default)
+ * - openai-compatible: a local or self-hosted OpenAI-compatible server
+ * - scripted: deterministic offline stand-in for tests and development
+ * 
+ * Model Tiers (OpenAI defaults):
+ * - main: gpt-4o-mini - Primary model for quality responses ($0.15/$0.60 per 1M tokens)
+ * - cheap: gpt-3.5-turbo - Budget model for simple tasks (10x cheaper)
+ * 
+ * Features:
+ * - Singleton pattern for model instances (created lazily on first use)
+ * - Response caching lives in LLM/responseCache.js
  * - Smart model selection based on task complexity
- * - Token usage tracking
+ * - Token usage accounting and per-user budgets live in LLM/usage.js
  * - Max token limits to prevent expensive responses
- * \n * @module service/LLM/aiService.js
+ * 
+ * @module service/LLM/aiService.js
  */
 
-import { ChatOpenAI } from "@langchain/openai";
-import { OpenAIEmbeddings } from "@langchain/openai";
+import { createProvider } from './providers/index.js';
 
-// Singleton LLM instances - shared across entire application
+// Active provider and singleton instances - shared across entire application
+let provider = null;
 let llmInstance = null;
 let llmCheapInstance = null;
 let embeddingsInstance = null;
 
-// Response cache for cost optimization
-const responseCache = new Map();
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
-
-// Track token usage for monitoring
-export const tokenUsage = {
-  totalInputTokens: 0,
-  totalOutputTokens: 0,
-  totalCost: 0,
-  lastReset: new Date(),
+// Per-tier generation limits
+const TIER_OPTIONS = {
+  main: { maxTokens: 500 }, // COST: Prevent expensive runaway responses
+  cheap: { maxTokens: 300 }, // COST: More restricted than main model
 };
 
 /**
- * Get or create the main LLM instance (gpt-4o-mini)
+ * Get the active LLM provider (created from the environment on first use)
+ */
+export function getProvider() {
+  if (!provider) {
+    provider = createProvider();
+    console.log(`🧠 LLM provider: ${provider.name} (main: ${provider.models.main}, cheap: ${provider.models.cheap})`);
+  }
+  return provider;
+}
+
+/**
+ * Replace the active provider (e.g. with the scripted provider in tests)
+ * Drops existing model instances so the next call uses the new provider.
+ */
+export function setProvider(nextProvider) {
+  provider = nextProvider;
+  llmInstance = null;
+  llmCheapInstance = null;
+  embeddingsInstance = null;
+}
+
+/**
+ * Get the model name used for a tier ('main' or 'cheap')
+ */
+export function getModelName(tier) {
+  return getProvider().models[tier];
+}
+
+/**
+ * Get or create the main LLM instance (gpt-4o-mini on OpenAI)
  * COST: $0.15 per 1M input tokens, $0.60 per 1M output tokens
  */
 export function getLLM(options = {}) {
   if (!llmInstance) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
-    }
-    
-    llmInstance = new ChatOpenAI({
-      modelName: 'gpt-4o-mini',
+    llmInstance = getProvider().createChatModel('main', {
       temperature: options.temperature ?? 0, // 0 = deterministic (better for caching)
-      apiKey: process.env.OPENAI_API_KEY,
-      maxRetries: 2,
-      maxTokens: 500, // COST: Prevent expensive runaway responses
-      topP: 0.9,
+      ...TIER_OPTIONS.main,
     });
   }
   return llmInstance;
 }
 
 /**
- * Get cheaper LLM for simple tasks (gpt-3.5-turbo)
+ * Get cheaper LLM for simple tasks (gpt-3.5-turbo on OpenAI)
  * COST: 10x cheaper than gpt-4o-mini
  * Use for: keyword extraction, classification, simple Q&A
  */
 export function getCheapLLM(options = {}) {
   if (!llmCheapInstance) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
-    }
-    
-    llmCheapInstance = new ChatOpenAI({
-      modelName: 'gpt-3.5-turbo',
+    llmCheapInstance = getProvider().createChatModel('cheap', {
       temperature: options.temperature ?? 0,
-      apiKey: process.env.OPENAI_API_KEY,
-      maxRetries: 2,
-      maxTokens: 300, // COST: More restricted than main model
-      topP: 0.9,
+      ...TIER_OPTIONS.cheap,
     });
   }
   return llmCheapInstance;
@@ -86,60 +100,11 @@ export function getCheapLLM(options = {}) {
  */
 export function getEmbeddings() {
   if (!embeddingsInstance) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
-    }
-    
-    embeddingsInstance = new OpenAIEmbeddings({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    embeddingsInstance = getProvider().createEmbeddings();
   }
   return embeddingsInstance;
 }
 
-/**
- * Check cache for existing response
- * SAVES: 100% of tokens if hit
- */
-export function getCachedResponse(userId, message) {
-  const cacheKey = `${userId}:${hashMessage(message)}`;
-  const cached = responseCache.get(cacheKey);
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    console.log('✅ Cache HIT - Response retrieved from cache');
-    return cached.response;
-  }
-  
-  if (cached) {
-    responseCache.delete(cacheKey); // Remove expired cache
-  }
-  
-  return null;
-}
-
-/**
- * Store response in cache
- */
-export function setCachedResponse(userId, message, response) {
-  const cacheKey = `${userId}:${hashMessage(message)}`;
-  responseCache.set(cacheKey, {
-    response,
-    timestamp: Date.now(),
-  });
-}
-
-/**
- * Simple hash for message deduplication
- */
-function hashMessage(message) {
-  return message
-    .toLowerCase()
-    .trim()
-    .split(/\s+/)
-    .slice(0, 10) // First 10 words as hash
-    .join(':');
-}
-
 /**
  * Determine which model to use based on task
  * SAVES: 80% on simple tasks by using cheaper model
@@ -161,58 +126,3 @@ export function selectModelForTask(message) {
   // Use main model for complex reasoning
   return 'main'; // gpt-4o-mini
 }
-
-/**
- * Track token usage for cost monitoring
- */
-export function trackTokenUsage(inputTokens, outputTokens) {
-  tokenUsage.totalInputTokens += inputTokens;
-  tokenUsage.totalOutputTokens += outputTokens;
-  
-  // gpt-4o-mini pricing: $0.00015 per input, $0.0006 per output
-  const inputCost = (inputTokens / 1_000_000) * 0.15;
-  const outputCost = (outputTokens / 1_000_000) * 0.60;
-  tokenUsage.totalCost += inputCost + outputCost;
-  
-  console.log(`📊 Tokens: ${inputTokens}in/${outputTokens}out | Cost: $${(inputCost + outputCost).toFixed(4)}`);
-}
-
-/**
- * Get token usage statistics
- */
-export function getTokenStats() {
-  const uptime = Date.now() - tokenUsage.lastReset;
-  return {
-    ...tokenUsage,
-    uptimeMs: uptime,
-    avgCostPerHour: (tokenUsage.totalCost / uptime) * 60 * 60 * 1000,
-  };
-}
-
-/**
- * Reset token tracking (daily/weekly cleanup)
- */
-export function resetTokenStats() {
-  console.log(`📈 Daily Cost Summary: $${tokenUsage.totalCost.toFixed(2)} | Tokens: ${tokenUsage.totalInputTokens}/${tokenUsage.totalOutputTokens}`);
-  tokenUsage.totalInputTokens = 0;
-  tokenUsage.totalOutputTokens = 0;
-  tokenUsage.totalCost = 0;
-  tokenUsage.lastReset = new Date();
-}
-
-/**
- * Clear old cache entries
- */
-export function clearExpiredCache() {
-  let cleared = 0;
-  for (const [key, value] of responseCache.entries()) {
-    if (Date.now() - value.timestamp > CACHE_DURATION) {
-      responseCache.delete(key);
-      cleared++;
-    }
-  }
-  console.log(`🧹 Cache cleanup: ${cleared} expired entries removed`);
-}
-
-// Legacy export for backward compatibility
-export const llm = getLLM();
\ No newline at end of file
@@ -0,0 +1,167 @@
+/**
+ * ============================================================================
+ * Token Pricing & Budgets
+ * ============================================================================
+ *
+ * Cost estimates and budget arithmetic for LLM/usage.js: which model price
+ * applies, when the daily and monthly budget periods start and reset, and
+ * whether a user's totals use a budget up. Pure functions over totals the
+ * caller loads.
+ *
+ * Environment Variables:
+ * - TOKEN_BUDGET_DAILY: Tokens per user per day (default: no limit)
+ * - TOKEN_BUDGET_MONTHLY: Tokens per user per month (default: no limit)
+ * - TOKEN_BUDGET_ACTION: "degrade" (default) or "refuse"
+ * - LLM_PRICING: JSON prices per 1M tokens added to or overriding the defaults,
+ *   e.g. {"llama3.1": {"input": 0, "output": 0}}
+ *
+ * @module service/LLM/budget.js
+ */
+
+/** Default USD prices per 1M tokens, matched by model name prefix */
+const DEFAULT_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
+  'scripted': { input: 0, output: 0 }, // Offline provider
+};
+
+/** Models without a price, warned about once each */
+const unpricedModels = new Set();
+
+let pricing = null;
+
+// ============================================================================
+// Pricing
+// ============================================================================
+
+/**
+ * Price table: the defaults plus LLM_PRICING overrides
+ *
+ * @returns {Object} { [modelPrefix]: { input, output } } in USD per 1M tokens
+ */
+function getPricing() {
+  if (!pricing) {
+    pricing = { ...DEFAULT_PRICING };
+    if (process.env.LLM_PRICING) {
+      try {
+        Object.assign(pricing, JSON.parse(process.env.LLM_PRICING));
+      } catch (error) {
+        console.warn(`⚠️ Ignoring invalid LLM_PRICING: ${error.message}`);
+      }
+    }
+  }
+  return pricing;
+}
+
+/**
+ * Estimate the cost of an LLM call
+ * Models are matched by the longest price table key they start with, so
+ * dated snapshots ("gpt-4o-mini-2024-07-18") use their family's price.
+ * Models without a price cost 0.
+ *
+ * @param {string} model - Model name
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Completion tokens
+ * @returns {number} Estimated cost in USD
+ */
+export function estimateCost(model, inputTokens, outputTokens) {
+  const table = getPricing();
+  const key = Object.keys(table)
+    .filter((prefix) => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!key) {
+    if (!unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      console.warn(`⚠️ No price for model "${model}", recording its cost as 0 (set LLM_PRICING)`);
+    }
+    return 0;
+  }
+
+  const { input, output } = table[key];
+  return (inputTokens / 1_000_000) * input + (outputTokens / 1_000_000) * output;
+}
+
+// ============================================================================
+// Budgets
+// ============================================================================
+
+/** What happens when a budget is used up */
+export const BUDGET_ACTIONS = ['degrade', 'refuse'];
+
+/**
+ * The UTC day and month containing a time, with the moments they reset
+ *
+ * @param {Date} now - Current time
+ * @returns {Object} { dayStart, dayResetsAt, monthStart, monthResetsAt }
+ */
+export function getBudgetPeriods(now) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+
+  return {
+    dayStart: new Date(Date.UTC(year, month, day)),
+    dayResetsAt: new Date(Date.UTC(year, month, day + 1)),
+    monthStart: new Date(Date.UTC(year, month, 1)),
+    monthResetsAt: new Date(Date.UTC(year, month + 1, 1)),
+  };
+}
+
+/**
+ * Budget settings from the environment
+ *
+ * @returns {Object} { daily, monthly, action } - limits are null when unset
+ */
+export function getBudgetConfig() {
+  const parseLimit = (value) => {
+    const limit = parseInt(value, 10);
+    return limit > 0 ? limit : null;
+  };
+  const action = process.env.TOKEN_BUDGET_ACTION || 'degrade';
+
+  return {
+    daily: parseLimit(process.env.TOKEN_BUDGET_DAILY),
+    monthly: parseLimit(process.env.TOKEN_BUDGET_MONTHLY),
+    action: BUDGET_ACTIONS.includes(action) ? action : 'degrade',
+  };
+}
+
+/**
+ * Measure a user's usage this day and month against the budgets
+ *
+ * status is:
+ * - "ok": within every budget
+ * - "degraded": a budget is used up and the action is "degrade" (use the cheap tier)
+ * - "exceeded": a budget is used up and the action is "refuse" (do not call the LLM)
+ *
+ * @param {Object} config - Budget settings (getBudgetConfig)
+ * @param {Object} totals - { daily, monthly } usage totals, each with totalTokens
+ * @param {Date} now - Current time
+ * @returns {Object} { status, exceeded, resetsAt, action, daily, monthly } where
+ *   daily/monthly are { limit, ...totals } and exceeded names the used-up period ("daily" or "monthly")
+ */
+export function evaluateBudget(config, { daily, monthly }, now) {
+  const { dayResetsAt, monthResetsAt } = getBudgetPeriods(now);
+  const periods = [
+    { name: 'monthly', limit: config.monthly, used: monthly.totalTokens, resetsAt: monthResetsAt },
+    { name: 'daily', limit: config.daily, used: daily.totalTokens, resetsAt: dayResetsAt },
+  ];
+  // The monthly budget is checked first: its reset is further away
+  const exceeded = periods.find((period) => period.limit !== null && period.used >= period.limit);
+
+  let status = 'ok';
+  if (exceeded) {
+    status = config.action === 'refuse' ? 'exceeded' : 'degraded';
+  }
+
+  return {
+    status,
+    exceeded: exceeded?.name ?? null,
+    resetsAt: exceeded?.resetsAt ?? null,
+    action: config.action,
+    daily: { limit: config.daily, ...daily },
+    monthly: { limit: config.monthly, ...monthly },
+  };
+}
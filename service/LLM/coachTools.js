@@ -0,0 +1,273 @@
+/**
+ * ============================================================================
+ * AI Coach Tools
+ * ============================================================================
+ *
+ * Structured tools the AI coach can call during a chat turn to create goals,
+ * calendar events and reminders for the user.
+ *
+ * Tool calls are never executed directly. They are validated, turned into
+ * pending ChatActions with a human-readable summary, and only run once the
+ * user confirms them (see POST /api/chat/actions/:id/confirm).
+ *
+ * Tools:
+ * - create_goal → goalService.create
+ * - create_calendar_event → calendarEventService.create
+ * - create_reminder → reminderService.create
+ *
+ * @module service/LLM/coachTools.js
+ */
+
+import { goalService, calendarEventService, reminderService } from '../db/index.js';
+import { GOAL_DIRECTIONS } from '../goals/progress.js';
+import { compileSchema, text, date, time, dateTime } from '../validation/index.js';
+
+// ============================================================================
+// Tool Definitions
+// ============================================================================
+
+const GOAL_TYPES = ['daily', 'longterm'];
+const GOAL_PRIORITIES = ['low', 'medium', 'high'];
+const EVENT_TYPES = ['event', 'workout', 'appointment', 'class'];
+const RECURRING_TYPES = ['daily', 'weekly', 'biweekly', 'monthly', 'yearly'];
+const REPEAT_TYPES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/**
+ * Tool definitions in OpenAI function-calling format (passed to bindTools)
+ * The parameters also validate the arguments the model sends back.
+ */
+export const COACH_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'create_goal',
+      description: 'Create a goal for the user. Use "daily" for habits they tick off every day and "longterm" for outcomes that take weeks or months.',
+      parameters: {
+        type: 'object',
+        properties: {
+          text: { ...text(), description: 'Short, actionable goal text, e.g. "Drink 8 glasses of water"' },
+          type: { type: 'string', enum: GOAL_TYPES },
+          priority: { type: 'string', enum: GOAL_PRIORITIES },
+          category: { type: 'string', description: 'Optional category, e.g. "fitness", "nutrition", "sleep"' },
+          targetValue: { type: 'number', description: 'Measurable target for long-term goals, e.g. 225 for "Bench 225 lb"' },
+          unit: { ...text(20), description: 'Unit of the target, e.g. "lb", "km", "min"' },
+          baselineValue: { type: 'number', description: 'Where the user is today, if they said so' },
+          deadline: { ...date, description: 'Target date in YYYY-MM-DD format' },
+          direction: { type: 'string', enum: GOAL_DIRECTIONS, description: '"decrease" for targets like weight loss or a faster time' },
+        },
+        required: ['text', 'type'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'create_calendar_event',
+      description: 'Schedule an event on the user\'s calendar, such as a workout session.',
+      parameters: {
+        type: 'object',
+        properties: {
+          title: text(),
+          date: { ...date, description: 'Date in YYYY-MM-DD format' },
+          time: { ...time, description: 'Optional time in HH:mm (24-hour) format' },
+          type: { type: 'string', enum: EVENT_TYPES },
+          description: { type: 'string' },
+          recurring: { type: 'string', enum: RECURRING_TYPES, description: 'Omit for a one-time event' },
+        },
+        required: ['title', 'date'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'create_reminder',
+      description: 'Set a reminder for the user at a specific date and time.',
+      parameters: {
+        type: 'object',
+        properties: {
+          title: text(),
+          dueDate: { ...dateTime, description: 'ISO 8601 date-time, e.g. "2025-11-04T18:30:00"' },
+          repeatType: { type: 'string', enum: REPEAT_TYPES, description: 'Omit for a one-time reminder' },
+          interval: { type: 'integer', minimum: 1, description: 'Repeat every N periods (default 1)' },
+        },
+        required: ['title', 'dueDate'],
+      },
+    },
+  },
+];
+
+/**
+ * Instructions appended to the system prompt so the model knows when to call tools
+ *
+ * @param {Date} now - Current time (used to resolve "tomorrow", "next Monday", ...)
+ * @returns {string} Prompt section
+ */
+export function getToolInstructions(now = new Date()) {
+  return `Today is ${now.toISOString().slice(0, 10)} (${now.toLocaleDateString('en-US', { weekday: 'long' })}).
+When the user asks you to add a goal, schedule something or remind them, call the matching tool instead of only describing it.
+Nothing is saved until the user confirms, so briefly say what you are proposing and ask them to confirm.
+`;
+}
+
+// ============================================================================
+// Validation & Summaries
+// ============================================================================
+
+/** Argument validators by tool name, compiled from the tool parameters */
+const TOOL_CHECKS = Object.fromEntries(
+  COACH_TOOLS.map(({ function: tool }) => [tool.name, compileSchema(tool.parameters, { location: tool.name })])
+);
+
+/** Values used when the model leaves an argument out */
+const TOOL_DEFAULTS = {
+  create_goal: { type: 'daily', priority: 'medium' },
+  create_calendar_event: { type: 'event' },
+};
+
+/**
+ * Validate and normalize the arguments of a single tool call
+ *
+ * @param {string} tool - Tool name
+ * @param {Object} args - Arguments produced by the model
+ * @returns {{ args: Object|null, errors: Array<string> }} Normalized args or errors
+ */
+export function validateToolArgs(tool, args = {}) {
+  const check = TOOL_CHECKS[tool];
+  if (!check) return { args: null, errors: [`Unknown tool: ${tool}`] };
+
+  // Models often send null or "" for optional arguments they leave out
+  const given = Object.fromEntries(Object.entries(args || {}).filter(([, value]) => value !== null && value !== ''));
+  const values = { ...TOOL_DEFAULTS[tool], ...given };
+
+  const errors = check(values).map((error) => error.message);
+  if (errors.length > 0) return { args: null, errors };
+
+  switch (tool) {
+    case 'create_goal':
+      return {
+        args: {
+          text: values.text.trim(),
+          type: values.type,
+          priority: values.priority,
+          category: values.category?.trim() || 'ai_suggested',
+          ...(values.targetValue != null && {
+            targetValue: values.targetValue,
+            unit: values.unit?.trim() || null,
+            baselineValue: values.baselineValue ?? null,
+            deadline: values.deadline || null,
+            direction: values.direction || null,
+          }),
+        },
+        errors,
+      };
+
+    case 'create_calendar_event':
+      return {
+        args: {
+          title: values.title.trim(),
+          date: values.date,
+          time: values.time || null,
+          type: values.type,
+          description: values.description?.trim() || null,
+          recurring: values.recurring || null,
+        },
+        errors,
+      };
+
+    case 'create_reminder':
+      return {
+        args: {
+          title: values.title.trim(),
+          dueDate: values.dueDate,
+          repeatType: values.repeatType || null,
+          interval: values.repeatType ? (values.interval || 1) : null,
+        },
+        errors,
+      };
+  }
+}
+
+/**
+ * Describe a validated action in plain language for the confirmation prompt
+ *
+ * @param {string} tool - Tool name
+ * @param {Object} args - Validated arguments
+ * @returns {string} Summary, e.g. 'Schedule "Leg day" on 2025-11-05 at 18:00'
+ */
+export function describeAction(tool, args) {
+  switch (tool) {
+    case 'create_goal':
+      return `Add ${args.type === 'longterm' ? 'long-term' : 'daily'} goal "${args.text}"` +
+        (args.targetValue != null ? ` (target ${args.targetValue}${args.unit ? ` ${args.unit}` : ''}${args.deadline ? ` by ${args.deadline}` : ''})` : '');
+    case 'create_calendar_event':
+      return `Schedule "${args.title}" on ${args.date}${args.time ? ` at ${args.time}` : ''}${args.recurring ? ` (repeats ${args.recurring})` : ''}`;
+    case 'create_reminder':
+      return `Remind you to "${args.title}" at ${args.dueDate}${args.repeatType ? ` (repeats ${args.repeatType.toLowerCase()})` : ''}`;
+    default:
+      return tool;
+  }
+}
+
+/**
+ * Turn raw tool calls from the model into validated proposals.
+ * Invalid calls are dropped (and logged) rather than failing the chat turn.
+ *
+ * @param {Array} toolCalls - [{ name, args }] from AIMessage.tool_calls
+ * @returns {Array} Proposals: [{ tool, args, summary }]
+ */
+export function buildProposals(toolCalls = []) {
+  const proposals = [];
+
+  for (const call of toolCalls) {
+    const { args, errors } = validateToolArgs(call.name, call.args);
+    if (!args) {
+      console.warn(`⚠️ Dropping invalid ${call.name} tool call: ${errors.join('; ')}`);
+      continue;
+    }
+    proposals.push({ tool: call.name, args, summary: describeAction(call.name, args) });
+  }
+
+  return proposals;
+}
+
+/**
+ * Fallback assistant text for turns where the model only returned tool calls
+ *
+ * @param {Array} proposals - Validated proposals
+ * @returns {string} Confirmation prompt
+ */
+export function formatProposalPrompt(proposals) {
+  if (proposals.length === 0) {
+    return 'I wasn\'t able to work out all the details for that. Could you tell me the exact date and time?';
+  }
+
+  const lines = proposals.map((proposal) => `- ${proposal.summary}`).join('\n');
+  return `Here's what I can set up for you:\n${lines}\n\nShall I go ahead?`;
+}
+
+// ============================================================================
+// Execution
+// ============================================================================
+
+/**
+ * Execute a confirmed action against the database
+ *
+ * @param {string} userId - Owner of the created record
+ * @param {string} tool - Tool name
+ * @param {Object} args - Validated arguments
+ * @returns {Promise<Object>} { type: "goal"|"calendarEvent"|"reminder", record }
+ * @throws {Error} If the tool is unknown or the create fails
+ */
+export async function executeAction(userId, tool, args) {
+  switch (tool) {
+    case 'create_goal':
+      return { type: 'goal', record: await goalService.create({ userId, ...args }) };
+    case 'create_calendar_event':
+      return { type: 'calendarEvent', record: await calendarEventService.create({ userId, ...args }) };
+    case 'create_reminder':
+      return { type: 'reminder', record: await reminderService.create({ userId, ...args }) };
+    default:
+      throw new Error(`Unknown tool: ${tool}`);
+  }
+}
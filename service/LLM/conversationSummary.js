@@ -0,0 +1,158 @@
+/**
+ * ============================================================================
+ * Conversation Summaries
+ * ============================================================================
+ *
+ * Keeps long conversations within a fixed prompt size without forgetting
+ * what was said early on.
+ *
+ * A background job condenses the older messages of each thread into a
+ * running summary stored on the Conversation. It always leaves the most
+ * recent messages out (they go to the prompt verbatim) and only calls the
+ * model once enough older messages have piled up. Summaries are written by
+ * the cheap model and counted against the user's token budget (feature
+ * "summary"); threads of users whose budget is refused are skipped.
+ *
+ * When a chat turn is prepared, the summary is added to the system prompt
+ * and the newest unsummarized messages are packed in until the prompt
+ * token budget is reached (packConversationHistory in LLM/historyWindow.js).
+ *
+ * Environment Variables:
+ * - CONVERSATION_SUMMARY_SCHEDULER: Set to "off" to disable the job
+ * - CONVERSATION_SUMMARY_INTERVAL_MS: Time between runs (default: 300000)
+ *
+ * @module service/LLM/conversationSummary.js
+ */
+
+import { conversationService, messageService } from '../db/index.js';
+import { getCheapLLM, getModelName } from './aiService.js';
+import { recordUsage, checkTokenBudget } from './usage.js';
+import { foldIntoSummary } from './historyWindow.js';
+import { createIntervalJob } from '../jobs/intervalJob.js';
+
+/** Conversations summarized per scheduler run */
+const BATCH_SIZE = 50;
+
+// ============================================================================
+// Summarization
+// ============================================================================
+
+/**
+ * Ask the cheap model to fold messages into a summary
+ *
+ * @param {string} userId - User the call is made for (usage accounting)
+ * @param {string|null} summary - Current summary
+ * @param {Array} messages - Messages to add, oldest first
+ * @returns {Promise<string>} Updated summary
+ * @throws {Error} If the call fails or returns no text
+ */
+async function updateSummary(userId, summary, messages) {
+  const transcript = messages
+    .map((message) => `${message.role === 'assistant' ? 'Coach' : 'User'}: ${message.text}`)
+    .join('\n');
+
+  const response = await getCheapLLM().invoke([
+    {
+      role: 'system',
+      content: 'You keep a running summary of a conversation between a user and their AI fitness coach. ' +
+        'Merge the new messages into the current summary. Keep what the coach needs later: goals, ' +
+        'injuries and limitations, preferences, plans and commitments, progress and open questions. ' +
+        'Drop greetings and small talk. Write at most 150 words in the third person and reply with the summary only.',
+    },
+    {
+      role: 'human',
+      content: `Current summary:\n${summary || '(none yet)'}\n\nNew messages:\n${transcript}`,
+    },
+  ]);
+
+  await recordUsage(userId, {
+    model: getModelName('cheap'),
+    tier: 'cheap',
+    feature: 'summary',
+    response,
+  });
+
+  const text = typeof response.content === 'string' ? response.content.trim() : '';
+  if (!text) {
+    throw new Error('The model returned an empty summary');
+  }
+  return text;
+}
+
+/**
+ * Fold a conversation's older messages into its running summary
+ * (see foldIntoSummary in LLM/historyWindow.js for which messages are used)
+ *
+ * @param {Object} conversation - Conversation with summary and summarizedUntil
+ * @returns {Promise<Object>} { summarized } - number of messages added to the summary
+ */
+export function summarizeConversation(conversation) {
+  return foldIntoSummary(conversation, {
+    loadMessages: (after, limit) => messageService.getAfter(conversation.id, after, limit),
+    summarize: (summary, messages) => updateSummary(conversation.userId, summary, messages),
+    save: (update) => conversationService.saveSummary(conversation.id, update),
+  });
+}
+
+/**
+ * Summarize every conversation with new messages
+ *
+ * @param {Date} now - Current time (default: now)
+ * @returns {Promise<Object>} { checked, summarized, failed } counts of conversations
+ */
+export async function runConversationSummaries(now = new Date()) {
+  const conversations = await conversationService.getNeedingSummary(BATCH_SIZE);
+  let summarized = 0;
+  let failed = 0;
+
+  for (const conversation of conversations) {
+    try {
+      const budget = await checkTokenBudget(conversation.userId);
+      if (budget.status !== 'exceeded') {
+        const result = await summarizeConversation(conversation);
+        if (result.summarized > 0) summarized++;
+      }
+      await conversationService.markSummaryChecked(conversation.id, now);
+    } catch (error) {
+      // Not marked as checked, so the next run tries again
+      console.error(`⚠️ Summarizing conversation ${conversation.id} failed:`, error.message);
+      failed++;
+    }
+  }
+
+  if (summarized > 0 || failed > 0) {
+    console.log(`📝 Conversation summaries: ${summarized} updated, ${failed} failed`);
+  }
+  return { checked: conversations.length, summarized, failed };
+}
+
+// ============================================================================
+// Scheduler
+// ============================================================================
+
+const job = createIntervalJob({
+  name: 'Conversation summary scheduler',
+  run: () => runConversationSummaries(),
+  disabledBy: 'CONVERSATION_SUMMARY_SCHEDULER',
+  intervalVariable: 'CONVERSATION_SUMMARY_INTERVAL_MS',
+  defaultIntervalMs: 5 * 60 * 1000,
+  startedMessage: (interval) => `📝 Conversation summary scheduler started (every ${interval / 60000} min)`,
+});
+
+/**
+ * Start summarizing conversations in the background
+ * Does nothing if the job is already running or CONVERSATION_SUMMARY_SCHEDULER=off.
+ *
+ * @param {Object} options - Options
+ * @param {number} options.intervalMs - Run interval (default: CONVERSATION_SUMMARY_INTERVAL_MS or 5 minutes)
+ */
+export function startSummaryScheduler({ intervalMs } = {}) {
+  job.start({ intervalMs });
+}
+
+/**
+ * Stop summarizing conversations
+ */
+export function stopSummaryScheduler() {
+  job.stop();
+}
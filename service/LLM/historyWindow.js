@@ -0,0 +1,134 @@
+/**
+ * ============================================================================
+ * History Window
+ * ============================================================================
+ *
+ * Decides which messages of a thread reach the prompt verbatim and which are
+ * folded into its running summary (see LLM/conversationSummary.js).
+ *
+ * - Prompt side: the newest unsummarized messages are packed in until the
+ *   prompt token budget is reached (packConversationHistory)
+ * - Summary side: older messages are folded in batches, always leaving the
+ *   most recent ones out, and only once enough have piled up (foldIntoSummary)
+ *
+ * Token counts are estimates (about four characters per token). Nothing here
+ * touches the database or the model; callers pass those in.
+ *
+ * Environment Variables:
+ * - CHAT_PROMPT_TOKEN_BUDGET: Estimated tokens a chat prompt may use (default: 3000)
+ *
+ * @module service/LLM/historyWindow.js
+ */
+
+/** Messages kept out of the summary so the prompt always has the latest turns verbatim */
+export const SUMMARY_KEEP_RECENT = 10;
+
+/** Older messages needed before the model is asked to update a summary */
+export const SUMMARY_MIN_MESSAGES = 10;
+
+/** Messages folded into the summary per model call */
+export const SUMMARY_BATCH_SIZE = 40;
+
+/** Default prompt budget in estimated tokens */
+const DEFAULT_PROMPT_TOKEN_BUDGET = 3000;
+
+// ============================================================================
+// Prompt Budget
+// ============================================================================
+
+/**
+ * Rough token count of a text (about four characters per token for English)
+ * Good enough for budgeting; the provider reports the exact usage afterwards.
+ *
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Prompt token budget from the environment
+ *
+ * @returns {number} Estimated tokens a chat prompt may use
+ */
+export function getPromptTokenBudget() {
+  const budget = parseInt(process.env.CHAT_PROMPT_TOKEN_BUDGET, 10);
+  return budget > 0 ? budget : DEFAULT_PROMPT_TOKEN_BUDGET;
+}
+
+/**
+ * Format a thread's summary for the system prompt
+ *
+ * @param {Object|null} conversation - Conversation with summary
+ * @returns {string} Prompt section ('' when there is no summary yet)
+ */
+export function formatSummaryForPrompt(conversation) {
+  if (!conversation?.summary) return '';
+  return `Summary of earlier messages in this conversation:\n${conversation.summary}\n`;
+}
+
+/**
+ * Keep the newest history messages that fit in the prompt budget
+ * The system prompt (which carries the summary) and the new user message
+ * are always sent; history is added newest first until the budget is used
+ * up, so a turn is never split from the ones after it.
+ *
+ * @param {Object} prompt - Prompt parts
+ * @param {string} prompt.systemPrompt - System prompt including the summary
+ * @param {Array} prompt.history - Unsummarized messages, oldest first ({ role, content })
+ * @param {string} prompt.userMessage - New user message
+ * @param {number} budget - Token budget (default: CHAT_PROMPT_TOKEN_BUDGET)
+ * @returns {Object} { history, dropped, estimatedTokens } with the kept messages, oldest first
+ */
+export function packConversationHistory({ systemPrompt, history, userMessage }, budget = getPromptTokenBudget()) {
+  let used = estimateTokens(systemPrompt) + estimateTokens(userMessage);
+  let start = history.length;
+
+  while (start > 0) {
+    const cost = estimateTokens(history[start - 1].content);
+    if (used + cost > budget) break;
+    used += cost;
+    start--;
+  }
+
+  return { history: history.slice(start), dropped: start, estimatedTokens: used };
+}
+
+// ============================================================================
+// Summary Batches
+// ============================================================================
+
+/**
+ * Fold a conversation's older messages into its running summary
+ * The newest SUMMARY_KEEP_RECENT messages are left out; nothing happens
+ * until at least SUMMARY_MIN_MESSAGES older messages are waiting. Each batch
+ * is saved before the next one is loaded, so a failure keeps earlier batches.
+ *
+ * @param {Object} conversation - Conversation with summary and summarizedUntil
+ * @param {Object} io - Data access and model call
+ * @param {Function} io.loadMessages - (after, limit) => Promise<Array> messages created after `after`, oldest first
+ * @param {Function} io.summarize - (summary, messages) => Promise<string> updated summary
+ * @param {Function} io.save - ({ summary, summarizedUntil }) => Promise
+ * @returns {Promise<Object>} { summarized } - number of messages added to the summary
+ */
+export async function foldIntoSummary(conversation, { loadMessages, summarize, save }) {
+  let { summary, summarizedUntil } = conversation;
+  let summarized = 0;
+
+  for (;;) {
+    // Fetching the kept messages too shows which of the older ones may be summarized
+    const messages = await loadMessages(summarizedUntil, SUMMARY_BATCH_SIZE + SUMMARY_KEEP_RECENT);
+    const pending = messages.slice(0, Math.max(0, messages.length - SUMMARY_KEEP_RECENT)).slice(0, SUMMARY_BATCH_SIZE);
+    if (pending.length < SUMMARY_MIN_MESSAGES) break;
+
+    summary = await summarize(summary, pending);
+    summarizedUntil = pending[pending.length - 1].createdAt;
+    await save({ summary, summarizedUntil });
+    summarized += pending.length;
+
+    if (messages.length < SUMMARY_BATCH_SIZE + SUMMARY_KEEP_RECENT) break;
+  }
+
+  return { summarized };
+}
@@ -0,0 +1,128 @@
+/**
+ * ============================================================================
+ * Long-Term Memory Store
+ * ============================================================================
+ *
+ * Semantic memory for the AI coach. Saved memories and past chat messages are
+ * embedded with the active provider's embeddings and stored per user in the
+ * configured vector backend (see LLM/vectorStore.js). At chat time the most
+ * relevant items are retrieved and added to the system prompt.
+ *
+ * Memory kinds:
+ * - memory: facts saved explicitly via POST /api/chat/memory
+ * - message: chat messages, indexed automatically as they are saved
+ *
+ * @module service/LLM/memoryStore.js
+ */
+
+import { randomUUID } from 'crypto';
+import { getEmbeddings } from './aiService.js';
+import { getVectorStore } from './vectorStore.js';
+
+/** Messages shorter than this ("ok", "thanks") are not worth indexing */
+const MIN_INDEXED_MESSAGE_LENGTH = 20;
+
+/** Results below this similarity are treated as unrelated */
+const MIN_RELEVANCE_SCORE = 0.3;
+
+/**
+ * Embed and store a memory for a user
+ *
+ * @param {string} userId - Owner
+ * @param {string} content - Text to remember
+ * @param {Object} options - Options
+ * @param {string} options.kind - "memory" (default) or "message"
+ * @param {string} options.sourceId - Source message ID (optional)
+ * @returns {Promise<Object>} Stored record: { id, kind, sourceId, content }
+ */
+export async function addMemory(userId, content, { kind = 'memory', sourceId = null } = {}) {
+  const text = content.trim();
+  const embedding = await getEmbeddings().embedQuery(text);
+  const record = { id: randomUUID(), userId, kind, sourceId, content: text, embedding };
+
+  await getVectorStore().add(record);
+
+  return { id: record.id, kind, sourceId, content: text };
+}
+
+/**
+ * Index a saved chat message so it can be recalled in later conversations
+ * Failures are logged, never thrown - indexing must not break a chat turn.
+ *
+ * @param {Object} message - Saved Message ({ id, userId, text, role })
+ * @returns {Promise<void>}
+ */
+export async function indexMessage(message) {
+  if (!message?.text || message.text.trim().length < MIN_INDEXED_MESSAGE_LENGTH) return;
+
+  try {
+    const prefix = message.role === 'assistant' ? 'Coach said' : 'User said';
+    await addMemory(message.userId, `${prefix}: ${message.text}`, { kind: 'message', sourceId: message.id });
+  } catch (error) {
+    console.error(`⚠️ Failed to index message ${message.id} for memory:`, error.message);
+  }
+}
+
+/**
+ * Find the memories most relevant to a query
+ *
+ * @param {string} userId - User whose memories to search
+ * @param {string} query - Text to match (usually the user's message)
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum results (default: 3)
+ * @param {Array<string>} options.excludeSourceIds - Message IDs to skip, e.g. those already in the prompt
+ * @returns {Promise<Array>} [{ id, kind, content, score, createdAt }] best first
+ */
+export async function searchMemories(userId, query, { limit = 3, excludeSourceIds = [] } = {}) {
+  const embedding = await getEmbeddings().embedQuery(query);
+  const exclude = new Set(excludeSourceIds);
+
+  // Over-fetch so excluded and low-scoring results don't leave us short
+  const results = await getVectorStore().search(userId, embedding, limit + exclude.size);
+
+  return results
+    .filter((result) => result.score >= MIN_RELEVANCE_SCORE)
+    .filter((result) => !result.sourceId || !exclude.has(result.sourceId))
+    .slice(0, limit);
+}
+
+/**
+ * List a user's stored memories, newest first
+ *
+ * @param {string} userId - User ID
+ * @param {Object} options - { kind, limit }
+ * @returns {Promise<Array>} Memory records
+ */
+export async function listMemories(userId, options) {
+  return await getVectorStore().list(userId, options);
+}
+
+/**
+ * Delete one of a user's memories
+ *
+ * @param {string} userId - User requesting the deletion
+ * @param {string} memoryId - Memory ID
+ * @returns {Promise<boolean|null>} true if deleted, false if owned by another user, null if not found
+ */
+export async function deleteMemory(userId, memoryId) {
+  const store = getVectorStore();
+  const memory = await store.get(memoryId);
+
+  if (!memory) return null;
+  if (memory.userId !== userId) return false;
+
+  await store.remove(memoryId);
+  return true;
+}
+
+/**
+ * Forget the memories embedded from deleted messages
+ * Used when a conversation is deleted so it is no longer recalled.
+ *
+ * @param {string} userId - Owner of the messages
+ * @param {Array<string>} messageIds - Deleted message IDs
+ */
+export async function forgetMessages(userId, messageIds) {
+  if (messageIds.length === 0) return;
+  await getVectorStore().removeBySource(userId, messageIds);
+}
@@ -0,0 +1,476 @@
+/**
+ * ============================================================================
+ * Onboarding Profile Extraction
+ * ============================================================================
+ *
+ * Turns a user's free-text onboarding reply into a structured fitness profile:
+ * name, goals, coaching tone, experience level, injuries, equipment, the
+ * days they can train and the body details nutrition targets are computed
+ * from (see nutrition/targets.js).
+ *
+ * The cheap model extracts the profile with structured output (function
+ * calling), and the result is validated against FITNESS_PROFILE_SCHEMA. When
+ * the model is unavailable, offline (LLM_PROVIDER=scripted), over the user's
+ * token budget or returns an invalid profile, the regex parser is used instead. It only finds the name,
+ * goals and tone.
+ *
+ * Extracted profiles are saved unverified; the user confirms or edits them
+ * on the mobile review screen (PUT /api/ai-memory/:userId/profile).
+ *
+ * Environment Variables:
+ * - ONBOARDING_EXTRACTION: "llm" (default) or "regex"
+ *
+ * @module service/LLM/onboarding.js
+ */
+
+import { getCheapLLM, getModelName, getProvider } from './aiService.js';
+import { checkTokenBudget, recordUsage } from './usage.js';
+import { compileSchema } from '../validation/index.js';
+
+// ============================================================================
+// Profile Schema
+// ============================================================================
+
+export const EXPERIENCE_LEVELS = ['beginner', 'intermediate', 'advanced'];
+export const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+export const SEXES = ['male', 'female'];
+export const NUTRITION_GOALS = ['lose', 'maintain', 'gain'];
+
+/**
+ * JSON schema of a fitness profile
+ * Used both as the structured-output schema for the model and to validate
+ * profiles the user submits from the review screen.
+ */
+export const FITNESS_PROFILE_SCHEMA = {
+  type: 'object',
+  title: 'fitness_profile',
+  description: 'Fitness profile stated by the user. Leave out anything they did not say.',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 50, description: 'First name or short name' },
+    goals: {
+      type: 'array',
+      maxItems: 10,
+      items: { type: 'string', minLength: 3, maxLength: 100 },
+      description: 'Goals in the user\'s words, one per item',
+    },
+    tone: { type: 'string', maxLength: 30, description: 'How they like to be coached, e.g. "encouraging" or "firm"' },
+    experienceLevel: { type: 'string', enum: EXPERIENCE_LEVELS },
+    injuries: {
+      type: 'array',
+      maxItems: 10,
+      items: { type: 'string', minLength: 1, maxLength: 100 },
+      description: 'Injuries or limitations, e.g. "left knee pain"',
+    },
+    equipment: {
+      type: 'array',
+      maxItems: 20,
+      items: { type: 'string', minLength: 1, maxLength: 50 },
+      description: 'Equipment they can use, e.g. "dumbbells", "full gym"',
+    },
+    availableDays: {
+      type: 'array',
+      uniqueItems: true,
+      items: { type: 'string', enum: WEEKDAYS },
+      description: 'Days of the week they can train',
+    },
+    sex: { type: 'string', enum: SEXES },
+    age: { type: 'integer', minimum: 13, maximum: 100 },
+    heightCm: { type: 'number', minimum: 100, maximum: 250, description: 'Height in centimetres (convert feet and inches)' },
+    weightKg: { type: 'number', minimum: 30, maximum: 300, description: 'Body weight in kilograms (convert pounds)' },
+    nutritionGoal: {
+      type: 'string',
+      enum: NUTRITION_GOALS,
+      description: 'Whether they want to lose weight, keep it or gain (e.g. to build muscle)',
+    },
+  },
+  required: ['goals'],
+  additionalProperties: false,
+};
+
+// Same messages as the profile routes, which validate with this schema too
+const checkFitnessProfile = compileSchema(FITNESS_PROFILE_SCHEMA, { location: 'profile' });
+
+/**
+ * Validate a fitness profile against FITNESS_PROFILE_SCHEMA
+ *
+ * @param {Object} profile - Candidate profile
+ * @returns {{ valid: boolean, errors: Array<string> }} Result with readable errors
+ */
+export function validateFitnessProfile(profile) {
+  const errors = checkFitnessProfile(profile).map((error) => error.message);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Trim strings, drop empty list items and lowercase enum values, so small
+ * formatting differences from the model or the client do not fail validation
+ *
+ * @param {Object} profile - Raw profile
+ * @returns {Object} Normalized profile
+ */
+export function normalizeFitnessProfile(profile = {}) {
+  const text = (value) => (typeof value === 'string' ? value.trim() : value);
+  const list = (value) => (Array.isArray(value) ? value.map(text).filter((item) => item !== '') : value);
+  const lower = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+  const normalized = {
+    name: text(profile.name),
+    goals: list(profile.goals) ?? [],
+    tone: lower(profile.tone),
+    experienceLevel: lower(profile.experienceLevel),
+    injuries: list(profile.injuries),
+    equipment: list(profile.equipment),
+    availableDays: Array.isArray(profile.availableDays)
+      ? [...new Set(profile.availableDays.map(lower))]
+      : profile.availableDays,
+    sex: lower(profile.sex),
+    age: profile.age,
+    heightCm: profile.heightCm,
+    weightKg: profile.weightKg,
+    nutritionGoal: lower(profile.nutritionGoal),
+  };
+
+  // Leave out fields the user did not give
+  return Object.fromEntries(
+    Object.entries(normalized).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+}
+
+/**
+ * How sure we are that a profile describes the user
+ * - high: name, goals and a tone or experience level
+ * - medium: goals plus a name, tone or experience level
+ * - low: anything less (not saved; the coach asks again)
+ *
+ * @param {Object} profile - Normalized profile
+ * @returns {string} 'high' | 'medium' | 'low'
+ */
+function scoreProfile(profile) {
+  const hasGoals = profile.goals.length > 0;
+  const hasStyle = Boolean(profile.tone || profile.experienceLevel);
+
+  if (profile.name && hasGoals && hasStyle) return 'high';
+  if (hasGoals && (profile.name || hasStyle)) return 'medium';
+  return 'low';
+}
+
+// ============================================================================
+// Extraction
+// ============================================================================
+
+/**
+ * Extract a profile with the cheap model's structured output
+ *
+ * @param {string} userId - User the call is made for (usage accounting)
+ * @param {string} text - Onboarding reply
+ * @returns {Promise<Object>} { profile, confidence, warnings, method: 'llm' }
+ * @throws {Error} If the call fails or the output does not match the schema
+ */
+async function extractWithLLM(userId, text) {
+  const model = getCheapLLM().withStructuredOutput(FITNESS_PROFILE_SCHEMA, {
+    name: 'record_fitness_profile',
+    method: 'functionCalling',
+    includeRaw: true,
+  });
+
+  const { raw, parsed } = await model.invoke([
+    {
+      role: 'system',
+      content: 'Extract the user\'s fitness profile from their onboarding reply. ' +
+        'Only include what they actually said; never guess missing fields.',
+    },
+    { role: 'human', content: text },
+  ]);
+
+  await recordUsage(userId, {
+    model: getModelName('cheap'),
+    tier: 'cheap',
+    feature: 'onboarding',
+    response: raw,
+  });
+
+  if (!parsed) {
+    throw new Error('The model did not return a profile');
+  }
+
+  const profile = normalizeFitnessProfile(parsed);
+  const { valid, errors } = validateFitnessProfile(profile);
+  if (!valid) {
+    throw new Error(`Extracted profile does not match the schema: ${errors.join('; ')}`);
+  }
+
+  const warnings = [];
+  if (!profile.name) warnings.push('No name detected');
+  if (profile.goals.length === 0) warnings.push('No goals detected - user may not have provided them');
+  if (!profile.tone) warnings.push('No tone/motivation preference detected');
+
+  return { profile, confidence: scoreProfile(profile), warnings, method: 'llm' };
+}
+
+/**
+ * Extract a profile with the regex parser (name, goals and tone only)
+ *
+ * @param {string} text - Onboarding reply
+ * @returns {Object} { profile, confidence, warnings, method: 'regex' }
+ */
+function extractWithRegex(text) {
+  const parsed = parseOnboardingReply(text);
+  const profile = normalizeFitnessProfile({
+    name: parsed.summary === '[Pending explicit response]' ? undefined : parsed.summary,
+    goals: parsed.goals,
+    tone: parsed.preferences.tone,
+  });
+
+  return { profile, confidence: parsed.confidence, warnings: parsed.warnings, method: 'regex' };
+}
+
+/**
+ * Extract a fitness profile from an onboarding reply
+ * Uses the model unless ONBOARDING_EXTRACTION=regex, the provider is
+ * offline or the user's budget is refused, and falls back to the regex parser
+ * if the model call fails.
+ *
+ * @param {string} userId - User identifier
+ * @param {string} text - Onboarding reply
+ * @returns {Promise<Object>} { profile, confidence, warnings, method } where method is 'llm' or 'regex'
+ */
+export async function extractOnboardingProfile(userId, text) {
+  if ((process.env.ONBOARDING_EXTRACTION || 'llm') === 'llm') {
+    try {
+      if (getProvider().name !== 'scripted') {
+        const budget = await checkTokenBudget(userId);
+        if (budget.status !== 'exceeded') {
+          return await extractWithLLM(userId, text);
+        }
+      }
+    } catch (error) {
+      console.warn(`⚠️ LLM onboarding extraction failed, using the regex parser: ${error.message}`);
+    }
+  }
+
+  return extractWithRegex(text);
+}
+
+// ============================================================================
+// AI Memory Mapping
+// ============================================================================
+
+/**
+ * Map a profile onto AI memory fields
+ * The name becomes the summary, goals are filed under the current year,
+ * the tone is merged into the existing preferences and the training details
+ * go to fitnessProfile.
+ *
+ * @param {Object} profile - Normalized profile
+ * @param {Object} preferences - The user's current preferences (kept apart from the tone)
+ * @param {Object|null} fitnessProfile - Training details to add to, e.g. when a chat
+ *   message only mentions some of them (default: replace them all)
+ * @returns {Object} { summary, goals, preferences, fitnessProfile } for aiMemoryService.upsert
+ */
+export function profileToMemory(profile, preferences = {}, fitnessProfile = null) {
+  const { name, goals, tone, ...training } = profile;
+  const { tone: _previousTone, ...otherPreferences } = preferences || {};
+
+  return {
+    summary: name ?? null,
+    goals: { [String(new Date().getFullYear())]: goals },
+    preferences: tone ? { ...otherPreferences, tone } : otherPreferences,
+    fitnessProfile: fitnessProfile ? { ...fitnessProfile, ...training } : training,
+  };
+}
+
+/**
+ * Read the profile back out of an AI memory record
+ *
+ * @param {Object} memory - AIMemory record
+ * @returns {Object} Normalized profile
+ */
+export function memoryToProfile(memory) {
+  let goals = [];
+  if (Array.isArray(memory.goals)) {
+    goals = memory.goals;
+  } else if (memory.goals && typeof memory.goals === 'object') {
+    goals = Object.values(memory.goals).flat();
+  }
+
+  return normalizeFitnessProfile({
+    name: memory.summary,
+    goals: goals.filter((goal) => typeof goal === 'string'),
+    tone: memory.preferences?.tone,
+    ...(memory.fitnessProfile || {}),
+  });
+}
+
+/**
+ * Whether an AI memory record holds a profile yet (a name or goals)
+ * Users without one are still onboarding.
+ *
+ * @param {Object|null} memory - AIMemory record
+ * @returns {boolean} True once the user has a profile
+ */
+export function hasProfile(memory) {
+  if (!memory) return false;
+  const profile = memoryToProfile(memory);
+  return Boolean(profile.name || profile.goals.length > 0);
+}
+
+// ============================================================================
+// Regex Fallback
+// ============================================================================
+
+/**
+ * Robust onboarding parser using lightweight extraction + validation.
+ * Prioritizes accuracy over comprehensiveness to avoid data loss.
+ * 
+ * Returns: { summary, goals, preferences, confidence, warnings }
+ * - confidence: 'high'|'medium'|'low' - whether we're sure about extraction
+ * - warnings: array of issues found (for logging/debugging)
+ */
+export function parseOnboardingReply(text) {
+  const result = {
+    summary: '',
+    goals: [],
+    preferences: {},
+    confidence: 'low',
+    warnings: [],
+  };
+
+  if (!text || text.trim().length < 20) {
+    result.warnings.push('Text too short to parse reliably');
+    return result;
+  }
+
+  // --- EXTRACT SUMMARY/NAME (Robust) ---
+  let extractedName = '';
+  
+  // Priority 1: Explicit "My name is X" pattern
+  const nameMatch = text.match(/my name is\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i);
+  if (nameMatch && nameMatch[1]) {
+    extractedName = nameMatch[1].trim();
+  }
+  
+  // Priority 2: "I am X" or "I'm X" - but only if followed by goal/tone indicators
+  if (!extractedName) {
+    const iAmMatch = text.match(/^(?:i am|i'm)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i);
+    if (iAmMatch && iAmMatch[1] && /goals?:|tone:|i want to|i'd like to|prefer/i.test(text)) {
+      extractedName = iAmMatch[1].trim();
+    }
+  }
+  
+  // Only use summary if we have clear extraction (avoid "That sounds good" as summary)
+  if (extractedName && extractedName.length > 1 && extractedName.length < 50) {
+    result.summary = extractedName;
+  } else if (!extractedName) {
+    result.warnings.push('Could not extract name/summary explicitly - falling back to user contact');
+    // Don't auto-assign first sentence - too error-prone
+    result.summary = '[Pending explicit response]';
+  }
+
+  // --- EXTRACT GOALS (Robust) ---
+  let extractedGoals = [];
+  
+  // Priority 1: Explicit "Goals:" or "Goal:" field
+  const goalsMatch = text.match(/goals?:\s*([^\n]*?)(?=tone:|preference:|$)/i);
+  if (goalsMatch && goalsMatch[1]) {
+    // Split carefully: only on semicolons, commas, or sentence boundaries
+    // Avoid splitting on "and" to prevent "machine and deep learning" → ["machine", "deep learning"]
+    const goalsText = goalsMatch[1];
+    extractedGoals = goalsText
+      .split(/;\s*|,\s*|(?:\n\s*-\s*)/) // split on ;, comma, or bullet-list items
+      .map(g => g.replace(/^(?:and|or)\s+/i, '').trim()) // remove leading "and"/"or"
+      .filter(g => g.length > 2 && g.length < 100); // filter invalid entries
+  }
+  
+  // Priority 2: Look for "I want to" / "I'd like to" sentences
+  if (extractedGoals.length === 0) {
+    const lines = text.split(/[\.\n]/).map(l => l.trim()).filter(Boolean);
+    for (const line of lines) {
+      if (/i want to|i'd like to|i would like to|i'm aiming to|goal is to/i.test(line)) {
+        // Extract just the goal part, not the intro
+        const goalPart = line
+          .replace(/^.*?(?:i want to|i'd like to|i would like to|i'm aiming to|goal is to)\s+/i, '')
+          .trim();
+        if (goalPart.length > 2 && goalPart.length < 100) {
+          extractedGoals.push(goalPart);
+        }
+      }
+    }
+  }
+  
+  if (extractedGoals.length === 0) {
+    result.warnings.push('No goals detected - user may not have provided them');
+  } else if (extractedGoals.length > 10) {
+    result.warnings.push(`Extracted ${extractedGoals.length} goals - may be too many, truncating to 10`);
+    extractedGoals = extractedGoals.slice(0, 10);
+  }
+  
+  // Remove duplicates (case-insensitive)
+  const uniqueGoals = [];
+  const seen = new Set();
+  for (const goal of extractedGoals) {
+    const lower = goal.toLowerCase();
+    if (!seen.has(lower)) {
+      seen.add(lower);
+      uniqueGoals.push(goal);
+    }
+  }
+  result.goals = uniqueGoals;
+
+  // --- EXTRACT TONE/PREFERENCES (Robust) ---
+  let extractedTone = '';
+  
+  // Priority 1: Explicit "Tone:" field
+  const toneMatch = text.match(/tone:\s*([a-zA-Z\- ]+?)(?:[,\.\n]|$)/i);
+  if (toneMatch && toneMatch[1]) {
+    extractedTone = toneMatch[1].trim().toLowerCase();
+  }
+  
+  // Priority 2: Keyword scan - but ONLY from a specific "preference/tone" section
+  if (!extractedTone) {
+    const toneKeywords = [
+      'encouraging', 'supportive', 'energizing', 'energetic',
+      'firm', 'strict', 'gentle', 'motivating', 'motivational',
+      'uplifting', 'positive', 'realistic', 'direct', 'compassionate'
+    ];
+    
+    // Look in "tone:" or "prefer:" or "motivat:" context to avoid false positives
+    const contextMatch = text.match(/(?:tone|prefer|motivat)[^.]*?\b([\w\- ]+)\b/i);
+    if (contextMatch) {
+      for (const keyword of toneKeywords) {
+        if (contextMatch[0].toLowerCase().includes(keyword)) {
+          extractedTone = keyword;
+          break;
+        }
+      }
+    }
+  }
+  
+  if (extractedTone) {
+    result.preferences.tone = extractedTone;
+  } else {
+    result.warnings.push('No tone/motivation preference detected');
+  }
+
+  // --- CONFIDENCE SCORING ---
+  const hasName = result.summary && result.summary !== '[Pending explicit response]';
+  const hasGoals = result.goals.length > 0;
+  const hasTone = result.preferences.tone;
+  
+  if (hasName && hasGoals && hasTone) {
+    result.confidence = 'high';
+  } else if ((hasName && hasGoals) || (hasGoals && hasTone)) {
+    result.confidence = 'medium';
+  } else {
+    result.confidence = 'low';
+  }
+  
+  console.log(`📋 Onboarding parse result:`, {
+    summary: result.summary,
+    goalsCount: result.goals.length,
+    tone: result.preferences.tone || 'not set',
+    confidence: result.confidence,
+    warnings: result.warnings.length > 0 ? result.warnings : 'none',
+  });
+
+  return result;
+}
@@ -0,0 +1,67 @@
+/**
+ * ============================================================================
+ * LLM Provider Selection
+ * ============================================================================
+ *
+ * Chooses the LLM provider from configuration. Every provider exposes the
+ * same shape, so the rest of the service never depends on a specific vendor:
+ *
+ *   {
+ *     name: string,
+ *     models: { main: string, cheap: string },
+ *     createChatModel(tier: 'main' | 'cheap', { temperature, maxTokens }): BaseChatModel,
+ *     createEmbeddings(): Embeddings,
+ *   }
+ *
+ * Environment Variables:
+ * - LLM_PROVIDER: "openai" (default), "openai-compatible" or "scripted"
+ * - LLM_MAIN_MODEL / LLM_CHEAP_MODEL: Model name overrides
+ * - LLM_EMBEDDING_MODEL: Embedding model override
+ * - LLM_BASE_URL: Server URL for "openai-compatible" (default: Ollama on localhost)
+ * - LLM_API_KEY: API key for "openai-compatible" (optional)
+ * - LLM_SCRIPT_PATH: JSON script for "scripted" (optional)
+ * - OPENAI_API_KEY: API key for "openai"
+ *
+ * @module service/LLM/providers/index.js
+ */
+
+import { createOpenAIProvider, createOpenAICompatibleProvider } from './openai.js';
+import { createScriptedProvider } from './scripted.js';
+
+/** Supported values of LLM_PROVIDER */
+export const PROVIDER_NAMES = ['openai', 'openai-compatible', 'scripted'];
+
+/**
+ * Create a provider from an environment-like config object
+ *
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} Provider
+ * @throws {Error} If LLM_PROVIDER is not a supported value
+ */
+export function createProvider(env = process.env) {
+  const name = env.LLM_PROVIDER || 'openai';
+  const models = {
+    ...(env.LLM_MAIN_MODEL && { main: env.LLM_MAIN_MODEL }),
+    ...(env.LLM_CHEAP_MODEL && { cheap: env.LLM_CHEAP_MODEL }),
+  };
+
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        models,
+        embeddingModel: env.LLM_EMBEDDING_MODEL,
+      });
+    case 'openai-compatible':
+      return createOpenAICompatibleProvider({
+        baseURL: env.LLM_BASE_URL,
+        apiKey: env.LLM_API_KEY,
+        models,
+        embeddingModel: env.LLM_EMBEDDING_MODEL,
+      });
+    case 'scripted':
+      return createScriptedProvider({ scriptPath: env.LLM_SCRIPT_PATH });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * ============================================================================
+ * OpenAI LLM Providers
+ * ============================================================================
+ *
+ * Providers backed by LangChain's ChatOpenAI client:
+ * - openai: the hosted OpenAI API (requires OPENAI_API_KEY)
+ * - openai-compatible: any server that speaks the OpenAI chat completions API
+ *   (Ollama, LM Studio, vLLM, llama.cpp server, ...), selected by base URL
+ *
+ * @module service/LLM/providers/openai.js
+ */
+
+import { ChatOpenAI, OpenAIEmbeddings } from '@langchain/openai';
+
+/** Default model per tier on the hosted OpenAI API */
+const OPENAI_MODELS = { main: 'gpt-4o-mini', cheap: 'gpt-3.5-turbo' };
+
+/** Default embedding model on the hosted OpenAI API */
+const OPENAI_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+/** Default base URL for local servers (Ollama's OpenAI-compatible endpoint) */
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Build a ChatOpenAI instance with the shared cost-control settings
+ *
+ * @param {Object} clientOptions - apiKey / configuration for the client
+ * @param {string} model - Model name
+ * @param {Object} options - { temperature, maxTokens }
+ * @returns {ChatOpenAI} Chat model
+ */
+function buildChatModel(clientOptions, model, { temperature = 0, maxTokens } = {}) {
+  return new ChatOpenAI({
+    ...clientOptions,
+    model,
+    temperature, // 0 = deterministic (better for caching)
+    maxRetries: 2,
+    maxTokens, // COST: Prevent expensive runaway responses
+    topP: 0.9,
+  });
+}
+
+/**
+ * Create the hosted OpenAI provider
+ *
+ * @param {Object} config - Provider config
+ * @param {string} config.apiKey - OpenAI API key
+ * @param {Object} config.models - Model name overrides { main, cheap }
+ * @param {string} config.embeddingModel - Embedding model override (optional)
+ * @returns {Object} Provider: { name, models, createChatModel, createEmbeddings }
+ */
+export function createOpenAIProvider({ apiKey, models = {}, embeddingModel } = {}) {
+  const requireKey = () => {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY environment variable is not set (or set LLM_PROVIDER=scripted to run offline)');
+    }
+  };
+
+  return {
+    name: 'openai',
+    models: { ...OPENAI_MODELS, ...models },
+    createChatModel(tier, options) {
+      requireKey();
+      return buildChatModel({ apiKey }, this.models[tier], options);
+    },
+    createEmbeddings() {
+      requireKey();
+      return new OpenAIEmbeddings({ apiKey, model: embeddingModel || OPENAI_EMBEDDING_MODEL });
+    },
+  };
+}
+
+/**
+ * Create a provider for an OpenAI-compatible server (e.g. a local model)
+ *
+ * @param {Object} config - Provider config
+ * @param {string} config.baseURL - Server base URL, e.g. "http://localhost:11434/v1"
+ * @param {string} config.apiKey - API key if the server needs one (optional)
+ * @param {Object} config.models - Model names { main, cheap } (cheap defaults to main)
+ * @param {string} config.embeddingModel - Embedding model served by the server (optional)
+ * @returns {Object} Provider: { name, models, createChatModel, createEmbeddings }
+ * @throws {Error} If no main model is configured
+ */
+export function createOpenAICompatibleProvider({ baseURL = DEFAULT_LOCAL_BASE_URL, apiKey, models = {}, embeddingModel } = {}) {
+  if (!models.main) {
+    throw new Error('LLM_MAIN_MODEL must be set when LLM_PROVIDER=openai-compatible');
+  }
+
+  // Local servers usually ignore the key, but the client requires one
+  const clientOptions = {
+    apiKey: apiKey || 'not-needed',
+    configuration: { baseURL },
+  };
+
+  return {
+    name: 'openai-compatible',
+    models: { main: models.main, cheap: models.cheap || models.main },
+    createChatModel(tier, options) {
+      return buildChatModel(clientOptions, this.models[tier], options);
+    },
+    createEmbeddings() {
+      if (!embeddingModel) {
+        throw new Error('LLM_EMBEDDING_MODEL must be set to use embeddings with LLM_PROVIDER=openai-compatible');
+      }
+      return new OpenAIEmbeddings({ ...clientOptions, model: embeddingModel });
+    },
+  };
+}
@@ -0,0 +1,325 @@
+/**
+ * ============================================================================
+ * Scripted LLM Provider (offline, deterministic)
+ * ============================================================================
+ *
+ * A stand-in for a real model that answers from a script instead of the
+ * network. The same input always produces the same output, which makes it
+ * suitable for tests, demos and running the whole service offline.
+ *
+ * Script format (JSON file passed via LLM_SCRIPT_PATH, or the built-in default):
+ * {
+ *   "rules": [
+ *     { "match": "regex tested against the latest user message",
+ *       "reply": "Text to answer with ({message} is replaced by the user message)",
+ *       "toolCalls": [{ "name": "create_goal", "args": { "text": "...", "type": "daily" } }] }
+ *   ],
+ *   "fallback": ["Reply picked by a stable hash of the message", "..."]
+ * }
+ *
+ * Rules are tried in order; the first match wins. Tool calls are only
+ * returned when the model has been bound to tools with bindTools().
+ *
+ * @module service/LLM/providers/scripted.js
+ */
+
+import { readFileSync } from 'fs';
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { Embeddings } from '@langchain/core/embeddings';
+import { AIMessage, AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+
+// ============================================================================
+// Default Script
+// ============================================================================
+
+/** Built-in script used when LLM_SCRIPT_PATH is not set */
+export const DEFAULT_SCRIPT = {
+  rules: [
+    {
+      match: '^add (?:a )?goal:\\s*(.+)$',
+      reply: 'I can add that as a daily goal for you. Shall I go ahead?',
+      toolCalls: [{ name: 'create_goal', args: { text: '$1', type: 'daily' } }],
+    },
+  ],
+  fallback: [
+    "That's a great question! Based on your goals and preferences, here's what I recommend...",
+    'I appreciate you sharing that with me. Let me help you think through this systematically.',
+    'That aligns well with your stated goals. Here are some concrete steps you could take:',
+    "I notice this connects to your earlier mention about fitness. Let's explore that further.",
+    'Your consistency with this practice will really pay off. Have you considered...',
+    "That's excellent progress! How are you feeling about the changes so far?",
+  ],
+};
+
+/**
+ * Load a script from a JSON file
+ *
+ * @param {string} scriptPath - Path to the script file
+ * @returns {Object} Parsed script
+ * @throws {Error} If the file cannot be read or has no rules/fallback
+ */
+export function loadScript(scriptPath) {
+  const script = JSON.parse(readFileSync(scriptPath, 'utf8'));
+
+  if (!Array.isArray(script.rules) && !Array.isArray(script.fallback)) {
+    throw new Error(`LLM script ${scriptPath} must define "rules" and/or "fallback"`);
+  }
+
+  return { rules: script.rules || [], fallback: script.fallback || DEFAULT_SCRIPT.fallback };
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Stable 32-bit FNV-1a hash of a string
+ *
+ * @param {string} text - Input text
+ * @returns {number} Unsigned hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Read the text content of a LangChain message
+ *
+ * @param {Object} message - BaseMessage
+ * @returns {string} Text content
+ */
+function messageText(message) {
+  if (typeof message.content === 'string') return message.content;
+  return (message.content || [])
+    .map((part) => (typeof part === 'string' ? part : part.text || ''))
+    .join('');
+}
+
+/**
+ * Replace $1..$9 with regex groups and {message} with the user message,
+ * in strings and (recursively) in tool-call arguments
+ *
+ * @param {*} value - Template value
+ * @param {Array} match - Regex match
+ * @param {string} userMessage - Latest user message
+ * @returns {*} Filled-in value
+ */
+function fillTemplate(value, match, userMessage) {
+  if (typeof value === 'string') {
+    return value
+      .replace(/\$(\d)/g, (_, group) => (match[group] ?? '').trim())
+      .replace(/\{message\}/g, userMessage);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => fillTemplate(item, match, userMessage));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, fillTemplate(item, match, userMessage)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Rough token estimate so usage tracking has numbers to work with
+ *
+ * @param {string} text - Text
+ * @returns {number} Approximate token count
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// ============================================================================
+// Chat Model
+// ============================================================================
+
+/**
+ * LangChain chat model that answers from a script
+ * Supports invoke(), stream() and bindTools() like ChatOpenAI.
+ */
+export class ScriptedChatModel extends BaseChatModel {
+  static lc_name() {
+    return 'ScriptedChatModel';
+  }
+
+  /**
+   * @param {Object} fields
+   * @param {Object} fields.script - { rules, fallback }
+   * @param {string} fields.model - Model name reported in response metadata
+   * @param {Array} fields.tools - Tools bound via bindTools (internal)
+   */
+  constructor(fields = {}) {
+    super(fields);
+    this.script = fields.script || DEFAULT_SCRIPT;
+    this.model = fields.model || 'scripted';
+    this.tools = fields.tools || [];
+  }
+
+  _llmType() {
+    return 'scripted';
+  }
+
+  /**
+   * Return a copy of the model that may answer with tool calls
+   *
+   * @param {Array} tools - Tool definitions (OpenAI format or LangChain tools)
+   * @returns {ScriptedChatModel} Model bound to the tools
+   */
+  bindTools(tools) {
+    return new ScriptedChatModel({ script: this.script, model: this.model, tools });
+  }
+
+  /**
+   * Pick the scripted answer for a conversation
+   *
+   * @param {Array} messages - BaseMessages
+   * @returns {{ text: string, toolCalls: Array }} Reply text and tool calls
+   */
+  _respond(messages) {
+    const lastHuman = [...messages].reverse().find((message) => message.type === 'human');
+    const userMessage = lastHuman ? messageText(lastHuman).trim() : '';
+    const toolNames = this.tools.map((tool) => tool.function?.name || tool.name);
+
+    for (const rule of this.script.rules) {
+      const match = new RegExp(rule.match, 'i').exec(userMessage);
+      if (!match) continue;
+
+      const toolCalls = (rule.toolCalls || [])
+        .filter((call) => toolNames.includes(call.name))
+        .map((call, index) => ({
+          id: `call_${hashString(`${userMessage}:${index}`).toString(16)}`,
+          name: call.name,
+          args: fillTemplate(call.args || {}, match, userMessage),
+          type: 'tool_call',
+        }));
+
+      return { text: fillTemplate(rule.reply || '', match, userMessage), toolCalls };
+    }
+
+    const fallback = this.script.fallback;
+    return { text: fallback[hashString(userMessage) % fallback.length], toolCalls: [] };
+  }
+
+  /**
+   * Usage metadata in the same shape real providers report
+   */
+  _usage(messages, text) {
+    const inputTokens = estimateTokens(messages.map(messageText).join('\n'));
+    const outputTokens = estimateTokens(text);
+    return { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens };
+  }
+
+  async _generate(messages) {
+    const { text, toolCalls } = this._respond(messages);
+    const message = new AIMessage({
+      content: text,
+      tool_calls: toolCalls,
+      usage_metadata: this._usage(messages, text),
+      response_metadata: { model_name: this.model },
+    });
+
+    return { generations: [{ text, message }] };
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    const { text, toolCalls } = this._respond(messages);
+
+    // Stream word by word so clients see incremental output
+    const words = text.match(/\S+\s*/g) || [];
+    for (const word of words) {
+      if (options?.signal?.aborted) return;
+      yield new ChatGenerationChunk({ text: word, message: new AIMessageChunk({ content: word }) });
+      await runManager?.handleLLMNewToken(word);
+    }
+
+    // Final chunk carries tool calls and usage
+    yield new ChatGenerationChunk({
+      text: '',
+      message: new AIMessageChunk({
+        content: '',
+        tool_call_chunks: toolCalls.map((call, index) => ({
+          id: call.id,
+          name: call.name,
+          args: JSON.stringify(call.args),
+          index,
+          type: 'tool_call_chunk',
+        })),
+        usage_metadata: this._usage(messages, text),
+        response_metadata: { model_name: this.model },
+      }),
+    });
+  }
+}
+
+// ============================================================================
+// Embeddings
+// ============================================================================
+
+/** Dimension of scripted embedding vectors */
+export const SCRIPTED_EMBEDDING_DIMENSIONS = 256;
+
+/**
+ * Deterministic bag-of-words embeddings: each word is hashed into one of
+ * SCRIPTED_EMBEDDING_DIMENSIONS buckets and the vector is L2-normalized.
+ * Texts sharing words get similar vectors, which is enough for offline
+ * similarity search.
+ */
+export class ScriptedEmbeddings extends Embeddings {
+  constructor(fields = {}) {
+    super(fields);
+  }
+
+  _embed(text) {
+    const vector = new Array(SCRIPTED_EMBEDDING_DIMENSIONS).fill(0);
+    const words = text.toLowerCase().match(/[a-z0-9']+/g) || [];
+
+    for (const word of words) {
+      vector[hashString(word) % SCRIPTED_EMBEDDING_DIMENSIONS] += 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map((value) => value / norm);
+  }
+
+  async embedDocuments(texts) {
+    return texts.map((text) => this._embed(text));
+  }
+
+  async embedQuery(text) {
+    return this._embed(text);
+  }
+}
+
+// ============================================================================
+// Provider
+// ============================================================================
+
+/**
+ * Create the scripted provider
+ *
+ * @param {Object} config - Provider config
+ * @param {string} config.scriptPath - JSON script file (optional, default: built-in script)
+ * @returns {Object} Provider: { name, models, createChatModel, createEmbeddings }
+ */
+export function createScriptedProvider({ scriptPath } = {}) {
+  const script = scriptPath ? loadScript(scriptPath) : DEFAULT_SCRIPT;
+
+  return {
+    name: 'scripted',
+    models: { main: 'scripted-main', cheap: 'scripted-cheap' },
+    createChatModel(tier) {
+      return new ScriptedChatModel({ script, model: this.models[tier] });
+    },
+    createEmbeddings() {
+      return new ScriptedEmbeddings();
+    },
+  };
+}
@@ -0,0 +1,354 @@
+/**
+ * ============================================================================
+ * Chat Response Cache
+ * ============================================================================
+ *
+ * Reuses the coach's reply when exactly the same prompt would be sent to the
+ * model again, e.g. the same opening question in a new conversation thread.
+ * A retried message is not a hit: the first attempt's message is already
+ * saved, so the retry's history differs.
+ *
+ * The key is the user ID plus a SHA-256 of the model name and the complete
+ * prompt: the system prompt (with the user's profile and recalled memories),
+ * the conversation history and the new message. A reply is only reused when
+ * all of them match. Every cached reply of a user is dropped when their AI
+ * memory changes (invalidateUserResponses, registered with
+ * aiMemoryService.onChange in routes/chat.js).
+ *
+ * Two interchangeable backends:
+ * - memory: bounded LRU in this process (default)
+ * - redis: any Redis-compatible server, shared by every instance
+ *
+ * Every backend exposes:
+ *   get(key)                  - cached value, or null
+ *   set(key, value, ttlMs)
+ *   deleteByPrefix(prefix)    - number of entries removed
+ *   close()
+ *
+ * Cache failures are logged and treated as misses; they never fail a chat.
+ * An unreachable Redis server is given up on after a few reconnect attempts,
+ * and every cache operation is bounded by RESPONSE_CACHE_TIMEOUT_MS.
+ *
+ * Environment Variables:
+ * - RESPONSE_CACHE_BACKEND: "memory", "redis" or "off" (default: redis if REDIS_URL is set, else memory)
+ * - RESPONSE_CACHE_MAX_ENTRIES: Entry limit for the memory backend (default: 1000)
+ * - RESPONSE_CACHE_TTL_MS: Entry lifetime (default: 24 hours)
+ * - RESPONSE_CACHE_TIMEOUT_MS: Longest a cache operation may take before it counts as a miss (default: 500)
+ * - REDIS_URL: Redis connection, e.g. "redis://localhost:6379"
+ *
+ * @module service/LLM/responseCache.js
+ */
+
+import { createHash } from 'crypto';
+import { createClient } from 'redis';
+
+/** Supported values of RESPONSE_CACHE_BACKEND */
+export const RESPONSE_CACHE_BACKENDS = ['memory', 'redis', 'off'];
+
+/** Namespace for cache keys (shared Redis servers hold other data too) */
+const KEY_PREFIX = 'chat-response:';
+
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_TIMEOUT_MS = 500;
+
+/** Reconnect attempts before the Redis client gives up (the next operation starts over) */
+const REDIS_MAX_RECONNECTS = 3;
+
+let cacheInstance;
+
+// ============================================================================
+// Memory Backend (bounded LRU)
+// ============================================================================
+
+/**
+ * Create the in-process LRU backend
+ * A Map keeps insertion order: reads move an entry to the end, and the first
+ * entry (least recently used) is evicted once the limit is reached.
+ *
+ * @param {Object} options - Options
+ * @param {number} options.maxEntries - Maximum number of entries (default: 1000)
+ * @returns {Object} Cache backend
+ */
+export function createMemoryResponseCache({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    get size() {
+      return entries.size;
+    },
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      entries.delete(key);
+      if (Date.now() >= entry.expiresAt) return null;
+
+      entries.set(key, entry); // Most recently used
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async deleteByPrefix(prefix) {
+      let removed = 0;
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async close() {
+      entries.clear();
+    },
+  };
+}
+
+// ============================================================================
+// Redis Backend
+// ============================================================================
+
+/**
+ * Reject when an operation takes longer than timeoutMs
+ *
+ * @param {Promise} promise - Operation
+ * @param {number} timeoutMs - Time limit
+ * @returns {Promise} The operation's result
+ */
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Response cache timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create the Redis backend
+ * Entries expire through Redis TTLs, and the server's maxmemory policy bounds
+ * the total size. The client connects on first use.
+ *
+ * Commands fail right away while the connection is down (no offline queue),
+ * and the client stops reconnecting after REDIS_MAX_RECONNECTS attempts. The
+ * next operation then connects again, so the cache recovers once the server
+ * is back.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.url - Redis URL
+ * @param {number} options.timeoutMs - Time limit of each operation, connecting included (default: 500)
+ * @returns {Object} Cache backend
+ */
+export function createRedisResponseCache({ url, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  const client = createClient({
+    url,
+    disableOfflineQueue: true,
+    socket: {
+      connectTimeout: timeoutMs,
+      reconnectStrategy: (retries) => (retries >= REDIS_MAX_RECONNECTS ? false : Math.min((retries + 1) * 100, 1000)),
+    },
+  });
+  client.on('error', (error) => console.error('Response cache Redis error:', error.message));
+
+  let connecting = null;
+  const ready = () => {
+    // Connect on first use, and again after the client gave up
+    if (!connecting || !client.isOpen) {
+      connecting = client.connect().catch((error) => {
+        connecting = null;
+        throw error;
+      });
+      connecting.catch(() => {}); // Also rejected when nobody waits any more (timed out)
+    }
+    return connecting;
+  };
+
+  /** Run an operation once connected, within the time limit */
+  const run = (operation) => withTimeout(ready().then(operation), timeoutMs);
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const value = await run(() => client.get(key));
+      return value === null ? null : JSON.parse(value);
+    },
+
+    async set(key, value, ttlMs) {
+      await run(() => client.set(key, JSON.stringify(value), { PX: ttlMs }));
+    },
+
+    async deleteByPrefix(prefix) {
+      return await run(async () => {
+        const keys = [];
+        for await (const key of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+          keys.push(key);
+        }
+        if (keys.length === 0) return 0;
+        return await client.unlink(keys);
+      });
+    },
+
+    async close() {
+      if (client.isReady) {
+        await client.quit();
+      } else if (client.isOpen) {
+        await client.disconnect(); // Still connecting: nothing to flush
+      }
+    },
+  };
+}
+
+// ============================================================================
+// Backend Selection
+// ============================================================================
+
+/**
+ * Get the configured cache backend (created on first use)
+ *
+ * @returns {Object|null} Cache backend, or null when RESPONSE_CACHE_BACKEND=off
+ * @throws {Error} If RESPONSE_CACHE_BACKEND is unknown, or redis is selected without REDIS_URL
+ */
+export function getResponseCache() {
+  if (cacheInstance !== undefined) return cacheInstance;
+
+  const backend = process.env.RESPONSE_CACHE_BACKEND || (process.env.REDIS_URL ? 'redis' : 'memory');
+
+  switch (backend) {
+    case 'memory':
+      cacheInstance = createMemoryResponseCache({
+        maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES,
+      });
+      break;
+    case 'redis':
+      if (!process.env.REDIS_URL) {
+        throw new Error('REDIS_URL must be set when RESPONSE_CACHE_BACKEND=redis');
+      }
+      cacheInstance = createRedisResponseCache({
+        url: process.env.REDIS_URL,
+        timeoutMs: parseInt(process.env.RESPONSE_CACHE_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS,
+      });
+      break;
+    case 'off':
+      cacheInstance = null;
+      break;
+    default:
+      throw new Error(`Unknown RESPONSE_CACHE_BACKEND "${backend}". Use one of: ${RESPONSE_CACHE_BACKENDS.join(', ')}`);
+  }
+
+  console.log(`💾 Response cache: ${cacheInstance ? cacheInstance.name : 'off'}`);
+  return cacheInstance;
+}
+
+/**
+ * Replace the cache backend (e.g. with a fresh memory cache in tests)
+ *
+ * @param {Object|null} backend - Cache backend, or null to disable caching
+ */
+export function setResponseCache(backend) {
+  cacheInstance = backend;
+}
+
+/**
+ * Close the cache backend's connections (called on server shutdown)
+ */
+export async function closeResponseCache() {
+  await cacheInstance?.close();
+}
+
+// ============================================================================
+// Cache API
+// ============================================================================
+
+/**
+ * Key prefix shared by every cached reply of a user
+ */
+function userPrefix(userId) {
+  return `${KEY_PREFIX}${userId}:`;
+}
+
+/**
+ * Build the cache key for a prompt
+ *
+ * @param {string} userId - User identifier
+ * @param {string} model - Model that would answer the prompt
+ * @param {Array<Object>} messages - Complete prompt: [{ role, content }]
+ * @returns {string} Cache key
+ */
+export function buildResponseCacheKey(userId, model, messages) {
+  const hash = createHash('sha256');
+  hash.update(model);
+  for (const { role, content } of messages) {
+    // Length-prefix each part so different splits of the same text never collide
+    const text = String(content).trim().replace(/\s+/g, ' ');
+    hash.update(`\n${role}:${text.length}:${text}`);
+  }
+  return `${userPrefix(userId)}${hash.digest('hex')}`;
+}
+
+/**
+ * Look up a cached reply
+ * SAVES: 100% of tokens if hit
+ *
+ * @param {string} key - Key from buildResponseCacheKey
+ * @returns {Promise<string|null>} Cached reply, or null on a miss
+ */
+export async function getCachedResponse(key) {
+  try {
+    const cache = getResponseCache();
+    const response = cache ? await cache.get(key) : null;
+    if (response !== null) {
+      console.log('✅ Cache HIT - Response retrieved from cache');
+    }
+    return response;
+  } catch (error) {
+    console.error('Response cache lookup failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a reply for a prompt
+ *
+ * @param {string} key - Key from buildResponseCacheKey
+ * @param {string} response - Reply text
+ */
+export async function setCachedResponse(key, response) {
+  try {
+    const ttlMs = parseInt(process.env.RESPONSE_CACHE_TTL_MS, 10) || DEFAULT_TTL_MS;
+    await getResponseCache()?.set(key, response, ttlMs);
+  } catch (error) {
+    console.error('Response cache write failed:', error.message);
+  }
+}
+
+/**
+ * Drop every cached reply of a user
+ *
+ * @param {string} userId - User identifier
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function invalidateUserResponses(userId) {
+  try {
+    const removed = (await getResponseCache()?.deleteByPrefix(userPrefix(userId))) || 0;
+    if (removed > 0) {
+      console.log(`🧹 Dropped ${removed} cached repl${removed === 1 ? 'y' : 'ies'} for user ${userId}`);
+    }
+    return removed;
+  } catch (error) {
+    console.error('Response cache invalidation failed:', error.message);
+    return 0;
+  }
+}
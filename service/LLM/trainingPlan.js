@@ -0,0 +1,110 @@
+/**
+ * ============================================================================
+ * Training Plan Sessions
+ * ============================================================================
+ *
+ * Designs the weekly sessions of a training plan from the user's fitness
+ * profile: a title, focus, length and exercise list (sets x reps) for each
+ * training day.
+ *
+ * The model returns the sessions with structured output (function calling),
+ * validated against SESSION_TEMPLATES_SCHEMA. When the model is unavailable,
+ * offline (LLM_PROVIDER=scripted), over the user's token budget or returns
+ * invalid sessions, built-in templates for the user's level are used instead.
+ * The schema and the built-in templates are in training/sessionTemplates.js.
+ *
+ * The sessions describe one normal week. Periodization (progression and
+ * deload weeks) is applied on top of them by training/planGenerator.js.
+ *
+ * Environment Variables:
+ * - TRAINING_PLAN_GENERATION: "llm" (default) or "template"
+ *
+ * @module service/LLM/trainingPlan.js
+ */
+
+import { getCheapLLM, getLLM, getModelName, getProvider } from './aiService.js';
+import { checkTokenBudget, recordUsage } from './usage.js';
+import { SESSION_TEMPLATES_SCHEMA, validateSessionTemplates, templateSessions } from '../training/sessionTemplates.js';
+
+// ============================================================================
+// Generation
+// ============================================================================
+
+/**
+ * Ask the model for the weekly sessions
+ *
+ * @param {string} userId - User the call is made for (usage accounting)
+ * @param {Object} profile - Normalized fitness profile
+ * @param {number} sessionCount - Training days per week
+ * @param {string} tier - "main" or "cheap"
+ * @returns {Promise<Object>} { title, sessions }
+ * @throws {Error} If the call fails or the output does not match the schema
+ */
+async function generateWithLLM(userId, profile, sessionCount, tier) {
+  const llm = tier === 'cheap' ? getCheapLLM() : getLLM();
+  const model = llm.withStructuredOutput(SESSION_TEMPLATES_SCHEMA, {
+    name: 'record_training_week',
+    method: 'functionCalling',
+    includeRaw: true,
+  });
+
+  const { raw, parsed } = await model.invoke([
+    {
+      role: 'system',
+      content: 'You are a strength and conditioning coach designing one normal training week. ' +
+        `Return exactly ${sessionCount} sessions, one per training day in order. ` +
+        'Only use the listed equipment (bodyweight if none), work around injuries, ' +
+        'and match volume to the experience level. Progression and deload weeks are added later.',
+    },
+    { role: 'human', content: `Fitness profile:\n${JSON.stringify(profile, null, 2)}` },
+  ]);
+
+  await recordUsage(userId, {
+    model: getModelName(tier),
+    tier,
+    feature: 'training_plan',
+    response: raw,
+  });
+
+  if (!parsed) {
+    throw new Error('The model did not return a training week');
+  }
+
+  const { valid, errors } = validateSessionTemplates(parsed);
+  if (!valid) {
+    throw new Error(`Generated sessions do not match the schema: ${errors.join('; ')}`);
+  }
+
+  // Fill or trim to the number of training days
+  return {
+    title: parsed.title,
+    sessions: Array.from({ length: sessionCount }, (_, index) => parsed.sessions[index % parsed.sessions.length]),
+  };
+}
+
+/**
+ * Design the weekly sessions of a training plan
+ * Uses the model unless TRAINING_PLAN_GENERATION=template, the provider is
+ * offline or the user's budget is refused, and falls back to the built-in
+ * templates if the model call fails.
+ *
+ * @param {string} userId - User identifier
+ * @param {Object} profile - Normalized fitness profile (see LLM/onboarding.js)
+ * @param {number} sessionCount - Training days per week
+ * @returns {Promise<Object>} { title, sessions, source } where source is 'llm' or 'template'
+ */
+export async function generateSessionTemplates(userId, profile, sessionCount) {
+  if ((process.env.TRAINING_PLAN_GENERATION || 'llm') === 'llm' && getProvider().name !== 'scripted') {
+    try {
+      const budget = await checkTokenBudget(userId);
+      if (budget.status !== 'exceeded') {
+        const tier = budget.status === 'degraded' ? 'cheap' : 'main';
+        return { ...(await generateWithLLM(userId, profile, sessionCount, tier)), source: 'llm' };
+      }
+    } catch (error) {
+      console.warn(`⚠️ LLM training plan generation failed, using built-in sessions: ${error.message}`);
+    }
+  }
+
+  return { ...templateSessions(profile, sessionCount), source: 'template' };
+}
@@ -0,0 +1,124 @@
+/**
+ * ============================================================================
+ * Token Usage & Budgets
+ * ============================================================================
+ *
+ * Records the tokens every LLM call uses, per user and per model, with an
+ * estimated cost, and enforces per-user token budgets.
+ *
+ * Budgets count input + output tokens per user over a UTC day and a UTC
+ * calendar month. When a budget is used up the chat either falls back to the
+ * cheap model tier ("degrade") or stops answering until the period resets
+ * ("refuse"). Every other LLM call checks the budget too:
+ * - Conversation summaries are skipped while the budget is refused
+ * - Training plans use the cheap tier when degraded and the built-in
+ *   templates when refused
+ * - Onboarding extraction already uses the cheap tier, and falls back to the
+ *   regex parser when refused
+ *
+ * Prices and the budget arithmetic (and their environment variables) are in
+ * LLM/budget.js.
+ *
+ * @module service/LLM/usage.js
+ */
+
+import { tokenUsageService } from '../db/index.js';
+import { estimateCost, getBudgetConfig, getBudgetPeriods, evaluateBudget } from './budget.js';
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+/**
+ * Read token counts from a model response
+ * Invoked OpenAI responses carry usage in response_metadata; streamed
+ * responses (and other providers) carry it in usage_metadata.
+ *
+ * @param {Object} response - AIMessage or aggregated AIMessageChunk
+ * @returns {Object|null} { inputTokens, outputTokens }, or null if not reported
+ */
+export function getResponseUsage(response) {
+  const usage = response?.response_metadata?.usage;
+  if (usage) {
+    return { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens };
+  }
+
+  const usageMetadata = response?.usage_metadata;
+  if (usageMetadata) {
+    return { inputTokens: usageMetadata.input_tokens, outputTokens: usageMetadata.output_tokens };
+  }
+
+  return null;
+}
+
+/**
+ * Record the tokens a model response used
+ * Failures are logged, never thrown: accounting must not break a reply.
+ *
+ * @param {string} userId - User the call was made for
+ * @param {Object} options - Call details
+ * @param {string} options.model - Model name
+ * @param {string} options.tier - "main" or "cheap"
+ * @param {string} options.feature - What made the call ("chat", "summary", "onboarding", ...)
+ * @param {Object} options.response - Model response
+ * @param {Object} options.estimate - { inputTokens, outputTokens } used when the response
+ *   reports no usage (e.g. a stream aborted before its final chunk)
+ * @returns {Promise<Object|null>} Usage record, or null if nothing was recorded
+ */
+export async function recordUsage(userId, { model, tier, feature, response, estimate }) {
+  const usage = getResponseUsage(response) || estimate;
+  if (!usage) {
+    console.log('⚠️ No usage data in response metadata');
+    return null;
+  }
+
+  const cost = estimateCost(model, usage.inputTokens, usage.outputTokens);
+  console.log(`📊 Tokens (${model}, ${feature}): ${usage.inputTokens}in/${usage.outputTokens}out | Cost: $${cost.toFixed(4)}`);
+
+  try {
+    return await tokenUsageService.create({ userId, model, tier, feature, ...usage, cost });
+  } catch (error) {
+    console.error('Error recording token usage:', error);
+    return null;
+  }
+}
+
+// ============================================================================
+// Budgets
+// ============================================================================
+
+/**
+ * A user's usage this day and month, measured against their budgets
+ * (see evaluateBudget for the status values)
+ *
+ * @param {string} userId - User ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { status, exceeded, resetsAt, action, daily, monthly } where
+ *   daily/monthly are { limit, ...totals } and exceeded names the used-up period ("daily" or "monthly")
+ */
+export async function getBudgetStatus(userId, now = new Date()) {
+  const { dayStart, monthStart } = getBudgetPeriods(now);
+  const [daily, monthly] = await Promise.all([
+    tokenUsageService.getTotals(userId, dayStart),
+    tokenUsageService.getTotals(userId, monthStart),
+  ]);
+
+  return evaluateBudget(getBudgetConfig(), { daily, monthly }, now);
+}
+
+/**
+ * Whether the user may make an LLM call, without querying usage when no
+ * budget is configured
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { status, exceeded, resetsAt } as for getBudgetStatus
+ */
+export async function checkTokenBudget(userId) {
+  const config = getBudgetConfig();
+  if (config.daily === null && config.monthly === null) {
+    return { status: 'ok', exceeded: null, resetsAt: null };
+  }
+
+  const { status, exceeded, resetsAt } = await getBudgetStatus(userId);
+  return { status, exceeded, resetsAt };
+}
@@ -0,0 +1,290 @@
+/**
+ * ============================================================================
+ * Vector Store Backends
+ * ============================================================================
+ *
+ * Storage and similarity search for embedded memories, partitioned by user.
+ * Two interchangeable backends:
+ *
+ * - local: vectors stored in Postgres (MemoryEmbedding table) and ranked by
+ *   cosine similarity in the application. No extra infrastructure; suited to
+ *   development and modest per-user history. Each search only scans a
+ *   bounded set of candidates: the newest saved memories and the newest
+ *   indexed messages (MEMORY_LOCAL_MAX_MEMORIES / MEMORY_LOCAL_MAX_MESSAGES),
+ *   so older chat messages are not recalled. Use qdrant for long histories.
+ * - qdrant: vectors stored in a Qdrant collection, filtered by userId payload.
+ *
+ * Every backend exposes:
+ *   add(record)                    - record: { id, userId, kind, sourceId, content, embedding }
+ *   search(userId, vector, limit)  - [{ id, kind, sourceId, content, createdAt, score }]
+ *   list(userId, { kind, limit })  - newest first, without vectors
+ *   get(id)                        - record without vector, or null
+ *   remove(id)
+ *   removeBySource(userId, sourceIds) - records embedded from these messages
+ *
+ * Environment Variables:
+ * - MEMORY_VECTOR_BACKEND: "local" or "qdrant" (default: qdrant if QDRANT_URL is set, else local)
+ * - QDRANT_URL, QDRANT_API_KEY: Qdrant connection
+ * - QDRANT_COLLECTION: Collection name (default: "user_memories")
+ * - MEMORY_LOCAL_MAX_MEMORIES: Saved memories scanned per local search (default: 200)
+ * - MEMORY_LOCAL_MAX_MESSAGES: Indexed messages scanned per local search (default: 300)
+ *
+ * @module service/LLM/vectorStore.js
+ */
+
+import { QdrantClient } from '@qdrant/js-client-rest';
+import { memoryEmbeddingService } from '../db/index.js';
+
+let vectorStoreInstance = null;
+
+// ============================================================================
+// Local Backend (Postgres + in-process cosine similarity)
+// ============================================================================
+
+/**
+ * Cosine similarity of two vectors (0 when dimensions differ)
+ *
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {number} Similarity in [-1, 1]
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Create the local backend
+ * Every search loads its candidates' vectors from Postgres, so the number
+ * scanned is capped. Saved memories are few and deliberate, so they get
+ * their own share and are not crowded out by chat messages.
+ *
+ * @param {Object} options - Options
+ * @param {number} options.maxMemories - Newest saved memories scanned per search (default: 200)
+ * @param {number} options.maxMessages - Newest indexed messages scanned per search (default: 300)
+ * @returns {Object} Vector store backend
+ */
+export function createLocalVectorStore({ maxMemories = 200, maxMessages = 300 } = {}) {
+  return {
+    name: 'local',
+
+    async add(record) {
+      await memoryEmbeddingService.create(record);
+    },
+
+    async search(userId, vector, limit) {
+      const [memories, messages] = await Promise.all([
+        memoryEmbeddingService.getByUser(userId, { kind: 'memory', withEmbedding: true, limit: maxMemories }),
+        memoryEmbeddingService.getByUser(userId, { kind: 'message', withEmbedding: true, limit: maxMessages }),
+      ]);
+
+      return [...memories, ...messages]
+        .map(({ embedding, ...record }) => ({ ...record, score: cosineSimilarity(vector, embedding) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    },
+
+    async list(userId, { kind, limit = 100 } = {}) {
+      return await memoryEmbeddingService.getByUser(userId, { kind, limit });
+    },
+
+    async get(id) {
+      return await memoryEmbeddingService.getById(id);
+    },
+
+    async remove(id) {
+      await memoryEmbeddingService.delete(id);
+    },
+
+    async removeBySource(userId, sourceIds) {
+      await memoryEmbeddingService.deleteBySource(userId, sourceIds);
+    },
+  };
+}
+
+// ============================================================================
+// Qdrant Backend
+// ============================================================================
+
+/**
+ * Map a Qdrant point to a memory record
+ */
+function pointToRecord(point) {
+  const { userId, kind, sourceId, content, createdAt } = point.payload || {};
+  return {
+    id: String(point.id),
+    userId,
+    kind,
+    sourceId: sourceId || null,
+    content,
+    createdAt,
+    ...(point.score !== undefined && { score: point.score }),
+  };
+}
+
+/**
+ * Create the Qdrant backend
+ * The collection is created on first write, sized to the embedding dimension.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.url - Qdrant URL
+ * @param {string} options.apiKey - Qdrant API key (optional)
+ * @param {string} options.collection - Collection name
+ * @returns {Object} Vector store backend
+ */
+export function createQdrantVectorStore({ url, apiKey, collection = 'user_memories' }) {
+  const client = new QdrantClient({ url, ...(apiKey && { apiKey }) });
+  let collectionReady = null;
+
+  const userFilter = (userId, kind) => ({
+    must: [
+      { key: 'userId', match: { value: userId } },
+      ...(kind ? [{ key: 'kind', match: { value: kind } }] : []),
+    ],
+  });
+
+  const ensureCollection = (dimension) => {
+    if (!collectionReady) {
+      collectionReady = (async () => {
+        const { exists } = await client.collectionExists(collection);
+        if (exists) return;
+
+        await client.createCollection(collection, {
+          vectors: { size: dimension, distance: 'Cosine' },
+        });
+        await client.createPayloadIndex(collection, { field_name: 'userId', field_schema: 'keyword' });
+        console.log(`🧠 Created Qdrant collection "${collection}" (${dimension} dimensions)`);
+      })().catch((error) => {
+        collectionReady = null; // Retry on the next write
+        throw error;
+      });
+    }
+    return collectionReady;
+  };
+
+  return {
+    name: 'qdrant',
+
+    async add({ id, userId, kind, sourceId, content, embedding }) {
+      await ensureCollection(embedding.length);
+      await client.upsert(collection, {
+        wait: true,
+        points: [{
+          id,
+          vector: embedding,
+          payload: { userId, kind, sourceId: sourceId || null, content, createdAt: new Date().toISOString() },
+        }],
+      });
+    },
+
+    async search(userId, vector, limit) {
+      const { exists } = await client.collectionExists(collection);
+      if (!exists) return [];
+
+      const { points } = await client.query(collection, {
+        query: vector,
+        filter: userFilter(userId),
+        limit,
+        with_payload: true,
+      });
+      return points.map(pointToRecord);
+    },
+
+    async list(userId, { kind, limit = 100 } = {}) {
+      const { exists } = await client.collectionExists(collection);
+      if (!exists) return [];
+
+      const { points } = await client.scroll(collection, {
+        filter: userFilter(userId, kind),
+        limit,
+        with_payload: true,
+      });
+      return points
+        .map(pointToRecord)
+        .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    },
+
+    async get(id) {
+      const { exists } = await client.collectionExists(collection);
+      if (!exists) return null;
+
+      const [point] = await client.retrieve(collection, { ids: [id], with_payload: true });
+      return point ? pointToRecord(point) : null;
+    },
+
+    async remove(id) {
+      await client.delete(collection, { wait: true, points: [id] });
+    },
+
+    async removeBySource(userId, sourceIds) {
+      const { exists } = await client.collectionExists(collection);
+      if (!exists) return;
+
+      await client.delete(collection, {
+        wait: true,
+        filter: {
+          must: [
+            { key: 'userId', match: { value: userId } },
+            { key: 'sourceId', match: { any: sourceIds } },
+          ],
+        },
+      });
+    },
+  };
+}
+
+// ============================================================================
+// Backend Selection
+// ============================================================================
+
+/**
+ * Get the configured vector store backend (created on first use)
+ *
+ * @returns {Object} Vector store backend
+ * @throws {Error} If MEMORY_VECTOR_BACKEND is invalid or Qdrant is selected without QDRANT_URL
+ */
+export function getVectorStore() {
+  if (!vectorStoreInstance) {
+    const backend = process.env.MEMORY_VECTOR_BACKEND || (process.env.QDRANT_URL ? 'qdrant' : 'local');
+
+    if (backend === 'qdrant') {
+      if (!process.env.QDRANT_URL) {
+        throw new Error('QDRANT_URL must be set when MEMORY_VECTOR_BACKEND=qdrant');
+      }
+      vectorStoreInstance = createQdrantVectorStore({
+        url: process.env.QDRANT_URL,
+        apiKey: process.env.QDRANT_API_KEY,
+        collection: process.env.QDRANT_COLLECTION || 'user_memories',
+      });
+    } else if (backend === 'local') {
+      vectorStoreInstance = createLocalVectorStore({
+        maxMemories: parseInt(process.env.MEMORY_LOCAL_MAX_MEMORIES) || undefined,
+        maxMessages: parseInt(process.env.MEMORY_LOCAL_MAX_MESSAGES) || undefined,
+      });
+    } else {
+      throw new Error(`Unknown MEMORY_VECTOR_BACKEND "${backend}". Use "local" or "qdrant"`);
+    }
+
+    console.log(`🧠 Memory vector backend: ${vectorStoreInstance.name}`);
+  }
+  return vectorStoreInstance;
+}
+
+/**
+ * Replace the vector store backend (e.g. in tests)
+ *
+ * @param {Object} store - Vector store backend
+ */
+export function setVectorStore(store) {
+  vectorStoreInstance = store;
+}
@@ -0,0 +1,37 @@
+/**
+ * ============================================================================
+ * Database Migration Script - Move Legacy Messages into Conversations
+ * ============================================================================
+ * 
+ * One-time migration for databases that have chat messages from before
+ * conversation threads existed (Message.conversationId is null).
+ * 
+ * Usage:
+ *   node service/adopt_legacy_messages.js
+ * 
+ * The script:
+ * - Creates one "Earlier messages" conversation per user with such messages
+ * - Moves those messages into it
+ * - Can be run again safely (users without legacy messages are skipped)
+ * 
+ * @module service/adopt_legacy_messages.js
+ */
+
+import { conversationService, disconnect } from './db/index.js';
+
+/**
+ * Adopt all legacy messages and report how many threads were created
+ */
+async function adoptLegacyMessages() {
+  try {
+    const created = await conversationService.adoptLegacyMessages();
+    console.log(`Moved legacy messages into ${created} conversation(s)`);
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await disconnect();
+  }
+}
+
+adoptLegacyMessages();
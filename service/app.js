@@ -0,0 +1,153 @@
+/**
+ * ============================================================================
+ * Express Application
+ * ============================================================================
+ * 
+ * Builds the Express app: middleware, API routes, Swagger documentation and
+ * error handlers. Kept separate from index.js (which listens on a port and
+ * starts background jobs) so integration tests can mount the app on their
+ * own server.
+ * 
+ * @module service/app.js
+ */
+
+import express from "express";
+import cors from "cors";
+import { getSwaggerSpecs, createSwaggerMiddleware, swaggerUi, regenerateSwaggerDocs } from "./swagger.js";
+
+// ============================================================================
+// Route Imports
+// ============================================================================
+
+import authRoutes from "./routes/auth.js";
+import userRoutes from "./routes/users.js";
+import messageRoutes from "./routes/messages.js";
+import reminderRoutes from "./routes/reminders.js";
+import aiMemoryRoutes from "./routes/ai-memory.js";
+import chatRoutes from "./routes/chat.js";
+import goalRoutes from "./routes/goals.js";
+import calendarRoutes from "./routes/calendar.js";
+import workoutRoutes from "./routes/workouts.js";
+import activityRoutes from "./routes/activities.js";
+import notificationRoutes from "./routes/notifications.js";
+import trainingPlanRoutes from "./routes/training-plans.js";
+import nutritionRoutes from "./routes/nutrition.js";
+
+// ============================================================================
+// Server Setup
+// ============================================================================
+
+const app = express();
+
+// ============================================================================
+// Middleware Configuration
+// ============================================================================
+
+/** Enable CORS for all routes */
+app.use(cors());
+
+/** Parse incoming JSON request bodies */
+app.use(express.json());
+
+// ============================================================================
+// Routes
+// ============================================================================
+
+/**
+ * Health check endpoint
+ * Confirms the API server is running
+ */
+app.get("/", (req, res) => res.send("AI Life Coach API Server running ✅"));
+
+/**
+ * API Routes
+ * Register in order of dependency to ensure proper middleware chain
+ */
+const apiRoutes = {
+  "/api/auth": authRoutes,           // Authentication (login, register, logout)
+  "/api/users": userRoutes,          // User profile management
+  "/api/messages": messageRoutes,    // Message history
+  "/api/reminders": reminderRoutes,  // Reminder management
+  "/api/ai-memory": aiMemoryRoutes,  // User context and goals memory
+  "/api/chat": chatRoutes,           // Chat with AI coach
+  "/api/goals": goalRoutes,          // Goal management
+  "/api/calendar": calendarRoutes,   // Calendar events
+  "/api/workouts": workoutRoutes,    // Workout logging
+  "/api/activities": activityRoutes, // Cardio distance tracking
+  "/api/notifications": notificationRoutes, // In-app inbox (fired reminders)
+  "/api/training-plans": trainingPlanRoutes, // Periodized training plans
+  "/api/nutrition": nutritionRoutes, // Meal logging and macro targets
+};
+
+for (const [mountPath, router] of Object.entries(apiRoutes)) {
+  app.use(mountPath, router);
+}
+
+/** Read by the Swagger generator (Express 5 does not keep mount paths) */
+app.locals.apiRoutes = apiRoutes;
+
+// ============================================================================
+// Documentation Routes
+// ============================================================================
+
+/** Auto-updating Swagger middleware (after routes are registered) */
+app.use(createSwaggerMiddleware(app));
+
+/**
+ * Swagger UI setup
+ * Serves API documentation at /api-docs
+ */
+let swaggerSetup;
+
+app.use('/api-docs', swaggerUi.serve);
+app.get('/api-docs', async (req, res, next) => {
+  try {
+    // Always generate fresh specs to ensure routes are captured
+    const specs = await getSwaggerSpecs(app);
+    const setup = swaggerUi.setup(specs, {
+      explorer: true,
+      customCss: '.swagger-ui .topbar { display: none }',
+      customSiteTitle: "AI Life Coach API Documentation"
+    });
+    setup(req, res, next);
+  } catch (error) {
+    console.error('Error generating Swagger docs:', error);
+    return res.status(500).send('Failed to generate API documentation');
+  }
+});
+
+/**
+ * Force regenerate API documentation
+ * Useful during development when routes change
+ */
+app.post('/api-docs/regenerate', (req, res) => {
+  regenerateSwaggerDocs();
+  swaggerSetup = null; // Reset setup to force regeneration
+  res.json({ success: true, message: 'Documentation will be regenerated on next request' });
+});
+
+// ============================================================================
+// Error Handling Middleware
+// ============================================================================
+
+/**
+ * Global error handler
+ * Catches unhandled errors and returns standardized error response
+ */
+app.use((error, req, res, next) => {
+  console.error('Server error:', error);
+  res.status(500).json({ 
+    error: 'Internal server error',
+    message: error.message 
+  });
+});
+
+/**
+ * 404 handler
+ * Catches requests to undefined routes
+ */
+app.use((req, res) => {
+  res.status(404).json({ error: 'Route not found' });
+});
+
+export default app;
@@ -0,0 +1,381 @@
+/**
+ * ============================================================================
+ * iCalendar (.ics) Serialization
+ * ============================================================================
+ *
+ * Converts calendar events to and from RFC 5545 iCalendar text so workouts
+ * can be moved between this app and other calendar apps.
+ *
+ * Mapping:
+ * - UID ↔ CalendarEvent.uid (events created in the app export as "<id>@<UID_DOMAIN>")
+ * - SUMMARY / DESCRIPTION ↔ title / description
+ * - DTSTART ↔ date + time (all-day when the event has no time)
+ * - CATEGORIES ↔ type ("workout", "appointment", ...)
+ * - RRULE / EXDATE ↔ recurrence (see calendar/recurrence.js)
+ * - VEVENTs with RECURRENCE-ID ↔ per-occurrence overrides (moved or retitled)
+ *
+ * Times are floating wall-clock times: exported without a time zone, and
+ * imported as written (TZID and UTC offsets are not converted). Events only
+ * store a start, so no DTEND is written.
+ *
+ * @module service/calendar/ical.js
+ */
+
+import { parseRRule, formatRRule, getEventRule, toDateKey } from './recurrence.js';
+
+/** Domain part of UIDs generated for events that were created in the app */
+export const UID_DOMAIN = 'ai-personal-trainer';
+
+/** Event types recognised in CATEGORIES on import */
+const EVENT_TYPES = ['event', 'workout', 'appointment', 'class', 'reminder', 'ai_suggested'];
+
+/** Maximum line length in octets before folding (RFC 5545 §3.1) */
+const MAX_LINE_OCTETS = 75;
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * UID of an event in exported calendars
+ *
+ * @param {Object} event - CalendarEvent
+ * @returns {string} Stored UID, or one derived from the event ID
+ */
+export function eventUid(event) {
+  return event.uid || `${event.id}@${UID_DOMAIN}`;
+}
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets per physical line
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a date key and optional HH:mm time as an iCalendar DATE or floating DATE-TIME
+ */
+function formatDateValue(dateKey, time) {
+  const date = dateKey.replace(/-/g, '');
+  if (!time) return date;
+
+  const [hours, minutes] = time.split(':');
+  return `${date}T${hours.padStart(2, '0')}${minutes}00`;
+}
+
+/**
+ * Property name with the VALUE=DATE parameter for all-day values
+ */
+function dateProperty(name, time) {
+  return time ? name : `${name};VALUE=DATE`;
+}
+
+/**
+ * UTC timestamp in iCalendar format (for DTSTAMP)
+ */
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Content lines for one event, plus one VEVENT per overridden occurrence
+ */
+function eventToLines(event, stamp) {
+  const startDate = toDateKey(event.date);
+  const uid = escapeText(eventUid(event));
+  const rule = getEventRule(event);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `${dateProperty('DTSTART', event.time)}:${formatDateValue(startDate, event.time)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.type) lines.push(`CATEGORIES:${escapeText(event.type.toUpperCase())}`);
+
+  if (!rule) {
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  const overrides = event.overrides || [];
+  const exdates = [
+    ...(event.exdates || []),
+    ...overrides.filter((override) => override.cancelled).map((override) => toDateKey(override.originalDate)),
+  ];
+
+  lines.push(`RRULE:${formatRRule(rule)}`);
+  if (exdates.length > 0) {
+    const values = [...new Set(exdates)].sort().map((date) => formatDateValue(date, event.time));
+    lines.push(`${dateProperty('EXDATE', event.time)}:${values.join(',')}`);
+  }
+  lines.push('END:VEVENT');
+
+  // Moved or edited occurrences
+  for (const override of overrides.filter((item) => !item.cancelled)) {
+    const originalDate = toDateKey(override.originalDate);
+    const time = override.time || event.time;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${stamp}`,
+      `${dateProperty('RECURRENCE-ID', event.time)}:${formatDateValue(originalDate, event.time)}`,
+      `${dateProperty('DTSTART', time)}:${formatDateValue(toDateKey(override.date) || originalDate, time)}`,
+      `SUMMARY:${escapeText(override.title || event.title)}`,
+    );
+    const description = override.description ?? event.description;
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    lines.push('END:VEVENT');
+  }
+
+  return lines;
+}
+
+/**
+ * Serialize calendar events as an iCalendar document
+ * Events without a date cannot be represented and are left out.
+ *
+ * @param {Array<Object>} events - CalendarEvents, optionally with `overrides`
+ * @param {Object} options - Options
+ * @param {string} options.name - Calendar name shown by importing apps
+ * @param {Date} options.now - Timestamp written as DTSTAMP (default: now)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export function serializeCalendar(events, { name = 'AI Personal Trainer', now = new Date() } = {}) {
+  const stamp = formatTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AI Personal Trainer//Calendar Export//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.filter((event) => event.date).flatMap((event) => eventToLines(event, stamp)),
+    'END:VCALENDAR',
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ============================================================================
+// Import
+// ============================================================================
+
+/**
+ * Undo TEXT escaping
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a content line into { name, params, value }
+ * Parameter values may be quoted and contain ":" or ";".
+ */
+function parseContentLine(line) {
+  let index = 0;
+  let inQuotes = false;
+
+  for (; index < line.length; index++) {
+    const char = line[index];
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && char === ':') break;
+  }
+  if (index === 0 || index === line.length) return null;
+
+  const [name, ...rawParams] = line.slice(0, index).match(/(?:[^;"]|"[^"]*")+/g);
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+}
+
+/**
+ * Parse a DATE or DATE-TIME value into { date: "YYYY-MM-DD", time: "HH:mm" | null }
+ */
+function parseDateValue(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}Z?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  if (toDateKey(date) !== date || isNaN(new Date(date).getTime())) return null;
+
+  return { date, time: match[4] ? `${match[4]}:${match[5]}` : null };
+}
+
+/**
+ * Turn one raw VEVENT ({ NAME: [{ params, value }] }) into an entry or an error
+ */
+function readEvent(properties) {
+  const first = (name) => properties[name]?.[0];
+  const uid = first('UID')?.value.trim();
+  const summary = first('SUMMARY') ? unescapeText(first('SUMMARY').value).trim() : '';
+  const fail = (reason) => ({ error: { uid: uid || null, summary: summary || null, reason } });
+
+  if (!uid) return fail('Missing UID');
+  if (!first('DTSTART')) return fail('Missing DTSTART');
+
+  const start = parseDateValue(first('DTSTART').value);
+  if (!start) return fail(`Unsupported DTSTART "${first('DTSTART').value}"`);
+
+  const entry = {
+    uid,
+    title: summary || 'Untitled event',
+    description: first('DESCRIPTION') ? unescapeText(first('DESCRIPTION').value) : null,
+    date: start.date,
+    time: start.time,
+    cancelled: first('STATUS')?.value.trim().toUpperCase() === 'CANCELLED',
+  };
+
+  const category = first('CATEGORIES') && unescapeText(first('CATEGORIES').value).split(',')[0].trim().toLowerCase();
+  entry.type = EVENT_TYPES.includes(category) ? category : 'event';
+
+  if (first('RECURRENCE-ID')) {
+    const original = parseDateValue(first('RECURRENCE-ID').value);
+    if (!original) return fail(`Unsupported RECURRENCE-ID "${first('RECURRENCE-ID').value}"`);
+    entry.recurrenceId = original.date;
+    return { entry };
+  }
+
+  if (first('RRULE')) {
+    try {
+      entry.rrule = formatRRule(parseRRule(first('RRULE').value));
+    } catch (error) {
+      return fail(`Unsupported RRULE: ${error.message}`);
+    }
+
+    entry.exdates = [];
+    for (const { value } of properties.EXDATE || []) {
+      for (const item of value.split(',')) {
+        const parsed = parseDateValue(item);
+        if (parsed) entry.exdates.push(parsed.date);
+      }
+    }
+  }
+
+  return { entry };
+}
+
+/**
+ * Parse an iCalendar document into importable events
+ *
+ * VEVENTs sharing a UID are grouped: the one without RECURRENCE-ID is the
+ * series, the others become overrides of its occurrences. Components other
+ * than VEVENT (VTIMEZONE, VTODO, VALARM, ...) are ignored.
+ *
+ * @param {string} text - iCalendar text
+ * @returns {{ events: Array<Object>, skipped: Array<Object> }}
+ *   events: [{ uid, title, description, date, time, type, rrule, exdates, overrides }]
+ *   skipped: [{ uid, summary, reason }]
+ * @throws {Error} If the text is not an iCalendar document
+ */
+export function parseCalendar(text) {
+  const lines = String(text)
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '') // Unfold continuation lines
+    .split('\n')
+    .filter((line) => line.trim());
+
+  if (!lines.length || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw new Error('Not an iCalendar file (expected BEGIN:VCALENDAR)');
+  }
+
+  const rawEvents = [];
+  const stack = [];
+  let current = null;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.trim().toUpperCase());
+      if (stack.at(-1) === 'VEVENT') current = {};
+    } else if (property.name === 'END') {
+      if (stack.pop() === 'VEVENT' && current) {
+        rawEvents.push(current);
+        current = null;
+      }
+    } else if (current && stack.at(-1) === 'VEVENT') {
+      (current[property.name] ||= []).push({ params: property.params, value: property.value });
+    }
+  }
+
+  const skipped = [];
+  const series = new Map();
+  const instances = [];
+
+  for (const properties of rawEvents) {
+    const { entry, error } = readEvent(properties);
+    if (error) {
+      skipped.push(error);
+    } else if (entry.recurrenceId) {
+      instances.push(entry);
+    } else if (series.has(entry.uid)) {
+      skipped.push({ uid: entry.uid, summary: entry.title, reason: 'Duplicate UID in file' });
+    } else if (entry.cancelled) {
+      skipped.push({ uid: entry.uid, summary: entry.title, reason: 'Event is cancelled' });
+    } else {
+      series.set(entry.uid, { ...entry, overrides: [] });
+    }
+  }
+
+  for (const instance of instances) {
+    const parent = series.get(instance.uid);
+    if (!parent?.rrule) {
+      skipped.push({
+        uid: instance.uid,
+        summary: instance.title,
+        reason: `Occurrence ${instance.recurrenceId} has no recurring event with this UID`,
+      });
+      continue;
+    }
+
+    parent.overrides.push({
+      originalDate: instance.recurrenceId,
+      cancelled: instance.cancelled,
+      date: instance.date !== instance.recurrenceId ? instance.date : null,
+      time: instance.time !== parent.time ? instance.time : null,
+      title: instance.title !== parent.title ? instance.title : null,
+      description: instance.description !== parent.description ? instance.description : null,
+    });
+  }
+
+  const events = [...series.values()].map(({ cancelled: _cancelled, ...event }) => event);
+  return { events, skipped };
+}
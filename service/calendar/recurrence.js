@@ -0,0 +1,490 @@
+/**
+ * ============================================================================
+ * Recurrence Engine
+ * ============================================================================
+ *
+ * Expands recurring calendar events into concrete occurrences. Used by
+ * GET /api/calendar/occurrences and anywhere else the server needs to know
+ * what is scheduled on a given day.
+ *
+ * Rules use the RFC 5545 RRULE syntax (a practical subset):
+ * - FREQ: DAILY, WEEKLY, MONTHLY, YEARLY
+ * - INTERVAL: Every N periods (default 1)
+ * - BYDAY: Weekdays, e.g. "MO,WE,FR"; MONTHLY/YEARLY also accept ordinals ("1MO", "-1FR")
+ * - BYMONTHDAY: Days of the month, negative counts from the end ("-1" = last day)
+ * - BYMONTH: Months 1-12
+ * - COUNT / UNTIL: Series end (UNTIL as YYYYMMDD or YYYY-MM-DD, inclusive)
+ *
+ * Events created before RRULE support keep their legacy fields (recurring,
+ * recurringDays, recurringEndDate); these are converted with legacyToRRule.
+ *
+ * All dates are calendar days ("YYYY-MM-DD") handled in UTC, matching how
+ * CalendarEvent.date is stored. The series start date is only an occurrence
+ * if it matches the rule (e.g. a Mon/Wed rule starting on a Sunday begins
+ * on Monday).
+ *
+ * Exceptions:
+ * - exdates: Occurrence dates removed from the series (EXDATE). They still
+ *   count towards COUNT, as in RFC 5545.
+ * - overrides: Per-occurrence changes keyed by the original date - cancel
+ *   ("skip this Tuesday"), move to another date/time ("move to 7pm"),
+ *   retitle, or mark that single occurrence completed.
+ *
+ * @module service/calendar/recurrence.js
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/** RRULE weekday codes, indexed like Date.getUTCDay() (0 = Sunday) */
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/** Legacy `recurring` values and the rule each one maps to */
+const LEGACY_FREQUENCIES = {
+  daily: { freq: 'DAILY', interval: 1 },
+  weekly: { freq: 'WEEKLY', interval: 1 },
+  biweekly: { freq: 'WEEKLY', interval: 2 },
+  monthly: { freq: 'MONTHLY', interval: 1 },
+  yearly: { freq: 'YEARLY', interval: 1 },
+};
+
+/** Upper bound on periods walked per expansion, so impossible rules terminate */
+const MAX_PERIODS = 10000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// ============================================================================
+// Date Helpers
+// ============================================================================
+
+/**
+ * Normalize a date to a "YYYY-MM-DD" key
+ *
+ * @param {Date|string} value - Date object or date string
+ * @returns {string|null} Date key, or null if the value is empty or invalid
+ */
+export function toDateKey(value) {
+  if (!value) return null;
+  if (typeof value === 'string' && DATE_KEY_REGEX.test(value)) return value;
+
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a "YYYY-MM-DD" key into a UTC midnight Date
+ */
+function fromDateKey(key) {
+  return new Date(`${key}T00:00:00.000Z`);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Monday of the week containing a date (RRULE weeks start on Monday)
+ */
+function startOfWeek(date) {
+  return addDays(date, -((date.getUTCDay() + 6) % 7));
+}
+
+// ============================================================================
+// Rule Parsing
+// ============================================================================
+
+/**
+ * Parse a comma-separated list of integers within a range
+ */
+function parseIntList(value, part, min, max) {
+  return value.split(',').map((item) => {
+    const number = Number(item);
+    if (!Number.isInteger(number) || number === 0 || number < min || number > max) {
+      throw new Error(`Invalid ${part} value "${item}"`);
+    }
+    return number;
+  });
+}
+
+/**
+ * Parse an RRULE string
+ *
+ * @param {string} rrule - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20251231"
+ *                         (an optional "RRULE:" prefix is ignored)
+ * @returns {Object} { freq, interval, byDay: [{ weekday, ordinal }], byMonthDay, byMonth, count, until }
+ * @throws {Error} If the rule is malformed or uses unsupported parts
+ */
+export function parseRRule(rrule) {
+  if (typeof rrule !== 'string' || !rrule.trim()) {
+    throw new Error('Recurrence rule must be a non-empty string');
+  }
+
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], byMonth: [], count: null, until: null };
+
+  for (const part of rrule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [rawName, value] = part.split('=');
+    const name = rawName.toUpperCase();
+    if (!value) throw new Error(`Invalid recurrence rule part "${part}"`);
+
+    switch (name) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          throw new Error(`Unsupported FREQ "${value}". Use one of: ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+          throw new Error('INTERVAL must be a positive integer');
+        }
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+          throw new Error('COUNT must be a positive integer');
+        }
+        break;
+      case 'UNTIL': {
+        const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(value);
+        if (!match || isNaN(fromDateKey(`${match[1]}-${match[2]}-${match[3]}`).getTime())) {
+          throw new Error(`Invalid UNTIL "${value}". Use YYYYMMDD`);
+        }
+        rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+        break;
+      }
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map((item) => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+          const ordinal = match?.[1] ? Number(match[1]) : null;
+          if (!match || ordinal === 0 || Math.abs(ordinal) > 53) {
+            throw new Error(`Invalid BYDAY value "${item}"`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntList(value, 'BYMONTHDAY', -31, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntList(value, 'BYMONTH', 1, 12);
+        break;
+      case 'WKST':
+        break; // Weeks always start on Monday
+      default:
+        throw new Error(`Unsupported recurrence rule part "${name}"`);
+    }
+  }
+
+  if (!rule.freq) throw new Error('Recurrence rule must include FREQ');
+  if (rule.count && rule.until) throw new Error('COUNT and UNTIL cannot both be set');
+  if (rule.byDay.some((day) => day.ordinal) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new Error('Numbered BYDAY values (e.g. "1MO") are only allowed with MONTHLY or YEARLY');
+  }
+
+  return rule;
+}
+
+/**
+ * Serialize a parsed rule back to an RRULE string
+ *
+ * @param {Object} rule - Parsed rule (see parseRRule)
+ * @returns {string} RRULE string without the "RRULE:" prefix
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay?.length) {
+    parts.push(`BYDAY=${rule.byDay.map((day) => `${day.ordinal ?? ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+
+  return parts.join(';');
+}
+
+/**
+ * Convert the legacy recurrence fields to an RRULE string
+ *
+ * @param {Object} event - { recurring, recurringDays, recurringEndDate }
+ * @returns {string|null} RRULE, or null for one-time events
+ */
+export function legacyToRRule({ recurring, recurringDays, recurringEndDate }) {
+  const legacy = LEGACY_FREQUENCIES[recurring];
+  if (!legacy) return null;
+
+  const rule = { ...legacy, byDay: [], byMonthDay: [], byMonth: [], count: null, until: toDateKey(recurringEndDate) };
+
+  if (legacy.freq === 'WEEKLY' && recurringDays) {
+    try {
+      const days = typeof recurringDays === 'string' ? JSON.parse(recurringDays) : recurringDays;
+      rule.byDay = [...new Set(days)]
+        .filter((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+        .map((weekday) => ({ weekday, ordinal: null }));
+    } catch {
+      // Unparseable days fall back to the start date's weekday
+    }
+  }
+
+  return formatRRule(rule);
+}
+
+/**
+ * Get the parsed recurrence rule of an event
+ * An explicit rrule takes precedence over the legacy fields.
+ *
+ * @param {Object} event - CalendarEvent
+ * @returns {Object|null} Parsed rule, or null for one-time events
+ */
+export function getEventRule(event) {
+  const rrule = event.rrule || legacyToRRule(event);
+  return rrule ? parseRRule(rrule) : null;
+}
+
+// ============================================================================
+// Expansion
+// ============================================================================
+
+/**
+ * Days of a month selected by BYMONTHDAY / BYDAY (or the start day by default)
+ */
+function monthCandidates(rule, year, month, start) {
+  const lastDay = daysInMonth(year, month);
+  let days;
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay.map((day) => (day > 0 ? day : lastDay + day + 1));
+  } else if (rule.byDay.length > 0) {
+    days = [];
+    for (const { weekday, ordinal } of rule.byDay) {
+      const firstMatch = 1 + ((weekday - new Date(Date.UTC(year, month, 1)).getUTCDay() + 7) % 7);
+      const matches = [];
+      for (let day = firstMatch; day <= lastDay; day += 7) matches.push(day);
+
+      if (!ordinal) days.push(...matches);
+      else days.push(matches[ordinal > 0 ? ordinal - 1 : matches.length + ordinal]);
+    }
+  } else {
+    days = [start.getUTCDate()];
+  }
+
+  // Invalid days (e.g. the 31st in a 30-day month) are skipped, as in RFC 5545
+  return [...new Set(days)]
+    .filter((day) => day >= 1 && day <= lastDay)
+    .sort((a, b) => a - b)
+    .map((day) => new Date(Date.UTC(year, month, day)));
+}
+
+/**
+ * Candidate dates for the period that is `period` intervals after the start
+ */
+function periodCandidates(rule, start, period) {
+  const step = period * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return [addDays(start, step)];
+
+    case 'WEEKLY': {
+      const weekStart = addDays(startOfWeek(start), step * 7);
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map((day) => day.weekday) : [start.getUTCDay()];
+      return [...new Set(weekdays)]
+        .map((weekday) => addDays(weekStart, (weekday + 6) % 7))
+        .sort((a, b) => a - b);
+    }
+
+    case 'MONTHLY': {
+      const monthIndex = start.getUTCMonth() + step;
+      return monthCandidates(rule, start.getUTCFullYear() + Math.floor(monthIndex / 12), monthIndex % 12, start);
+    }
+
+    case 'YEARLY': {
+      const year = start.getUTCFullYear() + step;
+      const months = rule.byMonth.length > 0 ? [...rule.byMonth].sort((a, b) => a - b) : [start.getUTCMonth() + 1];
+      return months.flatMap((month) => monthCandidates(rule, year, month - 1, start));
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * First period worth visiting for a range starting at `from`.
+ * Rules with COUNT must be walked from the start so occurrences are counted.
+ */
+function firstPeriod(rule, start, from) {
+  if (rule.count || from <= start) return 0;
+
+  let elapsed;
+  switch (rule.freq) {
+    case 'DAILY':
+      elapsed = Math.round((from - start) / DAY_MS);
+      break;
+    case 'WEEKLY':
+      elapsed = Math.round((startOfWeek(from) - startOfWeek(start)) / (7 * DAY_MS));
+      break;
+    case 'MONTHLY':
+      elapsed = (from.getUTCFullYear() - start.getUTCFullYear()) * 12 + from.getUTCMonth() - start.getUTCMonth();
+      break;
+    default:
+      elapsed = from.getUTCFullYear() - start.getUTCFullYear();
+  }
+
+  return Math.max(0, Math.floor(elapsed / rule.interval));
+}
+
+/**
+ * Expand a rule into the occurrence dates that fall within a range
+ *
+ * @param {Object|string} rule - Parsed rule or RRULE string
+ * @param {Date|string} startDate - Series start (DTSTART)
+ * @param {Object} range - Range and exceptions
+ * @param {Date|string} range.from - First day of the range (inclusive)
+ * @param {Date|string} range.to - Last day of the range (inclusive)
+ * @param {Array<Date|string>} range.exdates - Excluded occurrence dates (optional)
+ * @returns {Array<string>} Occurrence date keys ("YYYY-MM-DD"), ascending
+ */
+export function expandRule(rule, startDate, { from, to, exdates = [] }) {
+  const parsed = typeof rule === 'string' ? parseRRule(rule) : rule;
+  const start = fromDateKey(toDateKey(startDate));
+  const rangeStart = fromDateKey(toDateKey(from));
+  const rangeEnd = fromDateKey(toDateKey(to));
+  const until = parsed.until ? fromDateKey(parsed.until) : null;
+  const excluded = new Set(exdates.map(toDateKey));
+  const occurrences = [];
+  let generated = 0;
+
+  const first = firstPeriod(parsed, start, rangeStart);
+  for (let period = first; period < first + MAX_PERIODS; period++) {
+    for (const date of periodCandidates(parsed, start, period)) {
+      if (date < start) continue;
+      if (parsed.byMonth.length > 0 && parsed.freq !== 'YEARLY' && !parsed.byMonth.includes(date.getUTCMonth() + 1)) {
+        continue;
+      }
+      if ((until && date > until) || date > rangeEnd) return occurrences;
+      if (parsed.count && ++generated > parsed.count) return occurrences;
+
+      const key = toDateKey(date);
+      if (date >= rangeStart && !excluded.has(key)) occurrences.push(key);
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Build the occurrence returned to clients, applying any override
+ */
+function buildOccurrence(event, rule, originalDate, override) {
+  return {
+    eventId: event.id,
+    occurrenceDate: originalDate,
+    date: toDateKey(override?.date) || originalDate,
+    time: override?.time || event.time || null,
+    title: override?.title || event.title,
+    description: override?.description ?? event.description ?? null,
+    type: event.type,
+    // Recurring series track completion per occurrence (via overrides)
+    completed: override?.completed ?? (rule ? false : event.completed),
+    recurring: rule ? (event.recurring || rule.freq.toLowerCase()) : null,
+    rrule: rule ? formatRRule(rule) : null,
+    overridden: Boolean(override),
+  };
+}
+
+/**
+ * Expand a single calendar event into the occurrences within a range
+ *
+ * Overrides are matched by their original occurrence date, so an occurrence
+ * moved into the range from outside it is included, and one moved out of
+ * the range (or cancelled) is not.
+ *
+ * @param {Object} event - CalendarEvent with optional `exdates` and `overrides`
+ *                         ([{ originalDate, cancelled, date, time, title, description, completed }])
+ * @param {Date|string} from - First day of the range (inclusive)
+ * @param {Date|string} to - Last day of the range (inclusive)
+ * @returns {Array<Object>} Occurrences: { eventId, occurrenceDate, date, time, title, description,
+ *                          type, completed, recurring, rrule, overridden }
+ */
+export function expandEvent(event, from, to) {
+  const startDate = toDateKey(event.date || event.createdAt);
+  const fromKey = toDateKey(from);
+  const toKey = toDateKey(to);
+  const inRange = (key) => key >= fromKey && key <= toKey;
+  const rule = getEventRule(event);
+
+  if (!rule) {
+    return startDate && inRange(startDate) ? [buildOccurrence(event, null, startDate, null)] : [];
+  }
+
+  const exdates = event.exdates || [];
+  const overrides = new Map((event.overrides || []).map((override) => [toDateKey(override.originalDate), override]));
+  const occurrences = [];
+
+  for (const originalDate of expandRule(rule, startDate, { from: fromKey, to: toKey, exdates })) {
+    const override = overrides.get(originalDate);
+    if (override?.cancelled) continue;
+
+    const occurrence = buildOccurrence(event, rule, originalDate, override);
+    if (inRange(occurrence.date)) occurrences.push(occurrence);
+  }
+
+  // Occurrences moved into the range from outside it
+  for (const [originalDate, override] of overrides) {
+    if (override.cancelled || !override.date || inRange(originalDate)) continue;
+    if (!inRange(toDateKey(override.date))) continue;
+
+    const valid = expandRule(rule, startDate, { from: originalDate, to: originalDate, exdates }).length > 0;
+    if (valid) occurrences.push(buildOccurrence(event, rule, originalDate, override));
+  }
+
+  return occurrences;
+}
+
+/**
+ * Expand many events and merge their occurrences in chronological order
+ * (untimed occurrences last within a day)
+ *
+ * @param {Array<Object>} events - CalendarEvents (see expandEvent)
+ * @param {Date|string} from - First day of the range (inclusive)
+ * @param {Date|string} to - Last day of the range (inclusive)
+ * @returns {Array<Object>} Occurrences
+ */
+export function expandEvents(events, from, to) {
+  return events
+    .flatMap((event) => expandEvent(event, from, to))
+    .sort((a, b) =>
+      a.date.localeCompare(b.date) ||
+      (a.time || '99:99').padStart(5, '0').localeCompare((b.time || '99:99').padStart(5, '0')) ||
+      a.title.localeCompare(b.title)
+    );
+}
+
+/**
+ * Check whether a date is a (non-excluded) occurrence of an event's series
+ *
+ * @param {Object} event - CalendarEvent
+ * @param {Date|string} date - Candidate occurrence date
+ * @returns {boolean} True if the rule generates that date
+ */
+export function isOccurrenceDate(event, date) {
+  const key = toDateKey(date);
+  const startDate = toDateKey(event.date || event.createdAt);
+  const rule = getEventRule(event);
+
+  if (!key) return false;
+  if (!rule) return key === startDate;
+  return expandRule(rule, startDate, { from: key, to: key, exdates: event.exdates || [] }).length > 0;
+}
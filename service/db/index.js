@@ -7,17 +7,33 @@
  * Includes services for managing:
  * - Users (CRUD operations)
  * - Messages (chat history)
- * - Reminders (task reminders)
- * - Goals (user objectives)
- * - Calendar Events
- * - AI Memory (user context and preferences)
+ * - Conversations (chat threads: titles, archive, per-thread history, running summaries)
+ * - Reminders (task reminders, due-reminder claiming and roll-forward)
+ * - Goals (user objectives, per-day completion log, the daily reset and progress entries)
+ * - Calendar Events (with per-occurrence overrides for recurring series)
+ * - Workouts (logged sessions with exercises and sets)
+ * - Activities (cardio distance tracking and daily summaries)
+ * - Meals (food entries with calories and macros, per-day lookups)
+ * - Chat Actions (coach-proposed records awaiting confirmation)
+ * - Memory Embeddings (long-term memory vectors for the local backend)
+ * - Notifications (in-app inbox)
+ * - Refresh Tokens (per-device sessions with rotation and revocation)
+ * - Account Tokens (single-use password reset and email verification tokens)
+ * - Token Usage (per-user, per-model LLM token and cost records)
+ * - Training Plans (periodized programs and their workout sessions)
+ * - AI Memory (user context and preferences, with change listeners)
  * 
  * All operations are async and use Prisma Client for type-safe queries.
  * 
+ * Lists that can grow without bound are read a page at a time (getPage):
+ * pass the `nextCursor` of one page as `cursor` to get the next.
+ * 
  * @module service/db/index.js
  */
 
 import { PrismaClient } from '../generated/prisma/index.js';
+import { firedReminderUpdate, completedReminderUpdate } from '../reminders/repeat.js';
+import { pageArgs, toPage } from './pagination.js';
 
 // ============================================================================
 // Database Client
@@ -33,6 +49,26 @@ export async function disconnect() {
   await prisma.$disconnect();
 }
 
+// ============================================================================
+// Query Helpers
+// ============================================================================
+
+/**
+ * Prisma range filter for optional bounds (both inclusive)
+ * 
+ * @param {Date|string} from - Lower bound (optional)
+ * @param {Date|string} to - Upper bound (optional)
+ * 
+ * @returns {Object|undefined} { gte, lte } or undefined when neither is set
+ */
+function rangeFilter(from, to) {
+  if (!from && !to) return undefined;
+  return {
+    ...(from && { gte: new Date(from) }),
+    ...(to && { lte: new Date(to) }),
+  };
+}
+
 // ============================================================================
 // User Service
 // ============================================================================
@@ -110,6 +146,36 @@ export const userService = {
     });
   },
 
+  /**
+   * Get a user's role (for access tokens)
+   * 
+   * @param {string} userId - User ID
+   * 
+   * @returns {Promise<string|null>} Role, or null if the user does not exist
+   */
+  async getRole(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { role: true },
+    });
+    return user?.role ?? null;
+  },
+
+  /**
+   * Get a user's time zone (for day boundaries)
+   * 
+   * @param {string} userId - User ID
+   * 
+   * @returns {Promise<string>} IANA time zone ("UTC" if the user does not exist)
+   */
+  async getTimeZone(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { timeZone: true },
+    });
+    return user?.timeZone ?? 'UTC';
+  },
+
   /**
    * Get user by email address
    * 
@@ -167,25 +233,46 @@ export const userService = {
 export const messageService = {
   /**
    * Create a new message
+   * The conversation's lastMessageAt is updated, and the first user message
+   * of an untitled conversation becomes its title.
    * 
    * @param {Object} messageData - Message to create
    * @param {string} messageData.text - Message text/content
    * @param {string} messageData.userId - ID of message owner
    * @param {string} messageData.role - Role of sender ('user' or 'assistant')
+   * @param {string} messageData.conversationId - Thread (optional, default: the user's current thread)
    * 
    * @returns {Promise<Object>} Created message object
    */
   async create(messageData) {
-    return await prisma.message.create({
-      data: {
-        text: messageData.text,
-        userId: messageData.userId,
-        role: messageData.role || "user",
-      },
-      include: {
-        user: true,
-      },
-    });
+    const role = messageData.role || "user";
+    const conversationId = messageData.conversationId
+      || (await conversationService.getOrCreateCurrent(messageData.userId)).id;
+
+    const [message] = await prisma.$transaction([
+      prisma.message.create({
+        data: {
+          text: messageData.text,
+          userId: messageData.userId,
+          role,
+          conversationId,
+        },
+        include: {
+          user: true,
+        },
+      }),
+      prisma.conversation.update({
+        where: { id: conversationId },
+        data: { lastMessageAt: new Date() },
+      }),
+      ...(role === 'user' ? [
+        prisma.conversation.updateMany({
+          where: { id: conversationId, title: DEFAULT_CONVERSATION_TITLE },
+          data: { title: conversationTitleFrom(messageData.text) },
+        }),
+      ] : []),
+    ]);
+    return message;
   },
 
   /**
@@ -226,6 +313,88 @@ export const messageService = {
     });
   },
 
+  /**
+   * Get the latest messages of a conversation thread
+   * 
+   * @param {string} conversationId - Conversation ID
+   * @param {number} limit - Maximum number of messages to retrieve
+   * @param {Object} options - Options
+   * @param {Date} options.after - Only messages created after this time (e.g. the summarized part)
+   * 
+   * @returns {Promise<Array>} The last `limit` messages in chronological order
+   */
+  async getByConversation(conversationId, limit = 50, { after } = {}) {
+    const messages = await prisma.message.findMany({
+      where: {
+        conversationId,
+        ...(after && { createdAt: { gt: after } }),
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    });
+    return messages.reverse();
+  },
+
+  /**
+   * Get one page of a conversation thread, paging back from the newest message
+   * 
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - Page and filters
+   * @param {string} options.cursor - nextCursor of the previous (newer) page (optional)
+   * @param {number} options.limit - Page size (default: 50)
+   * @param {Date|string} options.from - Only messages created at or after this time (optional)
+   * @param {Date|string} options.to - Only messages created at or before this time (optional)
+   * 
+   * @returns {Promise<Object>} { items, nextCursor } - items oldest first;
+   *   nextCursor leads to older messages
+   */
+  async getPage(conversationId, { cursor, limit = 50, from, to } = {}) {
+    const rows = await prisma.message.findMany({
+      where: {
+        conversationId,
+        createdAt: rangeFilter(from, to),
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      ...pageArgs({ cursor, limit }),
+    });
+    const page = toPage(rows, limit);
+    return { ...page, items: page.items.reverse() };
+  },
+
+  /**
+   * Get the oldest messages of a conversation thread created after a time
+   * Used by the summarizer to fold messages into the running summary in order.
+   * 
+   * @param {string} conversationId - Conversation ID
+   * @param {Date|null} after - Start after this time (null: from the beginning)
+   * @param {number} limit - Maximum number of messages to retrieve
+   * 
+   * @returns {Promise<Array>} Up to `limit` messages in chronological order
+   */
+  async getAfter(conversationId, after, limit = 50) {
+    return await prisma.message.findMany({
+      where: {
+        conversationId,
+        ...(after && { createdAt: { gt: after } }),
+      },
+      orderBy: { createdAt: 'asc' },
+      take: limit,
+    });
+  },
+
+  /**
+   * Get a message by ID
+   * 
+   * @param {string} messageId - Message ID
+   * 
+   * @returns {Promise<Object|null>} Message or null
+   */
+  async getById(messageId) {
+    return await prisma.message.findUnique({
+      where: { id: messageId },
+    });
+  },
+
   /**
    * Delete a single message
    * 
@@ -240,6 +409,234 @@ export const messageService = {
   },
 };
 
+// ============================================================================
+// Conversation Service
+// ============================================================================
+
+/** Title of a conversation until its first user message names it */
+export const DEFAULT_CONVERSATION_TITLE = 'New conversation';
+
+/** Title given to messages saved before conversation threads existed */
+const LEGACY_CONVERSATION_TITLE = 'Earlier messages';
+
+/** Longest title taken from a message */
+const MAX_CONVERSATION_TITLE_LENGTH = 60;
+
+/**
+ * Derive a conversation title from its first message
+ * Uses the first line, cut at a word boundary.
+ */
+function conversationTitleFrom(text) {
+  const line = (text || '').trim().split('\n')[0].trim();
+  if (line.length === 0) return DEFAULT_CONVERSATION_TITLE;
+  if (line.length <= MAX_CONVERSATION_TITLE_LENGTH) return line;
+
+  const cut = line.slice(0, MAX_CONVERSATION_TITLE_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 20 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+}
+
+/**
+ * Conversation service for chat threads
+ */
+export const conversationService = {
+  /**
+   * Start a new conversation
+   * 
+   * @param {string} userId - Owner
+   * @param {Object} options - Options
+   * @param {string} options.title - Title (default: taken from the first message)
+   * 
+   * @returns {Promise<Object>} Created conversation
+   */
+  async create(userId, { title } = {}) {
+    return await prisma.conversation.create({
+      data: {
+        userId,
+        title: title || DEFAULT_CONVERSATION_TITLE,
+      },
+    });
+  },
+
+  /**
+   * Get a conversation by ID
+   * 
+   * @param {string} conversationId - Conversation ID
+   * 
+   * @returns {Promise<Object|null>} Conversation or null
+   */
+  async getById(conversationId) {
+    return await prisma.conversation.findUnique({
+      where: { id: conversationId },
+    });
+  },
+
+  /**
+   * List a user's conversations, most recently active first
+   * Each includes its message count and latest message.
+   * 
+   * @param {string} userId - User ID
+   * @param {Object} options - Options
+   * @param {boolean} options.archived - List archived instead of active threads (default: false)
+   * 
+   * @returns {Promise<Array>} Conversations with `_count.messages` and `messages` (latest only)
+   */
+  async getByUser(userId, { archived = false } = {}) {
+    return await prisma.conversation.findMany({
+      where: { userId, archivedAt: archived ? { not: null } : null },
+      orderBy: { lastMessageAt: 'desc' },
+      include: {
+        _count: { select: { messages: true } },
+        messages: {
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+          select: { id: true, text: true, role: true, createdAt: true },
+        },
+      },
+    });
+  },
+
+  /**
+   * Get the user's current conversation: the most recently active one that
+   * is not archived
+   * 
+   * @param {string} userId - User ID
+   * 
+   * @returns {Promise<Object|null>} Conversation or null if the user has none
+   */
+  async getCurrent(userId) {
+    return await prisma.conversation.findFirst({
+      where: { userId, archivedAt: null },
+      orderBy: { lastMessageAt: 'desc' },
+    });
+  },
+
+  /**
+   * Get the user's current conversation, starting one if there is none
+   * 
+   * @param {string} userId - User ID
+   * 
+   * @returns {Promise<Object>} Conversation
+   */
+  async getOrCreateCurrent(userId) {
+    return (await this.getCurrent(userId)) || await this.create(userId);
+  },
+
+  /**
+   * Move messages saved before conversation threads existed into one thread
+   * per user. One-time migration, run by adopt_legacy_messages.js.
+   * 
+   * @returns {Promise<number>} Number of conversations created
+   */
+  async adoptLegacyMessages() {
+    const users = await prisma.message.groupBy({
+      by: ['userId'],
+      where: { conversationId: null },
+      _max: { createdAt: true },
+    });
+
+    for (const { userId, _max } of users) {
+      await prisma.$transaction(async (tx) => {
+        const conversation = await tx.conversation.create({
+          data: { userId, title: LEGACY_CONVERSATION_TITLE, lastMessageAt: _max.createdAt },
+        });
+        await tx.message.updateMany({
+          where: { userId, conversationId: null },
+          data: { conversationId: conversation.id },
+        });
+      });
+    }
+    return users.length;
+  },
+
+  /**
+   * Rename, archive or unarchive a conversation
+   * 
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} data - { title, archivedAt } (other fields are ignored)
+   * 
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async update(conversationId, data) {
+    const { title, archivedAt } = data;
+    return await prisma.conversation.update({
+      where: { id: conversationId },
+      data: {
+        ...(title !== undefined && { title }),
+        ...(archivedAt !== undefined && { archivedAt }),
+      },
+    });
+  },
+
+  /**
+   * Get conversations with messages the summarizer has not looked at yet
+   * 
+   * @param {number} limit - Maximum number of conversations
+   * 
+   * @returns {Promise<Array>} Conversations, least recently checked first
+   */
+  async getNeedingSummary(limit = 50) {
+    return await prisma.conversation.findMany({
+      where: {
+        OR: [
+          { summaryCheckedAt: null },
+          { lastMessageAt: { gt: prisma.conversation.fields.summaryCheckedAt } },
+        ],
+      },
+      orderBy: { summaryCheckedAt: { sort: 'asc', nulls: 'first' } },
+      take: limit,
+    });
+  },
+
+  /**
+   * Store a conversation's running summary
+   * 
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} data - { summary, summarizedUntil }
+   * 
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async saveSummary(conversationId, { summary, summarizedUntil }) {
+    return await prisma.conversation.update({
+      where: { id: conversationId },
+      data: { summary, summarizedUntil },
+    });
+  },
+
+  /**
+   * Record that the summarizer has looked at a conversation
+   * 
+   * @param {string} conversationId - Conversation ID
+   * @param {Date} checkedAt - Time of the check
+   * 
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async markSummaryChecked(conversationId, checkedAt = new Date()) {
+    return await prisma.conversation.update({
+      where: { id: conversationId },
+      data: { summaryCheckedAt: checkedAt },
+    });
+  },
+
+  /**
+   * Delete a conversation and its messages
+   * 
+   * @param {string} conversationId - Conversation ID
+   * 
+   * @returns {Promise<Array<string>>} IDs of the deleted messages
+   */
+  async delete(conversationId) {
+    return await prisma.$transaction(async (tx) => {
+      const messages = await tx.message.findMany({
+        where: { conversationId },
+        select: { id: true },
+      });
+      await tx.conversation.delete({ where: { id: conversationId } });
+      return messages.map(message => message.id);
+    });
+  },
+};
+
 // ============================================================================
 // Reminder Service
 // ============================================================================
@@ -258,6 +655,7 @@ export const reminderService = {
    * @param {string} reminderData.repeatType - Repeat pattern (none, daily, weekly, monthly)
    * @param {Date} reminderData.repeatUntil - When to stop repeating
    * @param {number} reminderData.interval - Interval for repeating reminders
+   * @param {Array<string>} reminderData.channels - Delivery channels (default: ["inbox"])
    * 
    * @returns {Promise<Object>} Created reminder object
    */
@@ -270,6 +668,7 @@ export const reminderService = {
         repeatType: reminderData.repeatType,
         repeatUntil: reminderData.repeatUntil ? new Date(reminderData.repeatUntil) : null,
         interval: reminderData.interval,
+        ...(reminderData.channels && { channels: reminderData.channels }),
       },
       include: {
         user: {
@@ -280,21 +679,31 @@ export const reminderService = {
   },
 
   /**
-   * Get reminders for a user
+   * Get one page of a user's reminders, soonest due first
    * 
    * @param {string} userId - User ID
-   * @param {boolean} includeCompleted - Include completed reminders
+   * @param {Object} options - Page and filters
+   * @param {string} options.cursor - nextCursor of the previous page (optional)
+   * @param {number} options.limit - Page size (default: 100)
+   * @param {boolean} options.completed - Only completed (true) or open (false) reminders (optional: both)
+   * @param {string} options.repeatType - Only this repeat pattern (optional)
+   * @param {Date|string} options.from - Due at or after (optional)
+   * @param {Date|string} options.to - Due at or before (optional)
    * 
-   * @returns {Promise<Array>} Array of reminders
+   * @returns {Promise<Object>} { items, nextCursor }
    */
-  async getByUser(userId, includeCompleted = false) {
-    return await prisma.reminder.findMany({
+  async getPage(userId, { cursor, limit = 100, completed, repeatType, from, to } = {}) {
+    const rows = await prisma.reminder.findMany({
       where: {
         userId,
-        ...(includeCompleted ? {} : { completed: false }),
+        completed,
+        repeatType,
+        dueDate: rangeFilter(from, to),
       },
-      orderBy: { dueDate: 'asc' },
+      orderBy: [{ dueDate: 'asc' }, { id: 'asc' }],
+      ...pageArgs({ cursor, limit }),
     });
+    return toPage(rows, limit);
   },
 
   /**
@@ -321,36 +730,112 @@ export const reminderService = {
     });
   },
 
+  /**
+   * Get a reminder by ID
+   * 
+   * @param {string} reminderId - Reminder ID
+   * 
+   * @returns {Promise<Object|null>} Reminder or null
+   */
+  async getById(reminderId) {
+    return await prisma.reminder.findUnique({
+      where: { id: reminderId },
+    });
+  },
+
   /**
    * Mark a reminder as completed
+   * A repeating reminder rolls forward to its next occurrence instead and
+   * stays open; it is only completed once its series has ended. One that
+   * already fired was rolled forward by the scheduler and keeps its due date.
    * 
    * @param {string} reminderId - Reminder ID
    * 
    * @returns {Promise<Object>} Updated reminder object
    */
   async markCompleted(reminderId) {
+    const reminder = await prisma.reminder.findUniqueOrThrow({
+      where: { id: reminderId },
+    });
+
     return await prisma.reminder.update({
       where: { id: reminderId },
-      data: { completed: true },
+      data: completedReminderUpdate(reminder),
+    });
+  },
+
+  /**
+   * Get reminders that are due and have not been dispatched for their current due date
+   * 
+   * @param {Date} now - Current time
+   * @param {number} limit - Maximum reminders to return
+   * 
+   * @returns {Promise<Array>} Due reminders (oldest first) with their user
+   */
+  async getDue(now = new Date(), limit = 100) {
+    return await prisma.reminder.findMany({
+      where: {
+        completed: false,
+        dueDate: { lte: now },
+        OR: [
+          { lastFiredAt: null },
+          { lastFiredAt: { lt: prisma.reminder.fields.dueDate } },
+        ],
+      },
+      orderBy: { dueDate: 'asc' },
+      take: limit,
+      include: {
+        user: { select: { id: true, name: true, email: true } },
+      },
+    });
+  },
+
+  /**
+   * Claim a due reminder for dispatch and roll repeating reminders forward
+   * The update only applies if the reminder is unchanged since it was read,
+   * so concurrent scheduler runs never dispatch the same occurrence twice.
+   * 
+   * @param {Object} reminder - Due reminder (from getDue)
+   * @param {Date} now - Dispatch time
+   * 
+   * @returns {Promise<Object>} { claimed, nextDueDate }
+   */
+  async claimDue(reminder, now = new Date()) {
+    const data = firedReminderUpdate(reminder, now);
+
+    const { count } = await prisma.reminder.updateMany({
+      where: {
+        id: reminder.id,
+        completed: false,
+        dueDate: reminder.dueDate,
+        lastFiredAt: reminder.lastFiredAt,
+      },
+      data,
     });
+
+    return { claimed: count === 1, nextDueDate: data.dueDate || null };
   },
 
   /**
    * Update reminder information
    * 
    * @param {string} reminderId - Reminder ID
-   * @param {Object} reminderData - Data to update
-   * 
+   * @param {Object} reminderData - Data to update (repeatUntil: null repeats forever again)
+   *
    * @returns {Promise<Object>} Updated reminder object
    */
   async update(reminderId, reminderData) {
+    const updateData = {
+      ...reminderData,
+      dueDate: reminderData.dueDate ? new Date(reminderData.dueDate) : undefined,
+    };
+    if (reminderData.repeatUntil !== undefined) {
+      updateData.repeatUntil = reminderData.repeatUntil ? new Date(reminderData.repeatUntil) : null;
+    }
+
     return await prisma.reminder.update({
       where: { id: reminderId },
-      data: {
-        ...reminderData,
-        dueDate: reminderData.dueDate ? new Date(reminderData.dueDate) : undefined,
-        repeatUntil: reminderData.repeatUntil ? new Date(reminderData.repeatUntil) : undefined,
-      },
+      data: updateData,
     });
   },
 
@@ -362,8 +847,35 @@ export const reminderService = {
   },
 };
 
+/** Callbacks run after a user's AI memory changes */
+const aiMemoryChangeListeners = new Set();
+
+/**
+ * Run the AI memory change listeners for a user
+ * Listeners run in the background; a failing listener never fails the write.
+ */
+function notifyAiMemoryChange(userId) {
+  for (const listener of aiMemoryChangeListeners) {
+    Promise.resolve()
+      .then(() => listener(userId))
+      .catch((error) => console.error('AI memory change listener failed:', error));
+  }
+}
+
 // AI Memory operations
 export const aiMemoryService = {
+  /**
+   * Run a callback whenever a user's AI memory is created, updated or deleted
+   * (e.g. to drop cached replies that were built from the old profile)
+   * 
+   * @param {Function} listener - Called with the user ID
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    aiMemoryChangeListeners.add(listener);
+    return () => aiMemoryChangeListeners.delete(listener);
+  },
+
   // Create or update AI memory for a user
   async upsert(userId, memoryData) {
     // First verify that the user exists
@@ -376,20 +888,26 @@ export const aiMemoryService = {
       throw new Error(`User with ID ${userId} not found`);
     }
 
-    // Extract metadata fields (from chat onboarding parser)
+    // Extract metadata fields (from chat onboarding extraction)
+    const extractionMethod = memoryData._extractionMethod || null;
     const extractionConfidence = memoryData._extractionConfidence || null;
     const extractionWarnings = memoryData._extractionWarnings || null;
     const extractedAt = memoryData._extractedAt || null;
+    // Left unchanged unless given (set when the user confirms their profile)
+    const manuallyVerified = memoryData._manuallyVerified;
 
-    return await prisma.aIMemory.upsert({
+    const memory = await prisma.aIMemory.upsert({
       where: { userId },
       update: {
         summary: memoryData.summary,
         goals: memoryData.goals,
         preferences: memoryData.preferences,
+        fitnessProfile: memoryData.fitnessProfile,
+        extractionMethod,
         extractionConfidence,
         extractionWarnings,
         extractedAt,
+        manuallyVerified,
         lastSync: new Date(),
       },
       create: {
@@ -397,11 +915,16 @@ export const aiMemoryService = {
         summary: memoryData.summary,
         goals: memoryData.goals,
         preferences: memoryData.preferences,
+        fitnessProfile: memoryData.fitnessProfile,
+        extractionMethod,
         extractionConfidence,
         extractionWarnings,
         extractedAt,
+        manuallyVerified,
       },
     });
+    notifyAiMemoryChange(userId);
+    return memory;
   },
 
   // Get AI memory for a user
@@ -428,7 +951,7 @@ export const aiMemoryService = {
       throw new Error(`User with ID ${userId} not found`);
     }
 
-    return await prisma.aIMemory.upsert({
+    const memory = await prisma.aIMemory.upsert({
       where: { userId },
       update: {
         goals,
@@ -439,6 +962,8 @@ export const aiMemoryService = {
         goals,
       },
     });
+    notifyAiMemoryChange(userId);
+    return memory;
   },
 
   async updatePreferences(userId, preferences) {
@@ -452,7 +977,7 @@ export const aiMemoryService = {
       throw new Error(`User with ID ${userId} not found`);
     }
 
-    return await prisma.aIMemory.upsert({
+    const memory = await prisma.aIMemory.upsert({
       where: { userId },
       update: {
         preferences,
@@ -463,16 +988,51 @@ export const aiMemoryService = {
         preferences,
       },
     });
+    notifyAiMemoryChange(userId);
+    return memory;
   },
 
   // Delete AI memory
   async delete(userId) {
-    return await prisma.aIMemory.delete({
+    const memory = await prisma.aIMemory.delete({
       where: { userId },
     });
+    notifyAiMemoryChange(userId);
+    return memory;
   },
 };
 
+/** Latest progress entries loaded with a goal (enough for the trend) */
+const GOAL_PROGRESS_ENTRIES = 50;
+
+/** Include the owner, the latest progress entries (newest first) and the entry count */
+const goalInclude = {
+  user: { select: { id: true, name: true, email: true } },
+  progressEntries: { orderBy: { recordedAt: 'desc' }, take: GOAL_PROGRESS_ENTRIES },
+  _count: { select: { progressEntries: true } },
+};
+
+/**
+ * Add the first progress entry (firstProgressEntry) to goals whose entries
+ * were cut off at GOAL_PROGRESS_ENTRIES, so progress without a baseline is
+ * still measured from the real start
+ * 
+ * @param {Array<Object>} goals - Goals loaded with goalInclude (nulls are skipped)
+ * 
+ * @returns {Promise<Array<Object>>} The same goals
+ */
+async function addFirstProgressEntries(goals) {
+  const truncated = goals.filter(goal => goal && goal._count.progressEntries > goal.progressEntries.length);
+
+  await Promise.all(truncated.map(async (goal) => {
+    goal.firstProgressEntry = await prisma.goalProgress.findFirst({
+      where: { goalId: goal.id },
+      orderBy: [{ recordedAt: 'asc' }, { id: 'asc' }],
+    });
+  }));
+  return goals;
+}
+
 // Goal operations
 export const goalService = {
   // Create a new goal
@@ -485,43 +1045,52 @@ export const goalService = {
         priority: goalData.priority || 'medium',
         type: goalData.type || 'daily',
         lastCompletedDate: goalData.lastCompletedDate ? new Date(goalData.lastCompletedDate) : null,
+        targetValue: goalData.targetValue ?? null,
+        unit: goalData.unit ?? null,
+        baselineValue: goalData.baselineValue ?? null,
+        deadline: goalData.deadline ? new Date(goalData.deadline) : null,
+        direction: goalData.direction ?? null,
       },
-      include: {
-        user: { select: { id: true, name: true, email: true } },
-      },
+      include: goalInclude,
     });
   },
 
-  // Get all goals for a user
-  async getByUser(userId) {
-    return await prisma.goal.findMany({
-      where: { userId },
-      orderBy: { createdAt: 'desc' },
-      include: {
-        user: { select: { id: true, name: true, email: true } },
+  // Get one page of a user's goals, newest first, as { items, nextCursor }
+  // Filters (all optional): type, completed, category, priority, from/to (created between)
+  async getPage(userId, { cursor, limit = 100, type, completed, category, priority, from, to } = {}) {
+    const rows = await prisma.goal.findMany({
+      where: {
+        userId,
+        type,
+        completed,
+        category,
+        priority,
+        createdAt: rangeFilter(from, to),
       },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      include: goalInclude,
+      ...pageArgs({ cursor, limit }),
     });
+    return toPage(await addFirstProgressEntries(rows), limit);
   },
 
   // Get goal by ID
   async getById(goalId) {
-    return await prisma.goal.findUnique({
+    const goal = await prisma.goal.findUnique({
       where: { id: goalId },
-      include: {
-        user: { select: { id: true, name: true, email: true } },
-      },
+      include: goalInclude,
     });
+    return (await addFirstProgressEntries([goal]))[0];
   },
 
   // Update goal
   async update(goalId, goalData) {
-    return await prisma.goal.update({
+    const goal = await prisma.goal.update({
       where: { id: goalId },
       data: goalData,
-      include: {
-        user: { select: { id: true, name: true, email: true } },
-      },
+      include: goalInclude,
     });
+    return (await addFirstProgressEntries([goal]))[0];
   },
 
   // Delete goal
@@ -530,6 +1099,107 @@ export const goalService = {
       where: { id: goalId },
     });
   },
+
+  // Mark a goal completed (or not) for a day (YYYY-MM-DD in the user's time zone)
+  // The completion log is updated with it; lastCompletedDate follows the latest entry.
+  async setCompletion(goalId, completed, date) {
+    const updated = await prisma.$transaction(async (tx) => {
+      const goal = await tx.goal.findUnique({ where: { id: goalId } });
+
+      if (completed) {
+        await tx.goalCompletion.upsert({
+          where: { goalId_date: { goalId, date } },
+          create: { goalId, userId: goal.userId, date },
+          update: {},
+        });
+      } else {
+        await tx.goalCompletion.deleteMany({ where: { goalId, date } });
+      }
+
+      const latest = await tx.goalCompletion.findFirst({
+        where: { goalId },
+        orderBy: { date: 'desc' },
+      });
+
+      return await tx.goal.update({
+        where: { id: goalId },
+        data: { completed, lastCompletedDate: latest?.completedAt ?? null },
+        include: goalInclude,
+      });
+    });
+    return (await addFirstProgressEntries([updated]))[0];
+  },
+
+  // Get a goal's completion log, oldest first (optionally only days on/after `since`)
+  async getCompletions(goalId, since) {
+    return await prisma.goalCompletion.findMany({
+      where: {
+        goalId,
+        ...(since ? { date: { gte: since } } : {}),
+      },
+      orderBy: { date: 'asc' },
+    });
+  },
+
+  // Un-complete daily goals that have no completion logged for `date`
+  // Scoped to one user, or to every user in a time zone.
+  async resetDaily({ userId, timeZone, date }) {
+    const result = await prisma.goal.updateMany({
+      where: {
+        type: 'daily',
+        completed: true,
+        ...(userId ? { userId } : { user: { timeZone } }),
+        completions: { none: { date } },
+      },
+      data: { completed: false },
+    });
+    return result.count;
+  },
+
+  // Time zones of users who have a completed daily goal (candidates for the reset)
+  async getTimeZonesWithCompletedDaily() {
+    const users = await prisma.user.findMany({
+      where: { goals: { some: { type: 'daily', completed: true } } },
+      select: { timeZone: true },
+      distinct: ['timeZone'],
+    });
+    return users.map(user => user.timeZone);
+  },
+
+  // Log a measured value towards the goal's target
+  async addProgress(goalId, userId, { value, note, recordedAt }) {
+    return await prisma.goalProgress.create({
+      data: {
+        goalId,
+        userId,
+        value,
+        note: note || null,
+        ...(recordedAt && { recordedAt: new Date(recordedAt) }),
+      },
+    });
+  },
+
+  // Get all progress entries of a goal, oldest first
+  async getProgressEntries(goalId) {
+    return await prisma.goalProgress.findMany({
+      where: { goalId },
+      orderBy: { recordedAt: 'asc' },
+    });
+  },
+
+  // Get a progress entry by ID
+  async getProgressEntry(entryId) {
+    return await prisma.goalProgress.findUnique({
+      where: { id: entryId },
+    });
+  },
+
+  // Delete a progress entry
+  async deleteProgressEntry(entryId) {
+    return await prisma.goalProgress.delete({
+      where: { id: entryId },
+    });
+  },
 };
 
 // Calendar Event operations
@@ -583,6 +1253,12 @@ export const calendarEventService = {
         recurring: eventData.recurring || null, // "daily", "weekly", "biweekly", "monthly", "yearly"
         recurringDays: eventData.recurringDays || null, // JSON array string for weekly recurrence
         recurringEndDate: eventData.recurringEndDate ? new Date(eventData.recurringEndDate) : null,
+        rrule: eventData.rrule || null, // RFC 5545 RRULE; takes precedence over recurring/recurringDays
+        exdates: eventData.exdates || [], // YYYY-MM-DD dates excluded from the series
+        uid: eventData.uid || null, // iCalendar UID when imported
+        trainingPlanId: eventData.trainingPlanId || null, // Set for generated plan sessions
+        planWeek: eventData.planWeek ?? null,
+        planSession: eventData.planSession ?? null,
       },
       include: {
         user: { select: { id: true, name: true, email: true } },
@@ -600,16 +1276,54 @@ export const calendarEventService = {
       ],
       include: {
         user: { select: { id: true, name: true, email: true } },
+        workouts: { select: workoutSummarySelect },
+        overrides: { orderBy: { originalDate: 'asc' } },
+      },
+    });
+  },
+
+  // Get one page of a user's events by date, as { items, nextCursor }
+  // Filters (all optional): type, completed, from/to (YYYY-MM-DD, the event's date;
+  // a recurring series is listed once, under its first date)
+  async getPage(userId, { cursor, limit = 100, type, completed, from, to } = {}) {
+    const rows = await prisma.calendarEvent.findMany({
+      where: {
+        userId,
+        type,
+        completed,
+        date: rangeFilter(this._validateDate(from), this._validateDate(to)),
+      },
+      orderBy: [
+        { date: 'asc' },
+        { time: 'asc' },
+        { id: 'asc' },
+      ],
+      include: {
+        user: { select: { id: true, name: true, email: true } },
+        workouts: { select: workoutSummarySelect },
+        overrides: { orderBy: { originalDate: 'asc' } },
       },
+      ...pageArgs({ cursor, limit }),
+    });
+    return toPage(rows, limit);
+  },
+
+  // Get the ID and iCalendar UID of every event a user has (for import de-duplication)
+  async getUids(userId) {
+    return await prisma.calendarEvent.findMany({
+      where: { userId },
+      select: { id: true, uid: true },
     });
   },
 
-  // Get calendar event by ID
+  // Get calendar event by ID (with the workouts logged against it and occurrence overrides)
   async getById(eventId) {
     return await prisma.calendarEvent.findUnique({
       where: { id: eventId },
       include: {
         user: { select: { id: true, name: true, email: true } },
+        workouts: { select: workoutSummarySelect },
+        overrides: { orderBy: { originalDate: 'asc' } },
       },
     });
   },
@@ -633,6 +1347,15 @@ export const calendarEventService = {
       updateData.time = eventData.time ? this._validateTime(eventData.time) : null;
     }
     
+    // Recurrence fields (null clears them)
+    if (eventData.recurring !== undefined) updateData.recurring = eventData.recurring || null;
+    if (eventData.recurringDays !== undefined) updateData.recurringDays = eventData.recurringDays || null;
+    if (eventData.recurringEndDate !== undefined) {
+      updateData.recurringEndDate = eventData.recurringEndDate ? new Date(eventData.recurringEndDate) : null;
+    }
+    if (eventData.rrule !== undefined) updateData.rrule = eventData.rrule || null;
+    if (eventData.exdates !== undefined) updateData.exdates = eventData.exdates || [];
+    
     if (Object.keys(updateData).length === 0) {
       throw new Error('No valid fields to update');
     }
@@ -652,11 +1375,1471 @@ export const calendarEventService = {
       where: { id: eventId },
     });
   },
+
+  // Get the events that can have occurrences between two dates (YYYY-MM-DD):
+  // one-time events dated in the range plus every recurring series, with overrides
+  async getForRange(userId, from, to) {
+    return await prisma.calendarEvent.findMany({
+      where: {
+        userId,
+        OR: [
+          { recurring: { not: null } },
+          { rrule: { not: null } },
+          { date: { gte: this._validateDate(from), lte: this._validateDate(to) } },
+        ],
+      },
+      orderBy: [
+        { date: 'asc' },
+        { time: 'asc' },
+      ],
+      include: {
+        overrides: true,
+      },
+    });
+  },
+
+  // Create or replace the override for one occurrence of a recurring event
+  async upsertOverride(eventId, originalDate, overrideData) {
+    const data = {
+      cancelled: overrideData.cancelled ?? false,
+      date: overrideData.date ? this._validateDate(overrideData.date) : null,
+      time: overrideData.time ? this._validateTime(overrideData.time) : null,
+      title: overrideData.title ?? null,
+      description: overrideData.description ?? null,
+      completed: overrideData.completed ?? null,
+    };
+    const key = { eventId, originalDate: this._validateDate(originalDate) };
+
+    return await prisma.calendarEventOverride.upsert({
+      where: { eventId_originalDate: key },
+      create: { ...key, ...data },
+      update: data,
+    });
+  },
+
+  // Remove an occurrence override, restoring the occurrence generated by the rule
+  async deleteOverride(eventId, originalDate) {
+    return await prisma.calendarEventOverride.deleteMany({
+      where: { eventId, originalDate: this._validateDate(originalDate) },
+    });
+  },
 };
 
-// Close Prisma connection
-export async function disconnect() {
-  await prisma.$disconnect();
+// ============================================================================
+// Workout Service
+// ============================================================================
+
+/** Fields returned when listing the workouts logged against a calendar event */
+const workoutSummarySelect = {
+  id: true,
+  title: true,
+  startedAt: true,
+  completedAt: true,
+};
+
+/** Include exercises and sets (in logged order) plus the linked planned event */
+const workoutInclude = {
+  exercises: {
+    orderBy: { order: 'asc' },
+    include: {
+      sets: { orderBy: { order: 'asc' } },
+    },
+  },
+  calendarEvent: {
+    select: { id: true, title: true, type: true, date: true, time: true, recurring: true },
+  },
+};
+
+/**
+ * Build the nested Prisma create input for a workout's exercises and sets
+ * Array position is used as the order when no explicit order is given
+ * 
+ * @param {Array} exercises - Exercises with optional sets arrays
+ * 
+ * @returns {Array} WorkoutExercise create inputs
+ */
+function buildExerciseCreates(exercises = []) {
+  return exercises.map((exercise, exerciseIndex) => ({
+    name: exercise.name,
+    order: exercise.order ?? exerciseIndex,
+    notes: exercise.notes || null,
+    sets: {
+      create: (exercise.sets || []).map((set, setIndex) => ({
+        order: set.order ?? setIndex,
+        reps: set.reps ?? null,
+        weight: set.weight ?? null,
+        weightUnit: set.weightUnit || 'lb',
+        rpe: set.rpe ?? null,
+      })),
+    },
+  }));
+}
+
+/**
+ * Workout service for logging training sessions
+ */
+export const workoutService = {
+  /**
+   * Create a workout with its exercises and sets
+   * 
+   * @param {Object} workoutData - Workout to create
+   * @param {string} workoutData.userId - User ID
+   * @param {string} workoutData.title - Workout title
+   * @param {string} workoutData.notes - Optional notes
+   * @param {Date} workoutData.startedAt - When the session started (default: now)
+   * @param {Date} workoutData.completedAt - When the session finished (optional)
+   * @param {string} workoutData.calendarEventId - Planned event this fulfilled (optional)
+   * @param {Array} workoutData.exercises - [{ name, notes, sets: [{ reps, weight, weightUnit, rpe }] }]
+   * 
+   * @returns {Promise<Object>} Created workout with exercises and sets
+   */
+  async create(workoutData) {
+    return await prisma.workout.create({
+      data: {
+        userId: workoutData.userId,
+        title: workoutData.title,
+        notes: workoutData.notes || null,
+        startedAt: workoutData.startedAt ? new Date(workoutData.startedAt) : undefined,
+        completedAt: workoutData.completedAt ? new Date(workoutData.completedAt) : null,
+        calendarEventId: workoutData.calendarEventId || null,
+        exercises: {
+          create: buildExerciseCreates(workoutData.exercises),
+        },
+      },
+      include: workoutInclude,
+    });
+  },
+
+  /**
+   * Get workouts for a user, newest first
+   * 
+   * @param {string} userId - User ID
+   * @param {Object} options - Optional filters
+   * @param {Date} options.from - Only workouts started on/after this date
+   * @param {Date} options.to - Only workouts started on/before this date
+   * 
+   * @returns {Promise<Array>} Array of workouts with exercises and sets
+   */
+  async getByUser(userId, options = {}) {
+    const startedAt = {};
+    if (options.from) startedAt.gte = new Date(options.from);
+    if (options.to) startedAt.lte = new Date(options.to);
+
+    return await prisma.workout.findMany({
+      where: {
+        userId,
+        ...(Object.keys(startedAt).length > 0 ? { startedAt } : {}),
+      },
+      orderBy: { startedAt: 'desc' },
+      include: workoutInclude,
+    });
+  },
+
+  /**
+   * Get workout by ID
+   * 
+   * @param {string} workoutId - Workout ID
+   * 
+   * @returns {Promise<Object>} Workout with exercises and sets, or null
+   */
+  async getById(workoutId) {
+    return await prisma.workout.findUnique({
+      where: { id: workoutId },
+      include: workoutInclude,
+    });
+  },
+
+  /**
+   * Update workout details
+   * When exercises are provided they replace the existing exercises and sets
+   * 
+   * @param {string} workoutId - Workout ID
+   * @param {Object} workoutData - Fields to update
+   * 
+   * @returns {Promise<Object>} Updated workout with exercises and sets
+   */
+  async update(workoutId, workoutData) {
+    const updateData = {};
+
+    if (workoutData.title !== undefined) updateData.title = workoutData.title;
+    if (workoutData.notes !== undefined) updateData.notes = workoutData.notes;
+    if (workoutData.startedAt !== undefined) updateData.startedAt = new Date(workoutData.startedAt);
+    if (workoutData.completedAt !== undefined) {
+      updateData.completedAt = workoutData.completedAt ? new Date(workoutData.completedAt) : null;
+    }
+    if (workoutData.calendarEventId !== undefined) {
+      updateData.calendarEventId = workoutData.calendarEventId || null;
+    }
+    if (workoutData.exercises !== undefined) {
+      updateData.exercises = {
+        deleteMany: {},
+        create: buildExerciseCreates(workoutData.exercises),
+      };
+    }
+
+    return await prisma.workout.update({
+      where: { id: workoutId },
+      data: updateData,
+      include: workoutInclude,
+    });
+  },
+
+  /**
+   * Mark a workout as completed and optionally link it to the planned event
+   * One-time planned events are marked completed as well; recurring events
+   * stay open because later occurrences are still planned.
+   * 
+   * @param {string} workoutId - Workout ID
+   * @param {Object} options - Completion details
+   * @param {Date} options.completedAt - Completion time (default: now)
+   * @param {string} options.calendarEventId - Planned event this fulfilled (optional)
+   * 
+   * @returns {Promise<Object>} Completed workout with exercises and sets
+   */
+  async complete(workoutId, options = {}) {
+    return await prisma.$transaction(async (tx) => {
+      const workout = await tx.workout.update({
+        where: { id: workoutId },
+        data: {
+          completedAt: options.completedAt ? new Date(options.completedAt) : new Date(),
+          ...(options.calendarEventId ? { calendarEventId: options.calendarEventId } : {}),
+        },
+        include: workoutInclude,
+      });
+
+      if (workout.calendarEvent && !workout.calendarEvent.recurring) {
+        await tx.calendarEvent.update({
+          where: { id: workout.calendarEvent.id },
+          data: { completed: true },
+        });
+      }
+
+      return workout;
+    });
+  },
+
+  /**
+   * Delete a workout (exercises and sets are removed by cascade)
+   * 
+   * @param {string} workoutId - Workout ID
+   * 
+   * @returns {Promise<Object>} Deleted workout object
+   */
+  async delete(workoutId) {
+    return await prisma.workout.delete({
+      where: { id: workoutId },
+    });
+  },
+};
+
+// ============================================================================
+// Activity Service
+// ============================================================================
+
+/** Kilometres to miles conversion factor */
+const MILES_PER_KM = 0.621371;
+
+/** Milliseconds in one day */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round a number to two decimal places for display-friendly totals
+ */
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Normalize activity input: convert distance to miles and derive pace
+ * 
+ * @param {Object} activityData - Raw activity fields
+ * @param {number} activityData.distance - Distance in distanceUnit
+ * @param {string} activityData.distanceUnit - "mi" (default) or "km"
+ * @param {number} activityData.durationSeconds - Moving time in seconds
+ * @param {number} activityData.pace - Minutes per mile (derived when omitted)
+ * 
+ * @returns {Object} Fields ready to persist (only those provided)
+ */
+function normalizeActivityInput(activityData) {
+  const data = {};
+
+  if (activityData.type !== undefined) data.type = activityData.type;
+  if (activityData.notes !== undefined) data.notes = activityData.notes;
+  if (activityData.startedAt !== undefined) data.startedAt = new Date(activityData.startedAt);
+  if (activityData.durationSeconds !== undefined) data.durationSeconds = activityData.durationSeconds;
+  if (activityData.distance !== undefined) {
+    data.distance = activityData.distanceUnit === 'km'
+      ? roundTo2(activityData.distance * MILES_PER_KM)
+      : activityData.distance;
+  }
+
+  if (activityData.pace !== undefined) {
+    data.pace = activityData.pace;
+  } else if (data.distance > 0 && data.durationSeconds > 0) {
+    data.pace = roundTo2(data.durationSeconds / 60 / data.distance);
+  }
+
+  return data;
 }
 
+/**
+ * Build a formatter that returns the YYYY-MM-DD calendar day of a date
+ * in the given IANA time zone
+ */
+function createDayKeyFormatter(timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  });
+  return (date) => formatter.format(date);
+}
+
+/**
+ * Activity service for cardio distance tracking
+ */
+export const activityService = {
+  /**
+   * Log a new activity
+   * 
+   * @param {Object} activityData - Activity to create
+   * @param {string} activityData.userId - User ID
+   * @param {string} activityData.type - Activity type (default: "run")
+   * @param {number} activityData.distance - Distance covered
+   * @param {string} activityData.distanceUnit - "mi" (default) or "km"
+   * @param {number} activityData.durationSeconds - Moving time in seconds (optional)
+   * @param {Date} activityData.startedAt - When the activity took place (default: now)
+   * @param {string} activityData.notes - Notes (optional)
+   * 
+   * @returns {Promise<Object>} Created activity (distance stored in miles)
+   */
+  async create(activityData) {
+    return await prisma.activity.create({
+      data: {
+        userId: activityData.userId,
+        ...normalizeActivityInput(activityData),
+        type: activityData.type || 'run',
+      },
+    });
+  },
+
+  /**
+   * Get activities for a user, newest first
+   * 
+   * @param {string} userId - User ID
+   * @param {Object} options - Optional filters
+   * @param {string} options.type - Only this activity type
+   * @param {Date} options.from - Only activities on/after this date
+   * @param {Date} options.to - Only activities on/before this date
+   * 
+   * @returns {Promise<Array>} Array of activities
+   */
+  async getByUser(userId, options = {}) {
+    const startedAt = {};
+    if (options.from) startedAt.gte = new Date(options.from);
+    if (options.to) startedAt.lte = new Date(options.to);
+
+    return await prisma.activity.findMany({
+      where: {
+        userId,
+        ...(options.type ? { type: options.type } : {}),
+        ...(Object.keys(startedAt).length > 0 ? { startedAt } : {}),
+      },
+      orderBy: { startedAt: 'desc' },
+    });
+  },
+
+  /**
+   * Get activity by ID
+   * 
+   * @param {string} activityId - Activity ID
+   * 
+   * @returns {Promise<Object>} Activity or null
+   */
+  async getById(activityId) {
+    return await prisma.activity.findUnique({
+      where: { id: activityId },
+    });
+  },
+
+  /**
+   * Update an activity (pace is re-derived when distance or duration change)
+   * 
+   * @param {string} activityId - Activity ID
+   * @param {Object} activityData - Fields to update
+   * 
+   * @returns {Promise<Object>} Updated activity
+   */
+  async update(activityId, activityData) {
+    const data = normalizeActivityInput(activityData);
+
+    if (data.pace === undefined && (data.distance !== undefined || data.durationSeconds !== undefined)) {
+      const existing = await prisma.activity.findUnique({ where: { id: activityId } });
+      const distance = data.distance ?? existing?.distance;
+      const durationSeconds = data.durationSeconds ?? existing?.durationSeconds;
+      data.pace = distance > 0 && durationSeconds > 0
+        ? roundTo2(durationSeconds / 60 / distance)
+        : null;
+    }
+
+    return await prisma.activity.update({
+      where: { id: activityId },
+      data,
+    });
+  },
+
+  /**
+   * Summarize distance per calendar day over the last N days (including today)
+   * Days are bucketed in the caller's time zone so late-evening runs land on
+   * the right day.
+   * 
+   * @param {string} userId - User ID
+   * @param {Object} options - Summary options
+   * @param {number} options.days - Number of days in the range (default: 14)
+   * @param {string} options.type - Only this activity type (optional)
+   * @param {string} options.timeZone - IANA time zone for day boundaries (default: UTC)
+   * 
+   * @returns {Promise<Object>} { range, unit, daily, total, average, best, activityCount }
+   */
+  async getSummary(userId, options = {}) {
+    const days = options.days || 14;
+    const timeZone = options.timeZone || 'UTC';
+    const toDayKey = createDayKeyFormatter(timeZone);
+    const now = new Date();
+
+    // Walk back from today's calendar date; UTC date math avoids DST gaps
+    const todayKey = toDayKey(now);
+    const dayKeys = [];
+    for (let offset = days - 1; offset >= 0; offset--) {
+      dayKeys.push(new Date(Date.parse(todayKey) - offset * DAY_MS).toISOString().split('T')[0]);
+    }
+
+    // Query a slightly wider window, then bucket by local day
+    const activities = await prisma.activity.findMany({
+      where: {
+        userId,
+        ...(options.type ? { type: options.type } : {}),
+        startedAt: {
+          gte: new Date(Date.parse(dayKeys[0]) - DAY_MS),
+          lte: new Date(now.getTime() + DAY_MS),
+        },
+      },
+      orderBy: { startedAt: 'asc' },
+    });
+
+    const totalsByDay = new Map(
+      dayKeys.map(date => [date, { date, distance: 0, durationSeconds: 0, count: 0 }])
+    );
+
+    let activityCount = 0;
+    for (const activity of activities) {
+      const dayTotals = totalsByDay.get(toDayKey(activity.startedAt));
+      if (!dayTotals) continue;
+
+      dayTotals.distance += activity.distance;
+      dayTotals.durationSeconds += activity.durationSeconds || 0;
+      dayTotals.count += 1;
+      activityCount += 1;
+    }
+
+    const daily = Array.from(totalsByDay.values()).map(day => ({
+      ...day,
+      distance: roundTo2(day.distance),
+    }));
+
+    const total = roundTo2(daily.reduce((sum, day) => sum + day.distance, 0));
+    const bestDay = daily.reduce((best, day) => (day.distance > (best?.distance ?? 0) ? day : best), null);
+
+    return {
+      range: { days, from: dayKeys[0], to: dayKeys[dayKeys.length - 1], timeZone },
+      unit: 'mi',
+      daily,
+      total,
+      average: roundTo2(total / days),
+      best: bestDay ? { date: bestDay.date, distance: bestDay.distance } : null,
+      activityCount,
+    };
+  },
+
+  /**
+   * Delete an activity
+   * 
+   * @param {string} activityId - Activity ID
+   * 
+   * @returns {Promise<Object>} Deleted activity
+   */
+  async delete(activityId) {
+    return await prisma.activity.delete({
+      where: { id: activityId },
+    });
+  },
+};
+
+// ============================================================================
+// Meal Service
+// ============================================================================
+
+/** Include food entries in logged order */
+const mealInclude = {
+  entries: { orderBy: { order: 'asc' } },
+};
+
+/**
+ * Build the nested Prisma create input for a meal's food entries
+ * Array position is used as the order
+ * 
+ * @param {Array} entries - [{ name, foodId, servings, servingSize, calories, protein, carbs, fat }]
+ * 
+ * @returns {Array} FoodEntry create inputs
+ */
+function buildFoodEntryCreates(entries = []) {
+  return entries.map((entry, index) => ({
+    order: index,
+    name: entry.name,
+    foodId: entry.foodId || null,
+    servings: entry.servings ?? 1,
+    servingSize: entry.servingSize || null,
+    calories: entry.calories,
+    protein: entry.protein ?? 0,
+    carbs: entry.carbs ?? 0,
+    fat: entry.fat ?? 0,
+  }));
+}
+
+/**
+ * Meal service for food logging
+ */
+export const mealService = {
+  /**
+   * Log a meal with its food entries
+   * 
+   * @param {Object} mealData - Meal to create
+   * @param {string} mealData.userId - User ID
+   * @param {string} mealData.type - "breakfast", "lunch", "dinner" or "snack" (default: "snack")
+   * @param {Date} mealData.eatenAt - When the meal was eaten (default: now)
+   * @param {string} mealData.notes - Notes (optional)
+   * @param {Array} mealData.entries - Food entries with calories and macros for the servings eaten
+   * 
+   * @returns {Promise<Object>} Created meal with entries
+   */
+  async create(mealData) {
+    return await prisma.meal.create({
+      data: {
+        userId: mealData.userId,
+        type: mealData.type || 'snack',
+        eatenAt: mealData.eatenAt ? new Date(mealData.eatenAt) : undefined,
+        notes: mealData.notes || null,
+        entries: {
+          create: buildFoodEntryCreates(mealData.entries),
+        },
+      },
+      include: mealInclude,
+    });
+  },
+
+  /**
+   * Get one page of a user's meals, newest first
+   * 
+   * @param {string} userId - User ID
+   * @param {Object} options - Page and filters (all optional)
+   * @param {string} options.cursor - nextCursor of the previous page
+   * @param {number} options.limit - Page size (default: 50)
+   * @param {string} options.type - Only this meal type
+   * @param {Date} options.from - Only meals eaten on/after this time
+   * @param {Date} options.to - Only meals eaten on/before this time
+   * 
+   * @returns {Promise<Object>} { items, nextCursor }
+   */
+  async getPage(userId, { cursor, limit = 50, type, from, to } = {}) {
+    const rows = await prisma.meal.findMany({
+      where: {
+        userId,
+        type,
+        eatenAt: rangeFilter(from, to),
+      },
+      orderBy: [{ eatenAt: 'desc' }, { id: 'desc' }],
+      include: mealInclude,
+      ...pageArgs({ cursor, limit }),
+    });
+    return toPage(rows, limit);
+  },
+
+  /**
+   * Get the meals eaten on one calendar day in a time zone, oldest first
+   * 
+   * @param {string} userId - User ID
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @param {string} timeZone - IANA time zone for the day boundaries (default: UTC)
+   * 
+   * @returns {Promise<Array>} Meals with entries
+   */
+  async getForDay(userId, date, timeZone = 'UTC') {
+    const toDayKey = createDayKeyFormatter(timeZone);
+
+    // Query a slightly wider window, then keep the meals of the local day
+    const meals = await prisma.meal.findMany({
+      where: {
+        userId,
+        eatenAt: {
+          gte: new Date(Date.parse(date) - DAY_MS),
+          lte: new Date(Date.parse(date) + 2 * DAY_MS),
+        },
+      },
+      orderBy: [{ eatenAt: 'asc' }, { id: 'asc' }],
+      include: mealInclude,
+    });
+
+    return meals.filter(meal => toDayKey(meal.eatenAt) === date);
+  },
+
+  /**
+   * Get meal by ID
+   * 
+   * @param {string} mealId - Meal ID
+   * 
+   * @returns {Promise<Object>} Meal with entries, or null
+   */
+  async getById(mealId) {
+    return await prisma.meal.findUnique({
+      where: { id: mealId },
+      include: mealInclude,
+    });
+  },
+
+  /**
+   * Update a meal
+   * When entries are provided they replace the existing entries
+   * 
+   * @param {string} mealId - Meal ID
+   * @param {Object} mealData - Fields to update
+   * 
+   * @returns {Promise<Object>} Updated meal with entries
+   */
+  async update(mealId, mealData) {
+    const updateData = {};
+
+    if (mealData.type !== undefined) updateData.type = mealData.type;
+    if (mealData.eatenAt !== undefined) updateData.eatenAt = new Date(mealData.eatenAt);
+    if (mealData.notes !== undefined) updateData.notes = mealData.notes;
+    if (mealData.entries !== undefined) {
+      updateData.entries = {
+        deleteMany: {},
+        create: buildFoodEntryCreates(mealData.entries),
+      };
+    }
+
+    return await prisma.meal.update({
+      where: { id: mealId },
+      data: updateData,
+      include: mealInclude,
+    });
+  },
+
+  /**
+   * Delete a meal (entries are removed by cascade)
+   * 
+   * @param {string} mealId - Meal ID
+   * 
+   * @returns {Promise<Object>} Deleted meal
+   */
+  async delete(mealId) {
+    return await prisma.meal.delete({
+      where: { id: mealId },
+    });
+  },
+};
+
+// ============================================================================
+// Chat Action Service
+// ============================================================================
+
+/**
+ * Chat action service for records the AI coach proposes through tool calling.
+ * Actions stay "pending" until the user confirms or rejects them.
+ */
+export const chatActionService = {
+  /**
+   * Store proposed actions awaiting confirmation
+   * 
+   * @param {string} userId - User ID
+   * @param {string|null} messageId - Assistant message that proposed them
+   * @param {Array} proposals - [{ tool, args, summary }]
+   * 
+   * @returns {Promise<Array>} Created pending actions
+   */
+  async createMany(userId, messageId, proposals) {
+    if (proposals.length === 0) return [];
+
+    return await prisma.$transaction(
+      proposals.map((proposal) =>
+        prisma.chatAction.create({
+          data: {
+            userId,
+            messageId,
+            tool: proposal.tool,
+            args: proposal.args,
+            summary: proposal.summary,
+          },
+        })
+      )
+    );
+  },
+
+  /**
+   * Get a chat action by ID
+   * 
+   * @param {string} actionId - Action ID
+   * 
+   * @returns {Promise<Object|null>} Action or null
+   */
+  async getById(actionId) {
+    return await prisma.chatAction.findUnique({
+      where: { id: actionId },
+    });
+  },
+
+  /**
+   * Get a user's actions, newest first
+   * 
+   * @param {string} userId - User ID
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.status - Only actions with this status
+   * @param {string} filters.conversationId - Only actions proposed in this conversation
+   * 
+   * @returns {Promise<Array>} Actions
+   */
+  async getByUser(userId, { status, conversationId } = {}) {
+    const actions = await prisma.chatAction.findMany({
+      where: {
+        userId,
+        ...(status && { status }),
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+    if (!conversationId || actions.length === 0) return actions;
+
+    // The conversation is the one of the assistant message that proposed the action
+    const messages = await prisma.message.findMany({
+      where: { id: { in: actions.map(action => action.messageId).filter(Boolean) }, conversationId },
+      select: { id: true },
+    });
+    const messageIds = new Set(messages.map(message => message.id));
+    return actions.filter(action => messageIds.has(action.messageId));
+  },
+
+  /**
+   * Record the outcome of an action
+   * 
+   * @param {string} actionId - Action ID
+   * @param {Object} outcome - Outcome
+   * @param {string} outcome.status - "confirmed", "rejected" or "failed"
+   * @param {Object} outcome.result - Created record or { error } (optional)
+   * 
+   * @returns {Promise<Object>} Updated action
+   */
+  async resolve(actionId, { status, result }) {
+    return await prisma.chatAction.update({
+      where: { id: actionId },
+      data: {
+        status,
+        result: result ?? undefined,
+        resolvedAt: new Date(),
+      },
+    });
+  },
+};
+
+// ============================================================================
+// Memory Embedding Service
+// ============================================================================
+
+/**
+ * Memory embedding service - storage for the local vector backend
+ * (see LLM/vectorStore.js). Similarity is computed in the application.
+ */
+export const memoryEmbeddingService = {
+  /**
+   * Store an embedded memory
+   * 
+   * @param {Object} data - Memory to store
+   * @param {string} data.id - Record ID (shared with the vector backend)
+   * @param {string} data.userId - Owner
+   * @param {string} data.kind - "memory" or "message"
+   * @param {string} data.sourceId - Source message ID (optional)
+   * @param {string} data.content - Remembered text
+   * @param {Array<number>} data.embedding - Embedding vector
+   * 
+   * @returns {Promise<Object>} Created record
+   */
+  async create(data) {
+    return await prisma.memoryEmbedding.create({
+      data: {
+        id: data.id,
+        userId: data.userId,
+        kind: data.kind,
+        sourceId: data.sourceId || null,
+        content: data.content,
+        embedding: data.embedding,
+      },
+    });
+  },
+
+  /**
+   * Get a user's memories, newest first
+   * 
+   * @param {string} userId - User ID
+   * @param {Object} options - Options
+   * @param {string} options.kind - Only this kind (optional)
+   * @param {boolean} options.withEmbedding - Include vectors (default: false)
+   * @param {number} options.limit - Maximum records (default: 5000)
+   * 
+   * @returns {Promise<Array>} Memory records
+   */
+  async getByUser(userId, { kind, withEmbedding = false, limit = 5000 } = {}) {
+    return await prisma.memoryEmbedding.findMany({
+      where: {
+        userId,
+        ...(kind && { kind }),
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      select: {
+        id: true,
+        userId: true,
+        kind: true,
+        sourceId: true,
+        content: true,
+        createdAt: true,
+        embedding: withEmbedding,
+      },
+    });
+  },
+
+  /**
+   * Get a memory by ID
+   * 
+   * @param {string} id - Memory ID
+   * 
+   * @returns {Promise<Object|null>} Memory record (without vector) or null
+   */
+  async getById(id) {
+    return await prisma.memoryEmbedding.findUnique({
+      where: { id },
+      select: { id: true, userId: true, kind: true, sourceId: true, content: true, createdAt: true },
+    });
+  },
+
+  /**
+   * Delete a memory
+   * 
+   * @param {string} id - Memory ID
+   * 
+   * @returns {Promise<Object>} Deleted record
+   */
+  async delete(id) {
+    return await prisma.memoryEmbedding.delete({
+      where: { id },
+    });
+  },
+
+  /**
+   * Delete a user's memories that were embedded from the given messages
+   * 
+   * @param {string} userId - User ID
+   * @param {Array<string>} sourceIds - Message IDs
+   * 
+   * @returns {Promise<number>} Number of deleted records
+   */
+  async deleteBySource(userId, sourceIds) {
+    const result = await prisma.memoryEmbedding.deleteMany({
+      where: { userId, sourceId: { in: sourceIds } },
+    });
+    return result.count;
+  },
+};
+
+// ============================================================================
+// Notification Service
+// ============================================================================
+
+/**
+ * Notification service for the in-app inbox
+ */
+export const notificationService = {
+  /**
+   * Add a notification to a user's inbox
+   * 
+   * @param {Object} notificationData - Notification to create
+   * @param {string} notificationData.userId - User ID
+   * @param {string} notificationData.title - Title
+   * @param {string} notificationData.body - Body text (optional)
+   * @param {string} notificationData.reminderId - Reminder that produced it (optional)
+   * 
+   * @returns {Promise<Object>} Created notification
+   */
+  async create(notificationData) {
+    return await prisma.notification.create({
+      data: {
+        userId: notificationData.userId,
+        title: notificationData.title,
+        body: notificationData.body || null,
+        reminderId: notificationData.reminderId || null,
+      },
+    });
+  },
+
+  /**
+   * Get a user's notifications, newest first
+   * 
+   * @param {string} userId - User ID
+   * @param {Object} options - Options
+   * @param {boolean} options.unreadOnly - Only unread notifications
+   * @param {number} options.limit - Maximum notifications (default: 50)
+   * 
+   * @returns {Promise<Array>} Notifications
+   */
+  async getByUser(userId, { unreadOnly = false, limit = 50 } = {}) {
+    return await prisma.notification.findMany({
+      where: {
+        userId,
+        ...(unreadOnly && { readAt: null }),
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    });
+  },
+
+  /**
+   * Count a user's unread notifications
+   * 
+   * @param {string} userId - User ID
+   * 
+   * @returns {Promise<number>} Unread count
+   */
+  async countUnread(userId) {
+    return await prisma.notification.count({
+      where: { userId, readAt: null },
+    });
+  },
+
+  /**
+   * Get a notification by ID
+   * 
+   * @param {string} id - Notification ID
+   * 
+   * @returns {Promise<Object|null>} Notification or null
+   */
+  async getById(id) {
+    return await prisma.notification.findUnique({
+      where: { id },
+    });
+  },
+
+  /**
+   * Mark a notification as read
+   * 
+   * @param {string} id - Notification ID
+   * 
+   * @returns {Promise<Object>} Updated notification
+   */
+  async markRead(id) {
+    return await prisma.notification.update({
+      where: { id },
+      data: { readAt: new Date() },
+    });
+  },
+
+  /**
+   * Mark all of a user's notifications as read
+   * 
+   * @param {string} userId - User ID
+   * 
+   * @returns {Promise<Object>} { count } of notifications updated
+   */
+  async markAllRead(userId) {
+    return await prisma.notification.updateMany({
+      where: { userId, readAt: null },
+      data: { readAt: new Date() },
+    });
+  },
+
+  /**
+   * Delete a notification
+   * 
+   * @param {string} id - Notification ID
+   * 
+   * @returns {Promise<Object>} Deleted notification
+   */
+  async delete(id) {
+    return await prisma.notification.delete({
+      where: { id },
+    });
+  },
+};
+
+// ============================================================================
+// Refresh Token Service
+// ============================================================================
+
+/**
+ * Refresh token service for per-device sessions.
+ * Only SHA-256 hashes of the tokens are stored; hashing happens in routes/auth.js.
+ */
+export const refreshTokenService = {
+  /**
+   * Store a new refresh token
+   * 
+   * @param {Object} tokenData - Token to create
+   * @param {string} tokenData.userId - User ID
+   * @param {string} tokenData.deviceId - Device the token was issued to
+   * @param {string} tokenData.deviceName - Device display name (optional)
+   * @param {string} tokenData.tokenHash - SHA-256 of the token
+   * @param {Date} tokenData.expiresAt - Expiry time
+   * 
+   * @returns {Promise<Object>} Created token record
+   */
+  async create(tokenData) {
+    return await prisma.refreshToken.create({
+      data: {
+        userId: tokenData.userId,
+        deviceId: tokenData.deviceId,
+        deviceName: tokenData.deviceName || null,
+        tokenHash: tokenData.tokenHash,
+        expiresAt: tokenData.expiresAt,
+      },
+    });
+  },
+
+  /**
+   * Find a refresh token by its hash
+   * 
+   * @param {string} tokenHash - SHA-256 of the token
+   * 
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async getByHash(tokenHash) {
+    return await prisma.refreshToken.findUnique({
+      where: { tokenHash },
+    });
+  },
+
+  /**
+   * Replace a refresh token with a new one for the same device.
+   * The old token is revoked in the same transaction, and only if it is
+   * still active, so two concurrent refreshes cannot both succeed.
+   * 
+   * @param {string} id - ID of the token being rotated
+   * @param {Object} replacement - { tokenHash, expiresAt } of the new token
+   * 
+   * @returns {Promise<Object|null>} New token record, or null if the old one was already revoked
+   */
+  async rotate(id, replacement) {
+    return await prisma.$transaction(async (tx) => {
+      const now = new Date();
+      const { count } = await tx.refreshToken.updateMany({
+        where: { id, revokedAt: null },
+        data: { revokedAt: now, lastUsedAt: now },
+      });
+      if (count === 0) return null;
+
+      const current = await tx.refreshToken.findUnique({ where: { id } });
+      const next = await tx.refreshToken.create({
+        data: {
+          userId: current.userId,
+          deviceId: current.deviceId,
+          deviceName: current.deviceName,
+          tokenHash: replacement.tokenHash,
+          expiresAt: replacement.expiresAt,
+        },
+      });
+
+      await tx.refreshToken.update({
+        where: { id },
+        data: { replacedById: next.id },
+      });
+
+      return next;
+    });
+  },
+
+  /**
+   * Revoke every active token issued to one of a user's devices
+   * 
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * 
+   * @returns {Promise<Object>} { count } of tokens revoked
+   */
+  async revokeDevice(userId, deviceId) {
+    return await prisma.refreshToken.updateMany({
+      where: { userId, deviceId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+  },
+
+  /**
+   * Revoke every active token a user has (sign out everywhere)
+   * 
+   * @param {string} userId - User ID
+   * 
+   * @returns {Promise<Object>} { count } of tokens revoked
+   */
+  async revokeAllForUser(userId) {
+    return await prisma.refreshToken.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+  },
+};
+
+// ============================================================================
+// Account Token Service
+// ============================================================================
+
+/**
+ * Account token service for emailed single-use tokens
+ * (password reset and email verification). Only SHA-256 hashes are stored.
+ */
+export const accountTokenService = {
+  /**
+   * Issue a token, invalidating any unused token the user has for the same purpose
+   * 
+   * @param {Object} tokenData - Token to create
+   * @param {string} tokenData.userId - User ID
+   * @param {string} tokenData.purpose - "password_reset" or "email_verification"
+   * @param {string} tokenData.tokenHash - SHA-256 of the token
+   * @param {Date} tokenData.expiresAt - Expiry time
+   * 
+   * @returns {Promise<Object>} Created token record
+   */
+  async create(tokenData) {
+    const [, token] = await prisma.$transaction([
+      prisma.accountToken.deleteMany({
+        where: { userId: tokenData.userId, purpose: tokenData.purpose, usedAt: null },
+      }),
+      prisma.accountToken.create({
+        data: {
+          userId: tokenData.userId,
+          purpose: tokenData.purpose,
+          tokenHash: tokenData.tokenHash,
+          expiresAt: tokenData.expiresAt,
+        },
+      }),
+    ]);
+    return token;
+  },
+
+  /**
+   * Redeem a token. Succeeds only once, and only before the token expires.
+   * 
+   * @param {string} tokenHash - SHA-256 of the token
+   * @param {string} purpose - Expected purpose
+   * 
+   * @returns {Promise<Object|null>} Redeemed token record, or null if invalid, used or expired
+   */
+  async consume(tokenHash, purpose) {
+    const now = new Date();
+    const { count } = await prisma.accountToken.updateMany({
+      where: { tokenHash, purpose, usedAt: null, expiresAt: { gt: now } },
+      data: { usedAt: now },
+    });
+    if (count === 0) return null;
+
+    return await prisma.accountToken.findUnique({
+      where: { tokenHash },
+    });
+  },
+};
+
+// ============================================================================
+// Token Usage Service
+// ============================================================================
+
+/**
+ * Sum token usage rows into { inputTokens, outputTokens, totalTokens, cost, requests }
+ */
+function usageTotals({ _sum, _count }) {
+  const inputTokens = _sum.inputTokens || 0;
+  const outputTokens = _sum.outputTokens || 0;
+  return {
+    inputTokens,
+    outputTokens,
+    totalTokens: inputTokens + outputTokens,
+    cost: _sum.cost || 0,
+    requests: _count._all,
+  };
+}
+
+/**
+ * Token usage service for LLM cost accounting and per-user budgets
+ */
+export const tokenUsageService = {
+  /**
+   * Record the tokens used by one LLM call
+   * 
+   * @param {Object} usageData - Usage to record
+   * @param {string} usageData.userId - User the call was made for
+   * @param {string} usageData.model - Model name
+   * @param {string} usageData.tier - "main" or "cheap"
+   * @param {string} usageData.feature - "chat", "summary", ...
+   * @param {number} usageData.inputTokens - Prompt tokens
+   * @param {number} usageData.outputTokens - Completion tokens
+   * @param {number} usageData.cost - Estimated cost in USD
+   * 
+   * @returns {Promise<Object>} Created usage record
+   */
+  async create(usageData) {
+    return await prisma.tokenUsage.create({
+      data: {
+        userId: usageData.userId,
+        model: usageData.model,
+        tier: usageData.tier,
+        feature: usageData.feature,
+        inputTokens: usageData.inputTokens,
+        outputTokens: usageData.outputTokens,
+        cost: usageData.cost,
+      },
+    });
+  },
+
+  /**
+   * Total usage for a user since a point in time
+   * 
+   * @param {string} userId - User ID
+   * @param {Date} since - Start of the period (inclusive)
+   * 
+   * @returns {Promise<Object>} { inputTokens, outputTokens, totalTokens, cost, requests }
+   */
+  async getTotals(userId, since) {
+    const result = await prisma.tokenUsage.aggregate({
+      where: { userId, createdAt: { gte: since } },
+      _sum: { inputTokens: true, outputTokens: true, cost: true },
+      _count: { _all: true },
+    });
+    return usageTotals(result);
+  },
+
+  /**
+   * Usage per user and model over a period
+   * 
+   * @param {Object} options - Report options
+   * @param {Date} options.from - Start of the period (inclusive)
+   * @param {Date} options.to - End of the period (exclusive)
+   * @param {string} options.userId - Only this user (optional)
+   * 
+   * @returns {Promise<Object>} { totals, users: [{ userId, email, name, ...totals, models: [{ model, ...totals }] }] }
+   *   with users sorted by cost, highest first
+   */
+  async getReport({ from, to, userId } = {}) {
+    const where = {
+      createdAt: { gte: from, lt: to },
+      ...(userId && { userId }),
+    };
+
+    const rows = await prisma.tokenUsage.groupBy({
+      by: ['userId', 'model'],
+      where,
+      _sum: { inputTokens: true, outputTokens: true, cost: true },
+      _count: { _all: true },
+    });
+
+    const users = await prisma.user.findMany({
+      where: { id: { in: [...new Set(rows.map((row) => row.userId))] } },
+      select: { id: true, email: true, name: true },
+    });
+    const usersById = new Map(users.map((user) => [user.id, user]));
+
+    const byUser = new Map();
+    const totals = { inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, requests: 0 };
+    const addTo = (target, usage) => {
+      for (const key of Object.keys(totals)) target[key] += usage[key];
+    };
+
+    for (const row of rows) {
+      const usage = usageTotals(row);
+      if (!byUser.has(row.userId)) {
+        const user = usersById.get(row.userId);
+        byUser.set(row.userId, {
+          userId: row.userId,
+          email: user?.email ?? null,
+          name: user?.name ?? null,
+          inputTokens: 0,
+          outputTokens: 0,
+          totalTokens: 0,
+          cost: 0,
+          requests: 0,
+          models: [],
+        });
+      }
+
+      const entry = byUser.get(row.userId);
+      entry.models.push({ model: row.model, ...usage });
+      addTo(entry, usage);
+      addTo(totals, usage);
+    }
+
+    return {
+      totals,
+      users: [...byUser.values()].sort((a, b) => b.cost - a.cost),
+    };
+  },
+};
+
+// ============================================================================
+// Training Plan Service
+// ============================================================================
+
+/**
+ * Training plan service for periodized programs generated from the AI memory
+ * profile. Plan sessions are workout calendar events linked by trainingPlanId.
+ */
+export const trainingPlanService = {
+  /**
+   * Create a training plan
+   * 
+   * @param {Object} planData - { userId, title, startDate, weeks, deloadEvery, workoutTime, progression, program, source }
+   * 
+   * @returns {Promise<Object>} Created plan
+   */
+  async create(planData) {
+    return await prisma.trainingPlan.create({
+      data: {
+        userId: planData.userId,
+        title: planData.title,
+        startDate: new Date(planData.startDate),
+        weeks: planData.weeks,
+        deloadEvery: planData.deloadEvery,
+        workoutTime: planData.workoutTime || null,
+        progression: planData.progression,
+        program: planData.program,
+        source: planData.source,
+      },
+    });
+  },
+
+  /**
+   * Get a plan with its sessions in date order, including the workouts
+   * logged against each session
+   * 
+   * @param {string} planId - Plan ID
+   * 
+   * @returns {Promise<Object|null>} Plan or null
+   */
+  async getById(planId) {
+    return await prisma.trainingPlan.findUnique({
+      where: { id: planId },
+      include: {
+        sessions: {
+          orderBy: [{ date: 'asc' }, { time: 'asc' }],
+          include: { workouts: { select: workoutSummarySelect } },
+        },
+      },
+    });
+  },
+
+  /**
+   * Get a user's plans, newest first (without sessions)
+   * 
+   * @param {string} userId - User ID
+   * 
+   * @returns {Promise<Array>} Plans
+   */
+  async getByUser(userId) {
+    return await prisma.trainingPlan.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+    });
+  },
+
+  /**
+   * Get the user's active plan
+   * 
+   * @param {string} userId - User ID
+   * 
+   * @returns {Promise<Object|null>} Active plan or null
+   */
+  async getActive(userId) {
+    return await prisma.trainingPlan.findFirst({
+      where: { userId, status: 'active' },
+      orderBy: { createdAt: 'desc' },
+    });
+  },
+
+  /**
+   * Update a plan
+   * 
+   * @param {string} planId - Plan ID
+   * @param {Object} planData - Fields to change (title, status, weeks, deloadEvery,
+   *   workoutTime, progression, program, source, generatedAt, lastAdaptedAt, adaptations)
+   * 
+   * @returns {Promise<Object>} Updated plan
+   */
+  async update(planId, planData) {
+    const fields = [
+      'title', 'status', 'weeks', 'deloadEvery', 'workoutTime', 'progression', 'program', 'source',
+      'generatedAt', 'lastAdaptedAt', 'adaptations',
+    ];
+    const data = {};
+    for (const field of fields) {
+      if (planData[field] !== undefined) data[field] = planData[field];
+    }
+
+    return await prisma.trainingPlan.update({
+      where: { id: planId },
+      data,
+    });
+  },
+
+  /**
+   * Get active plans whose last weekly adaptation (or creation, if never
+   * adapted) was on or before a cutoff
+   * 
+   * @param {Date} cutoff - Latest adaptation time that is due again
+   * @param {number} limit - Maximum number of plans
+   * 
+   * @returns {Promise<Array>} Plans (without sessions), oldest adaptation first
+   */
+  async getDueForAdaptation(cutoff, limit = 100) {
+    return await prisma.trainingPlan.findMany({
+      where: {
+        status: 'active',
+        OR: [
+          { lastAdaptedAt: { lte: cutoff } },
+          { lastAdaptedAt: null, createdAt: { lte: cutoff } },
+        ],
+      },
+      orderBy: [{ lastAdaptedAt: { sort: 'asc', nulls: 'first' } }, { createdAt: 'asc' }],
+      take: limit,
+    });
+  },
+
+  /**
+   * Claim a plan's weekly adaptation by moving lastAdaptedAt to now
+   * Only succeeds if lastAdaptedAt is unchanged since the plan was read, so
+   * concurrent runs never adapt the same plan twice.
+   * 
+   * @param {Object} plan - Plan as read by getDueForAdaptation
+   * @param {Date} now - Current time
+   * 
+   * @returns {Promise<boolean>} Whether this run claimed the plan
+   */
+  async claimAdaptation(plan, now = new Date()) {
+    const { count } = await prisma.trainingPlan.updateMany({
+      where: { id: plan.id, status: 'active', lastAdaptedAt: plan.lastAdaptedAt },
+      data: { lastAdaptedAt: now },
+    });
+    return count === 1;
+  },
+
+  /**
+   * Delete a plan. Its remaining sessions stay on the calendar, unlinked.
+   * 
+   * @param {string} planId - Plan ID
+   */
+  async delete(planId) {
+    return await prisma.trainingPlan.delete({
+      where: { id: planId },
+    });
+  },
+};
+
 export default prisma;
@@ -0,0 +1,48 @@
+/**
+ * ============================================================================
+ * Pagination
+ * ============================================================================
+ * 
+ * Cursor pagination for the getPage methods of db/index.js. A page is read
+ * with `take: limit + 1`; the extra row only tells whether another page
+ * follows, and the last returned row's ID is the cursor for it.
+ * 
+ * Page sizes are bounded where they come in: each route validates `limit`
+ * against its own maximum (see `limit` in validation/index.js).
+ * 
+ * @module service/db/pagination.js
+ */
+
+/**
+ * Prisma arguments for one page of a list
+ * The list must be ordered with `id` as the last tiebreaker so the cursor
+ * position is exact. One extra row is read to tell whether more follow.
+ * 
+ * @param {Object} page - Page to read
+ * @param {string} page.cursor - ID of the last record of the previous page (optional)
+ * @param {number} page.limit - Page size
+ * 
+ * @returns {Object} { take, cursor, skip }
+ */
+export function pageArgs({ cursor, limit }) {
+  return {
+    take: limit + 1,
+    ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+  };
+}
+
+/**
+ * Split the rows read with pageArgs into a page and the next cursor
+ * 
+ * @param {Array} rows - Rows read with pageArgs
+ * @param {number} limit - Page size
+ * 
+ * @returns {Object} { items, nextCursor } - nextCursor is null on the last page
+ */
+export function toPage(rows, limit) {
+  const items = rows.slice(0, limit);
+  return {
+    items,
+    nextCursor: rows.length > limit ? items[items.length - 1].id : null,
+  };
+}
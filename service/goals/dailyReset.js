@@ -0,0 +1,94 @@
+/**
+ * ============================================================================
+ * Daily Goal Reset
+ * ============================================================================
+ *
+ * Daily goals are "completed" for one day only. This job un-completes them
+ * once the user's day is over: a daily goal stays completed only while a
+ * GoalCompletion exists for today in the user's time zone.
+ *
+ * The reset runs on the server so it does not depend on the phone being
+ * online at midnight. The job goes through every time zone that has a
+ * completed daily goal; GET /api/goals also resets the caller's goals first,
+ * so a list fetched right after midnight is correct before the next run.
+ *
+ * Environment Variables:
+ * - GOAL_RESET_SCHEDULER: Set to "off" to disable the job
+ * - GOAL_RESET_INTERVAL_MS: Time between runs (default: 900000, every 15 minutes,
+ *   so zones with half- and quarter-hour offsets reset on time)
+ *
+ * @module service/goals/dailyReset.js
+ */
+
+import { goalService, userService } from '../db/index.js';
+import { localDayKey } from './history.js';
+import { createIntervalJob } from '../jobs/intervalJob.js';
+
+/**
+ * Reset one user's daily goals that were not completed today
+ * Called before goals are returned, so they never show yesterday's state.
+ *
+ * @param {string} userId - User identifier
+ * @param {Date} now - Current time (default: now)
+ * @returns {Promise<Object>} { timeZone, today, reset } with the number of goals reset
+ */
+export async function resetDailyGoalsForUser(userId, now = new Date()) {
+  const timeZone = await userService.getTimeZone(userId);
+  const today = localDayKey(now, timeZone);
+  const reset = await goalService.resetDaily({ userId, date: today });
+
+  return { timeZone, today, reset };
+}
+
+/**
+ * Reset daily goals for every time zone where a new day has started
+ *
+ * @param {Date} now - Current time (default: now)
+ * @returns {Promise<Object>} { reset, failed } counts of goals reset and time zones that failed
+ */
+export async function runDailyReset(now = new Date()) {
+  const timeZones = await goalService.getTimeZonesWithCompletedDaily();
+  let reset = 0;
+  let failed = 0;
+
+  for (const timeZone of timeZones) {
+    try {
+      reset += await goalService.resetDaily({ timeZone, date: localDayKey(now, timeZone) });
+    } catch (error) {
+      console.error(`⚠️ Resetting daily goals for ${timeZone} failed:`, error.message);
+      failed++;
+    }
+  }
+
+  if (reset > 0 || failed > 0) {
+    console.log(`🌅 Daily goal reset: ${reset} goal(s) reset, ${failed} time zone(s) failed`);
+  }
+  return { reset, failed };
+}
+
+const job = createIntervalJob({
+  name: 'Goal reset scheduler',
+  run: () => runDailyReset(),
+  disabledBy: 'GOAL_RESET_SCHEDULER',
+  intervalVariable: 'GOAL_RESET_INTERVAL_MS',
+  defaultIntervalMs: 15 * 60 * 1000,
+  startedMessage: (interval) => `🌅 Daily goal reset scheduler started (every ${interval / 60000} min)`,
+});
+
+/**
+ * Start resetting daily goals at each user's midnight
+ * Does nothing if the job is already running or GOAL_RESET_SCHEDULER=off.
+ *
+ * @param {Object} options - Options
+ * @param {number} options.intervalMs - Run interval (default: GOAL_RESET_INTERVAL_MS or 15 minutes)
+ */
+export function startGoalResetScheduler({ intervalMs } = {}) {
+  job.start({ intervalMs });
+}
+
+/**
+ * Stop the daily goal reset
+ */
+export function stopGoalResetScheduler() {
+  job.stop();
+}
@@ -0,0 +1,153 @@
+/**
+ * ============================================================================
+ * Goal History
+ * ============================================================================
+ *
+ * Turns a goal's completion log (one GoalCompletion per day) into streaks
+ * and a completion-rate heatmap for GET /api/goals/:id/history.
+ *
+ * Days are calendar days ("YYYY-MM-DD") in the user's time zone, the same
+ * keys the completion log is written with.
+ * - Current streak: consecutive completed days ending today, or yesterday
+ *   while today is still open (a streak only breaks once a day is missed)
+ * - Longest streak: longest run of consecutive completed days ever
+ * - Heatmap: whole weeks (Monday first) covering the requested range; days
+ *   outside the range, before the goal existed or after today are null, and
+ *   each week carries its completion rate
+ *
+ * @module service/goals/history.js
+ */
+
+import { toDateKey } from '../calendar/recurrence.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Default and maximum heatmap range in days */
+export const DEFAULT_HISTORY_DAYS = 91;
+export const MAX_HISTORY_DAYS = 371;
+
+// ============================================================================
+// Day Keys
+// ============================================================================
+
+/**
+ * Calendar day of an instant in a time zone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} YYYY-MM-DD
+ */
+export function localDayKey(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+/**
+ * Move a day key by a number of days (UTC date math, so no DST gaps)
+ *
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} YYYY-MM-DD
+ */
+function shiftDay(dateKey, days) {
+  return toDateKey(new Date(Date.parse(dateKey) + days * DAY_MS));
+}
+
+// ============================================================================
+// Streaks
+// ============================================================================
+
+/**
+ * Current and longest streak of consecutive completed days
+ *
+ * @param {Array<string>} dates - Completed days, sorted ascending, unique
+ * @param {string} today - Today's day key
+ * @returns {{ currentStreak: number, longestStreak: number }} Streak lengths in days
+ */
+export function computeStreaks(dates, today) {
+  let longestStreak = 0;
+  let run = 0;
+  let previous = null;
+
+  for (const date of dates) {
+    run = previous && shiftDay(previous, 1) === date ? run + 1 : 1;
+    longestStreak = Math.max(longestStreak, run);
+    previous = date;
+  }
+
+  const completed = new Set(dates);
+  let cursor = completed.has(today) ? today : shiftDay(today, -1);
+  let currentStreak = 0;
+  while (completed.has(cursor)) {
+    currentStreak++;
+    cursor = shiftDay(cursor, -1);
+  }
+
+  return { currentStreak, longestStreak };
+}
+
+// ============================================================================
+// History
+// ============================================================================
+
+/**
+ * Build a goal's streaks and heatmap
+ *
+ * @param {Object} goal - Goal (uses createdAt)
+ * @param {Array} completions - The goal's GoalCompletion rows
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - User's IANA time zone
+ * @param {number} options.days - Heatmap range ending today (default: 91)
+ * @param {Date} options.now - Current time (default: now)
+ * @returns {Object} { timeZone, today, currentStreak, longestStreak, totalCompletions,
+ *   completionRate, range, heatmap }
+ */
+export function buildGoalHistory(goal, completions, { timeZone, days = DEFAULT_HISTORY_DAYS, now = new Date() }) {
+  const today = localDayKey(now, timeZone);
+  const createdOn = localDayKey(new Date(goal.createdAt), timeZone);
+  const dates = [...new Set(completions.map(completion => completion.date))].sort();
+  const completed = new Set(dates);
+
+  // Start on the Monday on/before the first day of the range
+  const first = shiftDay(today, -(days - 1));
+  const weekday = (new Date(Date.parse(first)).getUTCDay() + 6) % 7;
+  const from = shiftDay(first, -weekday);
+
+  const heatmap = [];
+  let rangeCompleted = 0;
+  let rangePossible = 0;
+
+  for (let weekStart = from; weekStart <= today; weekStart = shiftDay(weekStart, 7)) {
+    const week = { weekStart, days: [], completed: 0, possible: 0, rate: null };
+
+    for (let offset = 0; offset < 7; offset++) {
+      const date = shiftDay(weekStart, offset);
+      const done = completed.has(date);
+      const open = date >= first && date <= today && (date >= createdOn || done);
+
+      week.days.push({ date, completed: open ? done : null });
+      if (!open) continue;
+      week.possible++;
+      if (done) week.completed++;
+    }
+
+    week.rate = week.possible > 0 ? Math.round((week.completed / week.possible) * 100) / 100 : null;
+    rangeCompleted += week.completed;
+    rangePossible += week.possible;
+    heatmap.push(week);
+  }
+
+  return {
+    timeZone,
+    today,
+    ...computeStreaks(dates, today),
+    totalCompletions: dates.length,
+    completionRate: rangePossible > 0 ? Math.round((rangeCompleted / rangePossible) * 100) / 100 : null,
+    range: { from: first, to: today, days },
+    heatmap,
+  };
+}
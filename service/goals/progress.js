@@ -0,0 +1,153 @@
+/**
+ * ============================================================================
+ * Goal Progress
+ * ============================================================================
+ *
+ * Measurable goals ("Bench 225 lb", "Run a half marathon by May") carry a
+ * target value and unit, optionally a baseline, deadline and direction. The
+ * user logs GoalProgress entries (the value measured at a point in time);
+ * this module turns them into:
+ * - percentComplete: how far the latest value is from baseline to target
+ * - projectedDate: when the target will be reached at the current rate
+ *   (least-squares trend of the logged values)
+ * - onTrack: whether the projection meets the deadline
+ *
+ * Direction is "increase" (lift more, run further) or "decrease" (lose
+ * weight, run faster). When it is not set it follows from the baseline and
+ * target. Without a baseline the first entry is used, or 0 for increasing
+ * goals. Callers that only load the latest entries pass the first entry
+ * separately, so the baseline does not move as entries pile up.
+ *
+ * @module service/goals/progress.js
+ */
+
+import { nullable, text, date } from '../validation/index.js';
+
+export const GOAL_DIRECTIONS = ['increase', 'decrease'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Projections further out than this are reported as null */
+const MAX_PROJECTION_DAYS = 5 * 365;
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Request schemas of the measurable-target fields
+ * Undefined fields are left alone; null clears a field.
+ */
+export const GOAL_TARGET_FIELDS = {
+  targetValue: nullable({ type: 'number' }),
+  unit: nullable(text(20)),
+  baselineValue: nullable({ type: 'number' }),
+  deadline: nullable(date),
+  direction: nullable({ type: 'string', enum: GOAL_DIRECTIONS }),
+};
+
+// ============================================================================
+// Progress
+// ============================================================================
+
+/**
+ * Direction of a goal, inferred from baseline and target when not set
+ *
+ * @param {Object} goal - Goal with targetValue, baselineValue, direction
+ * @returns {string} "increase" or "decrease"
+ */
+export function resolveDirection(goal) {
+  if (goal.direction) return goal.direction;
+  return goal.baselineValue != null && goal.targetValue < goal.baselineValue ? 'decrease' : 'increase';
+}
+
+/**
+ * Trend of the logged values in units per day (least squares)
+ *
+ * @param {Array} entries - Progress entries, oldest first
+ * @returns {number|null} Slope, or null with fewer than two distinct days of data
+ */
+export function trendPerDay(entries) {
+  if (entries.length < 2) return null;
+
+  const points = entries.map((entry) => ({ x: new Date(entry.recordedAt).getTime() / DAY_MS, y: entry.value }));
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const sxx = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  if (sxx < 1) return null; // Entries less than a day apart say nothing about the rate
+
+  const sxy = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+  return sxy / sxx;
+}
+
+/**
+ * Compute progress towards a goal's target
+ *
+ * @param {Object} goal - Goal with targetValue, unit, baselineValue, deadline, direction
+ * @param {Array} entries - The goal's progress entries, or the latest of them (any order)
+ * @param {Object} options - Options
+ * @param {Object} options.firstEntry - The goal's first entry, when `entries` holds only the latest
+ * @param {number} options.entryCount - Number of entries in total (default: entries.length)
+ * @param {Date} options.now - Current time (default: now)
+ * @returns {Object|null} { target, unit, direction, baseline, current, remaining, percentComplete,
+ *   reached, lastRecordedAt, deadline, projectedDate, onTrack, entryCount }, or null if the goal has no target
+ */
+export function computeGoalProgress(goal, entries = [], { firstEntry, entryCount, now = new Date() } = {}) {
+  if (goal.targetValue == null) return null;
+
+  const sorted = [...entries].sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+  const direction = resolveDirection(goal);
+  const target = goal.targetValue;
+  const first = firstEntry || sorted[0];
+  const baseline = goal.baselineValue ?? first?.value ?? (direction === 'increase' ? 0 : null);
+  const latest = sorted[sorted.length - 1] || null;
+  const current = latest ? latest.value : baseline;
+
+  const reached = current != null && (direction === 'increase' ? current >= target : current <= target);
+
+  let percentComplete = 0;
+  if (reached) {
+    percentComplete = 100;
+  } else if (current != null && baseline != null && target !== baseline) {
+    const ratio = (current - baseline) / (target - baseline);
+    percentComplete = Math.min(100, Math.max(0, Math.round(ratio * 100)));
+  }
+
+  // Project the date the trend crosses the target
+  let projectedDate = null;
+  const slope = trendPerDay(sorted);
+  if (!reached && latest && slope !== null) {
+    const days = (target - current) / slope;
+    if (days > 0 && days <= MAX_PROJECTION_DAYS) {
+      projectedDate = new Date(Math.max(new Date(latest.recordedAt).getTime(), now.getTime()) + days * DAY_MS)
+        .toISOString()
+        .split('T')[0];
+    }
+  }
+
+  const deadline = goal.deadline ? new Date(goal.deadline).toISOString().split('T')[0] : null;
+  let onTrack = null;
+  if (reached) {
+    onTrack = true;
+  } else if (deadline && projectedDate) {
+    onTrack = projectedDate <= deadline;
+  } else if (deadline && slope !== null) {
+    onTrack = false; // Not moving towards the target
+  }
+
+  return {
+    target,
+    unit: goal.unit || null,
+    direction,
+    baseline,
+    current,
+    remaining: current == null ? null : Math.max(0, direction === 'increase' ? target - current : current - target),
+    percentComplete,
+    reached,
+    lastRecordedAt: latest ? latest.recordedAt : null,
+    deadline,
+    projectedDate,
+    onTrack,
+    entryCount: entryCount ?? sorted.length,
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * ============================================================================
+ * Interval Jobs
+ * ============================================================================
+ *
+ * Runs a background job on a fixed interval, the way every scheduler in the
+ * service works (reminders, plan adaptation, daily goal reset, conversation
+ * summaries):
+ * - The first run starts right away, then one per interval
+ * - A run is skipped while the previous one is still in progress
+ * - A failed run is logged and the next one is tried as usual
+ * - The timer does not keep the process alive on shutdown
+ * - An environment variable set to "off" disables the job, and another one
+ *   overrides the interval
+ *
+ * @module service/jobs/intervalJob.js
+ */
+
+/**
+ * Create a job that can be started and stopped
+ *
+ * @param {Object} options - Job definition
+ * @param {string} options.name - Name used in logs, e.g. "Reminder scheduler"
+ * @param {Function} options.run - Async function doing one run
+ * @param {string} options.disabledBy - Environment variable that disables the job when "off"
+ * @param {string} options.intervalVariable - Environment variable with the interval in ms
+ * @param {number} options.defaultIntervalMs - Interval when neither option nor variable is set
+ * @param {Function} options.startedMessage - (intervalMs) => message logged on start
+ * @returns {{ start: Function, stop: Function }} start({ intervalMs }) and stop()
+ */
+export function createIntervalJob({ name, run, disabledBy, intervalVariable, defaultIntervalMs, startedMessage }) {
+  let timer = null;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return; // Previous run still in progress
+    running = true;
+    try {
+      await run();
+    } catch (error) {
+      console.error(`${name} run failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    /**
+     * Start the job
+     * Does nothing if it is already started or disabled.
+     *
+     * @param {Object} options - Options
+     * @param {number} options.intervalMs - Run interval (default: the interval variable, then defaultIntervalMs)
+     */
+    start({ intervalMs } = {}) {
+      if (timer || process.env[disabledBy] === 'off') return;
+
+      const interval = intervalMs || parseInt(process.env[intervalVariable]) || defaultIntervalMs;
+
+      timer = setInterval(tick, interval);
+      timer.unref();
+      tick();
+
+      console.log(startedMessage(interval));
+    },
+
+    /**
+     * Stop the job (a run in progress finishes)
+     */
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    },
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * ============================================================================
+ * Account Email Templates
+ * ============================================================================
+ *
+ * Plain-text emails for the account flows in routes/auth.js. Each template
+ * returns { subject, text } for sendMail().
+ *
+ * The emailed token is shown as a code the user pastes into the app. When
+ * MAIL_LINK_BASE_URL is set (e.g. a web page or an app deep link prefix), a
+ * link carrying the token is included as well.
+ *
+ * @module service/mail/templates.js
+ */
+
+/**
+ * Build a link for an emailed token, if MAIL_LINK_BASE_URL is set
+ *
+ * @param {string} pathname - Path such as "/reset-password"
+ * @param {string} token - Token to carry in the query string
+ * @returns {string|null} Link, or null without a base URL
+ */
+function tokenLink(pathname, token) {
+  const base = process.env.MAIL_LINK_BASE_URL;
+  if (!base) return null;
+  return `${base.replace(/\/$/, '')}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Greeting line for a user
+ *
+ * @param {Object} user - { name }
+ * @returns {string} Greeting
+ */
+function greeting(user) {
+  return user.name ? `Hi ${user.name},` : 'Hi,';
+}
+
+/**
+ * Password reset email
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.user - Recipient ({ name })
+ * @param {string} options.token - Reset token
+ * @param {number} options.expiresInMinutes - Token lifetime
+ * @returns {{ subject: string, text: string }} Email
+ */
+export function passwordResetEmail({ user, token, expiresInMinutes }) {
+  const link = tokenLink('/reset-password', token);
+  return {
+    subject: 'Reset your password',
+    text: [
+      greeting(user),
+      '',
+      'We received a request to reset your AI Personal Trainer password.',
+      'Enter this code in the app to choose a new password:',
+      '',
+      `    ${token}`,
+      '',
+      ...(link ? ['Or open this link:', link, ''] : []),
+      `The code expires in ${expiresInMinutes} minutes and can be used once.`,
+      'If you did not ask for a reset, you can ignore this email. Your password has not changed.',
+    ].join('\n'),
+  };
+}
+
+/**
+ * Email address verification email
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.user - Recipient ({ name })
+ * @param {string} options.token - Verification token
+ * @param {number} options.expiresInHours - Token lifetime
+ * @returns {{ subject: string, text: string }} Email
+ */
+export function emailVerificationEmail({ user, token, expiresInHours }) {
+  const link = tokenLink('/verify-email', token);
+  return {
+    subject: 'Confirm your email address',
+    text: [
+      greeting(user),
+      '',
+      'Please confirm the email address for your AI Personal Trainer account.',
+      'Enter this code in the app:',
+      '',
+      `    ${token}`,
+      '',
+      ...(link ? ['Or open this link:', link, ''] : []),
+      `The code expires in ${expiresInHours} hours and can be used once.`,
+    ].join('\n'),
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * ============================================================================
+ * Mail Transport
+ * ============================================================================
+ *
+ * Pluggable delivery for outgoing email (account emails, reminder emails).
+ *
+ * Built-in transports:
+ * - outbox: Writes each message as an .eml file to a local directory, for
+ *   development (open the file in any mail client, or read it as text)
+ * - console: Logs each message
+ *
+ * A transport is an object { name, send(message) } where message is
+ * { from, to, subject, text }. send() should throw on failure. Register a real
+ * provider (SMTP, SES, ...) and select it with MAIL_TRANSPORT:
+ *
+ *   registerTransport({ name: 'smtp', async send({ from, to, subject, text }) { ... } });
+ *
+ * Environment Variables:
+ * - MAIL_TRANSPORT: Transport name (default: "outbox", except in production
+ *   where it must be set explicitly)
+ * - MAIL_FROM: Sender address (default: "AI Personal Trainer <no-reply@localhost>")
+ * - MAIL_OUTBOX_DIR: Directory for the outbox transport (default: service/.outbox)
+ *
+ * @module service/mail/transport.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_OUTBOX_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '.outbox');
+const DEFAULT_FROM = 'AI Personal Trainer <no-reply@localhost>';
+
+const transports = new Map();
+
+// ============================================================================
+// Built-in Transports
+// ============================================================================
+
+/**
+ * Format a message as an RFC 5322 text (.eml) file
+ *
+ * @param {Object} message - { from, to, subject, text }
+ * @param {Date} date - Date header
+ * @returns {string} Message source
+ */
+export function formatEml({ from, to, subject, text }, date = new Date()) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${date.toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text,
+  ].join('\r\n');
+}
+
+/** Development outbox: one .eml file per message */
+export const outboxTransport = {
+  name: 'outbox',
+  async send(message) {
+    const dir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+    const date = new Date();
+    const recipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const file = path.join(dir, `${date.toISOString().replace(/[:.]/g, '-')}-${recipient}.eml`);
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, formatEml(message, date));
+    console.log(`📬 Mail to ${message.to} written to ${file}`);
+  },
+};
+
+/** Logs messages instead of sending them */
+export const consoleTransport = {
+  name: 'console',
+  async send({ to, subject, text }) {
+    console.log(`✉️ [mail] To: ${to} | Subject: ${subject}\n${text}`);
+  },
+};
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+/**
+ * Register (or replace) a mail transport
+ *
+ * @param {Object} transport - { name, send(message) }
+ * @throws {Error} If the transport has no name or send function
+ */
+export function registerTransport(transport) {
+  if (!transport?.name || typeof transport.send !== 'function') {
+    throw new Error('A mail transport needs a name and a send(message) function');
+  }
+  transports.set(transport.name, transport);
+}
+
+/**
+ * Get a registered transport by name
+ *
+ * @param {string} name - Transport name
+ * @returns {Object|undefined} Transport
+ */
+export function getTransport(name) {
+  return transports.get(name);
+}
+
+/**
+ * The transport selected by MAIL_TRANSPORT
+ *
+ * @returns {Object} Transport
+ * @throws {Error} If no transport is configured or the name is unknown
+ */
+export function getActiveTransport() {
+  const name = process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === 'production' ? null : outboxTransport.name);
+
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT is not configured');
+  }
+
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  return transport;
+}
+
+// ============================================================================
+// Sending
+// ============================================================================
+
+/**
+ * Send an email through the active transport
+ *
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @returns {Promise<void>}
+ * @throws {Error} If no transport is configured or delivery fails
+ */
+export async function sendMail({ to, subject, text }) {
+  const from = process.env.MAIL_FROM || DEFAULT_FROM;
+  await getActiveTransport().send({ from, to, subject, text });
+}
+
+registerTransport(outboxTransport);
+registerTransport(consoleTransport);
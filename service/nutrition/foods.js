@@ -0,0 +1,149 @@
+/**
+ * ============================================================================
+ * Local Food Database
+ * ============================================================================
+ *
+ * A small list of common foods with calories and macros per serving, so
+ * meals can be logged without looking anything up online. Foods outside
+ * the list are logged as custom entries with their own numbers.
+ *
+ * Values are rounded averages for the serving shown (cooked weights for
+ * meat, grains and pasta) and are meant for tracking, not lab precision.
+ *
+ * @module service/nutrition/foods.js
+ */
+
+/**
+ * Foods by category: { id, name, servingSize, calories, protein, carbs, fat }
+ * Macros are grams per serving.
+ */
+export const FOODS = [
+  // Protein
+  { id: 'chicken-breast', name: 'Chicken breast', servingSize: '100 g', calories: 165, protein: 31, carbs: 0, fat: 3.6 },
+  { id: 'chicken-thigh', name: 'Chicken thigh', servingSize: '100 g', calories: 209, protein: 26, carbs: 0, fat: 10.9 },
+  { id: 'ground-beef-90', name: 'Ground beef (90% lean)', servingSize: '100 g', calories: 217, protein: 26, carbs: 0, fat: 11.7 },
+  { id: 'steak-sirloin', name: 'Sirloin steak', servingSize: '100 g', calories: 206, protein: 29, carbs: 0, fat: 9.4 },
+  { id: 'pork-loin', name: 'Pork loin', servingSize: '100 g', calories: 196, protein: 27, carbs: 0, fat: 9 },
+  { id: 'turkey-breast', name: 'Turkey breast', servingSize: '100 g', calories: 147, protein: 30, carbs: 0, fat: 2.1 },
+  { id: 'salmon', name: 'Salmon', servingSize: '100 g', calories: 206, protein: 22, carbs: 0, fat: 12.4 },
+  { id: 'tuna-canned', name: 'Tuna (canned in water)', servingSize: '1 can (142 g)', calories: 170, protein: 38, carbs: 0, fat: 1.3 },
+  { id: 'shrimp', name: 'Shrimp', servingSize: '100 g', calories: 99, protein: 24, carbs: 0.2, fat: 0.3 },
+  { id: 'egg', name: 'Egg', servingSize: '1 large', calories: 72, protein: 6.3, carbs: 0.4, fat: 4.8 },
+  { id: 'egg-white', name: 'Egg white', servingSize: '1 large', calories: 17, protein: 3.6, carbs: 0.2, fat: 0.1 },
+  { id: 'tofu', name: 'Tofu (firm)', servingSize: '100 g', calories: 144, protein: 17, carbs: 2.8, fat: 8.7 },
+  { id: 'whey-protein', name: 'Whey protein', servingSize: '1 scoop (30 g)', calories: 120, protein: 24, carbs: 3, fat: 1.5 },
+
+  // Dairy
+  { id: 'milk-2', name: 'Milk (2%)', servingSize: '1 cup (244 ml)', calories: 122, protein: 8.1, carbs: 12, fat: 4.8 },
+  { id: 'milk-skim', name: 'Milk (skim)', servingSize: '1 cup (245 ml)', calories: 83, protein: 8.3, carbs: 12, fat: 0.2 },
+  { id: 'greek-yogurt', name: 'Greek yogurt (plain, nonfat)', servingSize: '170 g', calories: 100, protein: 17, carbs: 6, fat: 0.7 },
+  { id: 'cottage-cheese', name: 'Cottage cheese (2%)', servingSize: '1/2 cup (113 g)', calories: 92, protein: 12, carbs: 5, fat: 2.5 },
+  { id: 'cheddar', name: 'Cheddar cheese', servingSize: '1 slice (28 g)', calories: 113, protein: 7, carbs: 0.4, fat: 9.3 },
+  { id: 'mozzarella', name: 'Mozzarella', servingSize: '28 g', calories: 85, protein: 6.3, carbs: 0.6, fat: 6.3 },
+
+  // Grains and starches
+  { id: 'white-rice', name: 'White rice (cooked)', servingSize: '1 cup (158 g)', calories: 205, protein: 4.3, carbs: 45, fat: 0.4 },
+  { id: 'brown-rice', name: 'Brown rice (cooked)', servingSize: '1 cup (195 g)', calories: 216, protein: 5, carbs: 45, fat: 1.8 },
+  { id: 'oats', name: 'Oats (dry)', servingSize: '1/2 cup (40 g)', calories: 150, protein: 5, carbs: 27, fat: 3 },
+  { id: 'quinoa', name: 'Quinoa (cooked)', servingSize: '1 cup (185 g)', calories: 222, protein: 8.1, carbs: 39, fat: 3.6 },
+  { id: 'pasta', name: 'Pasta (cooked)', servingSize: '1 cup (140 g)', calories: 221, protein: 8.1, carbs: 43, fat: 1.3 },
+  { id: 'bread-whole-wheat', name: 'Whole wheat bread', servingSize: '1 slice', calories: 81, protein: 4, carbs: 14, fat: 1.1 },
+  { id: 'bread-white', name: 'White bread', servingSize: '1 slice', calories: 75, protein: 2.6, carbs: 14, fat: 1 },
+  { id: 'bagel', name: 'Bagel', servingSize: '1 medium', calories: 277, protein: 11, carbs: 55, fat: 1.4 },
+  { id: 'tortilla-flour', name: 'Flour tortilla', servingSize: '1 medium (45 g)', calories: 140, protein: 3.7, carbs: 24, fat: 3.5 },
+  { id: 'potato', name: 'Potato (baked)', servingSize: '1 medium (173 g)', calories: 161, protein: 4.3, carbs: 37, fat: 0.2 },
+  { id: 'sweet-potato', name: 'Sweet potato (baked)', servingSize: '1 medium (114 g)', calories: 103, protein: 2.3, carbs: 24, fat: 0.2 },
+
+  // Fruit
+  { id: 'banana', name: 'Banana', servingSize: '1 medium', calories: 105, protein: 1.3, carbs: 27, fat: 0.4 },
+  { id: 'apple', name: 'Apple', servingSize: '1 medium', calories: 95, protein: 0.5, carbs: 25, fat: 0.3 },
+  { id: 'orange', name: 'Orange', servingSize: '1 medium', calories: 62, protein: 1.2, carbs: 15, fat: 0.2 },
+  { id: 'blueberries', name: 'Blueberries', servingSize: '1 cup (148 g)', calories: 84, protein: 1.1, carbs: 21, fat: 0.5 },
+  { id: 'strawberries', name: 'Strawberries', servingSize: '1 cup (152 g)', calories: 49, protein: 1, carbs: 12, fat: 0.5 },
+  { id: 'grapes', name: 'Grapes', servingSize: '1 cup (151 g)', calories: 104, protein: 1.1, carbs: 27, fat: 0.2 },
+  { id: 'avocado', name: 'Avocado', servingSize: '1/2 fruit (100 g)', calories: 160, protein: 2, carbs: 8.5, fat: 14.7 },
+
+  // Vegetables
+  { id: 'broccoli', name: 'Broccoli', servingSize: '1 cup (91 g)', calories: 31, protein: 2.5, carbs: 6, fat: 0.3 },
+  { id: 'spinach', name: 'Spinach (raw)', servingSize: '1 cup (30 g)', calories: 7, protein: 0.9, carbs: 1.1, fat: 0.1 },
+  { id: 'mixed-salad', name: 'Mixed salad greens', servingSize: '2 cups (85 g)', calories: 15, protein: 1.2, carbs: 2.9, fat: 0.2 },
+  { id: 'carrots', name: 'Carrots', servingSize: '1 cup (128 g)', calories: 52, protein: 1.2, carbs: 12, fat: 0.3 },
+  { id: 'green-beans', name: 'Green beans', servingSize: '1 cup (100 g)', calories: 31, protein: 1.8, carbs: 7, fat: 0.2 },
+  { id: 'bell-pepper', name: 'Bell pepper', servingSize: '1 medium', calories: 31, protein: 1, carbs: 7, fat: 0.3 },
+  { id: 'black-beans', name: 'Black beans (cooked)', servingSize: '1/2 cup (86 g)', calories: 114, protein: 7.6, carbs: 20, fat: 0.5 },
+  { id: 'lentils', name: 'Lentils (cooked)', servingSize: '1/2 cup (99 g)', calories: 115, protein: 9, carbs: 20, fat: 0.4 },
+  { id: 'chickpeas', name: 'Chickpeas (cooked)', servingSize: '1/2 cup (82 g)', calories: 134, protein: 7.3, carbs: 22, fat: 2.1 },
+
+  // Fats, nuts and extras
+  { id: 'olive-oil', name: 'Olive oil', servingSize: '1 tbsp', calories: 119, protein: 0, carbs: 0, fat: 13.5 },
+  { id: 'butter', name: 'Butter', servingSize: '1 tbsp', calories: 102, protein: 0.1, carbs: 0, fat: 11.5 },
+  { id: 'peanut-butter', name: 'Peanut butter', servingSize: '2 tbsp (32 g)', calories: 190, protein: 7, carbs: 7, fat: 16 },
+  { id: 'almonds', name: 'Almonds', servingSize: '28 g', calories: 164, protein: 6, carbs: 6, fat: 14 },
+  { id: 'walnuts', name: 'Walnuts', servingSize: '28 g', calories: 185, protein: 4.3, carbs: 3.9, fat: 18.5 },
+  { id: 'honey', name: 'Honey', servingSize: '1 tbsp', calories: 64, protein: 0.1, carbs: 17, fat: 0 },
+  { id: 'dark-chocolate', name: 'Dark chocolate (70-85%)', servingSize: '28 g', calories: 170, protein: 2.2, carbs: 13, fat: 12 },
+
+  // Snacks and drinks
+  { id: 'protein-bar', name: 'Protein bar', servingSize: '1 bar (60 g)', calories: 210, protein: 20, carbs: 22, fat: 7 },
+  { id: 'granola', name: 'Granola', servingSize: '1/2 cup (60 g)', calories: 270, protein: 6, carbs: 38, fat: 11 },
+  { id: 'rice-cake', name: 'Rice cake', servingSize: '1 cake', calories: 35, protein: 0.7, carbs: 7.3, fat: 0.3 },
+  { id: 'hummus', name: 'Hummus', servingSize: '2 tbsp (30 g)', calories: 70, protein: 2, carbs: 4, fat: 5 },
+  { id: 'orange-juice', name: 'Orange juice', servingSize: '1 cup (248 ml)', calories: 112, protein: 1.7, carbs: 26, fat: 0.5 },
+  { id: 'sports-drink', name: 'Sports drink', servingSize: '1 bottle (591 ml)', calories: 140, protein: 0, carbs: 36, fat: 0 },
+  { id: 'beer', name: 'Beer', servingSize: '1 can (355 ml)', calories: 153, protein: 1.6, carbs: 13, fat: 0 },
+  { id: 'pizza-cheese', name: 'Cheese pizza', servingSize: '1 slice (107 g)', calories: 285, protein: 12, carbs: 36, fat: 10 },
+];
+
+const FOODS_BY_ID = new Map(FOODS.map((food) => [food.id, food]));
+
+/**
+ * Get a food by ID
+ *
+ * @param {string} foodId - Food ID (e.g. "chicken-breast")
+ * @returns {Object|null} Food, or null if unknown
+ */
+export function getFood(foodId) {
+  return FOODS_BY_ID.get(foodId) || null;
+}
+
+/**
+ * Search the food list by name
+ * Every word of the query must appear in the name; names starting with the
+ * query come first.
+ *
+ * @param {string} query - Search text (empty returns the first foods)
+ * @param {number} limit - Maximum results (default: 20)
+ * @returns {Array<Object>} Matching foods
+ */
+export function searchFoods(query = '', limit = 20) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return FOODS.slice(0, limit);
+
+  const needle = words.join(' ');
+  return FOODS
+    .filter((food) => words.every((word) => food.name.toLowerCase().includes(word)))
+    .sort((a, b) => Number(!a.name.toLowerCase().startsWith(needle)) - Number(!b.name.toLowerCase().startsWith(needle)))
+    .slice(0, limit);
+}
+
+/**
+ * Calories and macros of a number of servings of a food
+ *
+ * @param {Object} food - Food from the list
+ * @param {number} servings - Servings eaten (default: 1)
+ * @returns {Object} { name, foodId, servings, servingSize, calories, protein, carbs, fat }
+ */
+export function foodEntryFor(food, servings = 1) {
+  const scale = (value) => Math.round(value * servings * 10) / 10;
+
+  return {
+    name: food.name,
+    foodId: food.id,
+    servings,
+    servingSize: food.servingSize,
+    calories: Math.round(food.calories * servings),
+    protein: scale(food.protein),
+    carbs: scale(food.carbs),
+    fat: scale(food.fat),
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * ============================================================================
+ * Daily Intake
+ * ============================================================================
+ *
+ * Adds up what a user ate on one calendar day (in their time zone) and
+ * compares it with their macro targets. Used by GET /api/nutrition/summary
+ * and by the chat context, so the coach knows what is left for the day.
+ *
+ * @module service/nutrition/intake.js
+ */
+
+import { mealService, aiMemoryService, userService } from '../db/index.js';
+import { memoryToProfile } from '../LLM/onboarding.js';
+import { localDayKey } from '../goals/history.js';
+import { computeMacroTargets } from './targets.js';
+import { summarizeIntake } from './totals.js';
+
+/**
+ * Macro targets of a user, from the fitness profile in their AI memory
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { targets, missing } (see computeMacroTargets)
+ */
+export async function getMacroTargets(userId) {
+  const memory = await aiMemoryService.getByUser(userId);
+  return computeMacroTargets(memory ? memoryToProfile(memory) : {});
+}
+
+/**
+ * Build a user's intake for one day
+ *
+ * @param {string} userId - User ID
+ * @param {Object} options - Options
+ * @param {string} options.date - Day (YYYY-MM-DD, default: today in the user's time zone)
+ * @param {Date} options.now - Current time (default: now)
+ * @returns {Promise<Object>} { date, timeZone, meals, totals, targets, remaining, missing }
+ *   (see summarizeIntake); targets and remaining are null until the profile is complete
+ */
+export async function buildDailyIntake(userId, { date, now = new Date() } = {}) {
+  const timeZone = await userService.getTimeZone(userId);
+  const day = date || localDayKey(now, timeZone);
+
+  const [meals, { targets, missing }] = await Promise.all([
+    mealService.getForDay(userId, day, timeZone),
+    getMacroTargets(userId),
+  ]);
+
+  return summarizeIntake({ date: day, timeZone, meals, targets, missing });
+}
@@ -0,0 +1,112 @@
+/**
+ * ============================================================================
+ * Macro Targets
+ * ============================================================================
+ *
+ * Daily calorie and macro targets from the user's fitness profile.
+ *
+ * - Calories: resting energy (Mifflin-St Jeor) times an activity factor
+ *   from the number of training days, then adjusted for the goal:
+ *   20% below maintenance to lose weight, 10% above to gain
+ * - Protein: 2.0 g/kg when losing (keeps muscle in a deficit), 1.8 g/kg
+ *   when gaining, 1.6 g/kg to maintain
+ * - Fat: 25% of calories
+ * - Carbs: whatever calories are left
+ *
+ * The goal is the profile's nutritionGoal, or guessed from the free-text
+ * goals ("lose 10 lbs", "build muscle") when it is not set.
+ *
+ * Without sex, age, height and weight there is nothing to compute from; the
+ * result then lists the missing fields so the app can ask for them.
+ *
+ * @module service/nutrition/targets.js
+ */
+
+/** Fields the calorie estimate needs */
+const REQUIRED_FIELDS = ['sex', 'age', 'heightCm', 'weightKg'];
+
+/** Calorie adjustment per goal, as a share of maintenance */
+const GOAL_ADJUSTMENT = { lose: -0.2, maintain: 0, gain: 0.1 };
+
+/** Protein in grams per kg of body weight, per goal */
+const PROTEIN_PER_KG = { lose: 2.0, maintain: 1.6, gain: 1.8 };
+
+/** Share of calories from fat */
+const FAT_SHARE = 0.25;
+
+/** Calories per gram */
+const KCAL_PER_GRAM = { protein: 4, carbs: 4, fat: 9 };
+
+const LOSE_PATTERN = /\b(lose|losing|lost|cut|cutting|lean|fat|slim|weight loss|shred)/i;
+const GAIN_PATTERN = /\b(gain|gaining|bulk|bulking|muscle|mass|bigger|size)/i;
+
+/**
+ * Activity factor from the number of training days per week
+ *
+ * @param {Array<string>} availableDays - Training days
+ * @returns {number} Multiplier for resting energy
+ */
+export function activityFactor(availableDays = []) {
+  const days = Array.isArray(availableDays) ? availableDays.length : 0;
+  if (days === 0) return 1.2;
+  if (days <= 2) return 1.375;
+  if (days <= 5) return 1.55;
+  return 1.725;
+}
+
+/**
+ * Nutrition goal of a profile
+ * Free-text goals that point both ways (e.g. "lose fat and build muscle")
+ * count as maintain, i.e. recomposition.
+ *
+ * @param {Object} profile - Fitness profile
+ * @returns {string} "lose", "maintain" or "gain"
+ */
+export function nutritionGoalOf(profile) {
+  if (GOAL_ADJUSTMENT[profile.nutritionGoal] !== undefined) return profile.nutritionGoal;
+
+  const goals = (profile.goals || []).join(' ');
+  const lose = LOSE_PATTERN.test(goals);
+  const gain = GAIN_PATTERN.test(goals);
+  if (lose && !gain) return 'lose';
+  if (gain && !lose) return 'gain';
+  return 'maintain';
+}
+
+/**
+ * Compute daily calorie and macro targets
+ *
+ * @param {Object} profile - Fitness profile (see memoryToProfile in LLM/onboarding.js)
+ * @param {string} profile.sex - "male" or "female"
+ * @param {number} profile.age - Age in years
+ * @param {number} profile.heightCm - Height in centimetres
+ * @param {number} profile.weightKg - Body weight in kilograms
+ * @param {Array<string>} profile.availableDays - Training days
+ * @param {string} profile.nutritionGoal - "lose", "maintain" or "gain" (optional)
+ * @param {Array<string>} profile.goals - Free-text goals (used when nutritionGoal is not set)
+ * @returns {Object} { targets, missing } - targets ({ calories, protein, carbs, fat, goal, bmr, activityFactor })
+ *   is null while fields are missing
+ */
+export function computeMacroTargets(profile = {}) {
+  const missing = REQUIRED_FIELDS.filter((field) => profile[field] === undefined || profile[field] === null);
+  if (missing.length > 0) {
+    return { targets: null, missing };
+  }
+
+  const { sex, age, heightCm, weightKg } = profile;
+  const bmr = 10 * weightKg + 6.25 * heightCm - 5 * age + (sex === 'male' ? 5 : -161);
+  const factor = activityFactor(profile.availableDays);
+  const goal = nutritionGoalOf(profile);
+
+  const calories = Math.round((bmr * factor * (1 + GOAL_ADJUSTMENT[goal])) / 10) * 10;
+  const protein = Math.round(weightKg * PROTEIN_PER_KG[goal]);
+  const fat = Math.round((calories * FAT_SHARE) / KCAL_PER_GRAM.fat);
+  const carbs = Math.max(0, Math.round(
+    (calories - protein * KCAL_PER_GRAM.protein - fat * KCAL_PER_GRAM.fat) / KCAL_PER_GRAM.carbs
+  ));
+
+  return {
+    targets: { calories, protein, carbs, fat, goal, bmr: Math.round(bmr), activityFactor: factor },
+    missing: [],
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * ============================================================================
+ * Intake Totals
+ * ============================================================================
+ *
+ * Adds up food entries and compares a day's totals with the macro targets.
+ * Pure functions over data that nutrition/intake.js loads.
+ *
+ * @module service/nutrition/totals.js
+ */
+
+const MACROS = ['calories', 'protein', 'carbs', 'fat'];
+
+/**
+ * Round a total for display: whole calories, grams to one decimal
+ */
+const roundMacro = (macro, value) => (macro === 'calories' ? Math.round(value) : Math.round(value * 10) / 10);
+
+/**
+ * Add up the calories and macros of food entries
+ *
+ * @param {Array} entries - Food entries
+ * @returns {Object} { calories, protein, carbs, fat }
+ */
+export function sumEntries(entries = []) {
+  const totals = {};
+  for (const macro of MACROS) {
+    totals[macro] = roundMacro(macro, entries.reduce((sum, entry) => sum + (entry[macro] || 0), 0));
+  }
+  return totals;
+}
+
+/**
+ * Build a day's intake from its meals and the user's targets
+ *
+ * @param {Object} day - Loaded data
+ * @param {string} day.date - Day (YYYY-MM-DD)
+ * @param {string} day.timeZone - User's IANA time zone
+ * @param {Array} day.meals - Meals of the day, with their entries
+ * @param {Object|null} day.targets - Macro targets (see computeMacroTargets)
+ * @param {Array<string>} day.missing - Profile fields the targets still need
+ * @returns {Object} { date, timeZone, meals, totals, targets, remaining, missing }
+ *   - meals carry their own totals; remaining is negative for a macro that is over target
+ */
+export function summarizeIntake({ date, timeZone, meals, targets, missing }) {
+  const totals = sumEntries(meals.flatMap((meal) => meal.entries));
+  const remaining = targets
+    ? Object.fromEntries(MACROS.map((macro) => [macro, roundMacro(macro, targets[macro] - totals[macro])]))
+    : null;
+
+  return {
+    date,
+    timeZone,
+    meals: meals.map((meal) => ({ ...meal, totals: sumEntries(meal.entries) })),
+    totals,
+    targets,
+    remaining,
+    missing,
+  };
+}
+
+/**
+ * Format a day's intake for the system prompt
+ *
+ * @param {Object} intake - Result of summarizeIntake
+ * @returns {string} Prompt line ('' when nothing was logged and there are no targets)
+ */
+export function formatIntakeForPrompt(intake) {
+  const { totals, targets, meals } = intake;
+  if (meals.length === 0 && !targets) return '';
+
+  const eaten = (macro, unit) => (targets ? `${totals[macro]}/${targets[macro]}${unit}` : `${totals[macro]}${unit}`);
+  const logged = meals.length === 0
+    ? 'nothing logged yet'
+    : `${meals.length} meal${meals.length === 1 ? '' : 's'} logged`;
+
+  return `Nutrition today (${intake.date}, ${logged}): ${eaten('calories', ' kcal')}, ` +
+    `protein ${eaten('protein', 'g')}, carbs ${eaten('carbs', 'g')}, fat ${eaten('fat', 'g')}` +
+    `${targets ? ` (targets for goal "${targets.goal}")` : ''}\n`;
+}
@@ -0,0 +1,62 @@
+/**
+ * ============================================================================
+ * Starter Plan Seeding
+ * ============================================================================
+ *
+ * Creates the starter plan (see onboarding/starterPlan.js) for a user who
+ * has nothing it would add to yet: no goals, no workouts on the calendar and
+ * no training plan.
+ *
+ * It runs whenever a profile is saved (onboarding wizard, chat onboarding,
+ * profile confirmation), not only on the first save. So users onboarded
+ * through chat get a plan too, and a seed that failed is tried again on the
+ * next save. Re-saving a profile never duplicates a plan.
+ *
+ * @module service/onboarding/seed.js
+ */
+
+import { goalService, calendarEventService, trainingPlanService } from '../db/index.js';
+import { buildStarterPlan } from './starterPlan.js';
+
+/**
+ * Whether a user has no goals, workouts or training plan yet
+ *
+ * @param {string} userId - User identifier
+ * @returns {Promise<boolean>} True if a starter plan should be seeded
+ */
+export async function needsStarterPlan(userId) {
+  const [goals, workouts, plan] = await Promise.all([
+    goalService.getPage(userId, { limit: 1 }),
+    calendarEventService.getPage(userId, { type: 'workout', limit: 1 }),
+    trainingPlanService.getActive(userId),
+  ]);
+  return goals.items.length === 0 && workouts.items.length === 0 && !plan;
+}
+
+/**
+ * Create the starter goals and weekly workouts for a user who has none yet
+ *
+ * @param {string} userId - User identifier
+ * @param {Object} profile - Normalized fitness profile
+ * @param {Object} options - Options for buildStarterPlan
+ * @returns {Promise<Object|null>} { goals, events } - the created records, or
+ *   null if the user already had goals, workouts or a training plan
+ */
+export async function seedStarterPlan(userId, profile, options = {}) {
+  if (!(await needsStarterPlan(userId))) return null;
+
+  const plan = buildStarterPlan(profile, options);
+
+  const goals = [];
+  for (const goal of plan.goals) {
+    goals.push(await goalService.create({ userId, ...goal }));
+  }
+
+  const events = [];
+  for (const event of plan.events) {
+    events.push(await calendarEventService.create({ userId, ...event }));
+  }
+
+  console.log(`🌱 Seeded starter plan for user ${userId}: ${goals.length} goals, ${events.length} weekly workouts`);
+  return { goals, events };
+}
@@ -0,0 +1,125 @@
+/**
+ * ============================================================================
+ * Starter Plan
+ * ============================================================================
+ *
+ * Starter plan for a new user's account, built from their onboarding
+ * answers so the home screen is not empty after onboarding:
+ * - The goals they stated become long-term goals
+ * - A few daily habits sized to their fitness level become daily goals
+ * - Every training day they picked gets a weekly recurring workout event,
+ *   rotating through session types that suit their level
+ *
+ * buildStarterPlan only describes the records; onboarding/seed.js creates
+ * them.
+ *
+ * @module service/onboarding/starterPlan.js
+ */
+
+import { toDateKey } from '../calendar/recurrence.js';
+
+// ============================================================================
+// Plan Templates
+// ============================================================================
+
+/** Weekdays in FITNESS_PROFILE_SCHEMA order, with their JS getUTCDay() number and RRULE code */
+const WEEKDAYS = {
+  monday: { day: 1, code: 'MO' },
+  tuesday: { day: 2, code: 'TU' },
+  wednesday: { day: 3, code: 'WE' },
+  thursday: { day: 4, code: 'TH' },
+  friday: { day: 5, code: 'FR' },
+  saturday: { day: 6, code: 'SA' },
+  sunday: { day: 0, code: 'SU' },
+};
+
+/** Session length, daily step target and session rotation per fitness level */
+const LEVELS = {
+  beginner: {
+    minutes: 30,
+    steps: 6000,
+    sessions: ['Full-body strength', 'Easy cardio', 'Mobility & core'],
+  },
+  intermediate: {
+    minutes: 45,
+    steps: 8000,
+    sessions: ['Upper-body strength', 'Lower-body strength', 'Cardio intervals', 'Mobility & core'],
+  },
+  advanced: {
+    minutes: 60,
+    steps: 10000,
+    sessions: ['Push strength', 'Pull strength', 'Leg strength', 'Conditioning', 'Mobility & recovery'],
+  },
+};
+
+// ============================================================================
+// Plan Building
+// ============================================================================
+
+/**
+ * First date on or after `from` that falls on a weekday
+ *
+ * @param {Date} from - Start date
+ * @param {number} weekday - 0 (Sunday) to 6 (Saturday)
+ * @returns {string} Date key (YYYY-MM-DD)
+ */
+function nextWeekday(from, weekday) {
+  const date = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  date.setUTCDate(date.getUTCDate() + ((weekday - date.getUTCDay() + 7) % 7));
+  return toDateKey(date);
+}
+
+/**
+ * Describe the goals and weekly workouts to seed for a profile
+ *
+ * @param {Object} profile - Normalized fitness profile (see LLM/onboarding.js)
+ * @param {Object} options - Options
+ * @param {Date} options.today - Date the plan starts (default: now)
+ * @param {string} options.workoutTime - Preferred workout time, HH:mm (default: no time)
+ * @returns {Object} { goals: [goalData], events: [eventData] } without userId
+ */
+export function buildStarterPlan(profile, { today = new Date(), workoutTime = null } = {}) {
+  const level = LEVELS[profile.experienceLevel] || LEVELS.beginner;
+  const injuries = profile.injuries || [];
+  const equipment = profile.equipment || [];
+
+  const goals = [
+    ...profile.goals.map((text, index) => ({
+      text,
+      type: 'longterm',
+      priority: index === 0 ? 'high' : 'medium',
+      category: 'fitness',
+    })),
+    { text: `Walk ${level.steps.toLocaleString('en-US')} steps`, type: 'daily', priority: 'medium', category: 'habit' },
+    { text: 'Drink 8 glasses of water', type: 'daily', priority: 'medium', category: 'habit' },
+    {
+      text: injuries.length > 0
+        ? `Do 10 minutes of mobility work for your ${injuries[0]}`
+        : 'Stretch for 10 minutes',
+      type: 'daily',
+      priority: 'medium',
+      category: 'habit',
+    },
+  ];
+
+  const days = Object.keys(WEEKDAYS).filter((day) => (profile.availableDays || []).includes(day));
+  const events = days.map((day, index) => {
+    const session = level.sessions[index % level.sessions.length];
+    const notes = [
+      `${level.minutes}-minute session.`,
+      `Equipment: ${equipment.length > 0 ? equipment.join(', ') : 'bodyweight only'}.`,
+    ];
+    if (injuries.length > 0) notes.push(`Take care with: ${injuries.join(', ')}.`);
+
+    return {
+      title: session,
+      type: 'workout',
+      date: nextWeekday(today, WEEKDAYS[day].day),
+      time: workoutTime,
+      description: notes.join(' '),
+      rrule: `FREQ=WEEKLY;BYDAY=${WEEKDAYS[day].code}`,
+    };
+  });
+
+  return { goals, events };
+}
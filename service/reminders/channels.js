@@ -0,0 +1,95 @@
+/**
+ * ============================================================================
+ * Reminder Delivery Channels
+ * ============================================================================
+ *
+ * Pluggable channels the reminder scheduler dispatches through. Each
+ * reminder lists the channels it should be delivered on (Reminder.channels).
+ *
+ * Built-in channels:
+ * - inbox: Adds a Notification to the user's in-app inbox (GET /api/notifications)
+ * - push: Stub that logs the push notification it would send
+ * - email: Sends an email through the configured mail transport (see mail/transport.js)
+ *
+ * A channel is an object { name, send(delivery) } where delivery is
+ * { reminder, user, title, body }. send() should throw on failure.
+ * Register a real provider under the same name to replace a stub:
+ *
+ *   registerChannel({ name: 'push', async send({ user, title, body }) { ... } });
+ *
+ * @module service/reminders/channels.js
+ */
+
+import { notificationService } from '../db/index.js';
+import { sendMail } from '../mail/transport.js';
+
+const channels = new Map();
+
+// ============================================================================
+// Built-in Channels
+// ============================================================================
+
+/** In-app inbox */
+export const inboxChannel = {
+  name: 'inbox',
+  async send({ reminder, user, title, body }) {
+    await notificationService.create({ userId: user.id, reminderId: reminder.id, title, body });
+  },
+};
+
+/** Push notification stub (no push provider is configured yet) */
+export const pushChannel = {
+  name: 'push',
+  async send({ user, title, body }) {
+    console.log(`📲 [push stub] To user ${user.id}: ${title}${body ? ` - ${body}` : ''}`);
+  },
+};
+
+/** Email through the configured mail transport */
+export const emailChannel = {
+  name: 'email',
+  async send({ user, title, body }) {
+    if (!user.email) throw new Error('User has no email address');
+    await sendMail({ to: user.email, subject: `Reminder: ${title}`, text: body || title });
+  },
+};
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+/**
+ * Register (or replace) a delivery channel
+ *
+ * @param {Object} channel - { name, send(delivery) }
+ * @throws {Error} If the channel has no name or send function
+ */
+export function registerChannel(channel) {
+  if (!channel?.name || typeof channel.send !== 'function') {
+    throw new Error('A reminder channel needs a name and a send(delivery) function');
+  }
+  channels.set(channel.name, channel);
+}
+
+/**
+ * Get a registered channel by name
+ *
+ * @param {string} name - Channel name
+ * @returns {Object|undefined} Channel
+ */
+export function getChannel(name) {
+  return channels.get(name);
+}
+
+/**
+ * Names of all registered channels
+ *
+ * @returns {Array<string>} Channel names
+ */
+export function listChannels() {
+  return [...channels.keys()];
+}
+
+registerChannel(inboxChannel);
+registerChannel(pushChannel);
+registerChannel(emailChannel);
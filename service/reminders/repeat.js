@@ -0,0 +1,140 @@
+/**
+ * ============================================================================
+ * Repeating Reminders
+ * ============================================================================
+ *
+ * Date math for repeating reminders, shared by the scheduler's claim and by
+ * completing a reminder:
+ * - Firing a reminder (claimDue) records lastFiredAt and moves a repeating
+ *   reminder's dueDate to its next occurrence
+ * - Completing a reminder after it fired therefore keeps that dueDate;
+ *   completing it before it fired moves past the current occurrence
+ *
+ * Fixed-length repeats (DAILY, WEEKLY, CUSTOM) step by days; MONTHLY and
+ * YEARLY step by calendar months in UTC, clamped to the end of shorter months.
+ *
+ * @module service/reminders/repeat.js
+ */
+
+/** Length of one repeat step in days for fixed-length repeat types (CUSTOM counts days) */
+const REPEAT_STEP_DAYS = { DAILY: 1, WEEKLY: 7, CUSTOM: 1 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Advance a date by `count` months in UTC, clamping to the end of shorter months
+ *
+ * @param {Date} date - Start date
+ * @param {number} count - Months to add (negative to go back)
+ *
+ * @returns {Date} New date
+ */
+function addMonthsClamped(date, count) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + count);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+/**
+ * Months per repeat step of a MONTHLY or YEARLY reminder
+ */
+function monthsPerStep(reminder) {
+  return (reminder.repeatType === 'YEARLY' ? 12 : 1) * Math.max(1, reminder.interval || 1);
+}
+
+/**
+ * Next due date of a repeating reminder strictly after a given time
+ * Steps from the current due date by `interval` repeat periods, so missed
+ * occurrences are skipped rather than fired one by one.
+ *
+ * @param {Object} reminder - Reminder ({ dueDate, repeatType, interval, repeatUntil })
+ * @param {Date} after - Returned date is later than this
+ *
+ * @returns {Date|null} Next due date, or null for one-time reminders and finished series
+ */
+export function nextReminderDueDate(reminder, after) {
+  if (!reminder.repeatType) return null;
+
+  const dueDate = new Date(reminder.dueDate);
+  let next;
+
+  if (REPEAT_STEP_DAYS[reminder.repeatType]) {
+    const stepMs = REPEAT_STEP_DAYS[reminder.repeatType] * Math.max(1, reminder.interval || 1) * DAY_MS;
+    const steps = Math.max(1, Math.floor((after - dueDate) / stepMs) + 1);
+    next = new Date(dueDate.getTime() + steps * stepMs);
+  } else {
+    const months = monthsPerStep(reminder);
+    let steps = 1;
+    next = addMonthsClamped(dueDate, months);
+    while (next <= after) {
+      steps++;
+      next = addMonthsClamped(dueDate, months * steps);
+    }
+  }
+
+  if (reminder.repeatUntil && next > new Date(reminder.repeatUntil)) return null;
+  return next;
+}
+
+/**
+ * Occurrence one repeat step before the current due date
+ * For months clamped at the end of a month this can be a few days early,
+ * never late.
+ *
+ * @param {Object} reminder - Reminder ({ dueDate, repeatType, interval })
+ *
+ * @returns {Date|null} Previous occurrence, or null for one-time reminders
+ */
+export function previousReminderDueDate(reminder) {
+  if (!reminder.repeatType) return null;
+
+  const dueDate = new Date(reminder.dueDate);
+  if (REPEAT_STEP_DAYS[reminder.repeatType]) {
+    return new Date(dueDate.getTime() - REPEAT_STEP_DAYS[reminder.repeatType] * Math.max(1, reminder.interval || 1) * DAY_MS);
+  }
+  return addMonthsClamped(dueDate, -monthsPerStep(reminder));
+}
+
+/**
+ * Changes recorded when the scheduler fires a reminder
+ *
+ * @param {Object} reminder - Due reminder
+ * @param {Date} now - Dispatch time
+ *
+ * @returns {Object} { lastFiredAt, dueDate? } - dueDate only for a repeating reminder with occurrences left
+ */
+export function firedReminderUpdate(reminder, now) {
+  const nextDueDate = nextReminderDueDate(reminder, now);
+  return { lastFiredAt: now, ...(nextDueDate && { dueDate: nextDueDate }) };
+}
+
+/**
+ * Changes recorded when the user completes a reminder
+ * A repeating reminder stays open and moves to its next occurrence; it is
+ * only completed once its series has ended. If it already fired for the
+ * occurrence being completed, firing moved it forward and nothing changes.
+ *
+ * @param {Object} reminder - Reminder ({ dueDate, repeatType, interval, repeatUntil, lastFiredAt })
+ * @param {Date} now - Completion time
+ *
+ * @returns {Object} { completed: true }, { dueDate } or {} (nothing to change)
+ */
+export function completedReminderUpdate(reminder, now = new Date()) {
+  const dueDate = new Date(reminder.dueDate);
+  const lastFiredAt = reminder.lastFiredAt ? new Date(reminder.lastFiredAt) : null;
+  const previousDueDate = previousReminderDueDate(reminder);
+
+  // Fired since the previous occurrence, and its dueDate already moved past the fire
+  if (lastFiredAt && previousDueDate && lastFiredAt >= previousDueDate && lastFiredAt < dueDate) {
+    return {};
+  }
+
+  // Completing early moves past the current due date; completing late moves past now
+  const after = dueDate > now ? dueDate : now;
+  const nextDueDate = nextReminderDueDate(reminder, after);
+  return nextDueDate ? { dueDate: nextDueDate } : { completed: true };
+}
@@ -0,0 +1,144 @@
+/**
+ * ============================================================================
+ * Reminder Scheduler
+ * ============================================================================
+ *
+ * Background job that fires due reminders. On every tick it:
+ * 1. Finds reminders whose dueDate has passed and that have not been
+ *    dispatched for that due date yet
+ * 2. Claims each one (so concurrent runs never fire it twice) and rolls
+ *    repeating reminders forward to their next occurrence
+ * 3. Delivers it on each of the reminder's channels (see reminders/channels.js)
+ *
+ * Delivery is at most once: a reminder that was claimed counts as fired even
+ * if a channel fails, and the failure is logged. Occurrences missed while the
+ * server was down are fired once, not once per missed occurrence.
+ *
+ * Environment Variables:
+ * - REMINDER_SCHEDULER: Set to "off" to disable the scheduler
+ * - REMINDER_POLL_INTERVAL_MS: Time between runs (default: 60000)
+ *
+ * @module service/reminders/scheduler.js
+ */
+
+import { reminderService } from '../db/index.js';
+import { getChannel } from './channels.js';
+import { createIntervalJob } from '../jobs/intervalJob.js';
+
+/** Reminders claimed per database query */
+const BATCH_SIZE = 100;
+
+/** Batches processed per run, so one run cannot monopolise the process */
+const MAX_BATCHES_PER_RUN = 10;
+
+// ============================================================================
+// Dispatch
+// ============================================================================
+
+/**
+ * Build the message delivered for a reminder
+ *
+ * @param {Object} reminder - Reminder
+ * @param {Date|null} nextDueDate - Next occurrence of a repeating reminder
+ * @returns {{ title: string, body: string }} Message
+ */
+export function formatReminderMessage(reminder, nextDueDate) {
+  const body = nextDueDate
+    ? `Reminder due now. Next one: ${nextDueDate.toISOString()}`
+    : 'Reminder due now.';
+  return { title: reminder.title, body };
+}
+
+/**
+ * Deliver a claimed reminder on each of its channels
+ *
+ * @param {Object} reminder - Reminder with its user ({ id, name, email })
+ * @param {Date|null} nextDueDate - Next occurrence (for the message)
+ * @returns {Promise<Array>} Per-channel results: [{ channel, ok, error? }]
+ */
+export async function dispatchReminder(reminder, nextDueDate = null) {
+  const { title, body } = formatReminderMessage(reminder, nextDueDate);
+  const names = reminder.channels?.length ? reminder.channels : ['inbox'];
+  const results = [];
+
+  for (const name of names) {
+    const channel = getChannel(name);
+    if (!channel) {
+      console.warn(`⚠️ Reminder ${reminder.id} uses unknown channel "${name}"`);
+      results.push({ channel: name, ok: false, error: 'Unknown channel' });
+      continue;
+    }
+
+    try {
+      await channel.send({ reminder, user: reminder.user, title, body });
+      results.push({ channel: name, ok: true });
+    } catch (error) {
+      console.error(`⚠️ Reminder ${reminder.id} failed on channel "${name}":`, error.message);
+      results.push({ channel: name, ok: false, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Fire every reminder that is due
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { fired, rolledForward } counts
+ */
+export async function runDueReminders(now = new Date()) {
+  let fired = 0;
+  let rolledForward = 0;
+
+  for (let batch = 0; batch < MAX_BATCHES_PER_RUN; batch++) {
+    const due = await reminderService.getDue(now, BATCH_SIZE);
+
+    for (const reminder of due) {
+      const { claimed, nextDueDate } = await reminderService.claimDue(reminder, now);
+      if (!claimed) continue; // Another run fired it, or it changed since it was read
+
+      await dispatchReminder(reminder, nextDueDate);
+      fired++;
+      if (nextDueDate) rolledForward++;
+    }
+
+    if (due.length < BATCH_SIZE) break;
+  }
+
+  if (fired > 0) {
+    console.log(`⏰ Fired ${fired} reminder(s), ${rolledForward} rolled forward to their next occurrence`);
+  }
+  return { fired, rolledForward };
+}
+
+// ============================================================================
+// Lifecycle
+// ============================================================================
+
+const job = createIntervalJob({
+  name: 'Reminder scheduler',
+  run: () => runDueReminders(),
+  disabledBy: 'REMINDER_SCHEDULER',
+  intervalVariable: 'REMINDER_POLL_INTERVAL_MS',
+  defaultIntervalMs: 60000,
+  startedMessage: (interval) => `⏰ Reminder scheduler started (every ${interval / 1000}s)`,
+});
+
+/**
+ * Start polling for due reminders
+ * Does nothing if the scheduler is already running or REMINDER_SCHEDULER=off.
+ *
+ * @param {Object} options - Options
+ * @param {number} options.intervalMs - Poll interval (default: REMINDER_POLL_INTERVAL_MS or 60000)
+ */
+export function startReminderScheduler({ intervalMs } = {}) {
+  job.start({ intervalMs });
+}
+
+/**
+ * Stop polling for due reminders
+ */
+export function stopReminderScheduler() {
+  job.stop();
+}
@@ -0,0 +1,290 @@
+/**
+ * ============================================================================
+ * Cardio Activity Routes
+ * ============================================================================
+ * 
+ * API endpoints for tracking cardio activities (runs, walks, rides, ...).
+ * 
+ * Features:
+ * - Create, read, update, delete activities
+ * - Distance entered in miles or kilometres (stored in miles)
+ * - Pace derived from distance and duration
+ * - Per-day distance summary with total, average and best day
+ *   (powers the "Miles Run" card on the mobile dashboard)
+ * 
+ * @module service/routes/activities.js
+ */
+
+import express from 'express';
+import { activityService } from '../db/index.js';
+import { authenticateToken, canAccessUser } from './auth.js';
+import { validate, sendValidationError, fieldError, object, nullable, dateTime, timeZone, idParams } from '../validation/index.js';
+
+const router = express.Router();
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/** Supported activity types */
+const VALID_ACTIVITY_TYPES = ['run', 'walk', 'cycle', 'swim', 'row', 'hike'];
+
+/** Supported distance units for input */
+const VALID_DISTANCE_UNITS = ['mi', 'km'];
+
+/** Longest summary range in days */
+const MAX_SUMMARY_DAYS = 365;
+
+/**
+ * Parse a summary range such as "14d" into a number of days
+ * 
+ * @param {string} range - Range string ("<n>d")
+ * @returns {number|null} Number of days, or null if invalid
+ */
+const parseRangeDays = (range) => {
+  const match = /^(\d{1,3})d$/.exec(range);
+  if (!match) return null;
+
+  const days = parseInt(match[1], 10);
+  return days >= 1 && days <= MAX_SUMMARY_DAYS ? days : null;
+};
+
+// ============================================================================
+// Request Schemas
+// ============================================================================
+
+const activityFields = {
+  type: { type: 'string', enum: VALID_ACTIVITY_TYPES },
+  distance: { type: 'number', minimum: 0 },
+  distanceUnit: { type: 'string', enum: VALID_DISTANCE_UNITS },
+  durationSeconds: nullable({ type: 'integer', minimum: 0 }),
+  startedAt: dateTime,
+  notes: nullable({ type: 'string' }),
+};
+
+const createActivityBody = object(activityFields, ['distance']);
+
+const updateActivityBody = object(activityFields);
+
+const listActivitiesQuery = object({
+  type: { type: 'string', enum: VALID_ACTIVITY_TYPES },
+  from: dateTime,
+  to: dateTime,
+});
+
+const summaryQuery = object({
+  range: { type: 'string', pattern: '^\\d{1,3}d$', example: '14d' },
+  type: { type: 'string', enum: VALID_ACTIVITY_TYPES },
+  tz: timeZone,
+});
+
+// ============================================================================
+// Routes
+// ============================================================================
+
+/**
+ * GET /api/activities
+ * Retrieve the authenticated user's activities, newest first
+ * 
+ * @param {string} req.query.type - Filter by activity type (optional)
+ * @param {string} req.query.from - Only activities on/after this date (optional)
+ * @param {string} req.query.to - Only activities on/before this date (optional)
+ * 
+ * @returns {Array} Activities
+ * @status {200} Activities retrieved successfully
+ * @status {400} Invalid filter
+ * @status {401} Unauthorized
+ * @status {500} Server error
+ */
+router.get('/', authenticateToken, validate({ query: listActivitiesQuery }), async (req, res) => {
+  try {
+    const { type, from, to } = req.query;
+
+    const activities = await activityService.getByUser(req.user.id, { type, from, to });
+
+    res.json({ success: true, data: activities });
+  } catch (error) {
+    console.error('Error fetching activities:', error);
+    res.status(500).json({ error: 'Failed to fetch activities', success: false });
+  }
+});
+
+/**
+ * GET /api/activities/summary
+ * Per-day distance totals for the last N days, plus total, average and best day
+ * 
+ * @param {string} req.query.range - Range in days, e.g. "14d" (default: "14d", max: "365d")
+ * @param {string} req.query.type - Only this activity type, e.g. "run" (optional)
+ * @param {string} req.query.tz - IANA time zone for day boundaries (default: "UTC")
+ * 
+ * @returns {Object} { range, unit, daily: [{ date, distance, durationSeconds, count }], total, average, best, activityCount }
+ * @status {200} Summary computed
+ * @status {400} Invalid range, type or time zone
+ * @status {401} Unauthorized
+ * @status {500} Server error
+ */
+router.get('/summary', authenticateToken, validate({ query: summaryQuery }), async (req, res) => {
+  try {
+    const { range = '14d', type, tz = 'UTC' } = req.query;
+
+    const days = parseRangeDays(range);
+    if (!days) {
+      return sendValidationError(res, [fieldError('query', 'range', `range must look like "14d" (1-${MAX_SUMMARY_DAYS} days)`)]);
+    }
+
+    const summary = await activityService.getSummary(req.user.id, { days, type, timeZone: tz });
+
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    console.error('Error building activity summary:', error);
+    res.status(500).json({ error: 'Failed to build activity summary', success: false });
+  }
+});
+
+/**
+ * GET /api/activities/:id
+ * Retrieve a specific activity
+ * 
+ * @param {string} req.params.id - Activity ID
+ * 
+ * @returns {Object} Activity
+ * @status {200} Activity found
+ * @status {403} Activity belongs to another user
+ * @status {404} Activity not found
+ * @status {500} Server error
+ */
+router.get('/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const activity = await activityService.getById(req.params.id);
+
+    if (!activity) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    // Verify ownership
+    if (!canAccessUser(req, activity.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to view this activity' });
+    }
+
+    res.json({ success: true, data: activity });
+  } catch (error) {
+    console.error('Error fetching activity:', error);
+    res.status(500).json({ error: 'Failed to fetch activity' });
+  }
+});
+
+/**
+ * POST /api/activities
+ * Log a cardio activity
+ * 
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.distance - Distance covered (required)
+ * @param {string} req.body.distanceUnit - "mi" (default) or "km"
+ * @param {string} req.body.type - Activity type (default: "run")
+ * @param {number} req.body.durationSeconds - Moving time in seconds (optional)
+ * @param {string} req.body.startedAt - When the activity took place (default: now)
+ * @param {string} req.body.notes - Notes (optional)
+ * 
+ * @returns {Object} Created activity (distance in miles, pace in min/mi)
+ * @status {201} Activity created
+ * @status {400} Validation error
+ * @status {500} Server error
+ */
+router.post('/', authenticateToken, validate({ body: createActivityBody }), async (req, res) => {
+  try {
+    const { type, distance, distanceUnit, durationSeconds, startedAt, notes } = req.body;
+    const userId = req.user.id;
+
+    const activity = await activityService.create({
+      userId,
+      type,
+      distance,
+      distanceUnit,
+      durationSeconds,
+      startedAt,
+      notes,
+    });
+
+    console.log(`🏃 Activity logged for user ${userId}: ${activity.type} ${activity.distance} mi`);
+    res.status(201).json({ success: true, data: activity });
+  } catch (error) {
+    console.error('Error creating activity:', error);
+    res.status(500).json({ error: 'Failed to create activity' });
+  }
+});
+
+/**
+ * PUT /api/activities/:id
+ * Update an activity
+ * 
+ * @param {string} req.params.id - Activity ID
+ * 
+ * @returns {Object} Updated activity
+ * @status {200} Activity updated
+ * @status {400} Validation error
+ * @status {403} Activity belongs to another user
+ * @status {404} Activity not found
+ * @status {500} Server error
+ */
+router.put('/:id', authenticateToken, validate({ params: idParams, body: updateActivityBody }), async (req, res) => {
+  try {
+    const { type, distance, distanceUnit, durationSeconds, startedAt, notes } = req.body;
+
+    const activity = await activityService.getById(req.params.id);
+    if (!activity) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    // Verify ownership
+    if (!canAccessUser(req, activity.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to update this activity' });
+    }
+
+    const updated = await activityService.update(req.params.id, {
+      type,
+      distance,
+      distanceUnit,
+      durationSeconds,
+      startedAt,
+      notes,
+    });
+
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error('Error updating activity:', error);
+    res.status(500).json({ error: 'Failed to update activity' });
+  }
+});
+
+/**
+ * DELETE /api/activities/:id
+ * Delete an activity
+ * 
+ * @param {string} req.params.id - Activity ID
+ * 
+ * @status {200} Activity deleted
+ * @status {403} Activity belongs to another user
+ * @status {404} Activity not found
+ * @status {500} Server error
+ */
+router.delete('/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const activity = await activityService.getById(req.params.id);
+    if (!activity) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    // Verify ownership
+    if (!canAccessUser(req, activity.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to delete this activity' });
+    }
+
+    await activityService.delete(req.params.id);
+    res.json({ success: true, message: 'Activity deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting activity:', error);
+    res.status(500).json({ error: 'Failed to delete activity' });
+  }
+});
+
+export default router;
@@ -8,6 +8,8 @@
  * Features:
  * - Store and retrieve user profile summary
  * - Manage user goals and preferences
+ * - Save the onboarding wizard's answers and seed a starter plan
+ * - Review and confirm the fitness profile extracted during onboarding
  * - Update AI memory with new learnings
  * - Support for embedding integration with vector store (Qdrant)
  * 
@@ -16,14 +18,59 @@
  * - Track user preferences and communication style
  * - Store actionable goals for follow-up
  * 
+ * All endpoints require authentication and only touch the caller's memory
+ * (admins may access any user's).
+ * 
  * @module service/routes/ai-memory.js
  */
 
 import express from 'express';
 import { aiMemoryService } from '../db/index.js';
+import { FITNESS_PROFILE_SCHEMA, memoryToProfile, normalizeFitnessProfile, profileToMemory } from '../LLM/onboarding.js';
+import { seedStarterPlan } from '../onboarding/seed.js';
+import { authenticateToken, authorizeUserParam } from './auth.js';
+import { validate, object, nullable, time, userIdParams } from '../validation/index.js';
 
 const router = express.Router();
 
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Normalize a submitted fitness profile before it is validated, so small
+ * formatting differences (case, surrounding spaces, empty list items) pass
+ * 
+ * @param {string|null} field - Body field holding the profile, or null for the whole body
+ * @returns {Function} Express middleware
+ */
+const normalizeProfileBody = (field) => (req, res, next) => {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  
+  if (!field) {
+    const body = req.body ?? {};
+    if (isObject(body)) req.body = normalizeFitnessProfile(body);
+  } else if (isObject(req.body?.[field])) {
+    req.body = { ...req.body, [field]: normalizeFitnessProfile(req.body[field]) };
+  }
+  next();
+};
+
+// ============================================================================
+// Request Schemas
+// ============================================================================
+
+const updateMemoryBody = object({
+  summary: nullable({ type: 'string' }),
+  goals: { description: 'Goals JSON, e.g. ["fitness", "learning"]' },
+  preferences: { type: 'object' },
+  profile: FITNESS_PROFILE_SCHEMA,
+  workoutTime: nullable(time),
+});
+
+// Goals and preferences are stored as sent (JSON)
+const memoryJsonBody = { type: 'object', minProperties: 1 };
+
 // ============================================================================
 // Routes
 // ============================================================================
@@ -36,10 +83,12 @@ const router = express.Router();
  * 
  * @returns {Object} User memory including summary, goals, and preferences
  * @status {200} Memory retrieved successfully
+ * @status {401} Unauthorized
+ * @status {403} Memory belongs to another user
  * @status {404} Memory not found for user
  * @status {500} Server error
  */
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', authenticateToken, authorizeUserParam(), validate({ params: userIdParams }), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -63,22 +112,44 @@ router.get('/:userId', async (req, res) => {
  * POST /api/ai-memory/:userId
  * Create or update AI memory for a user
  * 
+ * The onboarding wizard sends a `profile` instead of summary/goals. It is
+ * saved as a verified fitness profile, and a user without goals, workouts or
+ * a training plan also gets starter goals and a weekly workout calendar
+ * (see onboarding/seed.js).
+ * 
  * @param {string} req.params.userId - User ID
  * @param {Object} req.body - Memory data to store
  * @param {string} req.body.summary - User profile summary (e.g., "Active, goal-oriented")
  * @param {Array} req.body.goals - User goals (e.g., ["fitness", "learning"])
  * @param {Object} req.body.preferences - Communication preferences
+ * @param {Object} req.body.profile - Fitness profile from the onboarding wizard (FITNESS_PROFILE_SCHEMA)
+ * @param {string} req.body.workoutTime - Preferred workout time for seeded sessions, HH:mm (optional)
  * 
- * @returns {Object} Stored memory object
+ * @returns {Object} Stored memory object, plus `seeded` { goals, events } when a starter plan was created
  * @status {200} Memory updated successfully
  * @status {400} Validation error
+ * @status {401} Unauthorized
+ * @status {403} Memory belongs to another user
  * @status {404} User not found
  * @status {500} Server error
  */
-router.post('/:userId', async (req, res) => {
+router.post('/:userId', authenticateToken, authorizeUserParam(), normalizeProfileBody('profile'), validate({ params: userIdParams, body: updateMemoryBody }), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { summary, goals, preferences } = req.body;
+    const { summary, goals, preferences, profile: answers, workoutTime } = req.body || {};
+
+    if (answers !== undefined) {
+      const existing = await aiMemoryService.getByUser(userId);
+      const memory = await aiMemoryService.upsert(userId, {
+        ...profileToMemory(answers, { ...existing?.preferences, ...preferences }),
+        _manuallyVerified: true, // Entered by the user, nothing to review
+      });
+
+      // Only a user with nothing planned yet gets a starter plan (re-submitting never duplicates it)
+      const seeded = await seedStarterPlan(userId, answers, { workoutTime });
+
+      return res.json({ success: true, data: memory, seeded });
+    }
     
     const memory = await aiMemoryService.upsert(userId, {
       summary,
@@ -106,16 +177,115 @@ router.post('/:userId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/ai-memory/:userId/profile
+ * Fitness profile extracted during onboarding, for the user to review
+ * 
+ * @param {string} req.params.userId - User ID
+ * 
+ * @returns {Object} { profile, extraction: { method, confidence, warnings, extractedAt }, manuallyVerified }
+ * @status {200} Profile retrieved successfully
+ * @status {401} Unauthorized
+ * @status {403} Memory belongs to another user
+ * @status {404} No profile saved yet
+ * @status {500} Server error
+ */
+router.get('/:userId/profile', authenticateToken, authorizeUserParam(), validate({ params: userIdParams }), async (req, res) => {
+  try {
+    const memory = await aiMemoryService.getByUser(req.params.userId);
+
+    if (!memory) {
+      return res.status(404).json({ error: 'No profile saved for this user', success: false });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        profile: memoryToProfile(memory),
+        extraction: {
+          method: memory.extractionMethod,
+          confidence: memory.extractionConfidence,
+          warnings: memory.extractionWarnings || [],
+          extractedAt: memory.extractedAt,
+        },
+        manuallyVerified: memory.manuallyVerified,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching fitness profile:', error);
+    res.status(500).json({ error: 'Failed to fetch fitness profile', success: false });
+  }
+});
+
+/**
+ * PUT /api/ai-memory/:userId/profile
+ * Confirm the fitness profile, with any corrections, and mark it as
+ * manually verified. Onboarding extraction never overwrites a verified profile.
+ * A user without goals, workouts or a training plan also gets the starter
+ * plan (e.g. after onboarding through chat, see onboarding/seed.js).
+ * 
+ * @param {string} req.params.userId - User ID
+ * @param {Object} req.body - Profile matching FITNESS_PROFILE_SCHEMA (LLM/onboarding.js)
+ * @param {string} req.body.name - Name
+ * @param {Array<string>} req.body.goals - Goals (required, may be empty)
+ * @param {string} req.body.tone - Coaching tone
+ * @param {string} req.body.experienceLevel - "beginner", "intermediate" or "advanced"
+ * @param {Array<string>} req.body.injuries - Injuries or limitations
+ * @param {Array<string>} req.body.equipment - Available equipment
+ * @param {Array<string>} req.body.availableDays - Training days ("monday".."sunday")
+ * @param {string} req.body.sex - "male" or "female"
+ * @param {number} req.body.age - Age in years
+ * @param {number} req.body.heightCm - Height in centimetres
+ * @param {number} req.body.weightKg - Body weight in kilograms
+ * @param {string} req.body.nutritionGoal - "lose", "maintain" or "gain"
+ * 
+ * @returns {Object} { profile, manuallyVerified: true }, plus `seeded` { goals, events } when a starter plan was created
+ * @status {200} Profile confirmed
+ * @status {400} Profile does not match the schema
+ * @status {401} Unauthorized
+ * @status {403} Memory belongs to another user
+ * @status {404} User not found
+ * @status {500} Server error
+ */
+router.put('/:userId/profile', authenticateToken, authorizeUserParam(), normalizeProfileBody(null), validate({ params: userIdParams, body: FITNESS_PROFILE_SCHEMA }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const profile = req.body;
+
+    // Keep the extraction metadata so it stays visible what the user corrected
+    const existing = await aiMemoryService.getByUser(userId);
+    const memory = await aiMemoryService.upsert(userId, {
+      ...profileToMemory(profile, existing?.preferences),
+      _extractionMethod: existing?.extractionMethod,
+      _extractionConfidence: existing?.extractionConfidence,
+      _extractionWarnings: existing?.extractionWarnings,
+      _extractedAt: existing?.extractedAt,
+      _manuallyVerified: true,
+    });
+    const seeded = await seedStarterPlan(userId, profile);
+
+    res.json({
+      success: true,
+      data: { profile: memoryToProfile(memory), manuallyVerified: memory.manuallyVerified },
+      seeded,
+    });
+  } catch (error) {
+    console.error('Error confirming fitness profile:', error);
+
+    if (error.message.includes('User with ID') && error.message.includes('not found')) {
+      return res.status(404).json({ error: 'User not found', success: false });
+    }
+
+    res.status(500).json({ error: 'Failed to confirm fitness profile', success: false });
+  }
+});
+
 // PATCH /api/ai-memory/:userId/goals - Update user goals
-router.patch('/:userId/goals', async (req, res) => {
+router.patch('/:userId/goals', authenticateToken, authorizeUserParam(), validate({ params: userIdParams, body: memoryJsonBody }), async (req, res) => {
   try {
     const { userId } = req.params;
     const goals = req.body; // Accept the entire body as goals JSON
     
-    if (!goals || Object.keys(goals).length === 0) {
-      return res.status(400).json({ error: 'Goals data is required' });
-    }
-    
     const memory = await aiMemoryService.updateGoals(userId, goals);
     res.json({ success: true, data: memory });
   } catch (error) {
@@ -135,15 +305,11 @@ router.patch('/:userId/goals', async (req, res) => {
 });
 
 // PATCH /api/ai-memory/:userId/preferences - Update user preferences
-router.patch('/:userId/preferences', async (req, res) => {
+router.patch('/:userId/preferences', authenticateToken, authorizeUserParam(), validate({ params: userIdParams, body: memoryJsonBody }), async (req, res) => {
   try {
     const { userId } = req.params;
     const preferences = req.body; // Accept the entire body as preferences JSON
     
-    if (!preferences || Object.keys(preferences).length === 0) {
-      return res.status(400).json({ error: 'Preferences data is required' });
-    }
-    
     const memory = await aiMemoryService.updatePreferences(userId, preferences);
     res.json({ success: true, data: memory });
   } catch (error) {
@@ -163,7 +329,7 @@ router.patch('/:userId/preferences', async (req, res) => {
 });
 
 // DELETE /api/ai-memory/:userId - Delete AI memory
-router.delete('/:userId', async (req, res) => {
+router.delete('/:userId', authenticateToken, authorizeUserParam(), validate({ params: userIdParams }), async (req, res) => {
   try {
     await aiMemoryService.delete(req.params.userId);
     res.json({ success: true, message: 'AI memory deleted successfully' });
@@ -4,11 +4,28 @@
  * ============================================================================
  * 
  * Handles user authentication including:
- * - User registration
+ * - User registration (sends an email verification code)
  * - User login
- * - User logout
+ * - User logout (revokes the device's refresh token)
+ * - Password reset and email verification with emailed single-use tokens
  * - Token validation
- * - JWT token generation and verification
+ * - JWT access token generation and verification
+ * - Refresh token rotation
+ * - Authorization helpers scoping requests to the caller (or an admin)
+ * 
+ * Sessions use two tokens:
+ * - Access token: short-lived JWT sent as "Authorization: Bearer <token>"
+ * - Refresh token: long-lived opaque token, one active per device, exchanged
+ *   for a new access/refresh pair at POST /api/auth/refresh. Every refresh
+ *   rotates it; presenting an already rotated token revokes the device's session.
+ * 
+ * Environment Variables:
+ * - JWT_SECRET: Secret used to sign access tokens
+ * - JWT_EXPIRES_IN: Access token lifetime (default: 15m)
+ * - REFRESH_TOKEN_TTL_DAYS: Refresh token lifetime in days (default: 30)
+ * - PASSWORD_RESET_TTL_MINUTES: Reset code lifetime (default: 60)
+ * - EMAIL_VERIFICATION_TTL_HOURS: Verification code lifetime (default: 48)
+ * - Mail delivery settings: see mail/transport.js
  * 
  * All endpoints return standardized JSON responses with success flag and data.
  * 
@@ -18,7 +35,11 @@
 import express from 'express';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
-import { userService } from '../db/index.js';
+import crypto from 'crypto';
+import { userService, refreshTokenService, accountTokenService } from '../db/index.js';
+import { sendMail } from '../mail/transport.js';
+import { passwordResetEmail, emailVerificationEmail } from '../mail/templates.js';
+import { validate, sendValidationError, fieldError, object, nullable } from '../validation/index.js';
 
 const router = express.Router();
 
@@ -29,24 +50,190 @@ const router = express.Router();
 /** Number of salt rounds for bcrypt password hashing (higher = more secure but slower) */
 const SALT_ROUNDS = 12;
 
+/** Role of regular accounts */
+export const USER_ROLE = 'user';
+
+/** Role allowed to read and modify every user's data */
+export const ADMIN_ROLE = 'admin';
+
+/** Lifetime of access tokens */
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+
+/** Lifetime of refresh tokens in days */
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/** Longest accepted device identifier / name */
+const MAX_DEVICE_FIELD_LENGTH = 200;
+
+/** Shortest accepted password */
+const MIN_PASSWORD_LENGTH = 6;
+
+/** Lifetime of password reset codes in minutes */
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+/** Lifetime of email verification codes in hours */
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+
+/** AccountToken purposes */
+const TOKEN_PURPOSE = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+};
+
 // ============================================================================
 // Helper Functions
 // ============================================================================
 
 /**
- * Generate a JWT token for a user
+ * Generate a JWT access token for a user
  * 
  * @param {string} userId - The user's unique ID
+ * @param {string} role - The user's role ("user" or "admin")
  * @returns {string} JWT token string
  */
-const generateToken = (userId) => {
+const generateToken = (userId, role = USER_ROLE) => {
   return jwt.sign(
-    { userId },
+    { userId, role },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+/**
+ * Hash an opaque token (refresh or emailed token) for storage and lookup
+ * 
+ * @param {string} token - Opaque token
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a new opaque refresh token and its expiry
+ * 
+ * @returns {Object} { refreshToken, tokenHash, expiresAt }
+ */
+const generateRefreshToken = () => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  return { refreshToken, tokenHash: hashToken(refreshToken), expiresAt };
+};
+
+/**
+ * Build the token part of an auth response
+ * 
+ * @param {Object} user - User the session belongs to ({ id, role })
+ * @param {string} refreshToken - Refresh token to hand to the client
+ * @param {string} deviceId - Device the session belongs to
+ * @returns {Object} { token, refreshToken, expiresIn, deviceId }
+ */
+const buildSessionTokens = (user, refreshToken, deviceId) => {
+  const token = generateToken(user.id, user.role);
+  const { exp, iat } = jwt.decode(token);
+  return { token, refreshToken, expiresIn: exp - iat, deviceId };
+};
+
+/**
+ * Start a new session on a device
+ * Revokes any session the device already had, so each device holds one
+ * active refresh token.
+ * 
+ * @param {Object} user - User signing in ({ id, role })
+ * @param {Object} device - { deviceId, deviceName } from the request body (both optional)
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn, deviceId }
+ */
+const createSession = async (user, { deviceId, deviceName } = {}) => {
+  const sessionDeviceId = deviceId || crypto.randomUUID();
+  await refreshTokenService.revokeDevice(user.id, sessionDeviceId);
+
+  const { refreshToken, tokenHash, expiresAt } = generateRefreshToken();
+  await refreshTokenService.create({
+    userId: user.id,
+    deviceId: sessionDeviceId,
+    deviceName,
+    tokenHash,
+    expiresAt,
+  });
+
+  return buildSessionTokens(user, refreshToken, sessionDeviceId);
+};
+
+/**
+ * Issue an emailed single-use token
+ * Any earlier unused token of the same purpose stops working.
+ * 
+ * @param {string} userId - User ID
+ * @param {string} purpose - One of TOKEN_PURPOSE
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @returns {Promise<string>} Token to put in the email
+ */
+const issueAccountToken = async (userId, purpose, ttlMs) => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  await accountTokenService.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+/**
+ * Email a user a new verification code
+ * 
+ * @param {Object} user - User ({ id, email, name })
+ * @returns {Promise<void>}
+ * @throws {Error} If the mail cannot be sent
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await issueAccountToken(
+    user.id,
+    TOKEN_PURPOSE.EMAIL_VERIFICATION,
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
   );
+  await sendMail({
+    to: user.email,
+    ...emailVerificationEmail({ user, token, expiresInHours: EMAIL_VERIFICATION_TTL_HOURS }),
+  });
 };
 
+// ============================================================================
+// Request Schemas
+// ============================================================================
+
+const deviceField = nullable({ type: 'string', minLength: 1, maxLength: MAX_DEVICE_FIELD_LENGTH });
+
+const password = { type: 'string', minLength: MIN_PASSWORD_LENGTH };
+
+const registerBody = object({
+  email: { type: 'string', format: 'email' },
+  password,
+  name: nullable({ type: 'string' }),
+  deviceId: deviceField,
+  deviceName: deviceField,
+}, ['email', 'password']);
+
+const loginBody = object({
+  email: { type: 'string', minLength: 1 },
+  password: { type: 'string', minLength: 1 },
+  deviceId: deviceField,
+  deviceName: deviceField,
+}, ['email', 'password']);
+
+const refreshBody = object({ refreshToken: { type: 'string', minLength: 1 } }, ['refreshToken']);
+
+const logoutBody = object({
+  refreshToken: nullable({ type: 'string' }),
+  allDevices: { type: 'boolean' },
+});
+
+const forgotPasswordBody = object({ email: { type: 'string', minLength: 1 } }, ['email']);
+
+const resetPasswordBody = object({ token: { type: 'string', minLength: 1 }, password }, ['token', 'password']);
+
+const verifyEmailBody = object({ token: { type: 'string', minLength: 1 } }, ['token']);
+
 // ============================================================================
 // Routes
 // ============================================================================
@@ -59,35 +246,19 @@ const generateToken = (userId) => {
  * @param {string} req.body.email - User email (required)
  * @param {string} req.body.password - User password, min 6 chars (required)
  * @param {string} req.body.name - User's full name (optional)
+ * @param {string} req.body.deviceId - Stable device identifier (optional, generated if omitted)
+ * @param {string} req.body.deviceName - Device display name (optional)
  * 
- * @returns {Object} User data and JWT token
+ * @returns {Object} User data, access token, refresh token, expiresIn (seconds) and deviceId
  * @status {201} User created successfully
- * @status {400} Validation error (missing fields, password too short)
+ * @status {400} Validation error (missing fields, password too short, invalid device fields)
  * @status {409} Email already registered
  * @status {500} Server error
  */
-router.post('/register', async (req, res) => {
+router.post('/register', validate({ body: registerBody }), async (req, res) => {
   try {
     const { email, password, name } = req.body;
     
-    // ====================================================================
-    // Input Validation
-    // ====================================================================
-    
-    if (!email || !password) {
-      return res.status(400).json({ 
-        error: 'Email and password are required',
-        success: false 
-      });
-    }
-    
-    if (password.length < 6) {
-      return res.status(400).json({ 
-        error: 'Password must be at least 6 characters long',
-        success: false 
-      });
-    }
-    
     // ====================================================================
     // Check for Duplicate Email
     // ====================================================================
@@ -114,11 +285,18 @@ router.post('/register', async (req, res) => {
       passwordHash 
     });
     
+    // The account works without verification, so a mail failure must not fail sign-up
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error(`⚠️ Could not send verification email to user ${user.id}:`, mailError.message);
+    }
+    
     // ====================================================================
     // Generate Token & Return Response
     // ====================================================================
     
-    const token = generateToken(user.id);
+    const session = await createSession(user, req.body);
     const { passwordHash: _, ...userWithoutPassword } = user;
     
     res.status(201).json({
@@ -126,7 +304,7 @@ router.post('/register', async (req, res) => {
       message: 'User registered successfully',
       data: {
         user: userWithoutPassword,
-        token
+        ...session
       }
     });
   } catch (error) {
@@ -145,28 +323,19 @@ router.post('/register', async (req, res) => {
  * @param {Object} req.body - Request body
  * @param {string} req.body.email - User email (required)
  * @param {string} req.body.password - User password (required)
+ * @param {string} req.body.deviceId - Stable device identifier (optional, generated if omitted)
+ * @param {string} req.body.deviceName - Device display name (optional)
  * 
- * @returns {Object} User data and JWT token
+ * @returns {Object} User data, access token, refresh token, expiresIn (seconds) and deviceId
  * @status {200} Login successful
  * @status {400} Validation error
  * @status {401} Invalid credentials
  * @status {500} Server error
  */
-router.post('/login', async (req, res) => {
+router.post('/login', validate({ body: loginBody }), async (req, res) => {
   try {
     const { email, password } = req.body;
     
-    // ====================================================================
-    // Input Validation
-    // ====================================================================
-    
-    if (!email || !password) {
-      return res.status(400).json({ 
-        error: 'Email and password are required',
-        success: false 
-      });
-    }
-    
     // ====================================================================
     // Find User by Email
     // ====================================================================
@@ -195,7 +364,7 @@ router.post('/login', async (req, res) => {
     // Generate Token & Return Response
     // ====================================================================
     
-    const token = generateToken(user.id);
+    const session = await createSession(user, req.body);
     const { passwordHash: _, ...userWithoutPassword } = user;
     
     res.json({
@@ -203,7 +372,7 @@ router.post('/login', async (req, res) => {
       message: 'Login successful',
       data: {
         user: userWithoutPassword,
-        token
+        ...session
       }
     });
   } catch (error) {
@@ -215,18 +384,315 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and a new refresh token
+ * The presented refresh token is revoked. Presenting a token that was already
+ * rotated is treated as theft and revokes every token of that device.
+ * 
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.refreshToken - Current refresh token (required)
+ * 
+ * @returns {Object} New access token, refresh token, expiresIn (seconds) and deviceId
+ * @status {200} Tokens refreshed
+ * @status {400} Refresh token missing
+ * @status {401} Refresh token invalid, expired or revoked
+ * @status {500} Server error
+ */
+router.post('/refresh', validate({ body: refreshBody }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    // ====================================================================
+    // Look Up & Check Token
+    // ====================================================================
+    
+    const stored = await refreshTokenService.getByHash(hashToken(refreshToken));
+    if (!stored) {
+      return res.status(401).json({ 
+        error: 'Invalid refresh token',
+        success: false 
+      });
+    }
+    
+    if (stored.revokedAt) {
+      if (stored.replacedById) {
+        // A rotated token came back: someone else may hold a copy of it
+        console.warn(`⚠️ Refresh token reuse detected for user ${stored.userId}, revoking device ${stored.deviceId}`);
+        await refreshTokenService.revokeDevice(stored.userId, stored.deviceId);
+      }
+      return res.status(401).json({ 
+        error: 'Refresh token has been revoked',
+        success: false 
+      });
+    }
+    
+    if (stored.expiresAt <= new Date()) {
+      return res.status(401).json({ 
+        error: 'Refresh token has expired',
+        success: false 
+      });
+    }
+    
+    // Re-read the role so role changes reach the next access token
+    const role = await userService.getRole(stored.userId);
+    if (!role) {
+      return res.status(401).json({ 
+        error: 'User no longer exists',
+        success: false 
+      });
+    }
+    
+    // ====================================================================
+    // Rotate Token & Return Response
+    // ====================================================================
+    
+    const next = generateRefreshToken();
+    const rotated = await refreshTokenService.rotate(stored.id, {
+      tokenHash: next.tokenHash,
+      expiresAt: next.expiresAt,
+    });
+    
+    if (!rotated) {
+      // Lost a race with another refresh using the same token
+      return res.status(401).json({ 
+        error: 'Refresh token has been revoked',
+        success: false 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: buildSessionTokens({ id: stored.userId, role }, next.refreshToken, stored.deviceId)
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ 
+      error: 'Failed to refresh token',
+      success: false 
+    });
+  }
+});
+
 /**
  * POST /api/auth/logout
- * Logout user (server-side logout, client removes token)
+ * Logout user by revoking the refresh token of the device
+ * Access tokens already issued stay valid until they expire (JWT_EXPIRES_IN),
+ * so the client should also remove them from storage.
  * 
- * @returns {Object} Success message
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.refreshToken - The device's refresh token (optional)
+ * @param {boolean} req.body.allDevices - Also revoke the user's other devices (default: false)
+ * 
+ * @returns {Object} Success message and number of sessions revoked
  * @status {200} Logout successful
+ * @status {400} Validation error
+ * @status {500} Server error
  */
-router.post('/logout', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful. Please remove the token from client storage.'
-  });
+router.post('/logout', validate({ body: logoutBody }), async (req, res) => {
+  try {
+    const { refreshToken, allDevices = false } = req.body || {};
+    let revoked = 0;
+    
+    if (typeof refreshToken === 'string' && refreshToken) {
+      const stored = await refreshTokenService.getByHash(hashToken(refreshToken));
+      
+      if (stored) {
+        const { count } = allDevices === true
+          ? await refreshTokenService.revokeAllForUser(stored.userId)
+          : await refreshTokenService.revokeDevice(stored.userId, stored.deviceId);
+        revoked = count;
+      }
+    }
+    
+    res.json({
+      success: true,
+      message: 'Logout successful. Please remove the tokens from client storage.',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Error logging out user:', error);
+    res.status(500).json({ 
+      error: 'Failed to logout user',
+      success: false 
+    });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset code
+ * Always responds the same way so the endpoint cannot be used to find out
+ * which emails are registered.
+ * 
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - Account email (required)
+ * 
+ * @returns {Object} Success message
+ * @status {200} Reset code sent if the account exists
+ * @status {400} Email missing
+ * @status {500} Server error
+ */
+router.post('/forgot-password', validate({ body: forgotPasswordBody }), async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    const user = await userService.getByEmail(email);
+    if (user) {
+      const token = await issueAccountToken(
+        user.id,
+        TOKEN_PURPOSE.PASSWORD_RESET,
+        PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+      );
+      
+      try {
+        await sendMail({
+          to: user.email,
+          ...passwordResetEmail({ user, token, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES }),
+        });
+        console.log(`🔑 Password reset code sent to user ${user.id}`);
+      } catch (mailError) {
+        console.error(`⚠️ Could not send password reset email to user ${user.id}:`, mailError.message);
+      }
+    }
+    
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset code has been sent.'
+    });
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ 
+      error: 'Failed to request password reset',
+      success: false 
+    });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password using an emailed reset code
+ * The code works once. Every session of the user is revoked, so all devices
+ * must sign in again with the new password.
+ * 
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.token - Reset code from the email (required)
+ * @param {string} req.body.password - New password, min 6 chars (required)
+ * 
+ * @returns {Object} Success message
+ * @status {200} Password reset
+ * @status {400} Missing fields, password too short, or invalid/used/expired code
+ * @status {500} Server error
+ */
+router.post('/reset-password', validate({ body: resetPasswordBody }), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    const redeemed = await accountTokenService.consume(hashToken(token.trim()), TOKEN_PURPOSE.PASSWORD_RESET);
+    if (!redeemed) {
+      return sendValidationError(res, [fieldError('body', 'token', 'Invalid or expired reset code')]);
+    }
+    
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+    await userService.update(redeemed.userId, { passwordHash });
+    await refreshTokenService.revokeAllForUser(redeemed.userId);
+    
+    console.log(`🔑 Password reset for user ${redeemed.userId}`);
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password.'
+    });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ 
+      error: 'Failed to reset password',
+      success: false 
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm the account's email address using an emailed verification code
+ * 
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.token - Verification code from the email (required)
+ * 
+ * @returns {Object} { emailVerifiedAt }
+ * @status {200} Email verified
+ * @status {400} Missing, invalid, used or expired code
+ * @status {500} Server error
+ */
+router.post('/verify-email', validate({ body: verifyEmailBody }), async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    const redeemed = await accountTokenService.consume(hashToken(token.trim()), TOKEN_PURPOSE.EMAIL_VERIFICATION);
+    if (!redeemed) {
+      return sendValidationError(res, [fieldError('body', 'token', 'Invalid or expired verification code')]);
+    }
+    
+    const user = await userService.update(redeemed.userId, { emailVerifiedAt: new Date() });
+    
+    console.log(`✅ Email verified for user ${user.id}`);
+    res.json({
+      success: true,
+      message: 'Email verified',
+      data: { emailVerifiedAt: user.emailVerifiedAt }
+    });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({ 
+      error: 'Failed to verify email',
+      success: false 
+    });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Email the authenticated user a new verification code
+ * Earlier codes stop working.
+ * 
+ * @param {string} req.headers.authorization - Bearer token (required)
+ * 
+ * @returns {Object} Success message
+ * @status {200} Verification code sent
+ * @status {400} Email already verified
+ * @status {401} Token missing, invalid or expired
+ * @status {404} User not found
+ * @status {500} Server error or mail delivery failed
+ */
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await userService.getById(req.userId);
+    
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        success: false 
+      });
+    }
+    
+    if (user.emailVerifiedAt) {
+      return res.status(400).json({ 
+        error: 'Email is already verified',
+        success: false 
+      });
+    }
+    
+    await sendVerificationEmail(user);
+    res.json({
+      success: true,
+      message: 'Verification code sent'
+    });
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    res.status(500).json({ 
+      error: 'Failed to send verification email',
+      success: false 
+    });
+  }
 });
 
 /**
@@ -238,8 +704,7 @@ router.post('/logout', (req, res) => {
  * 
  * @returns {Object} Current user profile data
  * @status {200} User found
- * @status {401} Token missing or invalid
- * @status {403} Token expired
+ * @status {401} Token missing, invalid or expired
  * @status {404} User not found
  * @status {500} Server error
  */
@@ -277,7 +742,9 @@ router.get('/me', authenticateToken, async (req, res) => {
 /**
  * Middleware to authenticate JWT token
  * Extracts token from Authorization header and verifies it
- * Populates req.userId and req.user if valid
+ * Populates req.userId and req.user ({ id, role }) if valid
+ * Responds 401 with code TOKEN_EXPIRED when the access token has expired,
+ * telling the client to call POST /api/auth/refresh and retry.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -298,17 +765,78 @@ export function authenticateToken(req, res, next) {
   // Verify JWT token
   jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
     if (err) {
-      return res.status(403).json({ 
-        error: 'Invalid or expired token',
+      const expired = err.name === 'TokenExpiredError';
+      return res.status(401).json({ 
+        error: expired ? 'Access token expired' : 'Invalid access token',
+        code: expired ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID',
         success: false 
       });
     }
     
-    // Attach user ID to request for use in routes
+    // Attach user ID and role to request for use in routes
     req.userId = decoded.userId;
-    req.user = { id: decoded.userId };
+    req.user = { id: decoded.userId, role: decoded.role || USER_ROLE };
     next();
   });
 }
 
+/**
+ * Check whether the authenticated user is an admin
+ * 
+ * @param {Object} req - Express request object (after authenticateToken)
+ * @returns {boolean} True for admins
+ */
+export function isAdmin(req) {
+  return req.user?.role === ADMIN_ROLE;
+}
+
+/**
+ * Check whether the authenticated user may read or modify data owned by a user
+ * Users may access their own data; admins may access everyone's.
+ * 
+ * @param {Object} req - Express request object (after authenticateToken)
+ * @param {string} ownerId - ID of the user that owns the data
+ * @returns {boolean} True if access is allowed
+ */
+export function canAccessUser(req, ownerId) {
+  return Boolean(req.user) && (req.user.id === ownerId || isAdmin(req));
+}
+
+/**
+ * Middleware factory restricting a route to the user named in a URL parameter
+ * Use after authenticateToken on routes like /user/:userId.
+ * 
+ * @param {string} param - Name of the route parameter holding the user ID (default: "userId")
+ * @returns {Function} Express middleware responding 403 to other users
+ */
+export function authorizeUserParam(param = 'userId') {
+  return (req, res, next) => {
+    if (!canAccessUser(req, req.params[param])) {
+      return res.status(403).json({ 
+        error: 'Unauthorized to access this user\'s data',
+        success: false 
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware restricting a route to admins
+ * Use after authenticateToken.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export function requireAdmin(req, res, next) {
+  if (!isAdmin(req)) {
+    return res.status(403).json({ 
+      error: 'Admin access required',
+      success: false 
+    });
+  }
+  next();
+}
+
 export default router;
\ No newline at end of file
@@ -7,7 +7,10 @@
  * 
  * Features:
  * - Create calendar events with optional recurrence
- * - Support for daily, weekly, biweekly, monthly, yearly patterns
+ * - Support for daily, weekly, biweekly, monthly, yearly patterns and RRULEs
+ * - Expand recurring events into occurrences for a date range
+ * - Skip, move or complete single occurrences of a recurring event
+ * - Export to and import from iCalendar (.ics) files
  * - Retrieve events by date or user
  * - Update and delete events
  * - Validate date/time input formats
@@ -18,74 +21,320 @@
 
 import express from 'express';
 import { calendarEventService } from '../db/index.js';
-import { authenticateToken } from './auth.js';
+import { authenticateToken, canAccessUser } from './auth.js';
+import { parseRRule, expandEvents, isOccurrenceDate } from '../calendar/recurrence.js';
+import { serializeCalendar, parseCalendar, eventUid } from '../calendar/ical.js';
+import { validate, sendValidationError, fieldError, object, nullable, text, id, date, dateTime, time, flag, limit, cursor, queryFlag, queryLimit, idParams } from '../validation/index.js';
 
 const router = express.Router();
 
+/** Longest range GET /api/calendar/occurrences will expand */
+const MAX_OCCURRENCE_RANGE_DAYS = 366;
+
+/** Most events accepted in one POST /api/calendar/import */
+const MAX_IMPORT_EVENTS = 1000;
+
+/** Legacy recurrence patterns (rrule covers everything else) */
+const RECURRING_TYPES = ['daily', 'weekly', 'biweekly', 'monthly', 'yearly'];
+
 // ============================================================================
 // Helpers
 // ============================================================================
 
 /**
- * Validate date and time input formats
+ * Validate recurrence input the request schemas cannot check: the RRULE
+ * itself and recurringDays sent as a JSON string
  * 
- * @param {string} date - Date in YYYY-MM-DD format
- * @param {string} time - Time in HH:mm format (24-hour)
- * @returns {Array} Array of validation error messages
+ * @param {Object} body - Request body ({ rrule, recurringDays })
+ * @returns {Array} Field errors
  */
-const validateDateTimeInput = (date, time) => {
+const validateRecurrenceInput = ({ rrule, recurringDays }) => {
   const errors = [];
   
-  if (!date) {
-    errors.push('Event date is required (YYYY-MM-DD format)');
-  } else {
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(date)) {
-      errors.push('Invalid date format. Use YYYY-MM-DD');
-    } else {
-      const dateObj = new Date(date);
-      if (isNaN(dateObj.getTime())) {
-        errors.push('Invalid date value');
-      }
+  if (rrule) {
+    try {
+      parseRRule(rrule);
+    } catch (error) {
+      errors.push(fieldError('body', 'rrule', `Invalid rrule: ${error.message}`));
     }
   }
   
-  if (time) {
-    const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
-    if (!timeRegex.test(time)) {
-      errors.push('Invalid time format. Use HH:mm (24-hour format)');
+  if (typeof recurringDays === 'string' && recurringDays) {
+    let days = null;
+    try {
+      days = JSON.parse(recurringDays);
+    } catch (e) {
+      // Reported below
+    }
+    if (!Array.isArray(days) || !days.every(d => typeof d === 'number' && d >= 0 && d <= 6)) {
+      errors.push(fieldError('body', 'recurringDays', 'recurringDays must be a JSON array of numbers 0-6 (e.g., [1,3,5] for Mon/Wed/Fri)'));
     }
   }
   
   return errors;
 };
 
+// ============================================================================
+// Request Schemas
+// ============================================================================
+
+const eventFields = {
+  title: text(),
+  type: { type: 'string' },
+  date,
+  time: nullable(time),
+  description: nullable({ type: 'string' }),
+  recurring: nullable({ type: 'string', enum: RECURRING_TYPES }),
+  recurringDays: {
+    type: ['array', 'string', 'null'],
+    items: { type: 'integer', minimum: 0, maximum: 6 },
+    description: 'Days of the week (0-6) for weekly recurrence, as an array or a JSON string, e.g. [1,3,5]',
+  },
+  recurringEndDate: nullable(dateTime),
+  rrule: nullable({ type: 'string', example: 'FREQ=WEEKLY;BYDAY=MO,WE,FR' }),
+  exdates: nullable({ type: 'array', items: date }),
+};
+
+const createEventBody = object(eventFields, ['title', 'date']);
+
+const updateEventBody = object({ ...eventFields, completed: { type: 'boolean' } });
+
+const listEventsQuery = object({
+  cursor,
+  limit: limit(500),
+  type: { type: 'string' },
+  completed: flag,
+  from: date,
+  to: date,
+});
+
+const occurrencesQuery = object({ from: date, to: date }, ['from', 'to']);
+
+const occurrenceParams = object({ id, date }, ['id', 'date']);
+
+const occurrenceOverrideBody = object({
+  cancelled: { type: 'boolean' },
+  date: nullable(date),
+  time: nullable(time),
+  title: nullable({ type: 'string' }),
+  description: nullable({ type: 'string' }),
+  completed: nullable({ type: 'boolean' }),
+});
+
+// Raw iCalendar text, or JSON { ics }
+const importBody = {
+  type: ['string', 'object'],
+  properties: { ics: { type: 'string', minLength: 1 } },
+  required: ['ics'],
+};
+
 // ============================================================================
 // Routes
 // ============================================================================
 
 /**
  * GET /api/calendar
- * Retrieve all calendar events for the authenticated user
+ * Retrieve a page of the authenticated user's calendar events, by date
+ * A recurring series is listed once, under its first date; use
+ * /occurrences to expand series into dates.
  * 
- * @returns {Array} User's calendar events
+ * @param {string} req.query.cursor - nextCursor of the previous page (optional)
+ * @param {number} req.query.limit - Page size (default: 100)
+ * @param {string} req.query.type - Only this event type (optional)
+ * @param {boolean} req.query.completed - Only completed or only open events (optional)
+ * @param {string} req.query.from - First day, YYYY-MM-DD (optional, inclusive)
+ * @param {string} req.query.to - Last day, YYYY-MM-DD (optional, inclusive)
+ * 
+ * @returns {Object} { data: events, nextCursor } - nextCursor is null on the last page
  * @status {200} Events retrieved successfully
+ * @status {400} Invalid query
  * @status {401} Unauthorized
  * @status {500} Server error
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, validate({ query: listEventsQuery }), async (req, res) => {
   try {
     const userId = req.user.id;
+    const { cursor, type, from, to } = req.query;
     
-    const events = await calendarEventService.getByUser(userId);
+    const page = await calendarEventService.getPage(userId, {
+      cursor,
+      limit: queryLimit(req.query.limit),
+      type,
+      completed: queryFlag(req.query.completed),
+      from,
+      to,
+    });
     
-    res.json({ success: true, data: events });
+    res.json({ success: true, data: page.items, nextCursor: page.nextCursor });
   } catch (error) {
     console.error('Error fetching calendar events:', error);
     res.status(500).json({ error: 'Failed to fetch calendar events', success: false });
   }
 });
 
+/**
+ * GET /api/calendar/occurrences
+ * Expand the authenticated user's events (one-time and recurring) into the
+ * occurrences between two dates, with exceptions and overrides applied
+ * 
+ * @param {string} req.query.from - First day, YYYY-MM-DD (inclusive)
+ * @param {string} req.query.to - Last day, YYYY-MM-DD (inclusive, at most 366 days after from)
+ * 
+ * @returns {Array} Occurrences sorted by date and time:
+ *   { eventId, occurrenceDate, date, time, title, description, type, completed, recurring, rrule, overridden }
+ * @status {200} Occurrences retrieved successfully
+ * @status {400} Missing or invalid range
+ * @status {401} Unauthorized
+ * @status {500} Server error
+ */
+router.get('/occurrences', authenticateToken, validate({ query: occurrencesQuery }), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { from, to } = req.query;
+    
+    const rangeDays = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000);
+    if (rangeDays < 0) {
+      return sendValidationError(res, [fieldError('query', 'to', 'from must not be after to')]);
+    }
+    if (rangeDays > MAX_OCCURRENCE_RANGE_DAYS) {
+      return sendValidationError(res, [fieldError('query', 'to', `Date range cannot exceed ${MAX_OCCURRENCE_RANGE_DAYS} days`)]);
+    }
+    
+    const events = await calendarEventService.getForRange(userId, from, to);
+    const occurrences = expandEvents(events, from, to);
+    
+    res.json({ success: true, data: occurrences });
+  } catch (error) {
+    console.error('Error expanding calendar occurrences:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar occurrences' });
+  }
+});
+
+/**
+ * GET /api/calendar/export.ics
+ * Download the authenticated user's calendar events as an iCalendar file,
+ * including recurrence rules, excluded dates and overridden occurrences
+ * 
+ * @returns {string} text/calendar document
+ * @status {200} Calendar exported
+ * @status {401} Unauthorized
+ * @status {500} Server error
+ */
+router.get('/export.ics', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    const events = await calendarEventService.getByUser(userId);
+    const ics = serializeCalendar(events);
+    
+    console.log(`📤 Exported ${events.length} calendar events for user ${userId}`);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="calendar.ics"');
+    res.send(ics);
+  } catch (error) {
+    console.error('Error exporting calendar:', error);
+    res.status(500).json({ error: 'Failed to export calendar' });
+  }
+});
+
+/**
+ * POST /api/calendar/import
+ * Import events from an iCalendar file
+ * 
+ * Send the file as the raw body (Content-Type: text/calendar) or as JSON
+ * ({ "ics": "BEGIN:VCALENDAR..." }). Events whose UID the user already has
+ * are skipped, so importing the same file twice does not create duplicates.
+ * 
+ * @returns {Object} { imported, events, skipped: [{ uid, summary, reason }] }
+ * @status {201} At least one event imported
+ * @status {200} Nothing imported (see skipped)
+ * @status {400} Missing or invalid iCalendar data, or too many events
+ * @status {401} Unauthorized
+ * @status {500} Server error
+ */
+router.post(
+  '/import',
+  authenticateToken,
+  express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }),
+  validate({ body: importBody }),
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const ics = typeof req.body === 'string' ? req.body : req.body.ics;
+      
+      if (!ics) {
+        return sendValidationError(res, [fieldError('body', 'ics', 
+          'Send an iCalendar file as the body (Content-Type: text/calendar) or JSON { "ics": "..." }'
+        )]);
+      }
+      
+      let parsed;
+      try {
+        parsed = parseCalendar(ics);
+      } catch (error) {
+        return sendValidationError(res, [fieldError('body', 'ics', error.message)]);
+      }
+      
+      if (parsed.events.length > MAX_IMPORT_EVENTS) {
+        return sendValidationError(res, [fieldError('body', 'ics', `A single import is limited to ${MAX_IMPORT_EVENTS} events`)]);
+      }
+      
+      const knownUids = new Set((await calendarEventService.getUids(userId)).map(eventUid));
+      const imported = [];
+      const skipped = [...parsed.skipped];
+      
+      for (const entry of parsed.events) {
+        if (knownUids.has(entry.uid)) {
+          skipped.push({ uid: entry.uid, summary: entry.title, reason: 'Already imported (duplicate UID)' });
+          continue;
+        }
+        
+        let event;
+        try {
+          event = await calendarEventService.create({
+            userId,
+            uid: entry.uid,
+            title: entry.title,
+            type: entry.type,
+            date: entry.date,
+            time: entry.time,
+            description: entry.description,
+            rrule: entry.rrule,
+            exdates: entry.exdates,
+          });
+        } catch (error) {
+          skipped.push({ uid: entry.uid, summary: entry.title, reason: error.message });
+          continue;
+        }
+        
+        for (const override of entry.overrides) {
+          try {
+            await calendarEventService.upsertOverride(event.id, override.originalDate, override);
+          } catch (error) {
+            skipped.push({ 
+              uid: entry.uid, 
+              summary: entry.title, 
+              reason: `Occurrence ${override.originalDate} not imported: ${error.message}` 
+            });
+          }
+        }
+        
+        knownUids.add(entry.uid);
+        imported.push(event);
+      }
+      
+      console.log(`📥 Imported ${imported.length} calendar events for user ${userId} (${skipped.length} skipped)`);
+      res.status(imported.length > 0 ? 201 : 200).json({ 
+        success: true, 
+        data: { imported: imported.length, events: imported, skipped } 
+      });
+    } catch (error) {
+      console.error('Error importing calendar:', error);
+      res.status(500).json({ error: 'Failed to import calendar' });
+    }
+  }
+);
+
 /**
  * GET /api/calendar/:id
  * Retrieve a specific calendar event
@@ -94,10 +343,12 @@ router.get('/', authenticateToken, async (req, res) => {
  * 
  * @returns {Object} Calendar event details
  * @status {200} Event found
+ * @status {401} Unauthorized
+ * @status {403} Event belongs to another user
  * @status {404} Event not found
  * @status {500} Server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
   try {
     const event = await calendarEventService.getById(req.params.id);
     
@@ -105,7 +356,10 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Event not found' });
     }
     
-    // Skip ownership check for testing
+    // Verify ownership
+    if (!canAccessUser(req, event.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to view this event' });
+    }
     
     res.json({ success: true, data: event });
   } catch (error) {
@@ -115,46 +369,14 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/calendar - Create new calendar event
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, validate({ body: createEventBody }), async (req, res) => {
   try {
-    const { title, type = 'event', date, time, description, recurring, recurringDays, recurringEndDate } = req.body;
+    const { title, type = 'event', date, time, description, recurring, recurringDays, recurringEndDate, rrule, exdates } = req.body;
     const userId = req.user.id;
     
-    if (!title) {
-      return res.status(400).json({ error: 'Event title is required' });
-    }
-    
-    // Validate date and time format
-    const validationErrors = validateDateTimeInput(date, time);
-    if (validationErrors.length > 0) {
-      return res.status(400).json({ 
-        error: 'Invalid date/time format', 
-        details: validationErrors 
-      });
-    }
-    
-    // Validate recurring pattern if provided
-    const validRecurringTypes = ['daily', 'weekly', 'biweekly', 'monthly', 'yearly'];
-    if (recurring && !validRecurringTypes.includes(recurring)) {
-      return res.status(400).json({ 
-        error: `Invalid recurring type. Must be one of: ${validRecurringTypes.join(', ')}` 
-      });
-    }
-    
-    // Validate recurringDays if provided (should be array of 0-6)
-    if (recurringDays) {
-      try {
-        const days = typeof recurringDays === 'string' ? JSON.parse(recurringDays) : recurringDays;
-        if (!Array.isArray(days) || !days.every(d => typeof d === 'number' && d >= 0 && d <= 6)) {
-          return res.status(400).json({ 
-            error: 'recurringDays must be a JSON array of numbers 0-6 (e.g., [1,3,5] for Mon/Wed/Fri)' 
-          });
-        }
-      } catch (e) {
-        return res.status(400).json({ 
-          error: 'recurringDays must be valid JSON array' 
-        });
-      }
+    const recurrenceErrors = validateRecurrenceInput(req.body);
+    if (recurrenceErrors.length > 0) {
+      return sendValidationError(res, recurrenceErrors);
     }
     
     const event = await calendarEventService.create({
@@ -167,9 +389,11 @@ router.post('/', authenticateToken, async (req, res) => {
       recurring: recurring || null,
       recurringDays: recurringDays ? (typeof recurringDays === 'string' ? recurringDays : JSON.stringify(recurringDays)) : null,
       recurringEndDate,
+      rrule,
+      exdates,
     });
     
-    console.log(`📅 Calendar event created for user ${userId}: "${title}" on ${date}${time ? ` at ${time}` : ''}${recurring ? ` (recurring: ${recurring})` : ''}`);
+    console.log(`📅 Calendar event created for user ${userId}: "${title}" on ${date}${time ? ` at ${time}` : ''}${recurring || rrule ? ` (recurring: ${rrule || recurring})` : ''}`);
     res.status(201).json({ success: true, data: event });
   } catch (error) {
     console.error('Error creating calendar event:', error);
@@ -178,10 +402,9 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // PUT /api/calendar/:id - Update calendar event
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, validate({ params: idParams, body: updateEventBody }), async (req, res) => {
   try {
-    const { title, type, date, time, description, completed, recurring, recurringDays, recurringEndDate } = req.body;
-    const userId = req.user.id;
+    const { title, type, date, time, description, completed, recurring, recurringDays, recurringEndDate, rrule, exdates } = req.body;
     
     const event = await calendarEventService.getById(req.params.id);
     if (!event) {
@@ -189,43 +412,13 @@ router.put('/:id', authenticateToken, async (req, res) => {
     }
     
     // Verify ownership
-    if (event.userId !== userId) {
+    if (!canAccessUser(req, event.userId)) {
       return res.status(403).json({ error: 'Unauthorized to update this event' });
     }
     
-    // Validate date and time format if provided
-    if (date || time) {
-      const validationErrors = validateDateTimeInput(date || event.date?.toISOString().split('T')[0], time || event.time);
-      if (validationErrors.length > 0 && date) { // Only error if date was provided and invalid
-        return res.status(400).json({ 
-          error: 'Invalid date/time format', 
-          details: validationErrors 
-        });
-      }
-    }
-    
-    // Validate recurring pattern if provided
-    const validRecurringTypes = ['daily', 'weekly', 'biweekly', 'monthly', 'yearly'];
-    if (recurring && !validRecurringTypes.includes(recurring)) {
-      return res.status(400).json({ 
-        error: `Invalid recurring type. Must be one of: ${validRecurringTypes.join(', ')}` 
-      });
-    }
-    
-    // Validate recurringDays if provided
-    if (recurringDays) {
-      try {
-        const days = typeof recurringDays === 'string' ? JSON.parse(recurringDays) : recurringDays;
-        if (!Array.isArray(days) || !days.every(d => typeof d === 'number' && d >= 0 && d <= 6)) {
-          return res.status(400).json({ 
-            error: 'recurringDays must be a JSON array of numbers 0-6 (e.g., [1,3,5] for Mon/Wed/Fri)' 
-          });
-        }
-      } catch (e) {
-        return res.status(400).json({ 
-          error: 'recurringDays must be valid JSON array' 
-        });
-      }
+    const recurrenceErrors = validateRecurrenceInput(req.body);
+    if (recurrenceErrors.length > 0) {
+      return sendValidationError(res, recurrenceErrors);
     }
     
     const updated = await calendarEventService.update(req.params.id, {
@@ -236,8 +429,10 @@ router.put('/:id', authenticateToken, async (req, res) => {
       description,
       completed,
       recurring,
-      recurringDays: recurringDays ? (typeof recurringDays === 'string' ? recurringDays : JSON.stringify(recurringDays)) : undefined,
+      recurringDays: recurringDays ? (typeof recurringDays === 'string' ? recurringDays : JSON.stringify(recurringDays)) : recurringDays,
       recurringEndDate,
+      rrule,
+      exdates,
     });
     
     res.json({ success: true, data: updated });
@@ -247,10 +442,109 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// DELETE /api/calendar/:id - Delete calendar event
-router.delete('/:id', authenticateToken, async (req, res) => {
+/**
+ * PUT /api/calendar/:id/occurrences/:date
+ * Override a single occurrence of a recurring event, e.g. skip it or move it
+ * Replaces any existing override for that occurrence.
+ * 
+ * @param {string} req.params.id - Event ID
+ * @param {string} req.params.date - Original occurrence date (YYYY-MM-DD)
+ * @param {boolean} req.body.cancelled - Skip this occurrence (optional)
+ * @param {string} req.body.date - Move to this date, YYYY-MM-DD (optional)
+ * @param {string} req.body.time - Move to this time, HH:mm (optional)
+ * @param {string} req.body.title - Title for this occurrence only (optional)
+ * @param {string} req.body.description - Description for this occurrence only (optional)
+ * @param {boolean} req.body.completed - Completion of this occurrence (optional)
+ * 
+ * @returns {Object} Saved override
+ * @status {200} Override saved
+ * @status {400} Invalid input, event is not recurring, or date is not an occurrence
+ * @status {401} Unauthorized
+ * @status {403} Event belongs to another user
+ * @status {404} Event not found
+ * @status {500} Server error
+ */
+router.put('/:id/occurrences/:date', authenticateToken, validate({ params: occurrenceParams, body: occurrenceOverrideBody }), async (req, res) => {
   try {
     const userId = req.user.id;
+    const { cancelled, date, time, title, description, completed } = req.body;
+    
+    const event = await calendarEventService.getById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    
+    // Verify ownership
+    if (!canAccessUser(req, event.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to update this event' });
+    }
+    
+    if (!event.recurring && !event.rrule) {
+      return res.status(400).json({ error: 'Only recurring events have occurrences to override' });
+    }
+    
+    if (!isOccurrenceDate(event, req.params.date)) {
+      return sendValidationError(res, [fieldError('params', 'date', `${req.params.date} is not an occurrence of this event`)]);
+    }
+    
+    const override = await calendarEventService.upsertOverride(event.id, req.params.date, {
+      cancelled: cancelled === true,
+      date,
+      time,
+      title,
+      description,
+      completed,
+    });
+    
+    console.log(`📅 Occurrence ${req.params.date} of "${event.title}" ${cancelled ? 'skipped' : 'overridden'} for user ${userId}`);
+    res.json({ success: true, data: override });
+  } catch (error) {
+    console.error('Error overriding calendar occurrence:', error);
+    res.status(500).json({ error: error.message || 'Failed to update occurrence' });
+  }
+});
+
+/**
+ * DELETE /api/calendar/:id/occurrences/:date
+ * Remove the override for an occurrence, restoring it as generated by the rule
+ * 
+ * @param {string} req.params.id - Event ID
+ * @param {string} req.params.date - Original occurrence date (YYYY-MM-DD)
+ * 
+ * @status {200} Override removed
+ * @status {400} Invalid date
+ * @status {401} Unauthorized
+ * @status {403} Event belongs to another user
+ * @status {404} Event or override not found
+ * @status {500} Server error
+ */
+router.delete('/:id/occurrences/:date', authenticateToken, validate({ params: occurrenceParams }), async (req, res) => {
+  try {
+    const event = await calendarEventService.getById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    
+    // Verify ownership
+    if (!canAccessUser(req, event.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to update this event' });
+    }
+    
+    const { count } = await calendarEventService.deleteOverride(event.id, req.params.date);
+    if (count === 0) {
+      return res.status(404).json({ error: 'No override for this occurrence' });
+    }
+    
+    res.json({ success: true, message: 'Occurrence restored' });
+  } catch (error) {
+    console.error('Error restoring calendar occurrence:', error);
+    res.status(500).json({ error: 'Failed to restore occurrence' });
+  }
+});
+
+// DELETE /api/calendar/:id - Delete calendar event
+router.delete('/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
     
     const event = await calendarEventService.getById(req.params.id);
     if (!event) {
@@ -258,7 +552,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
     
     // Verify ownership
-    if (event.userId !== userId) {
+    if (!canAccessUser(req, event.userId)) {
       return res.status(403).json({ error: 'Unauthorized to delete this event' });
     }
     
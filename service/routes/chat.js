@@ -9,14 +9,22 @@
  * 
  * Core Features:
  * - Real-time chat messaging with OpenAI GPT models
- * - Intelligent conversation history tracking (up to 10 previous messages)
- * - User context integration (goals, preferences, summaries from AI memory)
+ * - Conversation threads: each chat turn only sees the history of its own
+ *   thread, so unrelated topics stay apart
+ * - Token-budgeted prompts: a running summary of the thread's older messages
+ *   plus as many recent messages as fit in CHAT_PROMPT_TOKEN_BUDGET
+ *   (see LLM/conversationSummary.js and LLM/historyWindow.js)
+ * - User context integration (goals, preferences, summaries from AI memory,
+ *   and today's food intake against the user's macro targets)
+ * - Long-term semantic memory: relevant saved facts and past messages are
+ *   recalled from the vector store and added to the prompt
  * - Onboarding flow handling with structured responses
- * - Smart response suggestion generation
+ * - Tool calling: the coach proposes goals, calendar events and reminders,
+ *   which are created once the user confirms them
  * - Comprehensive cost optimization:
  *   * Response caching to avoid duplicate API calls
  *   * Dynamic model selection (gpt-4o-mini for simple, gpt-4o for complex)
- *   * Token usage tracking and limiting
+ *   * Per-user token usage accounting with daily and monthly budgets
  *   * Maximum token constraints per request
  * - Full authentication via JWT tokens
  * 
@@ -29,17 +37,33 @@
  * - Question answering on fitness topics
  * 
  * Cost Optimization Strategy:
- * 1. Cache responses for identical user queries
- * 2. Select cheaper model (gpt-3.5-turbo) for simple queries
- * 3. Use advanced model (gpt-4o) only for complex reasoning
+ * 1. Select cheaper model (gpt-3.5-turbo) for simple queries
+ * 2. Use advanced model (gpt-4o) only for complex reasoning
+ * 3. Reuse cached replies when the complete prompt (profile, memories,
+ *    history and message) is identical (see LLM/responseCache.js)
  * 4. Limit tokens per request (default: 500-1000 tokens)
- * 5. Track cumulative token usage per user session
+ * 5. Record token usage per user and model; once a user's budget is used up,
+ *    fall back to the cheap model or refuse (see LLM/usage.js)
+ * 6. Keep prompts within CHAT_PROMPT_TOKEN_BUDGET: older messages are condensed
+ *    into a running summary by the cheap model in the background
  * 
  * Endpoints:
  * - POST /chat - Send message to AI coach (requires authentication)
- * - POST /chat/suggestions - Get response suggestions for user input
- * - GET /chat/history - Get conversation history
+ * - POST /chat/stream - Stream the AI coach response token by token (SSE)
+ * - GET /chat/actions - List records the coach proposed via tool calling
+ * - POST /chat/actions/:id/confirm - Confirm a proposal and create the record
+ * - POST /chat/actions/:id/reject - Dismiss a proposal
+ * - GET /chat/history - Get conversation history (of one thread)
+ * - GET /chat/conversations - List conversation threads (active or archived)
+ * - POST /chat/conversations - Start a new thread
+ * - PATCH /chat/conversations/:id - Rename, archive or unarchive a thread
+ * - DELETE /chat/conversations/:id - Delete a thread and its messages
  * - DELETE /chat/:id - Delete specific message
+ * - POST /chat/memory - Save a long-term memory (embedded for semantic recall)
+ * - GET /chat/memory - List long-term memories
+ * - DELETE /chat/memory/:id - Forget a long-term memory
+ * - GET /chat/stats - The authenticated user's token usage and budget
+ * - GET /chat/usage - Token usage report across users (admin only)
  * 
  * Authentication:
  * All endpoints require valid JWT token in Authorization header
@@ -52,47 +76,68 @@
  */
 
 import express from 'express';
-import { messageService, aiMemoryService } from '../db/index.js';
-import { authenticateToken } from './auth.js';
+import { messageService, conversationService, aiMemoryService, chatActionService, tokenUsageService } from '../db/index.js';
+import { authenticateToken, canAccessUser, requireAdmin } from './auth.js';
 import { 
   getLLM, 
   getCheapLLM,
+  getModelName,
   selectModelForTask,
-  getCachedResponse,
-  setCachedResponse,
-  trackTokenUsage,
-  getTokenStats,
 } from '../LLM/aiService.js';
+import { buildResponseCacheKey, getCachedResponse, setCachedResponse, invalidateUserResponses } from '../LLM/responseCache.js';
+import { recordUsage, checkTokenBudget, getBudgetStatus } from '../LLM/usage.js';
+import {
+  COACH_TOOLS,
+  getToolInstructions,
+  buildProposals,
+  formatProposalPrompt,
+  executeAction,
+} from '../LLM/coachTools.js';
+import { addMemory, indexMessage, searchMemories, listMemories, deleteMemory, forgetMessages } from '../LLM/memoryStore.js';
+import { extractOnboardingProfile, profileToMemory, memoryToProfile, hasProfile } from '../LLM/onboarding.js';
+import { seedStarterPlan } from '../onboarding/seed.js';
+import { formatSummaryForPrompt, packConversationHistory, estimateTokens } from '../LLM/historyWindow.js';
+import { buildDailyIntake } from '../nutrition/intake.js';
+import { formatIntakeForPrompt } from '../nutrition/totals.js';
+import { validate, sendValidationError, fieldError, object, nullable, text, id, dateTime, flag, limit, cursor, queryLimit, idParams, userIdParams } from '../validation/index.js';
 
 const router = express.Router();
 
+/** Unsummarized messages loaded for a chat turn before packing them into the prompt budget */
+const MAX_HISTORY_MESSAGES = 50;
+
 // ============================================================================
 // Configuration & Environment
 // ============================================================================
 
-// Check for required environment variables
-if (!process.env.OPENAI_API_KEY) {
-  console.warn('⚠️ OPENAI_API_KEY not set in environment');
+// Check for required environment variables (only the hosted OpenAI provider needs a key)
+if ((process.env.LLM_PROVIDER || 'openai') === 'openai' && !process.env.OPENAI_API_KEY) {
+  console.warn('⚠️ OPENAI_API_KEY not set in environment (set LLM_PROVIDER=scripted to run offline)');
 }
 
+// Cached replies were built from the user's profile; drop them when it changes
+aiMemoryService.onChange(invalidateUserResponses);
+
 // ============================================================================
 // Helper Functions - Conversation & Context
 // ============================================================================
 
 /**
  * Get conversation history from database
- * Retrieves the most recent messages for context window
+ * Retrieves the most recent messages of one thread for the context window
  * 
- * @param {string} userId - User identifier
+ * @param {string} conversationId - Conversation thread
  * @param {number} limit - Maximum number of messages to retrieve (default: 10)
- * @returns {Promise<Array>} Array of messages with role and content
+ * @param {Date|null} after - Skip messages up to this time (the part covered by the summary)
+ * @returns {Promise<Array>} Array of messages with id, role and content
  * @example
- * const history = await getConversationHistory('user123', 5);
- * // Returns: [{ role: 'user', content: '...' }, { role: 'assistant', content: '...' }]
+ * const history = await getConversationHistory('conversation123', 5);
+ * // Returns: [{ id: '...', role: 'user', content: '...' }, { id: '...', role: 'assistant', content: '...' }]
  */
-async function getConversationHistory(userId, limit = 10) {
-  const messages = await messageService.getConversation(userId, limit);
-  return messages.reverse().map(msg => ({
+async function getConversationHistory(conversationId, limit = 10, after = null) {
+  const messages = await messageService.getByConversation(conversationId, limit, { after });
+  return messages.map(msg => ({
+    id: msg.id,
     role: msg.role || 'user', // Use actual role from database, default to 'user' if missing
     content: msg.text,
   }));
@@ -100,48 +145,60 @@ async function getConversationHistory(userId, limit = 10) {
 
 /**
  * Get user context from AI memory
- * Retrieves stored information about user goals, preferences, and summary
+ * Retrieves stored information about user goals, preferences, and summary,
+ * plus what the user has eaten today against their macro targets
  * This context is included in the system prompt for personalized responses
  * 
  * @param {string} userId - User identifier
  * @returns {Promise<string>} Formatted context string with goals, preferences
+ *   and today's intake ('' if there is none)
  * @example
  * const context = await getUserContext('user123');
  * // Returns: "Summary: Weight loss focused\nGoals: Lose 20lbs\nPreferences: ..."
  */
 async function getUserContext(userId) {
+  let context = '';
+
   try {
     const memory = await aiMemoryService.getByUser(userId);
-    if (!memory) return '';
-    
-    let context = '';
-    if (memory.summary) context += `Summary: ${memory.summary}\n`;
-    if (memory.goals) context += `Goals: ${JSON.stringify(memory.goals)}\n`;
-    if (memory.preferences) context += `Preferences: ${JSON.stringify(memory.preferences)}\n`;
-    
-    return context;
+    if (memory) {
+      if (memory.summary) context += `Summary: ${memory.summary}\n`;
+      if (memory.goals) context += `Goals: ${JSON.stringify(memory.goals)}\n`;
+      if (memory.preferences) context += `Preferences: ${JSON.stringify(memory.preferences)}\n`;
+      if (memory.fitnessProfile) context += `Fitness profile: ${JSON.stringify(memory.fitnessProfile)}\n`;
+    }
   } catch (error) {
     console.error('Error retrieving user context:', error);
-    return '';
   }
+
+  // Nutrition is optional context; logged meals count even without an AI memory record
+  try {
+    context += formatIntakeForPrompt(await buildDailyIntake(userId));
+  } catch (error) {
+    console.error('Error building nutrition context:', error);
+  }
+
+  return context;
 }
 
 /**
- * Retrieve relevant memories from vector store (optional feature)
- * Currently a placeholder for future Qdrant integration
- * Will enable semantic search of user memories for personalized responses
+ * Retrieve relevant long-term memories from the vector store
+ * Searches saved memories and older chat messages semantically, so the coach
+ * can recall things that have scrolled out of the recent history window.
  * 
  * @param {string} userId - User identifier
  * @param {string} query - Search query for relevant memories
  * @param {number} limit - Maximum number of memories to retrieve (default: 3)
- * @returns {Promise<string>} Formatted string of relevant memories
- * @future Implement with @langchain/qdrant for vector similarity search
+ * @param {Array<string>} excludeMessageIds - Messages already in the prompt
+ * @returns {Promise<string>} Formatted string of relevant memories ('' if none)
  */
-async function getRelevantMemories(userId, query, limit = 3) {
+async function getRelevantMemories(userId, query, limit = 3, excludeMessageIds = []) {
   try {
-    // For now, we'll skip Qdrant integration
-    // In production, implement with @langchain/qdrant package
-    return '';
+    const memories = await searchMemories(userId, query, { limit, excludeSourceIds: excludeMessageIds });
+    if (memories.length === 0) return '';
+
+    console.log(`🧠 Recalled ${memories.length} memories (best score ${memories[0].score.toFixed(2)})`);
+    return memories.map(memory => `- ${memory.content}`).join('\n');
   } catch (error) {
     console.error('Error retrieving memories:', error);
     return '';
@@ -149,51 +206,49 @@ async function getRelevantMemories(userId, query, limit = 3) {
 }
 
 /**
- * Generate AI response using conversation history and context
- * Implements comprehensive cost optimization strategies
- * 
- * Cost Optimization:
- * 1. CACHE: Check for cached responses first
- * 2. MODEL SELECTION: Choose model based on query complexity
- * 3. TOKEN LIMITING: Set maximum tokens to prevent runaway costs
- * 4. TRACKING: Monitor cumulative token usage
+ * Prepare a chat turn: resolve cached or scripted replies, otherwise select
+ * the model and build the prompt. Shared by the regular and streaming endpoints
+ * so both apply the same onboarding flow and cost optimizations.
  * 
  * @param {string} userId - User identifier
+ * @param {string} conversationId - Conversation thread the turn belongs to
  * @param {string} userMessage - User's input message
- * @returns {Promise<Object>} Response with text, tokens used, model used
- * @throws {Error} If OpenAI API call fails
- * @example
- * const response = await generateChatResponse('user123', 'How should I train?');
- * // Returns: { text: "...", tokensUsed: 150, modelUsed: "gpt-3.5-turbo" }
+ * @param {Object} budget - Result of checkTokenBudget; "degraded" forces the cheap model
+ * @returns {Promise<Object>} Either { reply, created? } for replies that need no LLM call,
+ *   or { model, modelType, messages, cacheKey } ready to invoke or stream
  */
-async function generateChatResponse(userId, userMessage) {
-  try {
-    // COST OPTIMIZATION 1: Check cache first
-    const cachedResponse = getCachedResponse(userId, userMessage);
-    if (cachedResponse) {
-      return cachedResponse;
-    }
-    
-    // COST OPTIMIZATION 2: Select model based on task complexity
-    const modelType = selectModelForTask(userMessage);
-    const model = modelType === 'cheap' ? getCheapLLM() : getLLM();
+async function prepareChatTurn(userId, conversationId, userMessage, budget = { status: 'ok' }) {
+  // A plain "yes"/"no" answers the coach's pending proposals
+  const confirmation = await tryHandleActionConfirmation(userId, conversationId, userMessage);
+  if (confirmation) {
+    return confirmation;
+  }
 
-    console.log(`🤖 Using model: ${modelType === 'cheap' ? 'gpt-3.5-turbo (cheap)' : 'gpt-4o-mini'}`);
-    
-    // Get conversation history
-    const conversationHistory = await getConversationHistory(userId);
-    
-    // Get user context from AI memory
-    const userContext = await getUserContext(userId);
-    
-    // Check if onboarding has already been initiated (onboarding message exists in history)
-    const onboardingInitiated = conversationHistory.length > 0;
-    console.log(`Onboarding initiated: ${onboardingInitiated}, User context exists: ${!!userContext && userContext.trim().length > 0}`);
-
-    // ONBOARDING: If no user context exists AND onboarding hasn't been started, ask onboarding questions
-    // Only show onboarding prompt on first interaction (when conversation is empty)
-    if ((!userContext || userContext.trim().length === 0) && !onboardingInitiated) {
-      const onboardingPrompt = `Thanks for starting a chat! Before we begin, I'd love to learn a bit about you so I can personalize my responses.
+  // COST OPTIMIZATION 1: Select model based on task complexity
+  // (only the cheap model once the user's token budget is used up)
+  const modelType = budget.status === 'degraded' ? 'cheap' : selectModelForTask(userMessage);
+  const model = (modelType === 'cheap' ? getCheapLLM() : getLLM()).bindTools(COACH_TOOLS);
+
+  console.log(`🤖 Using model: ${getModelName(modelType)}${modelType === 'cheap' ? ' (cheap)' : ''}${budget.status === 'degraded' ? ` - ${budget.exceeded} token budget used up` : ''}`);
+  
+  // Get conversation history (this thread only): the running summary of older
+  // messages and the messages after it
+  const conversation = await conversationService.getById(conversationId);
+  const conversationHistory = await getConversationHistory(conversationId, MAX_HISTORY_MESSAGES, conversation?.summarizedUntil);
+  
+  // Get user context from AI memory (and today's intake, which needs no profile)
+  let userContext = await getUserContext(userId);
+  const memory = await aiMemoryService.getByUser(userId);
+  const onboarding = !hasProfile(memory);
+  
+  // Check if onboarding has already been initiated (onboarding message exists in history)
+  const onboardingInitiated = conversationHistory.length > 0 || !!conversation?.summary;
+  console.log(`Onboarding initiated: ${onboardingInitiated}, Profile exists: ${!onboarding}`);
+
+  // ONBOARDING: If the user has no profile AND onboarding hasn't been started, ask onboarding questions
+  // Only show onboarding prompt on first interaction (when conversation is empty)
+  if (onboarding && !onboardingInitiated) {
+    const onboardingPrompt = `Thanks for starting a chat! Before we begin, I'd love to learn a bit about you so I can personalize my responses.
 Please reply with a short answer containing:
 - Who you are (name or short summary)
 - 2–4 goals you want to work on (fitness, learning, career, etc.)
@@ -204,95 +259,455 @@ My name is Sam. Goals: Run a half marathon; Learn Rust; Improve sleep. Tone: enc
 
 You can just write naturally — I'll take care of saving this in your profile.`;
 
-      // Return onboarding prompt directly (don't invoke LLM on first-contact)
-      return onboardingPrompt;
-    }
+    // Return onboarding prompt directly (don't invoke LLM on first-contact)
+    return { reply: onboardingPrompt };
+  }
 
-    // If the user message *looks like* an onboarding answer, try to parse and save it
-    // (This is a lightweight heuristic parser to avoid extra LLM calls.)
-    const onboardingSaved = await tryHandleOnboardingReply(userId, userMessage);
-    if (onboardingSaved) {
-      // Give a friendly acknowledgement
-      return 'Perfect! I saved your profile and preferences. Now, how can I help you today?';
-    }
-    
-    // If we tried to parse but confidence was low, ask for clarification
-    // This prevents data loss from ambiguous input
-    const lower = userMessage.toLowerCase();
-    const hasOnboardingKeywords = /my name is|i am\b|i'm\b|goals?:|goal:|i want to|i'd like to|tone:|prefer/.test(lower);
-    if (hasOnboardingKeywords && !userContext) {
-      // Only ask for clarification if user context still doesn't exist
-      return `I caught some profile info, but I want to make sure I get it right. Could you re-phrase using this format?
+  // Opening the chat with a profile but no conversation yet (e.g. after the
+  // onboarding wizard): greet the user without calling the model
+  if (userMessage.trim().length === 0 && !onboarding) {
+    return { reply: "Welcome! I've got your profile and goals. Ask me anything about your training, or tell me how today's workout went." };
+  }
+
+  // While the user has no profile yet, a message that *looks like* an onboarding
+  // answer is parsed and saved; the turn is still answered as usual below
+  const onboardingSaved = onboarding && await tryHandleOnboardingReply(userId, userMessage, memory);
+  if (onboardingSaved) {
+    userContext = await getUserContext(userId);
+  }
+  
+  // If we tried to parse but confidence was low, ask for clarification
+  // This prevents data loss from ambiguous input
+  const lower = userMessage.toLowerCase();
+  const hasOnboardingKeywords = /my name is|i am\b|i'm\b|goals?:|goal:|i want to|i'd like to|tone:|prefer/.test(lower);
+  if (hasOnboardingKeywords && onboarding && !onboardingSaved) {
+    // Only ask for clarification while the user still has no profile
+    return {
+      reply: `I caught some profile info, but I want to make sure I get it right. Could you re-phrase using this format?
 
 My name is [your name]. Goals: [goal 1]; [goal 2]; [goal 3]. Tone: [encouraging/supportive/energizing/firm/etc].
 
-Example: My name is Alex. Goals: Run a half-marathon; Learn Python; Improve sleep. Tone: supportive`;
+Example: My name is Alex. Goals: Run a half-marathon; Learn Python; Improve sleep. Tone: supportive`,
+    };
+  }
+  
+  // Build system prompt with context
+  let systemPrompt = 'You are a helpful personal AI assistant for a life coaching application. ';
+  if (userContext) systemPrompt += `User Context:\n${userContext}\n`;
+  if (onboardingSaved) {
+    systemPrompt += 'The user\'s profile was just saved from their latest message. Briefly confirm it (they can correct it under Profile → Fitness Profile), then answer anything else they asked.\n';
+  }
+  systemPrompt += formatSummaryForPrompt(conversation);
+
+  // Long-term memory: relevant saved facts and older messages not already in the history
+  const relevantMemories = await getRelevantMemories(userId, userMessage, 3, conversationHistory.map(msg => msg.id));
+  if (relevantMemories) systemPrompt += `Relevant memories from earlier conversations:\n${relevantMemories}\n`;
+
+  systemPrompt += getToolInstructions();
+
+  // Send only the recent messages that fit the prompt token budget; older ones are in the summary
+  const packed = packConversationHistory({ systemPrompt, history: conversationHistory, userMessage });
+  if (packed.dropped > 0) {
+    console.log(`✂️ Prompt budget: left out ${packed.dropped} older messages (~${packed.estimatedTokens} tokens sent)`);
+  }
+  
+  // Create messages array for the model
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    ...packed.history,
+    { role: 'human', content: userMessage },
+  ];
+  
+  // COST OPTIMIZATION 2: Reuse the reply to an identical prompt
+  const cacheKey = buildResponseCacheKey(userId, getModelName(modelType), messages);
+  const cachedResponse = await getCachedResponse(cacheKey);
+  if (cachedResponse !== null) {
+    return { reply: cachedResponse };
+  }
+  
+  console.log(`📤 Sending to ${getModelName(modelType)}: ${messages.length} messages`);
+
+  return { model, modelType, messages, cacheKey };
+}
+
+/**
+ * Generate AI response using conversation history and context
+ * Implements comprehensive cost optimization strategies
+ * 
+ * Cost Optimization:
+ * 1. MODEL SELECTION: Choose model based on query complexity
+ * 2. CACHE: Reuse the reply to an identical prompt
+ * 3. TOKEN LIMITING: Set maximum tokens to prevent runaway costs
+ * 4. TRACKING: Record token usage against the user's budget
+ * 
+ * @param {string} userId - User identifier
+ * @param {string} conversationId - Conversation thread
+ * @param {string} userMessage - User's input message
+ * @param {Object} budget - Result of checkTokenBudget (callers refuse "exceeded" budgets first)
+ * @returns {Promise<Object>} { text, toolCalls, created } - response text, tool calls
+ *   proposed by the model, and records created by confirming earlier proposals
+ * @throws {Error} If OpenAI API call fails
+ * @example
+ * const { text } = await generateChatResponse('user123', 'conversation123', 'How should I train?');
+ */
+async function generateChatResponse(userId, conversationId, userMessage, budget) {
+  try {
+    const turn = await prepareChatTurn(userId, conversationId, userMessage, budget);
+    if (turn.reply !== undefined) {
+      return { text: turn.reply, toolCalls: [], created: turn.created || [] };
     }
     
-    // Build system prompt with context
-    let systemPrompt = 'You are a helpful personal AI assistant for a life coaching application. ';
-    if (userContext) systemPrompt += `User Context:\n${userContext}\n`;
-    
-    // Create messages array for the model
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...conversationHistory,
-      { role: 'human', content: userMessage },
-    ];
-    
-    console.log(`📤 Sending to ${modelType === 'cheap' ? 'GPT-3.5' : 'GPT-4o-mini'}: ${messages.length} messages`);
-    
     // Generate response using the selected model
     // maxTokens is already set in aiService.js to prevent expensive responses
-    const response = await model.invoke(messages);
+    const response = await turn.model.invoke(turn.messages);
     
     const responseText = response.content || response.text || '';
-    console.log(`📥 Response received: ${responseText.length} chars`);
+    const toolCalls = response.tool_calls || [];
+    console.log(`📥 Response received: ${responseText.length} chars, ${toolCalls.length} tool calls`);
     
     // COST OPTIMIZATION 3: Cache the response for future use
-    setCachedResponse(userId, userMessage, responseText);
+    // (tool-calling turns are not cached - replaying them would skip the proposals)
+    if (toolCalls.length === 0) {
+      await setCachedResponse(turn.cacheKey, responseText);
+    }
     
     // COST OPTIMIZATION 4: Track token usage
-    // LangChain stores usage in response_metadata after invoke
-    if (response.response_metadata) {
-      const usage = response.response_metadata.usage;
-      if (usage) {
-        console.log(`📊 Token Usage - Input: ${usage.prompt_tokens}, Output: ${usage.completion_tokens}`);
-        trackTokenUsage(usage.prompt_tokens, usage.completion_tokens);
-      } else {
-        console.log('⚠️ No usage data in response metadata');
-      }
-    } else {
-      console.log('⚠️ No response_metadata available');
-    }
+    await recordUsage(userId, {
+      model: getModelName(turn.modelType),
+      tier: turn.modelType,
+      feature: 'chat',
+      response,
+    });
     
-    return responseText;
+    return { text: responseText, toolCalls, created: [] };
   } catch (error) {
     console.error('❌ Error generating chat response:', error);
     throw error;
   }
 }
 
+/**
+ * Stream an AI response token by token
+ * Applies the same onboarding, model selection and cache as generateChatResponse.
+ * Replies that need no LLM call are emitted as a single chunk.
+ * 
+ * @param {string} userId - User identifier
+ * @param {string} conversationId - Conversation thread
+ * @param {string} userMessage - User's input message
+ * @param {Function} onToken - Called with each text chunk as it is generated
+ * @param {AbortSignal} signal - Aborts generation (e.g. when the client disconnects)
+ * @param {Object} budget - Result of checkTokenBudget
+ * @returns {Promise<Object>} { text, toolCalls, created } as for generateChatResponse
+ */
+async function streamChatResponse(userId, conversationId, userMessage, onToken, signal, budget) {
+  const turn = await prepareChatTurn(userId, conversationId, userMessage, budget);
+  if (turn.reply !== undefined) {
+    onToken(turn.reply);
+    return { text: turn.reply, toolCalls: [], created: turn.created || [] };
+  }
+
+  let responseText = '';
+  let aggregated = null;
+
+  try {
+    const stream = await turn.model.stream(turn.messages, { signal });
+    for await (const chunk of stream) {
+      aggregated = aggregated ? aggregated.concat(chunk) : chunk;
+
+      const text = typeof chunk.content === 'string' ? chunk.content : '';
+      if (text) {
+        responseText += text;
+        onToken(text);
+      }
+    }
+  } catch (error) {
+    // Aborted or failed mid-stream: the tokens generated so far still count
+    // against the budget. The usage chunk comes last, so estimate it.
+    await recordUsage(userId, {
+      model: getModelName(turn.modelType),
+      tier: turn.modelType,
+      feature: 'chat',
+      response: aggregated,
+      estimate: {
+        inputTokens: turn.messages.reduce((sum, message) => sum + estimateTokens(message.content), 0),
+        outputTokens: estimateTokens(responseText),
+      },
+    });
+    throw error;
+  }
+
+  const toolCalls = aggregated?.tool_calls || [];
+  console.log(`📥 Streamed response complete: ${responseText.length} chars, ${toolCalls.length} tool calls`);
+
+  if (toolCalls.length === 0) {
+    await setCachedResponse(turn.cacheKey, responseText);
+  }
+  await recordUsage(userId, {
+    model: getModelName(turn.modelType),
+    tier: turn.modelType,
+    feature: 'chat',
+    response: aggregated,
+  });
+
+  return { text: responseText, toolCalls, created: [] };
+}
+
+/**
+ * Persist the assistant reply for a turn, along with any actions it proposed
+ * If the model only returned tool calls, the reply lists the proposals and
+ * asks the user to confirm them.
+ * 
+ * @param {string} userId - User identifier
+ * @param {string} conversationId - Conversation thread
+ * @param {Object} result - { text, toolCalls } from generate/streamChatResponse
+ * @returns {Promise<Object>} { aiMsg, actions } - saved Message and pending ChatActions
+ */
+async function saveAssistantReply(userId, conversationId, { text, toolCalls }) {
+  const proposals = buildProposals(toolCalls);
+  const replyText = text && text.trim().length > 0
+    ? text
+    : formatProposalPrompt(proposals);
+
+  const aiMsg = await messageService.create({
+    text: replyText,
+    userId,
+    conversationId,
+    role: "assistant", // Explicitly mark as AI response
+  });
+  console.log(`✓ Saved AI message: ${aiMsg.id}`);
+  indexMessage(aiMsg); // Embed for long-term memory in the background
+
+  const actions = await chatActionService.createMany(userId, aiMsg.id, proposals);
+  if (actions.length > 0) {
+    console.log(`📝 ${actions.length} action(s) awaiting confirmation: ${actions.map(a => a.tool).join(', ')}`);
+  }
+
+  return { aiMsg, actions };
+}
+
+// ============================================================================
+// Helper Functions - Coach Actions (tool calling)
+// ============================================================================
+
+/** Replies that confirm or reject the coach's latest proposals */
+const AFFIRMATIVE_REPLIES = ['yes', 'y', 'yep', 'yeah', 'sure', 'ok', 'okay', 'confirm', 'do it', 'go ahead', 'please do', 'sounds good', 'yes please'];
+const NEGATIVE_REPLIES = ['no', 'n', 'nope', 'cancel', 'no thanks', 'don\'t', 'never mind', 'nevermind'];
+
+/**
+ * Execute a pending action and record the outcome
+ * 
+ * @param {Object} action - Pending ChatAction
+ * @returns {Promise<Object>} { action, created } - updated action and { type, record } (null on failure)
+ */
+async function confirmChatAction(action) {
+  try {
+    const created = await executeAction(action.userId, action.tool, action.args);
+    const updated = await chatActionService.resolve(action.id, {
+      status: 'confirmed',
+      result: { type: created.type, id: created.record.id },
+    });
+    console.log(`✅ Confirmed ${action.tool} for user ${action.userId}: ${action.summary}`);
+    return { action: updated, created };
+  } catch (error) {
+    console.error(`❌ Error executing ${action.tool}:`, error);
+    const updated = await chatActionService.resolve(action.id, {
+      status: 'failed',
+      result: { error: error.message },
+    });
+    return { action: updated, created: null };
+  }
+}
+
+/**
+ * Handle a short "yes"/"no" reply to the coach's most recent proposals
+ * Only proposals made in the same conversation are answered.
+ * 
+ * @param {string} userId - User identifier
+ * @param {string} conversationId - Conversation thread the reply was sent to
+ * @param {string} userMessage - User's input message
+ * @returns {Promise<Object|null>} { reply, created } if the message answered
+ *   pending proposals, otherwise null
+ */
+async function tryHandleActionConfirmation(userId, conversationId, userMessage) {
+  const normalized = userMessage.trim().toLowerCase().replace(/[.!\s]+$/, '');
+  const isConfirm = AFFIRMATIVE_REPLIES.includes(normalized);
+  const isReject = NEGATIVE_REPLIES.includes(normalized);
+  if (!isConfirm && !isReject) return null;
+
+  const pending = await chatActionService.getByUser(userId, { status: 'pending', conversationId });
+  if (pending.length === 0) return null;
+
+  // Only answer the proposals from the latest assistant message
+  const latest = pending.filter(action => action.messageId === pending[0].messageId);
+
+  if (isReject) {
+    await Promise.all(latest.map(action => chatActionService.resolve(action.id, { status: 'rejected' })));
+    return { reply: 'No problem, I won\'t add that.', created: [] };
+  }
+
+  const outcomes = [];
+  for (const action of latest) {
+    outcomes.push(await confirmChatAction(action));
+  }
+
+  const done = outcomes.filter(outcome => outcome.created);
+  const failed = outcomes.filter(outcome => !outcome.created);
+
+  let reply = done.length > 0
+    ? `Done! ${done.map(outcome => outcome.action.summary).join('; ')}.`
+    : 'Sorry, I couldn\'t save that.';
+  if (done.length > 0 && failed.length > 0) {
+    reply += ` I couldn't complete: ${failed.map(outcome => outcome.action.summary).join('; ')}.`;
+  }
+
+  return { reply, created: done.map(outcome => outcome.created) };
+}
+
+// ============================================================================
+// Helper Functions - Conversation Threads
+// ============================================================================
+
+/** Longest title a user can give a conversation */
+const MAX_CONVERSATION_TITLE_LENGTH = 100;
+
+/**
+ * Resolve the conversation a chat message goes to
+ * Without an ID the user's current thread is used (or a new one started).
+ * Sending to an archived thread reopens it. Sends the 404/403 response
+ * itself when the thread cannot be used.
+ * 
+ * @param {Object} req - Request (authenticated)
+ * @param {Object} res - Response
+ * @param {string} conversationId - Requested thread (optional)
+ * @returns {Promise<Object|null>} Conversation, or null if a response was sent
+ */
+async function resolveChatConversation(req, res, conversationId) {
+  if (conversationId === undefined || conversationId === null) {
+    return await conversationService.getOrCreateCurrent(req.user.id);
+  }
+
+  const conversation = await conversationService.getById(conversationId);
+  if (!conversation) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+  // Messages are always the caller's own, so admins cannot post into other users' threads
+  if (conversation.userId !== req.user.id) {
+    res.status(403).json({ error: 'Unauthorized to use this conversation' });
+    return null;
+  }
+
+  if (conversation.archivedAt) {
+    return await conversationService.update(conversation.id, { archivedAt: null });
+  }
+  return conversation;
+}
+
+/**
+ * Load a conversation the caller may manage
+ * Sends the 404/403 response itself when not.
+ * 
+ * @param {Object} req - Request with params.id
+ * @param {Object} res - Response
+ * @param {string} action - Verb for the 403 message, e.g. "archive"
+ * @returns {Promise<Object|null>} Conversation, or null if a response was sent
+ */
+async function loadConversation(req, res, action) {
+  const conversation = await conversationService.getById(req.params.id);
+
+  if (!conversation) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+  if (!canAccessUser(req, conversation.userId)) {
+    res.status(403).json({ error: `Unauthorized to ${action} this conversation` });
+    return null;
+  }
+
+  return conversation;
+}
+
+/**
+ * Write one Server-Sent Event to the response
+ * 
+ * @param {Object} res - Express response
+ * @param {string} event - Event name ("start", "token", "done", "error")
+ * @param {Object} data - JSON-serializable payload
+ */
+function sendSSE(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Respond 429 to a chat request from a user whose token budget is used up
+ * 
+ * @param {Object} res - Express response
+ * @param {Object} budget - "exceeded" result of checkTokenBudget
+ */
+function sendBudgetExceeded(res, budget) {
+  console.log(`⛔ ${budget.exceeded} token budget used up, refusing chat until ${budget.resetsAt.toISOString()}`);
+  res.status(429).json({
+    error: 'Token budget exceeded',
+    code: 'TOKEN_BUDGET_EXCEEDED',
+    message: `You have reached your ${budget.exceeded} AI usage limit. It resets at ${budget.resetsAt.toISOString()}.`,
+    resetsAt: budget.resetsAt,
+  });
+}
+
+// --- Request Schemas ---
+
+const chatBody = object({
+  // Empty for the onboarding prompt on the first interaction
+  message: { type: 'string' },
+  conversationId: nullable(id),
+}, ['message']);
+
+const streamBody = object({ message: text(), conversationId: nullable(id) }, ['message']);
+
+const historyQuery = object({ conversationId: id, cursor, limit: limit(500), from: dateTime, to: dateTime });
+
+const conversationTitle = text(MAX_CONVERSATION_TITLE_LENGTH);
+
+const updateConversationBody = object({ title: conversationTitle, archived: { type: 'boolean' } });
+
+const memoryQuery = object({ kind: { type: 'string', enum: ['memory', 'message'] }, limit: limit(500) });
+
+const actionsQuery = object({
+  status: { type: 'string', enum: ['pending', 'confirmed', 'rejected', 'failed'] },
+  conversationId: id,
+});
+
+const usageQuery = object({ from: dateTime, to: dateTime, userId: id });
+
 // --- API Routes ---
 
 /**
  * POST /api/chat - Send a chat message and get AI response
- * Requires: userId, message
- * Returns: { success, data: { userMessage, aiResponse, messageId } }
+ * Requires: message; optional conversationId (default: the current thread)
+ * Returns: { success, data: { userMessage, aiResponse, actions, created, conversation } }
+ * - actions: records the coach proposed to create, pending confirmation
+ * - created: records created because this message confirmed earlier proposals
+ * - conversation: the thread the message went to (title set from the first message)
+ * @status {403} conversationId belongs to another user
+ * @status {404} Conversation not found
+ * @status {429} Token budget used up and TOKEN_BUDGET_ACTION=refuse (code: TOKEN_BUDGET_EXCEEDED)
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, validate({ body: chatBody }), async (req, res) => {
   try {
-    const { message } = req.body;
+    const { message, conversationId } = req.body;
     const userId = req.user.id;
 
-    // Allow empty message for fetching onboarding prompt on first interaction
-    if (message === undefined) {
-      return res.status(400).json({ error: 'Message is required' });
-    }
+    const conversation = await resolveChatConversation(req, res, conversationId);
+    if (!conversation) return;
 
     // Empty message is allowed - used to fetch onboarding prompt
     const isOnboardingFetch = message.trim().length === 0;
 
+    const budget = await checkTokenBudget(userId);
+    if (budget.status === 'exceeded') {
+      return sendBudgetExceeded(res, budget);
+    }
+
     console.log(`\n💬 Chat request from user ${userId}: ${isOnboardingFetch ? '[ONBOARDING FETCH]' : `"${message}"`}`);
 
     // Only save user message if it's not empty
@@ -301,29 +716,29 @@ router.post('/', authenticateToken, async (req, res) => {
       userMsg = await messageService.create({
         text: message,
         userId,
+        conversationId: conversation.id,
         role: "user", // Explicitly mark as user message
       });
       console.log(`✓ Saved user message: ${userMsg.id}`);
+      indexMessage(userMsg); // Embed for long-term memory in the background
     }
 
     // Generate AI response
     console.log('🤖 Generating AI response...');
-    const aiResponse = await generateChatResponse(userId, message);
-    console.log(`✓ AI response generated (${aiResponse.length} chars)`);
+    const result = await generateChatResponse(userId, conversation.id, message, budget);
+    console.log(`✓ AI response generated (${result.text.length} chars)`);
 
-    // Save AI response to database
-    const aiMsg = await messageService.create({
-      text: aiResponse,
-      userId,
-      role: "assistant", // Explicitly mark as AI response
-    });
-    console.log(`✓ Saved AI message: ${aiMsg.id}`);
+    // Save AI response (and any proposed actions) to database
+    const { aiMsg, actions } = await saveAssistantReply(userId, conversation.id, result);
 
     res.json({
       success: true,
       data: {
         userMessage: userMsg || null,
         aiResponse: aiMsg,
+        actions,
+        created: result.created,
+        conversation: await conversationService.getById(conversation.id),
       },
     });
   } catch (error) {
@@ -336,54 +751,141 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 /**
- * GET /api/chat/suggestion/:userId - Generate AI suggestion based on recent chat
- * Returns: { success, data: { suggestion } }
+ * POST /api/chat/stream - Send a chat message and stream the AI response (SSE)
+ * Requires: message; optional conversationId (default: the current thread)
+ * Emits Server-Sent Events:
+ * - start: { userMessage, conversation } once the user message is saved
+ * - token: { text } for each generated chunk
+ * - done:  { aiResponse, actions, created } with the persisted assistant Message,
+ *          proposed actions and confirmed records (see POST /api/chat)
+ * - error: { error, message } if generation fails
+ * If the client disconnects mid-stream, generation is aborted and the partial
+ * response generated so far is still persisted.
+ * @status {403} conversationId belongs to another user (sent before the stream starts)
+ * @status {404} Conversation not found (sent before the stream starts)
+ * @status {429} Token budget used up and TOKEN_BUDGET_ACTION=refuse (sent before the stream starts)
  */
-router.get('/suggestion/:userId', authenticateToken, async (req, res) => {
+router.post('/stream', authenticateToken, validate({ body: streamBody }), async (req, res) => {
+  const { message, conversationId } = req.body;
+  const userId = req.user.id;
+
+  let budget;
+  let conversation;
   try {
-    const userId = req.params.userId;
-    
-    // Get recent conversation history
-    const recentMessages = await getConversationHistory(userId, 2);
-    
-    if (recentMessages.length === 0) {
-      return res.json({
-        success: true,
-        data: { suggestion: null },
-      });
+    conversation = await resolveChatConversation(req, res, conversationId);
+    if (!conversation) return;
+    budget = await checkTokenBudget(userId);
+  } catch (error) {
+    console.error('❌ Error preparing chat stream:', error);
+    return res.status(500).json({ error: 'Failed to process chat message', message: error.message });
+  }
+  if (budget.status === 'exceeded') {
+    return sendBudgetExceeded(res, budget);
+  }
+
+  console.log(`\n💬 Streaming chat request from user ${userId}: "${message}"`);
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+  res.flushHeaders();
+
+  // Abort generation if the client goes away before we finish
+  const abortController = new AbortController();
+  let clientClosed = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+      abortController.abort();
     }
-    
-    // Generate AI suggestion
-    const suggestion = await generateAISuggestion(userId, recentMessages);
-    
-    res.json({
-      success: true,
-      data: { suggestion },
+  });
+
+  let partialText = '';
+
+  try {
+    const userMsg = await messageService.create({
+      text: message,
+      userId,
+      conversationId: conversation.id,
+      role: "user",
     });
+    console.log(`✓ Saved user message: ${userMsg.id}`);
+    indexMessage(userMsg); // Embed for long-term memory in the background
+    sendSSE(res, 'start', {
+      userMessage: userMsg,
+      conversation: await conversationService.getById(conversation.id),
+    });
+
+    console.log('🤖 Streaming AI response...');
+    const result = await streamChatResponse(
+      userId,
+      conversation.id,
+      message,
+      (text) => {
+        partialText += text;
+        if (!clientClosed) sendSSE(res, 'token', { text });
+      },
+      abortController.signal,
+      budget,
+    );
+
+    const { aiMsg, actions } = await saveAssistantReply(userId, conversation.id, result);
+
+    if (!clientClosed) {
+      sendSSE(res, 'done', { aiResponse: aiMsg, actions, created: result.created });
+      res.end();
+    }
   } catch (error) {
-    console.error('Error generating suggestion:', error);
-    res.status(500).json({
-      error: 'Failed to generate suggestion',
+    if (clientClosed) {
+      // Keep whatever the user already saw so history matches the screen
+      console.log(`⚠️ Client disconnected mid-stream (${partialText.length} chars generated)`);
+      if (partialText.trim().length > 0) {
+        await messageService.create({ text: partialText, userId, conversationId: conversation.id, role: "assistant" })
+          .catch((saveError) => console.error('❌ Error saving partial response:', saveError));
+      }
+      return;
+    }
+
+    console.error('❌ Error in chat stream endpoint:', error);
+    sendSSE(res, 'error', {
+      error: 'Failed to process chat message',
       message: error.message,
     });
+    res.end();
   }
 });
 
 /**
- * GET /api/chat/history/:userId - Get conversation history
- * Returns: { success, data: messages[] }
+ * GET /api/chat/history/:userId - Get the messages of one conversation thread
+ * Query: conversationId (optional, default: the current thread), limit (default: 50),
+ * cursor (nextCursor of the previous page, to load older messages), from/to (created between)
+ * Returns: { success, data: messages[], nextCursor, conversation } - the latest `limit`
+ * messages before the cursor, oldest first; nextCursor is null when there are no
+ * older messages; conversation is null when the user has no threads yet
+ * @status {404} Conversation not found
  */
-router.get('/history/:userId', authenticateToken, async (req, res) => {
+router.get('/history/:userId', authenticateToken, validate({ params: userIdParams, query: historyQuery }), async (req, res) => {
   try {
     const { userId } = req.params;
-    const limit = parseInt(req.query.limit) || 50;
+    const { cursor, from, to } = req.query;
 
     // Verify user is requesting their own history or is admin
-    if (req.user.id !== userId) {
+    if (!canAccessUser(req, userId)) {
       return res.status(403).json({ error: 'Unauthorized' });
     }
 
-    const messages = await messageService.getByUser(userId, limit);
+    const conversation = req.query.conversationId
+      ? await conversationService.getById(req.query.conversationId)
+      : await conversationService.getCurrent(userId);
+    if (req.query.conversationId && (!conversation || conversation.userId !== userId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const page = conversation
+      ? await messageService.getPage(conversation.id, { cursor, limit: queryLimit(req.query.limit), from, to })
+      : { items: [], nextCursor: null };
+    const messages = page.items;
     
     // Ensure role field is present and valid for all messages
     const messagesWithRole = messages.map(msg => ({
@@ -399,6 +901,8 @@ router.get('/history/:userId', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       data: messagesWithRole,
+      nextCursor: page.nextCursor,
+      conversation,
     });
   } catch (error) {
     console.error('Error fetching chat history:', error);
@@ -410,30 +914,119 @@ router.get('/history/:userId', authenticateToken, async (req, res) => {
 });
 
 /**
- * POST /api/chat/memory - Store long-term memory
- * Requires: userId, content
- * Returns: { success, data: { embedded } }
+ * GET /api/chat/conversations - List the authenticated user's conversation threads
+ * Query: archived (optional) - "true" to list archived instead of active threads
+ * Returns: { success, data: [{ id, title, archivedAt, lastMessageAt, messageCount, lastMessage }] }
+ * Threads are ordered by their latest message, most recent first.
+ */
+router.get('/conversations', authenticateToken, validate({ query: object({ archived: flag }) }), async (req, res) => {
+  try {
+    const archived = req.query.archived === 'true';
+    const conversations = await conversationService.getByUser(req.user.id, { archived });
+
+    res.json({
+      success: true,
+      data: conversations.map(({ _count, messages, ...conversation }) => ({
+        ...conversation,
+        messageCount: _count.messages,
+        lastMessage: messages[0] || null,
+      })),
+    });
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    res.status(500).json({ error: 'Failed to list conversations' });
+  }
+});
+
+/**
+ * POST /api/chat/conversations - Start a new conversation thread
+ * Optional: title (default: taken from the first message)
+ * Returns: { success, data: Conversation }
+ * @status {201} Conversation created
  */
-router.post('/memory', authenticateToken, async (req, res) => {
+router.post('/conversations', authenticateToken, validate({ body: object({ title: conversationTitle }) }), async (req, res) => {
+  try {
+    const { title } = req.body || {};
+
+    const conversation = await conversationService.create(req.user.id, { title: title?.trim() });
+    console.log(`🧵 Conversation ${conversation.id} started for user ${req.user.id}`);
+
+    res.status(201).json({ success: true, data: conversation });
+  } catch (error) {
+    console.error('Error creating conversation:', error);
+    res.status(500).json({ error: 'Failed to create conversation' });
+  }
+});
+
+/**
+ * PATCH /api/chat/conversations/:id - Rename, archive or unarchive a thread
+ * Optional: title, archived (boolean)
+ * Archived threads are hidden from the thread list; sending a message to one
+ * reopens it.
+ * Returns: { success, data: Conversation }
+ * @status {403} Conversation belongs to another user
+ * @status {404} Conversation not found
+ */
+router.patch('/conversations/:id', authenticateToken, validate({ params: idParams, body: updateConversationBody }), async (req, res) => {
+  try {
+    const { title, archived } = req.body || {};
+
+    const conversation = await loadConversation(req, res, 'update');
+    if (!conversation) return;
+
+    const updated = await conversationService.update(conversation.id, {
+      title: title?.trim(),
+      archivedAt: archived === undefined ? undefined : (archived ? conversation.archivedAt || new Date() : null),
+    });
+
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error('Error updating conversation:', error);
+    res.status(500).json({ error: 'Failed to update conversation' });
+  }
+});
+
+/**
+ * DELETE /api/chat/conversations/:id - Delete a thread with all its messages
+ * The messages are also removed from the coach's long-term memory.
+ * @status {200} Conversation deleted
+ * @status {403} Conversation belongs to another user
+ * @status {404} Conversation not found
+ */
+router.delete('/conversations/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res, 'delete');
+    if (!conversation) return;
+
+    const messageIds = await conversationService.delete(conversation.id);
+    await forgetMessages(conversation.userId, messageIds);
+    console.log(`🗑️ Conversation ${conversation.id} deleted (${messageIds.length} messages)`);
+
+    res.json({ success: true, message: 'Conversation deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+});
+
+/**
+ * POST /api/chat/memory - Save a long-term memory for the coach
+ * The content is embedded and stored in the user's vector memory; it is
+ * recalled in later chats whenever it is relevant to what the user says.
+ * Requires: content
+ * Returns: { success, data: { id, kind, content } }
+ */
+router.post('/memory', authenticateToken, validate({ body: object({ content: text() }, ['content']) }), async (req, res) => {
   try {
     const { content } = req.body;
     const userId = req.user.id;
 
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({ error: 'Content is required' });
-    }
-
-    // For now, we'll log the memory content
-    // In production, implement vector embedding with Qdrant
-    console.log(`Storing memory for user ${userId}: ${content}`);
+    const memory = await addMemory(userId, content);
+    console.log(`🧠 Stored memory ${memory.id} for user ${userId}`);
 
-    res.json({
+    res.status(201).json({
       success: true,
-      data: { 
-        embedded: true, 
-        content,
-        message: 'Memory stored (vector embedding coming soon)'
-      },
+      data: memory,
     });
   } catch (error) {
     console.error('Error storing memory:', error);
@@ -445,18 +1038,152 @@ router.post('/memory', authenticateToken, async (req, res) => {
 });
 
 /**
- * GET /api/chat/stats - Get token usage and cost statistics (admin only)
- * Returns: { success, data: { tokenUsage, estimatedCost } }
+ * GET /api/chat/memory - List the authenticated user's long-term memories
+ * Query: kind (optional) - "memory" (saved facts) or "message" (indexed chat messages)
+ *        limit (optional, default 100, max 500)
+ * Returns: { success, data: [{ id, kind, sourceId, content, createdAt }] }
+ */
+router.get('/memory', authenticateToken, validate({ query: memoryQuery }), async (req, res) => {
+  try {
+    const { kind } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const memories = await listMemories(req.user.id, { kind, limit });
+    res.json({ success: true, data: memories });
+  } catch (error) {
+    console.error('Error listing memories:', error);
+    res.status(500).json({ error: 'Failed to list memories' });
+  }
+});
+
+/**
+ * DELETE /api/chat/memory/:id - Forget a long-term memory
+ * @status {200} Memory deleted
+ * @status {403} Memory belongs to another user
+ * @status {404} Memory not found
+ */
+router.delete('/memory/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const deleted = await deleteMemory(req.user.id, req.params.id);
+
+    if (deleted === null) {
+      return res.status(404).json({ error: 'Memory not found' });
+    }
+    if (deleted === false) {
+      return res.status(403).json({ error: 'Unauthorized to delete this memory' });
+    }
+
+    res.json({ success: true, message: 'Memory deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting memory:', error);
+    res.status(500).json({ error: 'Failed to delete memory' });
+  }
+});
+
+/**
+ * GET /api/chat/actions - List actions the coach proposed for the authenticated user
+ * Query: status (optional) - "pending", "confirmed", "rejected" or "failed"
+ *        conversationId (optional) - only actions proposed in this thread
+ * Returns: { success, data: [ChatAction] }
+ */
+router.get('/actions', authenticateToken, validate({ query: actionsQuery }), async (req, res) => {
+  try {
+    const { status, conversationId } = req.query;
+
+    const actions = await chatActionService.getByUser(req.user.id, { status, conversationId });
+    res.json({ success: true, data: actions });
+  } catch (error) {
+    console.error('Error fetching chat actions:', error);
+    res.status(500).json({ error: 'Failed to fetch chat actions' });
+  }
+});
+
+/**
+ * POST /api/chat/actions/:id/confirm - Confirm a proposed action and create the record
+ * Returns: { success, data: { action, created: { type, record } } }
+ * @status {200} Record created
+ * @status {403} Action belongs to another user
+ * @status {404} Action not found
+ * @status {409} Action was already resolved
+ * @status {500} Record could not be created (action marked "failed")
+ */
+router.post('/actions/:id/confirm', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const action = await chatActionService.getById(req.params.id);
+
+    if (!action) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+
+    // Verify ownership
+    if (!canAccessUser(req, action.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to confirm this action' });
+    }
+
+    if (action.status !== 'pending') {
+      return res.status(409).json({ error: `Action already ${action.status}` });
+    }
+
+    const outcome = await confirmChatAction(action);
+    if (!outcome.created) {
+      return res.status(500).json({
+        error: 'Failed to create record',
+        data: { action: outcome.action },
+      });
+    }
+
+    res.json({ success: true, data: outcome });
+  } catch (error) {
+    console.error('Error confirming chat action:', error);
+    res.status(500).json({ error: 'Failed to confirm action' });
+  }
+});
+
+/**
+ * POST /api/chat/actions/:id/reject - Dismiss a proposed action
+ * Returns: { success, data: ChatAction }
+ * @status {200} Action rejected
+ * @status {403} Action belongs to another user
+ * @status {404} Action not found
+ * @status {409} Action was already resolved
+ */
+router.post('/actions/:id/reject', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const action = await chatActionService.getById(req.params.id);
+
+    if (!action) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+
+    // Verify ownership
+    if (!canAccessUser(req, action.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to reject this action' });
+    }
+
+    if (action.status !== 'pending') {
+      return res.status(409).json({ error: `Action already ${action.status}` });
+    }
+
+    const updated = await chatActionService.resolve(action.id, { status: 'rejected' });
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error('Error rejecting chat action:', error);
+    res.status(500).json({ error: 'Failed to reject action' });
+  }
+});
+
+/**
+ * GET /api/chat/stats - The authenticated user's token usage and budget
+ * Totals cover the current UTC day and month; limits are null when no budget is set.
+ * Returns: { success, data: { status, exceeded, resetsAt, action,
+ *   daily: { limit, inputTokens, outputTokens, totalTokens, cost, requests }, monthly: { ... } } }
  */
 router.get('/stats', authenticateToken, async (req, res) => {
   try {
-    const stats = getTokenStats();
+    const usage = await getBudgetStatus(req.user.id);
     res.json({
       success: true,
-      data: {
-        ...stats,
-        message: '💰 Token usage tracking (all times in aggregates since last reset)',
-      },
+      data: usage,
     });
   } catch (error) {
     console.error('Error fetching stats:', error);
@@ -467,15 +1194,52 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/chat/usage - Token usage and estimated cost per user and model (admin only)
+ * Query: from (optional, default: start of the current UTC month)
+ *        to (optional, default: now)
+ *        userId (optional) - Only this user
+ * Returns: { success, data: { from, to, totals, users: [{ userId, email, name, ...totals, models: [...] }] } }
+ * @status {200} Report generated
+ * @status {400} Invalid date range
+ * @status {403} Caller is not an admin
+ */
+router.get('/usage', authenticateToken, requireAdmin, validate({ query: usageQuery }), async (req, res) => {
+  try {
+    const now = new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const to = req.query.to ? new Date(req.query.to) : now;
+
+    if (from >= to) {
+      return sendValidationError(res, [fieldError('query', 'from', 'from must be before to')]);
+    }
+
+    const report = await tokenUsageService.getReport({ from, to, userId: req.query.userId });
+    res.json({
+      success: true,
+      data: { from, to, ...report },
+    });
+  } catch (error) {
+    console.error('Error building usage report:', error);
+    res.status(500).json({ error: 'Failed to build usage report' });
+  }
+});
+
 export default router;
 
 // --- Onboarding helpers ---
 /**
  * Try to detect an onboarding-style reply and save it to AI memory.
- * Uses confidence scoring to determine if extraction is reliable.
+ * Extracts a structured fitness profile (see LLM/onboarding.js) and uses its
+ * confidence to decide whether the extraction is reliable. Profiles the user
+ * has already confirmed on the review screen are never overwritten, and the
+ * extracted training details are added to the saved ones.
+ * Only called while the user has no profile yet (see prepareChatTurn).
  * Returns: true if HIGH/MEDIUM confidence data saved, false if LOW confidence or errors
  */
-async function tryHandleOnboardingReply(userId, message) {
+async function tryHandleOnboardingReply(userId, message, memory) {
   try {
     if (!message || message.trim().length < 20) {
       console.log('⚠️ Message too short for onboarding parsing');
@@ -496,617 +1260,51 @@ async function tryHandleOnboardingReply(userId, message) {
       return false;
     }
 
-    const parsed = parseOnboardingReply(message);
-    console.log(`📋 Parsed onboarding: confidence=${parsed.confidence}, summary=${parsed.summary}, goals=${parsed.goals.length}, tone=${parsed.preferences.tone}`);
-
-    // Confidence check: only save if we're reasonably sure
-    if (parsed.confidence === 'low') {
-      console.log('⚠️ LOW confidence extraction - requesting clarification');
-      console.log('   Warnings:', parsed.warnings);
-      // Return false so AI asks follow-up questions
+    if (memory?.manuallyVerified) {
+      console.log('ℹ️ Profile already confirmed by the user - skipping onboarding extraction');
       return false;
     }
 
-    // Build memory payload - only include fields we extracted
-    const memoryPayload = {};
-    if (parsed.summary && parsed.summary !== '[Pending explicit response]') {
-      memoryPayload.summary = parsed.summary;
-    }
-    if (parsed.goals && parsed.goals.length > 0) {
-      const year = String(new Date().getFullYear());
-      memoryPayload.goals = { [year]: parsed.goals };
-    }
-    if (parsed.preferences && Object.keys(parsed.preferences).length > 0) {
-      memoryPayload.preferences = parsed.preferences;
-    }
+    const { profile, confidence, warnings, method } = await extractOnboardingProfile(userId, message);
+    console.log(`📋 Extracted onboarding (${method}): confidence=${confidence}, name=${profile.name}, goals=${profile.goals.length}, tone=${profile.tone}`);
 
-    if (Object.keys(memoryPayload).length === 0) {
-      console.log('⚠️ No valid data extracted after filtering');
+    // Confidence check: only save if we're reasonably sure
+    if (confidence === 'low') {
+      console.log('⚠️ LOW confidence extraction - requesting clarification');
+      console.log('   Warnings:', warnings);
+      // Return false so AI asks follow-up questions
       return false;
     }
 
-    // Save with confidence metadata for future reference
-    memoryPayload._extractedAt = new Date();
-    memoryPayload._extractionConfidence = parsed.confidence;
-    if (parsed.warnings.length > 0) {
-      memoryPayload._extractionWarnings = parsed.warnings;
+    // Save with extraction metadata so the user can review it
+    const memoryPayload = {
+      ...profileToMemory(profile, memory?.preferences, memory?.fitnessProfile || {}),
+      _extractedAt: new Date(),
+      _extractionConfidence: confidence,
+      _extractionMethod: method,
+      _manuallyVerified: false,
+    };
+    // Only overwrite the fields we extracted
+    if (!profile.name) delete memoryPayload.summary;
+    if (profile.goals.length === 0) delete memoryPayload.goals;
+    if (warnings.length > 0) {
+      memoryPayload._extractionWarnings = warnings;
     }
 
     console.log(`💾 Attempting to save AI memory for user ${userId}...`);
-    await aiMemoryService.upsert(userId, memoryPayload);
-    console.log(`✅ Onboarding data saved [${parsed.confidence} confidence] for user ${userId}`);
+    const saved = await aiMemoryService.upsert(userId, memoryPayload);
+    console.log(`✅ Onboarding data saved [${confidence} confidence] for user ${userId}`);
     console.log('   Saved:', memoryPayload);
+
+    // Chat-onboarded users never see the wizard, so they get their starter plan here
+    try {
+      await seedStarterPlan(userId, memoryToProfile(saved));
+    } catch (err) {
+      console.error('❌ Error seeding starter plan:', err);
+    }
     return true;
   } catch (err) {
     console.error('❌ Error handling onboarding reply:', err);
     return false;
   }
 }
-
-/**
- * Robust onboarding parser using lightweight extraction + validation.
- * Prioritizes accuracy over comprehensiveness to avoid data loss.
- * 
- * Returns: { summary, goals, preferences, confidence, warnings }
- * - confidence: 'high'|'medium'|'low' - whether we're sure about extraction
- * - warnings: array of issues found (for logging/debugging)
- */
-function parseOnboardingReply(text) {
-  const result = {
-    summary: '',
-    goals: [],
-    preferences: {},
-    confidence: 'low',
-    warnings: [],
-  };
-
-  if (!text || text.trim().length < 20) {
-    result.warnings.push('Text too short to parse reliably');
-    return result;
-  }
-
-  // --- EXTRACT SUMMARY/NAME (Robust) ---
-  let extractedName = '';
-  
-  // Priority 1: Explicit "My name is X" pattern
-  const nameMatch = text.match(/my name is\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i);
-  if (nameMatch && nameMatch[1]) {
-    extractedName = nameMatch[1].trim();
-  }
-  
-  // Priority 2: "I am X" or "I'm X" - but only if followed by goal/tone indicators
-  if (!extractedName) {
-    const iAmMatch = text.match(/^(?:i am|i'm)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i);
-    if (iAmMatch && iAmMatch[1] && /goals?:|tone:|i want to|i'd like to|prefer/i.test(text)) {
-      extractedName = iAmMatch[1].trim();
-    }
-  }
-  
-  // Only use summary if we have clear extraction (avoid "That sounds good" as summary)
-  if (extractedName && extractedName.length > 1 && extractedName.length < 50) {
-    result.summary = extractedName;
-  } else if (!extractedName) {
-    result.warnings.push('Could not extract name/summary explicitly - falling back to user contact');
-    // Don't auto-assign first sentence - too error-prone
-    result.summary = '[Pending explicit response]';
-  }
-
-  // --- EXTRACT GOALS (Robust) ---
-  let extractedGoals = [];
-  
-  // Priority 1: Explicit "Goals:" or "Goal:" field
-  const goalsMatch = text.match(/goals?:\s*([^\n]*?)(?=tone:|preference:|$)/i);
-  if (goalsMatch && goalsMatch[1]) {
-    // Split carefully: only on semicolons, commas, or sentence boundaries
-    // Avoid splitting on "and" to prevent "machine and deep learning" → ["machine", "deep learning"]
-    const goalsText = goalsMatch[1];
-    extractedGoals = goalsText
-      .split(/;\s*|,\s*|(?:\n\s*-\s*)/) // split on ;, comma, or bullet-list items
-      .map(g => g.replace(/^(?:and|or)\s+/i, '').trim()) // remove leading "and"/"or"
-      .filter(g => g.length > 2 && g.length < 100); // filter invalid entries
-  }
-  
-  // Priority 2: Look for "I want to" / "I'd like to" sentences
-  if (extractedGoals.length === 0) {
-    const lines = text.split(/[\.\n]/).map(l => l.trim()).filter(Boolean);
-    for (const line of lines) {
-      if (/i want to|i'd like to|i would like to|i'm aiming to|goal is to/i.test(line)) {
-        // Extract just the goal part, not the intro
-        const goalPart = line
-          .replace(/^.*?(?:i want to|i'd like to|i would like to|i'm aiming to|goal is to)\s+/i, '')
-          .trim();
-        if (goalPart.length > 2 && goalPart.length < 100) {
-          extractedGoals.push(goalPart);
-        }
-      }
-    }
-  }
-  
-  if (extractedGoals.length === 0) {
-    result.warnings.push('No goals detected - user may not have provided them');
-  } else if (extractedGoals.length > 10) {
-    result.warnings.push(`Extracted ${extractedGoals.length} goals - may be too many, truncating to 10`);
-    extractedGoals = extractedGoals.slice(0, 10);
-  }
-  
-  // Remove duplicates (case-insensitive)
-  const uniqueGoals = [];
-  const seen = new Set();
-  for (const goal of extractedGoals) {
-    const lower = goal.toLowerCase();
-    if (!seen.has(lower)) {
-      seen.add(lower);
-      uniqueGoals.push(goal);
-    }
-  }
-  result.goals = uniqueGoals;
-
-  // --- EXTRACT TONE/PREFERENCES (Robust) ---
-  let extractedTone = '';
-  
-  // Priority 1: Explicit "Tone:" field
-  const toneMatch = text.match(/tone:\s*([a-zA-Z\- ]+?)(?:[,\.\n]|$)/i);
-  if (toneMatch && toneMatch[1]) {
-    extractedTone = toneMatch[1].trim().toLowerCase();
-  }
-  
-  // Priority 2: Keyword scan - but ONLY from a specific "preference/tone" section
-  if (!extractedTone) {
-    const toneKeywords = [
-      'encouraging', 'supportive', 'energizing', 'energetic',
-      'firm', 'strict', 'gentle', 'motivating', 'motivational',
-      'uplifting', 'positive', 'realistic', 'direct', 'compassionate'
-    ];
-    
-    // Look in "tone:" or "prefer:" or "motivat:" context to avoid false positives
-    const contextMatch = text.match(/(?:tone|prefer|motivat)[^.]*?\b([\w\- ]+)\b/i);
-    if (contextMatch) {
-      for (const keyword of toneKeywords) {
-        if (contextMatch[0].toLowerCase().includes(keyword)) {
-          extractedTone = keyword;
-          break;
-        }
-      }
-    }
-  }
-  
-  if (extractedTone) {
-    result.preferences.tone = extractedTone;
-  } else {
-    result.warnings.push('No tone/motivation preference detected');
-  }
-
-  // --- CONFIDENCE SCORING ---
-  const hasName = result.summary && result.summary !== '[Pending explicit response]';
-  const hasGoals = result.goals.length > 0;
-  const hasTone = result.preferences.tone;
-  
-  if (hasName && hasGoals && hasTone) {
-    result.confidence = 'high';
-  } else if ((hasName && hasGoals) || (hasGoals && hasTone)) {
-    result.confidence = 'medium';
-  } else {
-    result.confidence = 'low';
-  }
-  
-  console.log(`📋 Onboarding parse result:`, {
-    summary: result.summary,
-    goalsCount: result.goals.length,
-    tone: result.preferences.tone || 'not set',
-    confidence: result.confidence,
-    warnings: result.warnings.length > 0 ? result.warnings : 'none',
-  });
-
-  return result;
-}
-
-/**
- * Parse natural language time expressions into ISO date and time
- * Examples: "tomorrow morning", "next Monday at 3pm", "today evening"
- */
-function parseNaturalLanguageTime(text) {
-  const now = new Date();
-  let date = new Date(now);
-  let time = null;
-
-  const lowerText = text.toLowerCase();
-
-  // Extract time of day
-  const timeMatches = {
-    morning: '09:00',
-    noon: '12:00',
-    afternoon: '14:00',
-    evening: '18:00',
-    night: '20:00',
-  };
-
-  for (const [period, timeStr] of Object.entries(timeMatches)) {
-    if (lowerText.includes(period)) {
-      time = timeStr;
-      break;
-    }
-  }
-
-  // Extract specific time like "3pm" or "15:30"
-  const timeRegex = /(\d{1,2}):?(\d{2})?\s*(am|pm)?/i;
-  const timeMatch = text.match(timeRegex);
-  if (timeMatch) {
-    let hours = parseInt(timeMatch[1]);
-    const minutes = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-    const period = timeMatch[3]?.toLowerCase();
-
-    if (period === 'pm' && hours !== 12) hours += 12;
-    if (period === 'am' && hours === 12) hours = 0;
-
-    time = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
-  }
-
-  // Extract date references
-  if (lowerText.includes('tomorrow')) {
-    date.setDate(date.getDate() + 1);
-  } else if (lowerText.includes('today')) {
-    // Use current date
-  } else if (lowerText.includes('next')) {
-    // Look for day of week
-    const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-    for (const day of days) {
-      if (lowerText.includes(day)) {
-        const targetDay = days.indexOf(day);
-        const currentDay = date.getDay();
-        let daysAhead = targetDay - currentDay;
-        if (daysAhead <= 0) daysAhead += 7;
-        date.setDate(date.getDate() + daysAhead);
-        break;
-      }
-    }
-  } else {
-    // Check for specific day names
-    const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-    for (const day of days) {
-      if (lowerText.includes(day)) {
-        const targetDay = days.indexOf(day);
-        const currentDay = date.getDay();
-        let daysAhead = targetDay - currentDay;
-        if (daysAhead < 0) daysAhead += 7;
-        if (daysAhead === 0) daysAhead = 7; // If same day, assume next week
-        date.setDate(date.getDate() + daysAhead);
-        break;
-      }
-    }
-  }
-
-  return {
-    date: date.toISOString().split('T')[0], // YYYY-MM-DD format
-    time: time || '10:00', // Default to 10am if no time specified
-  };
-}
-
-/**
- * Generate AI-based suggestion for goal or calendar event based on recent chat context
- * Distinguishes between daily goals (short-term, repeatable) and long-term goals (major aspirations)
- */
-async function generateAISuggestion(userId, recentMessages) {
-  try {
-    const llm = getCheapLLM(); // Use cheaper model for this task
-    
-    // Get the user's most recent message - this is what we should focus on
-    const userMessages = recentMessages.filter(msg => msg.role === 'user');
-    console.log(`📋 Total messages in history: ${recentMessages.length}`);
-    console.log(`📋 User messages: ${userMessages.length}`);
-    recentMessages.forEach((msg, idx) => {
-      console.log(`   [${idx}] ${msg.role}: ${msg.content.substring(0, 50)}...`);
-    });
-    
-    const mostRecentUserMessage = userMessages[userMessages.length - 1]?.content || '';
-    console.log(`📝 Most recent USER message: "${mostRecentUserMessage.substring(0, 100)}..."`);
-    
-    // PRE-PROCESSING: Check for red flag patterns that MUST be events
-    const msgLower = mostRecentUserMessage.toLowerCase();
-    const dayNames = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-    const dayMap = { monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6, sunday: 0 };
-    
-    // Check for recurring/scheduled patterns
-    const hasRecurringPattern = dayNames.some(day => {
-      const patterns = [
-        `every ${day}`,
-        `every\\s+${day}`,
-        `on ${day}`,
-        `${day}\\s+morning`,
-        `${day}\\s+afternoon`,
-        `${day}\\s+evening`,
-        `\\b${day}\\b`, // Just the day name by itself (e.g., "Monday," or "Monday and" or "Monday ")
-      ];
-      return patterns.some(p => new RegExp(p, 'i').test(msgLower));
-    }) || msgLower.includes('every other') || /\d+x a week|twice a|twice a week|weekly|biweekly/.test(msgLower);
-    
-    console.log(`🔍 PRE-PROCESSING: Message="${mostRecentUserMessage}"`);
-    console.log(`   Recurring pattern detected: ${hasRecurringPattern}`);
-    
-    // Build context from recent messages for broader understanding
-    const messageContext = recentMessages
-      .slice(-5) // Last 5 messages for context
-      .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
-      .join('\n');
-
-    // Get user context
-    const userContext = await getUserContext(userId);
-
-    const prompt = `Based on the user's MOST RECENT MESSAGE and conversation context, generate ONE suggestion that directly addresses what they just said.
-
-⚠️ IMPORTANT: 
-- Focus primarily on the user's most recent message for the GOAL/ACTIVITY
-- Use the broader conversation context to make the suggestion MORE SPECIFIC with any advice/details the AI provided
-- If the AI mentioned specific techniques, timing, or strategies, incorporate those into the suggestion text
-
-User's Most Recent Message:
-"${mostRecentUserMessage}"
-
-Broader Conversation Context (for reference - use to enhance suggestion details):
-${messageContext}
-
-User Profile Context:
-${userContext || 'No profile info available yet'}
-
-Generate a single suggestion in JSON format that directly addresses the user's most recent message:
-{
-  "type": "daily_goal" | "longterm_goal" | "event",
-  "text": "ONLY the action/verb phrase with relevant details from the conversation - NO day names, NO time periods. Examples: 'work out with intensity focus', 'meditate for 15 minutes', 'read a book chapter by chapter'. Incorporate any specific advice the AI gave.",
-  "reasoning": "brief explanation why this addresses what the user said. If type is event, include the recommended day/timing.",
-  "goalType": "ONLY for goals: 'daily' or 'longterm'",
-  "eventDate": "YYYY-MM-DD (only if type is event) - IMPORTANT: If user mentioned a specific day/date, use that. If not, suggest the most appropriate day based on context.",
-  "eventTime": "HH:MM (only if type is event)",
-  "recurring": "daily|weekly|biweekly|monthly|yearly (only if type is event and it's a repeating activity)",
-  "recurringDays": "[0-6] array for weekly recurrence, e.g. [1,3,5] for Mon/Wed/Fri (only if recurring is 'weekly')"
-}
-
-If the conversation doesn't warrant a suggestion, return:
-{"type": null}
-
-WHEN TO GENERATE SUGGESTIONS - Create a suggestion when user:
-- States a goal they want to achieve (e.g., "I want to run a marathon", "I have a long term goal to reach 100 hours")
-- Mentions a habit or routine they want to build (e.g., "I should exercise daily", "I want to meditate every morning")
-- Describes a one-time activity or event (e.g., "I want to go hiking next Saturday")
-- Specifies days/times for a recurring activity (e.g., "I want to go to the gym on Wednesday, Friday and Sunday")
-- Expresses an intention or plan (e.g., "I'm planning to learn Python", "I need to finish this project")
-
-WHEN NOT TO GENERATE - Return null only if:
-- User is asking a pure information question with NO stated goal (e.g., "What's a good way to...?" or "How do I...?" ALONE - but if they say "I want to X, how should I...?" then DO generate)
-- User is making small talk or casual conversation with no actionable intent
-- User is providing feedback or just chatting without expressing any goal/plan
-
-Note: Even if a user asks a follow-up question, if they've stated a goal/plan/schedule FIRST, generate a suggestion for that goal/plan.
-
-CRITICAL: Match suggestion type to what the user explicitly said:
-- If user says "I want to go to gym every Sunday evening" -> MUST be EVENT type with recurring:weekly and recurringDays:[0] (Sunday=0), NOT a daily goal
-- If user says "I want to hike every Saturday morning" -> MUST be EVENT type with recurring:weekly and recurringDays:[6] (Saturday=6), NOT a daily goal
-- If user says "I want to make a homemade meal every Wednesday" -> MUST be EVENT type with recurring:weekly and recurringDays:[3] (Wednesday=3)
-- If user says "I should exercise daily" -> DAILY_GOAL type (no specific day mentioned)
-- If user says "I want to go to the gym on Wednesday, Friday and Sunday" -> EVENT type with recurring:weekly and recurringDays:[3,5,0] (Wed=3, Fri=5, Sun=0)
-- If user says "I want to go to the gym on Wednesday, Friday and Sunday. What routine should I do?" -> EVENT type (still extract the event goal even though there's a question)
-- If user says "I want to run a marathon" -> LONGTERM_GOAL type
-- If user says "I have a long term goal to reach 100 hours of community service" -> LONGTERM_GOAL type
-- If user says "I have a meeting tomorrow at 3pm" -> EVENT type
-- If user says "I'm planning to learn Python" -> LONGTERM_GOAL type
-
-⚠️ RED FLAG PATTERNS - ALWAYS create EVENT, NEVER create DAILY_GOAL:
-- "every [day of week]" (every Monday, every Saturday, etc.)
-- "[day of week] [time]" (Monday morning, Friday evening, etc.)
-- "[day of week] at [time]" (Tuesday at 3pm, Sunday at 6am, etc.)
-- "every other [day]" or "[day]s" (every other Tuesday, Wednesdays, etc.)
-- "[number]x a week" (3x a week, twice a week, etc.)
-- "every [number] [time period]" (every 2 weeks, every month, etc.)
-- "on [day of week]" (on Mondays, on Fridays, etc.)
-
-If the user's message contains ANY of these patterns, the suggestion MUST be type: "event", NEVER type: "daily_goal"
-
-KEYWORD DETECTION (these signal EVENT, not DAILY_GOAL):
-- Day names: Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday
-- Time descriptors: morning, afternoon, evening, night, dawn, dusk
-- Frequency words: every, each, all, [number]x a week, weekly, monthly, biweekly
-- Prepositions: on, every, each, at (when with day/time)
-
-DECISION LOGIC - CHECK IN THIS ORDER:
-1. CHECK if message contains any RED FLAG PATTERN -> MUST be EVENT type
-2. SCAN for day-of-week keywords (Monday-Sunday) OR frequency keywords -> EVENT type
-3. SCAN for time keywords (morning, afternoon, evening) with day/frequency -> EVENT type (with time)
-4. IF NO day/time/frequency/pattern keywords -> check for daily habit language (e.g., "daily", "every day", "each day") -> DAILY_GOAL
-5. IF NO day/time/frequency -> check for aspirational language (e.g., "want to", "working towards", "goal") -> LONGTERM_GOAL
-
-EVENT DATE SELECTION:
-- If user explicitly mentioned a date/day (e.g., "next Monday", "this Friday", "tomorrow"), use that exact date
-- If user mentioned a recurring day (e.g., "every Monday"), use the next occurrence of that day
-- If user mentioned a context that implies timing (e.g., "I'm hosting friends", "I'm planning"), suggest the appropriate date:
-  * For social events, suggest the nearest available weekend or the specific day mentioned
-  * For fitness/habits, suggest next occurrence if specific day mentioned, otherwise suggest tomorrow or next week
-  * For work-related events, suggest the next business day
-- Always provide an eventDate even if user didn't specify one - choose the most contextually appropriate date
-
-Day-of-week numbers: Monday=1, Tuesday=2, Wednesday=3, Thursday=4, Friday=5, Saturday=6, Sunday=0
-
-EXAMPLE 1: User says "I want to hike every Saturday morning"
--> RED FLAG: "every Saturday" + "morning" (time)
--> MUST create EVENT (not daily goal!)
--> type: "event"
--> recurring: "weekly"
--> recurringDays: [6] (Saturday=6)
--> eventTime: "09:00" (morning)
--> text: "hike"
-
-EXAMPLE 2: User says "I want to make a homemade meal every Wednesday"
--> RED FLAG: "every Wednesday"
--> MUST create EVENT (not daily goal!)
--> type: "event"
--> recurring: "weekly"
--> recurringDays: [3] (Wednesday=3)
--> text: "make a homemade meal"
-
-EXAMPLE 3: User says "I should read more every day"
--> Contains "every day" -> STILL EVENT? NO - this is aspirational with frequency, likely DAILY_GOAL
--> But if they say "I want to read at 8pm every day" -> EVENT type with recurring: daily
-
-Return ONLY valid JSON, no other text.`;
-
-    console.log('🤖 Generating suggestion with prompt:', prompt.slice(0, 200) + '...');
-    
-    const response = await llm.invoke(prompt);
-    
-    // Handle different response formats
-    const responseText = typeof response === 'string' ? response : response.content;
-    console.log('💬 LLM suggestion response:', responseText.slice(0, 200));
-    
-    // Parse the response
-    try {
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        console.log('⚠️ No JSON found in suggestion response');
-        return null;
-      }
-      
-      const suggestion = JSON.parse(jsonMatch[0]);
-      
-      // POST-PROCESSING: Always check for red flag patterns, even if LLM returned null
-      // If user mentioned a specific day of week, FORCE event type
-      const dayNames = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-      const dayMap = { monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6, sunday: 0 };
-      
-      console.log(`🔍 Post-processing check: Message="${mostRecentUserMessage}"`);
-      console.log(`   Current suggestion type from LLM: ${suggestion.type}`);
-      
-      const hasRedFlagPattern = dayNames.some(day => {
-        const patterns = [
-          `every ${day}`,
-          `every\\s+${day}`,
-          `on ${day}`,
-          `${day}\\s+morning`,
-          `${day}\\s+afternoon`,
-          `${day}\\s+evening`,
-        ];
-        const matchedPattern = patterns.find(pattern => {
-          const regex = new RegExp(pattern, 'i');
-          const isMatch = regex.test(msgLower);
-          if (isMatch) {
-            console.log(`   ✓ Matched pattern: "${pattern}"`);
-          }
-          return isMatch;
-        });
-        return !!matchedPattern;
-      }) || msgLower.includes('every other') || /\d+x a week|twice a|twice a week|weekly|biweekly/.test(msgLower);
-      
-      console.log(`🔍 Red flag pattern detected: ${hasRedFlagPattern}`);
-      
-      // If red flag pattern detected, MUST create event (even if LLM said null or daily_goal)
-      if (hasRedFlagPattern) {
-        console.log(`⚠️ RED FLAG: User mentioned scheduled activity. Forcing EVENT type.`);
-        
-        // Extract day of week
-        let recurringDays = [];
-        for (const [day, num] of Object.entries(dayMap)) {
-          if (msgLower.includes(day)) {
-            console.log(`   Found day: ${day} (${num})`);
-            recurringDays.push(num);
-          }
-        }
-        
-        // Extract time if mentioned
-        let timeStr = '10:00'; // default
-        if (msgLower.includes('morning')) timeStr = '09:00';
-        else if (msgLower.includes('afternoon')) timeStr = '14:00';
-        else if (msgLower.includes('evening')) timeStr = '18:00';
-        else if (msgLower.includes('night')) timeStr = '20:00';
-        
-        suggestion.type = 'event';
-        // Use suggestion.text as-is from LLM (should be clean action text per prompt)
-        suggestion.recurring = 'weekly';
-        if (recurringDays.length > 0) {
-          suggestion.recurringDays = recurringDays;
-        }
-        suggestion.eventTime = timeStr;
-        suggestion.reasoning = `You mentioned doing this every ${Array.from(new Set(recurringDays.map(num => {
-          const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-          return days[num];
-        }))).join(' and ')} - creating as a recurring event.`;
-        
-        console.log(`   ✅ Generated suggestion: type=event, text="${suggestion.text}", recurring=weekly, days=${JSON.stringify(recurringDays)}, time=${timeStr}`);
-      }
-      
-      if (!suggestion.type) {
-        console.log('💭 No actionable suggestion generated (type is null and no red flags)');
-        return null;
-      }
-      
-      // If LLM returned daily_goal but we have red flags, correct it
-      if (hasRedFlagPattern && suggestion.type === 'daily_goal') {
-        console.log(`⚠️ CORRECTING: LLM said daily_goal but red flags detected. Forcing EVENT type.`);
-        
-        // Extract day of week
-        let recurringDays = [];
-        for (const [day, num] of Object.entries(dayMap)) {
-          if (msgLower.includes(day)) {
-            recurringDays.push(num);
-          }
-        }
-        
-        // Extract time if mentioned
-        let timeStr = '10:00'; // default
-        if (msgLower.includes('morning')) timeStr = '09:00';
-        else if (msgLower.includes('afternoon')) timeStr = '14:00';
-        else if (msgLower.includes('evening')) timeStr = '18:00';
-        else if (msgLower.includes('night')) timeStr = '20:00';
-        
-        suggestion.type = 'event';
-        suggestion.recurring = 'weekly';
-        if (recurringDays.length > 0) {
-          suggestion.recurringDays = recurringDays;
-        }
-        suggestion.eventTime = timeStr;
-      }
-      
-      console.log(`✨ Generated AI suggestion: ${suggestion.type} - ${suggestion.text}`);
-      
-      // Build response based on suggestion type
-      let responseObj = {
-        reasoning: suggestion.reasoning,
-      };
-      
-      if (suggestion.type === 'daily_goal') {
-        responseObj.type = 'goal';
-        responseObj.goalType = 'daily';
-        responseObj.text = `${suggestion.text}?`;
-      } else if (suggestion.type === 'longterm_goal') {
-        responseObj.type = 'goal';
-        responseObj.goalType = 'longterm';
-        responseObj.text = `${suggestion.text}?`;
-      } else if (suggestion.type === 'event') {
-        // Parse time from both the user message and suggestion text for better context
-        // User message has the day/date info, suggestion text might have time-of-day
-        const parsedFromUser = parseNaturalLanguageTime(mostRecentUserMessage);
-        const parsedFromSuggestion = parseNaturalLanguageTime(suggestion.text);
-        
-        responseObj.type = 'event';
-        // Keep text clean - just the action, no "Schedule" prefix
-        responseObj.text = suggestion.recurring 
-          ? `${suggestion.text} (${suggestion.recurring})?`
-          : `${suggestion.text}?`;
-        // Use date from user message (has day references like "next monday"), time from suggestion
-        responseObj.eventDate = parsedFromUser?.date || parsedFromSuggestion?.date;
-        responseObj.eventTime = parsedFromSuggestion?.time || '10:00';
-        if (suggestion.recurring) {
-          responseObj.recurring = suggestion.recurring;
-        }
-        if (suggestion.recurringDays) {
-          responseObj.recurringDays = suggestion.recurringDays;
-        }
-      }
-      
-      return responseObj;
-    } catch (parseError) {
-      console.error('❌ Failed to parse suggestion response:', parseError, 'Response was:', responseText);
-      return null;
-    }
-  } catch (error) {
-    console.error('❌ Error generating AI suggestion:', error);
-    return null;
-  }
-}
-
-
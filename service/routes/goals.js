@@ -8,27 +8,128 @@
  * - Create, read, update, delete goals
  * - Goal categorization (daily/long-term)
  * - Priority levels and completion tracking
- * - Goal filtering by type and status
+ * - Cursor-paginated listing filtered by type, status, category, priority
+ *   and creation date
+ * - Per-day completion log with streaks and a heatmap (GET /api/goals/:id/history)
+ * - Measurable targets (value, unit, baseline, deadline, direction) with logged
+ *   progress entries; every goal is returned with its computed `progress`
+ *   (percent complete, projected completion date; see goals/progress.js)
  * \n * Goal Types:
- * - daily: Recurring daily goals that reset each day
+ * - daily: Recurring daily goals, reset by the server at midnight in the
+ *   user's time zone (see goals/dailyReset.js)
  * - longterm: Long-term objectives tracked over time
  * \n * @module service/routes/goals.js
  */
 
 import express from 'express';
-import { goalService } from '../db/index.js';
-import { authenticateToken } from './auth.js';
+import { goalService, userService } from '../db/index.js';
+import { resetDailyGoalsForUser } from '../goals/dailyReset.js';
+import { buildGoalHistory, localDayKey, DEFAULT_HISTORY_DAYS, MAX_HISTORY_DAYS } from '../goals/history.js';
+import { computeGoalProgress, GOAL_TARGET_FIELDS } from '../goals/progress.js';
+import { authenticateToken, canAccessUser } from './auth.js';
+import { validate, sendValidationError, fieldError, object, nullable, text, id, dateTime, flag, limit, cursor, queryFlag, queryLimit, idParams } from '../validation/index.js';
 
 const router = express.Router();
 
-// GET /api/goals - Get all goals for the user
-router.get('/', authenticateToken, async (req, res) => {
+const GOAL_TYPES = ['daily', 'longterm'];
+
+/** Progress notes longer than this are rejected */
+const MAX_NOTE_LENGTH = 500;
+
+// Request schemas
+const goalFields = {
+  text: text(),
+  category: { type: 'string' },
+  priority: { type: 'string' },
+  type: { type: 'string', enum: GOAL_TYPES },
+  ...GOAL_TARGET_FIELDS,
+};
+
+const createGoalBody = object(goalFields, ['text']);
+
+const listGoalsQuery = object({
+  cursor,
+  limit: limit(500),
+  type: { type: 'string', enum: GOAL_TYPES },
+  completed: flag,
+  category: { type: 'string' },
+  priority: { type: 'string' },
+  from: dateTime,
+  to: dateTime,
+});
+
+const updateGoalBody = object({ ...goalFields, completed: { type: 'boolean' } });
+
+const historyQuery = object({ days: { type: 'integer', minimum: 7, maximum: MAX_HISTORY_DAYS } });
+
+const progressEntryBody = object({
+  value: { type: 'number' },
+  note: nullable({ type: 'string', maxLength: MAX_NOTE_LENGTH }),
+  recordedAt: dateTime,
+}, ['value']);
+
+const progressEntryParams = object({ id, entryId: id }, ['id', 'entryId']);
+
+/**
+ * Compute a goal's progress from the entries loaded with it
+ * 
+ * @param {Object} goal - Goal from goalService (latest progressEntries, firstProgressEntry, _count)
+ * @returns {Object|null} Progress (null for goals without a target)
+ */
+const progressOf = (goal) => computeGoalProgress(goal, goal.progressEntries || [], {
+  firstEntry: goal.firstProgressEntry,
+  entryCount: goal._count?.progressEntries,
+});
+
+/**
+ * Replace a goal's loaded progress entries with its computed progress
+ * 
+ * @param {Object} goal - Goal from goalService
+ * @returns {Object} Goal with `progress` (null for goals without a target)
+ */
+const withProgress = (goal) => {
+  const { progressEntries, firstProgressEntry, _count, ...rest } = goal;
+  return { ...rest, progress: progressOf(goal) };
+};
+
+/**
+ * Pick the measurable-target fields present in a request body
+ * 
+ * @param {Object} body - Request body
+ * @returns {Object} Fields to store (deadline as a Date)
+ */
+const pickTargetFields = ({ targetValue, unit, baselineValue, deadline, direction }) => {
+  const fields = {};
+  if (targetValue !== undefined) fields.targetValue = targetValue;
+  if (unit !== undefined) fields.unit = unit === null ? null : unit.trim();
+  if (baselineValue !== undefined) fields.baselineValue = baselineValue;
+  if (deadline !== undefined) fields.deadline = deadline ? new Date(deadline) : null;
+  if (direction !== undefined) fields.direction = direction;
+  return fields;
+};
+
+// GET /api/goals - Get the user's goals, newest first, a page at a time
+// Query (all optional): cursor (nextCursor of the previous page), limit (default 100),
+// type, completed, category, priority, from/to (created between)
+router.get('/', authenticateToken, validate({ query: listGoalsQuery }), async (req, res) => {
   try {
     const userId = req.user.id;
+    const { cursor, type, category, priority, from, to } = req.query;
     
-    const goals = await goalService.getByUser(userId);
+    // Daily goals completed on an earlier day are reset before they are returned
+    await resetDailyGoalsForUser(userId);
+    const page = await goalService.getPage(userId, {
+      cursor,
+      limit: queryLimit(req.query.limit),
+      type,
+      completed: queryFlag(req.query.completed),
+      category,
+      priority,
+      from,
+      to,
+    });
     
-    res.json({ success: true, data: goals });
+    res.json({ success: true, data: page.items.map(withProgress), nextCursor: page.nextCursor });
   } catch (error) {
     console.error('Error fetching goals:', error);
     res.status(500).json({ error: 'Failed to fetch goals' });
@@ -36,7 +137,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // GET /api/goals/:id - Get specific goal
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
   try {
     const goal = await goalService.getById(req.params.id);
     
@@ -44,39 +145,64 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Goal not found' });
     }
     
-    // Skip ownership check for testing
+    // Verify ownership
+    if (!canAccessUser(req, goal.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to view this goal' });
+    }
     
-    res.json({ success: true, data: goal });
+    res.json({ success: true, data: withProgress(goal) });
   } catch (error) {
     console.error('Error fetching goal:', error);
     res.status(500).json({ error: 'Failed to fetch goal' });
   }
 });
 
-// POST /api/goals - Create new goal
-router.post('/', authenticateToken, async (req, res) => {
+// GET /api/goals/:id/history?days=91 - Completion streaks and heatmap
+// Days are counted in the goal owner's time zone; days is the heatmap range (7-371).
+router.get('/:id/history', authenticateToken, validate({ params: idParams, query: historyQuery }), async (req, res) => {
   try {
-    const { text, category = 'general', priority = 'medium', type = 'daily' } = req.body;
-    const userId = req.user.id;
+    const days = req.query.days !== undefined ? Number(req.query.days) : DEFAULT_HISTORY_DAYS;
+    
+    const goal = await goalService.getById(req.params.id);
     
-    if (!text) {
-      return res.status(400).json({ error: 'Goal text is required' });
+    if (!goal) {
+      return res.status(404).json({ error: 'Goal not found' });
     }
     
-    if (!['daily', 'longterm'].includes(type)) {
-      return res.status(400).json({ error: 'Goal type must be "daily" or "longterm"' });
+    // Verify ownership
+    if (!canAccessUser(req, goal.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to view this goal' });
     }
     
+    const timeZone = await userService.getTimeZone(goal.userId);
+    const completions = await goalService.getCompletions(goal.id);
+    const history = buildGoalHistory(goal, completions, { timeZone, days });
+    
+    res.json({ success: true, data: { goalId: goal.id, type: goal.type, ...history } });
+  } catch (error) {
+    console.error('Error fetching goal history:', error);
+    res.status(500).json({ error: 'Failed to fetch goal history' });
+  }
+});
+
+// POST /api/goals - Create new goal
+router.post('/', authenticateToken, validate({ body: createGoalBody }), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { text, category = 'general', priority = 'medium', type = 'daily' } = body;
+    const userId = req.user.id;
+    
     const goal = await goalService.create({
       userId,
       text,
       category,
       priority,
       type,
+      ...pickTargetFields(body),
     });
     
     console.log(`✅ Goal created for user ${userId}: "${text}" (${type})`);
-    res.status(201).json({ success: true, data: goal });
+    res.status(201).json({ success: true, data: withProgress(goal) });
   } catch (error) {
     console.error('Error creating goal:', error);
     res.status(500).json({ error: 'Failed to create goal' });
@@ -84,10 +210,12 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // PUT /api/goals/:id - Update goal
-router.put('/:id', authenticateToken, async (req, res) => {
+// Changing `completed` logs (or removes) today's completion in the owner's time zone;
+// lastCompletedDate is kept in step by the server.
+router.put('/:id', authenticateToken, validate({ params: idParams, body: updateGoalBody }), async (req, res) => {
   try {
-    const { text, category, priority, completed, type, lastCompletedDate } = req.body;
-    const userId = req.user.id;
+    const body = req.body || {};
+    const { text, category, priority, completed, type } = body;
     
     const goal = await goalService.getById(req.params.id);
     if (!goal) {
@@ -95,43 +223,129 @@ router.put('/:id', authenticateToken, async (req, res) => {
     }
     
     // Verify ownership
-    if (goal.userId !== userId) {
+    if (!canAccessUser(req, goal.userId)) {
       return res.status(403).json({ error: 'Unauthorized to update this goal' });
     }
     
-    // Validate type if provided
-    if (type && !['daily', 'longterm'].includes(type)) {
-      return res.status(400).json({ error: 'Goal type must be "daily" or "longterm"' });
-    }
-    
-    const updateData = {};
+    const updateData = pickTargetFields(body);
     if (text !== undefined) updateData.text = text;
     if (category !== undefined) updateData.category = category;
     if (priority !== undefined) updateData.priority = priority;
-    if (completed !== undefined) updateData.completed = completed;
     if (type !== undefined) updateData.type = type;
-    if (lastCompletedDate !== undefined) updateData.lastCompletedDate = lastCompletedDate ? new Date(lastCompletedDate) : null;
     
-    const updated = await goalService.update(req.params.id, updateData);
+    let updated = Object.keys(updateData).length > 0
+      ? await goalService.update(req.params.id, updateData)
+      : goal;
+    
+    if (completed !== undefined) {
+      const timeZone = await userService.getTimeZone(goal.userId);
+      updated = await goalService.setCompletion(req.params.id, completed, localDayKey(new Date(), timeZone));
+    }
     
-    res.json({ success: true, data: updated });
+    res.json({ success: true, data: withProgress(updated) });
   } catch (error) {
     console.error('Error updating goal:', error);
     res.status(500).json({ error: 'Failed to update goal' });
   }
 });
 
+// GET /api/goals/:id/progress - All progress entries (oldest first) and the computed progress
+router.get('/:id/progress', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const goal = await goalService.getById(req.params.id);
+    
+    if (!goal) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+    
+    // Verify ownership
+    if (!canAccessUser(req, goal.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to view this goal' });
+    }
+    
+    const entries = await goalService.getProgressEntries(goal.id);
+    
+    res.json({ success: true, data: { entries, progress: computeGoalProgress(goal, entries) } });
+  } catch (error) {
+    console.error('Error fetching goal progress:', error);
+    res.status(500).json({ error: 'Failed to fetch goal progress' });
+  }
+});
+
+// POST /api/goals/:id/progress - Log a measured value { value, note?, recordedAt? }
+// A goal whose target is reached is marked completed.
+router.post('/:id/progress', authenticateToken, validate({ params: idParams, body: progressEntryBody }), async (req, res) => {
+  try {
+    const { value, note, recordedAt } = req.body || {};
+    
+    const goal = await goalService.getById(req.params.id);
+    if (!goal) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+    
+    // Verify ownership
+    if (!canAccessUser(req, goal.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to update this goal' });
+    }
+    
+    if (recordedAt !== undefined && new Date(recordedAt) > new Date()) {
+      return sendValidationError(res, [fieldError('body', 'recordedAt', 'recordedAt must not be in the future')]);
+    }
+    
+    const entry = await goalService.addProgress(goal.id, goal.userId, { value, note, recordedAt });
+    
+    let updated = await goalService.getById(goal.id);
+    if (!updated.completed && progressOf(updated)?.reached) {
+      const timeZone = await userService.getTimeZone(goal.userId);
+      updated = await goalService.setCompletion(goal.id, true, localDayKey(new Date(), timeZone));
+      console.log(`🎯 Goal target reached for user ${goal.userId}: "${goal.text}"`);
+    }
+    
+    res.status(201).json({ success: true, data: entry, goal: withProgress(updated) });
+  } catch (error) {
+    console.error('Error logging goal progress:', error);
+    res.status(500).json({ error: 'Failed to log goal progress' });
+  }
+});
+
+// DELETE /api/goals/:id/progress/:entryId - Delete a progress entry
+router.delete('/:id/progress/:entryId', authenticateToken, validate({ params: progressEntryParams }), async (req, res) => {
+  try {
+    const goal = await goalService.getById(req.params.id);
+    if (!goal) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+    
+    // Verify ownership
+    if (!canAccessUser(req, goal.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to update this goal' });
+    }
+    
+    const entry = await goalService.getProgressEntry(req.params.entryId);
+    if (!entry || entry.goalId !== goal.id) {
+      return res.status(404).json({ error: 'Progress entry not found' });
+    }
+    
+    await goalService.deleteProgressEntry(entry.id);
+    const updated = await goalService.getById(goal.id);
+    
+    res.json({ success: true, message: 'Progress entry deleted successfully', goal: withProgress(updated) });
+  } catch (error) {
+    console.error('Error deleting goal progress entry:', error);
+    res.status(500).json({ error: 'Failed to delete goal progress entry' });
+  }
+});
+
 // DELETE /api/goals/:id - Delete goal
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
   try {
-    const userId = req.user.id;
     const goal = await goalService.getById(req.params.id);
     if (!goal) {
       return res.status(404).json({ error: 'Goal not found' });
     }
     
     // Verify ownership
-    if (goal.userId !== userId) {
+    if (!canAccessUser(req, goal.userId)) {
       return res.status(403).json({ error: 'Unauthorized to delete this goal' });
     }
     
@@ -11,14 +11,31 @@
  * - Store new messages in database
  * - Support for message role tracking (user/assistant)
  * 
+ * All endpoints require authentication and only touch the caller's
+ * messages (admins may access any user's).
+ * 
  * @module service/routes/messages.js
  */
 
 import express from 'express';
-import { messageService } from '../db/index.js';
+import { messageService, conversationService } from '../db/index.js';
+import { authenticateToken, authorizeUserParam, canAccessUser } from './auth.js';
+import { validate, object, text, id, limit, idParams, userIdParams } from '../validation/index.js';
 
 const router = express.Router();
 
+// ============================================================================
+// Request Schemas
+// ============================================================================
+
+const historyQuery = object({ limit: limit(500) });
+
+const createMessageBody = object({
+  text: text(),
+  userId: id,
+  role: { type: 'string', enum: ['user', 'assistant'] },
+}, ['text']);
+
 // ============================================================================
 // Routes
 // ============================================================================
@@ -32,9 +49,11 @@ const router = express.Router();
  * 
  * @returns {Array} Array of messages in chronological order
  * @status {200} Messages retrieved successfully
+ * @status {401} Unauthorized
+ * @status {403} Messages belong to another user
  * @status {500} Server error
  */
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', authenticateToken, authorizeUserParam(), validate({ params: userIdParams, query: historyQuery }), async (req, res) => {
   try {
     const { userId } = req.params;
     const limit = parseInt(req.query.limit) || 50;
@@ -56,9 +75,11 @@ router.get('/user/:userId', async (req, res) => {
  * 
  * @returns {Array} Recent messages in reverse chronological order
  * @status {200} Conversation retrieved successfully
+ * @status {401} Unauthorized
+ * @status {403} Conversation belongs to another user
  * @status {500} Server error
  */
-router.get('/conversation/:userId', async (req, res) => {
+router.get('/conversation/:userId', authenticateToken, authorizeUserParam(), validate({ params: userIdParams, query: historyQuery }), async (req, res) => {
   try {
     const { userId } = req.params;
     const limit = parseInt(req.query.limit) || 10;
@@ -77,26 +98,30 @@ router.get('/conversation/:userId', async (req, res) => {
  * 
  * @param {Object} req.body - Request body
  * @param {string} req.body.text - Message text content (required)
- * @param {string} req.body.userId - User ID (required)
- * @param {string} req.body.role - Sender role: 'user' or 'assistant' (optional)
+ * @param {string} req.body.userId - User ID (optional, defaults to the caller; admins only for other users)
+ * @param {string} req.body.role - Sender role: 'user' or 'assistant' (default: 'user')
  * 
  * @returns {Object} Created message object
  * @status {201} Message created successfully
  * @status {400} Validation error
+ * @status {401} Unauthorized
+ * @status {403} userId belongs to another user
  * @status {500} Server error
  */
-router.post('/', async (req, res) => {
+router.post('/', authenticateToken, validate({ body: createMessageBody }), async (req, res) => {
   try {
-    const { text, userId } = req.body;
+    const { text, role, userId = req.user.id } = req.body;
     
-    if (!text || !userId) {
-      return res.status(400).json({ 
-        error: 'Text and userId are required',
+    // Verify ownership
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ 
+        error: 'Unauthorized to create messages for this user',
         success: false 
       });
     }
     
-    const message = await messageService.create({ text, userId });
+    const conversation = await conversationService.getOrCreateCurrent(userId);
+    const message = await messageService.create({ text, role, userId, conversationId: conversation.id });
     res.status(201).json({ success: true, data: message });
   } catch (error) {
     console.error('Error creating message:', error);
@@ -104,12 +129,20 @@ router.post('/', async (req, res) => {
   }
 });
 
-export default router;
-
 // DELETE /api/messages/:id - Delete message
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
   try {
-    await messageService.delete(req.params.id);
+    const message = await messageService.getById(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
+    // Verify ownership
+    if (!canAccessUser(req, message.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to delete this message' });
+    }
+    
+    await messageService.delete(message.id);
     res.json({ success: true, message: 'Message deleted successfully' });
   } catch (error) {
     console.error('Error deleting message:', error);
@@ -0,0 +1,164 @@
+/**
+ * ============================================================================
+ * Notification Inbox Routes
+ * ============================================================================
+ * 
+ * API endpoints for the in-app inbox. Notifications are created by the
+ * reminder scheduler when a reminder with the "inbox" channel fires.
+ * 
+ * Features:
+ * - List notifications (optionally unread only)
+ * - Unread count for badges
+ * - Mark one or all notifications as read
+ * - Delete notifications
+ * 
+ * @module service/routes/notifications.js
+ */
+
+import express from 'express';
+import { notificationService } from '../db/index.js';
+import { authenticateToken, canAccessUser } from './auth.js';
+import { validate, object, flag, limit, idParams } from '../validation/index.js';
+
+const router = express.Router();
+
+/** Largest page of notifications returned at once */
+const MAX_NOTIFICATIONS = 200;
+
+const listNotificationsQuery = object({ unread: flag, limit: limit(MAX_NOTIFICATIONS) });
+
+// ============================================================================
+// Routes
+// ============================================================================
+
+/**
+ * GET /api/notifications
+ * Retrieve the authenticated user's notifications, newest first
+ * 
+ * @param {boolean} req.query.unread - Only unread notifications (default: false)
+ * @param {number} req.query.limit - Maximum notifications (default: 50, max: 200)
+ * 
+ * @returns {Array} Notifications
+ * @status {200} Notifications retrieved successfully
+ * @status {400} Invalid query
+ * @status {401} Unauthorized
+ * @status {500} Server error
+ */
+router.get('/', authenticateToken, validate({ query: listNotificationsQuery }), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const unreadOnly = req.query.unread === 'true';
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_NOTIFICATIONS);
+
+    const notifications = await notificationService.getByUser(userId, { unreadOnly, limit });
+    res.json({ success: true, data: notifications });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+/**
+ * GET /api/notifications/unread-count
+ * Number of unread notifications
+ * 
+ * @returns {Object} { count }
+ * @status {200} Count retrieved successfully
+ * @status {401} Unauthorized
+ * @status {500} Server error
+ */
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const count = await notificationService.countUnread(req.user.id);
+    res.json({ success: true, data: { count } });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({ error: 'Failed to count notifications' });
+  }
+});
+
+/**
+ * POST /api/notifications/read-all
+ * Mark all of the authenticated user's notifications as read
+ * 
+ * @returns {Object} { count } of notifications marked read
+ * @status {200} Notifications marked read
+ * @status {401} Unauthorized
+ * @status {500} Server error
+ */
+router.post('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const { count } = await notificationService.markAllRead(req.user.id);
+    res.json({ success: true, data: { count } });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ error: 'Failed to mark notifications read' });
+  }
+});
+
+/**
+ * PATCH /api/notifications/:id/read
+ * Mark a notification as read
+ * 
+ * @param {string} req.params.id - Notification ID
+ * 
+ * @returns {Object} Updated notification
+ * @status {200} Notification marked read
+ * @status {401} Unauthorized
+ * @status {403} Notification belongs to another user
+ * @status {404} Notification not found
+ * @status {500} Server error
+ */
+router.patch('/:id/read', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const notification = await notificationService.getById(req.params.id);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    // Verify ownership
+    if (!canAccessUser(req, notification.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to update this notification' });
+    }
+
+    const updated = notification.readAt ? notification : await notificationService.markRead(notification.id);
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({ error: 'Failed to mark notification read' });
+  }
+});
+
+/**
+ * DELETE /api/notifications/:id
+ * Delete a notification
+ * 
+ * @param {string} req.params.id - Notification ID
+ * 
+ * @status {200} Notification deleted
+ * @status {401} Unauthorized
+ * @status {403} Notification belongs to another user
+ * @status {404} Notification not found
+ * @status {500} Server error
+ */
+router.delete('/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const notification = await notificationService.getById(req.params.id);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    // Verify ownership
+    if (!canAccessUser(req, notification.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to delete this notification' });
+    }
+
+    await notificationService.delete(notification.id);
+    res.json({ success: true, message: 'Notification deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting notification:', error);
+    res.status(500).json({ error: 'Failed to delete notification' });
+  }
+});
+
+export default router;
@@ -0,0 +1,382 @@
+/**
+ * ============================================================================
+ * Nutrition Routes
+ * ============================================================================
+ *
+ * API endpoints for logging meals and tracking intake against macro targets.
+ *
+ * Features:
+ * - Search a local food database (works offline, no external API)
+ * - Log, read, update and delete meals made of food entries; an entry is
+ *   either a food from the database with a number of servings or a custom
+ *   food with its own calories and macros
+ * - Daily calorie and macro targets computed from the fitness profile
+ *   (see nutrition/targets.js)
+ * - Daily summary: what was eaten on a day in the user's time zone, the
+ *   targets and what is left
+ *
+ * All endpoints require authentication and only touch the caller's meals
+ * (admins may access any user's).
+ *
+ * @module service/routes/nutrition.js
+ */
+
+import express from 'express';
+import { mealService } from '../db/index.js';
+import { authenticateToken, canAccessUser } from './auth.js';
+import { getFood, searchFoods, foodEntryFor } from '../nutrition/foods.js';
+import { buildDailyIntake, getMacroTargets } from '../nutrition/intake.js';
+import { sumEntries } from '../nutrition/totals.js';
+import { validate, sendValidationError, fieldError, object, nullable, text, id, date, dateTime, limit, cursor, queryLimit, idParams } from '../validation/index.js';
+
+const router = express.Router();
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/** Supported meal types */
+const VALID_MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+/**
+ * Turn the requested entries into food entries with calories and macros
+ * Database foods are scaled by their servings; custom foods give their own
+ * numbers per serving and need a name and calories.
+ *
+ * @param {Array} entries - Entries from the request body
+ * @returns {Object} { entries, details } - details lists field errors (empty when valid)
+ */
+const resolveEntries = (entries) => {
+  const details = [];
+
+  const resolved = entries.map((entry, index) => {
+    const field = `entries[${index}]`;
+    const servings = entry.servings ?? 1;
+
+    if (entry.foodId) {
+      const food = getFood(entry.foodId);
+      if (!food) {
+        details.push(fieldError('body', `${field}.foodId`, `${field}.foodId is not a known food`));
+        return null;
+      }
+      return foodEntryFor(food, servings);
+    }
+
+    if (!entry.name) details.push(fieldError('body', `${field}.name`, `${field}.name is required for a custom food`));
+    if (entry.calories === undefined) {
+      details.push(fieldError('body', `${field}.calories`, `${field}.calories is required for a custom food`));
+    }
+    if (!entry.name || entry.calories === undefined) return null;
+
+    return foodEntryFor({
+      name: entry.name,
+      servingSize: entry.servingSize,
+      calories: entry.calories,
+      protein: entry.protein ?? 0,
+      carbs: entry.carbs ?? 0,
+      fat: entry.fat ?? 0,
+    }, servings);
+  });
+
+  return { entries: resolved, details };
+};
+
+/**
+ * Add per-meal totals to a meal
+ *
+ * @param {Object} meal - Meal with entries
+ * @returns {Object} Meal with totals ({ calories, protein, carbs, fat })
+ */
+const withTotals = (meal) => ({ ...meal, totals: sumEntries(meal.entries) });
+
+// ============================================================================
+// Request Schemas
+// ============================================================================
+
+const macro = { type: 'number', minimum: 0 };
+
+const foodEntry = object({
+  foodId: id,
+  servings: { type: 'number', exclusiveMinimum: 0, maximum: 100 },
+  name: text(200),
+  servingSize: { type: 'string', maxLength: 100 },
+  calories: macro,
+  protein: macro,
+  carbs: macro,
+  fat: macro,
+});
+
+const mealFields = {
+  type: { type: 'string', enum: VALID_MEAL_TYPES },
+  eatenAt: dateTime,
+  notes: nullable({ type: 'string', maxLength: 1000 }),
+  entries: { type: 'array', items: foodEntry, minItems: 1, maxItems: 50 },
+};
+
+const createMealBody = object(mealFields, ['entries']);
+
+const updateMealBody = object(mealFields);
+
+const listMealsQuery = object({
+  cursor,
+  limit: limit(200),
+  type: { type: 'string', enum: VALID_MEAL_TYPES },
+  from: dateTime,
+  to: dateTime,
+});
+
+const foodSearchQuery = object({
+  q: { type: 'string', maxLength: 100 },
+  limit: limit(50),
+});
+
+const summaryQuery = object({ date });
+
+// ============================================================================
+// Routes
+// ============================================================================
+
+/**
+ * GET /api/nutrition/foods
+ * Search the local food database
+ *
+ * @param {string} req.query.q - Words to find in the food name (optional; empty lists the first foods)
+ * @param {number} req.query.limit - Max foods to return (default: 20, max: 50)
+ *
+ * @returns {Array} Foods: { id, name, servingSize, calories, protein, carbs, fat } per serving
+ * @status {200} Foods found
+ * @status {400} Invalid query
+ * @status {401} Unauthorized
+ */
+router.get('/foods', authenticateToken, validate({ query: foodSearchQuery }), (req, res) => {
+  const foods = searchFoods(req.query.q, queryLimit(req.query.limit) ?? 20);
+  res.json({ success: true, data: foods });
+});
+
+/**
+ * GET /api/nutrition/targets
+ * Daily calorie and macro targets from the fitness profile
+ *
+ * @returns {Object} { targets: { calories, protein, carbs, fat, goal, bmr, activityFactor }, missing }
+ *   - targets is null and missing lists the profile fields to fill in
+ *     (sex, age, heightCm, weightKg) until the profile is complete
+ * @status {200} Targets computed
+ * @status {401} Unauthorized
+ * @status {500} Server error
+ */
+router.get('/targets', authenticateToken, async (req, res) => {
+  try {
+    const targets = await getMacroTargets(req.user.id);
+    res.json({ success: true, data: targets });
+  } catch (error) {
+    console.error('Error computing macro targets:', error);
+    res.status(500).json({ error: 'Failed to compute macro targets', success: false });
+  }
+});
+
+/**
+ * GET /api/nutrition/summary
+ * What was eaten on a day against the day's targets
+ *
+ * @param {string} req.query.date - Day (YYYY-MM-DD, default: today in the user's time zone)
+ *
+ * @returns {Object} { date, timeZone, meals, totals, targets, remaining, missing }
+ * @status {200} Summary built
+ * @status {400} Invalid date
+ * @status {401} Unauthorized
+ * @status {500} Server error
+ */
+router.get('/summary', authenticateToken, validate({ query: summaryQuery }), async (req, res) => {
+  try {
+    const intake = await buildDailyIntake(req.user.id, { date: req.query.date });
+    res.json({ success: true, data: intake });
+  } catch (error) {
+    console.error('Error building nutrition summary:', error);
+    res.status(500).json({ error: 'Failed to build nutrition summary', success: false });
+  }
+});
+
+/**
+ * GET /api/nutrition/meals
+ * Retrieve the authenticated user's meals, newest first
+ *
+ * @param {string} req.query.cursor - nextCursor of the previous page (optional)
+ * @param {number} req.query.limit - Page size (default: 50, max: 200)
+ * @param {string} req.query.type - Filter by meal type (optional)
+ * @param {string} req.query.from - Only meals eaten on/after this time (optional)
+ * @param {string} req.query.to - Only meals eaten on/before this time (optional)
+ *
+ * @returns {Object} { data: meals with entries and totals, nextCursor }
+ * @status {200} Meals retrieved successfully
+ * @status {400} Invalid filter
+ * @status {401} Unauthorized
+ * @status {500} Server error
+ */
+router.get('/meals', authenticateToken, validate({ query: listMealsQuery }), async (req, res) => {
+  try {
+    const { cursor, type, from, to } = req.query;
+
+    const page = await mealService.getPage(req.user.id, {
+      cursor,
+      limit: queryLimit(req.query.limit),
+      type,
+      from,
+      to,
+    });
+
+    res.json({ success: true, data: page.items.map(withTotals), nextCursor: page.nextCursor });
+  } catch (error) {
+    console.error('Error fetching meals:', error);
+    res.status(500).json({ error: 'Failed to fetch meals', success: false });
+  }
+});
+
+/**
+ * GET /api/nutrition/meals/:id
+ * Retrieve a specific meal
+ *
+ * @param {string} req.params.id - Meal ID
+ *
+ * @returns {Object} Meal with entries and totals
+ * @status {200} Meal found
+ * @status {403} Meal belongs to another user
+ * @status {404} Meal not found
+ * @status {500} Server error
+ */
+router.get('/meals/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const meal = await mealService.getById(req.params.id);
+
+    if (!meal) {
+      return res.status(404).json({ error: 'Meal not found' });
+    }
+
+    // Verify ownership
+    if (!canAccessUser(req, meal.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to view this meal' });
+    }
+
+    res.json({ success: true, data: withTotals(meal) });
+  } catch (error) {
+    console.error('Error fetching meal:', error);
+    res.status(500).json({ error: 'Failed to fetch meal' });
+  }
+});
+
+/**
+ * POST /api/nutrition/meals
+ * Log a meal
+ *
+ * @param {Object} req.body - Request body
+ * @param {Array} req.body.entries - Foods eaten (required, at least one). Each entry is either
+ *   { foodId, servings } for a food from GET /api/nutrition/foods, or
+ *   { name, calories, protein, carbs, fat, servingSize, servings } for a custom food
+ *   (numbers per serving, grams for macros; servings default to 1)
+ * @param {string} req.body.type - "breakfast", "lunch", "dinner" or "snack" (default: "snack")
+ * @param {string} req.body.eatenAt - When the meal was eaten (default: now)
+ * @param {string} req.body.notes - Notes (optional)
+ *
+ * @returns {Object} Created meal with entries and totals
+ * @status {201} Meal logged
+ * @status {400} Validation error (including unknown foods)
+ * @status {401} Unauthorized
+ * @status {500} Server error
+ */
+router.post('/meals', authenticateToken, validate({ body: createMealBody }), async (req, res) => {
+  try {
+    const { type, eatenAt, notes } = req.body;
+    const userId = req.user.id;
+
+    const { entries, details } = resolveEntries(req.body.entries);
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+
+    const meal = await mealService.create({ userId, type, eatenAt, notes, entries });
+
+    console.log(`🍽️ Meal logged for user ${userId}: ${meal.type}, ${entries.length} item(s)`);
+    res.status(201).json({ success: true, data: withTotals(meal) });
+  } catch (error) {
+    console.error('Error creating meal:', error);
+    res.status(500).json({ error: 'Failed to create meal' });
+  }
+});
+
+/**
+ * PUT /api/nutrition/meals/:id
+ * Update a meal; entries, when given, replace the logged entries
+ *
+ * @param {string} req.params.id - Meal ID
+ * @param {Object} req.body - Fields to update (same as POST, all optional)
+ *
+ * @returns {Object} Updated meal with entries and totals
+ * @status {200} Meal updated
+ * @status {400} Validation error (including unknown foods)
+ * @status {403} Meal belongs to another user
+ * @status {404} Meal not found
+ * @status {500} Server error
+ */
+router.put('/meals/:id', authenticateToken, validate({ params: idParams, body: updateMealBody }), async (req, res) => {
+  try {
+    const { type, eatenAt, notes } = req.body;
+
+    let entries;
+    if (req.body.entries !== undefined) {
+      const resolved = resolveEntries(req.body.entries);
+      if (resolved.details.length > 0) {
+        return sendValidationError(res, resolved.details);
+      }
+      entries = resolved.entries;
+    }
+
+    const meal = await mealService.getById(req.params.id);
+    if (!meal) {
+      return res.status(404).json({ error: 'Meal not found' });
+    }
+
+    // Verify ownership
+    if (!canAccessUser(req, meal.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to update this meal' });
+    }
+
+    const updated = await mealService.update(req.params.id, { type, eatenAt, notes, entries });
+
+    res.json({ success: true, data: withTotals(updated) });
+  } catch (error) {
+    console.error('Error updating meal:', error);
+    res.status(500).json({ error: 'Failed to update meal' });
+  }
+});
+
+/**
+ * DELETE /api/nutrition/meals/:id
+ * Delete a meal and its entries
+ *
+ * @param {string} req.params.id - Meal ID
+ *
+ * @status {200} Meal deleted
+ * @status {403} Meal belongs to another user
+ * @status {404} Meal not found
+ * @status {500} Server error
+ */
+router.delete('/meals/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const meal = await mealService.getById(req.params.id);
+    if (!meal) {
+      return res.status(404).json({ error: 'Meal not found' });
+    }
+
+    // Verify ownership
+    if (!canAccessUser(req, meal.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to delete this meal' });
+    }
+
+    await mealService.delete(req.params.id);
+    res.json({ success: true, message: 'Meal deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting meal:', error);
+    res.status(500).json({ error: 'Failed to delete meal' });
+  }
+});
+
+export default router;
@@ -12,37 +12,112 @@
  * - Update reminder status
  * - Delete reminders
  * - Support for recurring patterns (daily, weekly, monthly)
+ * - Choose delivery channels (inbox, push, email) used by the reminder scheduler
+ * - Completing a repeating reminder rolls it forward to its next occurrence
+ * 
+ * All endpoints require authentication and only touch the caller's
+ * reminders (admins may access any user's).
  * 
  * @module service/routes/reminders.js
  */
 
 import express from 'express';
 import { reminderService } from '../db/index.js';
+import { listChannels } from '../reminders/channels.js';
+import { authenticateToken, authorizeUserParam, canAccessUser } from './auth.js';
+import { validate, sendValidationError, fieldError, object, nullable, text, id, dateTime, flag, limit, cursor, queryFlag, queryLimit, idParams, userIdParams } from '../validation/index.js';
 
 const router = express.Router();
 
+/** Reminder repeat patterns (Prisma RepeatType) */
+const REPEAT_TYPES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY', 'CUSTOM'];
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Validate a list of delivery channel names
+ * Channels are registered at runtime, so the request schema only checks
+ * that this is a non-empty list of strings.
+ * 
+ * @param {Array<string>} channels - Channel names
+ * @returns {Object|null} Field error, or null if valid
+ */
+const validateChannels = (channels) => {
+  const available = listChannels();
+  if (!channels.every(c => available.includes(c))) {
+    return fieldError('body', 'channels', `channels must be a non-empty array of: ${available.join(', ')}`);
+  }
+  return null;
+};
+
+// ============================================================================
+// Request Schemas
+// ============================================================================
+
+const reminderFields = {
+  title: text(),
+  dueDate: dateTime,
+  repeatType: nullable({ type: 'string', enum: REPEAT_TYPES }),
+  repeatUntil: nullable(dateTime),
+  interval: nullable({ type: 'integer', minimum: 1 }),
+  channels: { type: 'array', minItems: 1, items: { type: 'string' } },
+};
+
+const createReminderBody = object({ userId: id, ...reminderFields }, ['title', 'dueDate']);
+
+const updateReminderBody = object(reminderFields);
+
+const listRemindersQuery = object({
+  cursor,
+  limit: limit(500),
+  includeCompleted: flag,
+  completed: flag,
+  repeatType: { type: 'string', enum: REPEAT_TYPES },
+  from: dateTime,
+  to: dateTime,
+});
+
 // ============================================================================
 // Routes
 // ============================================================================
 
 /**
  * GET /api/reminders/user/:userId
- * Retrieve reminders for a user with optional completion filter
+ * Retrieve a page of a user's reminders, soonest due first
  * 
  * @param {string} req.params.userId - User ID
+ * @param {string} req.query.cursor - nextCursor of the previous page (optional)
+ * @param {number} req.query.limit - Page size (default: 100)
  * @param {boolean} req.query.includeCompleted - Include completed reminders (default: false)
+ * @param {boolean} req.query.completed - Only completed or only open reminders (overrides includeCompleted)
+ * @param {string} req.query.repeatType - Only this repeat pattern (optional)
+ * @param {string} req.query.from - Due at or after, ISO date-time (optional)
+ * @param {string} req.query.to - Due at or before, ISO date-time (optional)
  * 
- * @returns {Array} Array of reminders
+ * @returns {Object} { data: reminders, nextCursor } - nextCursor is null on the last page
  * @status {200} Reminders retrieved successfully
+ * @status {400} Invalid query
+ * @status {401} Unauthorized
+ * @status {403} Reminders belong to another user
  * @status {500} Server error
  */
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', authenticateToken, authorizeUserParam(), validate({ params: userIdParams, query: listRemindersQuery }), async (req, res) => {
   try {
     const { userId } = req.params;
+    const { cursor, repeatType, from, to } = req.query;
     const includeCompleted = req.query.includeCompleted === 'true';
     
-    const reminders = await reminderService.getByUser(userId, includeCompleted);
-    res.json({ success: true, data: reminders });
+    const page = await reminderService.getPage(userId, {
+      cursor,
+      limit: queryLimit(req.query.limit),
+      completed: queryFlag(req.query.completed) ?? (includeCompleted ? undefined : false),
+      repeatType,
+      from,
+      to,
+    });
+    res.json({ success: true, data: page.items, nextCursor: page.nextCursor });
   } catch (error) {
     console.error('Error fetching reminders:', error);
     res.status(500).json({ error: 'Failed to fetch reminders', success: false });
@@ -58,9 +133,11 @@ router.get('/user/:userId', async (req, res) => {
  * 
  * @returns {Array} Array of upcoming reminders
  * @status {200} Reminders retrieved successfully
+ * @status {401} Unauthorized
+ * @status {403} Reminders belong to another user
  * @status {500} Server error
  */
-router.get('/upcoming/:userId', async (req, res) => {
+router.get('/upcoming/:userId', authenticateToken, authorizeUserParam(), validate({ params: userIdParams, query: object({ days: { type: 'integer', minimum: 1, maximum: 365 } }) }), async (req, res) => {
   try {
     const { userId } = req.params;
     const days = parseInt(req.query.days) || 7;
@@ -78,29 +155,40 @@ router.get('/upcoming/:userId', async (req, res) => {
  * Create a new reminder
  * 
  * @param {Object} req.body - Request body
- * @param {string} req.body.userId - User ID (required)
+ * @param {string} req.body.userId - User ID (optional, defaults to the caller; admins only for other users)
  * @param {string} req.body.title - Reminder title (required)
  * @param {Date} req.body.dueDate - When reminder is due (required)
- * @param {string} req.body.repeatType - Repeat pattern: 'none', 'daily', 'weekly', 'monthly'
+ * @param {string} req.body.repeatType - Repeat pattern: 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY', 'CUSTOM' (optional)
  * @param {Date} req.body.repeatUntil - When to stop repeating
  * @param {number} req.body.interval - Interval for repeating
+ * @param {Array<string>} req.body.channels - Delivery channels: 'inbox', 'push', 'email' (default: ['inbox'])
  * 
  * @returns {Object} Created reminder object
  * @status {201} Reminder created successfully
  * @status {400} Validation error
+ * @status {401} Unauthorized
+ * @status {403} userId belongs to another user
  * @status {500} Server error
  */
-router.post('/', async (req, res) => {
+router.post('/', authenticateToken, validate({ body: createReminderBody }), async (req, res) => {
   try {
-    const { userId, title, dueDate, repeatType, repeatUntil, interval } = req.body;
+    const { userId = req.user.id, title, dueDate, repeatType, repeatUntil, interval, channels } = req.body;
     
-    if (!userId || !title || !dueDate) {
-      return res.status(400).json({ 
-        error: 'userId, title, and dueDate are required',
+    // Verify ownership
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ 
+        error: 'Unauthorized to create reminders for this user',
         success: false 
       });
     }
     
+    if (channels !== undefined) {
+      const channelError = validateChannels(channels);
+      if (channelError) {
+        return sendValidationError(res, [channelError]);
+      }
+    }
+    
     const reminder = await reminderService.create({
       userId,
       title,
@@ -108,6 +196,7 @@ router.post('/', async (req, res) => {
       repeatType,
       repeatUntil,
       interval,
+      channels,
     });
     
     res.status(201).json({ success: true, data: reminder });
@@ -118,9 +207,20 @@ router.post('/', async (req, res) => {
 });
 
 // PATCH /api/reminders/:id/complete - Mark reminder as completed
-router.patch('/:id/complete', async (req, res) => {
+// (repeating reminders move to their next occurrence instead)
+router.patch('/:id/complete', authenticateToken, validate({ params: idParams }), async (req, res) => {
   try {
-    const reminder = await reminderService.markCompleted(req.params.id);
+    const existing = await reminderService.getById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+    
+    // Verify ownership
+    if (!canAccessUser(req, existing.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to update this reminder' });
+    }
+    
+    const reminder = await reminderService.markCompleted(existing.id);
     res.json({ success: true, data: reminder });
   } catch (error) {
     console.error('Error completing reminder:', error);
@@ -129,16 +229,34 @@ router.patch('/:id/complete', async (req, res) => {
 });
 
 // PUT /api/reminders/:id - Update reminder
-router.put('/:id', async (req, res) => {
+router.put('/:id', authenticateToken, validate({ params: idParams, body: updateReminderBody }), async (req, res) => {
   try {
-    const { title, dueDate, repeatType, repeatUntil, interval } = req.body;
+    const { title, dueDate, repeatType, repeatUntil, interval, channels } = req.body;
+    
+    const existing = await reminderService.getById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+    
+    // Verify ownership
+    if (!canAccessUser(req, existing.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to update this reminder' });
+    }
+    
+    if (channels !== undefined) {
+      const channelError = validateChannels(channels);
+      if (channelError) {
+        return sendValidationError(res, [channelError]);
+      }
+    }
     
-    const reminder = await reminderService.update(req.params.id, {
+    const reminder = await reminderService.update(existing.id, {
       title,
       dueDate,
       repeatType,
       repeatUntil,
       interval,
+      channels,
     });
     
     res.json({ success: true, data: reminder });
@@ -149,9 +267,19 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/reminders/:id - Delete reminder
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
   try {
-    await reminderService.delete(req.params.id);
+    const existing = await reminderService.getById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+    
+    // Verify ownership
+    if (!canAccessUser(req, existing.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to delete this reminder' });
+    }
+    
+    await reminderService.delete(existing.id);
     res.json({ success: true, message: 'Reminder deleted successfully' });
   } catch (error) {
     console.error('Error deleting reminder:', error);
@@ -0,0 +1,270 @@
+/**
+ * ============================================================================
+ * Training Plan Routes
+ * ============================================================================
+ *
+ * API endpoints for AI-generated multi-week training plans.
+ *
+ * Features:
+ * - Generate a periodized plan (progression and deload weeks) from the
+ *   user's AI memory profile
+ * - Plan sessions are written to the calendar as "workout" events
+ * - Regenerate a plan after the profile changes; only future sessions that
+ *   have not been completed are updated
+ * - Weekly adaptation: the past week's sessions are compared with logged
+ *   workouts and the coming week is rebalanced (see training/adaptation.js);
+ *   it can also be run on demand
+ * - Delete a plan while keeping its past and completed sessions
+ *
+ * @module service/routes/training-plans.js
+ */
+
+import express from 'express';
+import { aiMemoryService, trainingPlanService } from '../db/index.js';
+import { memoryToProfile } from '../LLM/onboarding.js';
+import { createTrainingPlan, regenerateTrainingPlan, deleteTrainingPlan } from '../training/planGenerator.js';
+import { adaptTrainingPlan } from '../training/adaptation.js';
+import { authenticateToken, canAccessUser } from './auth.js';
+import { validate, object, nullable, date, time, idParams } from '../validation/index.js';
+
+const router = express.Router();
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/** Allowed program lengths and deload frequencies, in weeks */
+const WEEKS_RANGE = { min: 4, max: 16 };
+const DELOAD_RANGE = { min: 2, max: 6 };
+
+/**
+ * Load a plan with its sessions and check the caller may access it
+ * Sends the 404/403 response itself when not.
+ *
+ * @param {Object} req - Request with params.id
+ * @param {Object} res - Response
+ * @param {string} action - Verb for the 403 message, e.g. "view"
+ * @returns {Promise<Object|null>} Plan, or null if a response was sent
+ */
+const loadPlan = async (req, res, action) => {
+  const plan = await trainingPlanService.getById(req.params.id);
+
+  if (!plan) {
+    res.status(404).json({ error: 'Training plan not found' });
+    return null;
+  }
+
+  // Verify ownership
+  if (!canAccessUser(req, plan.userId)) {
+    res.status(403).json({ error: `Unauthorized to ${action} this training plan` });
+    return null;
+  }
+
+  return plan;
+};
+
+// ============================================================================
+// Request Schemas
+// ============================================================================
+
+const planOptions = {
+  weeks: { type: 'integer', minimum: WEEKS_RANGE.min, maximum: WEEKS_RANGE.max },
+  deloadEvery: { type: 'integer', minimum: DELOAD_RANGE.min, maximum: DELOAD_RANGE.max },
+  workoutTime: nullable(time),
+};
+
+const createPlanBody = object({ ...planOptions, startDate: date });
+
+const regeneratePlanBody = object(planOptions);
+
+// ============================================================================
+// Routes
+// ============================================================================
+
+/**
+ * GET /api/training-plans
+ * Retrieve the authenticated user's training plans, newest first (without sessions)
+ *
+ * @returns {Array} Plans
+ * @status {200} Plans retrieved successfully
+ * @status {401} Unauthorized
+ * @status {500} Server error
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const plans = await trainingPlanService.getByUser(req.user.id);
+
+    res.json({ success: true, data: plans });
+  } catch (error) {
+    console.error('Error fetching training plans:', error);
+    res.status(500).json({ error: 'Failed to fetch training plans', success: false });
+  }
+});
+
+/**
+ * GET /api/training-plans/:id
+ * Retrieve a training plan with its program and calendar sessions
+ *
+ * @param {string} req.params.id - Plan ID
+ *
+ * @returns {Object} Plan with sessions (each with the workouts logged against it)
+ * @status {200} Plan found
+ * @status {403} Plan belongs to another user
+ * @status {404} Plan not found
+ * @status {500} Server error
+ */
+router.get('/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const plan = await loadPlan(req, res, 'view');
+    if (!plan) return;
+
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    console.error('Error fetching training plan:', error);
+    res.status(500).json({ error: 'Failed to fetch training plan' });
+  }
+});
+
+/**
+ * POST /api/training-plans
+ * Generate a training plan from the user's AI memory profile and add its
+ * sessions to the calendar. The previous active plan is archived and its
+ * future, incomplete sessions are removed.
+ *
+ * @param {number} req.body.weeks - Program length, 4-16 (optional, default: 8)
+ * @param {number} req.body.deloadEvery - Every Nth week is a deload week, 2-6 (optional, default: 4)
+ * @param {string} req.body.startDate - First day of the plan, YYYY-MM-DD (optional, default: today)
+ * @param {string} req.body.workoutTime - Session start time, HH:mm (optional, default: all-day)
+ *
+ * @returns {Object} Created plan with sessions, plus `changes` { created, updated, removed, kept }
+ * @status {201} Plan created
+ * @status {400} Validation error, or no AI memory profile yet
+ * @status {401} Unauthorized
+ * @status {500} Server error
+ */
+router.post('/', authenticateToken, validate({ body: createPlanBody }), async (req, res) => {
+  try {
+    const { weeks, deloadEvery, startDate, workoutTime } = req.body || {};
+    const userId = req.user.id;
+
+    const memory = await aiMemoryService.getByUser(userId);
+    if (!memory) {
+      return res.status(400).json({ error: 'Complete onboarding before generating a training plan' });
+    }
+
+    const { plan, changes } = await createTrainingPlan(userId, memoryToProfile(memory), {
+      weeks,
+      deloadEvery,
+      startDate,
+      workoutTime,
+    });
+
+    res.status(201).json({ success: true, data: plan, changes });
+  } catch (error) {
+    console.error('Error creating training plan:', error);
+    res.status(500).json({ error: 'Failed to create training plan' });
+  }
+});
+
+/**
+ * POST /api/training-plans/:id/regenerate
+ * Rebuild an active plan from the user's current profile. Only future sessions
+ * that have not been completed are updated; past sessions, completed sessions
+ * and sessions with a finished workout logged against them are kept.
+ *
+ * @param {string} req.params.id - Plan ID
+ * @param {number} req.body.weeks - New program length, 4-16 (optional)
+ * @param {number} req.body.deloadEvery - New deload frequency, 2-6 (optional)
+ * @param {string|null} req.body.workoutTime - New session start time, HH:mm or null (optional)
+ *
+ * @returns {Object} Updated plan with sessions, plus `changes` { created, updated, removed, kept }
+ * @status {200} Plan regenerated
+ * @status {400} Validation error, or the plan is archived
+ * @status {403} Plan belongs to another user
+ * @status {404} Plan not found
+ * @status {500} Server error
+ */
+router.post('/:id/regenerate', authenticateToken, validate({ params: idParams, body: regeneratePlanBody }), async (req, res) => {
+  try {
+    const { weeks, deloadEvery, workoutTime } = req.body || {};
+
+    const plan = await loadPlan(req, res, 'regenerate');
+    if (!plan) return;
+
+    if (plan.status !== 'active') {
+      return res.status(400).json({ error: 'Only the active training plan can be regenerated' });
+    }
+
+    const memory = await aiMemoryService.getByUser(plan.userId);
+    const result = await regenerateTrainingPlan(plan, memoryToProfile(memory || {}), {
+      weeks,
+      deloadEvery,
+      workoutTime,
+    });
+
+    res.json({ success: true, data: result.plan, changes: result.changes });
+  } catch (error) {
+    console.error('Error regenerating training plan:', error);
+    res.status(500).json({ error: 'Failed to regenerate training plan' });
+  }
+});
+
+/**
+ * POST /api/training-plans/:id/adapt
+ * Run the weekly adaptation now instead of waiting for the scheduler: review
+ * the past 7 days, rebalance the coming 7 days and post the explanation to chat.
+ * The next scheduled review is a week from now.
+ *
+ * @param {string} req.params.id - Plan ID
+ *
+ * @returns {Object} Updated plan with sessions, plus `adaptation` (the stored review)
+ * @status {200} Plan adapted
+ * @status {400} The plan is archived
+ * @status {403} Plan belongs to another user
+ * @status {404} Plan not found
+ * @status {500} Server error
+ */
+router.post('/:id/adapt', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const plan = await loadPlan(req, res, 'adapt');
+    if (!plan) return;
+
+    if (plan.status !== 'active') {
+      return res.status(400).json({ error: 'Only the active training plan can be adapted' });
+    }
+
+    const result = await adaptTrainingPlan(plan);
+
+    res.json({ success: true, data: result.plan, adaptation: result.adaptation });
+  } catch (error) {
+    console.error('Error adapting training plan:', error);
+    res.status(500).json({ error: 'Failed to adapt training plan' });
+  }
+});
+
+/**
+ * DELETE /api/training-plans/:id
+ * Delete a plan and its future, incomplete sessions. Past and completed
+ * sessions stay on the calendar.
+ *
+ * @param {string} req.params.id - Plan ID
+ *
+ * @status {200} Plan deleted
+ * @status {403} Plan belongs to another user
+ * @status {404} Plan not found
+ * @status {500} Server error
+ */
+router.delete('/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const plan = await loadPlan(req, res, 'delete');
+    if (!plan) return;
+
+    const removed = await deleteTrainingPlan(plan);
+    res.json({ success: true, message: 'Training plan deleted successfully', removedSessions: removed });
+  } catch (error) {
+    console.error('Error deleting training plan:', error);
+    res.status(500).json({ error: 'Failed to delete training plan' });
+  }
+});
+
+export default router;
@@ -11,15 +11,57 @@
  * - Delete user account
  * 
  * All endpoints return standardized JSON responses with success flag.
+ * All endpoints require authentication. Users may only read and modify
+ * their own account; listing, creating users and changing roles is
+ * restricted to admins. Password hashes are never returned.
  * 
  * @module service/routes/users.js
  */
 
 import express from 'express';
 import { userService } from '../db/index.js';
+import {
+  authenticateToken,
+  authorizeUserParam,
+  canAccessUser,
+  isAdmin,
+  requireAdmin,
+  USER_ROLE,
+  ADMIN_ROLE,
+} from './auth.js';
+import { validate, object, nullable, timeZone, idParams } from '../validation/index.js';
 
 const router = express.Router();
 
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Remove the password hash from a user record
+ * 
+ * @param {Object} user - User record
+ * @returns {Object} User without passwordHash
+ */
+const withoutPassword = ({ passwordHash: _, ...user }) => user;
+
+// ============================================================================
+// Request Schemas
+// ============================================================================
+
+const createUserBody = object({
+  email: { type: 'string', format: 'email' },
+  name: nullable({ type: 'string' }),
+}, ['email']);
+
+const updateUserBody = object({
+  name: nullable({ type: 'string' }),
+  role: { type: 'string', enum: [USER_ROLE, ADMIN_ROLE] },
+  timeZone,
+});
+
+const emailParams = object({ email: { type: 'string', minLength: 1 } }, ['email']);
+
 // ============================================================================
 // Routes
 // ============================================================================
@@ -30,12 +72,14 @@ const router = express.Router();
  * 
  * @returns {Array} List of all users
  * @status {200} Users retrieved successfully
+ * @status {401} Unauthorized
+ * @status {403} Caller is not an admin
  * @status {500} Server error
  */
-router.get('/', async (req, res) => {
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const users = await userService.getAll();
-    res.json({ success: true, data: users });
+    res.json({ success: true, data: users.map(withoutPassword) });
   } catch (error) {
     console.error('Error fetching users:', error);
     res.status(500).json({ error: 'Failed to fetch users', success: false });
@@ -50,10 +94,12 @@ router.get('/', async (req, res) => {
  * 
  * @returns {Object} User profile data
  * @status {200} User found
+ * @status {401} Unauthorized
+ * @status {403} Another user's account
  * @status {404} User not found
  * @status {500} Server error
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticateToken, authorizeUserParam('id'), validate({ params: idParams }), async (req, res) => {
   try {
     const user = await userService.getById(req.params.id);
     
@@ -64,7 +110,7 @@ router.get('/:id', async (req, res) => {
       });
     }
     
-    res.json({ success: true, data: user });
+    res.json({ success: true, data: withoutPassword(user) });
   } catch (error) {
     console.error('Error fetching user:', error);
     res.status(500).json({ 
@@ -76,7 +122,7 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /api/users
- * Create a new user account
+ * Create a new user account (admin endpoint, users sign up via /api/auth/register)
  * 
  * @param {Object} req.body - Request body
  * @param {string} req.body.email - User email (required)
@@ -85,20 +131,15 @@ router.get('/:id', async (req, res) => {
  * @returns {Object} Created user data
  * @status {201} User created successfully
  * @status {400} Validation error
+ * @status {401} Unauthorized
+ * @status {403} Caller is not an admin
  * @status {409} Email already registered
  * @status {500} Server error
  */
-router.post('/', async (req, res) => {
+router.post('/', authenticateToken, requireAdmin, validate({ body: createUserBody }), async (req, res) => {
   try {
     const { email, name } = req.body;
     
-    if (!email) {
-      return res.status(400).json({ 
-        error: 'Email is required',
-        success: false 
-      });
-    }
-    
     // Check if user already exists
     const existingUser = await userService.getByEmail(email);
     if (existingUser) {
@@ -109,7 +150,7 @@ router.post('/', async (req, res) => {
     }
     
     const user = await userService.create({ email, name });
-    res.status(201).json({ success: true, data: user });
+    res.status(201).json({ success: true, data: withoutPassword(user) });
   } catch (error) {
     console.error('Error creating user:', error);
     res.status(500).json({ 
@@ -126,15 +167,27 @@ router.post('/', async (req, res) => {
  * @param {string} req.params.id - User ID
  * @param {Object} req.body - Fields to update
  * @param {string} req.body.name - Updated full name
+ * @param {string} req.body.role - "user" or "admin" (admins only)
+ * @param {string} req.body.timeZone - IANA time zone, used for daily goal resets and goal history
  * 
  * @returns {Object} Updated user data
  * @status {200} User updated successfully
+ * @status {400} Invalid name, role or time zone
+ * @status {401} Unauthorized
+ * @status {403} Another user's account, or role change by a non-admin
  * @status {404} User not found
  * @status {500} Server error
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', authenticateToken, authorizeUserParam('id'), validate({ params: idParams, body: updateUserBody }), async (req, res) => {
   try {
-    const { name } = req.body;
+    const { name, role, timeZone } = req.body || {};
+    
+    if (role !== undefined && !isAdmin(req)) {
+      return res.status(403).json({ 
+        error: 'Only admins can change roles',
+        success: false 
+      });
+    }
     
     // First check if user exists
     const existingUser = await userService.getById(req.params.id);
@@ -145,8 +198,12 @@ router.put('/:id', async (req, res) => {
       });
     }
     
-    const user = await userService.update(req.params.id, { name });
-    res.json({ success: true, data: user });
+    const user = await userService.update(req.params.id, {
+      name,
+      ...(role !== undefined && { role }),
+      ...(timeZone !== undefined && { timeZone }),
+    });
+    res.json({ success: true, data: withoutPassword(user) });
   } catch (error) {
     console.error('Error updating user:', error);
     
@@ -173,10 +230,12 @@ router.put('/:id', async (req, res) => {
  * 
  * @returns {Object} Success message
  * @status {200} User deleted successfully
+ * @status {401} Unauthorized
+ * @status {403} Another user's account
  * @status {404} User not found
  * @status {500} Server error
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticateToken, authorizeUserParam('id'), validate({ params: idParams }), async (req, res) => {
   try {
     await userService.delete(req.params.id);
     res.json({ 
@@ -200,21 +259,23 @@ router.delete('/:id', async (req, res) => {
  * 
  * @returns {Object} User profile data
  * @status {200} User found
- * @status {404} User not found
+ * @status {401} Unauthorized
+ * @status {403} Another user's account (non-admins never learn whether it exists)
+ * @status {404} User not found (admins only)
  * @status {500} Server error
  */
-router.get('/email/:email', async (req, res) => {
+router.get('/email/:email', authenticateToken, validate({ params: emailParams }), async (req, res) => {
   try {
     const user = await userService.getByEmail(req.params.email);
     
-    if (!user) {
-      return res.status(404).json({ 
-        error: 'User not found',
-        success: false 
-      });
+    // Verify ownership
+    if (!user || !canAccessUser(req, user.id)) {
+      return isAdmin(req)
+        ? res.status(404).json({ error: 'User not found', success: false })
+        : res.status(403).json({ error: 'Unauthorized to access this user\'s data', success: false });
     }
     
-    res.json({ success: true, data: user });
+    res.json({ success: true, data: withoutPassword(user) });
   } catch (error) {
     console.error('Error fetching user by email:', error);
     res.status(500).json({ 
@@ -0,0 +1,327 @@
+/**
+ * ============================================================================
+ * Workout Logging Routes
+ * ============================================================================
+ * 
+ * API endpoints for logging training sessions.
+ * 
+ * Features:
+ * - Create, read, update, delete workouts
+ * - Nested exercises with ordered sets (reps, weight, RPE)
+ * - Filter workout history by date range
+ * - Complete a workout and link it to the planned "workout" calendar event
+ *   so planned and performed training can be compared
+ * 
+ * @module service/routes/workouts.js
+ */
+
+import express from 'express';
+import { workoutService, calendarEventService } from '../db/index.js';
+import { authenticateToken, canAccessUser } from './auth.js';
+import { validate, sendValidationError, fieldError, object, nullable, text, id, dateTime, idParams } from '../validation/index.js';
+
+const router = express.Router();
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/** Accepted units for set weights */
+const VALID_WEIGHT_UNITS = ['lb', 'kg'];
+
+/**
+ * Check that a calendar event can be linked to a workout
+ * The event must exist, belong to the user, and be of type "workout"
+ * 
+ * @param {string} calendarEventId - Calendar event ID
+ * @param {string} userId - ID of the user who owns the workout
+ * @returns {Promise<Object|null>} Field error, or null if the link is valid
+ */
+const validateWorkoutEvent = async (calendarEventId, userId) => {
+  const event = await calendarEventService.getById(calendarEventId);
+
+  if (!event || event.userId !== userId) {
+    return fieldError('body', 'calendarEventId', 'Calendar event not found');
+  }
+
+  if (event.type !== 'workout') {
+    return fieldError('body', 'calendarEventId', 'Only calendar events of type "workout" can be linked to a workout');
+  }
+
+  return null;
+};
+
+// ============================================================================
+// Request Schemas
+// ============================================================================
+
+const setSchema = object({
+  reps: nullable({ type: 'integer', minimum: 0 }),
+  weight: nullable({ type: 'number', minimum: 0 }),
+  weightUnit: { type: 'string', enum: VALID_WEIGHT_UNITS },
+  rpe: nullable({ type: 'number', minimum: 1, maximum: 10 }),
+});
+
+const exerciseSchema = object({
+  name: text(),
+  notes: nullable({ type: 'string' }),
+  sets: { type: 'array', items: setSchema },
+}, ['name']);
+
+const workoutFields = {
+  title: text(),
+  notes: nullable({ type: 'string' }),
+  startedAt: dateTime,
+  completedAt: nullable(dateTime),
+  calendarEventId: nullable(id),
+  exercises: { type: 'array', items: exerciseSchema },
+};
+
+const createWorkoutBody = object(workoutFields, ['title']);
+
+const updateWorkoutBody = object(workoutFields);
+
+const completeWorkoutBody = object({
+  calendarEventId: nullable(id),
+  completedAt: dateTime,
+});
+
+// ============================================================================
+// Routes
+// ============================================================================
+
+/**
+ * GET /api/workouts
+ * Retrieve the authenticated user's workouts, newest first
+ * 
+ * @param {string} req.query.from - Only workouts started on/after this date (optional)
+ * @param {string} req.query.to - Only workouts started on/before this date (optional)
+ * 
+ * @returns {Array} Workouts with exercises and sets
+ * @status {200} Workouts retrieved successfully
+ * @status {400} Invalid date filter
+ * @status {401} Unauthorized
+ * @status {500} Server error
+ */
+router.get('/', authenticateToken, validate({ query: object({ from: dateTime, to: dateTime }) }), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const workouts = await workoutService.getByUser(req.user.id, { from, to });
+
+    res.json({ success: true, data: workouts });
+  } catch (error) {
+    console.error('Error fetching workouts:', error);
+    res.status(500).json({ error: 'Failed to fetch workouts', success: false });
+  }
+});
+
+/**
+ * GET /api/workouts/:id
+ * Retrieve a specific workout
+ * 
+ * @param {string} req.params.id - Workout ID
+ * 
+ * @returns {Object} Workout with exercises and sets
+ * @status {200} Workout found
+ * @status {403} Workout belongs to another user
+ * @status {404} Workout not found
+ * @status {500} Server error
+ */
+router.get('/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const workout = await workoutService.getById(req.params.id);
+
+    if (!workout) {
+      return res.status(404).json({ error: 'Workout not found' });
+    }
+
+    // Verify ownership
+    if (!canAccessUser(req, workout.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to view this workout' });
+    }
+
+    res.json({ success: true, data: workout });
+  } catch (error) {
+    console.error('Error fetching workout:', error);
+    res.status(500).json({ error: 'Failed to fetch workout' });
+  }
+});
+
+/**
+ * POST /api/workouts
+ * Log a new workout
+ * 
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.title - Workout title (required)
+ * @param {string} req.body.notes - Notes (optional)
+ * @param {string} req.body.startedAt - Start time (optional, default: now)
+ * @param {string} req.body.completedAt - Completion time (optional)
+ * @param {string} req.body.calendarEventId - Planned "workout" event this fulfilled (optional)
+ * @param {Array} req.body.exercises - [{ name, notes, sets: [{ reps, weight, weightUnit, rpe }] }]
+ * 
+ * @returns {Object} Created workout
+ * @status {201} Workout created
+ * @status {400} Validation error
+ * @status {500} Server error
+ */
+router.post('/', authenticateToken, validate({ body: createWorkoutBody }), async (req, res) => {
+  try {
+    const { title, notes, startedAt, completedAt, calendarEventId, exercises = [] } = req.body;
+    const userId = req.user.id;
+
+    if (calendarEventId) {
+      const eventError = await validateWorkoutEvent(calendarEventId, userId);
+      if (eventError) {
+        return sendValidationError(res, [eventError]);
+      }
+    }
+
+    const workout = await workoutService.create({
+      userId,
+      title,
+      notes,
+      startedAt,
+      completedAt,
+      calendarEventId,
+      exercises,
+    });
+
+    console.log(`🏋️ Workout logged for user ${userId}: "${title}" (${exercises.length} exercises)`);
+    res.status(201).json({ success: true, data: workout });
+  } catch (error) {
+    console.error('Error creating workout:', error);
+    res.status(500).json({ error: 'Failed to create workout' });
+  }
+});
+
+/**
+ * PUT /api/workouts/:id
+ * Update a workout. If exercises are sent they replace the logged exercises.
+ * 
+ * @param {string} req.params.id - Workout ID
+ * 
+ * @returns {Object} Updated workout
+ * @status {200} Workout updated
+ * @status {400} Validation error
+ * @status {403} Workout belongs to another user
+ * @status {404} Workout not found
+ * @status {500} Server error
+ */
+router.put('/:id', authenticateToken, validate({ params: idParams, body: updateWorkoutBody }), async (req, res) => {
+  try {
+    const { title, notes, startedAt, completedAt, calendarEventId, exercises } = req.body;
+
+    const workout = await workoutService.getById(req.params.id);
+    if (!workout) {
+      return res.status(404).json({ error: 'Workout not found' });
+    }
+
+    // Verify ownership
+    if (!canAccessUser(req, workout.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to update this workout' });
+    }
+
+    if (calendarEventId) {
+      const eventError = await validateWorkoutEvent(calendarEventId, workout.userId);
+      if (eventError) {
+        return sendValidationError(res, [eventError]);
+      }
+    }
+
+    const updated = await workoutService.update(req.params.id, {
+      title,
+      notes,
+      startedAt,
+      completedAt,
+      calendarEventId,
+      exercises,
+    });
+
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error('Error updating workout:', error);
+    res.status(500).json({ error: 'Failed to update workout' });
+  }
+});
+
+/**
+ * POST /api/workouts/:id/complete
+ * Mark a workout as completed, optionally linking the planned event it fulfilled.
+ * A linked one-time event is marked completed too.
+ * 
+ * @param {string} req.params.id - Workout ID
+ * @param {string} req.body.calendarEventId - Planned "workout" event (optional)
+ * @param {string} req.body.completedAt - Completion time (optional, default: now)
+ * 
+ * @returns {Object} Completed workout
+ * @status {200} Workout completed
+ * @status {400} Validation error
+ * @status {403} Workout belongs to another user
+ * @status {404} Workout not found
+ * @status {500} Server error
+ */
+router.post('/:id/complete', authenticateToken, validate({ params: idParams, body: completeWorkoutBody }), async (req, res) => {
+  try {
+    const { calendarEventId, completedAt } = req.body || {};
+    const userId = req.user.id;
+
+    const workout = await workoutService.getById(req.params.id);
+    if (!workout) {
+      return res.status(404).json({ error: 'Workout not found' });
+    }
+
+    // Verify ownership
+    if (!canAccessUser(req, workout.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to update this workout' });
+    }
+
+    if (calendarEventId) {
+      const eventError = await validateWorkoutEvent(calendarEventId, workout.userId);
+      if (eventError) {
+        return sendValidationError(res, [eventError]);
+      }
+    }
+
+    const completed = await workoutService.complete(req.params.id, { calendarEventId, completedAt });
+
+    console.log(`✅ Workout completed for user ${userId}: "${completed.title}"${completed.calendarEventId ? ` (fulfilled event ${completed.calendarEventId})` : ''}`);
+    res.json({ success: true, data: completed });
+  } catch (error) {
+    console.error('Error completing workout:', error);
+    res.status(500).json({ error: 'Failed to complete workout' });
+  }
+});
+
+/**
+ * DELETE /api/workouts/:id
+ * Delete a workout and its exercises and sets
+ * 
+ * @param {string} req.params.id - Workout ID
+ * 
+ * @status {200} Workout deleted
+ * @status {403} Workout belongs to another user
+ * @status {404} Workout not found
+ * @status {500} Server error
+ */
+router.delete('/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+  try {
+    const workout = await workoutService.getById(req.params.id);
+    if (!workout) {
+      return res.status(404).json({ error: 'Workout not found' });
+    }
+
+    // Verify ownership
+    if (!canAccessUser(req, workout.userId)) {
+      return res.status(403).json({ error: 'Unauthorized to delete this workout' });
+    }
+
+    await workoutService.delete(req.params.id);
+    res.json({ success: true, message: 'Workout deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting workout:', error);
+    res.status(500).json({ error: 'Failed to delete workout' });
+  }
+});
+
+export default router;
@@ -5,13 +5,14 @@
  * 
  * Automatically generates complete OpenAPI 3.0 specification from:
  * - Prisma database schema (models, relationships, field definitions)
- * - Express route definitions (methods, paths, middleware)
+ * - Express route definitions (methods, paths, request schemas)
  * - Environment configurations (servers, base URLs)
  * 
  * Features:
- * - Discovers all API endpoints from Express application
+ * - Discovers all API endpoints from the routers in app.locals.apiRoutes
  * - Generates schema definitions from Prisma models
- * - Extracts parameters, request/response bodies from route handlers
+ * - Documents parameters and request bodies from the same schemas the
+ *   routes validate against (validation/index.js)
  * - Automatically creates endpoint documentation
  * - Supports multiple environment server configurations
  * - Generates component schemas for reusable types
@@ -23,7 +24,6 @@
  * @class SwaggerGenerator
  */
 
-import listEndpoints from 'express-list-endpoints';
 import fs from 'fs';
 import path from 'path';
 
@@ -31,7 +31,7 @@ import path from 'path';
  * Automated Swagger Documentation Generator
  * This class automatically generates Swagger documentation from:
  * 1. Prisma schema models (generates component schemas)
- * 2. Express route definitions (extracts paths, methods, parameters)
+ * 2. Express route definitions (extracts paths, methods, request schemas)
  * 3. Environment configuration (server URLs)
  */
 class SwaggerGenerator {
@@ -122,6 +122,31 @@ class SwaggerGenerator {
               }
             }
           },
+          ValidationError: {
+            description: 'Invalid request, with a message per field',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: false },
+                    error: { type: 'string', example: 'title is required' },
+                    details: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          in: { type: 'string', enum: ['body', 'query', 'params'] },
+                          field: { type: 'string', example: 'title' },
+                          message: { type: 'string', example: 'title is required' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
           Error: {
             description: 'Error response',
             content: {
@@ -158,9 +183,6 @@ class SwaggerGenerator {
       // Convert each Prisma model to OpenAPI schema
       models.forEach(model => {
         this.schemas[model.name] = this.convertPrismaModelToSchema(model);
-        
-        // Create input schemas for POST/PUT operations
-        this.schemas[`${model.name}Input`] = this.convertPrismaModelToInputSchema(model);
       });
 
       // Convert enums
@@ -298,33 +320,6 @@ class SwaggerGenerator {
     };
   }
 
-  /**
-   * Convert Prisma model to input schema (for POST/PUT requests)
-   */
-  convertPrismaModelToInputSchema(model) {
-    const properties = {};
-    const required = [];
-
-    model.fields.forEach(field => {
-      // Skip relation fields and auto-generated fields
-      if (field.relationName || field.isId || field.isUpdatedAt) return;
-
-      const property = this.convertPrismaFieldToProperty(field);
-      properties[field.name] = property;
-
-      // Add to required if field is required and not auto-generated
-      if (field.isRequired && !field.hasDefaultValue && field.name !== 'createdAt') {
-        required.push(field.name);
-      }
-    });
-
-    return {
-      type: 'object',
-      properties,
-      required: required.length > 0 ? required : undefined,
-    };
-  }
-
   /**
    * Convert Prisma field to OpenAPI property
    */
@@ -404,228 +399,96 @@ class SwaggerGenerator {
 
   /**
    * Generate API paths from Express routes
+   * Walks the routers mounted in app.locals.apiRoutes; each route's
+   * validate() middleware carries the schemas its parameters and body are
+   * checked against (see validation/index.js).
    */
   generatePathsFromRoutes() {
-    try {
-      const endpoints = listEndpoints(this.app);
-      console.log('🔍 Discovered endpoints:', endpoints);
-      
-      if (!endpoints || endpoints.length === 0) {
-        console.warn('⚠️ No endpoints found. App might not be fully initialized.');
-        // Add fallback routes based on known route files
-        this.generateFallbackPaths();
-        return;
-      }
-      
-      endpoints.forEach(endpoint => {
-        const path = endpoint.path.replace(/:(\w+)/g, '{$1}'); // Convert :id to {id}
-        
-        if (!this.paths[path]) {
-          this.paths[path] = {};
-        }
+    const apiRoutes = this.app.locals.apiRoutes || {};
 
-        endpoint.methods.forEach(method => {
-          this.paths[path][method.toLowerCase()] = this.generateOperationFromEndpoint(endpoint, method);
-        });
-      });
-      
-      console.log(`✅ Generated ${Object.keys(this.paths).length} API paths`);
-    } catch (error) {
-      console.error('❌ Error generating paths from routes:', error);
-      this.generateFallbackPaths();
-    }
-  }
+    Object.entries(apiRoutes).forEach(([mountPath, router]) => {
+      router.stack.forEach(layer => {
+        const route = layer.route;
+        if (!route || typeof route.path !== 'string') return;
 
-  /**
-   * Generate fallback paths when route discovery fails by scanning actual route files
-   */
-  generateFallbackPaths() {
-    console.log('🔄 Using fallback path generation by scanning route files...');
-    
-    try {
-      const routeFiles = this.scanRouteFiles();
-      
-      if (routeFiles.length === 0) {
-        console.warn('⚠️ No route files found - no endpoints will be documented');
-        return;
-      }
+        const fullPath = route.path === '/' ? mountPath : `${mountPath}${route.path}`;
+        const openApiPath = fullPath.replace(/:(\w+)/g, '{$1}'); // Convert :id to {id}
+        const requestSchema = route.stack.map(handler => handler.handle.requestSchema).find(Boolean);
 
-      routeFiles.forEach(routeInfo => {
-        console.log(`📁 Found routes in ${routeInfo.file}:`, routeInfo.routes.map(r => `${r.methods.join(',')} ${r.path}`));
-        
-        routeInfo.routes.forEach(route => {
-          if (!this.paths[route.path]) {
-            this.paths[route.path] = {};
-          }
+        if (!this.paths[openApiPath]) {
+          this.paths[openApiPath] = {};
+        }
 
-          route.methods.forEach(method => {
-            this.paths[route.path][method.toLowerCase()] = this.generateOperationFromPath(route.path, method);
+        Object.keys(route.methods)
+          .filter(method => method !== '_all')
+          .forEach(method => {
+            this.paths[openApiPath][method] = this.generateOperation(openApiPath, method.toUpperCase(), requestSchema);
           });
-        });
       });
-      
-      console.log(`✅ Generated documentation for ${Object.keys(this.paths).length} endpoints from actual route files`);
-    } catch (error) {
-      console.error('❌ Error scanning route files:', error);
-      console.log('⚠️ No routes documented - please check your routes directory');
-    }
-  }
-
-  /**
-   * Scan route files to discover actual endpoints
-   */
-  scanRouteFiles() {
-    const routesDir = path.join(process.cwd(), 'routes');
-    const routeFiles = [];
-
-    if (!fs.existsSync(routesDir)) {
-      console.warn(`⚠️ Routes directory not found: ${routesDir}`);
-      return [];
-    }
-
-    const files = fs.readdirSync(routesDir).filter(file => file.endsWith('.js'));
-    
-    files.forEach(file => {
-      try {
-        const filePath = path.join(routesDir, file);
-        const content = fs.readFileSync(filePath, 'utf-8');
-        
-        // Extract route information from file
-        const routes = this.extractRoutesFromFile(content, file);
-        if (routes.length > 0) {
-          const resourceName = path.basename(file, '.js');
-          routeFiles.push({
-            file: file,
-            resource: resourceName,
-            routes: routes
-          });
-        }
-      } catch (error) {
-        console.warn(`⚠️ Error reading route file ${file}:`, error.message);
-      }
     });
 
-    return routeFiles;
-  }
-
-  /**
-   * Extract routes from route file content using regex
-   */
-  extractRoutesFromFile(content, filename) {
-    const routes = [];
-    const resourceName = path.basename(filename, '.js');
-    const basePath = `/api/${resourceName}`;
-
-    // Regex patterns to match router method calls
-    const routePatterns = [
-      /router\.(get|post|put|delete|patch)\s*\(\s*['"`]([^'"`]+)['"`]/g,
-    ];
-
-    routePatterns.forEach(pattern => {
-      let match;
-      while ((match = pattern.exec(content)) !== null) {
-        const [, method, routePath] = match;
-        
-        // Convert route path to full API path
-        const fullPath = routePath === '/' ? basePath : `${basePath}${routePath}`;
-        
-        // Convert :param to {param} for OpenAPI
-        const openApiPath = fullPath.replace(/:(\w+)/g, '{$1}');
-
-        // Find existing route or create new one
-        let existingRoute = routes.find(r => r.path === openApiPath);
-        if (!existingRoute) {
-          existingRoute = { path: openApiPath, methods: [] };
-          routes.push(existingRoute);
-        }
-
-        const httpMethod = method.toUpperCase();
-        if (!existingRoute.methods.includes(httpMethod)) {
-          existingRoute.methods.push(httpMethod);
-        }
-      }
-    });
+    if (Object.keys(this.paths).length === 0) {
+      console.warn('⚠️ No endpoints found. Routers are read from app.locals.apiRoutes.');
+      return;
+    }
 
-    return routes;
+    console.log(`✅ Generated ${Object.keys(this.paths).length} API paths`);
   }
 
   /**
-   * Generate operation from path when endpoint data is not available
+   * Generate OpenAPI operation for a route
+   *
+   * @param {string} path - OpenAPI path (with {param} placeholders)
+   * @param {string} method - HTTP method
+   * @param {Object} requestSchema - Schemas from validate() (undefined if the route does not validate)
    */
-  generateOperationFromPath(path, method) {
+  generateOperation(path, method, requestSchema) {
     const operation = {
       summary: this.generateOperationSummary(path, method),
       description: this.generateOperationDescription(path, method),
       tags: [this.extractTagFromPath(path)],
     };
 
-    // Add parameters for path variables
-    const pathParams = path.match(/\{(\w+)\}/g);
-    if (pathParams) {
-      operation.parameters = pathParams.map(param => ({
-        name: param.replace(/[{}]/g, ''), // Remove the braces
+    const { params, query, body } = requestSchema || {};
+
+    // Path variables, typed by the params schema when there is one
+    const pathParams = (path.match(/\{(\w+)\}/g) || []).map(param => {
+      const name = param.replace(/[{}]/g, ''); // Remove the braces
+      return {
+        name,
         in: 'path',
         required: true,
-        schema: { type: 'string' },
-        description: `${param.replace(/[{}]/g, '')} parameter`,
-      }));
+        schema: this.toOpenApiSchema(params?.properties?.[name] || { type: 'string' }),
+        description: `${name} parameter`,
+      };
+    });
+
+    const queryParams = Object.entries(query?.properties || {}).map(([name, schema]) => ({
+      name,
+      in: 'query',
+      required: (query.required || []).includes(name),
+      schema: this.toOpenApiSchema(schema),
+    }));
+
+    if (pathParams.length > 0 || queryParams.length > 0) {
+      operation.parameters = [...pathParams, ...queryParams];
     }
 
-    // Add request body for POST/PUT/PATCH methods
-    if (['POST', 'PUT', 'PATCH'].includes(method)) {
-      const modelName = this.extractModelFromPath(path);
-      
-      // Special handling for goals and preferences endpoints
-      if (path.includes('/goals')) {
-        operation.requestBody = {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                description: 'User goals as a JSON object',
-                example: {
-                  "fitness": "Exercise 30 minutes daily",
-                  "career": "Learn new programming language",
-                  "health": "Eat more vegetables"
-                }
-              },
-            },
-          },
-        };
-      } else if (path.includes('/preferences')) {
-        operation.requestBody = {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                description: 'User preferences as a JSON object',
-                example: {
-                  "communication_style": "direct",
-                  "reminder_frequency": "daily",
-                  "time_zone": "America/New_York"
-                }
-              },
-            },
+    if (body) {
+      operation.requestBody = {
+        required: (body.required || []).length > 0,
+        content: {
+          'application/json': {
+            schema: this.toOpenApiSchema(body),
           },
-        };
-      } else if (modelName && this.schemas[`${modelName}Input`]) {
-        operation.requestBody = {
-          required: true,
-          content: {
-            'application/json': {
-              schema: { $ref: `#/components/schemas/${modelName}Input` },
-            },
-          },
-        };
-      }
+        },
+      };
     }
 
     // Add responses
     operation.responses = {
       '200': { $ref: '#/components/responses/Success' },
-      '400': { $ref: '#/components/responses/Error' },
+      '400': { $ref: requestSchema ? '#/components/responses/ValidationError' : '#/components/responses/Error' },
       '404': { $ref: '#/components/responses/Error' },
       '500': { $ref: '#/components/responses/Error' },
     };
@@ -638,91 +501,46 @@ class SwaggerGenerator {
   }
 
   /**
-   * Generate OpenAPI operation from endpoint
+   * Convert a request JSON Schema to an OpenAPI 3.0 schema
+   * OpenAPI 3.0 has no type lists: ['string', 'null'] becomes nullable,
+   * several types become oneOf. Empty required lists are dropped.
    */
-  generateOperationFromEndpoint(endpoint, method) {
-    const operation = {
-      summary: this.generateOperationSummary(endpoint.path, method),
-      description: this.generateOperationDescription(endpoint.path, method),
-      tags: [this.extractTagFromPath(endpoint.path)],
-    };
+  toOpenApiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
 
-    // Add parameters for path variables
-    const pathParams = endpoint.path.match(/:(\w+)/g);
-    if (pathParams) {
-      operation.parameters = pathParams.map(param => ({
-        name: param.substring(1), // Remove the ':'
-        in: 'path',
-        required: true,
-        schema: { type: 'string' },
-        description: `${param.substring(1)} parameter`,
-      }));
-    }
+    const converted = { ...schema };
 
-    // Add request body for POST/PUT/PATCH methods
-    if (['POST', 'PUT', 'PATCH'].includes(method)) {
-      const modelName = this.extractModelFromPath(endpoint.path);
-      
-      // Special handling for goals and preferences endpoints
-      if (endpoint.path.includes('/goals')) {
-        operation.requestBody = {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                description: 'User goals as a JSON object',
-                example: {
-                  "fitness": "Exercise 30 minutes daily",
-                  "career": "Learn new programming language",
-                  "health": "Eat more vegetables"
-                }
-              },
-            },
-          },
-        };
-      } else if (endpoint.path.includes('/preferences')) {
-        operation.requestBody = {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                description: 'User preferences as a JSON object',
-                example: {
-                  "communication_style": "direct",
-                  "reminder_frequency": "daily",
-                  "time_zone": "America/New_York"
-                }
-              },
-            },
-          },
-        };
-      } else if (modelName && this.schemas[`${modelName}Input`]) {
-        operation.requestBody = {
-          required: true,
-          content: {
-            'application/json': {
-              schema: { $ref: `#/components/schemas/${modelName}Input` },
-            },
-          },
-        };
+    if (Array.isArray(schema.type)) {
+      const types = schema.type.filter(type => type !== 'null');
+      if (types.length < schema.type.length) converted.nullable = true;
+
+      if (types.length === 1) {
+        converted.type = types[0];
+      } else {
+        delete converted.type;
+        converted.oneOf = types.map(type => ({ type }));
       }
     }
 
-    // Add responses
-    operation.responses = {
-      '200': { $ref: '#/components/responses/Success' },
-      '400': { $ref: '#/components/responses/Error' },
-      '404': { $ref: '#/components/responses/Error' },
-      '500': { $ref: '#/components/responses/Error' },
-    };
+    // Draft 7 exclusiveMinimum is a number, OpenAPI 3.0's a flag on minimum
+    if (typeof schema.exclusiveMinimum === 'number') {
+      converted.minimum = schema.exclusiveMinimum;
+      converted.exclusiveMinimum = true;
+    }
 
-    if (method === 'POST') {
-      operation.responses['201'] = { $ref: '#/components/responses/Success' };
+    if (schema.properties) {
+      converted.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, property]) => [name, this.toOpenApiSchema(property)])
+      );
+    }
+    if (schema.items) {
+      converted.items = this.toOpenApiSchema(schema.items);
+    }
+    if (Array.isArray(schema.required) && schema.required.length === 0) {
+      delete converted.required;
     }
 
-    return operation;
+    return converted;
   }
 
   /**
@@ -804,20 +622,6 @@ class SwaggerGenerator {
     return parts[parts.length - 1] || 'api';
   }
 
-  /**
-   * Extract model name from path
-   */
-  extractModelFromPath(path) {
-    const tag = this.extractTagFromPath(path);
-    
-    // Handle special cases
-    if (tag === 'ai-memory') return 'AIMemory';
-    
-    // Convert plural to singular and capitalize
-    const singular = tag.endsWith('s') ? tag.slice(0, -1) : tag;
-    return singular.charAt(0).toUpperCase() + singular.slice(1);
-  }
-
   /**
    * Fallback schemas if Prisma parsing fails
    */
@@ -832,14 +636,6 @@ class SwaggerGenerator {
           createdAt: { type: 'string', format: 'date-time', description: 'Creation date' }
         },
         required: ['email']
-      },
-      UserInput: {
-        type: 'object',
-        properties: {
-          email: { type: 'string', format: 'email', description: 'User email' },
-          name: { type: 'string', description: 'User name' }
-        },
-        required: ['email']
       }
     };
   }
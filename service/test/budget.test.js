@@ -0,0 +1,159 @@
+/**
+ * ============================================================================
+ * Token Budget Tests
+ * ============================================================================
+ *
+ * Budget limits, the UTC day and month rollover, and cost estimates. Pure
+ * functions only, no database needed.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/budget.test.js
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateCost, getBudgetConfig, getBudgetPeriods, evaluateBudget } from '../LLM/budget.js';
+
+const BUDGET_VARIABLES = ['TOKEN_BUDGET_DAILY', 'TOKEN_BUDGET_MONTHLY', 'TOKEN_BUDGET_ACTION'];
+
+const totals = (daily, monthly) => ({
+  daily: { totalTokens: daily },
+  monthly: { totalTokens: monthly },
+});
+
+describe('getBudgetConfig', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(BUDGET_VARIABLES.map((name) => [name, process.env[name]]));
+    for (const name of BUDGET_VARIABLES) delete process.env[name];
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it('has no limits and degrades by default', () => {
+    assert.deepEqual(getBudgetConfig(), { daily: null, monthly: null, action: 'degrade' });
+  });
+
+  it('reads the limits and action', () => {
+    process.env.TOKEN_BUDGET_DAILY = '50000';
+    process.env.TOKEN_BUDGET_MONTHLY = '1000000';
+    process.env.TOKEN_BUDGET_ACTION = 'refuse';
+
+    assert.deepEqual(getBudgetConfig(), { daily: 50000, monthly: 1000000, action: 'refuse' });
+  });
+
+  it('treats zero, negative and non-numeric limits as no limit', () => {
+    process.env.TOKEN_BUDGET_DAILY = '0';
+    process.env.TOKEN_BUDGET_MONTHLY = 'lots';
+    assert.deepEqual(getBudgetConfig(), { daily: null, monthly: null, action: 'degrade' });
+
+    process.env.TOKEN_BUDGET_DAILY = '-5';
+    assert.equal(getBudgetConfig().daily, null);
+  });
+
+  it('falls back to degrade for an unknown action', () => {
+    process.env.TOKEN_BUDGET_ACTION = 'block';
+    assert.equal(getBudgetConfig().action, 'degrade');
+  });
+});
+
+describe('getBudgetPeriods', () => {
+  it('starts and resets the day and month at UTC midnight', () => {
+    assert.deepEqual(getBudgetPeriods(new Date('2025-03-15T23:59:59Z')), {
+      dayStart: new Date('2025-03-15T00:00:00Z'),
+      dayResetsAt: new Date('2025-03-16T00:00:00Z'),
+      monthStart: new Date('2025-03-01T00:00:00Z'),
+      monthResetsAt: new Date('2025-04-01T00:00:00Z'),
+    });
+  });
+
+  it('rolls over at the end of a month and a year', () => {
+    const endOfFebruary = getBudgetPeriods(new Date('2024-02-29T12:00:00Z'));
+    assert.deepEqual(endOfFebruary.dayResetsAt, new Date('2024-03-01T00:00:00Z'));
+    assert.deepEqual(endOfFebruary.monthResetsAt, new Date('2024-03-01T00:00:00Z'));
+
+    const newYearsEve = getBudgetPeriods(new Date('2025-12-31T18:00:00Z'));
+    assert.deepEqual(newYearsEve.dayResetsAt, new Date('2026-01-01T00:00:00Z'));
+    assert.deepEqual(newYearsEve.monthResetsAt, new Date('2026-01-01T00:00:00Z'));
+  });
+
+  it('counts a new day from midnight UTC', () => {
+    assert.deepEqual(getBudgetPeriods(new Date('2025-03-16T00:00:00Z')).dayStart, new Date('2025-03-16T00:00:00Z'));
+  });
+});
+
+describe('evaluateBudget', () => {
+  const now = new Date('2025-03-15T10:00:00Z');
+  const config = { daily: 1000, monthly: 10000, action: 'degrade' };
+
+  it('is ok within every budget', () => {
+    const status = evaluateBudget(config, totals(999, 9999), now);
+
+    assert.equal(status.status, 'ok');
+    assert.equal(status.exceeded, null);
+    assert.equal(status.resetsAt, null);
+  });
+
+  it('uses a budget up once the limit is reached', () => {
+    const status = evaluateBudget(config, totals(1000, 5000), now);
+
+    assert.equal(status.status, 'degraded');
+    assert.equal(status.exceeded, 'daily');
+    assert.deepEqual(status.resetsAt, new Date('2025-03-16T00:00:00Z'));
+  });
+
+  it('refuses instead of degrading when configured to', () => {
+    assert.equal(evaluateBudget({ ...config, action: 'refuse' }, totals(1000, 5000), now).status, 'exceeded');
+  });
+
+  it('reports the monthly budget first, since it resets later', () => {
+    const status = evaluateBudget(config, totals(2000, 10000), now);
+
+    assert.equal(status.exceeded, 'monthly');
+    assert.deepEqual(status.resetsAt, new Date('2025-04-01T00:00:00Z'));
+  });
+
+  it('ignores periods without a limit', () => {
+    const status = evaluateBudget({ daily: null, monthly: null, action: 'refuse' }, totals(1e9, 1e9), now);
+    assert.equal(status.status, 'ok');
+  });
+
+  it('returns the totals with their limits', () => {
+    const status = evaluateBudget(config, { daily: { totalTokens: 10, cost: 0.01 }, monthly: { totalTokens: 20, cost: 0.02 } }, now);
+
+    assert.equal(status.action, 'degrade');
+    assert.deepEqual(status.daily, { limit: 1000, totalTokens: 10, cost: 0.01 });
+    assert.deepEqual(status.monthly, { limit: 10000, totalTokens: 20, cost: 0.02 });
+  });
+});
+
+describe('estimateCost', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('prices input and output tokens per million', () => {
+    assert.equal(estimateCost('gpt-4o', 1_000_000, 1_000_000), 12.5);
+  });
+
+  it('matches dated snapshots by the longest model prefix', () => {
+    assert.equal(estimateCost('gpt-4o-mini-2024-07-18', 1_000_000, 0), 0.15);
+    assert.equal(estimateCost('gpt-4o-2024-08-06', 1_000_000, 0), 2.5);
+  });
+
+  it('records unknown models at no cost and warns once', () => {
+    const warn = mock.method(console, 'warn', () => {});
+
+    assert.equal(estimateCost('some-local-model', 1000, 1000), 0);
+    assert.equal(estimateCost('some-local-model', 1000, 1000), 0);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * ============================================================================
+ * Goal History Tests
+ * ============================================================================
+ *
+ * Day keys in the user's time zone (which the daily goal reset and the
+ * completion log are both keyed by), streaks and the heatmap. Pure functions
+ * only, no database needed.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/goalHistory.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { localDayKey, computeStreaks, buildGoalHistory } from '../goals/history.js';
+
+describe('localDayKey', () => {
+  it('uses the calendar day of the time zone, not of UTC', () => {
+    const instant = new Date('2025-01-01T03:00:00Z');
+
+    assert.equal(localDayKey(instant, 'UTC'), '2025-01-01');
+    assert.equal(localDayKey(instant, 'America/Los_Angeles'), '2024-12-31');
+    assert.equal(localDayKey(new Date('2025-01-01T10:00:00Z'), 'Pacific/Kiritimati'), '2025-01-02');
+  });
+
+  it('rolls over at local midnight in half- and quarter-hour zones', () => {
+    assert.equal(localDayKey(new Date('2025-01-01T18:29:00Z'), 'Asia/Kolkata'), '2025-01-01');
+    assert.equal(localDayKey(new Date('2025-01-01T18:30:00Z'), 'Asia/Kolkata'), '2025-01-02');
+    // Chatham is UTC+13:45 in January (daylight time)
+    assert.equal(localDayKey(new Date('2025-01-01T10:14:00Z'), 'Pacific/Chatham'), '2025-01-01');
+    assert.equal(localDayKey(new Date('2025-01-01T10:15:00Z'), 'Pacific/Chatham'), '2025-01-02');
+  });
+
+  it('follows the offset change on DST days', () => {
+    // New York springs forward on 2025-03-09 (midnight is still UTC-5)
+    assert.equal(localDayKey(new Date('2025-03-09T04:59:00Z'), 'America/New_York'), '2025-03-08');
+    assert.equal(localDayKey(new Date('2025-03-09T05:00:00Z'), 'America/New_York'), '2025-03-09');
+    // ...the next midnight is UTC-4
+    assert.equal(localDayKey(new Date('2025-03-10T03:59:00Z'), 'America/New_York'), '2025-03-09');
+    assert.equal(localDayKey(new Date('2025-03-10T04:00:00Z'), 'America/New_York'), '2025-03-10');
+    // ...and falls back on 2025-11-02, a 25-hour day
+    assert.equal(localDayKey(new Date('2025-11-02T04:00:00Z'), 'America/New_York'), '2025-11-02');
+    assert.equal(localDayKey(new Date('2025-11-03T04:59:00Z'), 'America/New_York'), '2025-11-02');
+    assert.equal(localDayKey(new Date('2025-11-03T05:00:00Z'), 'America/New_York'), '2025-11-03');
+  });
+});
+
+describe('computeStreaks', () => {
+  it('is zero without completions', () => {
+    assert.deepEqual(computeStreaks([], '2025-01-10'), { currentStreak: 0, longestStreak: 0 });
+  });
+
+  it('counts today when it is completed', () => {
+    assert.deepEqual(
+      computeStreaks(['2025-01-08', '2025-01-09', '2025-01-10'], '2025-01-10'),
+      { currentStreak: 3, longestStreak: 3 }
+    );
+  });
+
+  it('keeps the streak while today is still open', () => {
+    assert.deepEqual(
+      computeStreaks(['2025-01-08', '2025-01-09'], '2025-01-10'),
+      { currentStreak: 2, longestStreak: 2 }
+    );
+  });
+
+  it('breaks the streak once a day is missed', () => {
+    assert.deepEqual(
+      computeStreaks(['2025-01-07', '2025-01-08'], '2025-01-10'),
+      { currentStreak: 0, longestStreak: 2 }
+    );
+  });
+
+  it('keeps the longest streak when it is not the current one', () => {
+    assert.deepEqual(
+      computeStreaks(['2025-01-01', '2025-01-02', '2025-01-03', '2025-01-04', '2025-01-09', '2025-01-10'], '2025-01-10'),
+      { currentStreak: 2, longestStreak: 4 }
+    );
+  });
+
+  it('runs across month, year and leap day boundaries', () => {
+    assert.deepEqual(
+      computeStreaks(['2023-12-31', '2024-01-01'], '2024-01-01'),
+      { currentStreak: 2, longestStreak: 2 }
+    );
+    assert.deepEqual(
+      computeStreaks(['2024-02-28', '2024-02-29', '2024-03-01'], '2024-03-01'),
+      { currentStreak: 3, longestStreak: 3 }
+    );
+    assert.deepEqual(
+      computeStreaks(['2025-02-28', '2025-03-01'], '2025-03-01'),
+      { currentStreak: 2, longestStreak: 2 }
+    );
+  });
+
+  it('counts consecutive days across a DST change', () => {
+    // Day keys are calendar days, so the 23-hour 2025-03-09 is one day like any other
+    assert.deepEqual(
+      computeStreaks(['2025-03-08', '2025-03-09', '2025-03-10'], '2025-03-10'),
+      { currentStreak: 3, longestStreak: 3 }
+    );
+  });
+});
+
+describe('buildGoalHistory', () => {
+  // 2025-03-11 20:00 in Los Angeles (a Tuesday, two days after DST started)
+  const now = new Date('2025-03-12T03:00:00Z');
+  const timeZone = 'America/Los_Angeles';
+  // 2025-02-28 12:00 in Los Angeles
+  const goal = { createdAt: '2025-02-28T20:00:00Z' };
+  const completions = ['2025-02-27', '2025-03-01', '2025-03-02', '2025-03-08', '2025-03-09', '2025-03-10', '2025-03-10', '2025-03-11']
+    .map((date) => ({ date }));
+
+  const history = buildGoalHistory(goal, completions, { timeZone, days: 14, now });
+
+  it('uses the day in the user time zone as today', () => {
+    assert.equal(history.timeZone, timeZone);
+    assert.equal(history.today, '2025-03-11');
+    assert.deepEqual(history.range, { from: '2025-02-26', to: '2025-03-11', days: 14 });
+  });
+
+  it('counts streaks and unique completion days', () => {
+    assert.equal(history.currentStreak, 4);
+    assert.equal(history.longestStreak, 4);
+    assert.equal(history.totalCompletions, 7);
+  });
+
+  it('lays the heatmap out in whole weeks starting on Monday', () => {
+    assert.deepEqual(history.heatmap.map((week) => week.weekStart), ['2025-02-24', '2025-03-03', '2025-03-10']);
+    for (const week of history.heatmap) assert.equal(week.days.length, 7);
+  });
+
+  it('leaves days outside the range, before the goal or after today empty', () => {
+    const [first, , last] = history.heatmap;
+
+    assert.deepEqual(first.days.map((day) => day.completed), [null, null, null, true, false, true, true]);
+    assert.deepEqual(last.days.map((day) => day.completed), [true, true, null, null, null, null, null]);
+  });
+
+  it('computes weekly and overall completion rates over the open days', () => {
+    assert.deepEqual(
+      history.heatmap.map(({ completed, possible, rate }) => ({ completed, possible, rate })),
+      [
+        { completed: 3, possible: 4, rate: 0.75 },
+        { completed: 2, possible: 7, rate: 0.29 },
+        { completed: 2, possible: 2, rate: 1 },
+      ]
+    );
+    assert.equal(history.completionRate, 0.54);
+  });
+
+  it('rates only the days since the goal was created', () => {
+    const fresh = buildGoalHistory({ createdAt: now }, [], { timeZone, days: 7, now });
+
+    assert.equal(fresh.completionRate, 0);
+    assert.equal(fresh.currentStreak, 0);
+
+    const future = buildGoalHistory({ createdAt: '2025-04-01T00:00:00Z' }, [], { timeZone, days: 7, now });
+    assert.equal(future.completionRate, null);
+    assert.ok(future.heatmap.every((week) => week.rate === null));
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * ============================================================================
+ * Goal Progress Tests
+ * ============================================================================
+ *
+ * Progress towards measurable goals: direction, baseline, percentage, the
+ * least-squares trend and the projected date it reaches the target. Pure
+ * functions only, no database needed.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/goalProgress.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeGoalProgress, trendPerDay, resolveDirection } from '../goals/progress.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = Date.parse('2025-03-01T08:00:00Z');
+
+/** Entry `days` days after 2025-03-01 08:00 UTC */
+const entry = (days, value) => ({ recordedAt: new Date(start + days * DAY_MS), value });
+
+describe('resolveDirection', () => {
+  it('uses the explicit direction, else infers it from baseline and target', () => {
+    assert.equal(resolveDirection({ direction: 'decrease', targetValue: 200 }), 'decrease');
+    assert.equal(resolveDirection({ baselineValue: 200, targetValue: 180 }), 'decrease');
+    assert.equal(resolveDirection({ baselineValue: 100, targetValue: 150 }), 'increase');
+    assert.equal(resolveDirection({ targetValue: 180 }), 'increase');
+  });
+});
+
+describe('trendPerDay', () => {
+  it('needs at least two entries', () => {
+    assert.equal(trendPerDay([]), null);
+    assert.equal(trendPerDay([entry(0, 10)]), null);
+  });
+
+  it('fits a least-squares slope in units per day', () => {
+    assert.equal(trendPerDay([entry(0, 10), entry(10, 20)]), 1);
+    assert.equal(trendPerDay([entry(0, 0), entry(1, 3), entry(2, 4)]), 2);
+  });
+
+  it('has no slope for entries less than a day apart', () => {
+    assert.equal(trendPerDay([entry(0, 10), entry(0.5, 20)]), null);
+    assert.equal(trendPerDay([entry(0, 10), entry(0.25, 12), entry(0.75, 14)]), null);
+    assert.notEqual(trendPerDay([entry(0, 10), entry(1.5, 20)]), null);
+  });
+});
+
+describe('computeGoalProgress', () => {
+  const now = new Date(start + 10 * DAY_MS);
+
+  it('has no progress without a target', () => {
+    assert.equal(computeGoalProgress({ targetValue: null }, [entry(0, 10)], { now }), null);
+  });
+
+  it('measures an increasing goal from its baseline', () => {
+    const goal = { targetValue: 225, unit: 'lb', baselineValue: 185 };
+    const progress = computeGoalProgress(goal, [entry(10, 205), entry(0, 195)], { now });
+
+    assert.equal(progress.direction, 'increase');
+    assert.equal(progress.current, 205);
+    assert.equal(progress.remaining, 20);
+    assert.equal(progress.percentComplete, 50);
+    assert.equal(progress.reached, false);
+    assert.deepEqual(progress.lastRecordedAt, entry(10, 205).recordedAt);
+    assert.equal(progress.entryCount, 2);
+  });
+
+  describe('decreasing goals', () => {
+    it('infers the direction and counts progress downwards', () => {
+      const goal = { targetValue: 180, unit: 'lb', baselineValue: 200 };
+      const progress = computeGoalProgress(goal, [entry(0, 195), entry(10, 190)], { now });
+
+      assert.equal(progress.direction, 'decrease');
+      assert.equal(progress.percentComplete, 50);
+      assert.equal(progress.remaining, 10);
+      // Losing 0.5 lb a day, 20 more days from the latest entry
+      assert.equal(progress.projectedDate, '2025-03-31');
+    });
+
+    it('is reached at or below the target', () => {
+      const progress = computeGoalProgress({ targetValue: 180, direction: 'decrease' }, [entry(0, 190), entry(10, 179)], { now });
+
+      assert.equal(progress.reached, true);
+      assert.equal(progress.percentComplete, 100);
+      assert.equal(progress.remaining, 0);
+      assert.equal(progress.onTrack, true);
+    });
+
+    it('has no baseline or current value before the first entry', () => {
+      const progress = computeGoalProgress({ targetValue: 180, direction: 'decrease' }, [], { now });
+
+      assert.equal(progress.baseline, null);
+      assert.equal(progress.current, null);
+      assert.equal(progress.remaining, null);
+      assert.equal(progress.percentComplete, 0);
+      assert.equal(progress.reached, false);
+    });
+  });
+
+  describe('missing baseline', () => {
+    it('starts from the first entry', () => {
+      const progress = computeGoalProgress({ targetValue: 30 }, [entry(10, 20), entry(0, 10)], { now });
+
+      assert.equal(progress.baseline, 10);
+      assert.equal(progress.percentComplete, 50);
+    });
+
+    it('uses the first entry passed separately when only the latest entries are loaded', () => {
+      const latest = [entry(8, 16), entry(10, 20)];
+      const progress = computeGoalProgress({ targetValue: 30 }, latest, { firstEntry: entry(0, 0), entryCount: 11, now });
+
+      assert.equal(progress.baseline, 0);
+      assert.equal(progress.percentComplete, 67);
+      assert.equal(progress.entryCount, 11);
+    });
+
+    it('prefers an explicit baseline over the first entry', () => {
+      const progress = computeGoalProgress({ targetValue: 30, baselineValue: 5 }, [entry(10, 20)], { firstEntry: entry(0, 10), now });
+      assert.equal(progress.baseline, 5);
+    });
+
+    it('starts an increasing goal without entries at 0', () => {
+      const progress = computeGoalProgress({ targetValue: 10 }, [], { now });
+
+      assert.equal(progress.baseline, 0);
+      assert.equal(progress.current, 0);
+      assert.equal(progress.remaining, 10);
+      assert.equal(progress.lastRecordedAt, null);
+    });
+  });
+
+  describe('projection', () => {
+    const goal = { targetValue: 30, deadline: '2025-04-30' };
+
+    it('projects from now when the latest entry is older', () => {
+      const later = new Date(start + 15 * DAY_MS);
+      const progress = computeGoalProgress(goal, [entry(0, 10), entry(10, 20)], { now: later });
+
+      // 10 more units at 1 a day, counted from now (day 15)
+      assert.equal(progress.projectedDate, '2025-03-26');
+      assert.equal(progress.onTrack, true);
+    });
+
+    it('is off track when the projection misses the deadline', () => {
+      const progress = computeGoalProgress({ ...goal, deadline: '2025-03-15' }, [entry(0, 10), entry(10, 20)], { now });
+
+      assert.equal(progress.projectedDate, '2025-03-21');
+      assert.equal(progress.onTrack, false);
+    });
+
+    it('is off track when moving away from the target', () => {
+      const progress = computeGoalProgress(goal, [entry(0, 20), entry(10, 15)], { now });
+
+      assert.equal(progress.projectedDate, null);
+      assert.equal(progress.percentComplete, 0);
+      assert.equal(progress.onTrack, false);
+    });
+
+    it('has no projection or verdict for entries less than a day apart', () => {
+      const progress = computeGoalProgress(goal, [entry(10, 10), entry(10.2, 20)], { now });
+
+      assert.equal(progress.projectedDate, null);
+      assert.equal(progress.onTrack, null);
+    });
+
+    it('has no verdict without a deadline', () => {
+      const progress = computeGoalProgress({ targetValue: 30 }, [entry(0, 20), entry(10, 15)], { now });
+      assert.equal(progress.onTrack, null);
+    });
+
+    it('drops projections more than five years out', () => {
+      // 1 unit a day from the latest entry (day 10, 2025-03-11)
+      const entries = [entry(0, 0), entry(10, 10)];
+      const atLimit = computeGoalProgress({ targetValue: 10 + 5 * 365 }, entries, { now });
+      const beyond = computeGoalProgress({ targetValue: 11 + 5 * 365, deadline: '2040-01-01' }, entries, { now });
+
+      assert.equal(atLimit.projectedDate, '2030-03-10');
+      assert.equal(beyond.projectedDate, null);
+      assert.equal(beyond.onTrack, false);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * ============================================================================
+ * History Window Tests
+ * ============================================================================
+ *
+ * Prompt budget packing and the batches older messages are folded into the
+ * running summary in. Data access and the model call are passed in as fakes,
+ * so no database or provider is needed.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/historyWindow.test.js
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  estimateTokens,
+  getPromptTokenBudget,
+  formatSummaryForPrompt,
+  packConversationHistory,
+  foldIntoSummary,
+  SUMMARY_KEEP_RECENT,
+  SUMMARY_MIN_MESSAGES,
+  SUMMARY_BATCH_SIZE,
+} from '../LLM/historyWindow.js';
+
+/**
+ * History message costing `tokens` estimated tokens
+ */
+const turn = (name, tokens) => ({ role: 'user', content: name.padEnd(tokens * 4, '.') });
+
+const savedBudget = process.env.CHAT_PROMPT_TOKEN_BUDGET;
+afterEach(() => {
+  if (savedBudget === undefined) delete process.env.CHAT_PROMPT_TOKEN_BUDGET;
+  else process.env.CHAT_PROMPT_TOKEN_BUDGET = savedBudget;
+});
+
+describe('prompt budget', () => {
+  it('estimates about four characters per token, rounding up', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens(null), 0);
+    assert.equal(estimateTokens('abcd'), 1);
+    assert.equal(estimateTokens('abcde'), 2);
+  });
+
+  it('reads the budget from CHAT_PROMPT_TOKEN_BUDGET, ignoring invalid values', () => {
+    process.env.CHAT_PROMPT_TOKEN_BUDGET = '1200';
+    assert.equal(getPromptTokenBudget(), 1200);
+
+    for (const value of ['0', '-5', 'lots']) {
+      process.env.CHAT_PROMPT_TOKEN_BUDGET = value;
+      assert.equal(getPromptTokenBudget(), 3000, value);
+    }
+
+    delete process.env.CHAT_PROMPT_TOKEN_BUDGET;
+    assert.equal(getPromptTokenBudget(), 3000);
+  });
+
+  it('formats the summary only when there is one', () => {
+    assert.equal(formatSummaryForPrompt(null), '');
+    assert.equal(formatSummaryForPrompt({ summary: null }), '');
+    assert.equal(
+      formatSummaryForPrompt({ summary: 'Training for a 10k.' }),
+      'Summary of earlier messages in this conversation:\nTraining for a 10k.\n'
+    );
+  });
+});
+
+describe('packConversationHistory', () => {
+  // System prompt and user message cost 10 tokens together
+  const prompt = (history) => ({ systemPrompt: 'x'.repeat(32), history, userMessage: 'y'.repeat(8) });
+  const history = [turn('a', 30), turn('b', 20), turn('c', 20), turn('d', 10)];
+
+  it('keeps everything that fits', () => {
+    assert.deepEqual(packConversationHistory(prompt(history), 1000), { history, dropped: 0, estimatedTokens: 90 });
+  });
+
+  it('keeps a message that fills the budget exactly', () => {
+    const packed = packConversationHistory(prompt(history), 60);
+
+    assert.deepEqual(packed.history, history.slice(1));
+    assert.equal(packed.dropped, 1);
+    assert.equal(packed.estimatedTokens, 60);
+  });
+
+  it('drops the oldest messages once the budget is exceeded', () => {
+    const packed = packConversationHistory(prompt(history), 59);
+
+    assert.deepEqual(packed.history, history.slice(2));
+    assert.equal(packed.estimatedTokens, 40);
+  });
+
+  it('never skips a message to fit an older, smaller one', () => {
+    const packed = packConversationHistory(prompt([turn('small', 1), turn('large', 50), turn('latest', 5)]), 30);
+
+    assert.deepEqual(packed.history.map((message) => message.content[0]), ['l']);
+    assert.equal(packed.dropped, 2);
+  });
+
+  it('always sends the system prompt and the user message', () => {
+    assert.deepEqual(packConversationHistory(prompt(history), 5), { history: [], dropped: 4, estimatedTokens: 10 });
+    assert.deepEqual(packConversationHistory(prompt([]), 5), { history: [], dropped: 0, estimatedTokens: 10 });
+  });
+
+  it('uses CHAT_PROMPT_TOKEN_BUDGET by default', () => {
+    process.env.CHAT_PROMPT_TOKEN_BUDGET = '40';
+    assert.equal(packConversationHistory(prompt(history)).history.length, 2);
+  });
+});
+
+describe('foldIntoSummary', () => {
+  /**
+   * Fake data access over `count` messages created at 1, 2, 3, ...
+   * Records every summarize and save call.
+   */
+  const thread = (count) => {
+    const messages = Array.from({ length: count }, (_, index) => ({ text: `m${index + 1}`, createdAt: index + 1 }));
+    const calls = { loads: [], batches: [], saves: [] };
+
+    const io = {
+      loadMessages: async (after, limit) => {
+        calls.loads.push({ after, limit });
+        return messages.filter((message) => after === null || message.createdAt > after).slice(0, limit);
+      },
+      summarize: async (summary, batch) => {
+        calls.batches.push(batch.map((message) => message.createdAt));
+        return `${summary || ''}[${batch[0].createdAt}-${batch.at(-1).createdAt}]`;
+      },
+      save: async (update) => {
+        calls.saves.push(update);
+      },
+    };
+
+    return { io, calls };
+  };
+
+  const range = (from, to) => Array.from({ length: to - from + 1 }, (_, index) => from + index);
+  const fresh = { summary: null, summarizedUntil: null };
+
+  it('uses the documented batch sizes', () => {
+    assert.equal(SUMMARY_KEEP_RECENT, 10);
+    assert.equal(SUMMARY_MIN_MESSAGES, 10);
+    assert.equal(SUMMARY_BATCH_SIZE, 40);
+  });
+
+  it('waits until enough older messages have piled up', async () => {
+    const { io, calls } = thread(SUMMARY_KEEP_RECENT + SUMMARY_MIN_MESSAGES - 1);
+
+    assert.deepEqual(await foldIntoSummary(fresh, io), { summarized: 0 });
+    assert.deepEqual(calls.batches, []);
+    assert.deepEqual(calls.saves, []);
+  });
+
+  it('folds the older messages and keeps the recent ones out', async () => {
+    const { io, calls } = thread(SUMMARY_KEEP_RECENT + SUMMARY_MIN_MESSAGES);
+
+    assert.deepEqual(await foldIntoSummary(fresh, io), { summarized: 10 });
+    assert.deepEqual(calls.batches, [range(1, 10)]);
+    assert.deepEqual(calls.saves, [{ summary: '[1-10]', summarizedUntil: 10 }]);
+  });
+
+  it('loads one more page after a full one, and stops when it has too little', async () => {
+    const { io, calls } = thread(SUMMARY_BATCH_SIZE + SUMMARY_KEEP_RECENT);
+
+    assert.deepEqual(await foldIntoSummary(fresh, io), { summarized: 40 });
+    assert.deepEqual(calls.batches, [range(1, 40)]);
+    assert.deepEqual(calls.loads, [{ after: null, limit: 50 }, { after: 40, limit: 50 }]);
+  });
+
+  it('folds long threads in batches, each continuing from the last', async () => {
+    const { io, calls } = thread(100);
+
+    assert.deepEqual(await foldIntoSummary(fresh, io), { summarized: 90 });
+    assert.deepEqual(calls.batches, [range(1, 40), range(41, 80), range(81, 90)]);
+    assert.deepEqual(calls.saves.map((save) => save.summarizedUntil), [40, 80, 90]);
+    assert.equal(calls.saves.at(-1).summary, '[1-40][41-80][81-90]');
+  });
+
+  it('leaves a batch that is too small for the next run', async () => {
+    const { io, calls } = thread(55);
+
+    assert.deepEqual(await foldIntoSummary(fresh, io), { summarized: 40 });
+    assert.deepEqual(calls.batches, [range(1, 40)]);
+  });
+
+  it('continues after the existing summary', async () => {
+    const { io, calls } = thread(40);
+
+    assert.deepEqual(await foldIntoSummary({ summary: 'Earlier.', summarizedUntil: 15 }, io), { summarized: 15 });
+    assert.deepEqual(calls.loads[0], { after: 15, limit: 50 });
+    assert.deepEqual(calls.saves, [{ summary: 'Earlier.[16-30]', summarizedUntil: 30 }]);
+  });
+
+  it('keeps the batches saved before a failure', async () => {
+    const { io, calls } = thread(100);
+    const summarize = io.summarize;
+    io.summarize = async (summary, batch) => {
+      if (calls.batches.length === 1) throw new Error('model unavailable');
+      return summarize(summary, batch);
+    };
+
+    await assert.rejects(foldIntoSummary(fresh, io), /model unavailable/);
+    assert.deepEqual(calls.saves, [{ summary: '[1-40]', summarizedUntil: 40 }]);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * ============================================================================
+ * iCalendar Serialization Tests
+ * ============================================================================
+ *
+ * Export/import round-trips, line folding and escaping, and the UID handling
+ * that keeps repeated imports from creating duplicates. Pure functions only,
+ * no database needed.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/ical.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { serializeCalendar, parseCalendar, eventUid, UID_DOMAIN } from '../calendar/ical.js';
+
+const now = new Date('2025-01-01T12:00:00.000Z');
+
+/**
+ * Wrap VEVENT lines in a calendar document
+ */
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+describe('serializeCalendar', () => {
+  it('writes timed and all-day events', () => {
+    const ics = serializeCalendar([
+      { id: 'e1', title: 'Leg day', type: 'workout', date: '2025-01-06T00:00:00.000Z', time: '7:30' },
+      { id: 'e2', title: 'Rest', date: '2025-01-07' },
+    ], { name: 'Training', now });
+    const lines = ics.split('\r\n');
+
+    assert.ok(ics.endsWith('\r\n'));
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(lines.includes('X-WR-CALNAME:Training'));
+    assert.ok(lines.includes(`UID:e1@${UID_DOMAIN}`));
+    assert.ok(lines.includes('DTSTAMP:20250101T120000Z'));
+    assert.ok(lines.includes('DTSTART:20250106T073000'));
+    assert.ok(lines.includes('CATEGORIES:WORKOUT'));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20250107'));
+  });
+
+  it('leaves out events without a date', () => {
+    const ics = serializeCalendar([{ id: 'e1', title: 'Someday' }], { now });
+    assert.ok(!ics.includes('BEGIN:VEVENT'));
+  });
+
+  it('folds long lines to 75 octets without splitting characters', () => {
+    const title = 'Intervals 🏃 '.repeat(12);
+    const ics = serializeCalendar([{ id: 'e1', title, date: '2025-01-06' }], { now });
+
+    for (const line of ics.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line) <= 75, `line too long: ${line}`);
+    }
+    assert.equal(parseCalendar(ics).events[0].title, title.trim());
+  });
+
+  it('writes cancelled occurrences as EXDATE and moved ones as RECURRENCE-ID events', () => {
+    const ics = serializeCalendar([{
+      id: 'e1',
+      title: 'Run',
+      date: '2025-01-06',
+      time: '07:00',
+      rrule: 'FREQ=WEEKLY;BYDAY=MO',
+      exdates: ['2025-01-20'],
+      overrides: [
+        { originalDate: '2025-01-13', cancelled: true },
+        { originalDate: '2025-01-27', date: '2025-01-28', time: '18:00' },
+      ],
+    }], { now });
+    const lines = ics.split('\r\n');
+
+    assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=MO'));
+    assert.ok(lines.includes('EXDATE:20250113T070000,20250120T070000'));
+    assert.ok(lines.includes('RECURRENCE-ID:20250127T070000'));
+    assert.ok(lines.includes('DTSTART:20250128T180000'));
+    assert.equal(lines.filter((line) => line === `UID:e1@${UID_DOMAIN}`).length, 2);
+  });
+});
+
+describe('parseCalendar', () => {
+  it('rejects text that is not an iCalendar document', () => {
+    assert.throws(() => parseCalendar('hello'), /Not an iCalendar file/);
+    assert.throws(() => parseCalendar(''), /Not an iCalendar file/);
+  });
+
+  it('round-trips exported events, including recurrence and overrides', () => {
+    const events = [
+      {
+        id: 'e1',
+        title: 'Run; easy, then strides',
+        description: 'Warm up\nCool down \\ stretch',
+        type: 'workout',
+        date: '2025-01-06',
+        time: '07:00',
+        rrule: 'FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250331',
+        exdates: ['2025-01-08'],
+        overrides: [
+          { originalDate: '2025-01-13', cancelled: true },
+          { originalDate: '2025-01-15', date: '2025-01-16', time: '18:00', title: 'Evening run' },
+        ],
+      },
+      { id: 'e2', uid: 'abc@other-app.com', title: 'Physio', type: 'appointment', date: '2025-01-09' },
+    ];
+
+    const { events: parsed, skipped } = parseCalendar(serializeCalendar(events, { now }));
+
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(parsed, [
+      {
+        uid: `e1@${UID_DOMAIN}`,
+        title: 'Run; easy, then strides',
+        description: 'Warm up\nCool down \\ stretch',
+        date: '2025-01-06',
+        time: '07:00',
+        type: 'workout',
+        rrule: 'FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250331',
+        exdates: ['2025-01-08', '2025-01-13'],
+        overrides: [{
+          originalDate: '2025-01-15',
+          cancelled: false,
+          date: '2025-01-16',
+          time: '18:00',
+          title: 'Evening run',
+          description: null,
+        }],
+      },
+      {
+        uid: 'abc@other-app.com',
+        title: 'Physio',
+        description: null,
+        date: '2025-01-09',
+        time: null,
+        type: 'appointment',
+        overrides: [],
+      },
+    ]);
+  });
+
+  it('returns the UIDs the import compares against stored events', () => {
+    const stored = [{ id: 'e1', title: 'Run', date: '2025-01-06' }, { id: 'e2', uid: 'x@y', title: 'Swim', date: '2025-01-07' }];
+    const { events } = parseCalendar(serializeCalendar(stored, { now }));
+
+    // POST /api/calendar/import skips entries whose UID matches eventUid of a stored event
+    assert.deepEqual(events.map((event) => event.uid), stored.map(eventUid));
+  });
+
+  it('keeps the first event of a duplicated UID and reports the rest', () => {
+    const { events, skipped } = parseCalendar(calendar(
+      'BEGIN:VEVENT', 'UID:dup', 'DTSTART;VALUE=DATE:20250106', 'SUMMARY:First', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:dup', 'DTSTART;VALUE=DATE:20250107', 'SUMMARY:Second', 'END:VEVENT',
+    ));
+
+    assert.deepEqual(events.map((event) => event.title), ['First']);
+    assert.deepEqual(skipped, [{ uid: 'dup', summary: 'Second', reason: 'Duplicate UID in file' }]);
+  });
+
+  it('attaches RECURRENCE-ID events to their series whatever the order', () => {
+    const { events, skipped } = parseCalendar(calendar(
+      'BEGIN:VEVENT', 'UID:s1', 'RECURRENCE-ID:20250113T070000', 'DTSTART:20250113T090000', 'SUMMARY:Run', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:s1', 'DTSTART:20250106T070000', 'RRULE:FREQ=WEEKLY', 'SUMMARY:Run', 'END:VEVENT',
+    ));
+
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(events[0].overrides, [{
+      originalDate: '2025-01-13', cancelled: false, date: null, time: '09:00', title: null, description: null,
+    }]);
+  });
+
+  it('reports occurrences without a recurring series', () => {
+    const { events, skipped } = parseCalendar(calendar(
+      'BEGIN:VEVENT', 'UID:single', 'DTSTART;VALUE=DATE:20250106', 'SUMMARY:Once', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:single', 'RECURRENCE-ID;VALUE=DATE:20250106', 'DTSTART;VALUE=DATE:20250107', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:orphan', 'RECURRENCE-ID;VALUE=DATE:20250106', 'DTSTART;VALUE=DATE:20250107', 'END:VEVENT',
+    ));
+
+    assert.equal(events.length, 1);
+    assert.deepEqual(skipped.map((item) => item.uid), ['single', 'orphan']);
+    assert.match(skipped[0].reason, /has no recurring event with this UID/);
+  });
+
+  it('skips invalid and cancelled events with a reason', () => {
+    const { events, skipped } = parseCalendar(calendar(
+      'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250106', 'SUMMARY:No UID', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:u2', 'SUMMARY:No start', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:u3', 'DTSTART:2025-01-06', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:u4', 'DTSTART;VALUE=DATE:20250106', 'RRULE:FREQ=HOURLY', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:u5', 'DTSTART;VALUE=DATE:20250106', 'STATUS:CANCELLED', 'END:VEVENT',
+    ));
+
+    assert.deepEqual(events, []);
+    assert.deepEqual(skipped.map((item) => [item.uid, item.reason.split(' ')[0]]), [
+      [null, 'Missing'],
+      ['u2', 'Missing'],
+      ['u3', 'Unsupported'],
+      ['u4', 'Unsupported'],
+      ['u5', 'Event'],
+    ]);
+  });
+
+  it('unfolds lines, ignores other components and reads quoted parameters', () => {
+    const { events } = parseCalendar(calendar(
+      'BEGIN:VTIMEZONE', 'TZID:Europe/Berlin', 'BEGIN:STANDARD', 'DTSTART:19701025T030000', 'END:STANDARD', 'END:VTIMEZONE',
+      'BEGIN:VEVENT',
+      'UID:u1',
+      'DTSTART;TZID="Europe/Berlin":20250106T183000',
+      'SUMMARY:Spin',
+      '  class',
+      'CATEGORIES:CLASS,FITNESS',
+      'BEGIN:VALARM', 'TRIGGER:-PT15M', 'END:VALARM',
+      'END:VEVENT',
+    ));
+
+    assert.deepEqual(
+      events.map(({ uid, title, date, time, type }) => ({ uid, title, date, time, type })),
+      [{ uid: 'u1', title: 'Spin class', date: '2025-01-06', time: '18:30', type: 'class' }]
+    );
+  });
+
+  it('falls back to a generic type and title', () => {
+    const { events } = parseCalendar(calendar(
+      'BEGIN:VEVENT', 'UID:u1', 'DTSTART;VALUE=DATE:20250106', 'CATEGORIES:PARTY', 'END:VEVENT',
+    ));
+
+    assert.equal(events[0].type, 'event');
+    assert.equal(events[0].title, 'Untitled event');
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * ============================================================================
+ * Interval Job Tests
+ * ============================================================================
+ *
+ * Start/stop, the overlap guard, failure handling and the environment
+ * switches shared by every background scheduler.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/intervalJob.test.js
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createIntervalJob } from '../jobs/intervalJob.js';
+
+const DISABLED_BY = 'INTERVAL_JOB_TEST_SCHEDULER';
+const INTERVAL_VARIABLE = 'INTERVAL_JOB_TEST_INTERVAL_MS';
+
+describe('createIntervalJob', () => {
+  let job;
+
+  /**
+   * Job with the test variables and a run function
+   */
+  const createJob = (run, defaultIntervalMs = 60000) => {
+    job = createIntervalJob({
+      name: 'Test job',
+      run,
+      disabledBy: DISABLED_BY,
+      intervalVariable: INTERVAL_VARIABLE,
+      defaultIntervalMs,
+      startedMessage: (interval) => `started every ${interval}ms`,
+    });
+    return job;
+  };
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    job?.stop();
+    delete process.env[DISABLED_BY];
+    delete process.env[INTERVAL_VARIABLE];
+    mock.restoreAll();
+  });
+
+  it('runs right away and then on every interval', async () => {
+    let runs = 0;
+    createJob(async () => { runs++; }).start({ intervalMs: 10 });
+
+    assert.equal(runs, 1);
+    await sleep(55);
+    assert.ok(runs >= 2, `ran ${runs} times`);
+  });
+
+  it('logs the interval it uses', () => {
+    process.env[INTERVAL_VARIABLE] = '1234';
+    createJob(async () => {}).start();
+
+    assert.equal(console.log.mock.calls[0].arguments[0], 'started every 1234ms');
+  });
+
+  it('falls back to the default interval', () => {
+    process.env[INTERVAL_VARIABLE] = 'soon';
+    createJob(async () => {}, 5000).start();
+
+    assert.equal(console.log.mock.calls[0].arguments[0], 'started every 5000ms');
+  });
+
+  it('skips runs while the previous one is in progress', async () => {
+    let runs = 0;
+    let active = 0;
+    let overlapped = false;
+    createJob(async () => {
+      runs++;
+      active++;
+      overlapped ||= active > 1;
+      await sleep(40);
+      active--;
+    }).start({ intervalMs: 5 });
+
+    await sleep(60);
+    assert.equal(overlapped, false);
+    assert.ok(runs <= 2, `ran ${runs} times`);
+  });
+
+  it('keeps running after a failed run', async () => {
+    let runs = 0;
+    createJob(async () => {
+      runs++;
+      throw new Error('database unavailable');
+    }).start({ intervalMs: 10 });
+
+    await sleep(35);
+    assert.ok(runs >= 2, `ran ${runs} times`);
+    assert.equal(console.error.mock.calls[0].arguments[0], 'Test job run failed:');
+  });
+
+  it('starts only once', () => {
+    let runs = 0;
+    createJob(async () => { runs++; });
+    job.start();
+    job.start();
+
+    assert.equal(runs, 1);
+    assert.equal(console.log.mock.callCount(), 1);
+  });
+
+  it('does not start when disabled', () => {
+    process.env[DISABLED_BY] = 'off';
+    let runs = 0;
+    createJob(async () => { runs++; }).start({ intervalMs: 10 });
+
+    assert.equal(runs, 0);
+    assert.equal(console.log.mock.callCount(), 0);
+  });
+
+  it('stops running, and can be started again', async () => {
+    let runs = 0;
+    createJob(async () => { runs++; }).start({ intervalMs: 10 });
+    job.stop();
+
+    await sleep(30);
+    assert.equal(runs, 1);
+
+    job.start({ intervalMs: 10 });
+    assert.equal(runs, 2);
+  });
+});
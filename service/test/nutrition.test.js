@@ -0,0 +1,217 @@
+/**
+ * ============================================================================
+ * Nutrition Tests
+ * ============================================================================
+ *
+ * Macro target math, daily intake totals and the local food search. Pure
+ * functions only, no database needed.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/nutrition.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { activityFactor, nutritionGoalOf, computeMacroTargets } from '../nutrition/targets.js';
+import { sumEntries, summarizeIntake, formatIntakeForPrompt } from '../nutrition/totals.js';
+import { FOODS, getFood, searchFoods, foodEntryFor } from '../nutrition/foods.js';
+
+const profile = { sex: 'male', age: 30, heightCm: 180, weightKg: 80 };
+
+describe('computeMacroTargets', () => {
+  it('lists the fields it still needs', () => {
+    assert.deepEqual(computeMacroTargets(), { targets: null, missing: ['sex', 'age', 'heightCm', 'weightKg'] });
+    assert.deepEqual(computeMacroTargets({ ...profile, age: null, weightKg: undefined }).missing, ['age', 'weightKg']);
+  });
+
+  it('computes a deficit for weight loss', () => {
+    // BMR 1780 kcal x 1.55 (4 training days) x 0.8
+    assert.deepEqual(computeMacroTargets({ ...profile, availableDays: ['Mon', 'Tue', 'Thu', 'Fri'], nutritionGoal: 'lose' }), {
+      targets: { calories: 2210, protein: 160, carbs: 255, fat: 61, goal: 'lose', bmr: 1780, activityFactor: 1.55 },
+      missing: [],
+    });
+  });
+
+  it('computes maintenance with the female BMR formula', () => {
+    // BMR 1345.25 kcal x 1.2 (no training days)
+    assert.deepEqual(computeMacroTargets({ sex: 'female', age: 25, heightCm: 165, weightKg: 60 }).targets, {
+      calories: 1610, protein: 96, carbs: 205, fat: 45, goal: 'maintain', bmr: 1345, activityFactor: 1.2,
+    });
+  });
+
+  it('computes a surplus for gaining', () => {
+    const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    assert.deepEqual(computeMacroTargets({ ...profile, availableDays: days, nutritionGoal: 'gain' }).targets, {
+      calories: 3380, protein: 144, carbs: 490, fat: 94, goal: 'gain', bmr: 1780, activityFactor: 1.725,
+    });
+  });
+
+  it('adds up to the calorie target', () => {
+    const { targets } = computeMacroTargets({ ...profile, nutritionGoal: 'lose' });
+    const fromMacros = targets.protein * 4 + targets.carbs * 4 + targets.fat * 9;
+
+    assert.ok(Math.abs(fromMacros - targets.calories) <= 9, `${fromMacros} vs ${targets.calories}`);
+  });
+
+  it('never sets negative carbs', () => {
+    const { targets } = computeMacroTargets({ sex: 'male', age: 100, heightCm: 100, weightKg: 300, nutritionGoal: 'lose' });
+    assert.equal(targets.carbs, 0);
+  });
+});
+
+describe('activityFactor', () => {
+  it('scales with training days', () => {
+    assert.deepEqual([0, 1, 2, 3, 5, 6, 7].map((count) => activityFactor(Array(count).fill('day'))), [
+      1.2, 1.375, 1.375, 1.55, 1.55, 1.725, 1.725,
+    ]);
+  });
+
+  it('treats missing or malformed days as none', () => {
+    assert.equal(activityFactor(), 1.2);
+    assert.equal(activityFactor('Mon,Wed'), 1.2);
+  });
+});
+
+describe('nutritionGoalOf', () => {
+  it('prefers an explicit nutrition goal', () => {
+    assert.equal(nutritionGoalOf({ nutritionGoal: 'gain', goals: ['lose 10 lbs'] }), 'gain');
+  });
+
+  it('guesses the goal from free-text goals', () => {
+    assert.equal(nutritionGoalOf({ goals: ['Lose 10 lbs by summer'] }), 'lose');
+    assert.equal(nutritionGoalOf({ goals: ['Get leaner'] }), 'lose');
+    assert.equal(nutritionGoalOf({ goals: ['Build muscle'] }), 'gain');
+    assert.equal(nutritionGoalOf({ goals: ['Run a marathon'] }), 'maintain');
+    assert.equal(nutritionGoalOf({}), 'maintain');
+  });
+
+  it('treats goals pointing both ways as recomposition', () => {
+    assert.equal(nutritionGoalOf({ goals: ['Lose fat', 'build muscle'] }), 'maintain');
+  });
+
+  it('ignores unknown nutrition goals', () => {
+    assert.equal(nutritionGoalOf({ nutritionGoal: 'bulk', goals: ['cut'] }), 'lose');
+  });
+});
+
+describe('intake totals', () => {
+  const breakfast = {
+    id: 'meal1',
+    entries: [
+      { calories: 150.4, protein: 5.04, carbs: 27, fat: 3 },
+      { calories: 105, protein: 1.3, carbs: 27, fat: 0.4 },
+    ],
+  };
+  const lunch = { id: 'meal2', entries: [{ calories: 330, protein: 62, carbs: null, fat: 7.2 }] };
+  const targets = { calories: 2210, protein: 160, carbs: 255, fat: 61, goal: 'lose' };
+
+  it('adds up entries, rounding calories to whole numbers and grams to one decimal', () => {
+    assert.deepEqual(sumEntries(breakfast.entries), { calories: 255, protein: 6.3, carbs: 54, fat: 3.4 });
+    assert.deepEqual(sumEntries([]), { calories: 0, protein: 0, carbs: 0, fat: 0 });
+    assert.deepEqual(sumEntries(), { calories: 0, protein: 0, carbs: 0, fat: 0 });
+  });
+
+  it('totals the day and each meal and shows what is left', () => {
+    const intake = summarizeIntake({ date: '2025-01-06', timeZone: 'UTC', meals: [breakfast, lunch], targets, missing: [] });
+
+    assert.deepEqual(intake.totals, { calories: 585, protein: 68.3, carbs: 54, fat: 10.6 });
+    assert.deepEqual(intake.meals.map((meal) => meal.totals.calories), [255, 330]);
+    assert.equal(intake.meals[0].id, 'meal1');
+    assert.deepEqual(intake.remaining, { calories: 1625, protein: 91.7, carbs: 201, fat: 50.4 });
+  });
+
+  it('shows a macro over target as negative remaining', () => {
+    const intake = summarizeIntake({ date: '2025-01-06', timeZone: 'UTC', meals: [lunch], targets: { ...targets, protein: 50 }, missing: [] });
+    assert.equal(intake.remaining.protein, -12);
+  });
+
+  it('has no remaining amounts without targets', () => {
+    const intake = summarizeIntake({ date: '2025-01-06', timeZone: 'UTC', meals: [lunch], targets: null, missing: ['age'] });
+
+    assert.equal(intake.remaining, null);
+    assert.deepEqual(intake.missing, ['age']);
+  });
+
+  it('formats the day for the prompt', () => {
+    const intake = summarizeIntake({ date: '2025-01-06', timeZone: 'UTC', meals: [breakfast, lunch], targets, missing: [] });
+
+    assert.equal(
+      formatIntakeForPrompt(intake),
+      'Nutrition today (2025-01-06, 2 meals logged): 585/2210 kcal, protein 68.3/160g, carbs 54/255g, fat 10.6/61g ' +
+        '(targets for goal "lose")\n'
+    );
+  });
+
+  it('formats a day without targets or meals', () => {
+    const withoutTargets = summarizeIntake({ date: '2025-01-06', timeZone: 'UTC', meals: [lunch], targets: null, missing: ['age'] });
+    const empty = summarizeIntake({ date: '2025-01-06', timeZone: 'UTC', meals: [], targets, missing: [] });
+
+    assert.equal(
+      formatIntakeForPrompt(withoutTargets),
+      'Nutrition today (2025-01-06, 1 meal logged): 330 kcal, protein 62g, carbs 0g, fat 7.2g\n'
+    );
+    assert.match(formatIntakeForPrompt(empty), /nothing logged yet\): 0\/2210 kcal/);
+    assert.equal(formatIntakeForPrompt({ ...empty, targets: null }), '');
+  });
+});
+
+describe('foods', () => {
+  it('has unique IDs and complete macros', () => {
+    assert.equal(new Set(FOODS.map((food) => food.id)).size, FOODS.length);
+    for (const food of FOODS) {
+      for (const macro of ['calories', 'protein', 'carbs', 'fat']) {
+        assert.equal(typeof food[macro], 'number', `${food.id}.${macro}`);
+      }
+    }
+  });
+
+  it('looks foods up by ID', () => {
+    assert.equal(getFood('banana').name, 'Banana');
+    assert.equal(getFood('unknown'), null);
+  });
+
+  it('matches every word of the query, in any order and case', () => {
+    assert.deepEqual(searchFoods('RICE brown').map((food) => food.id), ['brown-rice']);
+    assert.deepEqual(searchFoods('chicken').map((food) => food.id), ['chicken-breast', 'chicken-thigh']);
+    assert.deepEqual(searchFoods('pizza steak'), []);
+  });
+
+  it('puts names starting with the query first', () => {
+    const ids = searchFoods('rice').map((food) => food.id);
+
+    assert.equal(ids[0], 'rice-cake');
+    assert.deepEqual([...ids].sort(), ['brown-rice', 'rice-cake', 'white-rice']);
+  });
+
+  it('returns the first foods for an empty query and honours the limit', () => {
+    assert.deepEqual(searchFoods('   ', 3), FOODS.slice(0, 3));
+    assert.equal(searchFoods().length, 20);
+    assert.equal(searchFoods('e', 5).length, 5);
+  });
+
+  it('scales a food to the servings eaten', () => {
+    assert.deepEqual(foodEntryFor(getFood('egg'), 3), {
+      name: 'Egg',
+      foodId: 'egg',
+      servings: 3,
+      servingSize: '1 large',
+      calories: 216,
+      protein: 18.9,
+      carbs: 1.2,
+      fat: 14.4,
+    });
+    assert.deepEqual(foodEntryFor(getFood('peanut-butter'), 0.5), {
+      name: 'Peanut butter',
+      foodId: 'peanut-butter',
+      servings: 0.5,
+      servingSize: '2 tbsp (32 g)',
+      calories: 95,
+      protein: 3.5,
+      carbs: 3.5,
+      fat: 8,
+    });
+    assert.equal(foodEntryFor(getFood('banana')).servings, 1);
+  });
+});
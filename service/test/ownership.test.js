@@ -0,0 +1,315 @@
+/**
+ * ============================================================================
+ * Ownership Integration Tests
+ * ============================================================================
+ *
+ * Boots the Express app against a real database, registers two users and
+ * checks that neither can read or modify the other's data, while an admin can.
+ *
+ * Requirements:
+ * - TEST_DATABASE_URL: Disposable PostgreSQL database with the current schema
+ *   (the suite is skipped when it is not set)
+ * - A generated Prisma client (npx prisma generate)
+ *
+ * Usage:
+ * $ DATABASE_URL=postgresql://... pnpm --filter service exec prisma db push
+ * $ TEST_DATABASE_URL=postgresql://... pnpm --filter service test
+ *
+ * @module service/test/ownership.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+const databaseUrl = process.env.TEST_DATABASE_URL;
+
+describe('cross-user access', { skip: !databaseUrl && 'TEST_DATABASE_URL is not set' }, () => {
+  let server;
+  let baseUrl;
+  let prisma;
+
+  const runId = Date.now().toString(36);
+  const users = {};
+  const records = {};
+
+  /**
+   * Call the API and return { status, body }
+   */
+  const api = async (method, path, { token, body } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  /**
+   * Register a user and return { id, email, token }
+   */
+  const register = async (name) => {
+    const email = `${name}-${runId}@ownership.test`;
+    const { status, body } = await api('POST', '/api/auth/register', {
+      body: { email, password: 'password123', name },
+    });
+    assert.equal(status, 201, `registering ${name} failed: ${JSON.stringify(body)}`);
+    return { id: body.data.user.id, email, token: body.data.token };
+  };
+
+  /**
+   * Create a record as a user and return its ID
+   */
+  const create = async (path, token, body) => {
+    const response = await api('POST', path, { token, body });
+    assert.equal(response.status, 201, `POST ${path} failed: ${JSON.stringify(response.body)}`);
+    return response.body.data.id;
+  };
+
+  before(async () => {
+    process.env.DATABASE_URL = databaseUrl;
+    process.env.JWT_SECRET ||= 'ownership-test-secret';
+    process.env.LLM_PROVIDER = 'scripted';
+
+    ({ default: prisma } = await import('../db/index.js'));
+    const { default: app } = await import('../app.js');
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    users.alice = await register('alice');
+    users.bob = await register('bob');
+
+    // Promote the third user directly, then log in again for a token carrying the role
+    const admin = await register('admin');
+    await prisma.user.update({ where: { id: admin.id }, data: { role: 'admin' } });
+    const login = await api('POST', '/api/auth/login', {
+      body: { email: admin.email, password: 'password123' },
+    });
+    users.admin = { ...admin, token: login.body.data.token };
+
+    const { token } = users.alice;
+    records.goal = await create('/api/goals', token, { text: 'Drink water' });
+    records.event = await create('/api/calendar', token, { title: 'Leg day', date: '2030-01-07' });
+    records.reminder = await create('/api/reminders', token, { title: 'Stretch', dueDate: '2030-01-07T08:00:00Z' });
+    records.message = await create('/api/messages', token, { text: 'Private note' });
+    records.workout = await create('/api/workouts', token, { title: 'Morning lift' });
+    records.activity = await create('/api/activities', token, { type: 'run', distance: 3 });
+
+    const memory = await api('POST', `/api/ai-memory/${users.alice.id}`, {
+      token,
+      body: { summary: 'Training for a 10k' },
+    });
+    assert.equal(memory.status, 200);
+
+    records.plan = await create('/api/training-plans', token, { weeks: 4 });
+    records.conversation = await create('/api/chat/conversations', token, { title: 'Private thread' });
+  });
+
+  after(async () => {
+    server?.close();
+    if (!prisma) return;
+
+    const userIds = Object.values(users).map((user) => user.id);
+    const byUser = { where: { userId: { in: userIds } } };
+
+    // Models without cascading deletes first, the rest cascade with the user
+    await prisma.message.deleteMany(byUser);
+    await prisma.reminder.deleteMany(byUser);
+    await prisma.aIMemory.deleteMany(byUser);
+    await prisma.user.deleteMany({ where: { id: { in: userIds } } });
+    await prisma.$disconnect();
+  });
+
+  // ==========================================================================
+  // Authentication
+  // ==========================================================================
+
+  it('requires a token on user-scoped routes', async () => {
+    const alice = users.alice.id;
+    const paths = [
+      '/api/users',
+      `/api/users/${alice}`,
+      `/api/messages/user/${alice}`,
+      `/api/messages/conversation/${alice}`,
+      `/api/reminders/user/${alice}`,
+      `/api/reminders/upcoming/${alice}`,
+      `/api/ai-memory/${alice}`,
+      `/api/goals/${records.goal}`,
+      `/api/calendar/${records.event}`,
+    ];
+
+    for (const path of paths) {
+      const { status } = await api('GET', path);
+      assert.equal(status, 401, `GET ${path} without a token`);
+    }
+  });
+
+  // ==========================================================================
+  // Cross-User Reads
+  // ==========================================================================
+
+  it("rejects reading another user's data by user ID", async () => {
+    const alice = users.alice.id;
+    const paths = [
+      `/api/users/${alice}`,
+      `/api/users/email/${encodeURIComponent(users.alice.email)}`,
+      `/api/messages/user/${alice}`,
+      `/api/messages/conversation/${alice}`,
+      `/api/reminders/user/${alice}`,
+      `/api/reminders/upcoming/${alice}`,
+      `/api/ai-memory/${alice}`,
+      `/api/ai-memory/${alice}/profile`,
+      `/api/chat/history/${alice}`,
+    ];
+
+    for (const path of paths) {
+      const { status } = await api('GET', path, { token: users.bob.token });
+      assert.equal(status, 403, `GET ${path} as another user`);
+    }
+  });
+
+  it("rejects reading another user's records by record ID", async () => {
+    const paths = [
+      `/api/goals/${records.goal}`,
+      `/api/goals/${records.goal}/history`,
+      `/api/goals/${records.goal}/progress`,
+      `/api/calendar/${records.event}`,
+      `/api/workouts/${records.workout}`,
+      `/api/activities/${records.activity}`,
+      `/api/training-plans/${records.plan}`,
+    ];
+
+    for (const path of paths) {
+      const { status } = await api('GET', path, { token: users.bob.token });
+      assert.equal(status, 403, `GET ${path} as another user`);
+    }
+  });
+
+  it('hides whether an email is registered from non-admins', async () => {
+    const { status } = await api('GET', `/api/users/email/nobody-${runId}@ownership.test`, {
+      token: users.bob.token,
+    });
+    assert.equal(status, 403);
+  });
+
+  // ==========================================================================
+  // Cross-User Writes
+  // ==========================================================================
+
+  it("rejects modifying another user's records", async () => {
+    const { token } = users.bob;
+    const attempts = [
+      ['PUT', `/api/goals/${records.goal}`, { text: 'Hijacked' }],
+      ['POST', `/api/goals/${records.goal}/progress`, { value: 1 }],
+      ['PUT', `/api/calendar/${records.event}`, { title: 'Hijacked' }],
+      ['PUT', `/api/reminders/${records.reminder}`, { title: 'Hijacked' }],
+      ['PATCH', `/api/reminders/${records.reminder}/complete`],
+      ['PUT', `/api/workouts/${records.workout}`, { title: 'Hijacked' }],
+      ['PUT', `/api/activities/${records.activity}`, { notes: 'Hijacked' }],
+      ['POST', `/api/ai-memory/${users.alice.id}`, { summary: 'Hijacked' }],
+      ['PATCH', `/api/ai-memory/${users.alice.id}/preferences`, { tone: 'harsh' }],
+      ['PUT', `/api/ai-memory/${users.alice.id}/profile`, { goals: ['Hijacked'] }],
+      ['POST', `/api/training-plans/${records.plan}/regenerate`, { weeks: 12 }],
+      ['POST', `/api/training-plans/${records.plan}/adapt`],
+      ['POST', '/api/chat', { message: 'Hijacked', conversationId: records.conversation }],
+      ['PATCH', `/api/chat/conversations/${records.conversation}`, { title: 'Hijacked' }],
+      ['PUT', `/api/users/${users.alice.id}`, { name: 'Hijacked' }],
+    ];
+
+    for (const [method, path, body] of attempts) {
+      const { status } = await api(method, path, { token, body });
+      assert.equal(status, 403, `${method} ${path} as another user`);
+    }
+  });
+
+  it("rejects deleting another user's records", async () => {
+    const paths = [
+      `/api/goals/${records.goal}`,
+      `/api/calendar/${records.event}`,
+      `/api/reminders/${records.reminder}`,
+      `/api/messages/${records.message}`,
+      `/api/workouts/${records.workout}`,
+      `/api/activities/${records.activity}`,
+      `/api/training-plans/${records.plan}`,
+      `/api/chat/conversations/${records.conversation}`,
+      `/api/ai-memory/${users.alice.id}`,
+      `/api/users/${users.alice.id}`,
+    ];
+
+    for (const path of paths) {
+      const { status } = await api('DELETE', path, { token: users.bob.token });
+      assert.equal(status, 403, `DELETE ${path} as another user`);
+    }
+  });
+
+  it('rejects creating records on behalf of another user', async () => {
+    const { token } = users.bob;
+    const messages = await api('POST', '/api/messages', {
+      token,
+      body: { text: 'Spoofed', userId: users.alice.id },
+    });
+    assert.equal(messages.status, 403);
+
+    const reminders = await api('POST', '/api/reminders', {
+      token,
+      body: { title: 'Spoofed', dueDate: '2030-01-07T08:00:00Z', userId: users.alice.id },
+    });
+    assert.equal(reminders.status, 403);
+  });
+
+  it('leaves the owner\'s data untouched after rejected attempts', async () => {
+    const { token } = users.alice;
+
+    const goal = await api('GET', `/api/goals/${records.goal}`, { token });
+    assert.equal(goal.status, 200);
+    assert.equal(goal.body.data.text, 'Drink water');
+
+    const memory = await api('GET', `/api/ai-memory/${users.alice.id}`, { token });
+    assert.equal(memory.status, 200);
+    assert.equal(memory.body.data.summary, 'Training for a 10k');
+
+    const messages = await api('GET', `/api/messages/user/${users.alice.id}`, { token });
+    assert.equal(messages.status, 200);
+    assert.deepEqual(messages.body.data.map((message) => message.text), ['Private note']);
+  });
+
+  // ==========================================================================
+  // Admin Role
+  // ==========================================================================
+
+  it('keeps admin-only routes closed to regular users', async () => {
+    const { token } = users.bob;
+
+    const list = await api('GET', '/api/users', { token });
+    assert.equal(list.status, 403);
+
+    const promote = await api('PUT', `/api/users/${users.bob.id}`, { token, body: { role: 'admin' } });
+    assert.equal(promote.status, 403);
+
+    const usage = await api('GET', '/api/chat/usage', { token });
+    assert.equal(usage.status, 403);
+  });
+
+  it("lets an admin read any user's data", async () => {
+    const { token } = users.admin;
+
+    const goal = await api('GET', `/api/goals/${records.goal}`, { token });
+    assert.equal(goal.status, 200);
+
+    const messages = await api('GET', `/api/messages/user/${users.alice.id}`, { token });
+    assert.equal(messages.status, 200);
+
+    const list = await api('GET', '/api/users', { token });
+    assert.equal(list.status, 200);
+    assert.ok(list.body.data.some((user) => user.id === users.alice.id));
+    assert.ok(list.body.data.every((user) => !('passwordHash' in user)));
+
+    const usage = await api('GET', '/api/chat/usage', { token });
+    assert.equal(usage.status, 200);
+  });
+});
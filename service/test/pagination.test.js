@@ -0,0 +1,112 @@
+/**
+ * ============================================================================
+ * Pagination Tests
+ * ============================================================================
+ *
+ * Cursor pagination helpers of the getPage methods, and how a list route
+ * reads `cursor` and `limit` from the query string. Pure functions only, no
+ * database needed.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/pagination.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { pageArgs, toPage } from '../db/pagination.js';
+import { compileSchema, object, cursor, limit, queryLimit } from '../validation/index.js';
+
+const rows = (count) => Array.from({ length: count }, (_, index) => ({ id: `r${index + 1}` }));
+
+/**
+ * Read rows the way Prisma applies { take, cursor, skip } to an ordered list
+ */
+function read(table, { take, cursor: at, skip = 0 }) {
+  const start = at ? table.findIndex((row) => row.id === at.id) : 0;
+  return table.slice(start + skip, start + skip + take);
+}
+
+describe('pageArgs', () => {
+  it('reads one row more than the page size', () => {
+    assert.deepEqual(pageArgs({ limit: 20 }), { take: 21 });
+  });
+
+  it('starts after the cursor row', () => {
+    assert.deepEqual(pageArgs({ cursor: 'r5', limit: 20 }), { take: 21, cursor: { id: 'r5' }, skip: 1 });
+  });
+
+  it('treats an empty cursor as the first page', () => {
+    assert.deepEqual(pageArgs({ cursor: '', limit: 20 }), { take: 21 });
+  });
+});
+
+describe('toPage', () => {
+  it('has no next cursor when fewer than limit rows come back', () => {
+    assert.deepEqual(toPage(rows(3), 5), { items: rows(3), nextCursor: null });
+  });
+
+  it('has no next cursor when exactly limit rows come back', () => {
+    assert.deepEqual(toPage(rows(5), 5), { items: rows(5), nextCursor: null });
+  });
+
+  it('drops the extra row and points the cursor at the last item', () => {
+    assert.deepEqual(toPage(rows(6), 5), { items: rows(5), nextCursor: 'r5' });
+  });
+
+  it('returns an empty last page', () => {
+    assert.deepEqual(toPage([], 5), { items: [], nextCursor: null });
+  });
+});
+
+describe('paging through a list', () => {
+  const pages = (table, pageSize) => {
+    const result = [];
+    let next;
+    do {
+      const page = toPage(read(table, pageArgs({ cursor: next, limit: pageSize })), pageSize);
+      result.push(page.items.map((row) => row.id));
+      next = page.nextCursor;
+    } while (next);
+    return result;
+  };
+
+  it('visits every row exactly once', () => {
+    assert.deepEqual(pages(rows(7), 3), [['r1', 'r2', 'r3'], ['r4', 'r5', 'r6'], ['r7']]);
+  });
+
+  it('ends without an empty page when the list fills the last page exactly', () => {
+    assert.deepEqual(pages(rows(6), 3), [['r1', 'r2', 'r3'], ['r4', 'r5', 'r6']]);
+  });
+});
+
+describe('list query', () => {
+  const check = compileSchema(object({ cursor, limit: limit(100) }), { location: 'query', coerce: true });
+  const messages = (query) => check(query).map((error) => error.message);
+
+  it('accepts a cursor and a limit within range', () => {
+    assert.deepEqual(check({ cursor: 'r5', limit: '1' }), []);
+    assert.deepEqual(check({ limit: '100' }), []);
+    assert.deepEqual(check({}), []);
+  });
+
+  it('rejects limits outside 1 to the route\'s maximum instead of clamping them', () => {
+    assert.deepEqual(messages({ limit: '0' }), ['limit must be at least 1']);
+    assert.deepEqual(messages({ limit: '101' }), ['limit must be at most 100']);
+  });
+
+  it('rejects limits that are not whole numbers', () => {
+    assert.deepEqual(messages({ limit: '2.5' }), ['limit must be an integer']);
+    assert.deepEqual(messages({ limit: 'ten' }), ['limit must be an integer']);
+  });
+
+  it('rejects an empty cursor', () => {
+    assert.deepEqual(messages({ cursor: '' }), ['cursor must not be empty']);
+  });
+
+  it('reads the validated limit as a number, or undefined for the default', () => {
+    assert.equal(queryLimit('25'), 25);
+    assert.equal(queryLimit(undefined), undefined);
+  });
+});
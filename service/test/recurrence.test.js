@@ -0,0 +1,317 @@
+/**
+ * ============================================================================
+ * Recurrence Engine Tests
+ * ============================================================================
+ *
+ * RRULE parsing and expansion, legacy field conversion and per-occurrence
+ * overrides. Pure functions only, no database needed.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/recurrence.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseRRule,
+  formatRRule,
+  legacyToRRule,
+  expandRule,
+  expandEvent,
+  expandEvents,
+  isOccurrenceDate,
+} from '../calendar/recurrence.js';
+
+describe('parseRRule', () => {
+  it('parses every supported part', () => {
+    const rule = parseRRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=1MO,-1FR;BYMONTH=3,9;UNTIL=20251231;WKST=SU');
+
+    assert.deepEqual(rule, {
+      freq: 'MONTHLY',
+      interval: 2,
+      byDay: [{ weekday: 1, ordinal: 1 }, { weekday: 5, ordinal: -1 }],
+      byMonthDay: [],
+      byMonth: [3, 9],
+      count: null,
+      until: '2025-12-31',
+    });
+  });
+
+  it('accepts UNTIL with dashes and a time part', () => {
+    assert.equal(parseRRule('FREQ=DAILY;UNTIL=2025-06-01').until, '2025-06-01');
+    assert.equal(parseRRule('FREQ=DAILY;UNTIL=20250601T235959Z').until, '2025-06-01');
+  });
+
+  it('rejects malformed and unsupported rules', () => {
+    const invalid = {
+      '': /non-empty string/,
+      'INTERVAL=2': /must include FREQ/,
+      'FREQ=HOURLY': /Unsupported FREQ/,
+      'FREQ=DAILY;INTERVAL=0': /INTERVAL/,
+      'FREQ=DAILY;COUNT=-1': /COUNT/,
+      'FREQ=DAILY;COUNT=3;UNTIL=20250101': /cannot both be set/,
+      'FREQ=WEEKLY;BYDAY=1MO': /only allowed with MONTHLY or YEARLY/,
+      'FREQ=MONTHLY;BYDAY=XX': /Invalid BYDAY/,
+      'FREQ=MONTHLY;BYMONTHDAY=0': /Invalid BYMONTHDAY/,
+      'FREQ=YEARLY;BYMONTH=13': /Invalid BYMONTH/,
+      'FREQ=DAILY;BYSETPOS=1': /Unsupported recurrence rule part/,
+      'FREQ=DAILY;UNTIL=soon': /Invalid UNTIL/,
+    };
+
+    for (const [rrule, message] of Object.entries(invalid)) {
+      assert.throws(() => parseRRule(rrule), message, rrule);
+    }
+  });
+
+  it('round-trips through formatRRule', () => {
+    for (const rrule of [
+      'FREQ=DAILY',
+      'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20251231',
+      'FREQ=MONTHLY;BYDAY=-1FR;COUNT=6',
+      'FREQ=YEARLY;BYMONTHDAY=-1;BYMONTH=2',
+    ]) {
+      assert.equal(formatRRule(parseRRule(rrule)), rrule);
+    }
+  });
+});
+
+describe('legacyToRRule', () => {
+  it('maps the legacy recurring values', () => {
+    assert.equal(legacyToRRule({ recurring: 'daily' }), 'FREQ=DAILY');
+    assert.equal(legacyToRRule({ recurring: 'biweekly' }), 'FREQ=WEEKLY;INTERVAL=2');
+    assert.equal(legacyToRRule({ recurring: 'none' }), null);
+    assert.equal(legacyToRRule({}), null);
+  });
+
+  it('keeps valid, unique recurring days and the end date', () => {
+    assert.equal(
+      legacyToRRule({ recurring: 'weekly', recurringDays: '[1,3,3,9]', recurringEndDate: '2025-03-31T00:00:00.000Z' }),
+      'FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250331'
+    );
+  });
+
+  it('falls back to the start weekday when the days are unparseable', () => {
+    assert.equal(legacyToRRule({ recurring: 'weekly', recurringDays: 'mon,wed' }), 'FREQ=WEEKLY');
+  });
+});
+
+describe('expandRule', () => {
+  it('expands a daily rule within the range', () => {
+    assert.deepEqual(
+      expandRule('FREQ=DAILY;INTERVAL=3', '2025-01-01', { from: '2025-01-05', to: '2025-01-15' }),
+      ['2025-01-07', '2025-01-10', '2025-01-13']
+    );
+  });
+
+  it('starts a weekly rule on the first matching weekday, not the start date', () => {
+    // 2025-01-05 is a Sunday
+    assert.deepEqual(
+      expandRule('FREQ=WEEKLY;BYDAY=MO,WE', '2025-01-05', { from: '2025-01-01', to: '2025-01-15' }),
+      ['2025-01-06', '2025-01-08', '2025-01-13', '2025-01-15']
+    );
+  });
+
+  it('skips whole weeks for an interval', () => {
+    assert.deepEqual(
+      expandRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU', '2025-01-07', { from: '2025-01-01', to: '2025-02-28' }),
+      ['2025-01-07', '2025-01-21', '2025-02-04', '2025-02-18']
+    );
+  });
+
+  it('skips days that do not exist in a month', () => {
+    assert.deepEqual(
+      expandRule('FREQ=MONTHLY', '2025-01-31', { from: '2025-01-01', to: '2025-06-30' }),
+      ['2025-01-31', '2025-03-31', '2025-05-31']
+    );
+  });
+
+  it('counts negative month days from the end', () => {
+    assert.deepEqual(
+      expandRule('FREQ=MONTHLY;BYMONTHDAY=-1', '2024-01-01', { from: '2024-01-01', to: '2024-04-30' }),
+      ['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']
+    );
+  });
+
+  it('resolves numbered weekdays within the month', () => {
+    assert.deepEqual(
+      expandRule('FREQ=MONTHLY;BYDAY=1MO,-1FR', '2025-01-01', { from: '2025-01-01', to: '2025-02-28' }),
+      ['2025-01-06', '2025-01-31', '2025-02-03', '2025-02-28']
+    );
+  });
+
+  it('expands a yearly rule across the listed months', () => {
+    assert.deepEqual(
+      expandRule('FREQ=YEARLY;BYMONTH=2,8;BYMONTHDAY=15', '2025-01-01', { from: '2025-01-01', to: '2026-12-31' }),
+      ['2025-02-15', '2025-08-15', '2026-02-15', '2026-08-15']
+    );
+  });
+
+  it('stops at UNTIL, inclusive', () => {
+    assert.deepEqual(
+      expandRule('FREQ=DAILY;UNTIL=20250103', '2025-01-01', { from: '2025-01-01', to: '2025-01-31' }),
+      ['2025-01-01', '2025-01-02', '2025-01-03']
+    );
+  });
+
+  it('counts occurrences before the range towards COUNT', () => {
+    assert.deepEqual(
+      expandRule('FREQ=DAILY;COUNT=5', '2025-01-01', { from: '2025-01-04', to: '2025-01-31' }),
+      ['2025-01-04', '2025-01-05']
+    );
+  });
+
+  it('counts excluded dates towards COUNT', () => {
+    assert.deepEqual(
+      expandRule('FREQ=DAILY;COUNT=3', '2025-01-01', { from: '2025-01-01', to: '2025-01-31', exdates: ['2025-01-02'] }),
+      ['2025-01-01', '2025-01-03']
+    );
+  });
+
+  it('returns nothing for a range before the series start', () => {
+    assert.deepEqual(expandRule('FREQ=DAILY', '2025-01-10', { from: '2025-01-01', to: '2025-01-09' }), []);
+  });
+
+  it('terminates for rules that never match', () => {
+    assert.deepEqual(
+      expandRule('FREQ=MONTHLY;BYMONTHDAY=31;BYMONTH=2', '2025-01-01', { from: '2025-01-01', to: '2100-12-31' }),
+      []
+    );
+  });
+});
+
+describe('expandEvent', () => {
+  const series = {
+    id: 'event1',
+    title: 'Run',
+    type: 'workout',
+    date: '2025-01-06T00:00:00.000Z',
+    time: '07:00',
+    rrule: 'FREQ=WEEKLY;BYDAY=MO,WE',
+  };
+
+  it('returns a one-time event only when its date is in range', () => {
+    const event = { id: 'event2', title: 'Physio', type: 'appointment', date: '2025-01-08', completed: true };
+
+    assert.deepEqual(expandEvent(event, '2025-01-01', '2025-01-31'), [{
+      eventId: 'event2',
+      occurrenceDate: '2025-01-08',
+      date: '2025-01-08',
+      time: null,
+      title: 'Physio',
+      description: null,
+      type: 'appointment',
+      completed: true,
+      recurring: null,
+      rrule: null,
+      overridden: false,
+    }]);
+    assert.deepEqual(expandEvent(event, '2025-02-01', '2025-02-28'), []);
+  });
+
+  it('expands legacy recurrence fields', () => {
+    const legacy = { id: 'event3', title: 'Stretch', date: '2025-01-06', recurring: 'weekly', recurringDays: [2] };
+    const occurrences = expandEvent(legacy, '2025-01-01', '2025-01-20');
+
+    assert.deepEqual(occurrences.map((occurrence) => occurrence.date), ['2025-01-07', '2025-01-14']);
+    assert.equal(occurrences[0].recurring, 'weekly');
+    assert.equal(occurrences[0].rrule, 'FREQ=WEEKLY;BYDAY=TU');
+  });
+
+  it('tracks completion per occurrence, not on the series', () => {
+    const event = { ...series, completed: true, overrides: [{ originalDate: '2025-01-08', completed: true }] };
+    const occurrences = expandEvent(event, '2025-01-06', '2025-01-08');
+
+    assert.deepEqual(occurrences.map((occurrence) => occurrence.completed), [false, true]);
+  });
+
+  it('drops cancelled occurrences and excluded dates', () => {
+    const event = {
+      ...series,
+      exdates: ['2025-01-13'],
+      overrides: [{ originalDate: '2025-01-08', cancelled: true }],
+    };
+
+    assert.deepEqual(
+      expandEvent(event, '2025-01-06', '2025-01-15').map((occurrence) => occurrence.date),
+      ['2025-01-06', '2025-01-15']
+    );
+  });
+
+  it('applies moves, retitles and time changes', () => {
+    const event = {
+      ...series,
+      overrides: [{ originalDate: '2025-01-08', date: '2025-01-09', time: '19:00', title: 'Evening run' }],
+    };
+    const [, moved] = expandEvent(event, '2025-01-06', '2025-01-10');
+
+    assert.deepEqual(
+      { occurrenceDate: moved.occurrenceDate, date: moved.date, time: moved.time, title: moved.title, overridden: moved.overridden },
+      { occurrenceDate: '2025-01-08', date: '2025-01-09', time: '19:00', title: 'Evening run', overridden: true }
+    );
+  });
+
+  it('includes occurrences moved into the range and leaves out those moved out of it', () => {
+    const event = {
+      ...series,
+      overrides: [
+        { originalDate: '2025-01-06', date: '2025-01-12' },
+        { originalDate: '2025-01-13', date: '2025-01-10' },
+      ],
+    };
+
+    assert.deepEqual(
+      expandEvent(event, '2025-01-09', '2025-01-12').map((occurrence) => [occurrence.occurrenceDate, occurrence.date]),
+      [['2025-01-06', '2025-01-12'], ['2025-01-13', '2025-01-10']]
+    );
+    assert.deepEqual(expandEvent(event, '2025-01-06', '2025-01-06'), []);
+  });
+
+  it('ignores overrides for dates that are not occurrences', () => {
+    const event = { ...series, overrides: [{ originalDate: '2025-01-07', date: '2025-01-20' }] };
+
+    // 2025-01-20 is a Monday: only the regular occurrence, not the moved Tuesday
+    assert.deepEqual(
+      expandEvent(event, '2025-01-20', '2025-01-20').map((occurrence) => occurrence.occurrenceDate),
+      ['2025-01-20']
+    );
+  });
+});
+
+describe('expandEvents', () => {
+  it('orders by date, then time with untimed occurrences last, then title', () => {
+    const events = [
+      { id: 'a', title: 'Yoga', date: '2025-01-06' },
+      { id: 'b', title: 'Lift', date: '2025-01-06', time: '18:00' },
+      { id: 'c', title: 'Run', date: '2025-01-06', time: '7:00' },
+      { id: 'd', title: 'Abs', date: '2025-01-06' },
+      { id: 'e', title: 'Swim', date: '2025-01-05', time: '20:00' },
+    ];
+
+    assert.deepEqual(
+      expandEvents(events, '2025-01-01', '2025-01-31').map((occurrence) => occurrence.title),
+      ['Swim', 'Run', 'Lift', 'Abs', 'Yoga']
+    );
+  });
+});
+
+describe('isOccurrenceDate', () => {
+  const event = { date: '2025-01-06', rrule: 'FREQ=WEEKLY;BYDAY=MO', exdates: ['2025-01-13'] };
+
+  it('accepts dates the rule generates', () => {
+    assert.equal(isOccurrenceDate(event, '2025-01-20'), true);
+  });
+
+  it('rejects other weekdays, excluded dates and dates before the start', () => {
+    assert.equal(isOccurrenceDate(event, '2025-01-21'), false);
+    assert.equal(isOccurrenceDate(event, '2025-01-13'), false);
+    assert.equal(isOccurrenceDate(event, '2024-12-30'), false);
+    assert.equal(isOccurrenceDate(event, 'not a date'), false);
+  });
+
+  it('matches only the start date of a one-time event', () => {
+    assert.equal(isOccurrenceDate({ date: '2025-01-06' }, '2025-01-06'), true);
+    assert.equal(isOccurrenceDate({ date: '2025-01-06' }, '2025-01-13'), false);
+  });
+});
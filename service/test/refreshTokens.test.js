@@ -0,0 +1,173 @@
+/**
+ * ============================================================================
+ * Refresh Token Integration Tests
+ * ============================================================================
+ *
+ * Boots the Express app against a real database and checks refresh token
+ * rotation (POST /api/auth/refresh): every refresh replaces the token, a
+ * rotated token that comes back revokes the device's session, and expired,
+ * unknown or logged-out tokens are refused.
+ *
+ * Requirements:
+ * - TEST_DATABASE_URL: Disposable PostgreSQL database with the current schema
+ *   (the suite is skipped when it is not set)
+ * - A generated Prisma client (npx prisma generate)
+ *
+ * Usage:
+ * $ DATABASE_URL=postgresql://... pnpm --filter service exec prisma db push
+ * $ TEST_DATABASE_URL=postgresql://... pnpm --filter service test
+ *
+ * @module service/test/refreshTokens.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+const databaseUrl = process.env.TEST_DATABASE_URL;
+
+describe('refresh tokens', { skip: !databaseUrl && 'TEST_DATABASE_URL is not set' }, () => {
+  let server;
+  let baseUrl;
+  let prisma;
+
+  const runId = Date.now().toString(36);
+  const password = 'password123';
+  const userIds = [];
+
+  /**
+   * Call the API and return { status, body }
+   */
+  const api = async (method, path, { token, body } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  /**
+   * Register a user on a device and return { email, refreshToken, deviceId }
+   */
+  const register = async (name, deviceId) => {
+    const email = `${name}-${runId}@refresh.test`;
+    const { status, body } = await api('POST', '/api/auth/register', {
+      body: { email, password, name, deviceId },
+    });
+    assert.equal(status, 201, `registering ${name} failed: ${JSON.stringify(body)}`);
+    userIds.push(body.data.user.id);
+    return { email, refreshToken: body.data.refreshToken, deviceId: body.data.deviceId };
+  };
+
+  const refresh = (refreshToken) => api('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+  /** Stored record of a refresh token (only its hash is kept) */
+  const storedToken = (refreshToken) => prisma.refreshToken.findUnique({
+    where: { tokenHash: crypto.createHash('sha256').update(refreshToken).digest('hex') },
+  });
+
+  before(async () => {
+    process.env.DATABASE_URL = databaseUrl;
+    process.env.JWT_SECRET ||= 'refresh-test-secret';
+    process.env.LLM_PROVIDER = 'scripted';
+
+    ({ default: prisma } = await import('../db/index.js'));
+    const { default: app } = await import('../app.js');
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server?.close();
+    if (!prisma) return;
+
+    // Refresh and account tokens cascade with the user
+    await prisma.user.deleteMany({ where: { id: { in: userIds } } });
+    await prisma.$disconnect();
+  });
+
+  it('rotates the token on every refresh', async () => {
+    const session = await register('rotate', 'phone');
+
+    const first = await refresh(session.refreshToken);
+    assert.equal(first.status, 200);
+    assert.ok(first.body.data.token);
+    assert.equal(first.body.data.deviceId, 'phone');
+    assert.notEqual(first.body.data.refreshToken, session.refreshToken);
+
+    const old = await storedToken(session.refreshToken);
+    const replacement = await storedToken(first.body.data.refreshToken);
+    assert.ok(old.revokedAt);
+    assert.equal(old.replacedById, replacement.id);
+    assert.equal(replacement.revokedAt, null);
+
+    const second = await refresh(first.body.data.refreshToken);
+    assert.equal(second.status, 200);
+  });
+
+  it('revokes the device\'s session when a rotated token is reused', async () => {
+    const session = await register('reuse', 'phone');
+    const login = await api('POST', '/api/auth/login', {
+      body: { email: session.email, password, deviceId: 'tablet' },
+    });
+    assert.equal(login.status, 200);
+
+    const rotated = await refresh(session.refreshToken);
+    assert.equal(rotated.status, 200);
+
+    const reused = await refresh(session.refreshToken);
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.error, 'Refresh token has been revoked');
+
+    // The token issued by the rotation belongs to the same family and is revoked too
+    const current = await refresh(rotated.body.data.refreshToken);
+    assert.equal(current.status, 401);
+    assert.ok((await storedToken(rotated.body.data.refreshToken)).revokedAt);
+
+    // Other devices keep their sessions
+    const otherDevice = await refresh(login.body.data.refreshToken);
+    assert.equal(otherDevice.status, 200);
+  });
+
+  it('lets only one of two concurrent refreshes with the same token succeed', async () => {
+    const session = await register('race', 'phone');
+
+    const results = await Promise.all([refresh(session.refreshToken), refresh(session.refreshToken)]);
+    assert.deepEqual(results.map((result) => result.status).sort(), [200, 401]);
+  });
+
+  it('refuses an expired token', async () => {
+    const session = await register('expired', 'phone');
+    const { id } = await storedToken(session.refreshToken);
+    await prisma.refreshToken.update({ where: { id }, data: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const { status, body } = await refresh(session.refreshToken);
+    assert.equal(status, 401);
+    assert.equal(body.error, 'Refresh token has expired');
+    assert.equal((await storedToken(session.refreshToken)).replacedById, null);
+  });
+
+  it('refuses unknown, missing and logged-out tokens', async () => {
+    const unknown = await refresh(crypto.randomBytes(48).toString('base64url'));
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.body.error, 'Invalid refresh token');
+
+    const missing = await api('POST', '/api/auth/refresh', { body: {} });
+    assert.equal(missing.status, 400);
+
+    const session = await register('logout', 'phone');
+    const logout = await api('POST', '/api/auth/logout', { body: { refreshToken: session.refreshToken } });
+    assert.equal(logout.status, 200);
+
+    const afterLogout = await refresh(session.refreshToken);
+    assert.equal(afterLogout.status, 401);
+    assert.equal(afterLogout.body.error, 'Refresh token has been revoked');
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * ============================================================================
+ * Repeating Reminder Tests
+ * ============================================================================
+ *
+ * Next occurrences, and how firing and completing a reminder move its due
+ * date. Pure functions only, no database needed.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/reminderRepeat.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  nextReminderDueDate,
+  previousReminderDueDate,
+  firedReminderUpdate,
+  completedReminderUpdate,
+} from '../reminders/repeat.js';
+
+const at = (iso) => new Date(iso);
+
+describe('nextReminderDueDate', () => {
+  it('has no next occurrence for one-time reminders', () => {
+    assert.equal(nextReminderDueDate({ dueDate: at('2025-03-01T09:00:00Z') }, at('2025-03-01T09:00:00Z')), null);
+  });
+
+  it('steps daily, weekly and custom reminders by days', () => {
+    const dueDate = at('2025-03-01T09:00:00Z');
+
+    assert.deepEqual(nextReminderDueDate({ dueDate, repeatType: 'DAILY' }, dueDate), at('2025-03-02T09:00:00Z'));
+    assert.deepEqual(nextReminderDueDate({ dueDate, repeatType: 'WEEKLY', interval: 2 }, dueDate), at('2025-03-15T09:00:00Z'));
+    assert.deepEqual(nextReminderDueDate({ dueDate, repeatType: 'CUSTOM', interval: 3 }, dueDate), at('2025-03-04T09:00:00Z'));
+  });
+
+  it('returns the next occurrence strictly after the given time', () => {
+    const reminder = { dueDate: at('2025-03-01T09:00:00Z'), repeatType: 'DAILY' };
+
+    assert.deepEqual(nextReminderDueDate(reminder, at('2025-02-20T00:00:00Z')), at('2025-03-02T09:00:00Z'));
+    assert.deepEqual(nextReminderDueDate(reminder, at('2025-03-02T08:59:59Z')), at('2025-03-02T09:00:00Z'));
+    assert.deepEqual(nextReminderDueDate(reminder, at('2025-03-02T09:00:00Z')), at('2025-03-03T09:00:00Z'));
+  });
+
+  it('skips occurrences missed while the server was down', () => {
+    const reminder = { dueDate: at('2025-03-01T09:00:00Z'), repeatType: 'DAILY' };
+    assert.deepEqual(nextReminderDueDate(reminder, at('2025-03-05T12:00:00Z')), at('2025-03-06T09:00:00Z'));
+  });
+
+  it('clamps monthly reminders to the end of shorter months', () => {
+    const reminder = { dueDate: at('2025-01-31T09:00:00Z'), repeatType: 'MONTHLY' };
+
+    assert.deepEqual(nextReminderDueDate(reminder, reminder.dueDate), at('2025-02-28T09:00:00Z'));
+    assert.deepEqual(nextReminderDueDate(reminder, at('2025-02-28T09:00:00Z')), at('2025-03-31T09:00:00Z'));
+  });
+
+  it('steps yearly reminders by twelve months', () => {
+    const reminder = { dueDate: at('2024-02-29T09:00:00Z'), repeatType: 'YEARLY' };
+    assert.deepEqual(nextReminderDueDate(reminder, reminder.dueDate), at('2025-02-28T09:00:00Z'));
+  });
+
+  it('ends the series after repeatUntil', () => {
+    const reminder = { dueDate: at('2025-03-01T09:00:00Z'), repeatType: 'DAILY', repeatUntil: at('2025-03-02T09:00:00Z') };
+
+    assert.deepEqual(nextReminderDueDate(reminder, reminder.dueDate), at('2025-03-02T09:00:00Z'));
+    assert.equal(nextReminderDueDate(reminder, at('2025-03-02T09:00:00Z')), null);
+  });
+});
+
+describe('previousReminderDueDate', () => {
+  it('goes back one repeat step', () => {
+    assert.equal(previousReminderDueDate({ dueDate: at('2025-03-01T09:00:00Z') }), null);
+    assert.deepEqual(
+      previousReminderDueDate({ dueDate: at('2025-03-15T09:00:00Z'), repeatType: 'WEEKLY', interval: 2 }),
+      at('2025-03-01T09:00:00Z')
+    );
+    assert.deepEqual(
+      previousReminderDueDate({ dueDate: at('2025-03-31T09:00:00Z'), repeatType: 'MONTHLY' }),
+      at('2025-02-28T09:00:00Z')
+    );
+  });
+});
+
+describe('firing and completing', () => {
+  const daily = { dueDate: at('2025-03-01T09:00:00Z'), repeatType: 'DAILY', lastFiredAt: null };
+
+  /** Apply an update the way the database would */
+  const apply = (reminder, update) => ({ ...reminder, ...update });
+
+  it('moves a repeating reminder forward when it fires', () => {
+    const firedAt = at('2025-03-01T09:00:30Z');
+    assert.deepEqual(firedReminderUpdate(daily, firedAt), { lastFiredAt: firedAt, dueDate: at('2025-03-02T09:00:00Z') });
+  });
+
+  it('keeps the due date of a one-time reminder that fires', () => {
+    const firedAt = at('2025-03-01T09:00:30Z');
+    assert.deepEqual(firedReminderUpdate({ dueDate: at('2025-03-01T09:00:00Z') }, firedAt), { lastFiredAt: firedAt });
+  });
+
+  it('does not skip an occurrence when completed after it fired', () => {
+    const fired = apply(daily, firedReminderUpdate(daily, at('2025-03-01T09:00:30Z')));
+
+    assert.deepEqual(completedReminderUpdate(fired, at('2025-03-01T09:05:00Z')), {});
+    // Still due tomorrow, the occurrence after the one just completed
+    assert.deepEqual(apply(fired, completedReminderUpdate(fired, at('2025-03-01T09:05:00Z'))).dueDate, at('2025-03-02T09:00:00Z'));
+  });
+
+  it('keeps the due date when a fired reminder is completed the next morning', () => {
+    const fired = apply(daily, firedReminderUpdate(daily, at('2025-03-01T09:00:30Z')));
+    assert.deepEqual(completedReminderUpdate(fired, at('2025-03-02T08:00:00Z')), {});
+  });
+
+  it('moves past the current occurrence when completed before it fires', () => {
+    assert.deepEqual(completedReminderUpdate(daily, at('2025-03-01T08:00:00Z')), { dueDate: at('2025-03-02T09:00:00Z') });
+  });
+
+  it('moves past now when completed late before the scheduler fired it', () => {
+    assert.deepEqual(completedReminderUpdate(daily, at('2025-03-03T10:00:00Z')), { dueDate: at('2025-03-04T09:00:00Z') });
+  });
+
+  it('advances again once the next occurrence is due', () => {
+    const fired = apply(daily, firedReminderUpdate(daily, at('2025-03-01T09:00:30Z')));
+    const firedAgain = apply(fired, firedReminderUpdate(fired, at('2025-03-02T09:00:30Z')));
+
+    assert.deepEqual(firedAgain.dueDate, at('2025-03-03T09:00:00Z'));
+    assert.deepEqual(completedReminderUpdate(firedAgain, at('2025-03-02T09:10:00Z')), {});
+  });
+
+  it('completes a repeating reminder whose series has ended', () => {
+    const lastOne = { ...daily, repeatUntil: at('2025-03-01T12:00:00Z') };
+    const fired = apply(lastOne, firedReminderUpdate(lastOne, at('2025-03-01T09:00:30Z')));
+
+    assert.deepEqual(fired.dueDate, at('2025-03-01T09:00:00Z'));
+    assert.deepEqual(completedReminderUpdate(fired, at('2025-03-01T09:05:00Z')), { completed: true });
+  });
+
+  it('completes a one-time reminder', () => {
+    const once = { dueDate: at('2025-03-01T09:00:00Z'), lastFiredAt: null };
+
+    assert.deepEqual(completedReminderUpdate(once, at('2025-03-01T08:00:00Z')), { completed: true });
+    const fired = apply(once, firedReminderUpdate(once, at('2025-03-01T09:00:30Z')));
+    assert.deepEqual(completedReminderUpdate(fired, at('2025-03-01T09:05:00Z')), { completed: true });
+  });
+});
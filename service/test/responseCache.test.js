@@ -0,0 +1,197 @@
+/**
+ * ============================================================================
+ * Response Cache Tests
+ * ============================================================================
+ *
+ * The in-process LRU backend, cache keys, and per-user invalidation. Cache
+ * failures must never hold up or fail a chat: an unreachable Redis server is
+ * a miss.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/responseCache.test.js
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createMemoryResponseCache,
+  createRedisResponseCache,
+  buildResponseCacheKey,
+  setResponseCache,
+  getCachedResponse,
+  setCachedResponse,
+  invalidateUserResponses,
+} from '../LLM/responseCache.js';
+
+describe('memory backend', () => {
+  const HOUR = 60 * 60 * 1000;
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns stored values and misses unknown keys', async () => {
+    const cache = createMemoryResponseCache();
+    await cache.set('a', 'Hello', HOUR);
+
+    assert.equal(await cache.get('a'), 'Hello');
+    assert.equal(await cache.get('b'), null);
+  });
+
+  it('evicts the least recently used entry beyond maxEntries', async () => {
+    const cache = createMemoryResponseCache({ maxEntries: 2 });
+    await cache.set('a', 'A', HOUR);
+    await cache.set('b', 'B', HOUR);
+    await cache.get('a'); // "b" is now the least recently used
+    await cache.set('c', 'C', HOUR);
+
+    assert.equal(cache.size, 2);
+    assert.equal(await cache.get('b'), null);
+    assert.equal(await cache.get('a'), 'A');
+    assert.equal(await cache.get('c'), 'C');
+  });
+
+  it('counts overwriting a key as a use', async () => {
+    const cache = createMemoryResponseCache({ maxEntries: 2 });
+    await cache.set('a', 'A', HOUR);
+    await cache.set('b', 'B', HOUR);
+    await cache.set('a', 'A2', HOUR);
+    await cache.set('c', 'C', HOUR);
+
+    assert.equal(await cache.get('a'), 'A2');
+    assert.equal(await cache.get('b'), null);
+  });
+
+  it('expires entries after their TTL and frees their slot', async () => {
+    let now = Date.parse('2025-03-01T09:00:00Z');
+    mock.method(Date, 'now', () => now);
+    const cache = createMemoryResponseCache();
+    await cache.set('a', 'A', 1000);
+
+    now += 999;
+    assert.equal(await cache.get('a'), 'A');
+
+    now += 1;
+    assert.equal(await cache.get('a'), null);
+    assert.equal(cache.size, 0);
+  });
+
+  it('deletes only the keys with a prefix and counts them', async () => {
+    const cache = createMemoryResponseCache();
+    await cache.set('chat-response:user1:x', '1', HOUR);
+    await cache.set('chat-response:user1:y', '2', HOUR);
+    await cache.set('chat-response:user2:x', '3', HOUR);
+
+    assert.equal(await cache.deleteByPrefix('chat-response:user1:'), 2);
+    assert.equal(await cache.deleteByPrefix('chat-response:user1:'), 0);
+    assert.equal(await cache.get('chat-response:user2:x'), '3');
+  });
+});
+
+describe('buildResponseCacheKey', () => {
+  const prompt = [
+    { role: 'system', content: 'You are a coach.' },
+    { role: 'human', content: 'Plan my week' },
+  ];
+
+  it('is stable for the same prompt and namespaced per user', () => {
+    const key = buildResponseCacheKey('user1', 'gpt-4o-mini', prompt);
+
+    assert.equal(key, buildResponseCacheKey('user1', 'gpt-4o-mini', structuredClone(prompt)));
+    assert.match(key, /^chat-response:user1:[0-9a-f]{64}$/);
+  });
+
+  it('ignores differences in whitespace only', () => {
+    const spaced = [
+      { role: 'system', content: '  You are   a coach.\n' },
+      { role: 'human', content: 'Plan\tmy week' },
+    ];
+    assert.equal(buildResponseCacheKey('user1', 'gpt-4o-mini', spaced), buildResponseCacheKey('user1', 'gpt-4o-mini', prompt));
+  });
+
+  it('differs by user, model, role and content', () => {
+    const key = buildResponseCacheKey('user1', 'gpt-4o-mini', prompt);
+    const variants = [
+      buildResponseCacheKey('user2', 'gpt-4o-mini', prompt),
+      buildResponseCacheKey('user1', 'gpt-4o', prompt),
+      buildResponseCacheKey('user1', 'gpt-4o-mini', [prompt[0], { role: 'ai', content: 'Plan my week' }]),
+      buildResponseCacheKey('user1', 'gpt-4o-mini', [prompt[0], { role: 'human', content: 'Plan my month' }]),
+    ];
+
+    for (const variant of variants) assert.notEqual(variant, key);
+  });
+
+  it('never collides when the same text is split across messages differently', () => {
+    const keys = [
+      [{ role: 'human', content: 'a:b' }],
+      [{ role: 'human', content: 'a' }, { role: 'human', content: 'b' }],
+      [{ role: 'human', content: 'a:' }, { role: 'human', content: 'b' }],
+      [{ role: 'human', content: 'a' }, { role: 'human', content: ':b' }],
+      [{ role: 'human', content: '1:a' }],
+      [{ role: 'human', content: 'human:1:a' }],
+    ].map((messages) => buildResponseCacheKey('user1', 'gpt-4o-mini', messages));
+
+    assert.equal(new Set(keys).size, keys.length);
+  });
+});
+
+describe('invalidateUserResponses', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    setResponseCache(createMemoryResponseCache());
+  });
+
+  afterEach(() => {
+    setResponseCache(undefined);
+    mock.restoreAll();
+  });
+
+  it('drops one user\'s replies and keeps everyone else\'s', async () => {
+    const prompt = [{ role: 'human', content: 'Hi' }];
+    const user1 = buildResponseCacheKey('user1', 'gpt-4o-mini', prompt);
+    const user10 = buildResponseCacheKey('user10', 'gpt-4o-mini', prompt);
+    await setCachedResponse(user1, 'Hello 1');
+    await setCachedResponse(user10, 'Hello 10');
+
+    assert.equal(await invalidateUserResponses('user1'), 1);
+    assert.equal(await getCachedResponse(user1), null);
+    assert.equal(await getCachedResponse(user10), 'Hello 10');
+  });
+});
+
+describe('redis backend', () => {
+  // Nothing listens on port 1, so every connection attempt is refused
+  const UNREACHABLE_URL = 'redis://127.0.0.1:1';
+  let cache;
+
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+    cache = createRedisResponseCache({ url: UNREACHABLE_URL, timeoutMs: 200 });
+    setResponseCache(cache);
+  });
+
+  afterEach(async () => {
+    await cache.close();
+    setResponseCache(undefined);
+    mock.restoreAll();
+  });
+
+  it('treats an unreachable server as a miss', async () => {
+    const startedAt = Date.now();
+
+    assert.equal(await getCachedResponse('chat-response:user1:abc'), null);
+    assert.ok(Date.now() - startedAt < 1000, `took ${Date.now() - startedAt}ms`);
+  });
+
+  it('keeps answering with misses instead of stalling', async () => {
+    await setCachedResponse('chat-response:user1:abc', 'Hello');
+    assert.equal(await getCachedResponse('chat-response:user1:abc'), null);
+    assert.equal(await invalidateUserResponses('user1'), 0);
+
+    // Once the client gave up, the next lookup connects again (and fails fast)
+    await new Promise((resolve) => setTimeout(resolve, 700));
+    assert.equal(await getCachedResponse('chat-response:user1:abc'), null);
+  });
+});
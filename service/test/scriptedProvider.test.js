@@ -0,0 +1,171 @@
+/**
+ * ============================================================================
+ * Scripted Provider Tests
+ * ============================================================================
+ *
+ * The offline LLM provider: loading scripts, matching rules against the
+ * latest user message, the hashed fallback reply and when tool calls are
+ * returned. No database or network needed.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/scriptedProvider.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { AIMessage, HumanMessage, SystemMessage } from '@langchain/core/messages';
+import { DEFAULT_SCRIPT, ScriptedChatModel, createScriptedProvider, loadScript } from '../LLM/providers/scripted.js';
+
+const GOAL_TOOL = { type: 'function', function: { name: 'create_goal', parameters: { type: 'object' } } };
+
+const script = {
+  rules: [
+    { match: '^remind me to (.+?)(?: at (\\d+))?$', reply: 'Reminder set: $1 at $2.', toolCalls: [{ name: 'create_reminder', args: { text: '$1', hour: '$2' } }] },
+    { match: 'hello', reply: 'You said "{message}".' },
+    { match: 'hello there', reply: 'Never reached, the rule above matches first.' },
+  ],
+  fallback: ['first', 'second', 'third'],
+};
+
+const reply = (model, ...messages) => model.invoke(messages);
+
+describe('loadScript', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'scripted-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    writeFileSync(file, JSON.stringify(content));
+    return file;
+  };
+
+  it('reads rules and fallback from a JSON file', () => {
+    assert.deepEqual(loadScript(write('full.json', script)), script);
+  });
+
+  it('uses the default fallback for a script with only rules', () => {
+    const loaded = loadScript(write('rules.json', { rules: script.rules }));
+    assert.deepEqual(loaded.fallback, DEFAULT_SCRIPT.fallback);
+  });
+
+  it('allows a script with only a fallback', () => {
+    assert.deepEqual(loadScript(write('fallback.json', { fallback: ['ok'] })), { rules: [], fallback: ['ok'] });
+  });
+
+  it('rejects a script with neither', () => {
+    assert.throws(() => loadScript(write('empty.json', {})), /must define "rules" and\/or "fallback"/);
+  });
+});
+
+describe('ScriptedChatModel', () => {
+  const model = new ScriptedChatModel({ script });
+
+  describe('rules', () => {
+    it('fills in regex groups and the user message', async () => {
+      assert.equal((await reply(model, new HumanMessage('Remind me to stretch at 7'))).content, 'Reminder set: stretch at 7.');
+      assert.equal((await reply(model, new HumanMessage('  Hello! '))).content, 'You said "Hello!".');
+    });
+
+    it('uses the first matching rule', async () => {
+      assert.equal((await reply(model, new HumanMessage('hello there'))).content, 'You said "hello there".');
+    });
+
+    it('matches only the latest user message', async () => {
+      const response = await reply(
+        model,
+        new SystemMessage('hello from the system prompt'),
+        new HumanMessage('hello'),
+        new AIMessage('hello back'),
+        new HumanMessage('how are you?')
+      );
+      assert.ok(script.fallback.includes(response.content));
+    });
+
+    it('reads text parts of multi-part content', async () => {
+      const response = await reply(model, new HumanMessage({ content: [{ type: 'text', text: 'hello' }, { type: 'text', text: ' world' }] }));
+      assert.equal(response.content, 'You said "hello world".');
+    });
+  });
+
+  describe('fallback', () => {
+    it('answers the same message the same way every time', async () => {
+      const first = await reply(model, new HumanMessage('What should I eat today?'));
+      const second = await reply(new ScriptedChatModel({ script }), new HumanMessage('What should I eat today?'));
+
+      assert.ok(script.fallback.includes(first.content));
+      assert.equal(second.content, first.content);
+    });
+
+    it('spreads different messages over the fallback replies', async () => {
+      const messages = Array.from({ length: 30 }, (_, index) => `question ${index}`);
+      const replies = await Promise.all(messages.map(async (text) => (await reply(model, new HumanMessage(text))).content));
+
+      assert.deepEqual([...new Set(replies)].sort(), [...script.fallback].sort());
+    });
+
+    it('answers without any user message', async () => {
+      assert.ok(script.fallback.includes((await reply(model, new SystemMessage('system only'))).content));
+    });
+  });
+
+  describe('tool calls', () => {
+    const goalMessage = new HumanMessage('Add goal: drink more water');
+
+    it('are left out when the model has no tools bound', async () => {
+      const response = await reply(new ScriptedChatModel(), goalMessage);
+
+      assert.equal(response.content, 'I can add that as a daily goal for you. Shall I go ahead?');
+      assert.deepEqual(response.tool_calls, []);
+    });
+
+    it('are returned once the rule\'s tool is bound', async () => {
+      const response = await reply(new ScriptedChatModel().bindTools([GOAL_TOOL]), goalMessage);
+
+      assert.equal(response.tool_calls.length, 1);
+      assert.equal(response.tool_calls[0].name, 'create_goal');
+      assert.deepEqual(response.tool_calls[0].args, { text: 'drink more water', type: 'daily' });
+      assert.match(response.tool_calls[0].id, /^call_[0-9a-f]+$/);
+    });
+
+    it('skip tools the model is not bound to', async () => {
+      const response = await reply(model.bindTools([GOAL_TOOL]), new HumanMessage('remind me to stretch at 7'));
+      assert.deepEqual(response.tool_calls, []);
+    });
+
+    it('fill regex groups into the arguments, empty for groups that did not match', async () => {
+      const bound = model.bindTools([{ name: 'create_reminder' }]);
+
+      assert.deepEqual((await reply(bound, new HumanMessage('remind me to stretch at 7'))).tool_calls[0].args, { text: 'stretch', hour: '7' });
+      assert.deepEqual((await reply(bound, new HumanMessage('remind me to stretch'))).tool_calls[0].args, { text: 'stretch', hour: '' });
+    });
+
+    it('are streamed in the final chunk', async () => {
+      const stream = await new ScriptedChatModel().bindTools([GOAL_TOOL]).stream([goalMessage]);
+      let message;
+      for await (const chunk of stream) message = message ? message.concat(chunk) : chunk;
+
+      assert.equal(message.content, 'I can add that as a daily goal for you. Shall I go ahead?');
+      assert.deepEqual(message.tool_calls.map((call) => [call.name, call.args]), [['create_goal', { text: 'drink more water', type: 'daily' }]]);
+    });
+  });
+
+  it('reports usage and the model name', async () => {
+    const response = await reply(createScriptedProvider().createChatModel('cheap'), new HumanMessage('hello'));
+
+    assert.equal(response.response_metadata.model_name, 'scripted-cheap');
+    assert.ok(response.usage_metadata.input_tokens > 0);
+    assert.equal(response.usage_metadata.total_tokens, response.usage_metadata.input_tokens + response.usage_metadata.output_tokens);
+  });
+});
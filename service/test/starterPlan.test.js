@@ -0,0 +1,114 @@
+/**
+ * ============================================================================
+ * Starter Plan Tests
+ * ============================================================================
+ *
+ * Goals and weekly workouts built from onboarding answers. Pure functions
+ * only, no database needed.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/starterPlan.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildStarterPlan } from '../onboarding/starterPlan.js';
+
+// A Wednesday
+const today = new Date('2025-03-05T15:00:00Z');
+
+const profile = (overrides = {}) => ({
+  name: 'Alex',
+  goals: ['Build muscle', 'Run a 5k'],
+  experienceLevel: 'intermediate',
+  injuries: [],
+  equipment: ['dumbbells'],
+  availableDays: ['monday', 'wednesday', 'friday'],
+  ...overrides,
+});
+
+describe('buildStarterPlan goals', () => {
+  it('turns stated goals into long-term goals, the first one high priority', () => {
+    const { goals } = buildStarterPlan(profile(), { today });
+    const longterm = goals.filter((goal) => goal.type === 'longterm');
+
+    assert.deepEqual(longterm, [
+      { text: 'Build muscle', type: 'longterm', priority: 'high', category: 'fitness' },
+      { text: 'Run a 5k', type: 'longterm', priority: 'medium', category: 'fitness' },
+    ]);
+  });
+
+  it('adds daily habits sized to the fitness level', () => {
+    const daily = (level) => buildStarterPlan(profile({ experienceLevel: level }), { today })
+      .goals.filter((goal) => goal.type === 'daily').map((goal) => goal.text);
+
+    assert.deepEqual(daily('beginner'), ['Walk 6,000 steps', 'Drink 8 glasses of water', 'Stretch for 10 minutes']);
+    assert.deepEqual(daily('intermediate')[0], 'Walk 8,000 steps');
+    assert.deepEqual(daily('advanced')[0], 'Walk 10,000 steps');
+  });
+
+  it('targets the first injury with the mobility habit', () => {
+    const { goals } = buildStarterPlan(profile({ injuries: ['left knee', 'lower back'] }), { today });
+    assert.equal(goals[goals.length - 1].text, 'Do 10 minutes of mobility work for your left knee');
+  });
+
+  it('falls back to beginner for a missing or unknown level', () => {
+    const withoutLevel = buildStarterPlan(profile({ experienceLevel: undefined }), { today });
+    const unknownLevel = buildStarterPlan(profile({ experienceLevel: 'elite' }), { today });
+
+    assert.ok(withoutLevel.goals.some((goal) => goal.text === 'Walk 6,000 steps'));
+    assert.equal(unknownLevel.events[0].title, 'Full-body strength');
+    assert.match(unknownLevel.events[0].description, /^30-minute session\./);
+  });
+});
+
+describe('buildStarterPlan events', () => {
+  it('creates one weekly workout per available day, in weekday order', () => {
+    const { events } = buildStarterPlan(profile({ availableDays: ['sunday', 'friday', 'monday'] }), { today });
+
+    assert.deepEqual(events.map((event) => event.rrule), [
+      'FREQ=WEEKLY;BYDAY=MO',
+      'FREQ=WEEKLY;BYDAY=FR',
+      'FREQ=WEEKLY;BYDAY=SU',
+    ]);
+    assert.ok(events.every((event) => event.type === 'workout'));
+  });
+
+  it('starts each workout on the next matching day, today included', () => {
+    const { events } = buildStarterPlan(profile(), { today });
+    assert.deepEqual(events.map((event) => event.date), ['2025-03-10', '2025-03-05', '2025-03-07']);
+  });
+
+  it('rotates through the sessions for the level', () => {
+    const { events } = buildStarterPlan(profile({
+      experienceLevel: 'beginner',
+      availableDays: ['monday', 'tuesday', 'wednesday', 'thursday'],
+    }), { today });
+
+    assert.deepEqual(events.map((event) => event.title), [
+      'Full-body strength',
+      'Easy cardio',
+      'Mobility & core',
+      'Full-body strength',
+    ]);
+  });
+
+  it('uses the workout time, or all-day events without one', () => {
+    assert.equal(buildStarterPlan(profile(), { today, workoutTime: '18:00' }).events[0].time, '18:00');
+    assert.equal(buildStarterPlan(profile(), { today }).events[0].time, null);
+  });
+
+  it('notes the session length, equipment and injuries', () => {
+    const [withEquipment] = buildStarterPlan(profile({ injuries: ['left knee'] }), { today }).events;
+    const [bodyweight] = buildStarterPlan(profile({ equipment: [] }), { today }).events;
+
+    assert.equal(withEquipment.description, '45-minute session. Equipment: dumbbells. Take care with: left knee.');
+    assert.equal(bodyweight.description, '45-minute session. Equipment: bodyweight only.');
+  });
+
+  it('creates no workouts without available days', () => {
+    assert.deepEqual(buildStarterPlan(profile({ availableDays: undefined }), { today }).events, []);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * ============================================================================
+ * Training Program Tests
+ * ============================================================================
+ *
+ * Validation of generated training weeks, the built-in weeks, and the
+ * periodized program laid out from them. Pure functions only, no database or
+ * model needed.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/trainingProgram.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSessionTemplates, templateSessions } from '../training/sessionTemplates.js';
+import { buildProgram, getTrainingDays, sessionToEvent, isSessionLocked, addDays } from '../training/program.js';
+
+const week = (sessions) => ({ title: 'Half Marathon Base', sessions });
+
+const session = (overrides = {}) => ({
+  title: 'Easy run',
+  focus: 'cardio',
+  durationMinutes: 40,
+  exercises: [{ name: 'Easy jog', sets: 1, reps: '30 min' }],
+  ...overrides,
+});
+
+describe('validateSessionTemplates', () => {
+  it('accepts a well-formed week', () => {
+    assert.deepEqual(validateSessionTemplates(week([session()])), { valid: true, errors: [] });
+  });
+
+  it('accepts the built-in weeks of every level', () => {
+    for (const level of ['beginner', 'intermediate', 'advanced']) {
+      const result = validateSessionTemplates(templateSessions({ experienceLevel: level }, 5));
+      assert.deepEqual(result, { valid: true, errors: [] }, level);
+    }
+  });
+
+  it('reports every schema violation with its path', () => {
+    const { valid, errors } = validateSessionTemplates(week([
+      session({ focus: 'yoga', durationMinutes: 5, exercises: [] }),
+    ]));
+
+    assert.equal(valid, false);
+    assert.deepEqual(errors, [
+      'sessions[0].focus must be one of: strength, cardio, mobility, conditioning',
+      'sessions[0].durationMinutes must be at least 15',
+      'sessions[0].exercises must have at least 1 item',
+    ]);
+  });
+
+  it('rejects wrong types and unknown fields instead of coercing them', () => {
+    const { errors } = validateSessionTemplates({
+      ...week([session({ durationMinutes: 30.5, exercises: [{ name: 'Jog', sets: '3', reps: '20 min', tempo: 'easy' }] })]),
+      notes: 'extra',
+    });
+
+    assert.ok(errors.includes('notes is not allowed'));
+    assert.ok(errors.includes('sessions[0].durationMinutes must be an integer'));
+    assert.ok(errors.includes('sessions[0].exercises[0].sets must be an integer'));
+    assert.ok(errors.includes('sessions[0].exercises[0].tempo is not allowed'));
+  });
+
+  it('rejects a missing or empty week', () => {
+    assert.deepEqual(validateSessionTemplates(null).errors, ['plan must be an object']);
+    assert.deepEqual(validateSessionTemplates(week([])).errors, ['sessions must have at least 1 item']);
+  });
+});
+
+describe('templateSessions', () => {
+  it('rotates the level\'s sessions to fill every training day', () => {
+    const { title, sessions } = templateSessions({ experienceLevel: 'beginner' }, 4);
+
+    assert.equal(title, 'Beginner Program');
+    assert.deepEqual(sessions.map((entry) => entry.title), [
+      'Full-body strength',
+      'Easy cardio',
+      'Mobility & core',
+      'Full-body strength',
+    ]);
+  });
+
+  it('falls back to beginner for an unknown level', () => {
+    assert.equal(templateSessions({ experienceLevel: 'elite' }, 1).title, 'Beginner Program');
+  });
+});
+
+describe('getTrainingDays', () => {
+  it('orders the available days Monday first', () => {
+    assert.deepEqual(getTrainingDays({ availableDays: ['sunday', 'tuesday', 'friday'] }), ['tuesday', 'friday', 'sunday']);
+  });
+
+  it('uses the level\'s default days when none are listed', () => {
+    assert.deepEqual(getTrainingDays({ experienceLevel: 'intermediate' }), ['monday', 'tuesday', 'thursday', 'friday']);
+    assert.deepEqual(getTrainingDays({}), ['monday', 'wednesday', 'friday']);
+  });
+});
+
+describe('buildProgram', () => {
+  const beginner = { experienceLevel: 'beginner', availableDays: ['monday', 'wednesday', 'friday'] };
+  const strength = session({
+    title: 'Full-body strength',
+    focus: 'strength',
+    durationMinutes: 30,
+    exercises: [{ name: 'Goblet squat', sets: 3, reps: '10' }],
+  });
+
+  it('raises the target effort each build week and deloads at the end of each block', () => {
+    const { progression, program } = buildProgram(beginner, [strength], { startDate: '2025-03-03', weeks: 8, deloadEvery: 4 });
+
+    assert.equal(progression, 'linear');
+    assert.deepEqual(program.map((entry) => [entry.phase, entry.targetRpe]), [
+      ['build', 6], ['build', 6.5], ['build', 7], ['deload', 5.5],
+      ['build', 6.5], ['build', 7], ['build', 7.5], ['deload', 5.5],
+    ]);
+    assert.deepEqual(program.map((entry) => entry.block), [1, 1, 1, 1, 2, 2, 2, 2]);
+  });
+
+  it('caps build weeks at the level\'s maximum effort', () => {
+    const { program } = buildProgram(beginner, [strength], { startDate: '2025-03-03', weeks: 12, deloadEvery: 6 });
+    assert.equal(Math.max(...program.map((entry) => entry.targetRpe)), 8);
+  });
+
+  it('cuts sets and session length in deload weeks', () => {
+    const { program } = buildProgram(beginner, [strength], { startDate: '2025-03-03', weeks: 4, deloadEvery: 4 });
+    const [normal, deload] = [program[0].sessions[0], program[3].sessions[0]];
+
+    assert.equal(normal.durationMinutes, 30);
+    assert.equal(normal.exercises[0].sets, 3);
+    assert.equal(deload.durationMinutes, 18);
+    assert.equal(deload.exercises[0].sets, 2);
+  });
+
+  it('tapers volume through each block for advanced lifters', () => {
+    const advanced = { experienceLevel: 'advanced', availableDays: ['monday'] };
+    const { progression, program } = buildProgram(advanced, [strength], { startDate: '2025-03-03', weeks: 4, deloadEvery: 4 });
+
+    assert.equal(progression, 'block');
+    assert.deepEqual(program.map((entry) => entry.volume), [1.2, 1.1, 1, 0.6]);
+    assert.deepEqual(program.map((entry) => entry.sessions[0].exercises[0].sets), [4, 3, 3, 2]);
+  });
+
+  it('dates each session on its training day, in date order from a mid-week start', () => {
+    const { program } = buildProgram(beginner, [strength], { startDate: '2025-03-05', weeks: 2, deloadEvery: 4 });
+
+    assert.deepEqual(program[0].sessions.map((entry) => [entry.day, entry.date]), [
+      ['wednesday', '2025-03-05'],
+      ['friday', '2025-03-07'],
+      ['monday', '2025-03-10'],
+    ]);
+    assert.equal(program[1].sessions[0].date, addDays('2025-03-05', 7));
+  });
+});
+
+describe('sessionToEvent', () => {
+  const plan = { weeks: 8, workoutTime: '18:00' };
+  const buildWeek = { week: 2, block: 1, phase: 'build', targetRpe: 6.5 };
+  const entry = {
+    date: '2025-03-10',
+    title: 'Full-body strength',
+    durationMinutes: 30,
+    exercises: [{ name: 'Goblet squat', sets: 3, reps: '10' }],
+  };
+
+  it('describes the week, target and exercises', () => {
+    assert.deepEqual(sessionToEvent(plan, buildWeek, entry), {
+      title: 'Full-body strength',
+      type: 'workout',
+      date: '2025-03-10',
+      time: '18:00',
+      description: 'Week 2 of 8 · Build (block 1) · Target RPE 6.5 · 30 min\n- Goblet squat: 3 x 10',
+    });
+  });
+
+  it('prefers the session\'s own target and notes adjustments', () => {
+    const { description } = sessionToEvent(plan, buildWeek, { ...entry, targetRpe: 7, adjustment: 'Target raised' });
+
+    assert.match(description, /Target RPE 7 ·/);
+    assert.match(description, /\nAdjusted: Target raised$/);
+  });
+
+  it('marks deload sessions and all-day plans', () => {
+    const event = sessionToEvent({ weeks: 8 }, { week: 4, block: 1, phase: 'deload', targetRpe: 5.5 }, entry);
+
+    assert.equal(event.title, 'Full-body strength (deload)');
+    assert.equal(event.time, null);
+    assert.match(event.description, /^Week 4 of 8 · Deload ·/);
+  });
+});
+
+describe('isSessionLocked', () => {
+  const today = '2025-03-10';
+
+  it('locks past, completed and logged sessions', () => {
+    assert.equal(isSessionLocked({ date: '2025-03-09' }, today), true);
+    assert.equal(isSessionLocked({ date: '2025-03-12', completed: true }, today), true);
+    assert.equal(isSessionLocked({ date: '2025-03-12', workouts: [{ completedAt: new Date() }] }, today), true);
+  });
+
+  it('leaves today\'s and future open sessions editable', () => {
+    assert.equal(isSessionLocked({ date: '2025-03-10' }, today), false);
+    assert.equal(isSessionLocked({ date: '2025-03-12', workouts: [{ completedAt: null }] }, today), false);
+  });
+});
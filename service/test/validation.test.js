@@ -0,0 +1,229 @@
+/**
+ * ============================================================================
+ * Request Validation Tests
+ * ============================================================================
+ *
+ * The shared 400 shape, coercion of path and query values, and the field
+ * messages. The middleware runs against plain request/response objects, so
+ * neither Express nor a database is needed.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/validation.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validate,
+  compileSchema,
+  sendValidationError,
+  fieldError,
+  object,
+  nullable,
+  text,
+  id,
+  date,
+  dateTime,
+  time,
+  timeZone,
+  limit,
+  idParams,
+  queryFlag,
+  queryLimit,
+} from '../validation/index.js';
+
+/**
+ * Run the middleware once and report what it did
+ *
+ * @returns {{ status: number|null, body: Object|null, nextCalled: boolean }}
+ */
+const run = (middleware, req) => {
+  const result = { status: null, body: null, nextCalled: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+  middleware({ params: {}, query: {}, ...req }, res, () => {
+    result.nextCalled = true;
+  });
+  return result;
+};
+
+/**
+ * Messages for a single value, for checking wording
+ */
+const messagesFor = (schema, value, options) => compileSchema(schema, options)(value).map((detail) => detail.message);
+
+describe('validate', () => {
+  const middleware = validate({
+    params: idParams,
+    query: object({ limit: limit(100) }),
+    body: object({ text: text(), type: { type: 'string', enum: ['daily', 'longterm'] } }, ['text']),
+  });
+
+  it('passes valid requests on to the handler', () => {
+    const result = run(middleware, { params: { id: 'goal1' }, query: { limit: '10' }, body: { text: 'Run', type: 'daily' } });
+
+    assert.equal(result.nextCalled, true);
+    assert.equal(result.status, null);
+  });
+
+  it('answers invalid requests with one 400 listing every field', () => {
+    const result = run(middleware, { params: { id: 'goal1' }, query: { limit: '0' }, body: { type: 'weekly' } });
+
+    assert.equal(result.nextCalled, false);
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.body, {
+      success: false,
+      error: 'limit must be at least 1; text is required; type must be one of: daily, longterm',
+      details: [
+        { in: 'query', field: 'limit', message: 'limit must be at least 1' },
+        { in: 'body', field: 'text', message: 'text is required' },
+        { in: 'body', field: 'type', message: 'type must be one of: daily, longterm' },
+      ],
+    });
+  });
+
+  it('treats a missing body as an empty object', () => {
+    const result = run(validate({ body: object({ text: text() }, ['text']) }), { body: undefined });
+
+    assert.equal(result.status, 400);
+    assert.equal(result.body.error, 'text is required');
+  });
+
+  it('coerces path and query values without changing the request', () => {
+    const req = { query: { limit: '25' } };
+    const result = run(validate({ query: object({ limit: limit(100) }) }), req);
+
+    assert.equal(result.nextCalled, true);
+    assert.equal(req.query.limit, '25');
+  });
+
+  it('does not coerce bodies', () => {
+    const result = run(validate({ body: object({ limit: limit(100) }) }), { body: { limit: '25' } });
+
+    assert.equal(result.status, 400);
+    assert.equal(result.body.error, 'limit must be an integer');
+  });
+
+  it('allows body properties the schema does not list', () => {
+    const result = run(validate({ body: object({ text: text() }) }), { body: { text: 'Run', extra: true } });
+    assert.equal(result.nextCalled, true);
+  });
+
+  it('keeps the schemas for the Swagger generator', () => {
+    assert.deepEqual(validate({ params: idParams }).requestSchema, { params: idParams });
+  });
+});
+
+describe('compileSchema', () => {
+  it('returns no errors for a valid value', () => {
+    assert.deepEqual(compileSchema(object({ id }, ['id']))({ id: 'x' }), []);
+  });
+
+  it('names nested fields with dots and indexes', () => {
+    const schema = object({
+      exercises: {
+        type: 'array',
+        items: object({ sets: { type: 'array', items: object({ reps: { type: 'integer', minimum: 1 } }, ['reps']) } }),
+      },
+    });
+
+    assert.deepEqual(compileSchema(schema)({ exercises: [{ sets: [{ reps: 5 }, { reps: 0 }, {}] }] }), [
+      { in: 'body', field: 'exercises[0].sets[1].reps', message: 'exercises[0].sets[1].reps must be at least 1' },
+      { in: 'body', field: 'exercises[0].sets[2].reps', message: 'exercises[0].sets[2].reps is required' },
+    ]);
+  });
+
+  it('reports one message per field', () => {
+    // An empty string fails both minLength and the non-blank pattern
+    assert.deepEqual(messagesFor(object({ title: text() }), { title: '' }), ['title must not be empty']);
+  });
+
+  it('names the location for errors about the whole value', () => {
+    assert.deepEqual(
+      compileSchema({ type: 'object', minProperties: 1 }, { location: 'query', coerce: true })({}),
+      [{ in: 'query', field: '', message: 'query must not be empty' }]
+    );
+  });
+
+  it('accepts null only where the schema is nullable', () => {
+    const schema = object({ note: nullable(text()), kind: nullable({ type: 'string', enum: ['a', 'b'] }), title: text() });
+
+    assert.deepEqual(messagesFor(schema, { note: null, kind: null }), []);
+    assert.deepEqual(messagesFor(schema, { kind: 'c', title: null }), [
+      'kind must be one of: a, b',
+      'title must be a string',
+    ]);
+  });
+});
+
+describe('messages', () => {
+  const cases = [
+    ['type', { type: 'number' }, 'x', 'value must be a number'],
+    ['type (article)', { type: 'integer' }, 1.5, 'value must be an integer'],
+    ['type (nullable)', nullable({ type: 'string' }), 5, 'value must be a string or null'],
+    ['blank', text(), '   ', 'value must not be blank'],
+    ['minLength', { type: 'string', minLength: 3 }, 'ab', 'value must be at least 3 characters'],
+    ['maxLength', text(5), 'too long', 'value must be at most 5 characters'],
+    ['pattern with example', { type: 'string', pattern: '^\\d+$', example: '42' }, 'x', 'value must look like "42"'],
+    ['pattern', { type: 'string', pattern: '^\\d+$' }, 'x', 'value is not in the expected format'],
+    ['date', date, '2025-02-30x', 'value must be a date in YYYY-MM-DD format'],
+    ['date-time', dateTime, 'yesterday-ish', 'value must be a valid date-time'],
+    ['time', time, '24:00', 'value must be a time in HH:mm format (24-hour)'],
+    ['email', { type: 'string', format: 'email' }, 'someone@', 'value must be a valid email address'],
+    ['time-zone', timeZone, 'Mars/Olympus_Mons', 'value must be a valid IANA time zone'],
+    ['maximum', limit(50), 51, 'value must be at most 50'],
+    ['exclusiveMinimum', { type: 'number', exclusiveMinimum: 0 }, 0, 'value must be greater than 0'],
+    ['minItems', { type: 'array', minItems: 1 }, [], 'value must have at least 1 item'],
+    ['maxItems', { type: 'array', maxItems: 2 }, [1, 2, 3], 'value must have at most 2 items'],
+    ['uniqueItems', { type: 'array', uniqueItems: true }, [1, 1], 'value must not contain duplicates'],
+  ];
+
+  for (const [keyword, schema, value, message] of cases) {
+    it(keyword, () => {
+      assert.deepEqual(messagesFor(object({ value: schema }), { value }), [message]);
+    });
+  }
+
+  it('additionalProperties', () => {
+    const schema = { ...object({ name: text() }), additionalProperties: false };
+    assert.deepEqual(compileSchema(schema)({ name: 'x', extra: 1 }), [
+      { in: 'body', field: 'extra', message: 'extra is not allowed' },
+    ]);
+  });
+
+  it('accepts valid formats', () => {
+    const schema = object({ day: date, at: dateTime, clock: time, zone: timeZone });
+    assert.deepEqual(
+      messagesFor(schema, { day: '2024-02-29', at: '2025-01-31T18:30:00Z', clock: '7:05', zone: 'Asia/Kolkata' }),
+      []
+    );
+  });
+});
+
+describe('helpers', () => {
+  it('answers with the shared 400 shape', () => {
+    const details = [fieldError('body', 'from', 'from must be before to'), fieldError('query', 'days', 'days is too long')];
+    const result = run((req, res) => sendValidationError(res, details), {});
+
+    assert.equal(result.status, 400);
+    assert.deepEqual(result.body, { success: false, error: 'from must be before to; days is too long', details });
+  });
+
+  it('reads optional query flags and limits', () => {
+    assert.equal(queryFlag(undefined), undefined);
+    assert.equal(queryFlag('true'), true);
+    assert.equal(queryFlag('false'), false);
+    assert.equal(queryLimit(undefined), undefined);
+    assert.equal(queryLimit('20'), 20);
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * ============================================================================
+ * Weekly Review Tests
+ * ============================================================================
+ *
+ * How the weekly adaptation counts last week's sessions and rebalances the
+ * coming week. Pure functions only, no database needed.
+ *
+ * Usage:
+ * $ pnpm --filter service test
+ *
+ * @module service/test/weeklyReview.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { reviewSessions, planAdaptation, formatAdaptationMessage } from '../training/weeklyReview.js';
+import { buildProgram } from '../training/program.js';
+import { templateSessions } from '../training/sessionTemplates.js';
+
+/**
+ * A beginner plan starting Monday 2025-03-03, with its sessions as calendar
+ * events the way trainingPlanService.getById returns them
+ */
+function makePlan({ availableDays = ['monday', 'wednesday', 'friday'], adaptations = [] } = {}) {
+  const profile = { experienceLevel: 'beginner', availableDays };
+  const { program } = buildProgram(profile, templateSessions(profile, availableDays.length).sessions, {
+    startDate: '2025-03-03',
+    weeks: 8,
+    deloadEvery: 4,
+  });
+
+  const sessions = program.flatMap((week) => week.sessions.map((entry) => ({
+    id: `event-${week.week}-${entry.session}`,
+    title: entry.title,
+    date: new Date(`${entry.date}T00:00:00Z`),
+    completed: false,
+    planWeek: week.week,
+    planSession: entry.session,
+    workouts: [],
+  })));
+
+  return { id: 'plan1', userId: 'user1', weeks: 8, workoutTime: null, program, sessions, adaptations };
+}
+
+/** Mark the given sessions of a week completed */
+function complete(plan, week, sessionNumbers) {
+  for (const event of plan.sessions) {
+    if (event.planWeek === week && sessionNumbers.includes(event.planSession)) event.completed = true;
+  }
+  return plan;
+}
+
+const findSession = (program, week, number) =>
+  program.find((entry) => entry.week === week).sessions.find((entry) => entry.session === number);
+
+// Monday of week 2: last week is week 1 (Mar 3, 5, 7), the coming week is week 2 (Mar 10, 12, 14)
+const now = new Date('2025-03-10T12:00:00Z');
+
+describe('reviewSessions', () => {
+  const window = { from: '2025-03-03', to: '2025-03-10' };
+
+  it('counts sessions marked completed or with a finished linked workout', () => {
+    const plan = complete(makePlan(), 1, [0]);
+    const workout = { calendarEventId: 'event-1-1', startedAt: new Date('2025-03-05T18:00:00Z'), completedAt: new Date() };
+    plan.sessions.find((event) => event.id === 'event-1-1').workouts = [workout];
+    const review = reviewSessions(plan, [workout], window);
+
+    assert.equal(review.planned.length, 3);
+    assert.deepEqual(review.completed.map((event) => event.id), ['event-1-0', 'event-1-1']);
+    assert.deepEqual(review.missed.map((event) => event.id), ['event-1-2']);
+  });
+
+  it('counts an unlinked workout on the same day, and unplanned ones as extra', () => {
+    const workouts = [
+      { calendarEventId: null, startedAt: new Date('2025-03-07T07:00:00Z'), completedAt: new Date() },
+      { calendarEventId: null, startedAt: new Date('2025-03-08T07:00:00Z'), completedAt: new Date() },
+      { calendarEventId: null, startedAt: new Date('2025-03-03T07:00:00Z'), completedAt: null },
+    ];
+    const review = reviewSessions(makePlan(), workouts, window);
+
+    assert.deepEqual(review.completed.map((event) => event.id), ['event-1-2']);
+    assert.equal(review.missed.length, 2);
+    assert.equal(review.extra, 1);
+  });
+
+  it('averages the logged RPE of the performed sessions only', () => {
+    const sets = (...rpes) => [{ sets: rpes.map((rpe) => ({ rpe })) }];
+    const workouts = [
+      { calendarEventId: 'event-1-0', completedAt: new Date(), exercises: sets(7, 8) },
+      { calendarEventId: 'event-1-1', completedAt: new Date(), exercises: sets(6, null) },
+      { calendarEventId: null, startedAt: new Date('2025-03-08T07:00:00Z'), completedAt: new Date(), exercises: sets(10) },
+    ];
+
+    assert.equal(reviewSessions(makePlan(), workouts, window).loggedRpe, 7);
+    assert.equal(reviewSessions(makePlan(), [], window).loggedRpe, null);
+  });
+});
+
+describe('planAdaptation', () => {
+  it('raises next week\'s targets after a fully completed week', () => {
+    const plan = complete(makePlan(), 1, [0, 1, 2]);
+    const { program, adaptation, updates } = planAdaptation(plan, [], now);
+
+    assert.deepEqual(adaptation.changes.map((change) => change.type), ['progress']);
+    assert.equal(adaptation.targetRpe, 6);
+    assert.deepEqual([0, 1, 2].map((number) => findSession(program, 2, number).targetRpe), [7, 7, 7]);
+    assert.deepEqual(updates.map((update) => update.eventId), ['event-2-0', 'event-2-1', 'event-2-2']);
+    assert.match(updates[0].data.description, /Target RPE 7 ·/);
+  });
+
+  it('leaves the stored plan untouched', () => {
+    const plan = complete(makePlan(), 1, [0, 1, 2]);
+    planAdaptation(plan, [], now);
+    assert.equal(findSession(plan.program, 2, 0).targetRpe, undefined);
+  });
+
+  it('caps raised targets at RPE 9.5', () => {
+    const plan = complete(makePlan(), 1, [0, 1, 2]);
+    findSession(plan.program, 2, 0).targetRpe = 9.3;
+
+    assert.equal(findSession(planAdaptation(plan, [], now).program, 2, 0).targetRpe, 9.5);
+  });
+
+  it('holds targets when the logged effort was well above target', () => {
+    const plan = complete(makePlan(), 1, [0, 1, 2]);
+    const workouts = [{ calendarEventId: 'event-1-0', completedAt: new Date(), exercises: [{ sets: [{ rpe: 8 }] }] }];
+    const { adaptation, updates } = planAdaptation(plan, workouts, now);
+
+    assert.deepEqual(adaptation.changes.map((change) => change.type), ['hold']);
+    assert.equal(adaptation.loggedRpe, 8);
+    assert.deepEqual(updates, []);
+  });
+
+  it('does not progress into a deload week', () => {
+    // Monday of week 4, the first deload week, after a fully completed week 3
+    const plan = complete(makePlan(), 3, [0, 1, 2]);
+    const { adaptation, updates } = planAdaptation(plan, [], new Date('2025-03-24T12:00:00Z'));
+
+    assert.deepEqual(adaptation.changes.map((change) => change.type), ['hold']);
+    assert.match(adaptation.changes[0].text, /deload/);
+    assert.deepEqual(updates, []);
+  });
+
+  it('moves a single missed session to the first free day', () => {
+    const plan = complete(makePlan(), 1, [0, 2]);
+    const { program, adaptation, updates } = planAdaptation(plan, [], now);
+
+    assert.deepEqual(adaptation.changes, [{
+      type: 'reschedule',
+      text: '"Easy cardio" from Wed, Mar 5 was missed, so it has been moved to Tue, Mar 11.',
+    }]);
+    assert.equal(findSession(program, 1, 1).date, '2025-03-11');
+    assert.deepEqual(updates.map((update) => [update.eventId, update.data.date]), [['event-1-1', '2025-03-11']]);
+  });
+
+  it('skips a single missed session when the coming week has no free day', () => {
+    const everyDay = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+    const plan = complete(makePlan({ availableDays: everyDay }), 1, [0, 1, 2, 3, 4, 5]);
+    const { adaptation, updates } = planAdaptation(plan, [], now);
+
+    assert.deepEqual(adaptation.changes.map((change) => change.type), ['skip']);
+    assert.deepEqual(updates, []);
+  });
+
+  it('lightens the coming week after two missed sessions', () => {
+    const plan = complete(makePlan(), 1, [0]);
+    const { program, adaptation, updates } = planAdaptation(plan, [], now);
+    const next = findSession(program, 2, 0);
+
+    assert.deepEqual(adaptation.changes.map((change) => change.type), ['reduce_volume']);
+    assert.match(adaptation.changes[0].text, /^Because 2 sessions were missed, the next 3 session\(s\)/);
+    assert.equal(next.durationMinutes, 23);
+    assert.deepEqual(next.exercises.map((exercise) => exercise.sets), [2, 2, 2, 2, 2]);
+    assert.equal(updates.length, 3);
+  });
+
+  it('lightens the coming week after misses two weeks running', () => {
+    const plan = complete(makePlan({ adaptations: [{ missed: 1 }] }), 1, [0, 2]);
+    const { adaptation } = planAdaptation(plan, [], now);
+
+    assert.deepEqual(adaptation.changes.map((change) => change.type), ['reduce_volume']);
+    assert.match(adaptation.changes[0].text, /two weeks in a row/);
+  });
+
+  it('does not touch sessions that are already completed', () => {
+    const plan = complete(makePlan(), 1, [0]);
+    complete(plan, 2, [0]);
+
+    const { updates } = planAdaptation(plan, [], now);
+    assert.deepEqual(updates.map((update) => update.eventId), ['event-2-1', 'event-2-2']);
+  });
+
+  it('changes nothing before the plan has started', () => {
+    const { adaptation, updates } = planAdaptation(makePlan(), [], new Date('2025-03-01T12:00:00Z'));
+
+    assert.equal(adaptation.planned, 0);
+    assert.deepEqual(adaptation.changes, []);
+    assert.deepEqual(updates, []);
+  });
+
+  it('records the review window and counts', () => {
+    const plan = complete(makePlan(), 1, [0, 1, 2]);
+    const { adaptation } = planAdaptation(plan, [], now);
+
+    assert.deepEqual(
+      { at: adaptation.at, from: adaptation.from, to: adaptation.to, planned: adaptation.planned, completed: adaptation.completed, missed: adaptation.missed },
+      { at: '2025-03-10T12:00:00.000Z', from: '2025-03-03', to: '2025-03-10', planned: 3, completed: 3, missed: 0 }
+    );
+  });
+});
+
+describe('formatAdaptationMessage', () => {
+  it('summarizes the week and lists the changes', () => {
+    const text = formatAdaptationMessage({ title: '8-Week Beginner Program' }, {
+      planned: 3,
+      completed: 2,
+      extra: 1,
+      loggedRpe: 6.5,
+      targetRpe: 6,
+      changes: [{ type: 'reschedule', text: 'Moved.' }],
+    });
+
+    assert.equal(text, 'Weekly check-in on "8-Week Beginner Program": you completed 2 of 3 planned session(s) last week ' +
+      'plus 1 extra workout(s). Your logged effort averaged RPE 6.5 (target 6).\n\nFor the coming week:\n- Moved.');
+  });
+
+  it('says when no changes are needed', () => {
+    const text = formatAdaptationMessage({ title: 'Plan' }, { planned: 0, completed: 0, extra: 0, loggedRpe: null, targetRpe: null, changes: [] });
+    assert.match(text, /No changes needed for the coming week/);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * ============================================================================
+ * Weekly Plan Adaptation
+ * ============================================================================
+ *
+ * Background job that reviews each active training plan once a week. It
+ * compares the sessions planned for the past 7 days with what the user
+ * completed and logged, then rebalances the coming 7 days (the rules are in
+ * training/weeklyReview.js).
+ *
+ * Each review is stored on the plan (adaptations) and explained to the user
+ * in an assistant chat message. Only the coming week's sessions are changed;
+ * regenerating the plan rebuilds them from the profile.
+ *
+ * Environment Variables:
+ * - ADAPTATION_SCHEDULER: Set to "off" to disable the job
+ * - ADAPTATION_POLL_INTERVAL_MS: Time between checks for due plans (default: 3600000)
+ *
+ * @module service/training/adaptation.js
+ */
+
+import { trainingPlanService, calendarEventService, workoutService, messageService, conversationService } from '../db/index.js';
+import { ADAPTATION_INTERVAL_DAYS, reviewWindow, planAdaptation, formatAdaptationMessage } from './weeklyReview.js';
+import { createIntervalJob } from '../jobs/intervalJob.js';
+
+/** Reviews kept on the plan */
+const MAX_HISTORY = 26;
+
+/** Plans adapted per scheduler run */
+const BATCH_SIZE = 50;
+
+// ============================================================================
+// Adaptation
+// ============================================================================
+
+/**
+ * Review the past week of a plan, rebalance the coming week and explain the
+ * changes in a chat message (see training/weeklyReview.js for the rules)
+ *
+ * @param {Object} plan - Active plan with its sessions (trainingPlanService.getById)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { plan, adaptation, message } - the updated plan, the stored
+ *   review ({ at, from, to, planned, completed, missed, extra, loggedRpe, targetRpe, changes })
+ *   and the chat message (null when nothing was planned last week)
+ */
+export async function adaptTrainingPlan(plan, now = new Date()) {
+  const { from } = reviewWindow(now);
+  const workouts = await workoutService.getByUser(plan.userId, { from, to: now });
+  const { program, adaptation, updates } = planAdaptation(plan, workouts, now);
+
+  for (const { eventId, data } of updates) {
+    await calendarEventService.update(eventId, data);
+  }
+
+  await trainingPlanService.update(plan.id, {
+    program,
+    adaptations: [...(plan.adaptations || []), adaptation].slice(-MAX_HISTORY),
+    lastAdaptedAt: now,
+  });
+
+  let message = null;
+  if (adaptation.planned > 0) {
+    const conversation = await conversationService.getOrCreateCurrent(plan.userId);
+    message = await messageService.create({
+      userId: plan.userId,
+      conversationId: conversation.id,
+      role: 'assistant',
+      text: formatAdaptationMessage(plan, adaptation),
+    });
+  }
+
+  console.log(`🔁 Adapted training plan ${plan.id}: ${adaptation.completed}/${adaptation.planned} completed, ` +
+    `${adaptation.changes.map((change) => change.type).join(', ') || 'no changes'}`);
+
+  return { plan: await trainingPlanService.getById(plan.id), adaptation, message };
+}
+
+// ============================================================================
+// Scheduler
+// ============================================================================
+
+/**
+ * Adapt every active plan whose last review is at least a week old
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { adapted, failed } counts
+ */
+export async function runDueAdaptations(now = new Date()) {
+  const cutoff = new Date(now.getTime() - ADAPTATION_INTERVAL_DAYS * 24 * 60 * 60 * 1000);
+  const due = await trainingPlanService.getDueForAdaptation(cutoff, BATCH_SIZE);
+  let adapted = 0;
+  let failed = 0;
+
+  for (const candidate of due) {
+    const claimed = await trainingPlanService.claimAdaptation(candidate, now);
+    if (!claimed) continue; // Another run took it, or it changed since it was read
+
+    try {
+      const plan = await trainingPlanService.getById(candidate.id);
+      await adaptTrainingPlan(plan, now);
+      adapted++;
+    } catch (error) {
+      console.error(`⚠️ Adapting training plan ${candidate.id} failed:`, error.message);
+      failed++;
+    }
+  }
+
+  if (adapted > 0 || failed > 0) {
+    console.log(`🔁 Weekly adaptation: ${adapted} plan(s) adapted, ${failed} failed`);
+  }
+  return { adapted, failed };
+}
+
+const job = createIntervalJob({
+  name: 'Adaptation scheduler',
+  run: () => runDueAdaptations(),
+  disabledBy: 'ADAPTATION_SCHEDULER',
+  intervalVariable: 'ADAPTATION_POLL_INTERVAL_MS',
+  defaultIntervalMs: 60 * 60 * 1000,
+  startedMessage: (interval) => `🔁 Plan adaptation scheduler started (every ${interval / 60000} min)`,
+});
+
+/**
+ * Start checking for plans due for their weekly adaptation
+ * Does nothing if the job is already running or ADAPTATION_SCHEDULER=off.
+ *
+ * @param {Object} options - Options
+ * @param {number} options.intervalMs - Check interval (default: ADAPTATION_POLL_INTERVAL_MS or 1 hour)
+ */
+export function startAdaptationScheduler({ intervalMs } = {}) {
+  job.start({ intervalMs });
+}
+
+/**
+ * Stop checking for due plan adaptations
+ */
+export function stopAdaptationScheduler() {
+  job.stop();
+}
@@ -0,0 +1,217 @@
+/**
+ * ============================================================================
+ * Training Plan Generator
+ * ============================================================================
+ *
+ * Builds a periodized multi-week program from the user's fitness profile and
+ * writes its sessions to the calendar as "workout" events. The program
+ * layout and periodization are in training/program.js.
+ *
+ * The weekly sessions come from LLM/trainingPlan.js. Each session becomes a
+ * one-time CalendarEvent linked to the plan by trainingPlanId, planWeek and
+ * planSession.
+ *
+ * Regenerating a plan rebuilds the program and updates only future sessions
+ * that have not been completed (no completed flag and no finished workout
+ * logged against them). Past and completed sessions are kept as they are.
+ *
+ * @module service/training/planGenerator.js
+ */
+
+import { trainingPlanService, calendarEventService } from '../db/index.js';
+import { generateSessionTemplates } from '../LLM/trainingPlan.js';
+import { toDateKey } from '../calendar/recurrence.js';
+import {
+  DEFAULT_WEEKS,
+  DEFAULT_DELOAD_EVERY,
+  buildProgram,
+  getTrainingDays,
+  sessionToEvent,
+  isSessionLocked,
+} from './program.js';
+
+// ============================================================================
+// Calendar Sync
+// ============================================================================
+
+/**
+ * Write the plan's program to the calendar
+ * Future sessions are created, updated in place or removed to match the
+ * program; locked sessions (see isSessionLocked) are never touched, and no
+ * session is created in the past.
+ *
+ * @param {Object} plan - Plan record with its current program
+ * @param {Array} existing - Calendar events already linked to the plan
+ * @param {string} today - Today's date key
+ * @returns {Promise<Object>} { created, updated, removed, kept } counts
+ */
+async function syncSessions(plan, existing, today) {
+  const changes = { created: 0, updated: 0, removed: 0, kept: 0 };
+  const byKey = new Map(existing.map((event) => [`${event.planWeek}:${event.planSession}`, event]));
+
+  for (const week of plan.program) {
+    for (const session of week.sessions) {
+      const key = `${week.week}:${session.session}`;
+      const event = byKey.get(key);
+      byKey.delete(key);
+
+      if (event && isSessionLocked(event, today)) {
+        changes.kept++;
+        continue;
+      }
+      if (session.date < today) {
+        if (event) {
+          await calendarEventService.delete(event.id);
+          changes.removed++;
+        }
+        continue;
+      }
+
+      const data = sessionToEvent(plan, week, session);
+      if (event) {
+        await calendarEventService.update(event.id, data);
+        changes.updated++;
+      } else {
+        await calendarEventService.create({
+          userId: plan.userId,
+          ...data,
+          trainingPlanId: plan.id,
+          planWeek: week.week,
+          planSession: session.session,
+        });
+        changes.created++;
+      }
+    }
+  }
+
+  // Sessions the new program no longer has
+  for (const event of byKey.values()) {
+    if (isSessionLocked(event, today)) {
+      changes.kept++;
+    } else {
+      await calendarEventService.delete(event.id);
+      changes.removed++;
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Remove a plan's future sessions that have not been completed
+ *
+ * @param {Object} plan - Plan with its sessions (trainingPlanService.getById)
+ * @param {string} today - Today's date key
+ * @returns {Promise<number>} Number of sessions removed
+ */
+async function removeOpenSessions(plan, today) {
+  const open = plan.sessions.filter((event) => !isSessionLocked(event, today));
+  for (const event of open) {
+    await calendarEventService.delete(event.id);
+  }
+  return open.length;
+}
+
+// ============================================================================
+// Plan Lifecycle
+// ============================================================================
+
+/**
+ * Generate a new training plan for a user and put its sessions on the calendar
+ * The user's previous active plan is archived and its open sessions removed.
+ *
+ * @param {string} userId - User identifier
+ * @param {Object} profile - Normalized fitness profile (see memoryToProfile)
+ * @param {Object} options - Options
+ * @param {string} options.startDate - First day of week 1, YYYY-MM-DD (default: today)
+ * @param {number} options.weeks - Program length (default: DEFAULT_WEEKS)
+ * @param {number} options.deloadEvery - Deload frequency (default: DEFAULT_DELOAD_EVERY)
+ * @param {string} options.workoutTime - Session start time, HH:mm (default: all-day)
+ * @returns {Promise<Object>} { plan, changes } - plan with its sessions
+ */
+export async function createTrainingPlan(userId, profile, options = {}) {
+  const today = toDateKey(new Date());
+  const startDate = options.startDate || today;
+  const weeks = options.weeks || DEFAULT_WEEKS;
+  const deloadEvery = options.deloadEvery || DEFAULT_DELOAD_EVERY;
+
+  const previous = await trainingPlanService.getActive(userId);
+  if (previous) {
+    const removed = await removeOpenSessions(await trainingPlanService.getById(previous.id), today);
+    await trainingPlanService.update(previous.id, { status: 'archived' });
+    console.log(`🗄️ Archived training plan ${previous.id} (${removed} open sessions removed)`);
+  }
+
+  const templates = await generateSessionTemplates(userId, profile, getTrainingDays(profile).length);
+  const { progression, program } = buildProgram(profile, templates.sessions, { startDate, weeks, deloadEvery });
+
+  const plan = await trainingPlanService.create({
+    userId,
+    title: `${weeks}-Week ${templates.title}`,
+    startDate,
+    weeks,
+    deloadEvery,
+    workoutTime: options.workoutTime,
+    progression,
+    program,
+    source: templates.source,
+  });
+
+  const changes = await syncSessions(plan, [], today);
+  console.log(`📅 Training plan ${plan.id} for user ${userId}: ${weeks} weeks, ${changes.created} sessions (${templates.source})`);
+
+  return { plan: await trainingPlanService.getById(plan.id), changes };
+}
+
+/**
+ * Rebuild an active plan from the user's current profile
+ * Keeps the start date; past and completed sessions are left untouched.
+ *
+ * @param {Object} plan - Plan with its sessions (trainingPlanService.getById)
+ * @param {Object} profile - Normalized fitness profile
+ * @param {Object} options - weeks, deloadEvery and workoutTime to change (optional)
+ * @returns {Promise<Object>} { plan, changes } - plan with its sessions
+ */
+export async function regenerateTrainingPlan(plan, profile, options = {}) {
+  const today = toDateKey(new Date());
+  const weeks = options.weeks || plan.weeks;
+  const deloadEvery = options.deloadEvery || plan.deloadEvery;
+  const workoutTime = options.workoutTime !== undefined ? options.workoutTime : plan.workoutTime;
+
+  const templates = await generateSessionTemplates(plan.userId, profile, getTrainingDays(profile).length);
+  const { progression, program } = buildProgram(profile, templates.sessions, {
+    startDate: toDateKey(plan.startDate),
+    weeks,
+    deloadEvery,
+  });
+
+  const updated = await trainingPlanService.update(plan.id, {
+    title: `${weeks}-Week ${templates.title}`,
+    weeks,
+    deloadEvery,
+    workoutTime: workoutTime || null,
+    progression,
+    program,
+    source: templates.source,
+    generatedAt: new Date(),
+  });
+
+  const changes = await syncSessions(updated, plan.sessions, today);
+  console.log(`🔄 Regenerated training plan ${plan.id}: ${changes.created} created, ${changes.updated} updated, ` +
+    `${changes.removed} removed, ${changes.kept} kept`);
+
+  return { plan: await trainingPlanService.getById(plan.id), changes };
+}
+
+/**
+ * Delete a plan and its open sessions
+ * Past and completed sessions stay on the calendar as history.
+ *
+ * @param {Object} plan - Plan with its sessions (trainingPlanService.getById)
+ * @returns {Promise<number>} Number of sessions removed
+ */
+export async function deleteTrainingPlan(plan) {
+  const removed = await removeOpenSessions(plan, toDateKey(new Date()));
+  await trainingPlanService.delete(plan.id);
+  return removed;
+}
@@ -0,0 +1,219 @@
+/**
+ * ============================================================================
+ * Training Program
+ * ============================================================================
+ *
+ * Lays out a periodized multi-week program from one normal week of sessions
+ * and the user's fitness profile, and turns its sessions into calendar
+ * event fields.
+ *
+ * Periodization:
+ * - The program is split into blocks of `deloadEvery` weeks. The last week of
+ *   every block is a deload week (about 60% of the sets at an easy effort).
+ * - Build weeks raise the target effort (RPE) week by week, and every block
+ *   starts a little harder than the one before.
+ * - Beginners and intermediates progress linearly. Advanced lifters use block
+ *   progression: volume tapers from high to normal as the effort rises.
+ *
+ * Pure functions only; training/planGenerator.js writes the program to the
+ * calendar.
+ *
+ * @module service/training/program.js
+ */
+
+import { toDateKey } from '../calendar/recurrence.js';
+
+// ============================================================================
+// Periodization Settings
+// ============================================================================
+
+/** Weekdays in FITNESS_PROFILE_SCHEMA order with their JS getUTCDay() number */
+const WEEKDAYS = {
+  monday: 1,
+  tuesday: 2,
+  wednesday: 3,
+  thursday: 4,
+  friday: 5,
+  saturday: 6,
+  sunday: 0,
+};
+
+/** Training days used when the profile does not list any */
+const DEFAULT_DAYS = {
+  beginner: ['monday', 'wednesday', 'friday'],
+  intermediate: ['monday', 'tuesday', 'thursday', 'friday'],
+  advanced: ['monday', 'tuesday', 'wednesday', 'friday', 'saturday'],
+};
+
+/**
+ * Progression per fitness level
+ * - startRpe: Target effort in the first build week
+ * - weeklyStep: Added each build week within a block
+ * - blockStep: Added to the start of each new block
+ * - maxRpe: Ceiling for any build week
+ */
+const PROGRESSIONS = {
+  beginner: { scheme: 'linear', startRpe: 6, weeklyStep: 0.5, blockStep: 0.5, maxRpe: 8 },
+  intermediate: { scheme: 'linear', startRpe: 6.5, weeklyStep: 0.5, blockStep: 0.5, maxRpe: 8.5 },
+  advanced: { scheme: 'block', startRpe: 7, weeklyStep: 0.5, blockStep: 0.5, maxRpe: 9.5 },
+};
+
+/** Share of the sets and session length kept in a deload week */
+const DELOAD_VOLUME = 0.6;
+
+export const DEFAULT_WEEKS = 8;
+export const DEFAULT_DELOAD_EVERY = 4;
+
+// ============================================================================
+// Program Building
+// ============================================================================
+
+/**
+ * Add days to a date key
+ *
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} Date key
+ */
+export function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateKey(date);
+}
+
+/**
+ * Target effort and volume of one week
+ *
+ * @param {Object} progression - Entry from PROGRESSIONS
+ * @param {number} week - Week number (1-based)
+ * @param {number} deloadEvery - Block length in weeks
+ * @returns {Object} { block, phase, targetRpe, volume }
+ */
+function weekLoad(progression, week, deloadEvery) {
+  const block = Math.ceil(week / deloadEvery);
+  const weekInBlock = (week - 1) % deloadEvery; // 0-based
+
+  if (weekInBlock === deloadEvery - 1) {
+    return { block, phase: 'deload', targetRpe: progression.startRpe - 0.5, volume: DELOAD_VOLUME };
+  }
+
+  const targetRpe = Math.min(
+    progression.maxRpe,
+    progression.startRpe + (block - 1) * progression.blockStep + weekInBlock * progression.weeklyStep
+  );
+
+  // Block progression: accumulate volume early in the block, then intensify
+  const buildWeeks = deloadEvery - 1;
+  const volume = progression.scheme === 'block' && buildWeeks > 1
+    ? Math.round((1.2 - (0.2 * weekInBlock) / (buildWeeks - 1)) * 100) / 100
+    : 1;
+
+  return { block, phase: 'build', targetRpe, volume };
+}
+
+/**
+ * Lay out the weeks of a program
+ *
+ * @param {Object} profile - Normalized fitness profile (see LLM/onboarding.js)
+ * @param {Array} sessions - One normal week of sessions, one per training day
+ * @param {Object} options - Options
+ * @param {string} options.startDate - First day of week 1 (YYYY-MM-DD)
+ * @param {number} options.weeks - Program length
+ * @param {number} options.deloadEvery - Every Nth week is a deload week
+ * @returns {Object} { progression, program } where program is
+ *   [{ week, block, phase, targetRpe, volume, sessions: [{ session, day, date, title, focus, durationMinutes, exercises }] }]
+ */
+export function buildProgram(profile, sessions, { startDate, weeks, deloadEvery }) {
+  const level = PROGRESSIONS[profile.experienceLevel] ? profile.experienceLevel : 'beginner';
+  const progression = PROGRESSIONS[level];
+  const days = getTrainingDays(profile);
+
+  const program = [];
+  for (let week = 1; week <= weeks; week++) {
+    const weekStart = addDays(startDate, (week - 1) * 7);
+    const startDay = new Date(`${weekStart}T00:00:00Z`).getUTCDay();
+    const load = weekLoad(progression, week, deloadEvery);
+
+    const weekSessions = days.map((day, index) => {
+      const template = sessions[index % sessions.length];
+      const scale = load.phase === 'deload' ? DELOAD_VOLUME : 1;
+
+      return {
+        session: index,
+        day,
+        date: addDays(weekStart, (WEEKDAYS[day] - startDay + 7) % 7),
+        title: template.title,
+        focus: template.focus,
+        durationMinutes: Math.round(template.durationMinutes * scale),
+        exercises: template.exercises.map((exercise) => ({
+          ...exercise,
+          sets: Math.max(1, Math.round(exercise.sets * load.volume)),
+        })),
+      };
+    });
+
+    program.push({
+      week,
+      ...load,
+      sessions: weekSessions.sort((a, b) => a.date.localeCompare(b.date)),
+    });
+  }
+
+  return { progression: progression.scheme, program };
+}
+
+/**
+ * Training days for a profile, Monday first
+ *
+ * @param {Object} profile - Normalized fitness profile
+ * @returns {Array<string>} Weekday names
+ */
+export function getTrainingDays(profile) {
+  const days = Object.keys(WEEKDAYS).filter((day) => (profile.availableDays || []).includes(day));
+  return days.length > 0 ? days : DEFAULT_DAYS[profile.experienceLevel] || DEFAULT_DAYS.beginner;
+}
+
+/**
+ * Calendar event fields for one session of the program
+ * A session's own targetRpe and adjustment (set by the weekly adaptation)
+ * take precedence over the week's.
+ *
+ * @param {Object} plan - Plan record (id, weeks, workoutTime)
+ * @param {Object} week - Week of the program
+ * @param {Object} session - Session within the week
+ * @returns {Object} Event data for calendarEventService
+ */
+export function sessionToEvent(plan, week, session) {
+  const lines = [
+    `Week ${week.week} of ${plan.weeks} · ${week.phase === 'deload' ? 'Deload' : `Build (block ${week.block})`} · ` +
+      `Target RPE ${session.targetRpe ?? week.targetRpe} · ${session.durationMinutes} min`,
+    ...session.exercises.map((exercise) => `- ${exercise.name}: ${exercise.sets} x ${exercise.reps}`),
+  ];
+  if (session.adjustment) lines.push(`Adjusted: ${session.adjustment}`);
+
+  return {
+    title: week.phase === 'deload' ? `${session.title} (deload)` : session.title,
+    type: 'workout',
+    date: session.date,
+    time: plan.workoutTime || null,
+    description: lines.join('\n'),
+  };
+}
+
+// ============================================================================
+// Sessions
+// ============================================================================
+
+/**
+ * Whether a session must be left as it is: it is in the past, marked
+ * completed, or has a finished workout logged against it
+ *
+ * @param {Object} event - Calendar event with its workouts
+ * @param {string} today - Today's date key
+ * @returns {boolean}
+ */
+export function isSessionLocked(event, today) {
+  return event.completed
+    || (event.workouts || []).some((workout) => workout.completedAt)
+    || toDateKey(event.date) < today;
+}
@@ -0,0 +1,233 @@
+/**
+ * ============================================================================
+ * Session Templates
+ * ============================================================================
+ *
+ * The shape of one normal training week (SESSION_TEMPLATES_SCHEMA), its
+ * validation, and the built-in weeks per fitness level used when the model
+ * is not. LLM/trainingPlan.js asks the model for a week of this shape.
+ *
+ * @module service/training/sessionTemplates.js
+ */
+
+import { compileSchema } from '../validation/index.js';
+
+// ============================================================================
+// Session Schema
+// ============================================================================
+
+/**
+ * JSON schema of the weekly sessions
+ * Used as the structured-output schema for the model and to validate its answer.
+ */
+export const SESSION_TEMPLATES_SCHEMA = {
+  type: 'object',
+  title: 'training_week',
+  description: 'One normal training week, one session per training day in order.',
+  properties: {
+    title: { type: 'string', minLength: 3, maxLength: 80, description: 'Short program name, e.g. "Half Marathon Base"' },
+    sessions: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 7,
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', minLength: 3, maxLength: 60, description: 'e.g. "Lower-body strength"' },
+          focus: { type: 'string', enum: ['strength', 'cardio', 'mobility', 'conditioning'] },
+          durationMinutes: { type: 'integer', minimum: 15, maximum: 120 },
+          exercises: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 10,
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', minLength: 2, maxLength: 60 },
+                sets: { type: 'integer', minimum: 1, maximum: 10 },
+                reps: { type: 'string', minLength: 1, maxLength: 20, description: 'e.g. "8-10", "30s" or "20 min"' },
+              },
+              required: ['name', 'sets', 'reps'],
+              additionalProperties: false,
+            },
+          },
+        },
+        required: ['title', 'focus', 'durationMinutes', 'exercises'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['title', 'sessions'],
+  additionalProperties: false,
+};
+
+const checkSessionTemplates = compileSchema(SESSION_TEMPLATES_SCHEMA, { location: 'plan' });
+
+/**
+ * Validate weekly sessions against SESSION_TEMPLATES_SCHEMA
+ *
+ * @param {Object} templates - Candidate { title, sessions }
+ * @returns {{ valid: boolean, errors: Array<string> }} Result with readable errors
+ */
+export function validateSessionTemplates(templates) {
+  const errors = checkSessionTemplates(templates).map((error) => error.message);
+  return { valid: errors.length === 0, errors };
+}
+
+// ============================================================================
+// Built-in Templates
+// ============================================================================
+
+/** Sessions per fitness level, used when the model is not */
+const TEMPLATES = {
+  beginner: [
+    {
+      title: 'Full-body strength',
+      focus: 'strength',
+      durationMinutes: 30,
+      exercises: [
+        { name: 'Goblet squat', sets: 3, reps: '10' },
+        { name: 'Push-up (incline if needed)', sets: 3, reps: '8-12' },
+        { name: 'One-arm row', sets: 3, reps: '10 each' },
+        { name: 'Glute bridge', sets: 3, reps: '12' },
+        { name: 'Plank', sets: 3, reps: '30s' },
+      ],
+    },
+    {
+      title: 'Easy cardio',
+      focus: 'cardio',
+      durationMinutes: 30,
+      exercises: [{ name: 'Brisk walk, easy jog or bike', sets: 1, reps: '25 min' }],
+    },
+    {
+      title: 'Mobility & core',
+      focus: 'mobility',
+      durationMinutes: 30,
+      exercises: [
+        { name: 'Cat-cow', sets: 2, reps: '10' },
+        { name: 'Hip flexor stretch', sets: 2, reps: '30s each' },
+        { name: 'Dead bug', sets: 3, reps: '10' },
+        { name: 'Side plank', sets: 2, reps: '20s each' },
+      ],
+    },
+  ],
+  intermediate: [
+    {
+      title: 'Upper-body strength',
+      focus: 'strength',
+      durationMinutes: 45,
+      exercises: [
+        { name: 'Bench or floor press', sets: 4, reps: '6-8' },
+        { name: 'Bent-over row', sets: 4, reps: '8-10' },
+        { name: 'Overhead press', sets: 3, reps: '8-10' },
+        { name: 'Pull-up or lat pulldown', sets: 3, reps: '6-10' },
+        { name: 'Biceps curl', sets: 2, reps: '12' },
+      ],
+    },
+    {
+      title: 'Lower-body strength',
+      focus: 'strength',
+      durationMinutes: 45,
+      exercises: [
+        { name: 'Squat', sets: 4, reps: '6-8' },
+        { name: 'Romanian deadlift', sets: 3, reps: '8-10' },
+        { name: 'Walking lunge', sets: 3, reps: '10 each' },
+        { name: 'Calf raise', sets: 3, reps: '15' },
+      ],
+    },
+    {
+      title: 'Cardio intervals',
+      focus: 'cardio',
+      durationMinutes: 45,
+      exercises: [
+        { name: 'Warm-up jog', sets: 1, reps: '10 min' },
+        { name: 'Hard effort / easy recovery', sets: 6, reps: '2 min / 2 min' },
+        { name: 'Cool-down walk', sets: 1, reps: '10 min' },
+      ],
+    },
+    {
+      title: 'Mobility & core',
+      focus: 'mobility',
+      durationMinutes: 45,
+      exercises: [
+        { name: 'World\'s greatest stretch', sets: 2, reps: '5 each' },
+        { name: 'Pallof press', sets: 3, reps: '10 each' },
+        { name: 'Hanging knee raise', sets: 3, reps: '12' },
+        { name: 'Thoracic rotation', sets: 2, reps: '10 each' },
+      ],
+    },
+  ],
+  advanced: [
+    {
+      title: 'Push strength',
+      focus: 'strength',
+      durationMinutes: 60,
+      exercises: [
+        { name: 'Bench press', sets: 5, reps: '5' },
+        { name: 'Overhead press', sets: 4, reps: '6-8' },
+        { name: 'Incline dumbbell press', sets: 3, reps: '8-10' },
+        { name: 'Dip', sets: 3, reps: '8-12' },
+        { name: 'Triceps extension', sets: 3, reps: '12' },
+      ],
+    },
+    {
+      title: 'Pull strength',
+      focus: 'strength',
+      durationMinutes: 60,
+      exercises: [
+        { name: 'Deadlift', sets: 4, reps: '4-5' },
+        { name: 'Weighted pull-up', sets: 4, reps: '5-8' },
+        { name: 'Barbell row', sets: 3, reps: '8' },
+        { name: 'Face pull', sets: 3, reps: '15' },
+      ],
+    },
+    {
+      title: 'Leg strength',
+      focus: 'strength',
+      durationMinutes: 60,
+      exercises: [
+        { name: 'Back squat', sets: 5, reps: '5' },
+        { name: 'Bulgarian split squat', sets: 3, reps: '8 each' },
+        { name: 'Hamstring curl', sets: 3, reps: '10-12' },
+        { name: 'Standing calf raise', sets: 4, reps: '12' },
+      ],
+    },
+    {
+      title: 'Conditioning',
+      focus: 'conditioning',
+      durationMinutes: 60,
+      exercises: [
+        { name: 'Rower or bike sprints', sets: 8, reps: '30s on / 90s off' },
+        { name: 'Kettlebell swing', sets: 4, reps: '15' },
+        { name: 'Farmer carry', sets: 4, reps: '40 m' },
+      ],
+    },
+    {
+      title: 'Mobility & recovery',
+      focus: 'mobility',
+      durationMinutes: 60,
+      exercises: [
+        { name: 'Easy aerobic flush', sets: 1, reps: '20 min' },
+        { name: 'Hip and ankle mobility flow', sets: 2, reps: '5 min' },
+        { name: 'Copenhagen plank', sets: 3, reps: '20s each' },
+      ],
+    },
+  ],
+};
+
+/**
+ * Built-in sessions for a profile, rotated to fill every training day
+ *
+ * @param {Object} profile - Normalized fitness profile
+ * @param {number} sessionCount - Training days per week
+ * @returns {Object} { title, sessions }
+ */
+export function templateSessions(profile, sessionCount) {
+  const level = TEMPLATES[profile.experienceLevel] ? profile.experienceLevel : 'beginner';
+  const templates = TEMPLATES[level];
+
+  return {
+    title: `${level.charAt(0).toUpperCase()}${level.slice(1)} Program`,
+    sessions: Array.from({ length: sessionCount }, (_, index) => templates[index % templates.length]),
+  };
+}
@@ -0,0 +1,293 @@
+/**
+ * ============================================================================
+ * Weekly Review
+ * ============================================================================
+ *
+ * Rules of the weekly plan adaptation (see training/adaptation.js). Compares
+ * the sessions planned for the past 7 days with what the user completed and
+ * logged, then rebalances the coming 7 days:
+ * - One missed session: moved to a free day in the coming week
+ * - Repeated misses (2+ this week, or misses two weeks running): the coming
+ *   week's sets and session length are cut by a quarter instead
+ * - Every session completed at or below the target effort: the coming
+ *   week's target RPE goes up by half a point (not in deload weeks)
+ * - Logged effort well above target: targets stay the same
+ *
+ * A session counts as completed when its event is marked completed, a
+ * finished workout is logged against it, or a finished workout that is not
+ * linked to any event was logged on the same day.
+ *
+ * Pure functions only; the caller loads the plan and workouts and saves the
+ * result.
+ *
+ * @module service/training/weeklyReview.js
+ */
+
+import { toDateKey } from '../calendar/recurrence.js';
+import { addDays, isSessionLocked, sessionToEvent } from './program.js';
+
+/** Days between reviews of the same plan */
+export const ADAPTATION_INTERVAL_DAYS = 7;
+
+/** Share of the sets and session length kept after repeated misses */
+const MISSED_VOLUME = 0.75;
+
+/** Target RPE added after a fully completed week, and its ceiling */
+const PROGRESS_STEP = 0.5;
+const MAX_TARGET_RPE = 9.5;
+
+// ============================================================================
+// Review
+// ============================================================================
+
+/**
+ * Format a date key for messages, e.g. "Wed, Oct 15"
+ *
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} Short date
+ */
+function formatDay(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+/**
+ * Average RPE of every logged set that has one
+ *
+ * @param {Array} workouts - Workouts with exercises and sets
+ * @returns {number|null} Average rounded to one decimal, or null if no set has an RPE
+ */
+function averageRpe(workouts) {
+  const values = workouts.flatMap((workout) =>
+    (workout.exercises || []).flatMap((exercise) => (exercise.sets || []).map((set) => set.rpe))
+  ).filter((rpe) => typeof rpe === 'number');
+
+  if (values.length === 0) return null;
+  return Math.round((values.reduce((sum, rpe) => sum + rpe, 0) / values.length) * 10) / 10;
+}
+
+/**
+ * Compare the sessions planned in a window with the workouts logged in it
+ *
+ * @param {Object} plan - Plan with its sessions
+ * @param {Array} workouts - The user's workouts started in the window (with sets)
+ * @param {Object} window - { from, to } date keys, `to` exclusive
+ * @returns {Object} { planned, completed, missed, extra, loggedRpe } where
+ *   completed and missed are calendar events and extra counts unplanned workouts
+ */
+export function reviewSessions(plan, workouts, { from, to }) {
+  const planned = plan.sessions.filter((event) => {
+    const date = toDateKey(event.date);
+    return date >= from && date < to;
+  });
+  const plannedIds = new Set(planned.map((event) => event.id));
+
+  const finished = workouts.filter((workout) => workout.completedAt);
+  const performed = finished.filter((workout) => plannedIds.has(workout.calendarEventId));
+  const unplanned = finished.filter((workout) => !plannedIds.has(workout.calendarEventId));
+
+  const completed = [];
+  const missed = [];
+  for (const event of planned) {
+    if (event.completed || (event.workouts || []).some((workout) => workout.completedAt)) {
+      completed.push(event);
+      continue;
+    }
+
+    // A workout logged on the same day without linking it still counts
+    const sameDay = unplanned.findIndex((workout) =>
+      !workout.calendarEventId && toDateKey(workout.startedAt) === toDateKey(event.date)
+    );
+    if (sameDay === -1) {
+      missed.push(event);
+    } else {
+      performed.push(...unplanned.splice(sameDay, 1));
+      completed.push(event);
+    }
+  }
+
+  return { planned, completed, missed, extra: unplanned.length, loggedRpe: averageRpe(performed) };
+}
+
+// ============================================================================
+// Adaptation Rules
+// ============================================================================
+
+/**
+ * Review window around a time: the past week up to today, and the coming week
+ *
+ * @param {Date} now - Current time
+ * @returns {Object} { today, from, until } date keys; `from` inclusive, `until` exclusive
+ */
+export function reviewWindow(now) {
+  const today = toDateKey(now);
+  return {
+    today,
+    from: addDays(today, -ADAPTATION_INTERVAL_DAYS),
+    until: addDays(today, ADAPTATION_INTERVAL_DAYS),
+  };
+}
+
+/**
+ * Review the past week of a plan and rebalance the coming week
+ *
+ * @param {Object} plan - Active plan with its sessions (trainingPlanService.getById)
+ * @param {Array} workouts - The user's workouts started since the review window's `from` (with sets)
+ * @param {Date} now - Current time
+ * @returns {Object} { program, adaptation, updates } - the adjusted program, the review to
+ *   store ({ at, from, to, planned, completed, missed, extra, loggedRpe, targetRpe, changes })
+ *   and the calendar events to update ([{ eventId, data }])
+ */
+export function planAdaptation(plan, workouts, now) {
+  const { today, from, until } = reviewWindow(now);
+
+  const program = structuredClone(plan.program);
+  const locate = (event) => {
+    const week = program.find((candidate) => candidate.week === event.planWeek);
+    const session = week?.sessions.find((candidate) => candidate.session === event.planSession);
+    return session ? { week, session } : null;
+  };
+  const targetOf = ({ week, session }) => session.targetRpe ?? week.targetRpe;
+
+  const review = reviewSessions(plan, workouts, { from, to: today });
+
+  const completedTargets = review.completed.map(locate).filter(Boolean).map(targetOf);
+  const targetRpe = completedTargets.length > 0
+    ? Math.round((completedTargets.reduce((sum, rpe) => sum + rpe, 0) / completedTargets.length) * 10) / 10
+    : null;
+
+  const upcoming = plan.sessions
+    .filter((event) => toDateKey(event.date) >= today && toDateKey(event.date) < until && !isSessionLocked(event, today))
+    .map((event) => ({ event, ...locate(event) }))
+    .filter((entry) => entry.session);
+
+  const previous = (plan.adaptations || []).at(-1);
+  const changes = [];
+  const touched = new Map(); // event ID -> { event, week, session }
+
+  if (review.planned.length === 0) {
+    // Nothing to compare yet (the plan starts later, or the week was empty)
+  } else if (review.missed.length >= 2 || (review.missed.length === 1 && previous?.missed > 0)) {
+    for (const entry of upcoming) {
+      entry.session.exercises = entry.session.exercises.map((exercise) => ({
+        ...exercise,
+        sets: Math.max(1, Math.round(exercise.sets * MISSED_VOLUME)),
+      }));
+      entry.session.durationMinutes = Math.round(entry.session.durationMinutes * MISSED_VOLUME);
+      entry.session.adjustment = 'Lighter week after missed sessions';
+      touched.set(entry.event.id, entry);
+    }
+    const reason = review.missed.length >= 2
+      ? `${review.missed.length} sessions were missed`
+      : 'sessions were missed two weeks in a row';
+    changes.push({
+      type: 'reduce_volume',
+      text: upcoming.length > 0
+        ? `Because ${reason}, the next ${upcoming.length} session(s) have about a quarter fewer sets and minutes so it's easier to get back on track.`
+        : `Because ${reason}, the next sessions will be lighter once they are scheduled.`,
+    });
+  } else if (review.missed.length === 1) {
+    const [event] = review.missed;
+    const entry = locate(event);
+    const busy = new Set(plan.sessions.map((session) => toDateKey(session.date)));
+    let freeDay = null;
+    for (let offset = 0; offset < ADAPTATION_INTERVAL_DAYS && !freeDay; offset++) {
+      const day = addDays(today, offset);
+      if (!busy.has(day)) freeDay = day;
+    }
+
+    if (entry && freeDay) {
+      const originalDate = toDateKey(event.date);
+      entry.session.date = freeDay;
+      entry.session.adjustment = `Moved from ${formatDay(originalDate)} after it was missed`;
+      touched.set(event.id, { event, ...entry });
+      changes.push({
+        type: 'reschedule',
+        text: `"${event.title}" from ${formatDay(originalDate)} was missed, so it has been moved to ${formatDay(freeDay)}.`,
+      });
+    } else {
+      changes.push({
+        type: 'skip',
+        text: `"${event.title}" from ${formatDay(toDateKey(event.date))} was missed. The coming week has no free day for it, so it is skipped.`,
+      });
+    }
+  } else if (review.loggedRpe !== null && targetRpe !== null && review.loggedRpe > targetRpe + 0.5) {
+    changes.push({
+      type: 'hold',
+      text: `Every session was done, but your logged effort averaged RPE ${review.loggedRpe} against a target of ${targetRpe}, so next week's targets stay the same.`,
+    });
+  } else {
+    const progressable = upcoming.filter((entry) => entry.week.phase !== 'deload');
+    for (const entry of progressable) {
+      entry.session.targetRpe = Math.min(MAX_TARGET_RPE, targetOf(entry) + PROGRESS_STEP);
+      entry.session.adjustment = 'Target raised after a fully completed week';
+      touched.set(entry.event.id, entry);
+    }
+    if (progressable.length > 0) {
+      changes.push({
+        type: 'progress',
+        text: `Every planned session was completed, so the target effort of the next ${progressable.length} session(s) goes up by ${PROGRESS_STEP} RPE.`,
+      });
+    } else if (upcoming.length > 0) {
+      changes.push({
+        type: 'hold',
+        text: 'Every planned session was completed. The coming week is a deload, so progression picks up again after it.',
+      });
+    }
+  }
+
+  const adaptation = {
+    at: now.toISOString(),
+    from,
+    to: today,
+    planned: review.planned.length,
+    completed: review.completed.length,
+    missed: review.missed.length,
+    extra: review.extra,
+    loggedRpe: review.loggedRpe,
+    targetRpe,
+    changes,
+  };
+
+  const updates = [...touched.values()].map(({ event, week, session }) => ({
+    eventId: event.id,
+    data: sessionToEvent(plan, week, session),
+  }));
+
+  return { program, adaptation, updates };
+}
+
+// ============================================================================
+// Message
+// ============================================================================
+
+/**
+ * Build the chat message explaining a weekly review
+ *
+ * @param {Object} plan - Plan (for its title)
+ * @param {Object} adaptation - Stored review
+ * @returns {string} Message text
+ */
+export function formatAdaptationMessage(plan, adaptation) {
+  const extra = adaptation.extra > 0 ? ` plus ${adaptation.extra} extra workout(s)` : '';
+  const lines = [
+    `Weekly check-in on "${plan.title}": you completed ${adaptation.completed} of ${adaptation.planned} ` +
+      `planned session(s) last week${extra}.`,
+  ];
+  if (adaptation.loggedRpe !== null) {
+    lines[0] += ` Your logged effort averaged RPE ${adaptation.loggedRpe}` +
+      `${adaptation.targetRpe !== null ? ` (target ${adaptation.targetRpe})` : ''}.`;
+  }
+
+  if (adaptation.changes.length === 0) {
+    lines.push('', 'No changes needed for the coming week. Keep it up!');
+  } else {
+    lines.push('', 'For the coming week:', ...adaptation.changes.map((change) => `- ${change.text}`));
+  }
+
+  return lines.join('\n');
+}
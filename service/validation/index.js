@@ -0,0 +1,355 @@
+/**
+ * ============================================================================
+ * Request Validation
+ * ============================================================================
+ *
+ * Declarative request schemas shared by every route and the Swagger docs.
+ *
+ * Each route lists JSON Schemas for the parts of the request it reads:
+ *
+ *   router.post('/', authenticateToken, validate({ body: createGoalBody }), handler);
+ *
+ * Invalid requests never reach the handler. They are answered with one
+ * 400 shape, with a message per field:
+ *
+ *   {
+ *     "success": false,
+ *     "error": "text is required; type must be one of: daily, longterm",
+ *     "details": [
+ *       { "in": "body", "field": "text", "message": "text is required" },
+ *       { "in": "body", "field": "type", "message": "type must be one of: daily, longterm" }
+ *     ]
+ *   }
+ *
+ * Checks a schema cannot express (a date range that is too long, a value
+ * that depends on stored data, ...) stay in the handler and answer in the
+ * same shape with sendValidationError.
+ *
+ * The schemas are kept on the middleware (requestSchema), so the Swagger
+ * generator documents exactly what is validated (see swagger/generator.js).
+ *
+ * Notes:
+ * - Path and query values are strings; they are validated as if coerced
+ *   ("10" passes as an integer) and handlers still parse them, because
+ *   Express 5 parses req.query again on every access.
+ * - Bodies are not coerced, and properties a schema does not list are
+ *   allowed (and ignored by the handlers).
+ * - Formats: date (YYYY-MM-DD), date-time (anything Date can parse),
+ *   time (HH:mm, 24-hour), email and time-zone (IANA name).
+ *
+ * @module service/validation/index.js
+ */
+
+import Ajv from 'ajv';
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/** Messages for failed formats, completing "<field> must be ..." */
+const FORMAT_MESSAGES = {
+  date: 'a date in YYYY-MM-DD format',
+  'date-time': 'a valid date-time',
+  time: 'a time in HH:mm format (24-hour)',
+  email: 'a valid email address',
+  'time-zone': 'a valid IANA time zone',
+};
+
+/**
+ * Check that a string is a time zone the runtime understands
+ *
+ * @param {string} timeZone - IANA time zone (e.g. "America/Los_Angeles")
+ * @returns {boolean} True if valid
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Create an Ajv instance with the formats and keywords used by the schemas
+ *
+ * @param {Object} options - Extra Ajv options
+ * @returns {Ajv} Ajv instance
+ */
+const createAjv = (options = {}) => {
+  // verbose: errors carry their schema, which messageOf reads
+  // allowUnionTypes: a few fields accept two types (e.g. an array or a JSON string)
+  const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true, ...options });
+
+  ajv.addFormat('date', (value) => DATE_REGEX.test(value) && !isNaN(new Date(value).getTime()));
+  ajv.addFormat('date-time', (value) => !isNaN(new Date(value).getTime()));
+  ajv.addFormat('time', TIME_REGEX);
+  ajv.addFormat('email', EMAIL_REGEX);
+  ajv.addFormat('time-zone', isValidTimeZone);
+
+  // OpenAPI keyword, used in error messages and shown in the docs
+  ajv.addVocabulary(['example']);
+
+  return ajv;
+};
+
+/** Bodies are validated as sent */
+const bodyAjv = createAjv();
+
+/** Path and query values arrive as strings */
+const coercingAjv = createAjv({ coerceTypes: 'array' });
+
+// ============================================================================
+// Shared Schemas
+// ============================================================================
+
+/**
+ * Object schema with the given properties
+ *
+ * @param {Object} properties - Property schemas by name
+ * @param {Array<string>} required - Required property names
+ * @returns {Object} JSON Schema
+ */
+export const object = (properties, required = []) => ({ type: 'object', properties, required });
+
+/**
+ * Let a schema also accept null (used to clear optional fields)
+ *
+ * @param {Object} schema - JSON Schema with a single type
+ * @returns {Object} JSON Schema
+ */
+export const nullable = (schema) => ({
+  ...schema,
+  type: [schema.type, 'null'],
+  ...(schema.enum && { enum: [...schema.enum, null] }),
+});
+
+/**
+ * Non-blank string
+ *
+ * @param {number} maxLength - Longest accepted string (optional)
+ * @returns {Object} JSON Schema
+ */
+export const text = (maxLength) => ({
+  type: 'string',
+  minLength: 1,
+  ...(maxLength !== undefined && { maxLength }),
+  pattern: '\\S',
+});
+
+/** Record ID in a path or body */
+export const id = { type: 'string', minLength: 1, maxLength: 100 };
+
+/** Calendar day */
+export const date = { type: 'string', format: 'date', example: '2025-01-31' };
+
+/** Point in time */
+export const dateTime = { type: 'string', format: 'date-time', example: '2025-01-31T18:30:00.000Z' };
+
+/** Time of day */
+export const time = { type: 'string', format: 'time', example: '18:30' };
+
+/** IANA time zone */
+export const timeZone = { type: 'string', format: 'time-zone', example: 'America/Los_Angeles' };
+
+/** Boolean flag in a query string ("true" / "false") */
+export const flag = { type: 'boolean' };
+
+/**
+ * Page size in a query string
+ *
+ * @param {number} maximum - Largest accepted value
+ * @returns {Object} JSON Schema
+ */
+export const limit = (maximum) => ({ type: 'integer', minimum: 1, maximum });
+
+/** nextCursor of the previous page of a list */
+export const cursor = id;
+
+/** Path with a record ID (/:id) */
+export const idParams = object({ id }, ['id']);
+
+/** Path with a user ID (/:userId) */
+export const userIdParams = object({ userId: id }, ['userId']);
+
+/**
+ * Read an optional boolean flag from a validated query string
+ *
+ * @param {string} value - Query value ("true" / "false", or undefined)
+ * @returns {boolean|undefined} The flag, or undefined when not given
+ */
+export const queryFlag = (value) => (value === undefined ? undefined : value === 'true');
+
+/**
+ * Read an optional page size from a validated query string
+ *
+ * @param {string} value - Query value (or undefined)
+ * @returns {number|undefined} Page size, or undefined for the default
+ */
+export const queryLimit = (value) => (value === undefined ? undefined : Number(value));
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Name an Ajv error's field, e.g. "exercises[0].sets[1].reps"
+ *
+ * @param {Object} error - Ajv error
+ * @returns {string} Field path ('' for the whole value)
+ */
+const fieldOf = (error) => {
+  const path = error.instancePath
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .map((part) => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+    .join('')
+    .replace(/^\./, '');
+
+  // Reported on the object, but about one of its properties
+  const property = error.params.missingProperty ?? error.params.additionalProperty;
+  if (property !== undefined) {
+    return path ? `${path}.${property}` : property;
+  }
+  return path;
+};
+
+/**
+ * Readable message for an Ajv error
+ *
+ * @param {string} name - Field name used in the message
+ * @param {Object} error - Ajv error (with parentSchema)
+ * @returns {string} Message
+ */
+const messageOf = (name, error) => {
+  const { keyword, params, parentSchema } = error;
+
+  switch (keyword) {
+    case 'required':
+      return `${name} is required`;
+    case 'type': {
+      const types = [].concat(params.type).map((type) => (type === 'null' ? 'null' : `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`));
+      return `${name} must be ${types.join(' or ')}`;
+    }
+    case 'enum':
+      return `${name} must be one of: ${params.allowedValues.filter((value) => value !== null).join(', ')}`;
+    case 'minLength':
+      return params.limit === 1 ? `${name} must not be empty` : `${name} must be at least ${params.limit} characters`;
+    case 'maxLength':
+      return `${name} must be at most ${params.limit} characters`;
+    case 'pattern':
+      if (params.pattern === '\\S') return `${name} must not be blank`;
+      return parentSchema?.example ? `${name} must look like "${parentSchema.example}"` : `${name} is not in the expected format`;
+    case 'format':
+      return `${name} must be ${FORMAT_MESSAGES[params.format] || `in ${params.format} format`}`;
+    case 'minimum':
+      return `${name} must be at least ${params.limit}`;
+    case 'maximum':
+      return `${name} must be at most ${params.limit}`;
+    case 'exclusiveMinimum':
+      return `${name} must be greater than ${params.limit}`;
+    case 'minItems':
+      return `${name} must have at least ${params.limit} item${params.limit === 1 ? '' : 's'}`;
+    case 'maxItems':
+      return `${name} must have at most ${params.limit} items`;
+    case 'minProperties':
+      return `${name} must not be empty`;
+    case 'additionalProperties':
+      return `${name} is not allowed`;
+    case 'uniqueItems':
+      return `${name} must not contain duplicates`;
+    default:
+      return `${name} ${error.message}`;
+  }
+};
+
+/**
+ * Field-level error for the 400 response
+ *
+ * @param {string} location - Where the field is: 'body', 'query' or 'params'
+ * @param {string} field - Field path, e.g. "title" or "exercises[0].name"
+ * @param {string} message - Readable message, naming the field
+ * @returns {Object} { in, field, message }
+ */
+export const fieldError = (location, field, message) => ({ in: location, field, message });
+
+/**
+ * Answer a request with the shared 400 validation error
+ *
+ * @param {Object} res - Express response
+ * @param {Array<Object>} details - Field errors (see fieldError)
+ * @returns {Object} Express response
+ */
+export const sendValidationError = (res, details) =>
+  res.status(400).json({
+    success: false,
+    error: details.map((detail) => detail.message).join('; '),
+    details,
+  });
+
+/**
+ * Compile a schema into a function that lists field errors
+ *
+ * @param {Object} schema - JSON Schema
+ * @param {Object} options - Options
+ * @param {string} options.location - Location reported in the errors (default: 'body')
+ * @param {boolean} options.coerce - Validate string values as if coerced (path and query)
+ * @returns {Function} (value) => Array of field errors (empty when valid)
+ */
+export const compileSchema = (schema, { location = 'body', coerce = false } = {}) => {
+  const check = (coerce ? coercingAjv : bodyAjv).compile(schema);
+
+  return (value) => {
+    if (check(value)) return [];
+
+    const details = [];
+    for (const error of check.errors) {
+      const field = fieldOf(error);
+      const detail = fieldError(location, field, messageOf(field || location, error));
+      // One message per field is enough (an empty string is also blank)
+      if (!details.some((existing) => existing.field === detail.field)) {
+        details.push(detail);
+      }
+    }
+    return details;
+  };
+};
+
+// ============================================================================
+// Middleware
+// ============================================================================
+
+/**
+ * Validate a request against schemas for its path, query and body
+ * Answers with the shared 400 shape when any part is invalid.
+ *
+ * @param {Object} schemas - Request schemas
+ * @param {Object} schemas.params - Path parameters (optional)
+ * @param {Object} schemas.query - Query string (optional)
+ * @param {Object} schemas.body - JSON body (optional)
+ * @returns {Function} Express middleware (its requestSchema is read by the Swagger generator)
+ */
+export function validate(schemas) {
+  const checks = Object.entries(schemas).map(([location, schema]) => [
+    location,
+    compileSchema(schema, { location, coerce: location !== 'body' }),
+  ]);
+
+  const middleware = (req, res, next) => {
+    const details = [];
+    for (const [location, check] of checks) {
+      // Copied, so coercion does not touch the request
+      const value = location === 'body' ? (req.body ?? {}) : { ...req[location] };
+      details.push(...check(value));
+    }
+
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+    next();
+  };
+
+  middleware.requestSchema = schemas;
+  return middleware;
+}